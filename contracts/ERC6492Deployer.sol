@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+/**
+ * @title SilentSwap V2 - ERC-6492 Deployer
+ * @dev Runs the factory call of an ERC-6492 signature on behalf of the gateway. The factory and its calldata come
+ * from the depositor, so the call is made from this contract, which holds no funds and no role anywhere, rather
+ * than from the gateway, whose own address passes its owner and timelock checks.
+ */
+contract ERC6492Deployer {
+    /**
+     * @notice Calls `factory` with `factoryCalldata`.
+     * @return success Whether the call succeeded.
+     */
+    function deploy(address factory, bytes calldata factoryCalldata) external returns (bool success) {
+        (success, ) = factory.call(factoryCalldata);
+    }
+}
@@ -6,19 +6,49 @@ import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 import "./SilentSwapV2Gateway.sol";
+import "./interfaces/IMessageTransmitter.sol";
+import "./interfaces/IAxelarGateway.sol";
 
 /// @title Example contract that can be called from any chain to deposit to SilentSwapV2Gateway
 /// The problem with allowing any token from any chain to be swapped, bridged and deposited into SilentSwap is that with pricy slippage you never know the exact amount you will get.
 /// This contract will recieve the USDC and then deposit it into the gateway the exact amount of tokens recieved.
-/// IF the intended amount to deposit is 100 USDC and 99.99 usdc is recieved after slippage, then the transfer will fail
-/// IF the intended amount to deposit is 100 USDC and 100.01 usdc is recieved after slippage, then the deposit will succeed but .01 would be left in the contract lost.
-/// Assume this contract is always zeroed out after a deposit. We have to have this seperate from the gateway to get the exact amount deposited.
-/// Assumes that tokens to be deposited are already transferred to this contract and the depositProxy is called in the same transaction.
+/// Orders can commit to a `minAmount`/`maxAmount` range in their approval: less than `minAmount` fails the deposit, and
+/// anything above `maxAmount` is deposited as `maxAmount` with the excess sent straight back to the order's signer.
+/// Without a range, the whole amount is deposited.
+/// Funds are either credited to an order up front with `fundOrder`, or transferred to this contract in the same
+/// transaction that calls `depositProxy`, which deposits the order's credit plus whatever balance is not credited.
+/// Credited balances are kept per order, so concurrent arrivals for different orders never mix.
+/// Bridges can also deliver funds and deposit parameters together: `receiveCctpMessage` and `executeWithToken` take
+/// the tokens from CCTP and Axelar and deposit exactly what arrived. If that deposit reverts, the funds go to the
+/// refund address in the bridged payload instead of staying here.
+/// We have to have this seperate from the gateway to get the exact amount deposited.
 contract SilentSwapDepositor is Ownable {
     using SafeERC20 for IERC20;
 
     address public gatewayAddress;
     address public usdc;
+
+    // funds credited to an order with `fundOrder` and not deposited yet, per token
+    mapping(bytes32 => mapping(address => uint256)) public orderBalances;
+
+    // sum of `orderBalances` per token, which `depositProxy` and `sweep` leave alone
+    mapping(address => uint256) public creditedBalances;
+
+    // CCTP MessageTransmitter on this chain, zero to disable `receiveCctpMessage`
+    address public cctpMessageTransmitter;
+
+    // Axelar gateway on this chain, zero to disable `executeWithToken`
+    address public axelarGateway;
+
+    // offset of `destinationCaller` in a CCTP V2 message header
+    uint256 private constant CCTP_DESTINATION_CALLER_OFFSET = 108;
+
+    // offset of the burn message's `mintRecipient` in a CCTP V2 message: 148 bytes of header, then 4 + 32 into the body
+    uint256 private constant CCTP_MINT_RECIPIENT_OFFSET = 184;
+
+    // offset of the burn message's hook data in a CCTP V2 message
+    uint256 private constant CCTP_HOOK_DATA_OFFSET = 376;
+
     constructor(address _gatewayAddress, address _usdc) Ownable(msg.sender) {
         gatewayAddress = _gatewayAddress;
         usdc = _usdc;
@@ -41,6 +71,50 @@ contract SilentSwapDepositor is Ownable {
         uint256 amount
     );
 
+    event OrderFunded(
+        bytes32 indexed orderId,
+        address indexed token,
+        uint256 amount
+    );
+
+    event ExcessRefunded(
+        bytes32 indexed orderId,
+        address indexed refundee,
+        uint256 amount
+    );
+
+    event BridgesUpdated(
+        address cctpMessageTransmitter,
+        address axelarGateway
+    );
+
+    event BridgeDeposit(
+        address indexed signer,
+        bytes32 indexed orderId,
+        address indexed bridge,
+        uint256 amount
+    );
+
+    event BridgeDepositFailed(
+        bytes32 indexed orderId,
+        address indexed refundee,
+        address indexed bridge,
+        uint256 amount,
+        bytes reason
+    );
+
+    /**
+     * @notice Allows the owner to set the bridge contracts trusted to deliver funds with deposit parameters
+     * @param _cctpMessageTransmitter CCTP MessageTransmitter, or zero to disable CCTP deliveries
+     * @param _axelarGateway Axelar gateway, or zero to disable Axelar deliveries
+     */
+    function setBridges(address _cctpMessageTransmitter, address _axelarGateway) external onlyOwner {
+        cctpMessageTransmitter = _cctpMessageTransmitter;
+        axelarGateway = _axelarGateway;
+
+        emit BridgesUpdated(_cctpMessageTransmitter, _axelarGateway);
+    }
+
     /**
      * @notice Allows a user to commit funds to initiate an order from another blockchain where the bridge sends funds to the depositor contract
      * @param params The deposit parameters containing:
@@ -58,18 +132,14 @@ contract SilentSwapDepositor is Ownable {
     function depositProxy(
         SilentSwapV2Gateway.DepositParams calldata params
     ) external {
-        // Verify the deposit parameters and transfer tokens
-        IERC20 token = IERC20(usdc);
-        uint256 balance = token.balanceOf(address(this));
-
-        require(balance > 0, "SilentSwapDepositor: balance must be greater than 0");
+        // The order's credit plus the balance no other order is credited with
+        IERC20 token = _depositToken(params);
+        uint256 balance = unallocatedBalance(token);
+        balance += _takeOrderBalance(params.orderId, token);
 
-        token.forceApprove(gatewayAddress, 0);
-        token.forceApprove(gatewayAddress, balance);
-
-        SilentSwapV2Gateway(gatewayAddress).depositProxy(params, balance);
+        uint256 amount = _deposit(params, token, balance, params.signer);
 
-        emit DepositProxy(params.signer, params.orderId, balance);
+        emit DepositProxy(params.signer, params.orderId, amount);
     }
 
     /**
@@ -78,34 +148,219 @@ contract SilentSwapDepositor is Ownable {
    function depositProxy2(
         SilentSwapV2Gateway.DepositParams calldata params
     ) external {
-        // Verify the deposit parameters and transfer tokens
-        IERC20 token = IERC20(usdc);
-        uint256 balance = token.balanceOf(msg.sender);
-
-        require(balance > 0, "SilentSwapDepositor: balance must be greater than 0");
+        // Pull the caller's balance and add the order's credit, measuring what actually arrived
+        IERC20 token = _depositToken(params);
+        uint256 pulled = token.balanceOf(msg.sender);
+        uint256 before = token.balanceOf(address(this));
 
         token.safeTransferFrom(
             msg.sender,
             address(this),
-            balance
+            pulled
         );
-        balance = token.balanceOf(address(this));
-        // Reset approval to zero, then set approval to the current balance
-        token.forceApprove(gatewayAddress, 0);
-        token.forceApprove(gatewayAddress, balance);
+        uint256 balance = _takeOrderBalance(params.orderId, token) + token.balanceOf(address(this)) - before;
 
-        SilentSwapV2Gateway(gatewayAddress).depositProxy(params, balance);
+        uint256 amount = _deposit(params, token, balance, params.signer);
 
-        emit DepositProxy2(params.signer, params.orderId, balance);
+        emit DepositProxy2(params.signer, params.orderId, amount);
+    }
+
+    /**
+     * @notice Receives a CCTP V2 burn message through the trusted MessageTransmitter and deposits the minted USDC for
+     * the order in its hook data, `abi.encode(DepositParams params, address refundee)`.
+     * The message must mint to this contract and name it as `destinationCaller`, so that it cannot be received
+     * without its hook. The deposit is whatever USDC the message actually minted, after CCTP fees.
+     * @param message The attested message
+     * @param attestation Circle's attestation of the message
+     */
+    function receiveCctpMessage(bytes calldata message, bytes calldata attestation) external {
+        require(cctpMessageTransmitter != address(0), "SilentSwapDepositor: bridge not configured");
+        bytes32 self = bytes32(uint256(uint160(address(this))));
+        require(
+            message.length >= CCTP_HOOK_DATA_OFFSET
+                && bytes32(message[CCTP_DESTINATION_CALLER_OFFSET:CCTP_DESTINATION_CALLER_OFFSET + 32]) == self
+                && bytes32(message[CCTP_MINT_RECIPIENT_OFFSET:CCTP_MINT_RECIPIENT_OFFSET + 32]) == self,
+            "SilentSwapDepositor: invalid CCTP message"
+        );
+
+        IERC20 token = IERC20(usdc);
+        uint256 before = token.balanceOf(address(this));
+        require(IMessageTransmitter(cctpMessageTransmitter).receiveMessage(message, attestation), "SilentSwapDepositor: message not received");
+        uint256 amount = token.balanceOf(address(this)) - before;
+        require(amount > 0, "SilentSwapDepositor: nothing bridged");
+
+        (SilentSwapV2Gateway.DepositParams memory params, address refundee) = abi.decode(
+            message[CCTP_HOOK_DATA_OFFSET:],
+            (SilentSwapV2Gateway.DepositParams, address)
+        );
+        _bridgeDeposit(params, refundee, token, amount, cctpMessageTransmitter);
+    }
+
+    /**
+     * @notice Axelar `callContractWithToken` entrypoint; deposits the bridged tokens for the order in the payload,
+     * `abi.encode(DepositParams params, address refundee)`. The trusted Axelar gateway validates the call and mints.
+     */
+    function executeWithToken(
+        bytes32 commandId,
+        string calldata sourceChain,
+        string calldata sourceAddress,
+        bytes calldata payload,
+        string calldata tokenSymbol,
+        uint256 amount
+    ) external {
+        require(axelarGateway != address(0), "SilentSwapDepositor: bridge not configured");
+        require(
+            IAxelarGateway(axelarGateway).validateContractCallAndMint(commandId, sourceChain, sourceAddress, keccak256(payload), tokenSymbol, amount),
+            "SilentSwapDepositor: not approved by bridge"
+        );
+
+        (SilentSwapV2Gateway.DepositParams memory params, address refundee) = abi.decode(
+            payload,
+            (SilentSwapV2Gateway.DepositParams, address)
+        );
+        _bridgeDeposit(params, refundee, IERC20(IAxelarGateway(axelarGateway).tokenAddresses(tokenSymbol)), amount, axelarGateway);
+    }
+
+    /**
+     * @dev Deposits bridged funds for `_bridgeDeposit`, refunding any excess to `refundee`; an external call so that
+     * a revert can be caught
+     */
+    function depositBridged(
+        SilentSwapV2Gateway.DepositParams calldata params,
+        IERC20 token,
+        uint256 amount,
+        address refundee
+    ) external returns (uint256) {
+        require(msg.sender == address(this), "SilentSwapDepositor: only self");
+        require(token == _depositToken(params), "SilentSwapDepositor: token mismatch");
+
+        return _deposit(params, token, amount, refundee);
+    }
+
+    /**
+     * @notice Credits funds to an order ahead of its deposit, pulling them from the caller, e.g. a bridge
+     * receiver. Only that order's deposit can use them.
+     * @param orderId The order to credit.
+     * @param token The deposit token of the order.
+     * @param amount The amount to pull from the caller.
+     */
+    function fundOrder(bytes32 orderId, IERC20 token, uint256 amount) external {
+        uint256 before = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        _creditOrder(orderId, token, token.balanceOf(address(this)) - before);
+    }
+
+    /**
+     * @notice The balance of a token that is not credited to any order.
+     */
+    function unallocatedBalance(IERC20 token) public view returns (uint256) {
+        return token.balanceOf(address(this)) - creditedBalances[address(token)];
     }
       
     /**
-     * @notice Allows the owner to sweep the USDC balance of the contract to a specified recipient incase funds get stuck
+     * @notice Allows the owner to sweep the USDC balance of the contract to a specified recipient incase funds get stuck.
+     * Balances credited to orders are left alone, see `sweepOrder`.
      */
     function sweep() external onlyOwner {
         IERC20 token = IERC20(usdc);
-        token.safeTransfer(msg.sender, token.balanceOf(address(this)));
+        uint256 amount = unallocatedBalance(token);
+        token.safeTransfer(msg.sender, amount);
+
+        emit Sweep(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows the owner to sweep the balance of another deposit token incase funds get stuck
+     */
+    function sweepToken(IERC20 token) external onlyOwner {
+        uint256 amount = unallocatedBalance(token);
+        token.safeTransfer(msg.sender, amount);
+
+        emit Sweep(msg.sender, amount);
+    }
+
+    /**
+     * @notice Allows the owner to sweep an order's credit incase its deposit can no longer succeed
+     */
+    function sweepOrder(bytes32 orderId, IERC20 token) external onlyOwner {
+        uint256 amount = _takeOrderBalance(orderId, token);
+        token.safeTransfer(msg.sender, amount);
 
-        emit Sweep(msg.sender, token.balanceOf(address(this)));
+        emit Sweep(msg.sender, amount);
+    }
+
+    /**
+     * @dev Deposits up to the order's `maxAmount` out of `balance` into the gateway and refunds the excess to
+     * `refundee`. Orders without an amount range deposit all of `balance`.
+     * @return amount The amount deposited.
+     */
+    function _deposit(
+        SilentSwapV2Gateway.DepositParams calldata params,
+        IERC20 token,
+        uint256 balance,
+        address refundee
+    ) private returns (uint256 amount) {
+        require(balance > 0, "SilentSwapDepositor: balance must be greater than 0");
+
+        amount = params.maxAmount != 0 && balance > params.maxAmount? params.maxAmount: balance;
+
+        // Reset approval to zero, then set approval to the amount
+        token.forceApprove(gatewayAddress, 0);
+        token.forceApprove(gatewayAddress, amount);
+
+        // the gateway checks the amount against the range committed in the approval
+        SilentSwapV2Gateway(gatewayAddress).depositProxy(params, amount);
+
+        if(balance > amount) {
+            token.safeTransfer(refundee, balance - amount);
+            emit ExcessRefunded(params.orderId, refundee, balance - amount);
+        }
+    }
+
+    /**
+     * @dev Deposits `amount` of bridged `token` for the order, or sends it to `refundee` (the signer if zero) if the
+     * deposit reverts; an excess above the order's `maxAmount` goes to `refundee` too. Never touches the order's
+     * credit or the unallocated balance.
+     */
+    function _bridgeDeposit(
+        SilentSwapV2Gateway.DepositParams memory params,
+        address refundee,
+        IERC20 token,
+        uint256 amount,
+        address bridge
+    ) private {
+        if(refundee == address(0)) refundee = params.signer;
+        try this.depositBridged(params, token, amount, refundee) returns (uint256 deposited) {
+            emit BridgeDeposit(params.signer, params.orderId, bridge, deposited);
+        } catch (bytes memory reason) {
+            token.safeTransfer(refundee, amount);
+            emit BridgeDepositFailed(params.orderId, refundee, bridge, amount, reason);
+        }
+    }
+
+    /**
+     * @dev Adds `amount` of `token` to the order's credit
+     */
+    function _creditOrder(bytes32 orderId, IERC20 token, uint256 amount) private {
+        orderBalances[orderId][address(token)] += amount;
+        creditedBalances[address(token)] += amount;
+        emit OrderFunded(orderId, address(token), amount);
+    }
+
+    /**
+     * @dev Clears the order's credit of `token` and returns it
+     */
+    function _takeOrderBalance(bytes32 orderId, IERC20 token) private returns (uint256 amount) {
+        amount = orderBalances[orderId][address(token)];
+        if(amount == 0) return 0;
+        delete orderBalances[orderId][address(token)];
+        creditedBalances[address(token)] -= amount;
+    }
+
+    /**
+     * @dev The token named in the deposit parameters; USDC if none
+     */
+    function _depositToken(SilentSwapV2Gateway.DepositParams calldata params) private view returns (IERC20) {
+        return IERC20(params.token == address(0)? usdc: params.token);
     }
 }
\ No newline at end of file
@@ -3,11 +3,17 @@ pragma solidity 0.8.20;
 
 // Importing required OpenZeppelin contracts and libraries
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
 import "./interfaces/IEIP3009.sol";
+import "./interfaces/ISignatureTransfer.sol";
+import "./ERC6492Deployer.sol";
 import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
@@ -21,6 +27,19 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
     // keccak256("receiveWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)")[0:4]
     bytes4 private constant _RECEIVE_WITH_AUTHORIZATION_SELECTOR = 0xef55bec6;
 
+    // EIP-712 domain of order approvals and notary signatures, bound to the chain and this gateway
+    bytes32 private constant _DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _HASHED_NAME = keccak256("SilentSwapV2Gateway");
+    bytes32 private constant _HASHED_VERSION = keccak256("1");
+
+    bytes32 private constant _ORDER_APPROVAL_TYPEHASH = keccak256(
+        "OrderApproval(bytes32 orderId,address signer,address notary,uint256 approvalExpiration,bytes32 domainSepHash,bytes32 payloadHash,address token,uint256 fee,bytes32 notarySet,uint256 minAmount,uint256 maxAmount)"
+    );
+    bytes32 private constant _CLAIM_TYPEHASH = keccak256("Claim(bytes32 orderId)");
+    bytes32 private constant _SPLIT_CLAIM_TYPEHASH = keccak256("SplitClaim(bytes32 orderId,address[] recipients,uint256[] shares)");
+    bytes32 private constant _EXTEND_ORDER_TYPEHASH = keccak256("ExtendOrder(bytes32 orderId,uint256 expiration)");
+    bytes32 private constant _CANCEL_ORDER_TYPEHASH = keccak256("CancelOrder(bytes32 orderId)");
+
     // Enumerations
     enum OrderStatus {
         None,
@@ -29,6 +48,9 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         Aborted
     }
 
+    // basis points of a whole claim, which a split claim's shares must sum to
+    uint256 private constant _BPS = 10000;
+
     // Structures
     struct Order {
         OrderStatus status;
@@ -36,6 +58,32 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         address notary;
         address refundee;
         uint256 amount;
+        address token;
+        // protocol fee, in `token` units, kept out of `amount` at claim time
+        uint256 fee;
+        // M-of-N notary set releasing the order instead of `notary`; bytes32(0) for single-notary orders
+        bytes32 notarySet;
+        // time of the deposit; `expiration` can be extended up to `openedAt + config.maxDuration`
+        uint256 openedAt;
+    }
+
+    // Notaries that release an order together, at least `threshold` of `members`
+    struct NotarySet {
+        address[] members;
+        uint256 threshold;
+    }
+
+    // What a refund does with the order's fee
+    enum RefundFeePolicy {
+        FullRefund,
+        RetainFee
+    }
+
+    // Activity halted or resumed by `pause` and `unpause`
+    enum PauseScope {
+        Deposits,
+        Claims,
+        All
     }
 
     // Configuration struct for flexible adjustments
@@ -45,6 +93,12 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         uint256 minDepositAmount;
     }
 
+    // Deposit token other than USDC, allowlisted by the owner
+    struct DepositToken {
+        bool allowed;
+        uint256 minDepositAmount;
+    }
+
     // Storage
     mapping(bytes32 => Order) public orders;
     mapping(bytes32 => bytes32) public payloads;
@@ -54,11 +108,59 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
     // tracks the number of times a given signer has deposited
     mapping(address => uint256) public signerCounts;
 
+    // IDs of every order opened by a given signer, in deposit order
+    mapping(address => bytes32[]) private signerOrderIds;
+
+    // IDs of every order bound to a given notary, in deposit order
+    mapping(address => bytes32[]) private notaryOrderIds;
+
     Config public config;
 
     // Token address
     IERC20 public immutable usdc;
 
+    // deposit tokens besides USDC; the minimum deposit of USDC is `config.minDepositAmount`
+    mapping(address => DepositToken) public depositTokens;
+
+    // recipient of protocol fees
+    address public feeTreasury;
+
+    // whether refunds return or retain the fee; applies to every refund from the time it is set, so changing it is
+    // timelocked to give depositors the delay to act on the change
+    RefundFeePolicy public refundFeePolicy;
+
+    // total fees sent to the treasury, per token
+    mapping(address => uint256) public accruedFees;
+
+    // registered notary sets by ID, see `registerNotarySet`
+    mapping(bytes32 => NotarySet) private notarySets;
+
+    // membership of the registered notary sets
+    mapping(bytes32 => mapping(address => bool)) private notarySetMembers;
+
+    // may pause deposits and claims alongside the owner, but not unpause them
+    address public guardian;
+
+    // halted activity; refunds of expired orders are never paused
+    bool public depositsPaused;
+    bool public claimsPaused;
+
+    // circuit breaker: USDC claimed per window of `claimWindow` seconds is capped at `claimWindowCap`, 0 for no cap
+    uint256 public claimWindow;
+    uint256 public claimWindowCap;
+    uint256 public claimWindowStart;
+    uint256 public claimedInWindow;
+
+    // delay between scheduling and executing a timelocked call; while 0, the owner may also call directly
+    uint256 public timelockDelay;
+
+    // time from which a scheduled call can be executed, by `keccak256(data)`; 0 if not scheduled
+    mapping(bytes32 => uint256) public operationReadyAt;
+
+    // until this time, approvals and notary signatures in the legacy personal-sign formats, which are not bound to
+    // the chain or the gateway, are accepted alongside EIP-712 ones; 0 (the default) accepts EIP-712 only
+    uint256 public legacySignaturesUntil;
+
     // Events
     event Deposit(
         address indexed signer,
@@ -91,6 +193,24 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
     event ApproverRemoved(address indexed approver);
     event ClaimerAdded(address indexed claimer);
     event ClaimerRemoved(address indexed claimer);
+    event DepositTokenSet(address indexed token, uint256 minDepositAmount);
+    event DepositTokenRemoved(address indexed token);
+    event FeeTreasuryUpdated(address indexed treasury);
+    event RefundFeePolicyUpdated(RefundFeePolicy policy);
+    event FeesCollected(address indexed token, address indexed treasury, uint256 amount);
+    event NotarySetRegistered(bytes32 indexed notarySet, address[] members, uint256 threshold);
+    event GuardianUpdated(address indexed guardian);
+    event Paused(PauseScope scope, address indexed account, string reason);
+    event Unpaused(PauseScope scope, address indexed account);
+    event ClaimWindowCapUpdated(uint256 window, uint256 cap);
+    event ClaimsCapUpdated(uint256 claimsCap);
+    event TimelockDelayUpdated(uint256 delay);
+    event Scheduled(bytes32 indexed id, bytes data, uint256 readyAt);
+    event Executed(bytes32 indexed id, bytes data);
+    event Cancelled(bytes32 indexed id);
+    event OrderExtended(bytes32 indexed orderId, uint256 expiration);
+    event OrderCancelled(bytes32 indexed orderId, address indexed refundee, uint256 amount);
+    event LegacySignaturesUntilUpdated(uint256 deadline);
 
     /**
      * @dev Claim was rejected because the sender is unauthorized
@@ -112,21 +232,63 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
      */
     error ClaimRejectedInvalidSignature();
 
+    /**
+     * @dev Claim was rejected because fewer notaries of the order's notary set signed than its threshold
+     */
+    error ClaimRejectedNotaryThreshold(uint256 index, uint256 signatures, uint256 threshold);
+
+    /**
+     * @dev Claim was rejected because claims are paused
+     */
+    error ClaimRejectedPaused();
+
+    /**
+     * @dev Claim was rejected because its recipients and shares differ in length, include a zero share or a recipient
+     * that is not an authorized claimer, or do not sum to 10000 basis points
+     */
+    error ClaimRejectedInvalidSplit(uint256 index);
+
     /**
      * @dev Constructor sets the USDC token contract address and initializes configuration.
      * @param _usdc The address of the USDC token contract.
      * @param _config Initial configuration values.
      */
     constructor(IERC20 _usdc, Config memory _config, address _claimer) Ownable(msg.sender) {
-        require(_config.minDuration <= _config.maxDuration, "Gateway: minimumDuration must be <= maximumDuration");
         usdc = _usdc;
+        _initializeGateway(_config, _claimer, msg.sender);
+    }
+
+    /**
+     * @dev Initializes the gateway's storage; run by the constructor, or by the initializer of a proxied gateway.
+     * @param _config Initial configuration values.
+     * @param _claimer The first authorized claimer.
+     * @param admin The initial fee treasury and guardian.
+     */
+    function _initializeGateway(Config memory _config, address _claimer, address admin) internal {
+        require(_config.minDuration <= _config.maxDuration, "Gateway: minimumDuration must be <= maximumDuration");
         config = _config;
+        claimsCap = 50;
         authorizedClaimers[_claimer] = true;
         emit ClaimerAdded(_claimer);
+        feeTreasury = admin;
+        emit FeeTreasuryUpdated(admin);
+        guardian = admin;
+        emit GuardianUpdated(admin);
     }
 
+    /**
+     * @dev Suffix of ERC-6492 signatures, which wrap the inner signature of a counterfactual account together
+     * with the factory call that deploys it: `abi.encode(factory, factoryCalldata, signature) ++ suffix`.
+     */
+    bytes32 private constant _ERC6492_DETECTION_SUFFIX = 0x6492649264926492649264926492649264926492649264926492649264926492;
+
+    // Makes the factory calls of ERC-6492 signatures, which must never come from the gateway itself
+    ERC6492Deployer private immutable _erc6492Deployer = new ERC6492Deployer();
+
     /**
      * @notice Verifies an EIP-712 typed data signature.
+     * @dev EOAs are checked with ECDSA and contract signers with ERC-1271 `isValidSignature`. An ERC-6492 wrapped
+     * signature is unwrapped and checked against the deployed account; the view never deploys it, deposits do.
      * @param domainSepHash The domain separator hash.
      * @param payloadHash The hash of the structured data payload.
      * @param typedDataSignature The EIP-712 signature to verify.
@@ -138,20 +300,46 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         bytes32 payloadHash,
         bytes memory typedDataSignature,
         address signer
-    ) public pure returns (bool isValid) {
+    ) public view returns (bool isValid) {
         // Compute the EIP-712 typed data hash
         bytes32 typedDataHash = keccak256(
             abi.encodePacked("\x19\x01", domainSepHash, payloadHash)
         );
 
-        // Recover the address from the signature
-        address recoveredAddress = ECDSA.recover(
-            typedDataHash,
-            typedDataSignature
-        );
+        // Strip the ERC-6492 wrapper of an account that has been deployed since signing
+        if (_isErc6492Signature(typedDataSignature)) {
+            (, , typedDataSignature) = abi.decode(typedDataSignature, (address, bytes, bytes));
+        }
+
+        // Recover the EOA, or ask the contract signer, and check it matches the expected signer
+        return SignatureChecker.isValidSignatureNow(signer, typedDataHash, typedDataSignature);
+    }
+
+    /**
+     * @dev Whether `signature` ends with the ERC-6492 detection suffix.
+     */
+    function _isErc6492Signature(bytes memory signature) private pure returns (bool) {
+        if (signature.length < 32) return false;
+
+        bytes32 suffix;
+        assembly ("memory-safe") {
+            // the last word of the signature
+            suffix := mload(add(signature, mload(signature)))
+        }
+        return suffix == _ERC6492_DETECTION_SUFFIX;
+    }
+
+    /**
+     * @dev Deploys a counterfactual `signer` through the factory call in its ERC-6492 signature, so that
+     * `verifyTypedDataSignature` can check it with ERC-1271. No-op for other signatures or deployed signers.
+     * The factory call is made by `_erc6492Deployer`, so an arbitrary target never sees the gateway as its caller.
+     */
+    function _deployErc6492Signer(address signer, bytes memory signature) private {
+        if (signer.code.length != 0 || !_isErc6492Signature(signature)) return;
 
-        // Check if the recovered address matches the expected signer
-        return recoveredAddress == signer;
+        (address factory, bytes memory factoryCalldata, ) = abi.decode(signature, (address, bytes, bytes));
+        bool deployed = _erc6492Deployer.deploy(factory, factoryCalldata);
+        require(deployed && signer.code.length != 0, "Gateway: signer deployment failed");
     }
 
     // Functions
@@ -168,6 +356,15 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         bytes32 payloadHash;
         bytes typedDataSignature;
         bytes receiveAuthorization;
+        // deposit token; address(0) for USDC
+        address token;
+        // protocol fee out of the deposited amount, committed in the order approval
+        uint256 fee;
+        // registered notary set releasing the order, committed in the order approval; bytes32(0) to use `notary`
+        bytes32 notarySet;
+        // range the deposited amount must fall in, committed in the order approval; 0 for no floor, or no cap
+        uint256 minAmount;
+        uint256 maxAmount;
     }
 
     /**
@@ -195,98 +392,145 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         // V1. ...(b) the `.to` field matches this contract...
         require(recipient == address(this), "Gateway: receive authorization not to contract");
 
-        // V1. ...(c) the amount is greater than or equal to `config.minDepositAmount`
-        require(amount != 0 && amount >= config.minDepositAmount, string(abi.encodePacked("Gateway: receive authorization amount too low; minimum is ", Strings.toString(config.minDepositAmount))));
+        // V1. (c) - V8., E1. - E2.
+        IERC20 token = _openOrder(params, amount);
 
-        // V2. The given `approvalExpiration` must be after the current block time
-        require(block.timestamp < params.approvalExpiration, "Gateway: approval expired");
-
-        // V3. The`duration` argument must be greater than or equal to `config.minDuration` and less than or equal to `config.maxDuration`
-        require(
-            params.duration >= config.minDuration && params.duration <= config.maxDuration,
-            string(abi.encodePacked(
-                "Gateway: invalid duration ", Strings.toString(params.duration),"; must be between ", Strings.toString(config.minDuration), " and ", Strings.toString(config.maxDuration)
-            ))
+        // E3. Call `receiveWithAuthorization` on the deposit token
+        (bool usdcReceived, ) = address(token).call(
+            abi.encodePacked(
+                _RECEIVE_WITH_AUTHORIZATION_SELECTOR,
+                params.receiveAuthorization
+            )
         );
 
-        // V4. The given `approver` must be present in the `config.authorizedApprovers` set
-        require(authorizedApprovers[params.approver], "Gateway: approver not authorized");
+        require(usdcReceived, "Gateway: receive authorization failed()");
 
-        // V5. The given `orderId` must never have been seen before
-        require(orders[params.orderId].amount == 0 && orders[params.orderId].notary == address(0), "Gateway: order already exists");
+        // E4. Emit deposit event
+        _emitDeposit(params, amount);
+    }
 
-        // V6. The given `payloadHash` must never have been seen before
-        require(payloads[params.payloadHash] == bytes32(0), "Gateway: payload already used");
 
-        // V7. `ECDSA.tryRecover(keccak256(concat("\x19Ethereum Signed Message:\n168", orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash)), orderApproval)`...
-        address recoveredAddress = ECDSA.recover(
-            keccak256(
-                abi.encodePacked(
-                    "\x19Ethereum Signed Message:\n168",
-                    params.orderId,
-                    params.signer,
-                    params.notary,
-                    params.approvalExpiration,
-                    params.domainSepHash,
-                    params.payloadHash
-                )
-            ),
-            params.orderApproval
+    event Error(string reason);
+    /**
+     * @notice Allows a user to commit funds to initiate an order.
+     */
+    function depositProxy(DepositParams calldata params, uint256 amount) external nonReentrant {
+        // V1. (c) - V8., E1. - E2.
+        IERC20 token = _openOrder(params, amount);
+
+        // E3. Call transferFrom on the deposit token after processing all params
+        token.safeTransferFrom(
+            msg.sender,
+            address(this),
+            amount
         );
 
-        // V7. ...must equal the `approver` address
-        require(recoveredAddress == params.approver, "Gateway: invalid order approval signature");
+        // E4. Emit deposit event
+        emit ProxyDeposit(params.signer, params.orderId, amount, params.duration);
+    }
 
-        // V8. `ECDSA.tryRecover(typedDataHash, typedDataSignature)` must equal the `signer` address, where `typedDataHash` is generated by evaluating `MessageHashUtils.toTypedDataHash(domainSepHash, payloadHash)`
-        bool isValid = verifyTypedDataSignature(
-            params.domainSepHash,
-            params.payloadHash,
-            params.typedDataSignature,
-            params.signer
-        );
-        require(isValid, "Gateway: invalid typed data signature");
+    // EIP-2612 permit signed by the order signer for this contract
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
 
-        // E1. Store to `orders` mapping
-        orders[params.orderId] = Order({
-            status: OrderStatus.Open,
-            expiration: block.timestamp + params.duration,
-            notary: params.notary,
-            refundee: params.signer,
-            amount: amount
-        });
+    /**
+     * @notice Allows a user to commit funds to initiate an order, approving the transfer with an EIP-2612 permit.
+     * @param params The deposit parameters; `receiveAuthorization` is ignored.
+     * @param amount The amount to deposit, which the permit must allow.
+     * @param permit The signer's permit for this contract to spend `amount` of the deposit token.
+     */
+    function depositWithPermit(DepositParams calldata params, uint256 amount, PermitSignature calldata permit) external nonReentrant {
+        // V1. (c) - V8., E1. - E2.
+        IERC20 token = _openOrder(params, amount);
+
+        // E3. Apply the permit, unless it was already submitted by someone else, then pull the funds from the signer
+        try IERC20Permit(address(token)).permit(params.signer, address(this), amount, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+            require(token.allowance(params.signer, address(this)) >= amount, "Gateway: permit failed");
+        }
 
-        // E2. Store to `payloads` mapping
-        payloads[params.payloadHash] = params.orderId;
+        token.safeTransferFrom(params.signer, address(this), amount);
 
-        // E3. Call `receiveWithAuthorization` on USDC
-        (bool usdcReceived, ) = address(usdc).call(
-            abi.encodePacked(
-                _RECEIVE_WITH_AUTHORIZATION_SELECTOR,
-                params.receiveAuthorization
-            )
-        );
+        // E4. Emit deposit event
+        _emitDeposit(params, amount);
+    }
 
-        require(usdcReceived, "Gateway: receive authorization failed()");
+    // canonical Uniswap Permit2 deployment, at the same address on every chain
+    ISignatureTransfer public constant PERMIT2 = ISignatureTransfer(0x000000000022D473030F116dDEE9F6B43aC78BA3);
 
-        // increment deposit count
-        signerCounts[params.signer]++;
+    // witness binding a Permit2 transfer to the order
+    bytes32 private constant _DEPOSIT_WITNESS_TYPEHASH = keccak256("SilentSwapDeposit(bytes32 orderId,bytes32 payloadHash)");
+
+    string private constant _DEPOSIT_WITNESS_TYPE_STRING =
+        "SilentSwapDeposit witness)SilentSwapDeposit(bytes32 orderId,bytes32 payloadHash)TokenPermissions(address token,uint256 amount)";
+
+    // Permit2 `PermitWitnessTransferFrom` fields chosen by the signer
+    struct Permit2Signature {
+        uint256 nonce;
+        uint256 deadline;
+        bytes signature;
+    }
+
+    /**
+     * @notice Allows a user to commit funds to initiate an order through a Permit2 signature transfer.
+     * @dev The signer signs a `PermitWitnessTransferFrom` for `amount` of the deposit token with this contract as
+     * spender and `SilentSwapDeposit(orderId, payloadHash)` as witness, so the signature cannot fund another order.
+     * @param params The deposit parameters; `receiveAuthorization` is ignored.
+     * @param amount The amount to deposit, which must equal the permitted amount.
+     * @param permit The signer's Permit2 nonce, deadline and signature.
+     */
+    function depositWithPermit2(DepositParams calldata params, uint256 amount, Permit2Signature calldata permit) external nonReentrant {
+        // V1. (c) - V8., E1. - E2.
+        IERC20 token = _openOrder(params, amount);
+
+        // E3. Transfer from the signer through Permit2, which checks the signature over the witness
+        PERMIT2.permitWitnessTransferFrom(
+            ISignatureTransfer.PermitTransferFrom({
+                permitted: ISignatureTransfer.TokenPermissions({ token: address(token), amount: amount }),
+                nonce: permit.nonce,
+                deadline: permit.deadline
+            }),
+            ISignatureTransfer.SignatureTransferDetails({ to: address(this), requestedAmount: amount }),
+            params.signer,
+            keccak256(abi.encode(_DEPOSIT_WITNESS_TYPEHASH, params.orderId, params.payloadHash)),
+            _DEPOSIT_WITNESS_TYPE_STRING,
+            permit.signature
+        );
 
         // E4. Emit deposit event
-        emit Deposit(params.signer, params.orderId, amount, params.duration);
+        _emitDeposit(params, amount);
     }
 
+    /**
+     * @dev Emits the `Deposit` event of the entrypoints other than `depositProxy`, shared to keep the gateway under
+     * the contract size limit.
+     */
+    function _emitDeposit(DepositParams calldata params, uint256 amount) private {
+        emit Deposit(params.signer, params.orderId, amount, params.duration);
+    }
 
-    event Error(string reason);
     /**
-     * @notice Allows a user to commit funds to initiate an order.
+     * @dev Runs the validations V1. (c) - V8. shared by every deposit entrypoint and records the order (E1. - E2.).
+     * The caller transfers `amount` of the returned token in before emitting its deposit event.
      */
-    function depositProxy(DepositParams calldata params, uint256 amount) external nonReentrant {
-        // V1. ...(c) the amount is greater than or equal to `config.minDepositAmount`
-        require(amount != 0 && amount >= config.minDepositAmount, string(abi.encodePacked("Gateway: receive authorization amount too low; minimum is ", Strings.toString(config.minDepositAmount))));
+    function _openOrder(DepositParams calldata params, uint256 amount) private returns (IERC20 token) {
+        require(!depositsPaused, "Gateway: deposits paused");
+
+        // V1. ...(c) the amount is greater than or equal to the token's `minDepositAmount`
+        token = _checkDepositAmount(params.token, amount);
+
+        // V1. ...(d) the fee does not exceed the amount
+        require(params.fee <= amount, "Gateway: fee exceeds amount");
 
-        // V2. The given `approvalExpiration` must be before the current block time
+        // V1. ...(e) the amount is within the range committed in the approval, if any
+        require(amount >= params.minAmount && (params.maxAmount == 0 || amount <= params.maxAmount), "Gateway: amount outside expected range");
+
+        // V2. The given `approvalExpiration` must be after the current block time
         require(block.timestamp < params.approvalExpiration, "Gateway: approval expired");
-     
 
         // V3. The`duration` argument must be greater than or equal to `config.minDuration` and less than or equal to `config.maxDuration`
         require(
@@ -295,51 +539,44 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
                 "Gateway: invalid duration ", Strings.toString(params.duration),"; must be between ", Strings.toString(config.minDuration), " and ", Strings.toString(config.maxDuration)
             ))
         );
-       
 
         // V4. The given `approver` must be present in the `config.authorizedApprovers` set
         require(authorizedApprovers[params.approver], "Gateway: approver not authorized");
-      
+
+        // V4. ...and an order bound to a notary set must leave `notary` unset and use a registered set
+        if(params.notarySet != bytes32(0)) {
+            require(params.notary == address(0), "Gateway: notary set orders must not set a notary");
+            require(notarySets[params.notarySet].threshold != 0, "Gateway: notary set not registered");
+        }
 
         // V5. The given `orderId` must never have been seen before
         require(orders[params.orderId].amount == 0 && orders[params.orderId].notary == address(0), "Gateway: order already exists");
-      
 
         // V6. The given `payloadHash` must never have been seen before
         require(payloads[params.payloadHash] == bytes32(0), "Gateway: payload already used");
-     
-
-        // V7. `ECDSA.tryRecover(keccak256(concat("\x19Ethereum Signed Message:\n168", orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash)), orderApproval)`...
-        address recoveredAddress = ECDSA.recover(
-            keccak256(
-                abi.encodePacked(
-                    "\x19Ethereum Signed Message:\n168",
-                    params.orderId,
-                    params.signer,
-                    params.notary,
-                    params.approvalExpiration,
-                    params.domainSepHash,
-                    params.payloadHash
-                )
-            ),
-            params.orderApproval
-        );
+
+        // V7. `ECDSA.recover(hashTypedData(OrderApproval), orderApproval)` in the gateway's EIP-712 domain...
+        // (or, until `legacySignaturesUntil`, the legacy `keccak256(concat("\x19Ethereum Signed Message:\n168", orderId,
+        // signer, notary, approvalExpiration, domainSepHash, payloadHash))`, see `_legacyApprovalDigest`)
+        address recoveredAddress = ECDSA.recover(_hashTypedData(_approvalStructHash(params)), params.orderApproval);
+        if(recoveredAddress != params.approver && _acceptsLegacySignatures()) {
+            recoveredAddress = ECDSA.recover(_legacyApprovalDigest(params), params.orderApproval);
+        }
 
         // V7. ...must equal the `approver` address
         require(recoveredAddress == params.approver, "Gateway: invalid order approval signature");
-      
 
         // V8. `ECDSA.tryRecover(typedDataHash, typedDataSignature)` must equal the `signer` address, where `typedDataHash` is generated by evaluating `MessageHashUtils.toTypedDataHash(domainSepHash, payloadHash)`
+        // (or, for a contract `signer`, its ERC-1271 `isValidSignature(typedDataHash, typedDataSignature)` must pass,
+        // deploying it first from an ERC-6492 signature if it is still counterfactual)
+        _deployErc6492Signer(params.signer, params.typedDataSignature);
         bool isValid = verifyTypedDataSignature(
             params.domainSepHash,
             params.payloadHash,
             params.typedDataSignature,
             params.signer
         );
-        
-        // require validity of the typed data signature
         require(isValid, "Gateway: invalid typed data signature");
-      
 
         // E1. Store to `orders` mapping
         orders[params.orderId] = Order({
@@ -347,29 +584,38 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
             expiration: block.timestamp + params.duration,
             notary: params.notary,
             refundee: params.signer,
-            amount: amount
+            amount: amount,
+            token: address(token),
+            fee: params.fee,
+            notarySet: params.notarySet,
+            openedAt: block.timestamp
         });
 
         // E2. Store to `payloads` mapping
         payloads[params.payloadHash] = params.orderId;
 
-        // E3. Call transferFrom on USDC after processing all params
-        usdc.safeTransferFrom(
-            msg.sender,
-            address(this),
-            amount
-        );
-
         // increment deposit count
         signerCounts[params.signer]++;
 
-        // E4. Emit deposit event
-        emit ProxyDeposit(params.signer, params.orderId, amount, params.duration);
+        // index the order by signer and notary
+        _indexOrder(params);
     }
 
     struct ClaimSpec {
         bytes32 orderId;
         bytes signature;
+        // optional split of the order between recipients, in basis points, committed in the notary signature;
+        // both empty to pay the batch's recipient
+        address[] recipients;
+        uint256[] shares;
+    }
+
+    // claimed amounts per distinct token and recipient, transferred once the batch is processed
+    struct Payouts {
+        address[] tokens;
+        address[] recipients;
+        uint256[] amounts;
+        uint256 length;
     }
 
     struct BulkClaimParams {
@@ -377,20 +623,29 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         address recipient;
     }
 
-    uint256 public claimsCap = 50;
+    uint256 public claimsCap;
 
     /**
      * @notice Sets the maximum number of claims allowed in a bulk claim.
      * @param newCap The new maximum number of claims.
      */
-    function setClaimsCap(uint256 newCap) external onlyOwner {
+    function setClaimsCap(uint256 newCap) external timelocked {
         claimsCap = newCap;
+        emit ClaimsCapUpdated(newCap);
     }
 
     /**
      * @notice Allows a party to claim the funds associated with an order by providing proof of order satisfaction.
+     * @dev Funds are transferred once per token and recipient. Each order's fee goes to `feeTreasury` instead of the
+     * recipient. An order whose claim carries `recipients` is split between them by `shares`, the last recipient
+     * taking the rounding remainder; other orders go to `params.recipient`. One `Claim` event is emitted per
+     * recipient of an order.
+     * @return The sum of the claimed amounts net of fees, across all tokens.
      */
     function claim(BulkClaimParams calldata params) external nonReentrant returns (uint256) {
+        // claims are paused
+        if(claimsPaused) revert ClaimRejectedPaused();
+
         // sender is not authorized
         if(!authorizedClaimers[params.recipient]) revert ClaimRejectedUnauthorized();
 
@@ -406,10 +661,20 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         // cache claims' recipient
         address recipient = params.recipient;
 
+        // claimed amount per distinct token and recipient, at most one per order or split share
+        uint256 payoutsLen = claimsLen;
+        for (uint i = 0; i < claimsLen; i++) payoutsLen += params.claims[i].recipients.length;
+        Payouts memory payouts = Payouts(new address[](payoutsLen), new address[](payoutsLen), new uint256[](payoutsLen), 0);
+
+        // fees per distinct token
+        address[] memory tokens = new address[](claimsLen);
+        uint256[] memory tokenFees = new uint256[](claimsLen);
+        uint256 tokensLen = 0;
+
         // each claim
         for (uint i = 0; i < claimsLen; i++) {
             // cache claim
-            ClaimSpec memory claim = params.claims[i];
+            ClaimSpec calldata claim = params.claims[i];
 
             // look up order
             Order storage order = orders[claim.orderId];
@@ -417,50 +682,169 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
             // order must have status "Open"
             if(order.status != OrderStatus.Open) revert ClaimRejectedOrderNotOpen(i, order.status);
 
-            // verify the claim's signature against the order's approved notary address
+            // the message notaries sign to release the order
+            bytes32 digest = _claimDigest(claim, i);
+
+            // a notary set order needs at least `threshold` signatures...
+            if(order.notarySet != bytes32(0)) {
+                uint256 count = claim.signature.length / 65;
+                uint256 threshold = notarySets[order.notarySet].threshold;
+                if(count < threshold) revert ClaimRejectedNotaryThreshold(i, count, threshold);
+            }
+
+            // ...and the claim's signatures must come from the order's approved notary or members of its set, over
+            // the EIP-712 message or, for unsplit claims until `legacySignaturesUntil`, `toEthSignedMessageHash(keccak256(orderId))`
             if(
-                ECDSA.recover(
-                    keccak256(
-                        abi.encodePacked(
-                            "\x19Ethereum Signed Message:\n32",
-                            keccak256(abi.encodePacked(claim.orderId))
-                        )
-                    ),
-                    claim.signature
-                ) != order.notary
+                !_isNotarySignature(order, digest, claim.signature)
+                    && !(claim.recipients.length == 0 && _acceptsLegacySignatures() && _isNotarySignature(order, MessageHashUtils.toEthSignedMessageHash(keccak256(abi.encodePacked(claim.orderId))), claim.signature))
             ) revert ClaimRejectedInvalidSignature();
 
+            // the order would take the window's USDC claims past the cap: trip the breaker, leaving it and the
+            // rest of the batch open, and pay out what was claimed so far
+            if(!_consumeClaimWindow(order)) {
+                claimsPaused = true;
+                emit Paused(PauseScope.Claims, address(this), "Gateway: claim window cap reached");
+                break;
+            }
+
             // update order status
             order.status = OrderStatus.Completed;
 
-            // accumulate claim amount
-            amount += order.amount;
+            // split off the fee
+            uint256 claimed = order.amount - order.fee;
 
-            // emit claim event
-            emit Claim(claim.orderId, recipient, order.amount);
+            // accumulate claim amount
+            amount += claimed;
+
+            // accumulate per-token fee
+            uint256 t = 0;
+            while(t < tokensLen && tokens[t] != order.token) t++;
+            if(t == tokensLen) tokens[tokensLen++] = order.token;
+            tokenFees[t] += order.fee;
+
+            // pay the order to the batch's recipient, or split it between the recipients the notaries signed for
+            uint256 splits = claim.recipients.length;
+            if(splits == 0) {
+                _addPayout(payouts, order.token, recipient, claimed);
+                emit Claim(claim.orderId, recipient, claimed);
+            }
+            uint256 remaining = claimed;
+            for (uint s = 0; s < splits; s++) {
+                uint256 share = s + 1 == splits ? remaining : claimed * claim.shares[s] / _BPS;
+                remaining -= share;
+                _addPayout(payouts, order.token, claim.recipients[s], share);
+                emit Claim(claim.orderId, claim.recipients[s], share);
+            }
         }
 
-        // transfer total claimed funds
-        usdc.safeTransfer(recipient, amount);
+        // transfer total claimed funds of each token and recipient, and fees of each token
+        for (uint p = 0; p < payouts.length; p++) {
+            IERC20(payouts.tokens[p]).safeTransfer(payouts.recipients[p], payouts.amounts[p]);
+        }
+        for (uint t = 0; t < tokensLen; t++) {
+            _collectFee(tokens[t], tokenFees[t]);
+        }
 
         return amount;
     }
 
+    /**
+     * @notice Registers a notary set that orders can bind to instead of a single notary. Anyone can register a
+     * set; an order only uses it once an approver commits to its ID. Registering a set again is a no-op.
+     * @param members The notaries, in ascending address order.
+     * @param threshold The number of members that must sign a claim.
+     * @return setId The set's ID, `keccak256(abi.encode(members, threshold))`.
+     */
+    function registerNotarySet(address[] calldata members, uint256 threshold) external returns (bytes32 setId) {
+        require(threshold != 0 && threshold <= members.length, "Gateway: invalid notary threshold");
+
+        setId = keccak256(abi.encode(members, threshold));
+        if(notarySets[setId].threshold != 0) return setId;
+
+        // ascending order makes the members unique and the ID canonical
+        for (uint i = 0; i < members.length; i++) {
+            require(members[i] > (i == 0? address(0): members[i - 1]), "Gateway: notaries must be sorted and unique");
+            notarySetMembers[setId][members[i]] = true;
+        }
+
+        NotarySet storage notarySet = notarySets[setId];
+        notarySet.members = members;
+        notarySet.threshold = threshold;
+
+        emit NotarySetRegistered(setId, members, threshold);
+    }
+
+    /**
+     * @notice Returns a registered notary set; an unregistered set has no members and a threshold of 0.
+     */
+    function getNotarySet(bytes32 setId) external view returns (address[] memory members, uint256 threshold) {
+        NotarySet storage notarySet = notarySets[setId];
+        return (notarySet.members, notarySet.threshold);
+    }
+
     /**
      * @notice Refunds an order request to the sender if the order is expired.
+     * @dev Under `RefundFeePolicy.RetainFee` the order's fee goes to `feeTreasury` and the rest is refunded.
      */
     function refund(bytes32 orderId) external nonReentrant {
         Order storage order = orders[orderId];
-        require(order.status == OrderStatus.Open, string(abi.encodePacked("Gateway: order not open; status: ", order.status)));
+        _requireOpen(order);
         require(block.timestamp >= order.expiration, string(abi.encodePacked("Gateway: order not expired; expires: ", order.expiration)));
 
         // update order status
         order.status = OrderStatus.Aborted;
 
-        // transfer funds
-        usdc.safeTransfer(order.refundee, order.amount);
+        emit Refund(orderId, order.refundee, _refundOrder(order));
+    }
 
-        emit Refund(orderId, order.refundee, order.amount);
+    /**
+     * @notice Extends an order that has not expired yet, e.g. while its cross-chain route is stalled.
+     * @dev Signed by the order's notary (`threshold` members of its notary set, packed as in `claim`) or by an
+     * authorized approver, over the EIP-712 `ExtendOrder(orderId, expiration)`.
+     * @param orderId The order to extend.
+     * @param newExpiration The new expiration, later than the current one and at most `openedAt + config.maxDuration`.
+     * @param signature The notary's or approver's signature.
+     */
+    function extendOrder(bytes32 orderId, uint256 newExpiration, bytes calldata signature) external {
+        Order storage order = orders[orderId];
+        _requireOpen(order);
+        require(block.timestamp < order.expiration, "Gateway: order expired");
+        require(newExpiration > order.expiration && newExpiration <= order.openedAt + config.maxDuration, "Gateway: invalid expiration");
+
+        bytes32 digest = _hashTypedData(keccak256(abi.encode(_EXTEND_ORDER_TYPEHASH, orderId, newExpiration)));
+        (address approver, , ) = ECDSA.tryRecover(digest, signature);
+        require(
+            (signature.length == 65 && authorizedApprovers[approver]) || _isNotarySignature(order, digest, signature),
+            "Gateway: invalid extension signature"
+        );
+
+        order.expiration = newExpiration;
+        emit OrderExtended(orderId, newExpiration);
+    }
+
+    /**
+     * @notice Aborts an order before it expires and refunds it right away, once both its refundee and its notary
+     * (`threshold` members of its notary set) agree. Anyone can submit the signatures.
+     * @dev Both sign the EIP-712 `CancelOrder(orderId)`; a contract refundee through ERC-1271. The refund applies
+     * `refundFeePolicy` like `refund`.
+     * @param orderId The order to cancel.
+     * @param refundeeSignature The refundee's signature.
+     * @param notarySignature The notary's signature, or the packed signatures of the notary set's members.
+     */
+    function cancelOrder(bytes32 orderId, bytes calldata refundeeSignature, bytes calldata notarySignature) external nonReentrant {
+        Order storage order = orders[orderId];
+        _requireOpen(order);
+
+        bytes32 digest = _hashTypedData(keccak256(abi.encode(_CANCEL_ORDER_TYPEHASH, orderId)));
+        require(
+            SignatureChecker.isValidSignatureNow(order.refundee, digest, refundeeSignature) && _isNotarySignature(order, digest, notarySignature),
+            "Gateway: invalid cancellation signature"
+        );
+
+        // update order status
+        order.status = OrderStatus.Aborted;
+
+        emit OrderCancelled(orderId, order.refundee, _refundOrder(order));
     }
 
     /**
@@ -470,7 +854,7 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         uint256 minimumDuration,
         uint256 maximumDuration,
         uint256 minimumDepositAmount
-    ) external onlyOwner {
+    ) external timelocked {
         require(minimumDuration <= maximumDuration, "Gateway: minimumDuration must be <= maximumDuration");
         
         config = Config({
@@ -493,10 +877,199 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
         return config;
     }
 
+    /**
+     * @notice Allowlists a deposit token other than USDC, or updates its minimum deposit.
+     * @param token The address of the token.
+     * @param minDepositAmount The minimum amount per deposit, in the token's units.
+     */
+    function setDepositToken(address token, uint256 minDepositAmount) external onlyOwner {
+        require(token != address(0) && token != address(usdc), "Gateway: USDC is configured through setConfig");
+        depositTokens[token] = DepositToken({ allowed: true, minDepositAmount: minDepositAmount });
+        emit DepositTokenSet(token, minDepositAmount);
+    }
+
+    /**
+     * @notice Removes a deposit token from the allowlist. Open orders in that token can still be claimed or refunded.
+     */
+    function removeDepositToken(address token) external onlyOwner {
+        delete depositTokens[token];
+        emit DepositTokenRemoved(token);
+    }
+
+    /**
+     * @notice Returns the minimum deposit of a token.
+     * @param token The address of the token; address(0) for USDC.
+     * @return minDepositAmount The minimum amount per deposit, in the token's units.
+     */
+    function getMinDepositAmount(address token) public view returns (uint256 minDepositAmount) {
+        if(token == address(0) || token == address(usdc)) return config.minDepositAmount;
+        require(depositTokens[token].allowed, "Gateway: token not allowed");
+        return depositTokens[token].minDepositAmount;
+    }
+
+    /**
+     * @notice Sets the recipient of protocol fees.
+     */
+    function setFeeTreasury(address treasury) external onlyOwner {
+        require(treasury != address(0), "Gateway: treasury is the zero address");
+        feeTreasury = treasury;
+        emit FeeTreasuryUpdated(treasury);
+    }
+
+    /**
+     * @notice Sets whether refunds return the order's fee to the refundee or send it to the treasury.
+     * @dev Timelocked, since it also applies to orders already open.
+     */
+    function setRefundFeePolicy(RefundFeePolicy policy) external timelocked {
+        refundFeePolicy = policy;
+        emit RefundFeePolicyUpdated(policy);
+    }
+
+    /**
+     * @notice Sets the guardian, who can pause deposits and claims; address(0) leaves pausing to the owner.
+     * @dev Timelocked, since the guardian can cancel the owner's scheduled operations.
+     */
+    function setGuardian(address newGuardian) external timelocked {
+        guardian = newGuardian;
+        emit GuardianUpdated(newGuardian);
+    }
+
+    /**
+     * @notice Halts deposits, claims or both. Callable by the guardian or the owner. Refunds of expired orders
+     * stay available.
+     * @param scope What to pause.
+     * @param reason Why, emitted for monitoring.
+     */
+    function pause(PauseScope scope, string calldata reason) external {
+        require(msg.sender == guardian || msg.sender == owner(), "Gateway: caller is not the guardian");
+        if(scope != PauseScope.Claims) depositsPaused = true;
+        if(scope != PauseScope.Deposits) claimsPaused = true;
+        emit Paused(scope, msg.sender, reason);
+    }
+
+    /**
+     * @notice Resumes deposits, claims or both.
+     */
+    function unpause(PauseScope scope) external onlyOwner {
+        if(scope != PauseScope.Claims) depositsPaused = false;
+        if(scope != PauseScope.Deposits) claimsPaused = false;
+        emit Unpaused(scope, msg.sender);
+    }
+
+    /**
+     * @notice Caps the USDC claimed per window; a claim that would exceed the cap pauses claims instead.
+     * @param window The window length in seconds.
+     * @param cap The USDC claimable per window, fees included; 0 disables the breaker.
+     */
+    function setClaimWindowCap(uint256 window, uint256 cap) external onlyOwner {
+        require(cap == 0 || window != 0, "Gateway: claim window is zero");
+        claimWindow = window;
+        claimWindowCap = cap;
+        emit ClaimWindowCapUpdated(window, cap);
+    }
+
+    // Set only while `executeOperation` calls the gateway, so that no other self-call passes as an executed operation
+    bool private _executingOperation;
+
+    /**
+     * @dev Restricts a function to calls executed through the timelock, or to the owner while `timelockDelay` is 0.
+     */
+    modifier timelocked() {
+        _checkTimelocked();
+        _;
+    }
+
+    function _checkTimelocked() private view {
+        if(!_executingOperation || msg.sender != address(this)) {
+            _checkOwner();
+            require(timelockDelay == 0, "Gateway: call must be scheduled");
+        }
+    }
+
+    /**
+     * @notice Sets the delay of the timelock. Once it is not 0, it can only be changed through the timelock.
+     */
+    function setTimelockDelay(uint256 delay) external timelocked {
+        timelockDelay = delay;
+        emit TimelockDelayUpdated(delay);
+    }
+
+    /**
+     * @notice Accepts legacy personal-sign approvals and notary signatures alongside EIP-712 ones until `deadline`,
+     * so signers can migrate; 0 or a past time ends the transition.
+     */
+    function setLegacySignaturesUntil(uint256 deadline) external timelocked {
+        legacySignaturesUntil = deadline;
+        emit LegacySignaturesUntilUpdated(deadline);
+    }
+
+    /**
+     * @notice The EIP-712 domain separator of order approvals and notary signatures:
+     * `EIP712Domain(name: "SilentSwapV2Gateway", version: "1", chainId, verifyingContract: this gateway)`.
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, _HASHED_NAME, _HASHED_VERSION, block.chainid, address(this)));
+    }
+
+    /**
+     * @notice Schedules a call to `setConfig`, `addApprover`, `addClaimer`, `setClaimsCap`, `setTimelockDelay` or
+     * `setLegacySignaturesUntil` (and `upgradeToAndCall` of an upgradeable gateway), executable once `timelockDelay` has passed.
+     * @param data The calldata of the call.
+     * @return id The operation's ID, `keccak256(data)`.
+     */
+    function scheduleOperation(bytes calldata data) external onlyOwner returns (bytes32 id) {
+        require(_isTimelocked(bytes4(data)), "Gateway: call is not timelocked");
+
+        id = keccak256(data);
+        require(operationReadyAt[id] == 0, "Gateway: operation already scheduled");
+
+        uint256 readyAt = block.timestamp + timelockDelay;
+        operationReadyAt[id] = readyAt;
+        emit Scheduled(id, data, readyAt);
+    }
+
+    /**
+     * @dev Whether calls to `selector` are timelocked, and can therefore be scheduled.
+     */
+    function _isTimelocked(bytes4 selector) internal view virtual returns (bool) {
+        return selector == this.setConfig.selector || selector == this.addApprover.selector || selector == this.addClaimer.selector
+            || selector == this.setClaimsCap.selector || selector == this.setTimelockDelay.selector
+            || selector == this.setLegacySignaturesUntil.selector || selector == this.setGuardian.selector
+            || selector == this.setRefundFeePolicy.selector;
+    }
+
+    /**
+     * @notice Executes a scheduled call whose delay has passed.
+     * @param data The calldata it was scheduled with.
+     */
+    function executeOperation(bytes calldata data) external onlyOwner {
+        bytes32 id = keccak256(data);
+        uint256 readyAt = operationReadyAt[id];
+        require(readyAt != 0, "Gateway: operation not scheduled");
+        require(block.timestamp >= readyAt, "Gateway: operation not ready");
+
+        delete operationReadyAt[id];
+        _executingOperation = true;
+        Address.functionCall(address(this), data);
+        _executingOperation = false;
+        emit Executed(id, data);
+    }
+
+    /**
+     * @notice Cancels a scheduled call. Callable by the owner or the guardian.
+     */
+    function cancelOperation(bytes32 id) external {
+        require(msg.sender == guardian || msg.sender == owner(), "Gateway: caller is not the guardian");
+        require(operationReadyAt[id] != 0, "Gateway: operation not scheduled");
+
+        delete operationReadyAt[id];
+        emit Cancelled(id);
+    }
+
     /**
      * @notice Adds an approver to the authorized list.
      */
-    function addApprover(address approver) external onlyOwner {
+    function addApprover(address approver) external timelocked {
         authorizedApprovers[approver] = true;
         emit ApproverAdded(approver);
     }
@@ -513,7 +1086,7 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
     /**
      * @notice Adds a claimer to the authorized list.
      */
-    function addClaimer(address claimer) external onlyOwner {
+    function addClaimer(address claimer) external timelocked {
         authorizedClaimers[claimer] = true;
         emit ClaimerAdded(claimer);
     }
@@ -553,4 +1126,289 @@ contract SilentSwapV2Gateway is Ownable2Step, ReentrancyGuard {
     ) external view returns (OrderStatus) {
         return orders[orderId].status;
     }
+
+    /**
+     * @notice Returns the number of orders bound to a given notary, including orders of notary sets it is a member of.
+     * @dev The number of orders opened by a signer is `getSignerCount(signer)`.
+     * @param notary The address of the notary.
+     * @return count The number of orders bound to the notary.
+     */
+    function getNotaryOrderCount(address notary) external view returns (uint256 count) {
+        return notaryOrderIds[notary].length;
+    }
+
+    /**
+     * @notice Lists a page of the orders opened by a signer.
+     * @param signer The address of the signer.
+     * @param status Only return orders with this status; `None` returns every order.
+     * @param offset Position in the signer's orders to start from.
+     * @param limit Maximum number of orders to scan.
+     * @return orderIds The IDs of the matching orders.
+     * @return records The matching orders, in the same order as `orderIds`.
+     * @return nextOffset Offset of the next page; equals `getSignerCount(signer)` once every order was scanned.
+     */
+    function getSignerOrders(
+        address signer,
+        OrderStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory orderIds, Order[] memory records, uint256 nextOffset) {
+        return _pageOrders(signerOrderIds[signer], status, offset, limit);
+    }
+
+    /**
+     * @notice Lists a page of the orders bound to a notary, including orders of notary sets it is a member of.
+     * @param notary The address of the notary.
+     * @param status Only return orders with this status; `None` returns every order.
+     * @param offset Position in the notary's orders to start from.
+     * @param limit Maximum number of orders to scan.
+     * @return orderIds The IDs of the matching orders.
+     * @return records The matching orders, in the same order as `orderIds`.
+     * @return nextOffset Offset of the next page; equals `getNotaryOrderCount(notary)` once every order was scanned.
+     */
+    function getNotaryOrders(
+        address notary,
+        OrderStatus status,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory orderIds, Order[] memory records, uint256 nextOffset) {
+        return _pageOrders(notaryOrderIds[notary], status, offset, limit);
+    }
+
+    /**
+     * @notice Lists a page of a signer's orders that are still Open, i.e. neither claimed nor refunded.
+     * @dev Same as `getSignerOrders(signer, OrderStatus.Open, offset, limit)`. An order can be refunded once `block.timestamp >= expiration`.
+     */
+    function openDeposits(
+        address signer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory orderIds, Order[] memory records, uint256 nextOffset) {
+        return _pageOrders(signerOrderIds[signer], OrderStatus.Open, offset, limit);
+    }
+
+    /**
+     * @dev Resolves the deposit token and requires `amount` to meet its minimum deposit.
+     */
+    function _checkDepositAmount(address token, uint256 amount) private view returns (IERC20) {
+        uint256 minDepositAmount = getMinDepositAmount(token);
+        require(amount != 0 && amount >= minDepositAmount, string(abi.encodePacked("Gateway: receive authorization amount too low; minimum is ", Strings.toString(minDepositAmount))));
+        return token == address(0)? usdc: IERC20(token);
+    }
+
+    /**
+     * @dev Counts a USDC order against the claim window, starting a new window once the current one has passed.
+     * @return False if the order would exceed `claimWindowCap`, in which case nothing is counted.
+     */
+    function _consumeClaimWindow(Order storage order) private returns (bool) {
+        if(claimWindowCap == 0 || order.token != address(usdc)) return true;
+
+        if(block.timestamp >= claimWindowStart + claimWindow) {
+            claimWindowStart = block.timestamp;
+            claimedInWindow = 0;
+        }
+
+        uint256 claimed = claimedInWindow + order.amount;
+        if(claimed > claimWindowCap) return false;
+        claimedInWindow = claimed;
+        return true;
+    }
+
+    /**
+     * @dev Whether `signatures` release `order`: the signature of its notary, or at least `threshold` signatures of
+     * distinct members of its notary set, packed in ascending signer order.
+     */
+    function _isNotarySignature(Order storage order, bytes32 digest, bytes calldata signatures) private view returns (bool) {
+        if(order.notarySet == bytes32(0)) {
+            (address notary, , ) = ECDSA.tryRecover(digest, signatures);
+            return signatures.length == 65 && notary == order.notary;
+        }
+
+        uint256 count = signatures.length / 65;
+        if(signatures.length % 65 != 0 || count < notarySets[order.notarySet].threshold) return false;
+
+        address previous = address(0);
+        for (uint k = 0; k < count; k++) {
+            (address notary, , ) = ECDSA.tryRecover(digest, signatures[k * 65:(k + 1) * 65]);
+            if(notary <= previous || !notarySetMembers[order.notarySet][notary]) return false;
+            previous = notary;
+        }
+        return true;
+    }
+
+    /**
+     * @dev Reverts unless `order` is open.
+     */
+    function _requireOpen(Order storage order) private view {
+        require(order.status == OrderStatus.Open, string(abi.encodePacked("Gateway: order not open; status: ", order.status)));
+    }
+
+    /**
+     * @dev Whether legacy personal-sign approvals and notary signatures are still accepted, see `legacySignaturesUntil`.
+     */
+    function _acceptsLegacySignatures() private view returns (bool) {
+        return block.timestamp < legacySignaturesUntil;
+    }
+
+    /**
+     * @dev Returns an aborted order's funds to its refundee, less the fee under `RefundFeePolicy.RetainFee`.
+     * @return refunded The amount sent to the refundee.
+     */
+    function _refundOrder(Order storage order) private returns (uint256 refunded) {
+        // keep the fee if the policy says so
+        uint256 fee = refundFeePolicy == RefundFeePolicy.RetainFee? order.fee: 0;
+        refunded = order.amount - fee;
+
+        // transfer funds in the token that was deposited
+        IERC20(order.token).safeTransfer(order.refundee, refunded);
+        _collectFee(order.token, fee);
+    }
+
+    /**
+     * @dev Sends `fee` of `token` to the treasury and accounts for it.
+     */
+    function _collectFee(address token, uint256 fee) private {
+        if(fee == 0) return;
+        accruedFees[token] += fee;
+        IERC20(token).safeTransfer(feeTreasury, fee);
+        emit FeesCollected(token, feeTreasury, fee);
+    }
+
+    /**
+     * @dev Adds `amount` of `token` to what `recipient` is paid, merging it with an earlier payout of the same pair.
+     */
+    function _addPayout(Payouts memory payouts, address token, address recipient, uint256 amount) private pure {
+        uint256 p = 0;
+        while(p < payouts.length && (payouts.tokens[p] != token || payouts.recipients[p] != recipient)) p++;
+        if(p == payouts.length) {
+            payouts.tokens[p] = token;
+            payouts.recipients[p] = recipient;
+            payouts.length++;
+        }
+        payouts.amounts[p] += amount;
+    }
+
+    /**
+     * @dev EIP-712 digest notaries sign to release the claim at `index`: `Claim(orderId)`, or
+     * `SplitClaim(orderId, recipients, shares)` if it is split, after checking the split.
+     */
+    function _claimDigest(ClaimSpec calldata spec, uint256 index) private view returns (bytes32) {
+        uint256 splits = spec.recipients.length;
+        if(splits != spec.shares.length) revert ClaimRejectedInvalidSplit(index);
+        if(splits == 0) return _hashTypedData(keccak256(abi.encode(_CLAIM_TYPEHASH, spec.orderId)));
+
+        // every recipient is an authorized claimer with a positive share, and the shares add up to the whole order
+        uint256 total = 0;
+        for (uint s = 0; s < splits; s++) {
+            address splitRecipient = spec.recipients[s];
+            if(splitRecipient == address(0) || !authorizedClaimers[splitRecipient] || spec.shares[s] == 0) revert ClaimRejectedInvalidSplit(index);
+            total += spec.shares[s];
+        }
+        if(total != _BPS) revert ClaimRejectedInvalidSplit(index);
+
+        return _hashTypedData(keccak256(abi.encode(
+            _SPLIT_CLAIM_TYPEHASH, spec.orderId, keccak256(abi.encodePacked(spec.recipients)), keccak256(abi.encodePacked(spec.shares))
+        )));
+    }
+
+    /**
+     * @dev EIP-712 digest of `structHash` in the gateway's domain.
+     */
+    function _hashTypedData(bytes32 structHash) private view returns (bytes32) {
+        return MessageHashUtils.toTypedDataHash(DOMAIN_SEPARATOR(), structHash);
+    }
+
+    /**
+     * @dev EIP-712 struct hash of the order approval; every field is always included.
+     */
+    function _approvalStructHash(DepositParams calldata params) private pure returns (bytes32) {
+        return keccak256(bytes.concat(
+            abi.encode(_ORDER_APPROVAL_TYPEHASH, params.orderId, params.signer, params.notary, params.approvalExpiration, params.domainSepHash),
+            abi.encode(params.payloadHash, params.token, params.fee, params.notarySet, params.minAmount, params.maxAmount)
+        ));
+    }
+
+    /**
+     * @dev Digest of the legacy order approval. USDC deposits keep the original 168-byte preimage; other tokens
+     * append the token address so an approval cannot be replayed with a different asset. Orders with a fee
+     * append the token (even for USDC) and the fee, so the approver commits to it. Orders bound to a notary set
+     * further append the set's ID, and orders with an amount range (a non-zero `minAmount` or `maxAmount`) the
+     * set's ID (even if zero), `minAmount` and `maxAmount`.
+     */
+    function _legacyApprovalDigest(DepositParams calldata params) private pure returns (bytes32) {
+        bytes memory preimage = abi.encodePacked(
+            params.orderId,
+            params.signer,
+            params.notary,
+            params.approvalExpiration,
+            params.domainSepHash,
+            params.payloadHash
+        );
+
+        // each extension implies the ones before it
+        bool hasRange = params.minAmount != 0 || params.maxAmount != 0;
+        bool hasNotarySet = hasRange || params.notarySet != bytes32(0);
+        bool hasFee = hasNotarySet || params.fee != 0;
+
+        if(hasFee || params.token != address(0)) preimage = abi.encodePacked(preimage, params.token);
+        if(hasFee) preimage = abi.encodePacked(preimage, params.fee);
+        if(hasNotarySet) preimage = abi.encodePacked(preimage, params.notarySet);
+        if(hasRange) preimage = abi.encodePacked(preimage, params.minAmount, params.maxAmount);
+
+        // "\x19Ethereum Signed Message:\n" ++ length ++ preimage
+        return MessageHashUtils.toEthSignedMessageHash(preimage);
+    }
+
+    /**
+     * @dev Appends a new order to its signer's and notary's indexes, or to the index of every member of its notary set.
+     */
+    function _indexOrder(DepositParams calldata params) private {
+        signerOrderIds[params.signer].push(params.orderId);
+
+        if(params.notarySet == bytes32(0)) {
+            notaryOrderIds[params.notary].push(params.orderId);
+            return;
+        }
+
+        address[] storage members = notarySets[params.notarySet].members;
+        for (uint i = 0; i < members.length; i++) {
+            notaryOrderIds[members[i]].push(params.orderId);
+        }
+    }
+
+    /**
+     * @dev Scans up to `limit` IDs of `ids` starting at `offset` and returns those whose order has the given status.
+     */
+    function _pageOrders(
+        bytes32[] storage ids,
+        OrderStatus status,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (bytes32[] memory orderIds, Order[] memory records, uint256 nextOffset) {
+        uint256 idsLen = ids.length;
+
+        // clamp the scanned range to the index
+        if(offset > idsLen) offset = idsLen;
+        nextOffset = limit < idsLen - offset? offset + limit: idsLen;
+
+        // count matches first to size the results
+        uint256 matched = 0;
+        for (uint i = offset; i < nextOffset; i++) {
+            if(status == OrderStatus.None || orders[ids[i]].status == status) matched++;
+        }
+
+        orderIds = new bytes32[](matched);
+        records = new Order[](matched);
+
+        // collect matches
+        uint256 j = 0;
+        for (uint i = offset; i < nextOffset && j < matched; i++) {
+            Order storage order = orders[ids[i]];
+            if(status == OrderStatus.None || order.status == status) {
+                orderIds[j] = ids[i];
+                records[j] = order;
+                j++;
+            }
+        }
+    }
 }
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+
+/**
+ * @title SilentSwap V2 - Gateway Proxy
+ * @dev ERC-1967 proxy of a `SilentSwapV2GatewayUpgradeable`. It holds the gateway's state and funds, and delegates
+ * every call to the implementation, which also carries the upgrade logic (UUPS).
+ */
+contract SilentSwapV2GatewayProxy is Proxy {
+    // ERC-1967 implementation slot, `bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)`
+    bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @param implementation The initial implementation.
+     * @param data Calldata to delegate call the implementation with, normally `initialize`.
+     */
+    constructor(address implementation, bytes memory data) {
+        require(implementation.code.length > 0, "Gateway: implementation is not a contract");
+        StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value = implementation;
+        emit Upgraded(implementation);
+
+        if(data.length > 0) Address.functionDelegateCall(implementation, data);
+    }
+
+    function _implementation() internal view override returns (address) {
+        return StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value;
+    }
+}
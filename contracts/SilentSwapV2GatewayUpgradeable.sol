@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/interfaces/draft-IERC1822.sol";
+import "@openzeppelin/contracts/utils/StorageSlot.sol";
+import "./SilentSwapV2Gateway.sol";
+
+/**
+ * @title SilentSwap V2 - Upgradeable EVM Gateway Contract
+ * @dev The gateway behind a `SilentSwapV2GatewayProxy`, which keeps its address, orders and funds across upgrades.
+ * Upgrades are UUPS: the proxy's owner calls `upgradeToAndCall`, which is timelocked like the other owner setters.
+ * Storage is the gateway's own, so a new implementation may only append to it; the test suite checks every
+ * implementation against the layouts saved in `storage-layouts/`. OpenZeppelin's UUPSUpgradeable needs solc 0.8.22,
+ * while the gateway is pinned to 0.8.20, hence the ERC-1967 upgrade logic below.
+ */
+contract SilentSwapV2GatewayUpgradeable is SilentSwapV2Gateway, Initializable, IERC1822Proxiable {
+    // ERC-1967 implementation slot, `bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)`
+    bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    address private immutable _self = address(this);
+
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @dev Restricts a function to delegate calls from a proxy that currently points at this implementation.
+     */
+    modifier onlyProxy() {
+        require(address(this) != _self && StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value == _self, "Gateway: not called through a proxy");
+        _;
+    }
+
+    /**
+     * @dev The implementation itself holds no orders: it is left without an owner and cannot be initialized.
+     * @param _usdc The address of the USDC token contract, fixed for every implementation of a proxy.
+     */
+    constructor(IERC20 _usdc) SilentSwapV2Gateway(_usdc, Config(0, 0, 0), address(0)) {
+        _transferOwnership(address(0));
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Sets up a proxied gateway, in place of the constructor.
+     * @param _config Initial configuration values.
+     * @param _claimer The first authorized claimer.
+     * @param initialOwner The owner, who is also the initial fee treasury and guardian.
+     */
+    function initialize(Config calldata _config, address _claimer, address initialOwner) external initializer {
+        if(initialOwner == address(0)) revert OwnableInvalidOwner(address(0));
+        _transferOwnership(initialOwner);
+        _initializeGateway(_config, _claimer, initialOwner);
+    }
+
+    /**
+     * @notice The ERC-1822 storage slot of the implementation address; only answered by an implementation, never
+     * through a proxy, so a proxy cannot be upgraded to another proxy.
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        require(address(this) == _self, "Gateway: called through a proxy");
+        return _IMPLEMENTATION_SLOT;
+    }
+
+    /**
+     * @notice Points the proxy at a new implementation and optionally delegate calls it, e.g. with a `reinitializer`.
+     * @dev Timelocked. The new implementation must answer `proxiableUUID` and use the same USDC.
+     * @param newImplementation The new implementation.
+     * @param data Calldata to delegate call the new implementation with; none if empty.
+     */
+    function upgradeToAndCall(address newImplementation, bytes calldata data) external onlyProxy timelocked {
+        bool proxiable;
+        if(newImplementation.code.length > 0) {
+            try IERC1822Proxiable(newImplementation).proxiableUUID() returns (bytes32 slot) {
+                proxiable = slot == _IMPLEMENTATION_SLOT;
+            } catch {}
+        }
+        require(proxiable && SilentSwapV2Gateway(newImplementation).usdc() == usdc, "Gateway: invalid implementation");
+
+        StorageSlot.getAddressSlot(_IMPLEMENTATION_SLOT).value = newImplementation;
+        emit Upgraded(newImplementation);
+
+        if(data.length > 0) Address.functionDelegateCall(newImplementation, data);
+    }
+
+    function _isTimelocked(bytes4 selector) internal view virtual override returns (bool) {
+        return selector == this.upgradeToAndCall.selector || super._isTimelocked(selector);
+    }
+}
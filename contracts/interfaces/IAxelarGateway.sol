@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAxelarGateway
+ * @notice The part of the Axelar gateway that destination contracts use to validate `callContractWithToken` calls.
+ */
+interface IAxelarGateway {
+    /**
+    * @notice Consumes an approved contract call with tokens and mints the tokens to the caller
+    * @param commandId         Identifier of the approval command
+    * @param sourceChain       Name of the source chain
+    * @param sourceAddress     Address of the sender on the source chain
+    * @param payloadHash       keccak256 of the payload passed to the caller
+    * @param symbol            Symbol of the bridged token
+    * @param amount            Amount of the bridged token
+    * @return True if the call was approved for the caller and has not been consumed yet
+    */
+    function validateContractCallAndMint(
+        bytes32 commandId,
+        string calldata sourceChain,
+        string calldata sourceAddress,
+        bytes32 payloadHash,
+        string calldata symbol,
+        uint256 amount
+    ) external returns (bool);
+
+    /**
+    * @notice Returns the address of the token the gateway mints for a symbol
+    * @param symbol    Symbol of the token
+    * @return The token address, or zero if unknown
+    */
+    function tokenAddresses(string memory symbol) external view returns (address);
+}
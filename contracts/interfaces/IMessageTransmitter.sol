@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IMessageTransmitter
+ * @notice The part of Circle's CCTP `MessageTransmitter` that receives attested messages on the destination chain.
+ */
+interface IMessageTransmitter {
+    /**
+    * @notice Receives a message from another domain once Circle's attesters have signed it. Burn messages mint
+    * USDC to their `mintRecipient` through the local `TokenMessenger`.
+    * @dev A message with a non-zero `destinationCaller` can only be received by that caller
+    * @param message       The message bytes, as emitted by `MessageSent` on the source domain
+    * @param attestation   Concatenated attester signatures of the message hash
+    * @return success      True if the message was received
+    */
+    function receiveMessage(
+        bytes calldata message,
+        bytes calldata attestation
+    ) external returns (bool success);
+}
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISignatureTransfer
+ * @notice The subset of Uniswap Permit2's signature-based transfers used by the gateway.
+ */
+interface ISignatureTransfer {
+    /**
+    * @notice Token and amount in a permit message
+    * @param token         ERC20 token address
+    * @param amount        Maximum amount that can be spent
+    */
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    /**
+    * @notice The signed permit message for a single token transfer
+    * @param permitted     Token and maximum amount
+    * @param nonce         Unique unordered nonce of the owner
+    * @param deadline      Time after which the signature is invalid
+    */
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+    * @notice Transfer details chosen by the spender
+    * @param to                Recipient of the tokens
+    * @param requestedAmount   Amount to transfer, at most the permitted amount
+    */
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+    * @notice Thrown when the requested amount exceeds the permitted amount
+    */
+    error InvalidAmount(uint256 maxAmount);
+
+    /**
+    * @notice Thrown when the signature's deadline has passed
+    */
+    error SignatureExpired(uint256 signatureDeadline);
+
+    /**
+    * @notice Thrown when the nonce has already been used
+    */
+    error InvalidNonce();
+
+    /**
+    * @notice Transfers a token using a signed permit message that also commits to extra witness data
+    * @param permit            The permit data signed over by the owner
+    * @param transferDetails   The spender's requested transfer details
+    * @param owner             The owner of the tokens to transfer
+    * @param witness           The EIP-712 hash of the witness struct
+    * @param witnessTypeString The EIP-712 type definitions of the witness, starting with its field in the permit
+    * @param signature         The owner's signature over the permit data and witness
+    */
+    function permitWitnessTransferFrom(
+        PermitTransferFrom memory permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes32 witness,
+        string calldata witnessTypeString,
+        bytes calldata signature
+    ) external;
+
+    /**
+    * @notice Bitmap of the owner's used unordered nonces, 256 per word
+    */
+    function nonceBitmap(address owner, uint256 wordPos) external view returns (uint256);
+}
@@ -8,3 +8,22 @@ contract TestERC20 is ERC20 {
         _mint(msg.sender, 1000000 * 10 ** decimals());
     }
 }
+
+/// Burns `feeBps` of every transfer between accounts, like deflationary tokens do.
+contract FeeOnTransferERC20 is ERC20 {
+    uint256 public immutable feeBps;
+
+    constructor(string memory name, string memory symbol, uint256 _feeBps) ERC20(name, symbol) {
+        feeBps = _feeBps;
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if(from != address(0) && to != address(0)) {
+            uint256 fee = value * feeBps / 10000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+        super._update(from, to, value);
+    }
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IAxelarGateway.sol";
+import "./MockUSDC.sol";
+
+/**
+ * @title MockAxelarGateway
+ * @notice Test stand-in for the Axelar gateway on the destination chain. Anyone can approve a contract call with
+ * tokens, which its destination contract consumes once with `validateContractCallAndMint`, minting the tokens to it.
+ */
+contract MockAxelarGateway is IAxelarGateway {
+    mapping(string => address) public tokenAddresses;
+
+    mapping(bytes32 => bool) public approvals;
+
+    function setTokenAddress(string calldata symbol, address token) external {
+        tokenAddresses[symbol] = token;
+    }
+
+    function approveContractCallWithMint(
+        bytes32 commandId,
+        string calldata sourceChain,
+        string calldata sourceAddress,
+        address contractAddress,
+        bytes32 payloadHash,
+        string calldata symbol,
+        uint256 amount
+    ) external {
+        approvals[_approvalKey(commandId, sourceChain, sourceAddress, contractAddress, payloadHash, symbol, amount)] = true;
+    }
+
+    function validateContractCallAndMint(
+        bytes32 commandId,
+        string calldata sourceChain,
+        string calldata sourceAddress,
+        bytes32 payloadHash,
+        string calldata symbol,
+        uint256 amount
+    ) external returns (bool) {
+        bytes32 key = _approvalKey(commandId, sourceChain, sourceAddress, msg.sender, payloadHash, symbol, amount);
+        if(!approvals[key]) return false;
+
+        delete approvals[key];
+        MockUSDC(tokenAddresses[symbol]).mint(msg.sender, amount);
+        return true;
+    }
+
+    function _approvalKey(
+        bytes32 commandId,
+        string calldata sourceChain,
+        string calldata sourceAddress,
+        address contractAddress,
+        bytes32 payloadHash,
+        string calldata symbol,
+        uint256 amount
+    ) private pure returns (bytes32) {
+        return keccak256(abi.encode(commandId, sourceChain, sourceAddress, contractAddress, payloadHash, symbol, amount));
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "../SilentSwapV2GatewayUpgradeable.sol";
+
+/**
+ * @title MockGatewayUpgrade
+ * @notice Test stand-in for a next gateway implementation: appends a storage variable set by a reinitializer.
+ */
+contract MockGatewayUpgrade is SilentSwapV2GatewayUpgradeable {
+    uint256 public upgradedAt;
+
+    constructor(IERC20 _usdc) SilentSwapV2GatewayUpgradeable(_usdc) {}
+
+    function initializeV2() external reinitializer(2) {
+        upgradedAt = block.timestamp;
+    }
+}
@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./MockSmartAccount.sol";
+
+/**
+ * @title MockHijackImplementation
+ * @notice Test stand-in for a hostile implementation: it passes the gateway's upgrade checks, and its `hijack`
+ * deploys a smart account from the proxy, as the ERC-6492 signer of a deposit that upgrades its own gateway would.
+ */
+contract MockHijackImplementation {
+    bytes32 internal constant _IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    IERC20 public immutable usdc;
+
+    constructor(IERC20 _usdc) {
+        usdc = _usdc;
+    }
+
+    function proxiableUUID() external pure returns (bytes32) {
+        return _IMPLEMENTATION_SLOT;
+    }
+
+    function hijack(address owner, bytes32 salt) external {
+        new MockSmartAccount{salt: salt}(owner);
+    }
+}
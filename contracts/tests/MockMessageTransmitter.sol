@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+import "../interfaces/IMessageTransmitter.sol";
+import "./MockUSDC.sol";
+
+/**
+ * @title MockMessageTransmitter
+ * @notice Test stand-in for CCTP V2's MessageTransmitter and TokenMessenger on the destination chain. Every message
+ * is treated as a burn message and mints its `amount - feeExecuted` of MockUSDC to `mintRecipient`, once a single
+ * attester signed the message hash. Like CCTP, nonces are single use and `destinationCaller` is enforced.
+ */
+contract MockMessageTransmitter is IMessageTransmitter {
+    MockUSDC public immutable usdc;
+
+    address public immutable attester;
+
+    mapping(bytes32 => bool) public usedNonces;
+
+    // makes `receiveMessage` return false instead of minting
+    bool public rejectMessages;
+
+    constructor(MockUSDC _usdc, address _attester) {
+        usdc = _usdc;
+        attester = _attester;
+    }
+
+    function setRejectMessages(bool reject) external {
+        rejectMessages = reject;
+    }
+
+    function receiveMessage(bytes calldata message, bytes calldata attestation) external returns (bool) {
+        if (rejectMessages) return false;
+        require(message.length >= 376, "Invalid message length");
+        require(ECDSA.recover(keccak256(message), attestation) == attester, "Invalid attestation");
+
+        address destinationCaller = address(uint160(uint256(bytes32(message[108:140]))));
+        require(destinationCaller == address(0) || destinationCaller == msg.sender, "Invalid caller for message");
+
+        bytes32 nonce = bytes32(message[12:44]);
+        require(!usedNonces[nonce], "Nonce already used");
+        usedNonces[nonce] = true;
+
+        // burn message body at 148: version, burnToken, mintRecipient, amount, messageSender, maxFee, feeExecuted
+        address mintRecipient = address(uint160(uint256(bytes32(message[184:216]))));
+        uint256 amount = uint256(bytes32(message[216:248]));
+        uint256 feeExecuted = uint256(bytes32(message[312:344]));
+        usdc.mint(mintRecipient, amount - feeExecuted);
+
+        return true;
+    }
+}
@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockSmartAccount
+ * @notice Test stand-in for a single-owner smart wallet: ERC-1271 signatures are the owner's ECDSA
+ * signatures over the hash, and the owner sends calls through `execute`.
+ */
+contract MockSmartAccount is IERC1271 {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 hash, bytes memory signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error != ECDSA.RecoverError.NoError || signer != owner) return bytes4(0xffffffff);
+        return IERC1271.isValidSignature.selector;
+    }
+
+    function execute(address to, uint256 value, bytes calldata data) external returns (bytes memory) {
+        require(msg.sender == owner, "MockSmartAccount: caller is not the owner");
+        (bool success, bytes memory result) = to.call{value: value}(data);
+        require(success, "MockSmartAccount: call failed");
+        return result;
+    }
+}
+
+/**
+ * @title MockSmartAccountFactory
+ * @notice CREATE2 factory for {MockSmartAccount}, so tests can sign for an account before it is deployed.
+ */
+contract MockSmartAccountFactory {
+    function deploy(address owner, bytes32 salt) external returns (MockSmartAccount) {
+        return new MockSmartAccount{salt: salt}(owner);
+    }
+
+    function accountAddress(address owner, bytes32 salt) external view returns (address) {
+        bytes32 bytecodeHash = keccak256(abi.encodePacked(type(MockSmartAccount).creationCode, abi.encode(owner)));
+        return Create2.computeAddress(salt, bytecodeHash);
+    }
+}
@@ -1,6 +1,8 @@
 import '@nomicfoundation/hardhat-toolbox';
 import 'dotenv/config';
 import 'hardhat-contract-sizer';
+import './tasks/admin';
+import './tasks/storage-layout';
 import { HardhatUserConfig } from 'hardhat/types';
 
 const P_RPC_AVALANCHE_MAINNET = process.env.RPC_AVALANCHE_MAINNET || '';
@@ -20,10 +22,18 @@ const GC_HARDHAT: HardhatUserConfig = {
       {
         version: '0.8.20',
         settings: {
+          // the IR pipeline keeps the gateway under the 24 KiB contract size limit
+          viaIR: true,
           optimizer: {
             enabled: true,
             runs: 1,
           },
+          // storage layouts of the upgradeable gateway are checked between versions; see scripts/storage-layout.ts
+          outputSelection: {
+            '*': {
+              '*': ['storageLayout'],
+            },
+          },
         },
       },
     ],
@@ -63,7 +73,7 @@ const GC_HARDHAT: HardhatUserConfig = {
       forking: {
         url: P_RPC_AVALANCHE_MAINNET, // Avalanche C-Chain RPC
         //blockNumber: 55292094, // Specify the block number to fork from
-        enabled: true,
+        enabled: !!P_RPC_AVALANCHE_MAINNET,
       },
     },
     bsc: {
@@ -0,0 +1,23 @@
+// Deploys the SilentSwap V2 gateway and its depositor with Hardhat Ignition.
+// Per-network parameters live in ignition/parameters/<network>.json; see scripts/deploy.ts.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("SilentSwapModule", (m) => {
+  const usdc = m.getParameter("usdc");
+  const claimer = m.getParameter("claimer");
+
+  const gateway = m.contract("SilentSwapV2Gateway", [
+    usdc,
+    {
+      minDuration: m.getParameter("minDuration"),
+      maxDuration: m.getParameter("maxDuration"),
+      minDepositAmount: m.getParameter("minDepositAmount"),
+    },
+    claimer,
+  ]);
+
+  const depositor = m.contract("SilentSwapDepositor", [gateway, usdc]);
+
+  return { gateway, depositor };
+});
@@ -0,0 +1,28 @@
+// Deploys the upgradeable SilentSwap V2 gateway behind its ERC-1967 proxy, and its depositor, with Hardhat Ignition.
+// Takes the same parameters as SilentSwapModule; the deploying account becomes the gateway's owner. See scripts/deploy.ts.
+
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("SilentSwapUpgradeableModule", (m) => {
+  const usdc = m.getParameter("usdc");
+  const claimer = m.getParameter("claimer");
+
+  const implementation = m.contract("SilentSwapV2GatewayUpgradeable", [usdc]);
+
+  // the proxy runs the initializer in its constructor, so nobody can initialize it in between
+  const initialize = m.encodeFunctionCall(implementation, "initialize", [
+    {
+      minDuration: m.getParameter("minDuration"),
+      maxDuration: m.getParameter("maxDuration"),
+      minDepositAmount: m.getParameter("minDepositAmount"),
+    },
+    claimer,
+    m.getAccount(0),
+  ]);
+  const proxy = m.contract("SilentSwapV2GatewayProxy", [implementation, initialize]);
+
+  const gateway = m.contractAt("SilentSwapV2GatewayUpgradeable", proxy, { id: "SilentSwapV2GatewayUpgradeableProxy" });
+  const depositor = m.contract("SilentSwapDepositor", [gateway, usdc]);
+
+  return { gateway, implementation, proxy, depositor };
+});
@@ -1,83 +1,72 @@
-import {ethers, network} from 'hardhat';
+import hre, {ethers, network} from 'hardhat';
 import '@nomicfoundation/hardhat-toolbox';
 import '@nomicfoundation/hardhat-verify';
+import {
+	loadParameters,
+	deploySilentSwap,
+	authorizeApprovers,
+	configureFeeTreasury,
+	configureBridges,
+	configureTimelockDelay,
+	checkDeployment,
+	verifyDeployment,
+	writeManifest,
+} from './deployment';
 
-// Address of the USDC token contract on Avalanche C-Chain
-// This is the official USDC contract address that we'll interact with
- const S0X_ADDR_TOKEN_USDC_AVALANCHE = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+// networks without a block explorer
+const A_LOCAL_NETWORKS = ['hardhat', 'localhost'];
 
+/**
+ * Deploys the gateway and depositor to the selected network:
+ *
+ *   npx hardhat run scripts/deploy.ts --network <network>
+ *
+ * Parameters are read from ignition/parameters/<network>.json; with `"upgradeable": true` the gateway is
+ * deployed behind a proxy. Ignition journals every step, so an interrupted deployment resumes where it
+ * stopped when rerun.
+ */
 async function main() {
-	// get deployer signer
-	// const [y_deployer] = await ethers.getSigners();
+	const g_params = loadParameters(network.name);
 
-	// // get contract factory
-	// const y_factory_gateway = await ethers.getContractFactory('SilentSwapV2Gateway');
-    // const y_factory_depositor = await ethers.getContractFactory('SilentSwapDepositor');
-
-	// // deploy gateway
-	// const y_contract_gateway = await y_factory_gateway.deploy(S0X_ADDR_TOKEN_USDC_AVALANCHE, {
-	// 	minDuration: 1, // 1 hour in seconds
-	// 	maxDuration: 36000000, // 7 days in seconds
-	// 	minDepositAmount: ethers.parseUnits('1', 6), // 1 USDC (6 decimals)
-	// }, y_deployer.address);
-
-	// // wait for deployment tx
-	// await y_contract_gateway.waitForDeployment();
+	// local networks have no USDC; deploy a test token in its place
+	if(!g_params.SilentSwapModule.usdc && A_LOCAL_NETWORKS.includes(network.name)) {
+		const y_token = await ethers.deployContract('TestERC20', ['USD Coin', 'USDC']);
+		g_params.SilentSwapModule.usdc = await y_token.getAddress();
+		console.log('Test USDC deployed to:', g_params.SilentSwapModule.usdc);
+	}
 
-	// // confirm gateway
-	// const gatewayAddress = await y_contract_gateway.getAddress();
-	// console.log('Gateway deployed to:', gatewayAddress);
+	const g_contracts = await deploySilentSwap(hre, g_params);
+	console.log('Gateway deployed to:', await g_contracts.gateway.getAddress());
+	if(g_contracts.implementation) {
+		console.log('Gateway implementation deployed to:', g_contracts.implementation);
+	}
+	console.log('Depositor deployed to:', await g_contracts.depositor.getAddress());
 
-	// // add approver
-	// await y_contract_gateway.addApprover('0x033c1cCc54303117D23E05C063751c18c8203918');
+	const a_added = await authorizeApprovers(hre, g_contracts.gateway, g_params.approvers);
+	for(const sa_approver of a_added) {
+		console.log('Approver added:', sa_approver);
+	}
 
-	// await new Promise(resolve => setTimeout(resolve, 10000));
+	if(await configureFeeTreasury(hre, g_contracts.gateway, g_params.feeTreasury)) {
+		console.log('Fee treasury set:', g_params.feeTreasury);
+	}
 
-	// // deploy depositor proxy (takes gateway and usdc addresses)
-	// const y_contract_depositor = await y_factory_depositor.deploy(gatewayAddress, S0X_ADDR_TOKEN_USDC_AVALANCHE);
-	// await y_contract_depositor.waitForDeployment();
-	// const depositorAddress = await y_contract_depositor.getAddress();
-	// console.log('Depositor deployed to:', depositorAddress);
+	if(await configureBridges(hre, g_contracts, g_params.bridges)) {
+		console.log('Depositor bridges set:', g_params.bridges);
+	}
 
-	// Verify contracts on Snowtrace
-	console.log('Verifying contracts on Snowtrace...');
+	if(await configureTimelockDelay(hre, g_contracts.gateway, g_params.timelockDelay)) {
+		console.log('Timelock delay set:', g_params.timelockDelay);
+	}
 
-	const gatewayAddress = '0xAAef732E8B327917BF44A7892102A5ED3Bd27842';
-	const depositorAddress = '0x02AcB3A073eF5625Ec0e30481df1cf8c4bD7a98E';
-// 	Gateway deployed to: 0xAAef732E8B327917BF44A7892102A5ED3Bd27842
-// Depositor deployed to: 0x02AcB3A073eF5625Ec0e30481df1cf8c4bD7a98E
-	
-	await new Promise(resolve => setTimeout(resolve, 20000));
+	await checkDeployment(g_contracts.gateway, g_contracts.depositor, g_params);
+	console.log('Post-deploy check passed');
 
-	try {
-		// Verify Gateway
-		await run('verify:verify', {
-			address: gatewayAddress,
-			constructorArguments: [
-				S0X_ADDR_TOKEN_USDC_AVALANCHE,
-				{
-					minDuration: 3600, // 1 hour in seconds
-					maxDuration: 3600 * 24 * 7, // 7 days in seconds
-					minDepositAmount: ethers.parseUnits('1', 6), // 1 USDC (6 decimals)
-				},
-				'0x116e9D6740574F354610b8D15e8BF5Fff00aFE01'
-			],
-		});
-		console.log('Gateway verified successfully on Snowtrace');
-	} catch (error: any) {
-		console.log('Gateway verification failed:', error.message);
-	}
+	console.log('Manifest written to:', await writeManifest(hre, g_contracts, g_params));
 
-	await new Promise(resolve => setTimeout(resolve, 20000));
-	try {
-		// Verify Depositor
-		await run('verify:verify', {
-			address: depositorAddress,
-			constructorArguments: [gatewayAddress, S0X_ADDR_TOKEN_USDC_AVALANCHE],
-		});
-		console.log('Depositor verified successfully on Snowtrace');
-	} catch (error: any) {
-		console.log('Depositor verification failed:', error.message);
+	if(!A_LOCAL_NETWORKS.includes(network.name)) {
+		console.log('Verifying contracts...');
+		await verifyDeployment(hre, g_contracts, g_params);
 	}
 }
 
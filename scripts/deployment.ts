@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import { ZeroAddress } from 'ethers';
+import { HardhatRuntimeEnvironment } from 'hardhat/types';
+import type { SilentSwapDepositor, SilentSwapV2Gateway } from '../typechain-types';
+
+// the Ignition modules and the SDK are plain CommonJS without type declarations
+const SilentSwapModule = require('../ignition/modules/SilentSwap');
+const SilentSwapUpgradeableModule = require('../ignition/modules/SilentSwapUpgradeable');
+const { GatewayAdmin } = require('../sdk');
+
+// per-network parameter files, named after the Hardhat network
+export const P_DIR_PARAMETERS = path.join(__dirname, '..', 'ignition', 'parameters');
+
+// deployment manifests, one per network
+export const P_DIR_DEPLOYMENTS = path.join(__dirname, '..', 'deployments');
+
+export type ModuleParameters = {
+	usdc: string;
+	minDuration: bigint;
+	maxDuration: bigint;
+	minDepositAmount: bigint;
+	claimer: string;
+};
+
+export type DeploymentParameters = {
+	SilentSwapModule: ModuleParameters;
+	// deploy SilentSwapV2GatewayUpgradeable behind a proxy instead of SilentSwapV2Gateway
+	upgradeable?: boolean;
+	approvers: string[];
+	// recipient of protocol fees; the deployer if omitted
+	feeTreasury?: string;
+	// delay of timelocked owner operations in seconds, set once everything else is configured; none if omitted
+	timelockDelay?: bigint;
+	// bridge contracts the depositor accepts deliveries from; bridged deposits are disabled if omitted
+	bridges?: BridgeParameters;
+};
+
+export type BridgeParameters = {
+	cctpMessageTransmitter?: string;
+	axelarGateway?: string;
+};
+
+export type DeployedContracts = {
+	// the proxy of an upgradeable gateway
+	gateway: SilentSwapV2Gateway;
+	depositor: SilentSwapDepositor;
+	// implementation behind the proxy of an upgradeable gateway
+	implementation?: string;
+};
+
+export type DeployedContract = {
+	address: string;
+	constructorArguments: any[];
+};
+
+/**
+ * Reads `ignition/parameters/<network>.json`. Integers may be written as Ignition-style `"123n"` strings.
+ */
+export function loadParameters(si_network: string, p_dir=P_DIR_PARAMETERS): DeploymentParameters {
+	const p_file = path.join(p_dir, `${si_network}.json`);
+	if(!fs.existsSync(p_file)) throw new Error(`No deployment parameters for network "${si_network}"; expected ${p_file}`);
+
+	const g_file = JSON.parse(fs.readFileSync(p_file, 'utf8'), (s_key, w_value) => (
+		'string' === typeof w_value && /^\d+n$/.test(w_value)? BigInt(w_value.slice(0, -1)): w_value
+	));
+
+	const g_module = g_file.SilentSwapModule || {};
+	return {
+		SilentSwapModule: {
+			usdc: g_module.usdc,
+			minDuration: BigInt(g_module.minDuration),
+			maxDuration: BigInt(g_module.maxDuration),
+			minDepositAmount: BigInt(g_module.minDepositAmount),
+			claimer: g_module.claimer,
+		},
+		upgradeable: !!g_file.upgradeable,
+		approvers: g_file.approvers || [],
+		feeTreasury: g_file.feeTreasury,
+		timelockDelay: undefined === g_file.timelockDelay? undefined: BigInt(g_file.timelockDelay),
+		bridges: g_file.bridges,
+	};
+}
+
+/**
+ * Deploys (or resumes deploying) the gateway and depositor through Ignition; an upgradeable gateway is deployed
+ * behind its proxy and owned by the deployer.
+ */
+export async function deploySilentSwap(hre: HardhatRuntimeEnvironment, g_params: DeploymentParameters): Promise<DeployedContracts> {
+	if(g_params.upgradeable) {
+		const {gateway, implementation, depositor} = await hre.ignition.deploy(SilentSwapUpgradeableModule, {
+			parameters: {
+				SilentSwapUpgradeableModule: g_params.SilentSwapModule,
+			},
+		});
+
+		return {
+			gateway: gateway as unknown as SilentSwapV2Gateway,
+			depositor: depositor as unknown as SilentSwapDepositor,
+			implementation: await implementation.getAddress(),
+		};
+	}
+
+	const {gateway, depositor} = await hre.ignition.deploy(SilentSwapModule, {
+		parameters: {
+			SilentSwapModule: g_params.SilentSwapModule,
+		},
+	});
+
+	return {
+		gateway: gateway as unknown as SilentSwapV2Gateway,
+		depositor: depositor as unknown as SilentSwapDepositor,
+	};
+}
+
+/**
+ * Authorizes every configured approver that is not authorized yet; the owner must send.
+ * @returns the approvers that were added
+ */
+export async function authorizeApprovers(hre: HardhatRuntimeEnvironment, y_gateway: SilentSwapV2Gateway, a_approvers: string[]): Promise<string[]> {
+	const [y_owner] = await hre.ethers.getSigners();
+	const k_admin = new GatewayAdmin(await y_gateway.getAddress(), hre.ethers.provider);
+
+	const a_added = [];
+	for(const sa_approver of a_approvers) {
+		const g_plan = await k_admin.addApprover(sa_approver);
+		if(!g_plan.changed) continue;
+		if(g_plan.operation) throw new Error(`Gateway timelock is active; schedule approver ${sa_approver} with \`npx hardhat admin add-approver\``);
+
+		await (await k_admin.execute(g_plan, y_owner)).wait();
+		a_added.push(g_plan.args[0]);
+	}
+
+	return a_added;
+}
+
+/**
+ * Points protocol fees at the configured treasury, if any and not set yet; the owner must send.
+ * @returns whether the treasury was changed
+ */
+export async function configureFeeTreasury(hre: HardhatRuntimeEnvironment, y_gateway: SilentSwapV2Gateway, sa_treasury: string | undefined): Promise<boolean> {
+	if(!sa_treasury) return false;
+
+	const [y_owner] = await hre.ethers.getSigners();
+	const k_admin = new GatewayAdmin(await y_gateway.getAddress(), hre.ethers.provider);
+
+	const g_plan = await k_admin.setFeeTreasury(sa_treasury);
+	if(!g_plan.changed) return false;
+
+	await (await k_admin.execute(g_plan, y_owner)).wait();
+	return true;
+}
+
+/**
+ * Points the depositor at the configured bridge contracts, if any and not set yet; the owner must send.
+ * The depositor is not timelocked.
+ * @returns whether the bridges were changed
+ */
+export async function configureBridges(hre: HardhatRuntimeEnvironment, g_contracts: DeployedContracts, g_bridges: BridgeParameters | undefined): Promise<boolean> {
+	if(!g_bridges) return false;
+
+	const [y_owner] = await hre.ethers.getSigners();
+	const k_admin = new GatewayAdmin(await g_contracts.gateway.getAddress(), hre.ethers.provider, {
+		depositor: await g_contracts.depositor.getAddress(),
+	});
+
+	const g_plan = await k_admin.setBridges(g_bridges);
+	if(!g_plan.changed) return false;
+
+	await (await k_admin.execute(g_plan, y_owner)).wait();
+	return true;
+}
+
+/**
+ * Sets the timelock delay, if configured and still 0; the owner must send. Runs last, since every
+ * timelocked call after it has to be scheduled.
+ * @returns whether the delay was changed
+ */
+export async function configureTimelockDelay(hre: HardhatRuntimeEnvironment, y_gateway: SilentSwapV2Gateway, xt_delay: bigint | undefined): Promise<boolean> {
+	if(undefined === xt_delay) return false;
+
+	const [y_owner] = await hre.ethers.getSigners();
+	const k_admin = new GatewayAdmin(await y_gateway.getAddress(), hre.ethers.provider);
+
+	const g_plan = await k_admin.setTimelockDelay(xt_delay);
+	if(!g_plan.changed) return false;
+	if(g_plan.operation) throw new Error('Gateway timelock is already active; change its delay with `npx hardhat admin set-timelock-delay`');
+
+	await (await k_admin.execute(g_plan, y_owner)).wait();
+	return true;
+}
+
+/**
+ * Reads the deployed state back and throws if any of it differs from the parameters.
+ */
+export async function checkDeployment(y_gateway: SilentSwapV2Gateway, y_depositor: SilentSwapDepositor, g_params: DeploymentParameters): Promise<void> {
+	const g_module = g_params.SilentSwapModule;
+	const a_mismatches: string[] = [];
+
+	const f_expect = (s_field: string, w_actual: any, w_expected: any) => {
+		const b_equal = 'string' === typeof w_actual && 'string' === typeof w_expected
+			? w_actual.toLowerCase() === w_expected.toLowerCase()
+			: w_actual === w_expected;
+		if(!b_equal) a_mismatches.push(`${s_field}: expected ${w_expected}, got ${w_actual}`);
+	};
+
+	const g_config = await y_gateway.getConfig();
+	f_expect('gateway.getConfig().minDuration', g_config.minDuration, g_module.minDuration);
+	f_expect('gateway.getConfig().maxDuration', g_config.maxDuration, g_module.maxDuration);
+	f_expect('gateway.getConfig().minDepositAmount', g_config.minDepositAmount, g_module.minDepositAmount);
+	f_expect('gateway.usdc()', await y_gateway.usdc(), g_module.usdc);
+	f_expect(`gateway.authorizedClaimers(${g_module.claimer})`, await y_gateway.authorizedClaimers(g_module.claimer), true);
+	for(const sa_approver of g_params.approvers) {
+		f_expect(`gateway.authorizedApprovers(${sa_approver})`, await y_gateway.authorizedApprovers(sa_approver), true);
+	}
+
+	if(g_params.feeTreasury) {
+		f_expect('gateway.feeTreasury()', await y_gateway.feeTreasury(), g_params.feeTreasury);
+	}
+
+	if(undefined !== g_params.timelockDelay) {
+		f_expect('gateway.timelockDelay()', await y_gateway.timelockDelay(), g_params.timelockDelay);
+	}
+
+	f_expect('depositor.gatewayAddress()', await y_depositor.gatewayAddress(), await y_gateway.getAddress());
+	f_expect('depositor.usdc()', await y_depositor.usdc(), g_module.usdc);
+
+	if(g_params.bridges) {
+		f_expect('depositor.cctpMessageTransmitter()', await y_depositor.cctpMessageTransmitter(), g_params.bridges.cctpMessageTransmitter || ZeroAddress);
+		f_expect('depositor.axelarGateway()', await y_depositor.axelarGateway(), g_params.bridges.axelarGateway || ZeroAddress);
+	}
+
+	if(a_mismatches.length) {
+		throw new Error(`Post-deploy check failed:\n  ${a_mismatches.join('\n  ')}`);
+	}
+}
+
+/**
+ * Address and constructor arguments of each deployed contract, as passed to Ignition and to verification.
+ */
+export async function deployedContracts(hre: HardhatRuntimeEnvironment, g_contracts: DeployedContracts, g_params: DeploymentParameters): Promise<Record<string, DeployedContract>> {
+	const g_module = g_params.SilentSwapModule;
+	const sa_gateway = await g_contracts.gateway.getAddress();
+	const g_config = {
+		minDuration: g_module.minDuration,
+		maxDuration: g_module.maxDuration,
+		minDepositAmount: g_module.minDepositAmount,
+	};
+
+	const h_gateway: Record<string, DeployedContract> = g_contracts.implementation
+		? {
+			SilentSwapV2GatewayUpgradeable: {
+				address: g_contracts.implementation,
+				constructorArguments: [g_module.usdc],
+			},
+			SilentSwapV2GatewayProxy: {
+				address: sa_gateway,
+				constructorArguments: [
+					g_contracts.implementation,
+					// initialized for the deployer, as by the Ignition module
+					(await hre.ethers.getContractFactory('SilentSwapV2GatewayUpgradeable')).interface.encodeFunctionData('initialize', [
+						g_config,
+						g_module.claimer,
+						(await hre.ethers.getSigners())[0].address,
+					]),
+				],
+			},
+		}
+		: {
+			SilentSwapV2Gateway: {
+				address: sa_gateway,
+				constructorArguments: [g_module.usdc, g_config, g_module.claimer],
+			},
+		};
+
+	return {
+		...h_gateway,
+		SilentSwapDepositor: {
+			address: await g_contracts.depositor.getAddress(),
+			constructorArguments: [sa_gateway, g_module.usdc],
+		},
+	};
+}
+
+/**
+ * Verifies every deployed contract on the network's block explorer; contracts already verified are skipped.
+ */
+export async function verifyDeployment(hre: HardhatRuntimeEnvironment, g_contracts: DeployedContracts, g_params: DeploymentParameters): Promise<void> {
+	const h_contracts = await deployedContracts(hre, g_contracts, g_params);
+
+	for(const [si_contract, {address: sa_contract, constructorArguments: a_args}] of Object.entries(h_contracts)) {
+		try {
+			await hre.run('verify:verify', {
+				address: sa_contract,
+				contract: `contracts/${si_contract}.sol:${si_contract}`,
+				constructorArguments: a_args,
+			});
+			console.log(`${si_contract} verified`);
+		}
+		catch(e_verify: any) {
+			if(/already verified/i.test(e_verify.message)) {
+				console.log(`${si_contract} already verified`);
+				continue;
+			}
+			throw e_verify;
+		}
+	}
+}
+
+/**
+ * Writes `deployments/<network>.json` recording where and how the contracts were deployed.
+ * @returns path of the manifest
+ */
+export async function writeManifest(hre: HardhatRuntimeEnvironment, g_contracts: DeployedContracts, g_params: DeploymentParameters, p_dir=P_DIR_DEPLOYMENTS): Promise<string> {
+	const {chainId} = await hre.ethers.provider.getNetwork();
+
+	const g_manifest = {
+		network: hre.network.name,
+		chainId: Number(chainId),
+		updatedAt: new Date().toISOString(),
+		upgradeable: !!g_contracts.implementation,
+		contracts: await deployedContracts(hre, g_contracts, g_params),
+		approvers: g_params.approvers,
+		feeTreasury: await g_contracts.gateway.feeTreasury(),
+		timelockDelay: await g_contracts.gateway.timelockDelay(),
+		bridges: {
+			cctpMessageTransmitter: await g_contracts.depositor.cctpMessageTransmitter(),
+			axelarGateway: await g_contracts.depositor.axelarGateway(),
+		},
+	};
+
+	fs.mkdirSync(p_dir, {recursive:true});
+	const p_manifest = path.join(p_dir, `${hre.network.name}.json`);
+	fs.writeFileSync(p_manifest, JSON.stringify(g_manifest, (s_key, w_value) => ('bigint' === typeof w_value? w_value.toString(): w_value), '\t')+'\n');
+	return p_manifest;
+}
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import { HardhatRuntimeEnvironment } from 'hardhat/types';
+
+// saved layouts, one directory per contract and one file per released version
+export const P_DIR_STORAGE_LAYOUTS = path.join(__dirname, '..', 'storage-layouts');
+
+export type StorageVariable = {
+	label: string;
+	slot: string;
+	offset: number;
+	type: string;
+};
+
+export type StorageType = {
+	label: string;
+	encoding: 'inplace' | 'mapping' | 'dynamic_array' | 'bytes';
+	numberOfBytes: string;
+	members?: StorageVariable[];
+	key?: string;
+	value?: string;
+	base?: string;
+};
+
+export type StorageLayout = {
+	storage: StorageVariable[];
+	types: Record<string, StorageType>;
+};
+
+// type IDs embed the AST ID of structs, enums and contracts, e.g. `t_struct(Order)9296_storage`, which changes with any edit
+const normalizeTypeId = (si_type: string) => si_type.replace(/(\([^(),]+\))\d+/g, '$1');
+
+const normalizeVariable = (g_var: any): StorageVariable => ({
+	label: g_var.label,
+	slot: g_var.slot,
+	offset: g_var.offset,
+	type: normalizeTypeId(g_var.type),
+});
+
+/**
+ * Strips the compiler's storage layout output of everything that changes without the layout changing: AST IDs and
+ * the names of the contracts that declare each variable.
+ */
+export function normalizeStorageLayout(g_layout: any): StorageLayout {
+	const h_types: Record<string, StorageType> = {};
+	for(const [si_type, g_type] of Object.entries<any>(g_layout.types || {})) {
+		h_types[normalizeTypeId(si_type)] = {
+			label: g_type.label,
+			encoding: g_type.encoding,
+			numberOfBytes: g_type.numberOfBytes,
+			...g_type.members && {members: g_type.members.map(normalizeVariable)},
+			...g_type.key && {key: normalizeTypeId(g_type.key)},
+			...g_type.value && {value: normalizeTypeId(g_type.value)},
+			...g_type.base && {base: normalizeTypeId(g_type.base)},
+		};
+	}
+
+	return {
+		storage: g_layout.storage.map(normalizeVariable),
+		types: h_types,
+	};
+}
+
+/**
+ * Reads the storage layout of a compiled contract from its build info; `npx hardhat compile` must have run.
+ */
+export async function readStorageLayout(hre: HardhatRuntimeEnvironment, si_contract: string): Promise<StorageLayout> {
+	const g_artifact = await hre.artifacts.readArtifact(si_contract);
+	const g_build = await hre.artifacts.getBuildInfo(`${g_artifact.sourceName}:${g_artifact.contractName}`);
+	const g_layout = (g_build?.output.contracts[g_artifact.sourceName][g_artifact.contractName] as any)?.storageLayout;
+	if(!g_layout) throw new Error(`No storage layout for ${si_contract}; is storageLayout in the compiler's outputSelection?`);
+
+	return normalizeStorageLayout(g_layout);
+}
+
+/**
+ * Lists the saved layouts of a contract, oldest first.
+ */
+export function loadStorageLayouts(si_contract: string, p_dir=P_DIR_STORAGE_LAYOUTS): {name: string; layout: StorageLayout}[] {
+	const p_contract = path.join(p_dir, si_contract);
+	if(!fs.existsSync(p_contract)) return [];
+
+	return fs.readdirSync(p_contract)
+		.filter(s_file => s_file.endsWith('.json'))
+		.sort((s_a, s_b) => s_a.localeCompare(s_b, 'en', {numeric:true}))
+		.map(s_file => ({
+			name: s_file.slice(0, -'.json'.length),
+			layout: JSON.parse(fs.readFileSync(path.join(p_contract, s_file), 'utf8')),
+		}));
+}
+
+/**
+ * Writes `storage-layouts/<contract>/<name>.json`.
+ * @returns path of the saved layout
+ */
+export function saveStorageLayout(si_contract: string, s_name: string, g_layout: StorageLayout, p_dir=P_DIR_STORAGE_LAYOUTS): string {
+	const p_contract = path.join(p_dir, si_contract);
+	fs.mkdirSync(p_contract, {recursive:true});
+
+	const p_layout = path.join(p_contract, `${s_name}.json`);
+	fs.writeFileSync(p_layout, JSON.stringify(g_layout, null, '\t')+'\n');
+	return p_layout;
+}
+
+/**
+ * Checks that an implementation with layout `g_after` can take over the storage of one with layout `g_before`.
+ *
+ * Every variable must keep its name, slot, offset and type; new variables may only follow the old ones. Structs may
+ * gain members at their end only where they are mapping values, since anywhere else they would push later storage.
+ * @returns the incompatibilities found; none if the upgrade is safe
+ */
+export function compareStorageLayouts(g_before: StorageLayout, g_after: StorageLayout): string[] {
+	const a_errors: string[] = [];
+
+	const f_compare_types = (s_path: string, si_before: string, si_after: string, b_growable: boolean) => {
+		const g_old = g_before.types[si_before];
+		const g_new = g_after.types[si_after];
+		if(!g_old || !g_new) {
+			if(si_before !== si_after) a_errors.push(`${s_path}: type changed from ${si_before} to ${si_after}`);
+			return;
+		}
+
+		if(g_old.encoding !== g_new.encoding || g_old.label !== g_new.label) {
+			a_errors.push(`${s_path}: type changed from ${g_old.label} to ${g_new.label}`);
+			return;
+		}
+
+		if('mapping' === g_old.encoding) {
+			f_compare_types(`${s_path}[key]`, g_old.key!, g_new.key!, false);
+			f_compare_types(`${s_path}[]`, g_old.value!, g_new.value!, true);
+			return;
+		}
+
+		if('dynamic_array' === g_old.encoding) {
+			f_compare_types(`${s_path}[]`, g_old.base!, g_new.base!, false);
+			return;
+		}
+
+		if(g_old.members) {
+			f_compare_members(s_path, g_old.members, g_new.members || []);
+		}
+
+		if(g_old.numberOfBytes !== g_new.numberOfBytes && !(b_growable && g_old.members && BigInt(g_new.numberOfBytes) > BigInt(g_old.numberOfBytes))) {
+			a_errors.push(`${s_path}: size changed from ${g_old.numberOfBytes} to ${g_new.numberOfBytes} bytes`);
+		}
+	};
+
+	const f_compare_members = (s_path: string, a_old: StorageVariable[], a_new: StorageVariable[]) => {
+		a_old.forEach((g_old, i_var) => {
+			const g_new = a_new[i_var];
+			const s_var = s_path? `${s_path}.${g_old.label}`: g_old.label;
+			const s_position = `slot ${g_old.slot}, offset ${g_old.offset}`;
+
+			if(!g_new) {
+				a_errors.push(`${s_var} (${s_position}) was removed`);
+			}
+			else if(g_new.label !== g_old.label) {
+				a_errors.push(`${s_var} (${s_position}) was replaced by ${g_new.label}`);
+			}
+			else if(g_new.slot !== g_old.slot || g_new.offset !== g_old.offset) {
+				a_errors.push(`${s_var} moved from ${s_position} to slot ${g_new.slot}, offset ${g_new.offset}`);
+			}
+			else {
+				f_compare_types(s_var, g_old.type, g_new.type, false);
+			}
+		});
+	};
+
+	f_compare_members('', g_before.storage, g_after.storage);
+	return a_errors;
+}
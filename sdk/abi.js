@@ -0,0 +1,217 @@
+// Human-readable ABI fragments for the SilentSwap V2 contracts.
+// Kept in sync by hand with contracts/ so the SDK does not depend on compiled artifacts.
+
+const DEPOSIT_PARAMS_TUPLE =
+  "tuple(address signer, bytes32 orderId, address notary, address approver, bytes orderApproval, uint256 approvalExpiration, uint256 duration, bytes32 domainSepHash, bytes32 payloadHash, bytes typedDataSignature, bytes receiveAuthorization, address token, uint256 fee, bytes32 notarySet, uint256 minAmount, uint256 maxAmount)";
+
+const PERMIT_SIGNATURE_TUPLE =
+  "tuple(uint256 deadline, uint8 v, bytes32 r, bytes32 s)";
+
+const PERMIT2_SIGNATURE_TUPLE =
+  "tuple(uint256 nonce, uint256 deadline, bytes signature)";
+
+const ORDER_TUPLE =
+  "tuple(uint8 status, uint256 expiration, address notary, address refundee, uint256 amount, address token, uint256 fee, bytes32 notarySet, uint256 openedAt)";
+
+const CONFIG_TUPLE =
+  "tuple(uint256 minDuration, uint256 maxDuration, uint256 minDepositAmount)";
+
+const BULK_CLAIM_PARAMS_TUPLE =
+  "tuple(tuple(bytes32 orderId, bytes signature, address[] recipients, uint256[] shares)[] claims, address recipient)";
+
+const GATEWAY_ABI = [
+  // deposits
+  `function deposit(${DEPOSIT_PARAMS_TUPLE} params)`,
+  `function depositProxy(${DEPOSIT_PARAMS_TUPLE} params, uint256 amount)`,
+  `function depositWithPermit(${DEPOSIT_PARAMS_TUPLE} params, uint256 amount, ${PERMIT_SIGNATURE_TUPLE} permit)`,
+  `function depositWithPermit2(${DEPOSIT_PARAMS_TUPLE} params, uint256 amount, ${PERMIT2_SIGNATURE_TUPLE} permit)`,
+
+  // claims and refunds
+  `function claim(${BULK_CLAIM_PARAMS_TUPLE} params) returns (uint256)`,
+  "function refund(bytes32 orderId)",
+  "function extendOrder(bytes32 orderId, uint256 newExpiration, bytes signature)",
+  "function cancelOrder(bytes32 orderId, bytes refundeeSignature, bytes notarySignature)",
+
+  // notary sets
+  "function registerNotarySet(address[] members, uint256 threshold) returns (bytes32 setId)",
+  "function getNotarySet(bytes32 setId) view returns (address[] members, uint256 threshold)",
+
+  // owner operations
+  "function setConfig(uint256 minimumDuration, uint256 maximumDuration, uint256 minimumDepositAmount)",
+  "function setClaimsCap(uint256 newCap)",
+  "function addApprover(address approver)",
+  "function removeApprover(address approver)",
+  "function addClaimer(address claimer)",
+  "function removeClaimer(address claimer)",
+  "function setDepositToken(address token, uint256 minDepositAmount)",
+  "function removeDepositToken(address token)",
+  "function setFeeTreasury(address treasury)",
+  "function setRefundFeePolicy(uint8 policy)",
+  "function setGuardian(address newGuardian)",
+  "function unpause(uint8 scope)",
+  "function setClaimWindowCap(uint256 window, uint256 cap)",
+  "function setTimelockDelay(uint256 delay)",
+  "function setLegacySignaturesUntil(uint256 deadline)",
+  "function scheduleOperation(bytes data) returns (bytes32 id)",
+  "function executeOperation(bytes data)",
+  "function cancelOperation(bytes32 id)",
+  "function transferOwnership(address newOwner)",
+  "function acceptOwnership()",
+  "function upgradeToAndCall(address newImplementation, bytes data)",
+
+  // guardian operations
+  "function pause(uint8 scope, string reason)",
+
+  // views
+  "function orders(bytes32 orderId) view returns (uint8 status, uint256 expiration, address notary, address refundee, uint256 amount, address token, uint256 fee, bytes32 notarySet, uint256 openedAt)",
+  "function payloads(bytes32 payloadHash) view returns (bytes32)",
+  "function authorizedApprovers(address approver) view returns (bool)",
+  "function authorizedClaimers(address claimer) view returns (bool)",
+  "function signerCounts(address signer) view returns (uint256)",
+  "function getSignerCount(address signer) view returns (uint256)",
+  "function claimsCap() view returns (uint256)",
+  "function config() view returns (uint256 minDuration, uint256 maxDuration, uint256 minDepositAmount)",
+  `function getConfig() view returns (${CONFIG_TUPLE})`,
+  "function usdc() view returns (address)",
+  "function PERMIT2() view returns (address)",
+  "function depositTokens(address token) view returns (bool allowed, uint256 minDepositAmount)",
+  "function getMinDepositAmount(address token) view returns (uint256)",
+  "function feeTreasury() view returns (address)",
+  "function refundFeePolicy() view returns (uint8)",
+  "function accruedFees(address token) view returns (uint256)",
+  "function guardian() view returns (address)",
+  "function depositsPaused() view returns (bool)",
+  "function claimsPaused() view returns (bool)",
+  "function claimWindow() view returns (uint256)",
+  "function claimWindowCap() view returns (uint256)",
+  "function claimWindowStart() view returns (uint256)",
+  "function claimedInWindow() view returns (uint256)",
+  "function timelockDelay() view returns (uint256)",
+  "function operationReadyAt(bytes32 id) view returns (uint256)",
+  "function legacySignaturesUntil() view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function isAuthorizedApprover(address approver) view returns (bool)",
+  "function isAuthorizedClaimer(address claimer) view returns (bool)",
+  "function queryOrderStatus(bytes32 orderId) view returns (uint8)",
+  "function getNotaryOrderCount(address notary) view returns (uint256)",
+  `function getSignerOrders(address signer, uint8 status, uint256 offset, uint256 limit) view returns (bytes32[] orderIds, ${ORDER_TUPLE}[] records, uint256 nextOffset)`,
+  `function getNotaryOrders(address notary, uint8 status, uint256 offset, uint256 limit) view returns (bytes32[] orderIds, ${ORDER_TUPLE}[] records, uint256 nextOffset)`,
+  `function openDeposits(address signer, uint256 offset, uint256 limit) view returns (bytes32[] orderIds, ${ORDER_TUPLE}[] records, uint256 nextOffset)`,
+  "function verifyTypedDataSignature(bytes32 domainSepHash, bytes32 payloadHash, bytes typedDataSignature, address signer) view returns (bool)",
+
+  // events
+  "event Deposit(address indexed signer, bytes32 indexed orderId, uint256 amount, uint256 duration)",
+  "event ProxyDeposit(address indexed signer, bytes32 indexed orderId, uint256 amount, uint256 duration)",
+  "event Claim(bytes32 indexed orderId, address indexed recipient, uint256 amount)",
+  "event Refund(bytes32 indexed orderId, address indexed refundee, uint256 amount)",
+  "event OrderExtended(bytes32 indexed orderId, uint256 expiration)",
+  "event OrderCancelled(bytes32 indexed orderId, address indexed refundee, uint256 amount)",
+  "event ConfigUpdated(uint256 minDuration, uint256 maxDuration, uint256 minDepositAmount)",
+  "event ApproverAdded(address indexed approver)",
+  "event ApproverRemoved(address indexed approver)",
+  "event ClaimerAdded(address indexed claimer)",
+  "event ClaimerRemoved(address indexed claimer)",
+  "event DepositTokenSet(address indexed token, uint256 minDepositAmount)",
+  "event DepositTokenRemoved(address indexed token)",
+  "event FeeTreasuryUpdated(address indexed treasury)",
+  "event RefundFeePolicyUpdated(uint8 policy)",
+  "event FeesCollected(address indexed token, address indexed treasury, uint256 amount)",
+  "event NotarySetRegistered(bytes32 indexed notarySet, address[] members, uint256 threshold)",
+  "event GuardianUpdated(address indexed guardian)",
+  "event Paused(uint8 scope, address indexed account, string reason)",
+  "event Unpaused(uint8 scope, address indexed account)",
+  "event ClaimWindowCapUpdated(uint256 window, uint256 cap)",
+  "event ClaimsCapUpdated(uint256 claimsCap)",
+  "event TimelockDelayUpdated(uint256 delay)",
+  "event LegacySignaturesUntilUpdated(uint256 deadline)",
+  "event Scheduled(bytes32 indexed id, bytes data, uint256 readyAt)",
+  "event Executed(bytes32 indexed id, bytes data)",
+  "event Cancelled(bytes32 indexed id)",
+  "event Upgraded(address indexed implementation)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+
+  // custom errors
+  "error ClaimRejectedUnauthorized()",
+  "error ClaimRejectedExcessiveClaimAttempts()",
+  "error ClaimRejectedOrderNotOpen(uint256 index, uint8 status)",
+  "error ClaimRejectedInvalidSignature()",
+  "error ClaimRejectedNotaryThreshold(uint256 index, uint256 signatures, uint256 threshold)",
+  "error ClaimRejectedPaused()",
+  "error ClaimRejectedInvalidSplit(uint256 index)",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error ReentrancyGuardReentrantCall()",
+  "error SafeERC20FailedOperation(address token)",
+  "error FailedCall()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+
+  // bubbled up from Permit2 by `depositWithPermit2()`
+  "error InvalidAmount(uint256 maxAmount)",
+  "error SignatureExpired(uint256 signatureDeadline)",
+  "error InvalidNonce()",
+  "error InvalidSigner()",
+];
+
+const DEPOSITOR_ABI = [
+  `function depositProxy(${DEPOSIT_PARAMS_TUPLE} params)`,
+  `function depositProxy2(${DEPOSIT_PARAMS_TUPLE} params)`,
+  "function sweep()",
+  "function sweepToken(address token)",
+  "function sweepOrder(bytes32 orderId, address token)",
+  "function fundOrder(bytes32 orderId, address token, uint256 amount)",
+  "function orderBalances(bytes32 orderId, address token) view returns (uint256)",
+  "function creditedBalances(address token) view returns (uint256)",
+  "function unallocatedBalance(address token) view returns (uint256)",
+  "function setBridges(address cctpMessageTransmitter, address axelarGateway)",
+  "function cctpMessageTransmitter() view returns (address)",
+  "function axelarGateway() view returns (address)",
+  "function receiveCctpMessage(bytes message, bytes attestation)",
+  "function executeWithToken(bytes32 commandId, string sourceChain, string sourceAddress, bytes payload, string tokenSymbol, uint256 amount)",
+  "function gatewayAddress() view returns (address)",
+  "function usdc() view returns (address)",
+  "function owner() view returns (address)",
+
+  "event DepositProxy(address indexed signer, bytes32 indexed orderId, uint256 amount)",
+  "event DepositProxy2(address indexed signer, bytes32 indexed orderId, uint256 amount)",
+  "event Sweep(address indexed recipient, uint256 amount)",
+  "event OrderFunded(bytes32 indexed orderId, address indexed token, uint256 amount)",
+  "event ExcessRefunded(bytes32 indexed orderId, address indexed refundee, uint256 amount)",
+  "event BridgesUpdated(address cctpMessageTransmitter, address axelarGateway)",
+  "event BridgeDeposit(address indexed signer, bytes32 indexed orderId, address indexed bridge, uint256 amount)",
+  "event BridgeDepositFailed(bytes32 indexed orderId, address indexed refundee, address indexed bridge, uint256 amount, bytes reason)",
+
+  "error OwnableUnauthorizedAccount(address account)",
+  "error OwnableInvalidOwner(address owner)",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+const EIP3009_ABI = [
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function transfer(address to, uint256 value) returns (bool)",
+  "function nonces(address owner) view returns (uint256)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function authorizationState(address authorizer, bytes32 nonce) view returns (bool)",
+  "function receiveWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)",
+];
+
+module.exports = {
+  DEPOSIT_PARAMS_TUPLE,
+  PERMIT_SIGNATURE_TUPLE,
+  PERMIT2_SIGNATURE_TUPLE,
+  ORDER_TUPLE,
+  CONFIG_TUPLE,
+  BULK_CLAIM_PARAMS_TUPLE,
+  GATEWAY_ABI,
+  DEPOSITOR_ABI,
+  EIP3009_ABI,
+};
@@ -0,0 +1,84 @@
+const { ethers } = require("ethers");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * How an order signer's signatures are verified by the gateway.
+ */
+const AccountType = Object.freeze({
+  // ECDSA, including EIP-7702 delegated EOAs
+  EOA: "eoa",
+  // deployed smart account, ERC-1271 `isValidSignature`
+  Contract: "erc1271",
+  // smart account that is not deployed yet, ERC-6492 signature deployed by the gateway
+  Counterfactual: "erc6492",
+});
+
+/**
+ * Suffix that marks an ERC-6492 signature.
+ */
+const ERC6492_DETECTION_SUFFIX = "0x6492649264926492649264926492649264926492649264926492649264926492";
+
+// code prefix of an EIP-7702 delegation designator, which still signs with its EOA key
+const EIP7702_DELEGATION_PREFIX = "0xef0100";
+
+/**
+ * Detects how `address` signs.
+ * @param {ethers.Provider} provider
+ * @param {string} address
+ * @param {object} [deployment] factory call of a counterfactual account, see {@link wrapErc6492Signature}
+ * @returns {Promise<string>} an {@link AccountType}; addresses without code are EOAs unless `deployment` is given
+ */
+async function detectAccountType(provider, address, deployment) {
+  const code = await provider.getCode(address);
+  if (code === "0x") return deployment && deployment.factory ? AccountType.Counterfactual : AccountType.EOA;
+  if (code.toLowerCase().startsWith(EIP7702_DELEGATION_PREFIX)) return AccountType.EOA;
+  return AccountType.Contract;
+}
+
+/**
+ * Wraps the signature of a counterfactual account in ERC-6492 format.
+ * @param {object} wrapped
+ * @param {string} wrapped.factory contract that deploys the account
+ * @param {string} wrapped.factoryData calldata of the deployment call
+ * @param {string} wrapped.signature the signature the deployed account will accept through ERC-1271
+ * @returns {string}
+ */
+function wrapErc6492Signature({ factory, factoryData, signature }) {
+  return ethers.concat([
+    abiCoder.encode(["address", "bytes", "bytes"], [factory, factoryData, signature]),
+    ERC6492_DETECTION_SUFFIX,
+  ]);
+}
+
+/**
+ * @param {string} signature
+ * @returns {boolean} whether `signature` is ERC-6492 wrapped
+ */
+function isErc6492Signature(signature) {
+  const length = ethers.dataLength(signature);
+  return length >= 32 && ethers.dataSlice(signature, length - 32) === ERC6492_DETECTION_SUFFIX;
+}
+
+/**
+ * Reverses {@link wrapErc6492Signature}.
+ * @param {string} signature
+ * @returns {{factory: string, factoryData: string, signature: string}}
+ */
+function unwrapErc6492Signature(signature) {
+  if (!isErc6492Signature(signature)) throw new TypeError("Not an ERC-6492 signature");
+  const [factory, factoryData, inner] = abiCoder.decode(
+    ["address", "bytes", "bytes"],
+    ethers.dataSlice(signature, 0, ethers.dataLength(signature) - 32)
+  );
+  return { factory, factoryData, signature: inner };
+}
+
+module.exports = {
+  AccountType,
+  ERC6492_DETECTION_SUFFIX,
+  detectAccountType,
+  wrapErc6492Signature,
+  isErc6492Signature,
+  unwrapErc6492Signature,
+};
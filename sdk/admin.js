@@ -0,0 +1,623 @@
+const { ethers } = require("ethers");
+const { GATEWAY_ABI, DEPOSITOR_ABI, EIP3009_ABI } = require("./abi");
+const { decodeGatewayError } = require("./errors");
+const { RefundFeePolicy, PauseScope } = require("./gateway");
+
+// owner calls that go through the gateway's timelock once `timelockDelay` is set
+const TIMELOCKED_METHODS = [
+  "setConfig", "addApprover", "addClaimer", "setClaimsCap", "setTimelockDelay", "setLegacySignaturesUntil", "setGuardian",
+  "setRefundFeePolicy", "upgradeToAndCall",
+];
+
+// ERC-1967 slot of the implementation behind an upgradeable gateway's proxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// state field each timelocked setter changes
+const SETTER_FIELDS = {
+  setClaimsCap: "claimsCap",
+  setTimelockDelay: "timelockDelay",
+  setLegacySignaturesUntil: "legacySignaturesUntil",
+  setGuardian: "guardian",
+  setRefundFeePolicy: "refundFeePolicy",
+};
+
+/**
+ * Plans owner operations on a gateway and its depositor.
+ *
+ * Every operation returns a plan rather than sending anything: the transaction to send, the
+ * account allowed to send it, and the state it changes as `{field, before, after}` read from
+ * chain. A plan can then be simulated, sent, or exported for a multisig.
+ *
+ * While the gateway's `timelockDelay` is set, timelocked operations are planned as a
+ * `scheduleOperation` call instead; `plan.operation` then holds the operation's ID and the time it
+ * becomes executable, and `changes` what {@link GatewayAdmin#executeOperation} will change.
+ */
+class GatewayAdmin {
+  /**
+   * @param {string} gateway gateway address
+   * @param {ethers.ContractRunner} runner provider, or signer used by {@link GatewayAdmin#execute}
+   * @param {object} [options]
+   * @param {string} [options.depositor] depositor address, required for {@link GatewayAdmin#sweep} and {@link GatewayAdmin#setBridges}
+   */
+  constructor(gateway, runner, { depositor = null } = {}) {
+    this.gateway = new ethers.Contract(gateway, GATEWAY_ABI, runner);
+    this.depositor = depositor ? new ethers.Contract(depositor, DEPOSITOR_ABI, runner) : null;
+  }
+
+  /**
+   * @returns {ethers.Provider}
+   */
+  get provider() {
+    const runner = this.gateway.runner;
+    return runner && (runner.provider || runner);
+  }
+
+  /**
+   * @returns {Promise<{owner: string, pendingOwner: string, config: {minDuration: bigint, maxDuration: bigint, minDepositAmount: bigint}, claimsCap: bigint, feeTreasury: string, refundFeePolicy: number, guardian: string, depositsPaused: boolean, claimsPaused: boolean, claimWindow: bigint, claimWindowCap: bigint, timelockDelay: bigint, legacySignaturesUntil: bigint}>}
+   */
+  async state() {
+    const [
+      owner, pendingOwner, config, claimsCap, feeTreasury, refundFeePolicy,
+      guardian, depositsPaused, claimsPaused, claimWindow, claimWindowCap, timelockDelay, legacySignaturesUntil,
+    ] = await Promise.all([
+      this.gateway.owner(),
+      this.gateway.pendingOwner(),
+      this.gateway.getConfig(),
+      this.gateway.claimsCap(),
+      this.gateway.feeTreasury(),
+      this.gateway.refundFeePolicy(),
+      this.gateway.guardian(),
+      this.gateway.depositsPaused(),
+      this.gateway.claimsPaused(),
+      this.gateway.claimWindow(),
+      this.gateway.claimWindowCap(),
+      this.gateway.timelockDelay(),
+      this.gateway.legacySignaturesUntil(),
+    ]);
+    return {
+      owner,
+      pendingOwner,
+      config: { minDuration: config.minDuration, maxDuration: config.maxDuration, minDepositAmount: config.minDepositAmount },
+      claimsCap,
+      feeTreasury,
+      refundFeePolicy: Number(refundFeePolicy),
+      guardian,
+      depositsPaused,
+      claimsPaused,
+      claimWindow,
+      claimWindowCap,
+      timelockDelay,
+      legacySignaturesUntil,
+    };
+  }
+
+  /**
+   * Fields left undefined keep their current value.
+   * @param {object} config
+   * @param {bigint|number} [config.minDuration]
+   * @param {bigint|number} [config.maxDuration]
+   * @param {bigint|number} [config.minDepositAmount]
+   */
+  async setConfig(config) {
+    return this._timelocked(await this._setConfig(config));
+  }
+
+  async _setConfig({ minDuration, maxDuration, minDepositAmount }) {
+    const { owner, config } = await this.state();
+    const next = {
+      minDuration: minDuration === undefined ? config.minDuration : BigInt(minDuration),
+      maxDuration: maxDuration === undefined ? config.maxDuration : BigInt(maxDuration),
+      minDepositAmount: minDepositAmount === undefined ? config.minDepositAmount : BigInt(minDepositAmount),
+    };
+
+    return this._plan(this.gateway, "setConfig", [next.minDuration, next.maxDuration, next.minDepositAmount], {
+      sender: owner,
+      changes: Object.keys(next).map((key) => change(`config.${key}`, config[key], next[key])),
+    });
+  }
+
+  async addApprover(approver) {
+    return this._timelocked(await this._setRole("addApprover", "authorizedApprovers", approver, true));
+  }
+
+  async removeApprover(approver) {
+    return this._setRole("removeApprover", "authorizedApprovers", approver, false);
+  }
+
+  async addClaimer(claimer) {
+    return this._timelocked(await this._setRole("addClaimer", "authorizedClaimers", claimer, true));
+  }
+
+  async removeClaimer(claimer) {
+    return this._setRole("removeClaimer", "authorizedClaimers", claimer, false);
+  }
+
+  /**
+   * Allowlists a deposit token other than USDC, or updates its minimum deposit.
+   * @param {string} token
+   * @param {bigint|number} minDepositAmount in the token's base units
+   */
+  async setDepositToken(token, minDepositAmount) {
+    token = ethers.getAddress(token);
+    const [owner, before] = await Promise.all([this.gateway.owner(), this.gateway.depositTokens(token)]);
+    return this._plan(this.gateway, "setDepositToken", [token, BigInt(minDepositAmount)], {
+      sender: owner,
+      changes: [
+        change(`depositTokens[${token}].allowed`, before.allowed, true),
+        change(`depositTokens[${token}].minDepositAmount`, before.minDepositAmount, BigInt(minDepositAmount)),
+      ],
+    });
+  }
+
+  /**
+   * Removes a deposit token from the allowlist; its open orders can still be claimed or refunded.
+   * @param {string} token
+   */
+  async removeDepositToken(token) {
+    token = ethers.getAddress(token);
+    const [owner, before] = await Promise.all([this.gateway.owner(), this.gateway.depositTokens(token)]);
+    return this._plan(this.gateway, "removeDepositToken", [token], {
+      sender: owner,
+      changes: [
+        change(`depositTokens[${token}].allowed`, before.allowed, false),
+        change(`depositTokens[${token}].minDepositAmount`, before.minDepositAmount, 0n),
+      ],
+    });
+  }
+
+  async _setRole(method, mapping, address, authorized) {
+    address = ethers.getAddress(address);
+    const [owner, before] = await Promise.all([this.gateway.owner(), this.gateway[mapping](address)]);
+
+    return this._plan(this.gateway, method, [address], {
+      sender: owner,
+      changes: [change(`${mapping}[${address}]`, before, authorized)],
+    });
+  }
+
+  /**
+   * @param {bigint|number} cap
+   */
+  async setClaimsCap(cap) {
+    const { owner, claimsCap } = await this.state();
+    return this._timelocked(await this._plan(this.gateway, "setClaimsCap", [BigInt(cap)], {
+      sender: owner,
+      changes: [change("claimsCap", claimsCap, BigInt(cap))],
+    }));
+  }
+
+  /**
+   * Sets the timelock delay; once it is not 0, changing it is itself timelocked.
+   * @param {bigint|number} delay seconds
+   */
+  async setTimelockDelay(delay) {
+    const { owner, timelockDelay } = await this.state();
+    return this._timelocked(await this._plan(this.gateway, "setTimelockDelay", [BigInt(delay)], {
+      sender: owner,
+      changes: [change("timelockDelay", timelockDelay, BigInt(delay))],
+    }));
+  }
+
+  /**
+   * Accepts legacy personal-sign approvals and claim signatures alongside EIP-712 ones until `deadline`; timelocked.
+   * @param {bigint|number} deadline unix time; 0 accepts EIP-712 signatures only
+   */
+  async setLegacySignaturesUntil(deadline) {
+    const { owner, legacySignaturesUntil } = await this.state();
+    return this._timelocked(await this._plan(this.gateway, "setLegacySignaturesUntil", [BigInt(deadline)], {
+      sender: owner,
+      changes: [change("legacySignaturesUntil", legacySignaturesUntil, BigInt(deadline))],
+    }));
+  }
+
+  /**
+   * @returns {Promise<string|null>} implementation behind an upgradeable gateway's proxy; null for a gateway deployed without one
+   */
+  async implementation() {
+    const slot = await this.provider.getStorage(await this.gateway.getAddress(), IMPLEMENTATION_SLOT);
+    const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+    return implementation === ethers.ZeroAddress ? null : implementation;
+  }
+
+  /**
+   * Upgrades an upgradeable gateway to a new implementation; timelocked. Check the new implementation's storage
+   * layout with `npx hardhat storage-layout` before deploying it.
+   * @param {string} implementation
+   * @param {string} [data="0x"] calldata the new implementation is called with, e.g. a reinitializer; none if empty
+   */
+  async upgradeToAndCall(implementation, data = "0x") {
+    return this._timelocked(await this._upgradeToAndCall(implementation, data));
+  }
+
+  async _upgradeToAndCall(implementation, data) {
+    implementation = ethers.getAddress(implementation);
+    const [owner, before] = await Promise.all([this.gateway.owner(), this.implementation()]);
+    if (!before) throw new TypeError("gateway is not behind an upgradeable proxy");
+
+    return this._plan(this.gateway, "upgradeToAndCall", [implementation, data], {
+      sender: owner,
+      changes: [change("implementation", before, implementation)],
+    });
+  }
+
+  /**
+   * Lists the scheduled operations that were neither executed nor cancelled.
+   * @param {object} [options]
+   * @param {number} [options.fromBlock=0] first block to search for `Scheduled` events
+   * @returns {Promise<Array<{id: string, data: string, method: string, args: any[], readyAt: bigint, ready: boolean}>>}
+   *   oldest first; `ready` once `readyAt` has passed at the latest block
+   */
+  async pendingOperations({ fromBlock = 0 } = {}) {
+    const [events, latest] = await Promise.all([
+      this.gateway.queryFilter(this.gateway.filters.Scheduled(), fromBlock),
+      this.provider.getBlock("latest"),
+    ]);
+
+    // an operation scheduled again after it was executed or cancelled keeps only its latest event
+    const scheduled = new Map();
+    for (const event of events) scheduled.set(event.args.id, event);
+
+    const pending = [];
+    for (const [id, event] of scheduled) {
+      const readyAt = await this.gateway.operationReadyAt(id);
+      if (readyAt === 0n) continue;
+
+      const call = this.gateway.interface.parseTransaction({ data: event.args.data });
+      pending.push({
+        id,
+        data: event.args.data,
+        method: call.name,
+        args: [...call.args],
+        readyAt,
+        ready: BigInt(latest.timestamp) >= readyAt,
+      });
+    }
+    return pending;
+  }
+
+  /**
+   * Executes a scheduled operation once its delay has passed.
+   * @param {string} id operation ID, see {@link GatewayAdmin#pendingOperations}
+   * @param {object} [options] see {@link GatewayAdmin#pendingOperations}
+   */
+  async executeOperation(id, options) {
+    const operation = await this._pendingOperation(id, options);
+    const inner = await this._innerPlan(operation);
+    const plan = await this._plan(this.gateway, "executeOperation", [operation.data], {
+      sender: inner.sender,
+      changes: [...inner.changes, change(`operationReadyAt[${operation.id}]`, operation.readyAt, 0n)],
+    });
+    return { ...plan, operation: { id: operation.id, method: operation.method, args: operation.args, readyAt: operation.readyAt } };
+  }
+
+  /**
+   * Cancels a scheduled operation; sent by the owner (the guardian may send it too).
+   * @param {string} id operation ID
+   * @param {object} [options] see {@link GatewayAdmin#pendingOperations}
+   */
+  async cancelOperation(id, options) {
+    const operation = await this._pendingOperation(id, options);
+    const { owner } = await this.state();
+    const plan = await this._plan(this.gateway, "cancelOperation", [operation.id], {
+      sender: owner,
+      changes: [change(`operationReadyAt[${operation.id}]`, operation.readyAt, 0n)],
+    });
+    return { ...plan, operation: { id: operation.id, method: operation.method, args: operation.args, readyAt: operation.readyAt } };
+  }
+
+  async _pendingOperation(id, options) {
+    const operation = (await this.pendingOperations(options)).find((entry) => entry.id.toLowerCase() === id.toLowerCase());
+    if (!operation) throw new TypeError(`operation ${id} is not pending`);
+    return operation;
+  }
+
+  // the direct plan of a scheduled call, for its state changes
+  async _innerPlan({ method, args }) {
+    switch (method) {
+      case "setConfig":
+        return this._setConfig({ minDuration: args[0], maxDuration: args[1], minDepositAmount: args[2] });
+      case "addApprover":
+        return this._setRole("addApprover", "authorizedApprovers", args[0], true);
+      case "addClaimer":
+        return this._setRole("addClaimer", "authorizedClaimers", args[0], true);
+      case "upgradeToAndCall":
+        return this._upgradeToAndCall(args[0], args[1]);
+      default: {
+        const field = SETTER_FIELDS[method];
+        const [owner, before] = await Promise.all([this.gateway.owner(), this.gateway[field]()]);
+        return { sender: owner, changes: [change(field, before, args[0])] };
+      }
+    }
+  }
+
+  /**
+   * Turns the plan of a timelocked call into a `scheduleOperation` plan while the timelock delay is set.
+   */
+  async _timelocked(plan) {
+    if (!TIMELOCKED_METHODS.includes(plan.method)) return plan;
+
+    const [delay, latest] = await Promise.all([this.gateway.timelockDelay(), this.provider.getBlock("latest")]);
+    if (delay === 0n) return plan;
+
+    const scheduled = await this._plan(this.gateway, "scheduleOperation", [plan.data], {
+      sender: plan.sender,
+      changes: plan.changes,
+    });
+    const operation = {
+      id: ethers.keccak256(plan.data),
+      method: plan.method,
+      args: plan.args,
+      // estimated from the latest block; the gateway counts from the block that includes the transaction
+      readyAt: BigInt(latest.timestamp) + delay,
+    };
+    return { ...scheduled, operation };
+  }
+
+  /**
+   * @param {string} treasury recipient of protocol fees
+   */
+  async setFeeTreasury(treasury) {
+    treasury = ethers.getAddress(treasury);
+    const { owner, feeTreasury } = await this.state();
+    return this._plan(this.gateway, "setFeeTreasury", [treasury], {
+      sender: owner,
+      changes: [change("feeTreasury", feeTreasury, treasury)],
+    });
+  }
+
+  /**
+   * Sets the refund fee policy; timelocked, since it applies to orders already open.
+   * @param {number|string} policy a {@link RefundFeePolicy} value or name, e.g. `"RetainFee"`
+   */
+  async setRefundFeePolicy(policy) {
+    if (typeof policy === "string") {
+      if (!(policy in RefundFeePolicy)) throw new TypeError(`unknown refund fee policy "${policy}"`);
+      policy = RefundFeePolicy[policy];
+    }
+    const { owner, refundFeePolicy } = await this.state();
+    return this._timelocked(await this._plan(this.gateway, "setRefundFeePolicy", [policy], {
+      sender: owner,
+      changes: [change("refundFeePolicy", refundFeePolicy, policy)],
+    }));
+  }
+
+  /**
+   * Sets the guardian; timelocked, since the guardian can cancel scheduled operations.
+   * @param {string} guardian account allowed to pause alongside the owner; the zero address for none
+   */
+  async setGuardian(guardian) {
+    guardian = ethers.getAddress(guardian);
+    const { owner, guardian: before } = await this.state();
+    return this._timelocked(await this._plan(this.gateway, "setGuardian", [guardian], {
+      sender: owner,
+      changes: [change("guardian", before, guardian)],
+    }));
+  }
+
+  /**
+   * Pauses deposits, claims or both; sent by the guardian (the owner may send it too).
+   * @param {number|string} scope a {@link PauseScope} value or name, e.g. `"Claims"`
+   * @param {string} reason emitted with the `Paused` event
+   */
+  async pause(scope, reason) {
+    scope = pauseScope(scope);
+    const state = await this.state();
+    return this._plan(this.gateway, "pause", [scope, reason], {
+      sender: state.guardian === ethers.ZeroAddress ? state.owner : state.guardian,
+      changes: pauseChanges(state, scope, true),
+    });
+  }
+
+  /**
+   * Resumes deposits, claims or both.
+   * @param {number|string} scope a {@link PauseScope} value or name
+   */
+  async unpause(scope) {
+    scope = pauseScope(scope);
+    const state = await this.state();
+    return this._plan(this.gateway, "unpause", [scope], {
+      sender: state.owner,
+      changes: pauseChanges(state, scope, false),
+    });
+  }
+
+  /**
+   * @param {bigint|number} window seconds
+   * @param {bigint|number} cap USDC claimable per window, in base units; 0 disables the breaker
+   */
+  async setClaimWindowCap(window, cap) {
+    const { owner, claimWindow, claimWindowCap } = await this.state();
+    return this._plan(this.gateway, "setClaimWindowCap", [BigInt(window), BigInt(cap)], {
+      sender: owner,
+      changes: [change("claimWindow", claimWindow, BigInt(window)), change("claimWindowCap", claimWindowCap, BigInt(cap))],
+    });
+  }
+
+  /**
+   * Starts the two-step ownership transfer; `newOwner` must then call {@link GatewayAdmin#acceptOwnership}.
+   * @param {string} newOwner
+   */
+  async transferOwnership(newOwner) {
+    newOwner = ethers.getAddress(newOwner);
+    const { owner, pendingOwner } = await this.state();
+    return this._plan(this.gateway, "transferOwnership", [newOwner], {
+      sender: owner,
+      changes: [change("pendingOwner", pendingOwner, newOwner)],
+    });
+  }
+
+  /**
+   * Completes the ownership transfer; sent by the pending owner.
+   */
+  async acceptOwnership() {
+    const { owner, pendingOwner } = await this.state();
+    return this._plan(this.gateway, "acceptOwnership", [], {
+      sender: pendingOwner,
+      changes: [change("owner", owner, pendingOwner), change("pendingOwner", pendingOwner, ethers.ZeroAddress)],
+    });
+  }
+
+  /**
+   * Sweeps the depositor's token balance that is not credited to any order to its owner.
+   * @param {string} [tokenAddress] a token other than the depositor's USDC
+   */
+  async sweep(tokenAddress) {
+    if (!this.depositor) throw new TypeError("no depositor address given");
+
+    const [owner, usdc] = await Promise.all([this.depositor.owner(), this.depositor.usdc()]);
+    const token = new ethers.Contract(tokenAddress || usdc, EIP3009_ABI, this.provider);
+    const [balance, ownerBalance] = await Promise.all([
+      this.depositor.unallocatedBalance(await token.getAddress()),
+      token.balanceOf(owner),
+    ]);
+
+    const [method, args] = tokenAddress ? ["sweepToken", [ethers.getAddress(tokenAddress)]] : ["sweep", []];
+    return this._plan(this.depositor, method, args, {
+      sender: owner,
+      changes: [
+        change("depositor balance", balance, 0n),
+        change(`balanceOf[${owner}]`, ownerBalance, ownerBalance + balance),
+      ],
+    });
+  }
+
+  /**
+   * Sets the bridge contracts the depositor trusts to deliver funds with deposit parameters.
+   * @param {object} bridges
+   * @param {string} [bridges.cctpMessageTransmitter] CCTP MessageTransmitter; CCTP deliveries are disabled if unset
+   * @param {string} [bridges.axelarGateway] Axelar gateway; Axelar deliveries are disabled if unset
+   */
+  async setBridges({ cctpMessageTransmitter = ethers.ZeroAddress, axelarGateway = ethers.ZeroAddress } = {}) {
+    if (!this.depositor) throw new TypeError("no depositor address given");
+
+    const [owner, currentTransmitter, currentGateway] = await Promise.all([
+      this.depositor.owner(),
+      this.depositor.cctpMessageTransmitter(),
+      this.depositor.axelarGateway(),
+    ]);
+    const args = [ethers.getAddress(cctpMessageTransmitter), ethers.getAddress(axelarGateway)];
+    return this._plan(this.depositor, "setBridges", args, {
+      sender: owner,
+      changes: [
+        change("cctpMessageTransmitter", currentTransmitter, args[0]),
+        change("axelarGateway", currentGateway, args[1]),
+      ],
+    });
+  }
+
+  async _plan(contract, method, args, { sender, changes }) {
+    return {
+      to: await contract.getAddress(),
+      method,
+      args,
+      data: contract.interface.encodeFunctionData(method, args),
+      value: 0n,
+      sender,
+      changes,
+      changed: changes.some((entry) => entry.changed),
+    };
+  }
+
+  /**
+   * Runs a plan as an `eth_call` from `from`.
+   * @param {object} plan
+   * @param {string} [from=plan.sender]
+   * @throws {GatewayError} the revert the transaction would hit
+   */
+  async simulate(plan, from = plan.sender) {
+    try {
+      await this.provider.call({ to: plan.to, data: plan.data, value: plan.value, from });
+    } catch (error) {
+      throw decodeGatewayError(error);
+    }
+  }
+
+  /**
+   * Simulates a plan from `signer` and sends it.
+   * @param {object} plan
+   * @param {ethers.Signer} signer
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async execute(plan, signer) {
+    await this.simulate(plan, await signer.getAddress());
+    try {
+      return await signer.sendTransaction({ to: plan.to, data: plan.data, value: plan.value });
+    } catch (error) {
+      throw decodeGatewayError(error);
+    }
+  }
+}
+
+function pauseScope(scope) {
+  if (typeof scope === "string") {
+    if (!(scope in PauseScope)) throw new TypeError(`unknown pause scope "${scope}"`);
+    return PauseScope[scope];
+  }
+  return scope;
+}
+
+function pauseChanges(state, scope, paused) {
+  const changes = [];
+  if (scope !== PauseScope.Claims) changes.push(change("depositsPaused", state.depositsPaused, paused));
+  if (scope !== PauseScope.Deposits) changes.push(change("claimsPaused", state.claimsPaused, paused));
+  return changes;
+}
+
+function change(field, before, after) {
+  const changed = typeof before === "string" && typeof after === "string"
+    ? before.toLowerCase() !== after.toLowerCase()
+    : before !== after;
+  return { field, before, after, changed };
+}
+
+/**
+ * Renders a plan as a human-readable call and state diff.
+ * @param {object} plan
+ * @returns {string}
+ */
+function formatPlan(plan) {
+  const call = plan.operation
+    ? `${plan.method}(${plan.operation.method}(${plan.operation.args.map(String).join(", ")}))`
+    : `${plan.method}(${plan.args.map(String).join(", ")})`;
+  const lines = [`${call} on ${plan.to}, sent by ${plan.sender}`];
+  if (plan.operation) {
+    lines.push(`  operation ${plan.operation.id}, executable from ${new Date(Number(plan.operation.readyAt) * 1000).toISOString()}`);
+  }
+  for (const entry of plan.changes) {
+    lines.push(entry.changed
+      ? `  ${entry.field}: ${entry.before} -> ${entry.after}`
+      : `  ${entry.field}: ${entry.before} (unchanged)`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Exports plans as an unsigned transaction batch in the Safe Transaction Builder format.
+ * @param {object[]} plans
+ * @param {object} options
+ * @param {bigint|number} options.chainId
+ * @param {string} [options.name]
+ * @returns {object} JSON-serializable batch
+ */
+function toSafeBatch(plans, { chainId, name = "SilentSwap gateway admin" }) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: plans.map(formatPlan).join("\n"),
+    },
+    transactions: plans.map((plan) => ({
+      to: plan.to,
+      value: plan.value.toString(),
+      data: plan.data,
+    })),
+  };
+}
+
+module.exports = {
+  GatewayAdmin,
+  formatPlan,
+  toSafeBatch,
+};
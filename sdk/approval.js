@@ -0,0 +1,483 @@
+const { ethers } = require("ethers");
+
+// byte length of the packed approval preimage: orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash
+const APPROVAL_PREIMAGE_LENGTH = 168;
+
+// byte length of the preimage for deposits of tokens other than USDC, which append the token address
+const TOKEN_APPROVAL_PREIMAGE_LENGTH = 188;
+
+// byte length of the preimage for orders with a protocol fee, which append the token address and the fee
+const FEE_APPROVAL_PREIMAGE_LENGTH = 220;
+
+// byte length of the preimage for orders bound to a notary set, which append the token, the fee and the set ID
+const NOTARY_SET_APPROVAL_PREIMAGE_LENGTH = 252;
+
+// byte length of the preimage for orders with an amount range, which append the token, the fee, the set ID,
+// the minimum and the maximum amount
+const AMOUNT_RANGE_APPROVAL_PREIMAGE_LENGTH = 316;
+
+// byte length of one notary signature in a packed claim signature
+const CLAIM_SIGNATURE_LENGTH = 65;
+
+// basis points of a whole order, which the shares of a split claim sum to
+const CLAIM_SHARE_BPS = 10000n;
+
+// name and version of the gateway's EIP-712 domain, see `gatewayDomain()`
+const GATEWAY_DOMAIN_NAME = "SilentSwapV2Gateway";
+const GATEWAY_DOMAIN_VERSION = "1";
+
+// EIP-712 types the gateway checks approvals and notary signatures against
+const ORDER_APPROVAL_TYPES = {
+  OrderApproval: [
+    { name: "orderId", type: "bytes32" },
+    { name: "signer", type: "address" },
+    { name: "notary", type: "address" },
+    { name: "approvalExpiration", type: "uint256" },
+    { name: "domainSepHash", type: "bytes32" },
+    { name: "payloadHash", type: "bytes32" },
+    { name: "token", type: "address" },
+    { name: "fee", type: "uint256" },
+    { name: "notarySet", type: "bytes32" },
+    { name: "minAmount", type: "uint256" },
+    { name: "maxAmount", type: "uint256" },
+  ],
+};
+
+const CLAIM_TYPES = {
+  Claim: [{ name: "orderId", type: "bytes32" }],
+};
+
+const SPLIT_CLAIM_TYPES = {
+  SplitClaim: [
+    { name: "orderId", type: "bytes32" },
+    { name: "recipients", type: "address[]" },
+    { name: "shares", type: "uint256[]" },
+  ],
+};
+
+const EXTEND_ORDER_TYPES = {
+  ExtendOrder: [
+    { name: "orderId", type: "bytes32" },
+    { name: "expiration", type: "uint256" },
+  ],
+};
+
+const CANCEL_ORDER_TYPES = {
+  CancelOrder: [{ name: "orderId", type: "bytes32" }],
+};
+
+/**
+ * The gateway's EIP-712 domain, which binds approvals and notary signatures to one deployment; its hash is the
+ * gateway's `DOMAIN_SEPARATOR()`.
+ * @param {bigint|number} chainId
+ * @param {string} gateway gateway address
+ * @returns {ethers.TypedDataDomain}
+ */
+function gatewayDomain(chainId, gateway) {
+  return {
+    name: GATEWAY_DOMAIN_NAME,
+    version: GATEWAY_DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: ethers.getAddress(gateway),
+  };
+}
+
+// `domain` is required so that a missing domain never silently falls back to the legacy format
+function checkDomain(domain, { legacy = false } = {}) {
+  if (domain === undefined || (domain === null && !legacy)) {
+    throw new TypeError(legacy ? "gateway domain required; pass null for the legacy format" : "gateway domain required");
+  }
+  return domain;
+}
+
+/**
+ * Packs the fields the approver signs over in the legacy format, exactly as `deposit()` and `depositProxy()` do
+ * in step V7 until the gateway's `legacySignaturesUntil`.
+ * The token is only part of the preimage when it is set and not the zero address (USDC), or when there is a fee,
+ * which is appended after it. Orders bound to a notary set append the token, the fee and the set ID, and orders
+ * with an amount range (a non-zero `minAmount` or `maxAmount`) append all three and the range.
+ * @param {object} fields
+ * @param {string} fields.orderId bytes32
+ * @param {string} fields.signer
+ * @param {string} fields.notary
+ * @param {bigint|number|string} fields.approvalExpiration unix time
+ * @param {string} fields.domainSepHash bytes32
+ * @param {string} fields.payloadHash bytes32
+ * @param {string} [fields.token] deposit token; omitted or the zero address for USDC
+ * @param {bigint|number|string} [fields.fee] protocol fee in token units; omitted or zero for none
+ * @param {string} [fields.notarySet] bytes32 notary set ID; omitted or zero for single-notary orders
+ * @param {bigint|number|string} [fields.minAmount] smallest amount the order accepts; omitted or zero for no floor
+ * @param {bigint|number|string} [fields.maxAmount] largest amount the order accepts; omitted or zero for no cap
+ * @returns {Uint8Array} the 168-byte preimage, 188 bytes with a token, 220 bytes with a fee, 252 bytes with a notary
+ *   set or 316 bytes with an amount range
+ */
+function approvalPreimage({ orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash, token, fee, notarySet, minAmount, maxAmount }) {
+  const types = ["bytes32", "address", "address", "uint256", "bytes32", "bytes32"];
+  const values = [orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash];
+  if (BigInt(minAmount || 0) !== 0n || BigInt(maxAmount || 0) !== 0n) {
+    types.push("address", "uint256", "bytes32", "uint256", "uint256");
+    values.push(token || ethers.ZeroAddress, fee || 0, notarySet || ethers.ZeroHash, minAmount || 0, maxAmount || 0);
+  } else if (notarySet && notarySet !== ethers.ZeroHash) {
+    types.push("address", "uint256", "bytes32");
+    values.push(token || ethers.ZeroAddress, fee || 0, notarySet);
+  } else if (fee && BigInt(fee) !== 0n) {
+    types.push("address", "uint256");
+    values.push(token || ethers.ZeroAddress, fee);
+  } else if (token && token !== ethers.ZeroAddress) {
+    types.push("address");
+    values.push(token);
+  }
+  return ethers.getBytes(ethers.solidityPacked(types, values));
+}
+
+// every field of the `OrderApproval` typed data, with the defaults `approvalPreimage()` assumes
+function approvalMessage({ orderId, signer, notary, approvalExpiration, domainSepHash, payloadHash, token, fee, notarySet, minAmount, maxAmount }) {
+  return {
+    orderId,
+    signer,
+    notary,
+    approvalExpiration,
+    domainSepHash,
+    payloadHash,
+    token: token || ethers.ZeroAddress,
+    fee: fee || 0,
+    notarySet: notarySet || ethers.ZeroHash,
+    minAmount: minAmount || 0,
+    maxAmount: maxAmount || 0,
+  };
+}
+
+/**
+ * Computes the digest recovered by the gateway when checking an order approval: the EIP-712 hash of
+ * `OrderApproval` in the gateway's domain, or, for the legacy format, `keccak256("\x19Ethereum Signed Message:\n168" ‖ preimage)`
+ * (`\n188` with a token, `\n220` with a fee, `\n252` with a notary set, `\n316` with an amount range).
+ * @param {object} fields see {@link approvalPreimage}
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @returns {string} bytes32
+ */
+function approvalDigest(fields, domain) {
+  if (checkDomain(domain, { legacy: true }) === null) return ethers.hashMessage(approvalPreimage(fields));
+  return ethers.TypedDataEncoder.hash(domain, ORDER_APPROVAL_TYPES, approvalMessage(fields));
+}
+
+/**
+ * Produces an order approval on behalf of an approver (normally done by the SilentSwap API).
+ * @param {ethers.Signer} approver
+ * @param {object} fields see {@link approvalPreimage}
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signOrderApproval(approver, fields, domain) {
+  if (checkDomain(domain, { legacy: true }) === null) return approver.signMessage(approvalPreimage(fields));
+  return approver.signTypedData(domain, ORDER_APPROVAL_TYPES, approvalMessage(fields));
+}
+
+/**
+ * Recovers the address that produced an order approval.
+ * @param {object} fields see {@link approvalPreimage}
+ * @param {string} orderApproval 65-byte signature
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @returns {string} recovered address
+ */
+function recoverOrderApprover(fields, orderApproval, domain) {
+  return ethers.recoverAddress(approvalDigest(fields, domain), orderApproval);
+}
+
+/**
+ * Checks the split of a claim as `claim()` does: one positive share per non-zero recipient, in basis points
+ * summing to {@link CLAIM_SHARE_BPS}. That every recipient is an authorized claimer is left to the caller.
+ * @param {{recipients?: string[], shares?: Array<bigint|number|string>}|null} [split] no split, or one without
+ *   recipients, pays the whole order to the batch's recipient
+ * @returns {{recipients: string[], shares: bigint[]}|null} the split with checksummed recipients, or null if unsplit
+ * @throws {RangeError} if the split is malformed
+ */
+function checkClaimSplit(split) {
+  const recipients = (split && split.recipients) || [];
+  const shares = ((split && split.shares) || []).map((share) => BigInt(share));
+  if (recipients.length !== shares.length) {
+    throw new RangeError(`claim split has ${recipients.length} recipients but ${shares.length} shares`);
+  }
+  if (recipients.length === 0) return null;
+
+  if (recipients.some((recipient) => BigInt(recipient) === 0n) || shares.some((share) => share <= 0n)) {
+    throw new RangeError("claim split recipients must be set and their shares positive");
+  }
+  const total = shares.reduce((sum, share) => sum + share, 0n);
+  if (total !== CLAIM_SHARE_BPS) throw new RangeError(`claim split shares sum to ${total} instead of ${CLAIM_SHARE_BPS} bps`);
+
+  return { recipients: recipients.map((recipient) => ethers.getAddress(recipient)), shares };
+}
+
+/**
+ * Divides an order's claimed amount between the recipients of its split as `claim()` does: each share rounded
+ * down, with the remainder going to the last recipient.
+ * @param {bigint} amount the order's amount net of its fee
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}} split
+ * @returns {bigint[]} the amount of each recipient
+ */
+function splitClaimAmount(amount, split) {
+  const { shares } = checkClaimSplit(split);
+  const amounts = shares.map((share) => (amount * share) / CLAIM_SHARE_BPS);
+  amounts[amounts.length - 1] = amount - amounts.slice(0, -1).reduce((sum, part) => sum + part, 0n);
+  return amounts;
+}
+
+// the claim message and types, `SplitClaim` for a split and `Claim` otherwise
+function claimTypedData(orderId, split) {
+  const checked = checkClaimSplit(split);
+  return checked ? [SPLIT_CLAIM_TYPES, { orderId, ...checked }] : [CLAIM_TYPES, { orderId }];
+}
+
+// the legacy format only releases an order to the batch's recipient
+function checkLegacyClaim(split) {
+  if (checkClaimSplit(split)) throw new TypeError("split claims have no legacy format");
+}
+
+/**
+ * Computes the digest a notary signs to release an order in `claim()`: the EIP-712 hash of `Claim(orderId)`, or
+ * of `SplitClaim(orderId, recipients, shares)` for a split claim, in the gateway's domain; or, for the legacy
+ * format, `keccak256("\x19Ethereum Signed Message:\n32" ‖ keccak256(orderId))`.
+ * @param {string} orderId bytes32
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}|null} [split] see {@link checkClaimSplit}
+ * @returns {string} bytes32
+ */
+function claimDigest(orderId, domain, split = null) {
+  if (checkDomain(domain, { legacy: true }) === null) {
+    checkLegacyClaim(split);
+    return ethers.hashMessage(ethers.getBytes(ethers.keccak256(orderId)));
+  }
+  return ethers.TypedDataEncoder.hash(domain, ...claimTypedData(orderId, split));
+}
+
+/**
+ * Signs a claim for the given order as its notary.
+ * @param {ethers.Signer} notary
+ * @param {string} orderId bytes32
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}|null} [split] see {@link checkClaimSplit}
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signClaim(notary, orderId, domain, split = null) {
+  if (checkDomain(domain, { legacy: true }) === null) {
+    checkLegacyClaim(split);
+    return notary.signMessage(ethers.getBytes(ethers.keccak256(orderId)));
+  }
+  return notary.signTypedData(domain, ...claimTypedData(orderId, split));
+}
+
+/**
+ * Recovers the notary address from a claim signature.
+ * @param {string} orderId bytes32
+ * @param {string} signature 65-byte signature
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}|null} [split] see {@link checkClaimSplit}
+ * @returns {string} recovered address
+ */
+function recoverClaimNotary(orderId, signature, domain, split = null) {
+  return ethers.recoverAddress(claimDigest(orderId, domain, split), signature);
+}
+
+/**
+ * Computes the digest signed to extend an order with `extendOrder()`: the EIP-712 hash of
+ * `ExtendOrder(orderId, expiration)` in the gateway's domain.
+ * @param {string} orderId bytes32
+ * @param {bigint|number} newExpiration unix time
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {string} bytes32
+ */
+function extensionDigest(orderId, newExpiration, domain) {
+  return ethers.TypedDataEncoder.hash(checkDomain(domain), EXTEND_ORDER_TYPES, { orderId, expiration: newExpiration });
+}
+
+/**
+ * Signs an order extension as its notary, a member of its notary set or an authorized approver.
+ * @param {ethers.Signer} signer
+ * @param {string} orderId bytes32
+ * @param {bigint|number} newExpiration unix time
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signExtension(signer, orderId, newExpiration, domain) {
+  return signer.signTypedData(checkDomain(domain), EXTEND_ORDER_TYPES, { orderId, expiration: newExpiration });
+}
+
+/**
+ * Recovers the signer of an order extension.
+ * @param {string} orderId bytes32
+ * @param {bigint|number} newExpiration unix time
+ * @param {string} signature 65-byte signature
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {string} recovered address
+ */
+function recoverExtensionSigner(orderId, newExpiration, signature, domain) {
+  return ethers.recoverAddress(extensionDigest(orderId, newExpiration, domain), signature);
+}
+
+/**
+ * Computes the digest the refundee and the notary both sign to cancel an order with `cancelOrder()`: the
+ * EIP-712 hash of `CancelOrder(orderId)` in the gateway's domain.
+ * @param {string} orderId bytes32
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {string} bytes32
+ */
+function cancellationDigest(orderId, domain) {
+  return ethers.TypedDataEncoder.hash(checkDomain(domain), CANCEL_ORDER_TYPES, { orderId });
+}
+
+/**
+ * Signs an order cancellation as its refundee or its notary.
+ * @param {ethers.Signer} signer
+ * @param {string} orderId bytes32
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signCancellation(signer, orderId, domain) {
+  return signer.signTypedData(checkDomain(domain), CANCEL_ORDER_TYPES, { orderId });
+}
+
+/**
+ * Recovers the signer of an order cancellation.
+ * @param {string} orderId bytes32
+ * @param {string} signature 65-byte signature
+ * @param {ethers.TypedDataDomain} domain {@link gatewayDomain}
+ * @returns {string} recovered address
+ */
+function recoverCancellationSigner(orderId, signature, domain) {
+  return ethers.recoverAddress(cancellationDigest(orderId, domain), signature);
+}
+
+/**
+ * Sorts notary addresses ascending, the order `registerNotarySet()` and packed claim signatures require.
+ * @param {string[]} notaries
+ * @returns {string[]} checksummed addresses
+ */
+function sortNotaries(notaries) {
+  return notaries.map((notary) => ethers.getAddress(notary)).sort((a, b) => {
+    const [x, y] = [BigInt(a), BigInt(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  });
+}
+
+/**
+ * Computes the ID of a notary set, as returned by `registerNotarySet()`.
+ * @param {string[]} members notaries; sorted here
+ * @param {bigint|number} threshold number of members that must sign a claim
+ * @returns {string} bytes32
+ */
+function notarySetId(members, threshold) {
+  return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address[]", "uint256"], [sortNotaries(members), threshold]));
+}
+
+/**
+ * Splits a packed claim signature into its 65-byte notary signatures.
+ * @param {string} signature
+ * @returns {string[]}
+ */
+function splitClaimSignatures(signature) {
+  const length = ethers.dataLength(signature);
+  if (length === 0 || length % CLAIM_SIGNATURE_LENGTH !== 0) {
+    throw new TypeError(`claim signature length ${length} is not a multiple of ${CLAIM_SIGNATURE_LENGTH}`);
+  }
+  const signatures = [];
+  for (let offset = 0; offset < length; offset += CLAIM_SIGNATURE_LENGTH) {
+    signatures.push(ethers.dataSlice(signature, offset, offset + CLAIM_SIGNATURE_LENGTH));
+  }
+  return signatures;
+}
+
+/**
+ * Recovers every notary of a (possibly packed) claim signature, in order.
+ * @param {string} orderId bytes32
+ * @param {string} signature
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}|null} [split] see {@link checkClaimSplit}
+ * @returns {string[]}
+ */
+function recoverClaimNotaries(orderId, signature, domain, split = null) {
+  const digest = claimDigest(orderId, domain, split);
+  return splitClaimSignatures(signature).map((part) => ethers.recoverAddress(digest, part));
+}
+
+/**
+ * Combines claim signatures collected from the members of a notary set into the packed signature `claim()`
+ * expects: one signature per distinct member, in ascending member order. Signatures of non-members and
+ * duplicates are dropped.
+ * @param {string} orderId bytes32
+ * @param {string[]} signatures single or already packed claim signatures
+ * @param {object} notarySet
+ * @param {string[]} notarySet.members
+ * @param {bigint|number} notarySet.threshold
+ * @param {ethers.TypedDataDomain|null} domain {@link gatewayDomain}, or null for the legacy format
+ * @param {{recipients: string[], shares: Array<bigint|number|string>}|null} [split] see {@link checkClaimSplit}
+ * @returns {string} packed signature
+ * @throws {RangeError} if fewer than `threshold` members signed
+ */
+function aggregateClaimSignatures(orderId, signatures, notarySet, domain, split = null) {
+  return aggregateNotarySignatures(claimDigest(orderId, domain, split), signatures, notarySet, `order ${orderId}`);
+}
+
+/**
+ * Combines signatures of any digest collected from the members of a notary set, as `aggregateClaimSignatures()`
+ * does for claims; e.g. `extensionDigest()` or `cancellationDigest()` for notary set orders.
+ * @param {string} digest bytes32
+ * @param {string[]} signatures single or already packed signatures
+ * @param {object} notarySet
+ * @param {string[]} notarySet.members
+ * @param {bigint|number} notarySet.threshold
+ * @param {string} [subject] what was signed, for the error message
+ * @returns {string} packed signature
+ * @throws {RangeError} if fewer than `threshold` members signed
+ */
+function aggregateNotarySignatures(digest, signatures, { members, threshold }, subject = digest) {
+  const allowed = new Set(members.map((member) => member.toLowerCase()));
+  const byNotary = new Map();
+  for (const part of signatures.flatMap(splitClaimSignatures)) {
+    const notary = ethers.recoverAddress(digest, part);
+    if (allowed.has(notary.toLowerCase()) && !byNotary.has(notary)) byNotary.set(notary, part);
+  }
+
+  if (BigInt(byNotary.size) < BigInt(threshold)) {
+    throw new RangeError(`${byNotary.size} of ${threshold} required notaries signed ${subject}`);
+  }
+  return ethers.concat(sortNotaries([...byNotary.keys()]).map((notary) => byNotary.get(notary)));
+}
+
+module.exports = {
+  APPROVAL_PREIMAGE_LENGTH,
+  TOKEN_APPROVAL_PREIMAGE_LENGTH,
+  FEE_APPROVAL_PREIMAGE_LENGTH,
+  NOTARY_SET_APPROVAL_PREIMAGE_LENGTH,
+  AMOUNT_RANGE_APPROVAL_PREIMAGE_LENGTH,
+  CLAIM_SIGNATURE_LENGTH,
+  CLAIM_SHARE_BPS,
+  GATEWAY_DOMAIN_NAME,
+  GATEWAY_DOMAIN_VERSION,
+  ORDER_APPROVAL_TYPES,
+  CLAIM_TYPES,
+  SPLIT_CLAIM_TYPES,
+  EXTEND_ORDER_TYPES,
+  CANCEL_ORDER_TYPES,
+  gatewayDomain,
+  approvalPreimage,
+  approvalDigest,
+  signOrderApproval,
+  recoverOrderApprover,
+  checkClaimSplit,
+  splitClaimAmount,
+  claimDigest,
+  signClaim,
+  recoverClaimNotary,
+  extensionDigest,
+  signExtension,
+  recoverExtensionSigner,
+  cancellationDigest,
+  signCancellation,
+  recoverCancellationSigner,
+  sortNotaries,
+  notarySetId,
+  splitClaimSignatures,
+  recoverClaimNotaries,
+  aggregateClaimSignatures,
+  aggregateNotarySignatures,
+};
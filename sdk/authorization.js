@@ -0,0 +1,99 @@
+const { ethers } = require("ethers");
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * EIP-3009 `ReceiveWithAuthorization` typed data, as implemented by USDC.
+ */
+const RECEIVE_WITH_AUTHORIZATION_TYPES = {
+  ReceiveWithAuthorization: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+  ],
+};
+
+// argument types of `receiveWithAuthorization` following its selector
+const RECEIVE_AUTHORIZATION_ARG_TYPES = [
+  "address", "address", "uint256", "uint256", "uint256", "bytes32", "uint8", "bytes32", "bytes32",
+];
+
+/**
+ * Reads the EIP-712 domain of an EIP-3009 token.
+ * @param {ethers.Contract} token contract connected to a provider
+ * @param {object} [overrides] `name`/`version` to use instead of querying the token
+ * @returns {Promise<object>} EIP-712 domain
+ */
+async function tokenDomain(token, overrides = {}) {
+  const runner = token.runner;
+  const provider = runner && (runner.provider || runner);
+  const { chainId } = await provider.getNetwork();
+
+  const name = overrides.name !== undefined ? overrides.name : await token.name();
+  const version = overrides.version !== undefined ? overrides.version : await token.version();
+
+  return { name, version, chainId, verifyingContract: await token.getAddress() };
+}
+
+/**
+ * Signs an EIP-3009 `receiveWithAuthorization` and packs it into the `receiveAuthorization`
+ * bytes expected by `deposit()` (the call's arguments without its selector).
+ * @param {ethers.Signer} from payer, i.e. the order signer
+ * @param {object} domain token EIP-712 domain, see {@link tokenDomain}
+ * @param {object} authorization
+ * @param {string} authorization.to the gateway address
+ * @param {bigint} authorization.value amount to deposit
+ * @param {bigint|number} [authorization.validAfter=0]
+ * @param {bigint|number} authorization.validBefore
+ * @param {string} [authorization.nonce] random bytes32 if omitted
+ * @returns {Promise<string>} ABI-encoded authorization
+ */
+async function signReceiveAuthorization(from, domain, { to, value, validAfter = 0, validBefore, nonce }) {
+  const message = {
+    from: await from.getAddress(),
+    to,
+    value,
+    validAfter,
+    validBefore,
+    nonce: nonce || ethers.hexlify(ethers.randomBytes(32)),
+  };
+
+  const signature = ethers.Signature.from(
+    await from.signTypedData(domain, RECEIVE_WITH_AUTHORIZATION_TYPES, message)
+  );
+
+  return encodeReceiveAuthorization({ ...message, v: signature.v, r: signature.r, s: signature.s });
+}
+
+/**
+ * ABI-encodes the arguments of `receiveWithAuthorization`.
+ * @param {object} authorization from, to, value, validAfter, validBefore, nonce, v, r, s
+ * @returns {string}
+ */
+function encodeReceiveAuthorization({ from, to, value, validAfter, validBefore, nonce, v, r, s }) {
+  return abiCoder.encode(RECEIVE_AUTHORIZATION_ARG_TYPES, [from, to, value, validAfter, validBefore, nonce, v, r, s]);
+}
+
+/**
+ * Decodes the `receiveAuthorization` bytes of a `DepositParams`.
+ * @param {string} receiveAuthorization
+ * @returns {{from: string, to: string, value: bigint, validAfter: bigint, validBefore: bigint, nonce: string, v: number, r: string, s: string}}
+ */
+function decodeReceiveAuthorization(receiveAuthorization) {
+  const [from, to, value, validAfter, validBefore, nonce, v, r, s] = abiCoder.decode(
+    RECEIVE_AUTHORIZATION_ARG_TYPES,
+    receiveAuthorization
+  );
+  return { from, to, value, validAfter, validBefore, nonce, v: Number(v), r, s };
+}
+
+module.exports = {
+  RECEIVE_WITH_AUTHORIZATION_TYPES,
+  tokenDomain,
+  signReceiveAuthorization,
+  encodeReceiveAuthorization,
+  decodeReceiveAuthorization,
+};
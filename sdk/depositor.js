@@ -0,0 +1,153 @@
+const { ethers } = require("ethers");
+const { DEPOSITOR_ABI, EIP3009_ABI, DEPOSIT_PARAMS_TUPLE } = require("./abi");
+const { GatewayClient, decodeReverts } = require("./gateway");
+const { DepositorEmptyBalanceError } = require("./errors");
+
+/**
+ * Encodes the payload a bridge delivers to the depositor's `receiveCctpMessage()` (as CCTP hook data) or
+ * `executeWithToken()` (as the Axelar payload).
+ * @param {object} params `DepositParams` built for `depositProxy`
+ * @param {string} [refundee] receives the bridged funds if the deposit reverts; the order's signer if unset
+ * @returns {string} hex payload
+ */
+function encodeBridgePayload(params, refundee = ethers.ZeroAddress) {
+  return ethers.AbiCoder.defaultAbiCoder().encode([DEPOSIT_PARAMS_TUPLE, "address"], [params, refundee]);
+}
+
+/**
+ * Client for depositing through a `SilentSwapDepositor`, which forwards the balance it receives for an
+ * order to the gateway's `depositProxy()`, up to the order's `maxAmount`, and refunds the excess to the signer.
+ */
+class DepositorClient {
+  /**
+   * @param {string|ethers.Addressable} address depositor address
+   * @param {ethers.ContractRunner} runner signer used to send transactions, or a provider for read-only use
+   */
+  constructor(address, runner) {
+    this.contract = new ethers.Contract(address, DEPOSITOR_ABI, runner);
+  }
+
+  /**
+   * @returns {Promise<GatewayClient>} client for the gateway the depositor forwards to
+   */
+  async gateway() {
+    if (!this._gateway) {
+      this._gateway = new GatewayClient(await this.contract.gatewayAddress(), this.contract.runner);
+    }
+    return this._gateway;
+  }
+
+  /**
+   * @param {object} [params] `DepositParams`; the depositor forwards `params.token`, or USDC if unset
+   * @returns {Promise<ethers.Contract>} the token the depositor forwards
+   */
+  async token(params = {}) {
+    let address = params.token;
+    if (!address || address === ethers.ZeroAddress) {
+      if (!this._usdc) this._usdc = await this.contract.usdc();
+      address = this._usdc;
+    }
+    return new ethers.Contract(address, EIP3009_ABI, this.contract.runner);
+  }
+
+  /**
+   * Credits funds to an order ahead of its deposit, so that no other order's deposit can use them.
+   * The caller must have approved the depositor beforehand.
+   * @param {string} orderId bytes32
+   * @param {string} token deposit token of the order
+   * @param {bigint} amount
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async fundOrder(orderId, token, amount, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.fundOrder(orderId, token, amount, overrides));
+  }
+
+  /**
+   * @param {object} params `DepositParams`
+   * @returns {Promise<bigint>} the balance credited to the order with `fundOrder()`
+   */
+  async orderBalance(params) {
+    return this.contract.orderBalances(params.orderId, await (await this.token(params)).getAddress());
+  }
+
+  /**
+   * Deposits the order's credit plus the depositor's balance not credited to any order, on behalf of `params.signer`.
+   * @param {object} params `DepositParams` built for `depositProxy`
+   * @param {object} [options]
+   * @param {boolean} [options.preflight=true] check the deposit against the gateway first
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async depositProxy(params, { preflight = true, overrides = {} } = {}) {
+    if (preflight) {
+      const token = await this.token(params);
+      const [unallocated, credited] = await Promise.all([
+        this.contract.unallocatedBalance(await token.getAddress()),
+        this.orderBalance(params),
+      ]);
+      await this._preflight(params, unallocated + credited);
+    }
+    return decodeReverts(() => this.contract.depositProxy(params, overrides));
+  }
+
+  /**
+   * Pulls the caller's entire token balance into the depositor and deposits it with the order's credit.
+   * The caller must have approved the depositor beforehand.
+   * @param {object} params `DepositParams` built for `depositProxy`
+   * @param {object} [options] see {@link DepositorClient#depositProxy}
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async depositProxy2(params, { preflight = true, overrides = {} } = {}) {
+    if (preflight) {
+      const [balance, credited] = await Promise.all([
+        (await this.token(params)).balanceOf(await this.contract.runner.getAddress()),
+        this.orderBalance(params),
+      ]);
+      await this._preflight(params, balance + credited);
+    }
+    return decodeReverts(() => this.contract.depositProxy2(params, overrides));
+  }
+
+  /**
+   * @returns {Promise<{cctpMessageTransmitter: string, axelarGateway: string}>} bridge contracts the depositor
+   * accepts deliveries from; zero addresses are disabled
+   */
+  async bridges() {
+    const [cctpMessageTransmitter, axelarGateway] = await Promise.all([
+      this.contract.cctpMessageTransmitter(),
+      this.contract.axelarGateway(),
+    ]);
+    return { cctpMessageTransmitter, axelarGateway };
+  }
+
+  /**
+   * Relays an attested CCTP message whose hook data is {@link encodeBridgePayload}. The deposit runs in the
+   * same transaction; if it reverts, the depositor sends the minted USDC to the payload's refundee instead,
+   * see the `BridgeDeposit` and `BridgeDepositFailed` events.
+   * @param {string} message message bytes emitted by `MessageSent` on the source domain
+   * @param {string} attestation Circle's attestation of the message
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async receiveCctpMessage(message, attestation, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.receiveCctpMessage(message, attestation, overrides));
+  }
+
+  async _preflight(params, balance) {
+    if (balance === 0n) {
+      throw new DepositorEmptyBalanceError("SilentSwapDepositor: balance must be greater than 0");
+    }
+
+    // the depositor caps the amount at `maxAmount` and refunds the rest
+    const maxAmount = BigInt(params.maxAmount || 0);
+    await (await this.gateway()).preflight(params, maxAmount !== 0n && balance > maxAmount ? maxAmount : balance);
+  }
+}
+
+module.exports = {
+  encodeBridgePayload,
+  DepositorClient,
+};
@@ -0,0 +1,384 @@
+const { ethers } = require("ethers");
+const { GATEWAY_ABI, DEPOSITOR_ABI } = require("./abi");
+
+// selectors of the solidity builtin `Error(string)` and `Panic(uint256)` reverts
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Base class for every error raised by the contracts or by the SDK's pre-flight checks.
+ * `reason` holds the revert string or custom error name, `args` the decoded arguments.
+ */
+class GatewayError extends Error {
+  constructor(message, { reason = message, args = {}, data = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.reason = reason;
+    this.args = args;
+    this.data = data;
+  }
+}
+
+// V1. receive authorization checks
+class ReceiveAuthorizationNotFromSignerError extends GatewayError {}
+class ReceiveAuthorizationNotToContractError extends GatewayError {}
+class DepositAmountTooLowError extends GatewayError {}
+class FeeExceedsAmountError extends GatewayError {}
+class AmountOutOfRangeError extends GatewayError {}
+
+// V2. - V8. deposit validation
+class ApprovalExpiredError extends GatewayError {}
+class InvalidDurationError extends GatewayError {}
+class ApproverNotAuthorizedError extends GatewayError {}
+class OrderAlreadyExistsError extends GatewayError {}
+class PayloadAlreadyUsedError extends GatewayError {}
+class InvalidOrderApprovalError extends GatewayError {}
+class InvalidTypedDataSignatureError extends GatewayError {}
+class SignerDeploymentFailedError extends GatewayError {}
+
+// E3. token transfer into the gateway
+class ReceiveAuthorizationFailedError extends GatewayError {}
+class PermitFailedError extends GatewayError {}
+class Permit2InvalidAmountError extends GatewayError {}
+class Permit2SignatureExpiredError extends GatewayError {}
+class Permit2InvalidNonceError extends GatewayError {}
+class Permit2InvalidSignerError extends GatewayError {}
+
+// refunds
+class OrderNotOpenError extends GatewayError {}
+class OrderNotExpiredError extends GatewayError {}
+
+// order extensions and cancellations
+class OrderExpiredError extends GatewayError {}
+class InvalidExpirationError extends GatewayError {}
+class InvalidExtensionSignatureError extends GatewayError {}
+class InvalidCancellationSignatureError extends GatewayError {}
+
+// configuration
+class InvalidConfigError extends GatewayError {}
+
+// deposit tokens
+class TokenNotAllowedError extends GatewayError {}
+
+// notary sets
+class NotarySetNotRegisteredError extends GatewayError {}
+class InvalidNotarySetError extends GatewayError {}
+
+// pauses
+class DepositsPausedError extends GatewayError {}
+class GuardianUnauthorizedError extends GatewayError {}
+
+// timelock
+class TimelockRequiredError extends GatewayError {}
+class OperationNotTimelockedError extends GatewayError {}
+class OperationAlreadyScheduledError extends GatewayError {}
+class OperationNotScheduledError extends GatewayError {}
+class OperationNotReadyError extends GatewayError {}
+
+// upgrades
+class InvalidImplementationError extends GatewayError {}
+class NotCalledThroughProxyError extends GatewayError {}
+class CalledThroughProxyError extends GatewayError {}
+class ImplementationNotContractError extends GatewayError {}
+
+// depositor
+class DepositorEmptyBalanceError extends GatewayError {}
+class BridgeNotConfiguredError extends GatewayError {}
+class InvalidCctpMessageError extends GatewayError {}
+class BridgeCallNotApprovedError extends GatewayError {}
+class NothingBridgedError extends GatewayError {}
+class MessageNotReceivedError extends GatewayError {}
+class DepositorOnlySelfError extends GatewayError {}
+class BridgedTokenMismatchError extends GatewayError {}
+
+// custom errors
+class ClaimRejectedUnauthorizedError extends GatewayError {}
+class ClaimRejectedExcessiveClaimAttemptsError extends GatewayError {}
+class ClaimRejectedOrderNotOpenError extends GatewayError {}
+class ClaimRejectedInvalidSignatureError extends GatewayError {}
+class ClaimRejectedNotaryThresholdError extends GatewayError {}
+class ClaimRejectedPausedError extends GatewayError {}
+class ClaimRejectedInvalidSplitError extends GatewayError {}
+class OwnableUnauthorizedAccountError extends GatewayError {}
+class OwnableInvalidOwnerError extends GatewayError {}
+class ReentrancyGuardReentrantCallError extends GatewayError {}
+class SafeERC20FailedOperationError extends GatewayError {}
+class FailedCallError extends GatewayError {}
+class ECDSAInvalidSignatureError extends GatewayError {}
+class ECDSAInvalidSignatureLengthError extends GatewayError {}
+class ECDSAInvalidSignatureSError extends GatewayError {}
+
+// builtin panics (overflow, division by zero, ...)
+class PanicError extends GatewayError {}
+
+/**
+ * Raised when an order payload does not conform to the EIP-712 schema documented in the readme.
+ * `issues` lists every offending field as `{path, message}`.
+ */
+class OrderSchemaError extends Error {
+  constructor(message, issues) {
+    super(`${message}:\n${issues.map(({ path, message: issue }) => `  ${path}: ${issue}`).join("\n")}`);
+    this.name = new.target.name;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Revert strings emitted by the contracts. Dynamic messages are matched by prefix and their
+ * trailing bytes are parsed into `args`.
+ */
+const REVERT_STRINGS = [
+  ["Gateway: receive authorization not from signer", ReceiveAuthorizationNotFromSignerError],
+  ["Gateway: receive authorization not to contract", ReceiveAuthorizationNotToContractError],
+  ["Gateway: receive authorization amount too low; minimum is ", DepositAmountTooLowError,
+    (tail) => ({ minDepositAmount: BigInt(ethers.toUtf8String(tail)) })],
+  ["Gateway: fee exceeds amount", FeeExceedsAmountError],
+  ["Gateway: amount outside expected range", AmountOutOfRangeError],
+  ["Gateway: approval expired", ApprovalExpiredError],
+  ["Gateway: invalid duration ", InvalidDurationError, (tail) => {
+    const [, duration, min, max] = /^(\d+); must be between (\d+) and (\d+)$/.exec(ethers.toUtf8String(tail)) || [];
+    return { duration: BigInt(duration), minDuration: BigInt(min), maxDuration: BigInt(max) };
+  }],
+  ["Gateway: approver not authorized", ApproverNotAuthorizedError],
+  ["Gateway: order already exists", OrderAlreadyExistsError],
+  ["Gateway: payload already used", PayloadAlreadyUsedError],
+  ["Gateway: invalid order approval signature", InvalidOrderApprovalError],
+  ["Gateway: invalid typed data signature", InvalidTypedDataSignatureError],
+  ["Gateway: signer deployment failed", SignerDeploymentFailedError],
+  ["Gateway: receive authorization failed()", ReceiveAuthorizationFailedError],
+  ["Gateway: permit failed", PermitFailedError],
+  // `refund()`, `extendOrder()` and `cancelOrder()` pack the raw enum byte and the raw uint256 expiration after these prefixes
+  ["Gateway: order not open; status: ", OrderNotOpenError, (tail) => ({ status: tail.length ? Number(tail[0]) : 0 })],
+  ["Gateway: order not expired; expires: ", OrderNotExpiredError, (tail) => ({ expiration: ethers.toBigInt(tail) })],
+  ["Gateway: order expired", OrderExpiredError],
+  ["Gateway: invalid expiration", InvalidExpirationError],
+  ["Gateway: invalid extension signature", InvalidExtensionSignatureError],
+  ["Gateway: invalid cancellation signature", InvalidCancellationSignatureError],
+  ["Gateway: minimumDuration must be <= maximumDuration", InvalidConfigError],
+  ["Gateway: token not allowed", TokenNotAllowedError],
+  ["Gateway: USDC is configured through setConfig", InvalidConfigError],
+  ["Gateway: treasury is the zero address", InvalidConfigError],
+  ["Gateway: notary set not registered", NotarySetNotRegisteredError],
+  ["Gateway: notary set orders must not set a notary", InvalidNotarySetError],
+  ["Gateway: invalid notary threshold", InvalidNotarySetError],
+  ["Gateway: notaries must be sorted and unique", InvalidNotarySetError],
+  ["Gateway: deposits paused", DepositsPausedError],
+  ["Gateway: caller is not the guardian", GuardianUnauthorizedError],
+  ["Gateway: claim window is zero", InvalidConfigError],
+  ["Gateway: call must be scheduled", TimelockRequiredError],
+  ["Gateway: call is not timelocked", OperationNotTimelockedError],
+  ["Gateway: operation already scheduled", OperationAlreadyScheduledError],
+  ["Gateway: operation not scheduled", OperationNotScheduledError],
+  ["Gateway: operation not ready", OperationNotReadyError],
+  ["Gateway: invalid implementation", InvalidImplementationError],
+  ["Gateway: not called through a proxy", NotCalledThroughProxyError],
+  ["Gateway: called through a proxy", CalledThroughProxyError],
+  ["Gateway: implementation is not a contract", ImplementationNotContractError],
+  ["SilentSwapDepositor: balance must be greater than 0", DepositorEmptyBalanceError],
+  ["SilentSwapDepositor: bridge not configured", BridgeNotConfiguredError],
+  ["SilentSwapDepositor: invalid CCTP message", InvalidCctpMessageError],
+  ["SilentSwapDepositor: not approved by bridge", BridgeCallNotApprovedError],
+  ["SilentSwapDepositor: nothing bridged", NothingBridgedError],
+  ["SilentSwapDepositor: message not received", MessageNotReceivedError],
+  ["SilentSwapDepositor: only self", DepositorOnlySelfError],
+  ["SilentSwapDepositor: token mismatch", BridgedTokenMismatchError],
+];
+
+const CUSTOM_ERRORS = {
+  ClaimRejectedUnauthorized: ClaimRejectedUnauthorizedError,
+  ClaimRejectedExcessiveClaimAttempts: ClaimRejectedExcessiveClaimAttemptsError,
+  ClaimRejectedOrderNotOpen: ClaimRejectedOrderNotOpenError,
+  ClaimRejectedInvalidSignature: ClaimRejectedInvalidSignatureError,
+  ClaimRejectedNotaryThreshold: ClaimRejectedNotaryThresholdError,
+  ClaimRejectedPaused: ClaimRejectedPausedError,
+  ClaimRejectedInvalidSplit: ClaimRejectedInvalidSplitError,
+  OwnableUnauthorizedAccount: OwnableUnauthorizedAccountError,
+  OwnableInvalidOwner: OwnableInvalidOwnerError,
+  ReentrancyGuardReentrantCall: ReentrancyGuardReentrantCallError,
+  SafeERC20FailedOperation: SafeERC20FailedOperationError,
+  FailedCall: FailedCallError,
+  ECDSAInvalidSignature: ECDSAInvalidSignatureError,
+  ECDSAInvalidSignatureLength: ECDSAInvalidSignatureLengthError,
+  ECDSAInvalidSignatureS: ECDSAInvalidSignatureSError,
+  InvalidAmount: Permit2InvalidAmountError,
+  SignatureExpired: Permit2SignatureExpiredError,
+  InvalidNonce: Permit2InvalidNonceError,
+  InvalidSigner: Permit2InvalidSignerError,
+};
+
+const customErrorsInterface = new ethers.Interface([
+  ...GATEWAY_ABI.filter((fragment) => fragment.startsWith("error ")),
+  ...DEPOSITOR_ABI.filter((fragment) => fragment.startsWith("error ")),
+].filter((fragment, index, all) => all.indexOf(fragment) === index));
+
+/**
+ * Looks for revert data on an error thrown by ethers, a JSON-RPC provider or Hardhat.
+ * @param {any} error
+ * @returns {string|null} hex-encoded revert data
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || depth > 6) return null;
+
+  if (typeof error === "string") {
+    return ethers.isHexString(error) && error.length >= 10 ? error : null;
+  }
+
+  if (typeof error !== "object") return null;
+
+  for (const candidate of [error.data, error.revert && error.revert.data]) {
+    if (typeof candidate === "string" && ethers.isHexString(candidate) && candidate.length >= 10) {
+      return candidate;
+    }
+  }
+
+  for (const nested of [error.data, error.error, error.info && error.info.error, error.cause]) {
+    const found = findRevertData(nested, depth + 1);
+    if (found) return found;
+  }
+
+  return null;
+}
+
+/**
+ * Decodes raw revert data into a typed error.
+ * @param {string} data hex-encoded revert data
+ * @returns {GatewayError|null} null if the data is not recognized
+ */
+function decodeRevertData(data) {
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    // decode as bytes since `refund()` reverts with non-utf8 strings
+    const [raw] = abiCoder.decode(["bytes"], ethers.dataSlice(data, 4));
+    const bytes = ethers.getBytes(raw);
+
+    for (const [prefix, ErrorClass, parse] of REVERT_STRINGS) {
+      const prefixBytes = ethers.toUtf8Bytes(prefix);
+      if (bytes.length < prefixBytes.length) continue;
+      if (!prefixBytes.every((byte, index) => bytes[index] === byte)) continue;
+
+      const tail = bytes.slice(prefixBytes.length);
+      if (!parse && tail.length) continue;
+
+      const message = ethers.toUtf8String(bytes, ethers.Utf8ErrorFuncs.replace);
+      return new ErrorClass(message, { reason: prefix.trim(), args: parse ? parse(tail) : {}, data });
+    }
+
+    const message = ethers.toUtf8String(bytes, ethers.Utf8ErrorFuncs.replace);
+    return new GatewayError(message, { data });
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = abiCoder.decode(["uint256"], ethers.dataSlice(data, 4));
+    return new PanicError(`Panic(0x${code.toString(16)})`, { reason: "Panic", args: { code }, data });
+  }
+
+  let parsed = null;
+  try {
+    parsed = customErrorsInterface.parseError(data);
+  } catch (error) {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    args[input.name] = parsed.args[index];
+  });
+
+  const ErrorClass = CUSTOM_ERRORS[parsed.name] || GatewayError;
+  const rendered = parsed.fragment.inputs.map((input) => `${input.name}=${args[input.name]}`).join(", ");
+  return new ErrorClass(`${parsed.name}(${rendered})`, { reason: parsed.name, args, data });
+}
+
+/**
+ * Converts any error thrown while calling the contracts into a typed `GatewayError` if its
+ * revert data is recognized; otherwise returns the original error unchanged.
+ * @param {any} error
+ * @returns {GatewayError|any}
+ */
+function decodeGatewayError(error) {
+  if (error instanceof GatewayError) return error;
+
+  const data = findRevertData(error);
+  if (!data) return error;
+
+  const decoded = decodeRevertData(data);
+  if (!decoded) return error;
+
+  if (error instanceof Error) decoded.cause = error;
+  return decoded;
+}
+
+module.exports = {
+  GatewayError,
+  ReceiveAuthorizationNotFromSignerError,
+  ReceiveAuthorizationNotToContractError,
+  DepositAmountTooLowError,
+  FeeExceedsAmountError,
+  AmountOutOfRangeError,
+  ApprovalExpiredError,
+  InvalidDurationError,
+  ApproverNotAuthorizedError,
+  OrderAlreadyExistsError,
+  PayloadAlreadyUsedError,
+  InvalidOrderApprovalError,
+  InvalidTypedDataSignatureError,
+  SignerDeploymentFailedError,
+  ReceiveAuthorizationFailedError,
+  PermitFailedError,
+  Permit2InvalidAmountError,
+  Permit2SignatureExpiredError,
+  Permit2InvalidNonceError,
+  Permit2InvalidSignerError,
+  OrderNotOpenError,
+  OrderNotExpiredError,
+  OrderExpiredError,
+  InvalidExpirationError,
+  InvalidExtensionSignatureError,
+  InvalidCancellationSignatureError,
+  InvalidConfigError,
+  TokenNotAllowedError,
+  NotarySetNotRegisteredError,
+  InvalidNotarySetError,
+  DepositsPausedError,
+  GuardianUnauthorizedError,
+  TimelockRequiredError,
+  OperationNotTimelockedError,
+  OperationAlreadyScheduledError,
+  OperationNotScheduledError,
+  OperationNotReadyError,
+  InvalidImplementationError,
+  NotCalledThroughProxyError,
+  CalledThroughProxyError,
+  ImplementationNotContractError,
+  DepositorEmptyBalanceError,
+  BridgeNotConfiguredError,
+  InvalidCctpMessageError,
+  BridgeCallNotApprovedError,
+  NothingBridgedError,
+  MessageNotReceivedError,
+  DepositorOnlySelfError,
+  BridgedTokenMismatchError,
+  ClaimRejectedUnauthorizedError,
+  ClaimRejectedExcessiveClaimAttemptsError,
+  ClaimRejectedOrderNotOpenError,
+  ClaimRejectedInvalidSignatureError,
+  ClaimRejectedNotaryThresholdError,
+  ClaimRejectedPausedError,
+  ClaimRejectedInvalidSplitError,
+  OwnableUnauthorizedAccountError,
+  OwnableInvalidOwnerError,
+  ReentrancyGuardReentrantCallError,
+  SafeERC20FailedOperationError,
+  FailedCallError,
+  ECDSAInvalidSignatureError,
+  ECDSAInvalidSignatureLengthError,
+  ECDSAInvalidSignatureSError,
+  PanicError,
+  OrderSchemaError,
+  decodeRevertData,
+  decodeGatewayError,
+};
@@ -0,0 +1,716 @@
+const { ethers } = require("ethers");
+const { GATEWAY_ABI, EIP3009_ABI } = require("./abi");
+const { gatewayDomain, signOrderApproval, recoverOrderApprover, sortNotaries } = require("./approval");
+const { hashOrder, signOrder, recoverTypedDataSigner } = require("./typed-data");
+const { tokenDomain, signReceiveAuthorization, decodeReceiveAuthorization } = require("./authorization");
+const { permit2Domain, signPermit, signPermit2Deposit } = require("./permit");
+const { AccountType, detectAccountType, wrapErc6492Signature, isErc6492Signature } = require("./account");
+const {
+  decodeGatewayError,
+  ReceiveAuthorizationNotFromSignerError,
+  ReceiveAuthorizationNotToContractError,
+  DepositAmountTooLowError,
+  FeeExceedsAmountError,
+  AmountOutOfRangeError,
+  NotarySetNotRegisteredError,
+  InvalidNotarySetError,
+  ApprovalExpiredError,
+  InvalidDurationError,
+  ApproverNotAuthorizedError,
+  OrderAlreadyExistsError,
+  PayloadAlreadyUsedError,
+  InvalidOrderApprovalError,
+  InvalidTypedDataSignatureError,
+  DepositsPausedError,
+} = require("./errors");
+
+/**
+ * Mirrors the on-chain `OrderStatus` enum.
+ */
+const OrderStatus = Object.freeze({
+  None: 0,
+  Open: 1,
+  Completed: 2,
+  Aborted: 3,
+});
+
+/**
+ * Mirrors the on-chain `RefundFeePolicy` enum.
+ */
+const RefundFeePolicy = Object.freeze({
+  FullRefund: 0,
+  RetainFee: 1,
+});
+
+/**
+ * Mirrors the on-chain `PauseScope` enum.
+ */
+const PauseScope = Object.freeze({
+  Deposits: 0,
+  Claims: 1,
+  All: 2,
+});
+
+/**
+ * Converts an `Order` as returned by the gateway into a plain object.
+ * @param {ethers.Result} order
+ * @returns {{status: number, expiration: bigint, notary: string, refundee: string, amount: bigint, token: string, fee: bigint, notarySet: string, openedAt: bigint}}
+ */
+function toOrder(order) {
+  return {
+    status: Number(order.status),
+    expiration: order.expiration,
+    notary: order.notary,
+    refundee: order.refundee,
+    amount: order.amount,
+    token: order.token,
+    fee: order.fee,
+    notarySet: order.notarySet,
+    openedAt: order.openedAt,
+  };
+}
+
+/**
+ * Converts a `(orderIds, records, nextOffset)` page into orders keyed with their `orderId`.
+ * @param {ethers.Result} page
+ * @param {bigint} total length of the scanned index
+ */
+function toPage([orderIds, records, nextOffset], total) {
+  return {
+    orders: orderIds.map((orderId, i) => ({ orderId, ...toOrder(records[i]) })),
+    nextOffset,
+    total,
+  };
+}
+
+/**
+ * Fills in the optional split of each `ClaimSpec`, so that unsplit claims can be given as `{orderId, signature}`.
+ * @param {object} params `BulkClaimParams`
+ * @returns {object}
+ */
+function toBulkClaimParams({ claims, recipient }) {
+  return {
+    claims: claims.map(({ orderId, signature, recipients = [], shares = [] }) => ({ orderId, signature, recipients, shares })),
+    recipient,
+  };
+}
+
+/**
+ * Runs a contract call and rethrows any revert as a typed `GatewayError`.
+ * @param {() => Promise<T>} call
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function decodeReverts(call) {
+  try {
+    return await call();
+  } catch (error) {
+    throw decodeGatewayError(error);
+  }
+}
+
+/**
+ * Client for building, checking and submitting deposits to a `SilentSwapV2Gateway`.
+ */
+class GatewayClient {
+  /**
+   * @param {string|ethers.Addressable} address gateway address
+   * @param {ethers.ContractRunner} runner signer used to send transactions, or a provider for read-only use
+   */
+  constructor(address, runner) {
+    this.contract = new ethers.Contract(address, GATEWAY_ABI, runner);
+  }
+
+  /**
+   * @returns {ethers.Provider}
+   */
+  get provider() {
+    const runner = this.contract.runner;
+    return runner && (runner.provider || runner);
+  }
+
+  /**
+   * @returns {Promise<string>} gateway address
+   */
+  async getAddress() {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * @param {ethers.ContractRunner} runner
+   * @returns {GatewayClient} a client for the same gateway bound to another runner
+   */
+  connect(runner) {
+    return new this.constructor(this.contract.target, runner);
+  }
+
+  /**
+   * @returns {Promise<ethers.TypedDataDomain>} the gateway's EIP-712 domain, in which approvals, claims,
+   *   extensions and cancellations are signed
+   */
+  async domain() {
+    if (!this._domain) {
+      const [{ chainId }, address] = await Promise.all([this.provider.getNetwork(), this.getAddress()]);
+      this._domain = gatewayDomain(chainId, address);
+    }
+    return this._domain;
+  }
+
+  /**
+   * @param {string} [address] an allowlisted deposit token; USDC if omitted or the zero address
+   * @returns {Promise<ethers.Contract>} the deposit token
+   */
+  async token(address) {
+    if (!address || address === ethers.ZeroAddress) {
+      if (!this._usdc) this._usdc = await this.contract.usdc();
+      address = this._usdc;
+    }
+    return new ethers.Contract(address, EIP3009_ABI, this.contract.runner);
+  }
+
+  /**
+   * Builds a complete `DepositParams` from a single order description.
+   *
+   * @param {object} order
+   * @param {string} order.orderId bytes32 order ID returned by the SilentSwap API
+   * @param {string} [order.notary] notary bound to the order; omitted for orders bound to `order.notarySet`
+   * @param {string} order.approver approver address
+   * @param {bigint|number} order.approvalExpiration unix time
+   * @param {bigint|number} order.duration lock duration in seconds
+   * @param {object} order.domain EIP-712 domain of the payload
+   * @param {object} order.message EIP-712 `Order` message
+   * @param {string} [order.orderApproval] approval returned by the API; signed by `approver` if omitted
+   * @param {string} [order.token] deposit token other than USDC; must be allowlisted, and support EIP-3009 for `deposit`
+   * @param {bigint} [order.amount] amount to deposit, required to build the EIP-3009 authorization
+   * @param {bigint} [order.fee=0] protocol fee out of the amount, as committed in `order.orderApproval`
+   * @param {string} [order.notarySet] bytes32 ID of a registered notary set releasing the order instead of `order.notary`
+   * @param {bigint} [order.minAmount=0] smallest amount the order accepts, as committed in `order.orderApproval`;
+   *   0 for no floor
+   * @param {bigint} [order.maxAmount=0] largest amount the order accepts, as committed in `order.orderApproval`;
+   *   0 for no cap. A `SilentSwapDepositor` deposits at most this much and refunds the rest to the signer
+   * @param {object} [order.authorization] `validAfter`, `validBefore` and `nonce` of the EIP-3009 authorization
+   * @param {object} [order.tokenDomain] overrides for the token's EIP-712 domain
+   * @param {object} signers
+   * @param {ethers.Signer} signers.signer owner of the funds and signer of the payload, or the owner key of `signers.account`
+   * @param {ethers.Signer} [signers.approver] signs the order approval when none is given
+   * @param {object} [signers.account] smart account that is the order signer, on whose behalf `signers.signer` signs
+   * @param {string} signers.account.address
+   * @param {string} [signers.account.factory] factory of a counterfactual account, for an ERC-6492 signature
+   * @param {string} [signers.account.factoryData] calldata that deploys the account through `factory`
+   * @param {object} [options]
+   * @param {"deposit"|"depositProxy"|"depositWithPermit"|"depositWithPermit2"} [options.method="deposit"] entrypoint
+   *   the params are built for; only `deposit` carries a receive authorization
+   * @returns {Promise<object>} `DepositParams`
+   * @throws {TypeError} for `deposit` from a smart account, as EIP-3009 authorizations are EOA-only
+   */
+  async buildDepositParams(order, { signer, approver, account }, { method = "deposit" } = {}) {
+    const signerAddress = account ? account.address : await signer.getAddress();
+    const accountType = account ? await detectAccountType(this.provider, account.address, account) : AccountType.EOA;
+    if (method === "deposit" && accountType !== AccountType.EOA) {
+      throw new TypeError("Smart accounts cannot sign EIP-3009 authorizations; use another deposit method");
+    }
+    const { domainSepHash, payloadHash } = hashOrder(order.domain, order.message);
+
+    const token = order.token || ethers.ZeroAddress;
+    const fee = BigInt(order.fee || 0);
+    const notarySet = order.notarySet || ethers.ZeroHash;
+    const notary = order.notary || ethers.ZeroAddress;
+    const minAmount = BigInt(order.minAmount || 0);
+    const maxAmount = BigInt(order.maxAmount || 0);
+    const fields = {
+      orderId: order.orderId,
+      signer: signerAddress,
+      notary,
+      approvalExpiration: order.approvalExpiration,
+      domainSepHash,
+      payloadHash,
+      token,
+      fee,
+      notarySet,
+      minAmount,
+      maxAmount,
+    };
+
+    let orderApproval = order.orderApproval;
+    if (!orderApproval) {
+      if (!approver) throw new TypeError("Either `order.orderApproval` or an approver signer is required");
+      orderApproval = await signOrderApproval(approver, fields, await this.domain());
+    }
+
+    let receiveAuthorization = "0x";
+    if (method === "deposit") {
+      if (order.amount === undefined) throw new TypeError("`order.amount` is required to build a receive authorization");
+
+      const authorization = order.authorization || {};
+      const domain = await tokenDomain(await this.token(token), order.tokenDomain);
+      const latest = await this.provider.getBlock("latest");
+
+      receiveAuthorization = await signReceiveAuthorization(signer, domain, {
+        to: await this.getAddress(),
+        value: order.amount,
+        validAfter: authorization.validAfter || 0,
+        validBefore: authorization.validBefore || BigInt(latest.timestamp) + BigInt(order.duration),
+        nonce: authorization.nonce,
+      });
+    }
+
+    let typedDataSignature = await signOrder(signer, order.domain, order.message);
+    if (accountType === AccountType.Counterfactual) {
+      typedDataSignature = wrapErc6492Signature({ ...account, signature: typedDataSignature });
+    }
+
+    return {
+      signer: signerAddress,
+      orderId: order.orderId,
+      notary,
+      approver: order.approver || (approver && (await approver.getAddress())),
+      orderApproval,
+      approvalExpiration: order.approvalExpiration,
+      duration: order.duration,
+      domainSepHash,
+      payloadHash,
+      typedDataSignature,
+      receiveAuthorization,
+      token,
+      fee,
+      notarySet,
+      minAmount,
+      maxAmount,
+    };
+  }
+
+  /**
+   * Replicates the gateway's V1-V8 validation against the current chain state so that a deposit
+   * fails early, with the same typed error the contract would revert with.
+   * @param {object} params `DepositParams`
+   * @param {bigint} [amount] amount for `depositProxy()` and the permit entrypoints; taken from `receiveAuthorization` if omitted
+   * @returns {Promise<{amount: bigint, config: object}>}
+   * @throws {DepositsPausedError} if deposits are paused
+   * @throws {TokenNotAllowedError} if `params.token` is not an allowlisted deposit token
+   */
+  async preflight(params, amount) {
+    const gatewayAddress = await this.getAddress();
+    const [config, minDepositAmount, depositsPaused] = await Promise.all([
+      this.contract.getConfig(),
+      decodeReverts(() => this.contract.getMinDepositAmount(params.token || ethers.ZeroAddress)),
+      this.contract.depositsPaused(),
+    ]);
+
+    if (depositsPaused) throw new DepositsPausedError("Gateway: deposits paused");
+
+    // V1. receive authorization must move funds from the signer to the gateway
+    if (amount === undefined) {
+      const authorization = decodeReceiveAuthorization(params.receiveAuthorization);
+      if (authorization.from.toLowerCase() !== params.signer.toLowerCase()) {
+        throw new ReceiveAuthorizationNotFromSignerError("Gateway: receive authorization not from signer");
+      }
+      if (authorization.to.toLowerCase() !== gatewayAddress.toLowerCase()) {
+        throw new ReceiveAuthorizationNotToContractError("Gateway: receive authorization not to contract");
+      }
+      amount = authorization.value;
+    }
+
+    amount = BigInt(amount);
+    if (amount === 0n || amount < minDepositAmount) {
+      throw new DepositAmountTooLowError(
+        `Gateway: receive authorization amount too low; minimum is ${minDepositAmount}`,
+        { reason: "Gateway: receive authorization amount too low; minimum is", args: { minDepositAmount } }
+      );
+    }
+    if (BigInt(params.fee || 0) > amount) {
+      throw new FeeExceedsAmountError("Gateway: fee exceeds amount");
+    }
+    const maxAmount = BigInt(params.maxAmount || 0);
+    if (amount < BigInt(params.minAmount || 0) || (maxAmount !== 0n && amount > maxAmount)) {
+      throw new AmountOutOfRangeError("Gateway: amount outside expected range");
+    }
+
+    // V2. approval must not be expired
+    const latest = await this.provider.getBlock("latest");
+    if (BigInt(latest.timestamp) >= BigInt(params.approvalExpiration)) {
+      throw new ApprovalExpiredError("Gateway: approval expired");
+    }
+
+    // V3. duration within bounds
+    const duration = BigInt(params.duration);
+    if (duration < config.minDuration || duration > config.maxDuration) {
+      throw new InvalidDurationError(
+        `Gateway: invalid duration ${duration}; must be between ${config.minDuration} and ${config.maxDuration}`,
+        { reason: "Gateway: invalid duration", args: { duration, minDuration: config.minDuration, maxDuration: config.maxDuration } }
+      );
+    }
+
+    // V4. approver must be authorized
+    if (!(await this.contract.authorizedApprovers(params.approver))) {
+      throw new ApproverNotAuthorizedError("Gateway: approver not authorized");
+    }
+
+    // V4. notary set orders must leave the notary unset and use a registered set
+    if (params.notarySet && params.notarySet !== ethers.ZeroHash) {
+      if (params.notary !== ethers.ZeroAddress) {
+        throw new InvalidNotarySetError("Gateway: notary set orders must not set a notary");
+      }
+      if ((await this.getNotarySet(params.notarySet)).threshold === 0n) {
+        throw new NotarySetNotRegisteredError("Gateway: notary set not registered");
+      }
+    }
+
+    // V5. order must be new
+    const existing = await this.contract.orders(params.orderId);
+    if (existing.amount !== 0n || existing.notary !== ethers.ZeroAddress) {
+      throw new OrderAlreadyExistsError("Gateway: order already exists");
+    }
+
+    // V6. payload must be new
+    if ((await this.contract.payloads(params.payloadHash)) !== ethers.ZeroHash) {
+      throw new PayloadAlreadyUsedError("Gateway: payload already used");
+    }
+
+    // V7. approval must be signed by the approver, in the gateway's domain or, during the transition, the legacy format
+    const domains = [await this.domain()];
+    if (BigInt(latest.timestamp) < (await this.contract.legacySignaturesUntil())) domains.push(null);
+    const approved = domains.some((domain) => {
+      try {
+        return recoverOrderApprover(params, params.orderApproval, domain).toLowerCase() === params.approver.toLowerCase();
+      } catch (error) {
+        // malformed signatures are reported below
+        return false;
+      }
+    });
+    if (!approved) {
+      throw new InvalidOrderApprovalError("Gateway: invalid order approval signature");
+    }
+
+    // V8. payload must be signed by the signer
+    if (!(await this.isValidTypedDataSignature(params))) {
+      throw new InvalidTypedDataSignatureError("Gateway: invalid typed data signature");
+    }
+
+    return { amount, config };
+  }
+
+  /**
+   * V8 for every account type: ECDSA for EOAs, the gateway's ERC-1271 check for deployed smart accounts.
+   * ERC-6492 signatures of accounts that are not deployed yet pass, since only the deposit deploys them.
+   * @param {object} params `DepositParams`
+   * @returns {Promise<boolean>}
+   */
+  async isValidTypedDataSignature(params) {
+    try {
+      const signer = recoverTypedDataSigner(params.domainSepHash, params.payloadHash, params.typedDataSignature);
+      if (signer.toLowerCase() === params.signer.toLowerCase()) return true;
+    } catch (error) {
+      // not a 65-byte ECDSA signature
+    }
+
+    const accountType = await detectAccountType(this.provider, params.signer);
+    if (accountType === AccountType.Contract) {
+      return this.contract.verifyTypedDataSignature(
+        params.domainSepHash, params.payloadHash, params.typedDataSignature, params.signer
+      );
+    }
+    return accountType === AccountType.EOA && isErc6492Signature(params.typedDataSignature);
+  }
+
+  /**
+   * Submits a deposit funded by the signer's EIP-3009 authorization.
+   * @param {object} params `DepositParams`
+   * @param {object} [options]
+   * @param {boolean} [options.preflight=true] run {@link GatewayClient#preflight} first
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async deposit(params, { preflight = true, overrides = {} } = {}) {
+    if (preflight) await this.preflight(params);
+    return decodeReverts(() => this.contract.deposit(params, overrides));
+  }
+
+  /**
+   * Submits a deposit funded by `transferFrom` on the caller, who must have approved `amount`.
+   * @param {object} params `DepositParams`
+   * @param {bigint} amount
+   * @param {object} [options] see {@link GatewayClient#deposit}
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async depositProxy(params, amount, { preflight = true, overrides = {} } = {}) {
+    if (preflight) await this.preflight(params, amount);
+    return decodeReverts(() => this.contract.depositProxy(params, amount, overrides));
+  }
+
+  /**
+   * Signs an EIP-2612 permit for the gateway to pull `amount` of the deposit token from `signer`.
+   * @param {ethers.Signer} signer the order signer
+   * @param {object} permit
+   * @param {string} [permit.token] deposit token; USDC if omitted
+   * @param {bigint} permit.amount
+   * @param {bigint|number} permit.deadline unix time
+   * @param {object} [permit.tokenDomain] overrides for the token's EIP-712 domain, e.g. `{version: "1"}` for tokens without `version()`
+   * @returns {Promise<object>} `PermitSignature` for {@link GatewayClient#depositWithPermit}
+   */
+  async buildPermit(signer, { token, amount, deadline, tokenDomain: domainOverrides }) {
+    const contract = await this.token(token);
+    return signPermit(signer, await tokenDomain(contract, domainOverrides), {
+      spender: await this.getAddress(),
+      value: amount,
+      nonce: await contract.nonces(await signer.getAddress()),
+      deadline,
+    });
+  }
+
+  /**
+   * Signs a Permit2 witness transfer of `amount` of `params.token` to the gateway, bound to `params`' order.
+   * The signer must have approved Permit2 on the token once beforehand.
+   * @param {ethers.Signer} signer the order signer
+   * @param {object} params `DepositParams`
+   * @param {object} permit
+   * @param {bigint} permit.amount
+   * @param {bigint|number} permit.deadline unix time
+   * @param {bigint} [permit.nonce] unordered Permit2 nonce; random if omitted
+   * @returns {Promise<object>} `Permit2Signature` for {@link GatewayClient#depositWithPermit2}
+   */
+  async buildPermit2(signer, params, { amount, deadline, nonce }) {
+    const [token, permit2, { chainId }] = await Promise.all([
+      this.token(params.token),
+      this.contract.PERMIT2(),
+      this.provider.getNetwork(),
+    ]);
+    return signPermit2Deposit(signer, permit2Domain(chainId, permit2), {
+      token: await token.getAddress(),
+      amount,
+      spender: await this.getAddress(),
+      orderId: params.orderId,
+      payloadHash: params.payloadHash,
+      deadline,
+      nonce,
+    });
+  }
+
+  /**
+   * Submits a deposit funded by the signer's EIP-2612 permit.
+   * @param {object} params `DepositParams`
+   * @param {bigint} amount
+   * @param {object} permit `PermitSignature`, see {@link GatewayClient#buildPermit}
+   * @param {object} [options] see {@link GatewayClient#deposit}
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async depositWithPermit(params, amount, permit, { preflight = true, overrides = {} } = {}) {
+    if (preflight) await this.preflight(params, amount);
+    return decodeReverts(() => this.contract.depositWithPermit(params, amount, permit, overrides));
+  }
+
+  /**
+   * Submits a deposit funded through a Permit2 witness transfer from the signer.
+   * @param {object} params `DepositParams`
+   * @param {bigint} amount
+   * @param {object} permit `Permit2Signature`, see {@link GatewayClient#buildPermit2}
+   * @param {object} [options] see {@link GatewayClient#deposit}
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async depositWithPermit2(params, amount, permit, { preflight = true, overrides = {} } = {}) {
+    if (preflight) await this.preflight(params, amount);
+    return decodeReverts(() => this.contract.depositWithPermit2(params, amount, permit, overrides));
+  }
+
+  /**
+   * Simulates `claim(params)` from the connected signer.
+   * @param {object} params `BulkClaimParams`; a claim's `recipients` and `shares` may be omitted
+   * @param {object} [overrides] call overrides
+   * @returns {Promise<bigint>} the gas estimate
+   * @throws {ClaimRejectedOrderNotOpenError|ClaimRejectedInvalidSignatureError} or any other `GatewayError` the call would revert with
+   */
+  async estimateClaim(params, overrides = {}) {
+    return decodeReverts(() => this.contract.claim.estimateGas(toBulkClaimParams(params), overrides));
+  }
+
+  /**
+   * Claims the funds of notary-signed orders to `params.recipient`, which must be an authorized claimer. An order
+   * whose claim carries `recipients` and `shares` goes to those recipients instead, as signed by its notaries.
+   * @param {object} params `BulkClaimParams`; a claim's `recipients` and `shares` may be omitted
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async claim(params, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.claim(toBulkClaimParams(params), overrides));
+  }
+
+  /**
+   * Simulates `refund(orderId)` from the connected signer.
+   * @param {string} orderId bytes32
+   * @param {object} [overrides] call overrides
+   * @returns {Promise<bigint>} the gas estimate
+   * @throws {OrderNotOpenError|OrderNotExpiredError} or any other `GatewayError` the call would revert with
+   */
+  async estimateRefund(orderId, overrides = {}) {
+    return decodeReverts(() => this.contract.refund.estimateGas(orderId, overrides));
+  }
+
+  /**
+   * Returns an expired order's funds to its refundee; callable by anyone.
+   * @param {string} orderId bytes32
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async refund(orderId, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.refund(orderId, overrides));
+  }
+
+  /**
+   * Extends an order that has not expired yet; callable by anyone with the signature.
+   * @param {string} orderId bytes32
+   * @param {bigint|number} newExpiration unix time, at most `openedAt + config.maxDuration`
+   * @param {string} signature from `signExtension()` in the gateway's `domain()` by the order's notary or an authorized approver, or the
+   *   members' signatures packed with `aggregateNotarySignatures()` for notary set orders
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   * @throws {OrderNotOpenError|OrderExpiredError|InvalidExpirationError|InvalidExtensionSignatureError}
+   */
+  async extendOrder(orderId, newExpiration, signature, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.extendOrder(orderId, newExpiration, signature, overrides));
+  }
+
+  /**
+   * Cancels an open order and refunds it right away, once its refundee and its notary have both signed
+   * `signCancellation()` in the gateway's `domain()`; callable by anyone with the signatures.
+   * @param {string} orderId bytes32
+   * @param {string} refundeeSignature
+   * @param {string} notarySignature the notary's signature, or the members' signatures packed with
+   *   `aggregateNotarySignatures()` for notary set orders
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   * @throws {OrderNotOpenError|InvalidCancellationSignatureError}
+   */
+  async cancelOrder(orderId, refundeeSignature, notarySignature, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.cancelOrder(orderId, refundeeSignature, notarySignature, overrides));
+  }
+
+  /**
+   * @param {string} orderId bytes32
+   * @returns {Promise<{status: number, expiration: bigint, notary: string, refundee: string, amount: bigint, token: string, fee: bigint, notarySet: string, openedAt: bigint}>}
+   */
+  async getOrder(orderId) {
+    return toOrder(await this.contract.orders(orderId));
+  }
+
+  /**
+   * @param {string} setId bytes32
+   * @returns {Promise<{members: string[], threshold: bigint}>} an unregistered set has no members and a threshold of 0
+   */
+  async getNotarySet(setId) {
+    const [members, threshold] = await this.contract.getNotarySet(setId);
+    return { members: [...members], threshold };
+  }
+
+  /**
+   * Registers a notary set; a set that is already registered is left as is.
+   * @param {string[]} members notaries, in any order
+   * @param {bigint|number} threshold number of members that must sign a claim
+   * @param {object} [options]
+   * @param {object} [options.overrides] transaction overrides
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async registerNotarySet(members, threshold, { overrides = {} } = {}) {
+    return decodeReverts(() => this.contract.registerNotarySet(sortNotaries(members), threshold, overrides));
+  }
+
+  /**
+   * Fee settings and the fees sent to the treasury so far.
+   * @param {string[]} [tokens] tokens to report `accruedFees` for; USDC if omitted
+   * @returns {Promise<{treasury: string, refundFeePolicy: number, accruedFees: Object<string, bigint>}>} `accruedFees` keyed by token address
+   */
+  async fees(tokens) {
+    if (!tokens) tokens = [await (await this.token()).getAddress()];
+    const [treasury, refundFeePolicy, amounts] = await Promise.all([
+      this.contract.feeTreasury(),
+      this.contract.refundFeePolicy(),
+      Promise.all(tokens.map((token) => this.contract.accruedFees(token))),
+    ]);
+    return {
+      treasury,
+      refundFeePolicy: Number(refundFeePolicy),
+      accruedFees: Object.fromEntries(tokens.map((token, i) => [token, amounts[i]])),
+    };
+  }
+
+  /**
+   * Pause flags and the state of the claim circuit breaker.
+   * @returns {Promise<{guardian: string, depositsPaused: boolean, claimsPaused: boolean, claimWindow: bigint, claimWindowCap: bigint, claimWindowStart: bigint, claimedInWindow: bigint}>}
+   *   `claimedInWindow` is stale once `claimWindowStart + claimWindow` has passed; the next claim starts a new window
+   */
+  async pauseState() {
+    const [guardian, depositsPaused, claimsPaused, claimWindow, claimWindowCap, claimWindowStart, claimedInWindow] = await Promise.all([
+      this.contract.guardian(),
+      this.contract.depositsPaused(),
+      this.contract.claimsPaused(),
+      this.contract.claimWindow(),
+      this.contract.claimWindowCap(),
+      this.contract.claimWindowStart(),
+      this.contract.claimedInWindow(),
+    ]);
+    return { guardian, depositsPaused, claimsPaused, claimWindow, claimWindowCap, claimWindowStart, claimedInWindow };
+  }
+
+  /**
+   * Lists a page of the orders opened by `signer`, oldest first.
+   * @param {string} signer
+   * @param {object} [options]
+   * @param {number} [options.status] only return orders with this {@link OrderStatus}; all orders if omitted
+   * @param {bigint|number} [options.offset=0] position in the signer's orders to start from
+   * @param {bigint|number} [options.limit=100] maximum number of orders to scan
+   * @returns {Promise<{orders: object[], nextOffset: bigint, total: bigint}>} matching orders with their `orderId`;
+   *   pass `nextOffset` back to read the next page, until it equals `total`
+   */
+  async ordersBySigner(signer, { status = OrderStatus.None, offset = 0, limit = 100 } = {}) {
+    const [page, total] = await Promise.all([
+      this.contract.getSignerOrders(signer, status, offset, limit),
+      this.contract.getSignerCount(signer),
+    ]);
+    return toPage(page, total);
+  }
+
+  /**
+   * Lists a page of the orders bound to `notary`, oldest first.
+   * @param {string} notary
+   * @param {object} [options] see {@link GatewayClient#ordersBySigner}
+   * @returns {Promise<{orders: object[], nextOffset: bigint, total: bigint}>}
+   */
+  async ordersByNotary(notary, { status = OrderStatus.None, offset = 0, limit = 100 } = {}) {
+    const [page, total] = await Promise.all([
+      this.contract.getNotaryOrders(notary, status, offset, limit),
+      this.contract.getNotaryOrderCount(notary),
+    ]);
+    return toPage(page, total);
+  }
+
+  /**
+   * Lists a page of the signer's Open orders, each flagged `refundable` once it has expired as of the latest block.
+   * @param {string} signer
+   * @param {object} [options]
+   * @param {bigint|number} [options.offset=0]
+   * @param {bigint|number} [options.limit=100]
+   * @returns {Promise<{orders: object[], nextOffset: bigint, total: bigint}>}
+   */
+  async openDeposits(signer, { offset = 0, limit = 100 } = {}) {
+    const [page, total, block] = await Promise.all([
+      this.contract.openDeposits(signer, offset, limit),
+      this.contract.getSignerCount(signer),
+      this.provider.getBlock("latest"),
+    ]);
+    const result = toPage(page, total);
+    for (const order of result.orders) {
+      order.refundable = BigInt(block.timestamp) >= order.expiration;
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  OrderStatus,
+  RefundFeePolicy,
+  PauseScope,
+  GatewayClient,
+  decodeReverts,
+};
@@ -0,0 +1,14 @@
+// SilentSwap V2 gateway client SDK
+
+module.exports = {
+  ...require("./abi"),
+  ...require("./errors"),
+  ...require("./approval"),
+  ...require("./typed-data"),
+  ...require("./authorization"),
+  ...require("./permit"),
+  ...require("./account"),
+  ...require("./gateway"),
+  ...require("./depositor"),
+  ...require("./admin"),
+};
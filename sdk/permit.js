@@ -0,0 +1,103 @@
+const { ethers } = require("ethers");
+
+/**
+ * Canonical Uniswap Permit2 deployment, at the same address on every chain.
+ */
+const PERMIT2_ADDRESS = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+
+/**
+ * EIP-2612 `Permit` typed data.
+ */
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Permit2 `PermitWitnessTransferFrom` typed data with the gateway's deposit witness, which binds the
+ * transfer to one order.
+ */
+const PERMIT2_DEPOSIT_TYPES = {
+  PermitWitnessTransferFrom: [
+    { name: "permitted", type: "TokenPermissions" },
+    { name: "spender", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+    { name: "witness", type: "SilentSwapDeposit" },
+  ],
+  SilentSwapDeposit: [
+    { name: "orderId", type: "bytes32" },
+    { name: "payloadHash", type: "bytes32" },
+  ],
+  TokenPermissions: [
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+  ],
+};
+
+/**
+ * EIP-712 domain of Permit2, which has no version.
+ * @param {bigint|number} chainId
+ * @param {string} [verifyingContract=PERMIT2_ADDRESS]
+ */
+function permit2Domain(chainId, verifyingContract = PERMIT2_ADDRESS) {
+  return { name: "Permit2", chainId, verifyingContract };
+}
+
+/**
+ * Signs an EIP-2612 permit for `depositWithPermit()`.
+ * @param {ethers.Signer} owner the order signer
+ * @param {object} domain token EIP-712 domain, see {@link tokenDomain}
+ * @param {object} permit
+ * @param {string} permit.spender the gateway address
+ * @param {bigint} permit.value amount to deposit
+ * @param {bigint|number} permit.nonce the owner's current `nonces()` on the token
+ * @param {bigint|number} permit.deadline unix time
+ * @returns {Promise<{deadline: bigint, v: number, r: string, s: string}>} `PermitSignature`
+ */
+async function signPermit(owner, domain, { spender, value, nonce, deadline }) {
+  const message = { owner: await owner.getAddress(), spender, value, nonce, deadline };
+  const signature = ethers.Signature.from(await owner.signTypedData(domain, PERMIT_TYPES, message));
+  return { deadline: BigInt(deadline), v: signature.v, r: signature.r, s: signature.s };
+}
+
+/**
+ * Signs a Permit2 witness transfer for `depositWithPermit2()`.
+ * @param {ethers.Signer} owner the order signer, who must have approved Permit2 on the token
+ * @param {object} domain see {@link permit2Domain}
+ * @param {object} permit
+ * @param {string} permit.token deposit token
+ * @param {bigint} permit.amount amount to deposit
+ * @param {string} permit.spender the gateway address
+ * @param {string} permit.orderId bytes32
+ * @param {string} permit.payloadHash bytes32
+ * @param {bigint|number} permit.deadline unix time
+ * @param {bigint} [permit.nonce] unordered Permit2 nonce; random if omitted
+ * @returns {Promise<{nonce: bigint, deadline: bigint, signature: string}>} `Permit2Signature`
+ */
+async function signPermit2Deposit(owner, domain, { token, amount, spender, orderId, payloadHash, deadline, nonce }) {
+  if (nonce === undefined) nonce = ethers.toBigInt(ethers.randomBytes(32));
+  const message = {
+    permitted: { token, amount },
+    spender,
+    nonce,
+    deadline,
+    witness: { orderId, payloadHash },
+  };
+  const signature = await owner.signTypedData(domain, PERMIT2_DEPOSIT_TYPES, message);
+  return { nonce: BigInt(nonce), deadline: BigInt(deadline), signature };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  PERMIT2_DEPOSIT_TYPES,
+  permit2Domain,
+  signPermit,
+  signPermit2Deposit,
+};
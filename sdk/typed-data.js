@@ -0,0 +1,410 @@
+const { ethers } = require("ethers");
+const { OrderSchemaError } = require("./errors");
+
+/**
+ * EIP-712 types of the SilentSwap order payload, as documented in the readme.
+ */
+const ORDER_TYPES = {
+  Order: [
+    { name: "quoteId", type: "string" },
+    { name: "quote", type: "Quote" },
+  ],
+  Quote: [
+    { name: "signer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "privacy", type: "string" },
+    { name: "deposit", type: "uint256" },
+    { name: "fee", type: "uint256" },
+    { name: "outputs", type: "Output[]" },
+    { name: "metadata", type: "Metadata" },
+  ],
+  Output: [
+    { name: "method", type: "string" },
+    { name: "chain", type: "string" },
+    { name: "token", type: "string" },
+    { name: "facilitator", type: "address" },
+    { name: "recipient", type: "string" },
+    { name: "value", type: "uint256" },
+  ],
+  Metadata: [
+    { name: "cctpAttestors", type: "CctpAttestors" },
+    { name: "axelarValidators", type: "AxelarValidators" },
+    { name: "notaryContract", type: "NotaryContract" },
+  ],
+  CctpAttestors: [
+    { name: "hash", type: "bytes32" },
+    { name: "publicKeys", type: "string[]" },
+  ],
+  AxelarValidators: [
+    { name: "hash", type: "bytes32" },
+    { name: "validators", type: "Validator[]" },
+  ],
+  Validator: [
+    { name: "publicKey", type: "CosmosPublicKey" },
+    { name: "votingShare", type: "uint256" },
+  ],
+  CosmosPublicKey: [
+    { name: "type", type: "string" },
+    { name: "key", type: "string" },
+  ],
+  NotaryContract: [
+    { name: "chainId", type: "string" },
+    { name: "contractAddress", type: "string" },
+    { name: "signerAddress", type: "address" },
+  ],
+};
+
+const ORDER_PRIMARY_TYPE = "Order";
+
+/**
+ * Allowed values of enum-like string fields, keyed by struct and field name.
+ */
+const ORDER_ENUMS = {
+  Quote: {
+    privacy: ["CHEAPEST", "BETTER"],
+  },
+  Output: {
+    method: ["AXELAR", "CCTP"],
+  },
+};
+
+// fields of the domain, in the order wallets encode them
+const ORDER_DOMAIN_TYPES = [
+  { name: "name", type: "string" },
+  { name: "version", type: "string" },
+  { name: "chainId", type: "uint256" },
+];
+
+const encoder = ethers.TypedDataEncoder.from(ORDER_TYPES);
+
+/**
+ * Builds the SilentSwap EIP-712 domain.
+ * @param {bigint|number} chainId
+ * @returns {{name: string, version: string, chainId: bigint}}
+ */
+function orderDomain(chainId) {
+  return { name: "SilentSwap", version: "1", chainId: BigInt(chainId) };
+}
+
+/**
+ * Normalizes a single atomic value for comparison, or returns an issue describing why it is invalid.
+ * @returns {{value: any}|{issue: string}}
+ */
+function normalizeAtom(type, value) {
+  if (type === "address") {
+    if (typeof value !== "string" || !ethers.isAddress(value)) return { issue: "must be a 20-byte hex address" };
+    return { value: ethers.getAddress(value) };
+  }
+
+  if (type === "string") {
+    if (typeof value !== "string") return { issue: "must be a string" };
+    return { value };
+  }
+
+  if (type === "bool") {
+    if (typeof value !== "boolean") return { issue: "must be a boolean" };
+    return { value };
+  }
+
+  if (type === "bytes") {
+    if (!ethers.isHexString(value)) return { issue: "must be a hex string" };
+    return { value: value.toLowerCase() };
+  }
+
+  const bytesMatch = /^bytes(\d+)$/.exec(type);
+  if (bytesMatch) {
+    const width = Number(bytesMatch[1]);
+    if (!ethers.isHexString(value, width)) return { issue: `must be a ${width}-byte hex string` };
+    return { value: value.toLowerCase() };
+  }
+
+  const intMatch = /^(u?)int(\d+)$/.exec(type);
+  if (intMatch) {
+    const bits = BigInt(intMatch[2]);
+    let number;
+    try {
+      if (typeof value === "number" && !Number.isSafeInteger(value)) throw new RangeError();
+      if (typeof value === "string" && !/^(-?\d+|0x[0-9a-fA-F]+)$/.test(value)) throw new RangeError();
+      if (typeof value !== "bigint" && typeof value !== "number" && typeof value !== "string") throw new RangeError();
+      number = BigInt(value);
+    } catch (error) {
+      return { issue: "must be an integer (bigint, safe number or numeric string)" };
+    }
+
+    const [min, max] = intMatch[1]
+      ? [0n, (1n << bits) - 1n]
+      : [-(1n << (bits - 1n)), (1n << (bits - 1n)) - 1n];
+    if (number < min || number > max) return { issue: `out of range for ${type}` };
+    return { value: number.toString() };
+  }
+
+  return { issue: `unsupported type ${type}` };
+}
+
+/**
+ * Walks a value against its EIP-712 type, collecting issues and building a normalized copy.
+ */
+function walk(types, type, value, path, issues) {
+  const arrayMatch = /^(.*)\[(\d*)\]$/.exec(type);
+  if (arrayMatch) {
+    if (!Array.isArray(value)) {
+      issues.push({ path, message: `must be an array of ${arrayMatch[1]}` });
+      return undefined;
+    }
+    if (arrayMatch[2] && value.length !== Number(arrayMatch[2])) {
+      issues.push({ path, message: `must have exactly ${arrayMatch[2]} items` });
+    }
+    return value.map((item, index) => walk(types, arrayMatch[1], item, `${path}[${index}]`, issues));
+  }
+
+  const fields = types[type];
+  if (!fields) {
+    const { value: normalized, issue } = normalizeAtom(type, value);
+    if (issue) {
+      issues.push({ path, message: issue });
+      return undefined;
+    }
+    return normalized;
+  }
+
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    issues.push({ path, message: `must be a ${type} struct` });
+    return undefined;
+  }
+
+  const normalized = {};
+  const prefix = path ? `${path}.` : "";
+  for (const field of fields) {
+    if (!(field.name in value) || value[field.name] === undefined) {
+      issues.push({ path: `${prefix}${field.name}`, message: `missing ${field.type}` });
+      continue;
+    }
+
+    normalized[field.name] = walk(types, field.type, value[field.name], `${prefix}${field.name}`, issues);
+
+    const allowed = ORDER_ENUMS[type] && ORDER_ENUMS[type][field.name];
+    if (allowed && typeof value[field.name] === "string" && !allowed.includes(value[field.name])) {
+      issues.push({ path: `${prefix}${field.name}`, message: `must be one of ${allowed.join("|")}` });
+    }
+  }
+
+  // fields outside the schema are silently dropped by wallets, so they are never signed
+  for (const key of Object.keys(value)) {
+    if (!fields.some((field) => field.name === key)) {
+      issues.push({ path: `${prefix}${key}`, message: `is not part of ${type} and would not be signed` });
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates an `Order` message against the schema and returns its normalized form
+ * (checksummed addresses, lowercase hex, decimal integer strings).
+ * @param {object} message `Order` message
+ * @returns {object} normalized message
+ * @throws {OrderSchemaError} listing every issue found
+ */
+function validateOrder(message) {
+  const issues = [];
+  const normalized = walk(ORDER_TYPES, ORDER_PRIMARY_TYPE, message, "", issues);
+  if (issues.length) throw new OrderSchemaError("Invalid SilentSwap order", issues);
+  return normalized;
+}
+
+/**
+ * Validates the payload's EIP-712 domain.
+ * @param {object} domain
+ * @param {bigint|number} [chainId] expected chain
+ * @returns {object} normalized domain
+ * @throws {OrderSchemaError}
+ */
+function validateDomain(domain, chainId) {
+  const issues = [];
+  const normalized = walk({ EIP712Domain: ORDER_DOMAIN_TYPES }, "EIP712Domain", domain, "domain", issues);
+
+  if (domain && domain.name !== undefined && domain.name !== "SilentSwap") {
+    issues.push({ path: "domain.name", message: "must be SilentSwap" });
+  }
+  if (chainId !== undefined && normalized && normalized.chainId !== undefined && normalized.chainId !== BigInt(chainId).toString()) {
+    issues.push({ path: "domain.chainId", message: `must be ${chainId}` });
+  }
+
+  if (issues.length) throw new OrderSchemaError("Invalid SilentSwap domain", issues);
+  return normalized;
+}
+
+/**
+ * Computes the EIP-712 domain separator exactly as wallets do for `eth_signTypedData_v4`.
+ * @param {object} domain
+ * @returns {string} bytes32
+ */
+function hashDomain(domain) {
+  return ethers.TypedDataEncoder.hashDomain(domain);
+}
+
+/**
+ * Computes the EIP-712 struct hash of any type in the order schema.
+ * @param {string} type e.g. `Order` or `Output`
+ * @param {object} value
+ * @returns {string} bytes32
+ */
+function hashStruct(type, value) {
+  return encoder.hashStruct(type, value);
+}
+
+/**
+ * Computes the `domainSepHash` and `payloadHash` the gateway expects for an order payload.
+ * @param {object} domain EIP-712 domain
+ * @param {object} message `Order` message
+ * @param {object} [options]
+ * @param {boolean} [options.validate=true] validate the message against the schema first
+ * @returns {{domainSepHash: string, payloadHash: string, digest: string}}
+ */
+function hashOrder(domain, message, { validate = true } = {}) {
+  if (validate) {
+    validateDomain(domain);
+    validateOrder(message);
+  }
+
+  const domainSepHash = hashDomain(domain);
+  const payloadHash = hashStruct(ORDER_PRIMARY_TYPE, message);
+  const digest = ethers.keccak256(ethers.concat(["0x1901", domainSepHash, payloadHash]));
+  return { domainSepHash, payloadHash, digest };
+}
+
+/**
+ * Lists the leaf fields that differ between two messages of the same type.
+ * @param {object} expected e.g. the message returned by the API
+ * @param {object} actual e.g. the message the wallet signed
+ * @param {string} [type="Order"]
+ * @returns {Array<{path: string, expected: any, actual: any}>}
+ */
+function diffOrders(expected, actual, type = ORDER_PRIMARY_TYPE) {
+  const diffs = [];
+
+  // normalize leniently so that e.g. `1000000n` and `"1000000"` compare equal
+  const left = walk(ORDER_TYPES, type, expected, "", []);
+  const right = walk(ORDER_TYPES, type, actual, "", []);
+
+  (function compare(fieldType, a, b, path) {
+    const arrayMatch = /^(.*)\[\d*\]$/.exec(fieldType);
+    if (arrayMatch && Array.isArray(a) && Array.isArray(b)) {
+      if (a.length !== b.length) diffs.push({ path: `${path}.length`, expected: a.length, actual: b.length });
+      for (let index = 0; index < Math.max(a.length, b.length); index++) {
+        compare(arrayMatch[1], a[index], b[index], `${path}[${index}]`);
+      }
+      return;
+    }
+
+    const fields = ORDER_TYPES[fieldType];
+    if (fields && a && b && typeof a === "object" && typeof b === "object") {
+      for (const field of fields) {
+        compare(field.type, a[field.name], b[field.name], path ? `${path}.${field.name}` : field.name);
+      }
+      return;
+    }
+
+    if (JSON.stringify(a) !== JSON.stringify(b)) diffs.push({ path, expected: a, actual: b });
+  })(type, left, right, "");
+
+  return diffs;
+}
+
+/**
+ * Renders a diff as one line per differing field.
+ * @param {Array<{path: string, expected: any, actual: any}>} diffs see {@link diffOrders}
+ * @returns {string}
+ */
+function formatDiff(diffs) {
+  const render = (value) => (value === undefined ? "<missing>" : JSON.stringify(value));
+  return diffs.map(({ path, expected, actual }) => `${path}: expected ${render(expected)}, got ${render(actual)}`).join("\n");
+}
+
+/**
+ * Checks a signed payload against the typed data the API returned.
+ *
+ * @param {{domain: object, message: object}} expected typed data returned by the API
+ * @param {object} signed what reached the gateway
+ * @param {string} signed.domainSepHash
+ * @param {string} signed.payloadHash
+ * @param {object} [signed.domain] domain the wallet signed, to explain a mismatch
+ * @param {object} [signed.message] message the wallet signed, to explain a mismatch
+ * @returns {{matches: boolean, domainMatches: boolean, payloadMatches: boolean, diffs: Array, report: string}}
+ */
+function comparePayload(expected, signed) {
+  const { domainSepHash, payloadHash } = hashOrder(expected.domain, expected.message, { validate: false });
+
+  const domainMatches = domainSepHash === signed.domainSepHash.toLowerCase();
+  const payloadMatches = payloadHash === signed.payloadHash.toLowerCase();
+
+  const diffs = [];
+  const lines = [];
+
+  if (!domainMatches) {
+    lines.push(`domainSepHash: expected ${domainSepHash}, got ${signed.domainSepHash}`);
+    if (signed.domain) {
+      for (const { name } of ORDER_DOMAIN_TYPES) {
+        const [a, b] = [expected.domain[name], signed.domain[name]].map((value) => (value === undefined ? value : String(value)));
+        if (a !== b) diffs.push({ path: `domain.${name}`, expected: a, actual: b });
+      }
+    }
+  }
+
+  if (!payloadMatches) {
+    lines.push(`payloadHash: expected ${payloadHash}, got ${signed.payloadHash}`);
+    if (signed.message) diffs.push(...diffOrders(expected.message, signed.message));
+  }
+
+  if (diffs.length) lines.push(formatDiff(diffs));
+
+  return {
+    matches: domainMatches && payloadMatches,
+    domainMatches,
+    payloadMatches,
+    diffs,
+    report: lines.join("\n"),
+  };
+}
+
+/**
+ * Signs an order payload as its signer.
+ * @param {ethers.Signer} signer
+ * @param {object} domain EIP-712 domain
+ * @param {object} message `Order` message
+ * @returns {Promise<string>} 65-byte signature
+ */
+async function signOrder(signer, domain, message) {
+  validateDomain(domain);
+  validateOrder(message);
+  return signer.signTypedData(domain, ORDER_TYPES, message);
+}
+
+/**
+ * Recovers the signer of a payload the same way `verifyTypedDataSignature()` does.
+ * @param {string} domainSepHash bytes32
+ * @param {string} payloadHash bytes32
+ * @param {string} typedDataSignature 65-byte signature
+ * @returns {string} recovered address
+ */
+function recoverTypedDataSigner(domainSepHash, payloadHash, typedDataSignature) {
+  const digest = ethers.keccak256(ethers.concat(["0x1901", domainSepHash, payloadHash]));
+  return ethers.recoverAddress(digest, typedDataSignature);
+}
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_PRIMARY_TYPE,
+  ORDER_ENUMS,
+  orderDomain,
+  validateOrder,
+  validateDomain,
+  hashDomain,
+  hashStruct,
+  hashOrder,
+  diffOrders,
+  formatDiff,
+  comparePayload,
+  signOrder,
+  recoverTypedDataSigner,
+};
@@ -0,0 +1,341 @@
+const { ethers } = require("ethers");
+const { GATEWAY_ABI, DEPOSITOR_ABI, EIP3009_ABI, OrderStatus } = require("../../sdk");
+
+const gatewayInterface = new ethers.Interface(GATEWAY_ABI);
+const depositorInterface = new ethers.Interface(DEPOSITOR_ABI);
+
+/**
+ * Kinds of discrepancy in an audit report.
+ */
+const DiscrepancyType = Object.freeze({
+  // the gateway holds less of a token than its Open orders are owed
+  GatewayShortfall: "gateway-shortfall",
+  // the gateway holds more of a token than its Open orders are owed, e.g. after a direct transfer
+  GatewaySurplus: "gateway-surplus",
+  // `orders()` disagrees with the order's events on its status or amount
+  OrderMismatch: "order-mismatch",
+  // an event names an order whose deposit precedes `startBlock`, so it cannot be checked
+  UnknownOrder: "unknown-order",
+  // `orderBalances()` disagrees with the order's `OrderFunded` events and deposits
+  DepositorCreditMismatch: "depositor-credit-mismatch",
+  // `creditedBalances()` is not the sum of the credits rebuilt from events
+  DepositorCreditedMismatch: "depositor-credited-mismatch",
+  // the depositor holds less of a token than it has credited to orders
+  DepositorShortfall: "depositor-shortfall",
+  // the depositor holds funds no order is credited with, which need a deposit or `sweep`
+  DepositorUnallocated: "depositor-unallocated",
+});
+
+/**
+ * How urgent a discrepancy is: critical ones mean funds are missing or storage is inconsistent.
+ */
+const Severity = Object.freeze({
+  Critical: "critical",
+  Warning: "warning",
+});
+
+const SEVERITIES = {
+  [DiscrepancyType.GatewayShortfall]: Severity.Critical,
+  [DiscrepancyType.GatewaySurplus]: Severity.Warning,
+  [DiscrepancyType.OrderMismatch]: Severity.Critical,
+  [DiscrepancyType.UnknownOrder]: Severity.Warning,
+  [DiscrepancyType.DepositorCreditMismatch]: Severity.Critical,
+  [DiscrepancyType.DepositorCreditedMismatch]: Severity.Critical,
+  [DiscrepancyType.DepositorShortfall]: Severity.Critical,
+  [DiscrepancyType.DepositorUnallocated]: Severity.Warning,
+};
+
+/**
+ * Checks that the gateway and the depositor hold what they owe. The full event history is replayed
+ * to rebuild each order's expected status and amount and each depositor credit, independently of
+ * contract storage; the result is compared with `orders()`, `orderBalances()`,
+ * `creditedBalances()` and the token balances at the audited block.
+ *
+ * Auditing a past block, or a depositor whose order credits were swept, reads historical state and
+ * needs an archive node.
+ */
+class SolvencyAuditor {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string} options.gateway gateway address
+   * @param {string} [options.depositor] depositor address; its balances are skipped if omitted
+   * @param {number} [options.startBlock=0] first block to replay, the block the gateway was deployed in
+   * @param {number} [options.batchSize=2000] maximum block range per `eth_getLogs`
+   * @param {number} [options.concurrency=20] storage reads in flight at once
+   */
+  constructor({ provider, gateway, depositor = null, startBlock = 0, batchSize = 2000, concurrency = 20 }) {
+    this.provider = provider;
+    this.gateway = new ethers.Contract(ethers.getAddress(gateway), GATEWAY_ABI, provider);
+    this.depositor = depositor ? new ethers.Contract(ethers.getAddress(depositor), DEPOSITOR_ABI, provider) : null;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+  }
+
+  /**
+   * Audits the contracts at `block`.
+   * @param {object} [options]
+   * @param {number} [options.block] block to audit; the latest one if omitted
+   * @returns {Promise<{
+   *   block: number,
+   *   blockHash: string,
+   *   timestamp: number,
+   *   gateway: {address: string, orders: number, openOrders: number, tokens: Array<{token: string, balance: bigint, liabilities: bigint, openOrders: number}>},
+   *   depositor: {address: string, tokens: Array<{token: string, balance: bigint, credited: bigint, expectedCredited: bigint, unallocated: bigint}>}|null,
+   *   discrepancies: Array<{type: string, severity: string, message: string, token?: string, orderId?: string, expected?: any, actual?: any}>,
+   *   ok: boolean,
+   * }>} `ok` is false if any discrepancy is critical
+   */
+  async audit({ block } = {}) {
+    const blockNumber = block === undefined ? await this.provider.getBlockNumber() : Number(block);
+    const { hash: blockHash, timestamp } = await this.provider.getBlock(blockNumber);
+    const blockTag = blockNumber;
+
+    const entries = await this._events(blockNumber);
+    const discrepancies = [];
+    const report = (type, message, details = {}) => discrepancies.push({ type, severity: SEVERITIES[type], message, ...details });
+
+    // storage of every deposited order at the audited block; `token` and `fee` never change once written
+    const orderIds = [...new Set(entries
+      .filter(({ event }) => event.name === "Deposit" || event.name === "ProxyDeposit")
+      .map(({ event }) => event.args.orderId))];
+    const stored = new Map(await this._map(orderIds, async (orderId) => [orderId, await this.gateway.orders(orderId, { blockTag })]));
+
+    const { orders, credits, tokens } = await this._replay(entries, stored, report);
+    tokens.add(ethers.getAddress(await this.gateway.usdc({ blockTag })));
+
+    const gateway = await this._auditGateway(orders, stored, tokens, blockTag, report);
+    const depositor = this.depositor ? await this._auditDepositor(credits, tokens, blockTag, report) : null;
+
+    return {
+      block: blockNumber,
+      blockHash,
+      timestamp,
+      gateway,
+      depositor,
+      discrepancies,
+      ok: !discrepancies.some((discrepancy) => discrepancy.severity === Severity.Critical),
+    };
+  }
+
+  /**
+   * @returns {Promise<Array<{log: ethers.Log, event: ethers.LogDescription, source: "gateway"|"depositor"}>>}
+   *   the events of both contracts up to `toBlock`, in chain order
+   */
+  async _events(toBlock) {
+    const gatewayAddress = this.gateway.target;
+    const address = this.depositor ? [gatewayAddress, this.depositor.target] : gatewayAddress;
+
+    const entries = [];
+    for (let from = this.startBlock; from <= toBlock; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, toBlock);
+      const logs = await this.provider.getLogs({ address, fromBlock: from, toBlock: to });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        const source = log.address.toLowerCase() === gatewayAddress.toLowerCase() ? "gateway" : "depositor";
+        const event = (source === "gateway" ? gatewayInterface : depositorInterface).parseLog(log);
+        if (event) entries.push({ log, event, source });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Rebuilds the orders and the depositor's credits from the events.
+   * @returns {Promise<{orders: Map<string, {status: number, amount: bigint}>, credits: Map<string, {orderId: string, token: string, amount: bigint}>, tokens: Set<string>}>}
+   */
+  async _replay(entries, stored, report) {
+    const orders = new Map();
+    const credits = new Map();
+    const tokens = new Set();
+
+    const close = (orderId, status, log) => {
+      const order = orders.get(orderId);
+      if (!order) {
+        report(DiscrepancyType.UnknownOrder, `order ${orderId} closed in block ${log.blockNumber} was not deposited after the start block`, { orderId });
+        return;
+      }
+      order.status = status;
+    };
+
+    for (const { log, event, source } of entries) {
+      const { args } = event;
+
+      if (source === "gateway") {
+        switch (event.name) {
+          case "Deposit":
+          case "ProxyDeposit":
+            orders.set(args.orderId, { status: OrderStatus.Open, amount: args.amount });
+            tokens.add(ethers.getAddress(stored.get(args.orderId).token));
+            break;
+          case "Claim":
+            close(args.orderId, OrderStatus.Completed, log);
+            break;
+          case "Refund":
+          case "OrderCancelled":
+            close(args.orderId, OrderStatus.Aborted, log);
+            break;
+          case "DepositTokenSet":
+            tokens.add(ethers.getAddress(args.token));
+            break;
+        }
+        continue;
+      }
+
+      switch (event.name) {
+        case "OrderFunded": {
+          const token = ethers.getAddress(args.token);
+          const key = `${args.orderId}:${token}`;
+          const credit = credits.get(key) || { orderId: args.orderId, token, amount: 0n };
+          credit.amount += args.amount;
+          credits.set(key, credit);
+          tokens.add(token);
+          break;
+        }
+        case "DepositProxy":
+        case "DepositProxy2": {
+          // the deposit takes the order's whole credit of its deposit token
+          const order = stored.get(args.orderId);
+          if (order) credits.delete(`${args.orderId}:${ethers.getAddress(order.token)}`);
+          break;
+        }
+        case "Sweep": {
+          // `Sweep` does not say whether an order's credit went with it; credits cleared by then were swept with `sweepOrder`
+          const outstanding = [...credits.entries()];
+          const balances = await this._map(outstanding, ([, { orderId, token }]) =>
+            this.depositor.orderBalances(orderId, token, { blockTag: log.blockNumber })
+          );
+          outstanding.forEach(([key], i) => {
+            if (balances[i] === 0n) credits.delete(key);
+          });
+          break;
+        }
+      }
+    }
+
+    return { orders, credits, tokens };
+  }
+
+  async _auditGateway(orders, stored, tokens, blockTag, report) {
+    const liabilities = new Map([...tokens].map((token) => [token, { liabilities: 0n, openOrders: 0 }]));
+    let openOrders = 0;
+
+    for (const [orderId, order] of orders) {
+      const storage = stored.get(orderId);
+      const actual = { status: Number(storage.status), amount: storage.amount };
+      if (actual.status !== order.status || actual.amount !== order.amount) {
+        report(DiscrepancyType.OrderMismatch, `order ${orderId} is stored as ${JSON.stringify(actual, stringifyBigints)}, its events say ${JSON.stringify(order, stringifyBigints)}`, {
+          orderId,
+          expected: order,
+          actual,
+        });
+      }
+
+      if (order.status !== OrderStatus.Open) continue;
+      const entry = liabilities.get(ethers.getAddress(storage.token));
+      entry.liabilities += order.amount;
+      entry.openOrders++;
+      openOrders++;
+    }
+
+    const address = this.gateway.target;
+    const rows = await this._map([...liabilities], async ([token, entry]) => {
+      const balance = await this._balanceOf(token, address, blockTag);
+      if (balance < entry.liabilities) {
+        report(DiscrepancyType.GatewayShortfall, `gateway holds ${balance} of ${token} but owes ${entry.liabilities} to Open orders`, {
+          token,
+          expected: entry.liabilities,
+          actual: balance,
+        });
+      } else if (balance > entry.liabilities) {
+        report(DiscrepancyType.GatewaySurplus, `gateway holds ${balance - entry.liabilities} of ${token} that no Open order is owed`, {
+          token,
+          expected: entry.liabilities,
+          actual: balance,
+        });
+      }
+      return { token, balance, ...entry };
+    });
+
+    return { address, orders: orders.size, openOrders, tokens: rows };
+  }
+
+  async _auditDepositor(credits, tokens, blockTag, report) {
+    const expected = new Map([...tokens].map((token) => [token, 0n]));
+    for (const { token, amount } of credits.values()) expected.set(token, expected.get(token) + amount);
+
+    const actualCredits = await this._map([...credits.values()], (credit) =>
+      this.depositor.orderBalances(credit.orderId, credit.token, { blockTag })
+    );
+    [...credits.values()].forEach(({ orderId, token, amount }, i) => {
+      if (actualCredits[i] !== amount) {
+        report(DiscrepancyType.DepositorCreditMismatch, `order ${orderId} is credited ${actualCredits[i]} of ${token}, its events say ${amount}`, {
+          orderId,
+          token,
+          expected: amount,
+          actual: actualCredits[i],
+        });
+      }
+    });
+
+    const address = this.depositor.target;
+    const rows = await this._map([...expected], async ([token, expectedCredited]) => {
+      const [balance, credited] = await Promise.all([
+        this._balanceOf(token, address, blockTag),
+        this.depositor.creditedBalances(token, { blockTag }),
+      ]);
+
+      if (credited !== expectedCredited) {
+        report(DiscrepancyType.DepositorCreditedMismatch, `depositor has credited ${credited} of ${token} to orders, their events say ${expectedCredited}`, {
+          token,
+          expected: expectedCredited,
+          actual: credited,
+        });
+      }
+      if (balance < credited) {
+        report(DiscrepancyType.DepositorShortfall, `depositor holds ${balance} of ${token} but has credited ${credited} to orders`, {
+          token,
+          expected: credited,
+          actual: balance,
+        });
+      } else if (balance > credited) {
+        report(DiscrepancyType.DepositorUnallocated, `depositor holds ${balance - credited} of ${token} not credited to any order`, {
+          token,
+          expected: credited,
+          actual: balance,
+        });
+      }
+
+      return { token, balance, credited, expectedCredited, unallocated: balance > credited ? balance - credited : 0n };
+    });
+
+    return { address, tokens: rows };
+  }
+
+  _balanceOf(token, account, blockTag) {
+    return new ethers.Contract(token, EIP3009_ABI, this.provider).balanceOf(account, { blockTag });
+  }
+
+  /**
+   * Maps `items` through `fn`, at most `concurrency` at a time, keeping their order.
+   */
+  async _map(items, fn) {
+    const results = [];
+    for (let i = 0; i < items.length; i += this.concurrency) {
+      results.push(...(await Promise.all(items.slice(i, i + this.concurrency).map(fn))));
+    }
+    return results;
+  }
+}
+
+function stringifyBigints(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+module.exports = {
+  DiscrepancyType,
+  Severity,
+  SolvencyAuditor,
+};
@@ -0,0 +1,38 @@
+// Audits the gateway's and the depositor's balances against the liabilities rebuilt from their events.
+//
+//   node services/auditor/main.js [--block <number>]
+//
+// The report is printed as JSON. The process exits with 1 if it holds a critical discrepancy, so
+// that a scheduler can alert on it.
+//
+//   AUDITOR_RPC_URL       JSON-RPC endpoint of the gateway's chain; an archive node for past blocks
+//   AUDITOR_GATEWAY       gateway address
+//   AUDITOR_DEPOSITOR     depositor address (default: none, only the gateway is audited)
+//   AUDITOR_START_BLOCK   first block to replay, the gateway's deployment block (default: 0)
+
+require("dotenv/config");
+const { ethers } = require("ethers");
+const { SolvencyAuditor } = require(".");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const blockIndex = args.indexOf("--block");
+  const block = blockIndex === -1 ? undefined : Number(args[blockIndex + 1]);
+  if (block !== undefined && !Number.isInteger(block)) throw new Error("usage: main.js [--block <number>]");
+
+  const auditor = new SolvencyAuditor({
+    provider: new ethers.JsonRpcProvider(process.env.AUDITOR_RPC_URL),
+    gateway: process.env.AUDITOR_GATEWAY,
+    depositor: process.env.AUDITOR_DEPOSITOR || null,
+    startBlock: Number(process.env.AUDITOR_START_BLOCK || 0),
+  });
+
+  const report = await auditor.audit({ block });
+  console.log(JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+  if (!report.ok) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
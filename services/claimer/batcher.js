@@ -0,0 +1,287 @@
+const { ethers } = require("ethers");
+const {
+  OrderStatus,
+  checkClaimSplit,
+  recoverClaimNotary,
+  recoverClaimNotaries,
+  ClaimRejectedUnauthorizedError,
+  ClaimRejectedOrderNotOpenError,
+  ClaimRejectedPausedError,
+} = require("../../sdk");
+
+/**
+ * Reasons a claim is held back from submission.
+ */
+const QuarantineReason = Object.freeze({
+  InvalidOrderId: "invalid-order-id",
+  Duplicate: "duplicate",
+  OrderNotOpen: "order-not-open",
+  InvalidSignature: "invalid-signature",
+  InvalidSplit: "invalid-split",
+  BelowNotaryThreshold: "below-notary-threshold",
+});
+
+/**
+ * Splits a large set of notary-signed claims into `claim()` batches that cannot revert on a single
+ * bad entry: every order is checked off-chain first, and entries that would fail are quarantined
+ * instead of sinking their whole batch.
+ */
+class ClaimBatcher {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").GatewayClient} options.gateway gateway client connected to the submitting signer
+   * @param {string} options.recipient authorized claimer receiving the funds
+   * @param {number} [options.chunkSize] claims per batch; defaults to, and is capped at, the gateway's `claimsCap`
+   * @param {number} [options.gasLimitMargin=20] percent added to each batch's gas estimate
+   * @param {object} [options.overrides] extra transaction overrides, e.g. `maxFeePerGas`
+   * @param {number} [options.confirmations=1] confirmations awaited per batch
+   */
+  constructor({ gateway, recipient, chunkSize = null, gasLimitMargin = 20, overrides = {}, confirmations = 1 }) {
+    this.gateway = gateway;
+    this.recipient = ethers.getAddress(recipient);
+    this.chunkSize = chunkSize;
+    this.gasLimitMargin = BigInt(gasLimitMargin);
+    this.overrides = overrides;
+    this.confirmations = confirmations;
+  }
+
+  /**
+   * Checks every claim against the order on-chain and splits the valid ones into batches. Claims split between
+   * `recipients` by `shares` are checked against the split their notaries signed, and every recipient must be an
+   * authorized claimer.
+   * @param {Array<{orderId: string, signature: string, recipients?: string[], shares?: Array<bigint|number|string>}>} claims
+   * @returns {Promise<{
+   *   chunks: Array<Array<{orderId: string, signature: string}>>,
+   *   quarantined: Array<{orderId: string, signature: string, reason: string}>,
+   * }>}
+   * @throws {ClaimRejectedUnauthorizedError} if the recipient is not an authorized claimer
+   * @throws {ClaimRejectedPausedError} if claims are paused
+   */
+  async prepare(claims) {
+    if (await this.gateway.contract.claimsPaused()) {
+      throw new ClaimRejectedPausedError("ClaimRejectedPaused(): claims are paused", { reason: "ClaimRejectedPaused" });
+    }
+
+    if (!(await this.gateway.contract.authorizedClaimers(this.recipient))) {
+      throw new ClaimRejectedUnauthorizedError(`ClaimRejectedUnauthorized(): ${this.recipient} is not an authorized claimer`, {
+        reason: "ClaimRejectedUnauthorized",
+      });
+    }
+
+    const claimsCap = Number(await this.gateway.contract.claimsCap());
+    const chunkSize = Math.min(this.chunkSize || claimsCap, claimsCap);
+    if (chunkSize < 1) throw new RangeError(`cannot batch claims; claimsCap is ${claimsCap}`);
+
+    const valid = [];
+    const quarantined = [];
+    const seen = new Set();
+    this._notarySets = new Map();
+    this._tokens = new Map();
+    this._claimers = new Map([[this.recipient, true]]);
+
+    // the gateway's EIP-712 domain, and the legacy format while the gateway still accepts it
+    const [domain, legacySignaturesUntil, latest] = await Promise.all([
+      this.gateway.domain(),
+      this.gateway.contract.legacySignaturesUntil(),
+      this.gateway.provider.getBlock("latest"),
+    ]);
+    this._domains = BigInt(latest.timestamp) < legacySignaturesUntil ? [domain, null] : [domain];
+
+    for (const claim of claims) {
+      const reason = await this._check(claim, seen);
+      if (reason) quarantined.push({ ...claim, reason });
+      else valid.push(claim);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < valid.length; i += chunkSize) {
+      chunks.push(valid.slice(i, i + chunkSize));
+    }
+
+    return { chunks, quarantined };
+  }
+
+  /**
+   * @returns {Promise<string|null>} the quarantine reason, or null if the claim would succeed
+   */
+  async _check({ orderId, signature, recipients, shares }, seen) {
+    if (!ethers.isHexString(orderId, 32)) return QuarantineReason.InvalidOrderId;
+
+    let split = null;
+    try {
+      split = checkClaimSplit({ recipients, shares });
+    } catch (error) {
+      return QuarantineReason.InvalidSplit;
+    }
+    if (split && !(await this._areClaimers(split.recipients))) return QuarantineReason.InvalidSplit;
+
+    // the legacy format cannot sign a split
+    const domains = split ? this._domains.filter(Boolean) : this._domains;
+
+    // a second claim for the same order would find it Completed
+    const key = orderId.toLowerCase();
+    if (seen.has(key)) return QuarantineReason.Duplicate;
+    seen.add(key);
+
+    const order = await this.gateway.getOrder(orderId);
+    if (order.status !== OrderStatus.Open) return QuarantineReason.OrderNotOpen;
+    this._tokens.set(key, order.token);
+
+    if (order.notarySet !== ethers.ZeroHash) {
+      if (!this._notarySets.has(order.notarySet)) this._notarySets.set(order.notarySet, await this.gateway.getNotarySet(order.notarySet));
+      const reasons = domains.map((domain) => this._checkNotarySet(orderId, signature, this._notarySets.get(order.notarySet), domain, split));
+      return reasons.includes(null) ? null : reasons[0];
+    }
+
+    const signed = domains.some((domain) => {
+      try {
+        return recoverClaimNotary(orderId, signature, domain, split) === order.notary;
+      } catch (error) {
+        // malformed signatures are reported below
+        return false;
+      }
+    });
+    if (!signed) return QuarantineReason.InvalidSignature;
+
+    return null;
+  }
+
+  /**
+   * Whether every address is an authorized claimer, as the gateway requires of split recipients.
+   */
+  async _areClaimers(addresses) {
+    for (const address of addresses) {
+      if (!this._claimers.has(address)) this._claimers.set(address, await this.gateway.contract.authorizedClaimers(address));
+      if (!this._claimers.get(address)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Mirrors the gateway's check of a packed notary set signature in one domain: distinct members in
+   * ascending order, at least `threshold` of them.
+   */
+  _checkNotarySet(orderId, signature, { members, threshold }, domain, split) {
+    let notaries = null;
+    try {
+      notaries = recoverClaimNotaries(orderId, signature, domain, split);
+    } catch (error) {
+      return QuarantineReason.InvalidSignature;
+    }
+
+    const allowed = new Set(members.map((member) => member.toLowerCase()));
+    for (let i = 0; i < notaries.length; i++) {
+      if (!allowed.has(notaries[i].toLowerCase())) return QuarantineReason.InvalidSignature;
+      if (i > 0 && BigInt(notaries[i]) <= BigInt(notaries[i - 1])) return QuarantineReason.InvalidSignature;
+    }
+    if (BigInt(notaries.length) < threshold) return QuarantineReason.BelowNotaryThreshold;
+
+    return null;
+  }
+
+  /**
+   * Estimates the gas of each batch as it would be submitted now.
+   * @param {Array<Array<{orderId: string, signature: string}>>} chunks
+   * @returns {Promise<bigint[]>}
+   */
+  async estimate(chunks) {
+    const estimates = [];
+    for (const claims of chunks) {
+      estimates.push(await this.gateway.estimateClaim({ claims, recipient: this.recipient }));
+    }
+    return estimates;
+  }
+
+  /**
+   * Prepares the claims, then submits the batches one after another.
+   *
+   * A batch is re-simulated right before it is sent; an order that closed since it was checked is
+   * quarantined and the batch retried without it. If a batch trips the gateway's claim window cap,
+   * its unclaimed orders and every later batch are reported as failed.
+   *
+   * @param {Array<{orderId: string, signature: string}>} claims
+   * @returns {Promise<{
+   *   recipient: string,
+   *   claimed: Array<{orderId: string, recipient: string, token: string, amount: bigint, txHash: string}>,
+   *   quarantined: Array<{orderId: string, signature: string, reason: string}>,
+   *   failed: Array<{orderId: string, error: string}>,
+   *   batches: Array<{size: number, gasEstimate: bigint, gasUsed: bigint, txHash: string}>,
+   *   totalAmounts: Object<string, bigint>,
+   * }>} `totalAmounts` maps each token address to the amount claimed, in the token's base units
+   */
+  async submit(claims) {
+    const { chunks, quarantined } = await this.prepare(claims);
+    const report = { recipient: this.recipient, claimed: [], quarantined, failed: [], batches: [], totalAmounts: {} };
+
+    for (const chunk of chunks) {
+      await this._submitChunk(chunk, report);
+    }
+
+    for (const { token, amount } of report.claimed) {
+      report.totalAmounts[token] = (report.totalAmounts[token] || 0n) + amount;
+    }
+    return report;
+  }
+
+  async _submitChunk(chunk, report) {
+    let claims = chunk;
+    let gasEstimate;
+
+    while (claims.length) {
+      try {
+        gasEstimate = await this.gateway.estimateClaim({ claims, recipient: this.recipient });
+        break;
+      } catch (error) {
+        if (!(error instanceof ClaimRejectedOrderNotOpenError)) {
+          for (const { orderId } of claims) report.failed.push({ orderId, error: error.message });
+          return;
+        }
+
+        const index = Number(error.args.index);
+        report.quarantined.push({ ...claims[index], reason: QuarantineReason.OrderNotOpen });
+        claims = claims.filter((claim, i) => i !== index);
+      }
+    }
+    if (!claims.length) return;
+
+    try {
+      const gasLimit = gasEstimate + (gasEstimate * this.gasLimitMargin) / 100n;
+      const tx = await this.gateway.claim({ claims, recipient: this.recipient }, { overrides: { ...this.overrides, gasLimit } });
+      const receipt = await tx.wait(this.confirmations);
+
+      // per-order results come from the emitted events rather than the submitted list; event order IDs are
+      // lowercase hex, so both sides are compared lowercased
+      const claimed = new Set();
+      let paused = null;
+      for (const log of receipt.logs) {
+        const event = this.gateway.contract.interface.parseLog(log);
+        // a split order is reported once per recipient
+        if (event && event.name === "Claim") {
+          const key = event.args.orderId.toLowerCase();
+          report.claimed.push({
+            orderId: event.args.orderId,
+            recipient: event.args.recipient,
+            token: this._tokens.get(key),
+            amount: event.args.amount,
+            txHash: receipt.hash,
+          });
+          claimed.add(key);
+        }
+        if (event && event.name === "Paused") paused = event.args.reason;
+      }
+      if (paused) {
+        for (const { orderId } of claims) {
+          if (!claimed.has(orderId.toLowerCase())) report.failed.push({ orderId, error: paused });
+        }
+      }
+      report.batches.push({ size: claims.length, gasEstimate, gasUsed: receipt.gasUsed, txHash: receipt.hash });
+    } catch (error) {
+      for (const { orderId } of claims) report.failed.push({ orderId, error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  QuarantineReason,
+  ClaimBatcher,
+};
@@ -0,0 +1,53 @@
+// Submits a file of notary-signed claims in batches of at most `claimsCap`.
+//
+//   node services/claimer/main.js <claims.json> [--dry-run]
+//
+// The file holds `{"claims": [{"orderId", "signature", "recipients"?, "shares"?}]}`, e.g. a response
+// of the notary service, or the bare array. With --dry-run the claims are only checked, batched and estimated. The report
+// is printed as JSON.
+//
+//   CLAIMER_RPC_URL       JSON-RPC endpoint of the gateway's chain
+//   CLAIMER_GATEWAY       gateway address
+//   CLAIMER_PRIVATE_KEY   key of the account submitting the batches
+//   CLAIMER_RECIPIENT     authorized claimer receiving the funds (default: the submitting account)
+//   CLAIMER_CHUNK_SIZE    claims per batch (default: the gateway's claimsCap)
+
+require("dotenv/config");
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { GatewayClient } = require("../../sdk");
+const { ClaimBatcher } = require(".");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const [file] = args.filter((arg) => arg !== "--dry-run");
+  if (!file) throw new Error("usage: main.js <claims.json> [--dry-run]");
+
+  const input = JSON.parse(fs.readFileSync(file, "utf8"));
+  const claims = Array.isArray(input) ? input : input.claims;
+
+  const provider = new ethers.JsonRpcProvider(process.env.CLAIMER_RPC_URL);
+  const wallet = new ethers.Wallet(process.env.CLAIMER_PRIVATE_KEY, provider);
+  const batcher = new ClaimBatcher({
+    gateway: new GatewayClient(process.env.CLAIMER_GATEWAY, wallet),
+    recipient: process.env.CLAIMER_RECIPIENT || wallet.address,
+    chunkSize: process.env.CLAIMER_CHUNK_SIZE ? Number(process.env.CLAIMER_CHUNK_SIZE) : null,
+  });
+
+  let report;
+  if (dryRun) {
+    const { chunks, quarantined } = await batcher.prepare(claims);
+    const estimates = await batcher.estimate(chunks);
+    report = { chunks: chunks.map((chunk, i) => ({ orderIds: chunk.map((claim) => claim.orderId), gasEstimate: estimates[i] })), quarantined };
+  } else {
+    report = await batcher.submit(claims);
+  }
+
+  console.log(JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,87 @@
+const http = require("http");
+
+/**
+ * Error whose message is safe to return to HTTP clients.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+  }
+}
+
+// upper bound on request bodies
+const MAX_BODY_BYTES = 1 << 20;
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+async function readJson(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "request body too large");
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "null");
+  } catch (error) {
+    throw new HttpError(400, "request body is not valid JSON");
+  }
+}
+
+/**
+ * Serializes a response body, rendering bigints as decimal strings.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(json);
+}
+
+/**
+ * Creates an HTTP server dispatching JSON requests to route handlers.
+ * @param {Record<string, (body: any, req: http.IncomingMessage) => Promise<any>>} routes
+ *   keyed by `"<METHOD> <path>"`, e.g. `"POST /claims"`
+ * @param {object} [options]
+ * @param {(error: Error) => void} [options.onError] called with unexpected errors
+ * @returns {http.Server}
+ */
+function createJsonServer(routes, { onError = (error) => console.error(error) } = {}) {
+  return http.createServer(async (req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    const handler = routes[`${req.method} ${path}`];
+
+    if (!handler) {
+      sendJson(res, 404, { error: `no route for ${req.method} ${path}` });
+      return;
+    }
+
+    try {
+      const body = req.method === "GET" ? null : await readJson(req);
+      sendJson(res, 200, await handler(body, req));
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      onError(error);
+      sendJson(res, 500, { error: "internal error" });
+    }
+  });
+}
+
+module.exports = {
+  HttpError,
+  readJson,
+  sendJson,
+  createJsonServer,
+};
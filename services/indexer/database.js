@@ -0,0 +1,458 @@
+const fs = require("fs");
+const initSqlJs = require("sql.js");
+const { OrderStatus, PauseScope } = require("../../sdk");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- hashes of indexed blocks, used to detect reorgs
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  -- every gateway event, in chain order
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS events_name ON events (name);
+
+  -- order lifecycle projected from the events
+  CREATE TABLE IF NOT EXISTS orders (
+    order_id TEXT PRIMARY KEY,
+    signer TEXT NOT NULL,
+    notary TEXT NOT NULL,
+    refundee TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    token TEXT,
+    fee TEXT,
+    notary_set TEXT,
+    duration INTEGER NOT NULL,
+    expiration INTEGER NOT NULL,
+    opened_at INTEGER,
+    status INTEGER NOT NULL,
+    proxied INTEGER NOT NULL,
+    deposit_block INTEGER NOT NULL,
+    deposit_tx TEXT NOT NULL,
+    extended_block INTEGER,
+    closed_block INTEGER,
+    closed_tx TEXT,
+    recipient TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS orders_signer ON orders (signer, status);
+  CREATE INDEX IF NOT EXISTS orders_expiration ON orders (status, expiration);
+
+  -- notaries that can release each order: its notary, or every member of its notary set
+  CREATE TABLE IF NOT EXISTS order_notaries (
+    order_id TEXT NOT NULL,
+    notary TEXT NOT NULL,
+    PRIMARY KEY (order_id, notary)
+  );
+
+  CREATE INDEX IF NOT EXISTS order_notaries_notary ON order_notaries (notary);
+
+  -- transfers of claimed orders, one per Claim event: a split order has one per recipient
+  CREATE TABLE IF NOT EXISTS order_payouts (
+    order_id TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE INDEX IF NOT EXISTS order_payouts_order ON order_payouts (order_id);
+`;
+
+// columns returned by order queries
+const ORDER_COLUMNS = `
+  order_id AS orderId, signer, notary, refundee, amount, token, fee, notary_set AS notarySet, duration, expiration, opened_at AS openedAt,
+  status, proxied, deposit_block AS depositBlock, deposit_tx AS depositTx, extended_block AS extendedBlock, closed_block AS closedBlock, closed_tx AS closedTx, recipient
+`;
+
+/**
+ * Embedded SQLite store of the gateway's events and the order lifecycle derived from them.
+ * Addresses and hashes are stored lowercase; amounts as decimal strings.
+ */
+class IndexerDatabase {
+  /**
+   * @param {import("sql.js").Database} db
+   * @param {string|null} file path the database is persisted to, or null to keep it in memory
+   */
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Opens the database persisted at `file`, creating it if missing.
+   * @param {string|null} [file] omit to keep the database in memory
+   * @returns {Promise<IndexerDatabase>}
+   */
+  static async open(file = null) {
+    const SQL = await initSqlJs();
+    const contents = file && fs.existsSync(file) ? fs.readFileSync(file) : undefined;
+    return new IndexerDatabase(new SQL.Database(contents), file);
+  }
+
+  /**
+   * Writes the database to its file, atomically replacing the previous copy.
+   */
+  save() {
+    if (!this.file) return;
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, Buffer.from(this.db.export()));
+    fs.renameSync(tmp, this.file);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs `fn` inside a transaction, rolling back if it throws.
+   * @param {() => T} fn
+   * @returns {T}
+   * @template T
+   */
+  transaction(fn) {
+    this.db.exec("BEGIN");
+    try {
+      const result = fn();
+      this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  _all(sql, params = {}) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  _get(sql, params = {}) {
+    return this._all(sql, params)[0];
+  }
+
+  // meta
+
+  getMeta(key) {
+    const row = this._get("SELECT value FROM meta WHERE key = $key", { $key: key });
+    return row ? row.value : undefined;
+  }
+
+  setMeta(key, value) {
+    this.db.run("INSERT OR REPLACE INTO meta (key, value) VALUES ($key, $value)", { $key: key, $value: String(value) });
+  }
+
+  /**
+   * @returns {number|null} the last block fully indexed
+   */
+  getLastBlock() {
+    const value = this.getMeta("lastBlock");
+    return value === undefined ? null : Number(value);
+  }
+
+  setLastBlock(number) {
+    this.setMeta("lastBlock", number);
+  }
+
+  // blocks
+
+  putBlock(number, hash) {
+    this.db.run("INSERT OR REPLACE INTO blocks (number, hash) VALUES ($number, $hash)", { $number: number, $hash: hash.toLowerCase() });
+  }
+
+  /**
+   * @param {number} below only blocks strictly below this number
+   * @returns {Array<{number: number, hash: string}>} newest first
+   */
+  recentBlocks(below = Number.MAX_SAFE_INTEGER) {
+    return this._all("SELECT number, hash FROM blocks WHERE number < $below ORDER BY number DESC", { $below: below });
+  }
+
+  pruneBlocks(below) {
+    this.db.run("DELETE FROM blocks WHERE number < $below", { $below: below });
+  }
+
+  // events
+
+  /**
+   * @param {object} event
+   * @param {number} event.blockNumber
+   * @param {number} event.logIndex
+   * @param {string} event.blockHash
+   * @param {string} event.txHash
+   * @param {string} event.name
+   * @param {object} event.args JSON-serializable arguments
+   */
+  putEvent({ blockNumber, logIndex, blockHash, txHash, name, args }) {
+    this.db.run(
+      "INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, name, args) VALUES ($block, $index, $blockHash, $tx, $name, $args)",
+      { $block: blockNumber, $index: logIndex, $blockHash: blockHash.toLowerCase(), $tx: txHash.toLowerCase(), $name: name, $args: JSON.stringify(args) }
+    );
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string[]} [filter.names] only events with these names
+   * @param {number} [filter.toBlock] only events up to and including this block
+   * @returns {Array<object>} events in chain order
+   */
+  events({ names, toBlock = Number.MAX_SAFE_INTEGER } = {}) {
+    const nameParams = Object.fromEntries((names || []).map((name, i) => [`$name${i}`, name]));
+    const nameClause = names ? `AND name IN (${Object.keys(nameParams).join(", ")})` : "";
+    return this._all(
+      `SELECT block_number AS blockNumber, log_index AS logIndex, block_hash AS blockHash, tx_hash AS txHash, name, args
+       FROM events WHERE block_number <= $to ${nameClause} ORDER BY block_number, log_index`,
+      { $to: toBlock, ...nameParams }
+    ).map((row) => ({ ...row, args: JSON.parse(row.args) }));
+  }
+
+  // orders
+
+  /**
+   * @param {object} order
+   * @param {string[]} [order.notarySetMembers] members of the order's notary set, indexed as its notaries
+   */
+  insertOrder(order) {
+    this.db.run(
+      `INSERT OR REPLACE INTO orders (order_id, signer, notary, refundee, amount, token, fee, notary_set, duration, expiration, opened_at, status, proxied, deposit_block, deposit_tx)
+       VALUES ($orderId, $signer, $notary, $refundee, $amount, $token, $fee, $notarySet, $duration, $expiration, $openedAt, $status, $proxied, $block, $tx)`,
+      {
+        $orderId: order.orderId.toLowerCase(),
+        $signer: order.signer.toLowerCase(),
+        $notary: order.notary.toLowerCase(),
+        $refundee: order.refundee.toLowerCase(),
+        $amount: order.amount.toString(),
+        $token: order.token ? order.token.toLowerCase() : null,
+        $fee: order.fee === undefined ? null : order.fee.toString(),
+        $notarySet: order.notarySet ? order.notarySet.toLowerCase() : null,
+        $duration: Number(order.duration),
+        $expiration: Number(order.expiration),
+        $openedAt: order.openedAt === undefined ? null : Number(order.openedAt),
+        $status: OrderStatus.Open,
+        $proxied: order.proxied ? 1 : 0,
+        $block: order.blockNumber,
+        $tx: order.txHash.toLowerCase(),
+      }
+    );
+
+    const orderId = order.orderId.toLowerCase();
+    this.db.run("DELETE FROM order_notaries WHERE order_id = $orderId", { $orderId: orderId });
+    for (const notary of order.notarySetMembers || [order.notary]) {
+      this.db.run("INSERT OR IGNORE INTO order_notaries (order_id, notary) VALUES ($orderId, $notary)", { $orderId: orderId, $notary: notary.toLowerCase() });
+    }
+  }
+
+  extendOrder(orderId, { expiration, blockNumber }) {
+    this.db.run(
+      "UPDATE orders SET expiration = $expiration, extended_block = $block WHERE order_id = $orderId",
+      { $orderId: orderId.toLowerCase(), $expiration: Number(expiration), $block: blockNumber }
+    );
+  }
+
+  closeOrder(orderId, { status, blockNumber, txHash }) {
+    this.db.run(
+      "UPDATE orders SET status = $status, closed_block = $block, closed_tx = $tx WHERE order_id = $orderId",
+      { $orderId: orderId.toLowerCase(), $status: status, $block: blockNumber, $tx: txHash.toLowerCase() }
+    );
+  }
+
+  /**
+   * Records one transfer of a claimed order. The order's `recipient` is its only payout's, or null once it is split.
+   */
+  addPayout(orderId, { recipient, amount, blockNumber, logIndex }) {
+    const $orderId = orderId.toLowerCase();
+    this.db.run(
+      `INSERT OR REPLACE INTO order_payouts (order_id, recipient, amount, block_number, log_index)
+       VALUES ($orderId, $recipient, $amount, $block, $logIndex)`,
+      { $orderId, $recipient: recipient.toLowerCase(), $amount: amount.toString(), $block: blockNumber, $logIndex: logIndex }
+    );
+    this.db.run(
+      "UPDATE orders SET recipient = (SELECT CASE WHEN COUNT(*) = 1 THEN MIN(recipient) END FROM order_payouts WHERE order_id = $orderId) WHERE order_id = $orderId",
+      { $orderId }
+    );
+  }
+
+  /**
+   * Discards everything derived from blocks at or above `fromBlock`.
+   * @param {number} fromBlock first orphaned block
+   */
+  rollback(fromBlock) {
+    const params = { $from: fromBlock };
+    this.db.run("DELETE FROM events WHERE block_number >= $from", params);
+    this.db.run("DELETE FROM blocks WHERE number >= $from", params);
+    this.db.run("DELETE FROM order_payouts WHERE block_number >= $from", params);
+    this.db.run("DELETE FROM order_notaries WHERE order_id IN (SELECT order_id FROM orders WHERE deposit_block >= $from)", params);
+    this.db.run("DELETE FROM orders WHERE deposit_block >= $from", params);
+
+    // orphaned extensions fall back to the latest remaining one, or to the order's original expiration
+    const extended = this._all("SELECT order_id AS orderId FROM orders WHERE extended_block >= $from", params);
+    for (const { orderId } of extended) {
+      this.db.run(
+        "UPDATE orders SET expiration = COALESCE(opened_at + duration, expiration), extended_block = NULL WHERE order_id = $orderId",
+        { $orderId: orderId }
+      );
+    }
+    if (extended.length) {
+      const ids = new Set(extended.map(({ orderId }) => orderId));
+      for (const event of this.events({ names: ["OrderExtended"] })) {
+        const orderId = event.args.orderId.toLowerCase();
+        if (ids.has(orderId)) this.extendOrder(orderId, { expiration: event.args.expiration, blockNumber: event.blockNumber });
+      }
+    }
+
+    this.db.run(
+      "UPDATE orders SET status = $open, closed_block = NULL, closed_tx = NULL, recipient = NULL WHERE closed_block >= $from",
+      { ...params, $open: OrderStatus.Open }
+    );
+  }
+
+  /**
+   * @param {string} orderId
+   * @returns {object|undefined} the order, with the `payouts` of a claimed order as `{recipient, amount}` in chain order
+   */
+  getOrder(orderId) {
+    const params = { $orderId: orderId.toLowerCase() };
+    const order = toOrder(this._get(`SELECT ${ORDER_COLUMNS} FROM orders WHERE order_id = $orderId`, params));
+    if (!order) return undefined;
+    order.payouts = this._all(
+      "SELECT recipient, amount FROM order_payouts WHERE order_id = $orderId ORDER BY block_number, log_index",
+      params
+    );
+    return order;
+  }
+
+  /**
+   * @param {string} signer
+   * @param {object} [options] see {@link IndexerDatabase#ordersBy}
+   * @returns {object[]}
+   */
+  openOrdersBySigner(signer, options = {}) {
+    return this.ordersBy("signer", signer, { status: OrderStatus.Open, ...options });
+  }
+
+  /**
+   * Open orders the notary can release, bound to it or to a notary set it is a member of.
+   * @param {string} notary
+   * @param {object} [options] see {@link IndexerDatabase#ordersBy}
+   * @returns {object[]}
+   */
+  openOrdersByNotary(notary, options = {}) {
+    return this.ordersBy("notary", notary, { status: OrderStatus.Open, ...options });
+  }
+
+  /**
+   * @param {"signer"|"notary"} column
+   * @param {string} address
+   * @param {object} [options]
+   * @param {number} [options.status] only orders with this status
+   * @param {number} [options.limit=100]
+   * @param {number} [options.offset=0]
+   * @returns {object[]} oldest deposit first
+   */
+  ordersBy(column, address, { status, limit = 100, offset = 0 } = {}) {
+    if (column !== "signer" && column !== "notary") throw new TypeError(`cannot query orders by ${column}`);
+    const statusClause = status === undefined ? "" : "AND status = $status";
+    const addressClause = column === "signer"
+      ? "signer = $address"
+      : "order_id IN (SELECT order_id FROM order_notaries WHERE notary = $address)";
+    return this._all(
+      `SELECT ${ORDER_COLUMNS} FROM orders WHERE ${addressClause} ${statusClause} ORDER BY deposit_block, order_id LIMIT $limit OFFSET $offset`,
+      { $address: address.toLowerCase(), ...(status === undefined ? {} : { $status: status }), $limit: limit, $offset: offset }
+    ).map(toOrder);
+  }
+
+  /**
+   * Orders whose expiration is strictly before `timestamp`.
+   * @param {number|bigint} timestamp unix time
+   * @param {object} [options]
+   * @param {number} [options.status=OrderStatus.Open]
+   * @param {number} [options.limit=100]
+   * @param {number} [options.offset=0]
+   * @returns {object[]} soonest expiration first
+   */
+  ordersExpiringBefore(timestamp, { status = OrderStatus.Open, limit = 100, offset = 0 } = {}) {
+    return this._all(
+      `SELECT ${ORDER_COLUMNS} FROM orders WHERE status = $status AND expiration < $timestamp ORDER BY expiration, order_id LIMIT $limit OFFSET $offset`,
+      { $status: status, $timestamp: Number(timestamp), $limit: limit, $offset: offset }
+    ).map(toOrder);
+  }
+
+  /**
+   * Replays the role events to find the currently authorized approvers or claimers.
+   * @param {"approver"|"claimer"} role
+   * @returns {string[]}
+   */
+  roleMembers(role) {
+    const [added, removed] = role === "approver"
+      ? ["ApproverAdded", "ApproverRemoved"]
+      : ["ClaimerAdded", "ClaimerRemoved"];
+
+    const members = new Set();
+    for (const event of this.events({ names: [added, removed] })) {
+      const address = event.args[role].toLowerCase();
+      if (event.name === added) members.add(address);
+      else members.delete(address);
+    }
+    return [...members];
+  }
+
+  /**
+   * Replays the `Paused` and `Unpaused` events to find what is currently paused.
+   * @returns {{depositsPaused: boolean, claimsPaused: boolean, reason: string|null}} `reason` of the latest
+   *   pause still in effect
+   */
+  pauseState() {
+    const state = { depositsPaused: false, claimsPaused: false, reason: null };
+    for (const event of this.events({ names: ["Paused", "Unpaused"] })) {
+      const scope = Number(event.args.scope);
+      const paused = event.name === "Paused";
+      if (scope !== PauseScope.Claims) state.depositsPaused = paused;
+      if (scope !== PauseScope.Deposits) state.claimsPaused = paused;
+      if (paused) state.reason = event.args.reason;
+    }
+    if (!state.depositsPaused && !state.claimsPaused) state.reason = null;
+    return state;
+  }
+
+  /**
+   * @returns {{minDuration: string, maxDuration: string, minDepositAmount: string}|null}
+   *   the most recent `ConfigUpdated`, if any was indexed
+   */
+  latestConfig() {
+    const updates = this.events({ names: ["ConfigUpdated"] });
+    return updates.length ? updates[updates.length - 1].args : null;
+  }
+}
+
+function toOrder(row) {
+  if (!row) return undefined;
+  return { ...row, proxied: Boolean(row.proxied) };
+}
+
+module.exports = {
+  IndexerDatabase,
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  ...require("./database"),
+  ...require("./indexer"),
+  ...require("./server"),
+};
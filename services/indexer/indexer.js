@@ -0,0 +1,245 @@
+const { ethers } = require("ethers");
+const { GATEWAY_ABI, OrderStatus } = require("../../sdk");
+
+const gatewayInterface = new ethers.Interface(GATEWAY_ABI);
+
+/**
+ * Follows a gateway's events into an `IndexerDatabase`, rolling back blocks that were reorged out.
+ */
+class GatewayIndexer {
+  /**
+   * @param {object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string} options.address gateway address
+   * @param {import("./database").IndexerDatabase} options.db
+   * @param {number} [options.startBlock=0] first block to index, normally the gateway's deployment block
+   * @param {number} [options.confirmations=0] blocks to stay behind the chain head
+   * @param {number} [options.batchSize=2000] maximum block range per `eth_getLogs`
+   * @param {number} [options.reorgDepth=64] how many recent block hashes are kept to detect reorgs
+   * @param {number} [options.pollInterval=4000] milliseconds between syncs once started
+   * @param {(error: Error) => void} [options.onError] called with sync failures while started
+   */
+  constructor({
+    provider,
+    address,
+    db,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    reorgDepth = 64,
+    pollInterval = 4000,
+    onError = (error) => console.error(error),
+  }) {
+    this.provider = provider;
+    this.address = ethers.getAddress(address);
+    this.db = db;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.reorgDepth = reorgDepth;
+    this.pollInterval = pollInterval;
+    this.onError = onError;
+
+    this.gateway = new ethers.Contract(this.address, GATEWAY_ABI, provider);
+    this._notarySets = new Map();
+    this._timer = null;
+    this._syncing = null;
+  }
+
+  /**
+   * Indexes every block up to the confirmed chain head.
+   * @returns {Promise<{fromBlock: number, toBlock: number, reorged: number|null}>}
+   *   the range indexed, and the first orphaned block if a reorg was rolled back
+   */
+  sync() {
+    // a sync started while another one runs joins it instead of racing it
+    if (!this._syncing) {
+      this._syncing = this._sync().finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  async _sync() {
+    const reorged = await this._detectReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const lastBlock = this.db.getLastBlock();
+    const fromBlock = lastBlock === null ? this.startBlock : lastBlock + 1;
+
+    for (let from = fromBlock; from <= head; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      await this._indexRange(from, to);
+    }
+
+    return { fromBlock, toBlock: Math.max(head, fromBlock - 1), reorged };
+  }
+
+  /**
+   * Compares the stored block hashes with the chain and rolls back to the newest block both agree on.
+   * @returns {Promise<number|null>} the first orphaned block, or null if the chain did not reorg
+   */
+  async _detectReorg() {
+    const stored = this.db.recentBlocks();
+    if (!stored.length) return null;
+
+    let forkBlock = null;
+    for (const { number, hash } of stored) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash.toLowerCase() === hash) break;
+      forkBlock = number;
+    }
+    if (forkBlock === null) return null;
+
+    this.db.transaction(() => {
+      this.db.rollback(forkBlock);
+      this.db.setLastBlock(forkBlock - 1);
+    });
+    this.db.save();
+    return forkBlock;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+
+    // order fields missing from the deposit events are read before writing anything
+    const entries = [];
+    for (const log of logs) {
+      const event = gatewayInterface.parseLog(log);
+      if (!event) continue;
+
+      const entry = { log, event };
+      if (event.name === "Deposit" || event.name === "ProxyDeposit") {
+        entry.order = await this._readOrder(event.args.orderId, log.blockNumber);
+        if (entry.order.notarySet !== ethers.ZeroHash) entry.notarySetMembers = await this._notarySetMembers(entry.order.notarySet);
+      }
+      entries.push(entry);
+    }
+
+    // block hashes are only kept for the range reorgs can still reach
+    const keepFrom = Math.max(fromBlock, toBlock - this.reorgDepth + 1);
+    const blocks = [];
+    for (let number = keepFrom; number <= toBlock; number++) {
+      const block = await this.provider.getBlock(number);
+      if (!block) throw new Error(`block ${number} is not available`);
+      blocks.push(block);
+    }
+
+    this.db.transaction(() => {
+      for (const entry of entries) this._apply(entry);
+      for (const block of blocks) this.db.putBlock(block.number, block.hash);
+      this.db.pruneBlocks(toBlock - this.reorgDepth + 1);
+      this.db.setLastBlock(toBlock);
+    });
+    this.db.save();
+  }
+
+  async _readOrder(orderId, blockNumber) {
+    try {
+      return await this.gateway.orders(orderId, { blockTag: blockNumber });
+    } catch (error) {
+      // nodes without historical state can only answer at the head; notary, refundee and
+      // opening time never change once an order is written
+      return this.gateway.orders(orderId);
+    }
+  }
+
+  /**
+   * Members of a notary set, which never change once it is registered.
+   */
+  async _notarySetMembers(notarySet) {
+    if (!this._notarySets.has(notarySet)) {
+      const { members } = await this.gateway.getNotarySet(notarySet);
+      this._notarySets.set(notarySet, [...members]);
+    }
+    return this._notarySets.get(notarySet);
+  }
+
+  _apply({ log, event, order, notarySetMembers }) {
+    const args = {};
+    event.fragment.inputs.forEach((input, index) => {
+      const value = event.args[index];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+
+    this.db.putEvent({
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      name: event.name,
+      args,
+    });
+
+    const position = { blockNumber: log.blockNumber, txHash: log.transactionHash };
+    switch (event.name) {
+      case "Deposit":
+      case "ProxyDeposit":
+        this.db.insertOrder({
+          orderId: event.args.orderId,
+          signer: event.args.signer,
+          notary: order.notary,
+          refundee: order.refundee,
+          amount: event.args.amount,
+          token: order.token,
+          fee: order.fee,
+          notarySet: order.notarySet,
+          notarySetMembers,
+          duration: event.args.duration,
+          // the order may have been extended since if it was read at the head
+          expiration: order.openedAt + event.args.duration,
+          openedAt: order.openedAt,
+          proxied: event.name === "ProxyDeposit",
+          ...position,
+        });
+        break;
+      case "Claim":
+        this.db.closeOrder(event.args.orderId, { status: OrderStatus.Completed, ...position });
+        this.db.addPayout(event.args.orderId, {
+          recipient: event.args.recipient,
+          amount: event.args.amount,
+          blockNumber: log.blockNumber,
+          logIndex: log.index,
+        });
+        break;
+      case "OrderExtended":
+        this.db.extendOrder(event.args.orderId, { expiration: event.args.expiration, ...position });
+        break;
+      case "Refund":
+      case "OrderCancelled":
+        this.db.closeOrder(event.args.orderId, { status: OrderStatus.Aborted, ...position });
+        break;
+    }
+  }
+
+  /**
+   * Syncs now and then every `pollInterval` until stopped.
+   */
+  start() {
+    if (this._timer) return;
+
+    const poll = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.onError(error);
+      }
+      if (this._timer) this._timer = setTimeout(poll, this.pollInterval);
+    };
+    this._timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * Stops polling and waits for a running sync to finish.
+   */
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._syncing) await this._syncing.catch(() => {});
+  }
+}
+
+module.exports = {
+  GatewayIndexer,
+};
@@ -0,0 +1,38 @@
+// Runs the gateway event indexer and its query API.
+//
+//   INDEXER_RPC_URL         JSON-RPC endpoint of the gateway's chain
+//   INDEXER_GATEWAY         gateway address
+//   INDEXER_START_BLOCK     first block to index, normally the gateway's deployment block (default: 0)
+//   INDEXER_CONFIRMATIONS   blocks to stay behind the chain head (default: 0)
+//   INDEXER_DB              path of the SQLite database (default: indexer.sqlite)
+//   INDEXER_POLL_INTERVAL   milliseconds between syncs (default: 4000)
+//   INDEXER_PORT            HTTP port (default: 8646)
+
+require("dotenv/config");
+const { ethers } = require("ethers");
+const { IndexerDatabase, GatewayIndexer, createIndexerServer } = require(".");
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.INDEXER_RPC_URL);
+  const db = await IndexerDatabase.open(process.env.INDEXER_DB || "indexer.sqlite");
+
+  const indexer = new GatewayIndexer({
+    provider,
+    address: process.env.INDEXER_GATEWAY,
+    db,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+    pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 4000),
+  });
+  indexer.start();
+
+  const port = Number(process.env.INDEXER_PORT || 8646);
+  createIndexerServer(db).listen(port, () => {
+    console.log(`Indexer for ${indexer.address} listening on port ${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
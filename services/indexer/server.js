@@ -0,0 +1,75 @@
+const { ethers } = require("ethers");
+const { createJsonServer, HttpError } = require("../http");
+
+/**
+ * Exposes the order queries of an `IndexerDatabase` over HTTP. Results are paged with the
+ * optional `limit` and `offset` query parameters.
+ *
+ *  - `GET /orders?signer=<address>` open orders deposited by a signer
+ *  - `GET /orders?notary=<address>` open orders bound to a notary, or to a notary set it is a member of
+ *  - `GET /orders/expiring?before=<unix time>` open orders expiring before a time
+ *  - `GET /order?id=<orderId>` a single order in any status, with its payouts once claimed
+ *  - `GET /roles` currently authorized approvers and claimers
+ *  - `GET /status` the last block indexed and what is paused
+ *
+ * @param {import("./database").IndexerDatabase} db
+ * @param {object} [options] see `createJsonServer`
+ * @returns {import("http").Server}
+ */
+function createIndexerServer(db, options) {
+  return createJsonServer({
+    "GET /orders": async (body, req) => {
+      const query = searchParams(req);
+      const page = pagination(query);
+
+      if (query.has("signer")) return { orders: db.openOrdersBySigner(address(query, "signer"), page) };
+      if (query.has("notary")) return { orders: db.openOrdersByNotary(address(query, "notary"), page) };
+      throw new HttpError(400, "expected a signer or notary query parameter");
+    },
+
+    "GET /orders/expiring": async (body, req) => {
+      const query = searchParams(req);
+      const before = Number(query.get("before"));
+      if (!query.has("before") || !Number.isSafeInteger(before)) throw new HttpError(400, "expected a unix time in before");
+      return { orders: db.ordersExpiringBefore(before, pagination(query)) };
+    },
+
+    "GET /order": async (body, req) => {
+      const id = searchParams(req).get("id");
+      if (!ethers.isHexString(id, 32)) throw new HttpError(400, "expected a bytes32 id");
+
+      const order = db.getOrder(id);
+      if (!order) throw new HttpError(404, "order not found");
+      return { order };
+    },
+
+    "GET /roles": async () => ({
+      approvers: db.roleMembers("approver"),
+      claimers: db.roleMembers("claimer"),
+    }),
+
+    "GET /status": async () => ({ lastBlock: db.getLastBlock(), ...db.pauseState() }),
+  }, options);
+}
+
+function searchParams(req) {
+  return new URL(req.url, "http://localhost").searchParams;
+}
+
+function address(query, name) {
+  const value = query.get(name);
+  if (!ethers.isAddress(value)) throw new HttpError(400, `${name} is not an address`);
+  return value;
+}
+
+function pagination(query) {
+  const limit = Number(query.get("limit") ?? 100);
+  const offset = Number(query.get("offset") ?? 0);
+  if (!Number.isSafeInteger(limit) || limit < 1 || limit > 1000) throw new HttpError(400, "limit must be between 1 and 1000");
+  if (!Number.isSafeInteger(offset) || offset < 0) throw new HttpError(400, "offset must not be negative");
+  return { limit, offset };
+}
+
+module.exports = {
+  createIndexerServer,
+};
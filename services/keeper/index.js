@@ -0,0 +1,4 @@
+module.exports = {
+  ...require("./keeper"),
+  ...require("./server"),
+};
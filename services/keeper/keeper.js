@@ -0,0 +1,225 @@
+const { ethers } = require("ethers");
+const { GatewayError } = require("../../sdk");
+
+/**
+ * Reasons an expired order is not refunded.
+ */
+const SkipReason = Object.freeze({
+  SimulationReverted: "simulation-reverted",
+  GasLimitExceeded: "gas-limit-exceeded",
+});
+
+/**
+ * Refunds Open orders once they expire, so users get their funds back without asking for it.
+ * Candidates come from the indexer's database; each one is simulated before it is submitted.
+ */
+class RefundKeeper {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").GatewayClient} options.gateway gateway client connected to the keeper's
+   *   signer, normally wrapped in an `ethers.NonceManager` so refunds can be sent back to back
+   * @param {import("../indexer").IndexerDatabase} options.db source of expired orders
+   * @param {import("../indexer").GatewayIndexer} [options.indexer] synced before every run if given
+   * @param {bigint} [options.maxGasLimit] orders whose refund is estimated above this are skipped
+   * @param {number} [options.gasLimitMargin=20] percent added to the gas estimate
+   * @param {object} [options.overrides] extra transaction overrides, e.g. `maxFeePerGas`
+   * @param {number} [options.maxRefundsPerRun=50]
+   * @param {number} [options.confirmations=1] confirmations awaited per refund
+   * @param {number} [options.pollInterval=60000] milliseconds between runs once started
+   * @param {(error: Error) => void} [options.onError] called with run failures while started
+   */
+  constructor({
+    gateway,
+    db,
+    indexer = null,
+    maxGasLimit = null,
+    gasLimitMargin = 20,
+    overrides = {},
+    maxRefundsPerRun = 50,
+    confirmations = 1,
+    pollInterval = 60000,
+    onError = (error) => console.error(error),
+  }) {
+    this.gateway = gateway;
+    this.db = db;
+    this.indexer = indexer;
+    this.maxGasLimit = maxGasLimit === null ? null : BigInt(maxGasLimit);
+    this.gasLimitMargin = BigInt(gasLimitMargin);
+    this.overrides = overrides;
+    this.maxRefundsPerRun = maxRefundsPerRun;
+    this.confirmations = confirmations;
+    this.pollInterval = pollInterval;
+    this.onError = onError;
+
+    this.stats = {
+      runs: 0,
+      refunded: 0,
+      // token address => amount refunded, in the token's base units
+      refundedAmounts: {},
+      failed: 0,
+      skipped: Object.fromEntries(Object.values(SkipReason).map((reason) => [reason, 0])),
+      lastRun: null,
+    };
+
+    // refunds submitted but not yet confirmed, so overlapping runs do not resend them
+    this._inFlight = new Set();
+    this._timer = null;
+    this._running = null;
+  }
+
+  /**
+   * Refunds every expired order that passes simulation, up to `maxRefundsPerRun`.
+   * @returns {Promise<{
+   *   refunded: Array<{orderId: string, refundee: string, token: string, amount: bigint, txHash: string}>,
+   *   skipped: Array<{orderId: string, reason: string, error?: string}>,
+   *   failed: Array<{orderId: string, error: string}>,
+   * }>}
+   */
+  run() {
+    // a run started while another one is in progress joins it
+    if (!this._running) {
+      this._running = this._run().finally(() => {
+        this._running = null;
+      });
+    }
+    return this._running;
+  }
+
+  async _run() {
+    if (this.indexer) await this.indexer.sync();
+
+    const result = { refunded: [], skipped: [], failed: [] };
+    const { timestamp } = await this.gateway.provider.getBlock("latest");
+
+    // `refund()` accepts orders whose expiration is at or before the block timestamp
+    const submitted = [];
+    for (const { orderId, token } of this._candidates(timestamp + 1)) {
+      if (submitted.length >= this.maxRefundsPerRun) break;
+
+      const tx = await this._submit(orderId, result);
+      if (tx) submitted.push({ orderId, token, tx });
+    }
+
+    for (const { orderId, token, tx } of submitted) {
+      await this._confirm(orderId, token, tx, result);
+    }
+
+    this.stats.runs++;
+    this.stats.refunded += result.refunded.length;
+    for (const { token, amount } of result.refunded) {
+      this.stats.refundedAmounts[token] = (this.stats.refundedAmounts[token] || 0n) + amount;
+    }
+    this.stats.failed += result.failed.length;
+    for (const { reason } of result.skipped) this.stats.skipped[reason]++;
+    this.stats.lastRun = new Date().toISOString();
+
+    return result;
+  }
+
+  /**
+   * Yields the IDs and tokens of indexed Open orders expiring before `timestamp`, soonest first.
+   */
+  *_candidates(timestamp) {
+    const pageSize = 100;
+    for (let offset = 0; ; offset += pageSize) {
+      const page = this.db.ordersExpiringBefore(timestamp, { limit: pageSize, offset });
+      for (const order of page) {
+        if (!this._inFlight.has(order.orderId)) yield order;
+      }
+      if (page.length < pageSize) return;
+    }
+  }
+
+  /**
+   * @returns {Promise<ethers.ContractTransactionResponse|null>} the refund transaction, or null if it was not sent
+   */
+  async _submit(orderId, result) {
+    let estimate;
+    try {
+      estimate = await this.gateway.estimateRefund(orderId);
+    } catch (error) {
+      // e.g. an RPC timeout; the order is retried next run, while the refunds already sent are still confirmed
+      if (!(error instanceof GatewayError)) {
+        result.failed.push({ orderId, error: error.message });
+        return null;
+      }
+
+      // typically an order the indexer has not yet seen closed, or a refundee the token refuses
+      result.skipped.push({ orderId, reason: SkipReason.SimulationReverted, error: error.message });
+      return null;
+    }
+
+    if (this.maxGasLimit !== null && estimate > this.maxGasLimit) {
+      result.skipped.push({ orderId, reason: SkipReason.GasLimitExceeded, error: `estimated ${estimate} gas` });
+      return null;
+    }
+
+    let gasLimit = estimate + (estimate * this.gasLimitMargin) / 100n;
+    if (this.maxGasLimit !== null && gasLimit > this.maxGasLimit) gasLimit = this.maxGasLimit;
+
+    try {
+      const tx = await this.gateway.refund(orderId, { overrides: { ...this.overrides, gasLimit } });
+      this._inFlight.add(orderId);
+      return tx;
+    } catch (error) {
+      // the nonce was not consumed, so later refunds must not skip over it
+      const runner = this.gateway.contract.runner;
+      if (runner instanceof ethers.NonceManager) runner.reset();
+
+      result.failed.push({ orderId, error: error.message });
+      return null;
+    }
+  }
+
+  async _confirm(orderId, token, tx, result) {
+    try {
+      const receipt = await tx.wait(this.confirmations);
+      const refund = receipt.logs
+        .map((log) => this.gateway.contract.interface.parseLog(log))
+        .find((event) => event && event.name === "Refund");
+
+      result.refunded.push({
+        orderId,
+        refundee: refund.args.refundee,
+        token,
+        amount: refund.args.amount,
+        txHash: receipt.hash,
+      });
+    } catch (error) {
+      result.failed.push({ orderId, error: error.message });
+    } finally {
+      this._inFlight.delete(orderId);
+    }
+  }
+
+  /**
+   * Runs now and then every `pollInterval` until stopped.
+   */
+  start() {
+    if (this._timer) return;
+
+    const poll = async () => {
+      try {
+        await this.run();
+      } catch (error) {
+        this.onError(error);
+      }
+      if (this._timer) this._timer = setTimeout(poll, this.pollInterval);
+    };
+    this._timer = setTimeout(poll, 0);
+  }
+
+  /**
+   * Stops polling and waits for a running refund round to finish.
+   */
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._running) await this._running.catch(() => {});
+  }
+}
+
+module.exports = {
+  SkipReason,
+  RefundKeeper,
+};
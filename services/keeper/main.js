@@ -0,0 +1,54 @@
+// Runs the refund keeper, which refunds Open orders once they expire.
+//
+//   KEEPER_RPC_URL            JSON-RPC endpoint of the gateway's chain
+//   KEEPER_GATEWAY            gateway address
+//   KEEPER_PRIVATE_KEY        key of the account paying for refunds
+//   KEEPER_START_BLOCK        first block to index, normally the gateway's deployment block (default: 0)
+//   KEEPER_DB                 path of the keeper's indexer database (default: keeper.sqlite)
+//   KEEPER_MAX_GAS_LIMIT      refunds estimated above this gas limit are skipped (default: none)
+//   KEEPER_MAX_FEE_PER_GAS    highest fee per gas in wei the keeper pays (default: network estimate)
+//   KEEPER_MAX_REFUNDS        refunds submitted per run (default: 50)
+//   KEEPER_POLL_INTERVAL      milliseconds between runs (default: 60000)
+//   KEEPER_PORT               HTTP port of the stats endpoint (default: 8647)
+
+require("dotenv/config");
+const { ethers } = require("ethers");
+const { GatewayClient } = require("../../sdk");
+const { IndexerDatabase, GatewayIndexer } = require("../indexer");
+const { RefundKeeper, createKeeperServer } = require(".");
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.KEEPER_RPC_URL);
+  const wallet = new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+  const signer = new ethers.NonceManager(wallet);
+
+  // the keeper indexes into its own database; sql.js databases cannot be shared between processes
+  const db = await IndexerDatabase.open(process.env.KEEPER_DB || "keeper.sqlite");
+  const indexer = new GatewayIndexer({
+    provider,
+    address: process.env.KEEPER_GATEWAY,
+    db,
+    startBlock: Number(process.env.KEEPER_START_BLOCK || 0),
+  });
+
+  const keeper = new RefundKeeper({
+    gateway: new GatewayClient(process.env.KEEPER_GATEWAY, signer),
+    db,
+    indexer,
+    maxGasLimit: process.env.KEEPER_MAX_GAS_LIMIT ? BigInt(process.env.KEEPER_MAX_GAS_LIMIT) : null,
+    overrides: process.env.KEEPER_MAX_FEE_PER_GAS ? { maxFeePerGas: BigInt(process.env.KEEPER_MAX_FEE_PER_GAS) } : {},
+    maxRefundsPerRun: Number(process.env.KEEPER_MAX_REFUNDS || 50),
+    pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || 60000),
+  });
+  keeper.start();
+
+  const port = Number(process.env.KEEPER_PORT || 8647);
+  createKeeperServer(keeper).listen(port, () => {
+    console.log(`Refund keeper ${wallet.address} listening on port ${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
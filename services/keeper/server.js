@@ -0,0 +1,21 @@
+const { createJsonServer } = require("../http");
+
+/**
+ * Exposes a `RefundKeeper`'s statistics over HTTP.
+ *
+ *  - `GET /stats` returns the totals of refunded, skipped and failed orders since startup, and the amount
+ *    refunded of each token
+ *
+ * @param {import("./keeper").RefundKeeper} keeper
+ * @param {object} [options] see `createJsonServer`
+ * @returns {import("http").Server}
+ */
+function createKeeperServer(keeper, options) {
+  return createJsonServer({
+    "GET /stats": async () => keeper.stats,
+  }, options);
+}
+
+module.exports = {
+  createKeeperServer,
+};
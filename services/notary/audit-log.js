@@ -0,0 +1,84 @@
+const fs = require("fs");
+
+/**
+ * Append-only JSON-lines log of every claim signature a notary key has produced. The log is
+ * replayed on startup so that a key never signs the same orderId twice, even across restarts,
+ * and so that a signature it did produce can be handed out again.
+ */
+class AuditLog {
+  /**
+   * @param {string} file path of the log; created if missing
+   */
+  constructor(file) {
+    this.file = file;
+    // key => the sign entry
+    this._signed = new Map();
+
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, "utf8").split("\n");
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // a torn final line is the only expected corruption; anything else needs a human
+          if (index === lines.length - 1) return;
+          throw new Error(`Corrupt audit log ${file} at line ${index + 1}`);
+        }
+
+        if (entry.action === "sign") this._signed.set(AuditLog.key(entry.notary, entry.orderId), entry);
+      });
+    }
+
+    this._fd = fs.openSync(file, "a");
+  }
+
+  static key(notary, orderId) {
+    return `${notary.toLowerCase()}:${orderId.toLowerCase()}`;
+  }
+
+  /**
+   * @param {string} notary
+   * @param {string} orderId
+   * @returns {boolean} true if `notary` already signed a claim for `orderId`
+   */
+  hasSigned(notary, orderId) {
+    return this._signed.has(AuditLog.key(notary, orderId));
+  }
+
+  /**
+   * @param {string} notary
+   * @param {string} orderId
+   * @returns {{signature: string, recipients?: string[], shares?: string[]}|undefined} the entry of the claim
+   *   `notary` signed for `orderId`, if any
+   */
+  signedClaim(notary, orderId) {
+    return this._signed.get(AuditLog.key(notary, orderId));
+  }
+
+  /**
+   * Durably appends an entry before returning.
+   * @param {object} entry
+   * @param {"sign"|"reject"} entry.action
+   */
+  append(entry) {
+    const logged = { time: new Date().toISOString(), ...entry };
+    fs.writeSync(this._fd, `${JSON.stringify(logged)}\n`);
+    fs.fsyncSync(this._fd);
+
+    if (entry.action === "sign") this._signed.set(AuditLog.key(entry.notary, entry.orderId), logged);
+  }
+
+  close() {
+    if (this._fd !== null) {
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+  }
+}
+
+module.exports = {
+  AuditLog,
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  ...require("./key-store"),
+  ...require("./audit-log"),
+  ...require("./service"),
+  ...require("./server"),
+};
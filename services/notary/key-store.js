@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Holds the notary keys this service signs with, indexed by address.
+ */
+class KeyStore {
+  /**
+   * @param {ethers.Wallet[]} wallets
+   */
+  constructor(wallets) {
+    this._wallets = new Map();
+    for (const wallet of wallets) {
+      this._wallets.set(wallet.address.toLowerCase(), wallet);
+    }
+  }
+
+  /**
+   * @param {string[]} privateKeys hex-encoded private keys
+   * @returns {KeyStore}
+   */
+  static fromPrivateKeys(privateKeys) {
+    return new KeyStore(privateKeys.map((key) => new ethers.Wallet(key)));
+  }
+
+  /**
+   * Loads every encrypted JSON keystore (`*.json`) in a directory.
+   * @param {string} dir
+   * @param {string} password shared by all keystores
+   * @returns {Promise<KeyStore>}
+   */
+  static async fromDirectory(dir, password) {
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort();
+
+    const wallets = [];
+    for (const file of files) {
+      const json = fs.readFileSync(path.join(dir, file), "utf8");
+      wallets.push(await ethers.Wallet.fromEncryptedJson(json, password));
+    }
+
+    return new KeyStore(wallets);
+  }
+
+  /**
+   * @returns {string[]} checksummed addresses of the loaded keys
+   */
+  addresses() {
+    return [...this._wallets.values()].map((wallet) => wallet.address);
+  }
+
+  /**
+   * @param {string} address
+   * @returns {boolean}
+   */
+  has(address) {
+    return this._wallets.has(address.toLowerCase());
+  }
+
+  /**
+   * @param {string} address
+   * @returns {ethers.Wallet|undefined}
+   */
+  get(address) {
+    return this._wallets.get(address.toLowerCase());
+  }
+}
+
+module.exports = {
+  KeyStore,
+};
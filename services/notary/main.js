@@ -0,0 +1,42 @@
+// Runs the notary claim-signing service.
+//
+//   NOTARY_RPC_URL             JSON-RPC endpoint of the gateway's chain
+//   NOTARY_GATEWAY             gateway address
+//   NOTARY_KEYSTORE_DIR        directory of encrypted JSON keystores
+//   NOTARY_KEYSTORE_PASSWORD   password of the keystores
+//   NOTARY_AUDIT_LOG           path of the append-only audit log (default: notary-audit.jsonl)
+//   NOTARY_EVIDENCE_VERIFIER   path of a module exporting `verifyEvidence(orderId, evidence, order, split)`,
+//                              which checks the order was delivered, to the recipients of a split
+//   NOTARY_API_TOKEN           bearer token clients send to `POST /claims`
+//   NOTARY_PORT                HTTP port (default: 8645)
+//
+// The service refuses to start without an evidence verifier or an API token.
+
+require("dotenv/config");
+const { ethers } = require("ethers");
+const { GatewayClient } = require("../../sdk");
+const { KeyStore, AuditLog, NotaryService, loadEvidenceVerifier, createNotaryServer } = require(".");
+
+async function main() {
+  const verifyEvidence = loadEvidenceVerifier(process.env.NOTARY_EVIDENCE_VERIFIER);
+  const apiToken = process.env.NOTARY_API_TOKEN;
+  if (!apiToken) throw new Error("NOTARY_API_TOKEN is required");
+
+  const provider = new ethers.JsonRpcProvider(process.env.NOTARY_RPC_URL);
+  const gateway = new GatewayClient(process.env.NOTARY_GATEWAY, provider);
+
+  const keyStore = await KeyStore.fromDirectory(process.env.NOTARY_KEYSTORE_DIR, process.env.NOTARY_KEYSTORE_PASSWORD || "");
+  const auditLog = new AuditLog(process.env.NOTARY_AUDIT_LOG || "notary-audit.jsonl");
+
+  const service = new NotaryService({ gateway, keyStore, auditLog, verifyEvidence });
+  const port = Number(process.env.NOTARY_PORT || 8645);
+
+  createNotaryServer(service, { apiToken }).listen(port, () => {
+    console.log(`Notary service for ${keyStore.addresses().join(", ")} listening on port ${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
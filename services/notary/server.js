@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const { createJsonServer, HttpError } = require("../http");
+
+/**
+ * Exposes a `NotaryService` over HTTP.
+ *
+ *  - `GET /notaries` lists the notary addresses held by the service
+ *  - `POST /claims` takes `{claims: [{orderId, evidence, recipients?, shares?}]}` and returns `{claims, rejected}`;
+ *    it needs an `Authorization: Bearer <apiToken>` header
+ *
+ * @param {import("./service").NotaryService} service
+ * @param {object} options see `createJsonServer`
+ * @param {string} options.apiToken bearer token of the clients allowed to request signatures
+ * @returns {import("http").Server}
+ */
+function createNotaryServer(service, { apiToken, ...options } = {}) {
+  if (!apiToken) throw new TypeError("the notary server needs an apiToken");
+  const expected = crypto.createHash("sha256").update(apiToken).digest();
+
+  // compares digests so that the comparison takes the same time for any token
+  const authenticate = (req) => {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+    const presented = crypto.createHash("sha256").update(match ? match[1] : "").digest();
+    if (!match || !crypto.timingSafeEqual(presented, expected)) throw new HttpError(401, "invalid or missing bearer token");
+  };
+
+  return createJsonServer({
+    "GET /notaries": async () => ({ notaries: service.keyStore.addresses() }),
+
+    "POST /claims": async (body, req) => {
+      authenticate(req);
+      if (!body || !Array.isArray(body.claims)) throw new HttpError(400, "expected {claims: [{orderId, evidence}]}");
+      return service.signClaims({ claims: body.claims });
+    },
+  }, options);
+}
+
+module.exports = {
+  createNotaryServer,
+};
@@ -0,0 +1,194 @@
+const path = require("path");
+const { ethers } = require("ethers");
+const { OrderStatus, checkClaimSplit, signClaim, sortNotaries } = require("../../sdk");
+
+/**
+ * Reasons a claim is not signed.
+ */
+const RejectReason = Object.freeze({
+  InvalidOrderId: "invalid-order-id",
+  OrderNotOpen: "order-not-open",
+  NotaryNotHeld: "notary-not-held",
+  AlreadySigned: "already-signed",
+  InvalidSplit: "invalid-split",
+  EvidenceRejected: "evidence-rejected",
+  // a check threw, e.g. on an RPC error; the claim can be retried
+  CheckFailed: "check-failed",
+});
+
+/**
+ * Default evidence check: only requires that some evidence was supplied, and refuses split claims, since it
+ * cannot tell whether the evidence names their recipients. Deployments are expected to pass a verifier that
+ * checks the order's outputs were actually delivered, by the recipients of a split.
+ * @returns {Promise<boolean>}
+ */
+async function requireEvidence(orderId, evidence, order, split) {
+  return !split && evidence !== undefined && evidence !== null && evidence !== "";
+}
+
+/**
+ * @returns {boolean} whether a logged sign entry was for `split`, or for no split if null
+ */
+function isSameSplit(entry, split) {
+  const recipients = (entry.recipients || []).map((recipient) => recipient.toLowerCase());
+  const shares = entry.shares || [];
+  return recipients.length === (split ? split.recipients.length : 0)
+    && recipients.every((recipient, index) => recipient === split.recipients[index].toLowerCase() && shares[index] === String(split.shares[index]));
+}
+
+/**
+ * Loads the evidence verifier of a deployment from a module exporting `verifyEvidence`, with the signature of
+ * `NotaryService`'s `options.verifyEvidence`.
+ * @param {string} modulePath resolved against the working directory
+ * @returns {(orderId: string, evidence: any, order: object, split: {recipients: string[], shares: bigint[]}|null) => Promise<boolean>}
+ * @throws {TypeError} if no module is given or it does not export `verifyEvidence`
+ */
+function loadEvidenceVerifier(modulePath) {
+  if (!modulePath) throw new TypeError("an evidence verifier module is required");
+
+  const { verifyEvidence } = require(path.resolve(modulePath));
+  if (typeof verifyEvidence !== "function") throw new TypeError(`${modulePath} does not export a verifyEvidence function`);
+  return verifyEvidence;
+}
+
+/**
+ * Produces notary signatures for `claim()` after checking each order on-chain, in the gateway's EIP-712 domain.
+ */
+class NotaryService {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").GatewayClient} options.gateway gateway client connected to a provider
+   * @param {import("./key-store").KeyStore} options.keyStore notary keys
+   * @param {import("./audit-log").AuditLog} options.auditLog append-only record of signed claims
+   * @param {(orderId: string, evidence: any, order: object, split: {recipients: string[], shares: bigint[]}|null) => Promise<boolean>} [options.verifyEvidence]
+   *   decides whether the evidence proves the order was satisfied, and by the recipients of a split claim
+   */
+  constructor({ gateway, keyStore, auditLog, verifyEvidence = requireEvidence }) {
+    this.gateway = gateway;
+    this.keyStore = keyStore;
+    this.auditLog = auditLog;
+    this.verifyEvidence = verifyEvidence;
+
+    // claims being processed, so concurrent requests cannot both sign the same order
+    this._pending = new Set();
+  }
+
+  /**
+   * Signs every claim in a request that passes the checks.
+   *
+   * For an order bound to a notary set, the service signs with each member key it holds and returns
+   * their signatures packed in member order; signatures from other services are combined with the
+   * SDK's `aggregateClaimSignatures` until the set's threshold is met.
+   *
+   * A claim with `recipients` and `shares` is signed as a split of the order between them, once its recipients
+   * are authorized claimers and the evidence verifier accepted the split. A key signs an order only once: a claim
+   * that passes the checks again gets the logged signature back, unless it asks for another split.
+   *
+   * A claim whose checks throw, e.g. on an RPC error, is rejected as `check-failed` without failing the others.
+   *
+   * @param {object} request
+   * @param {Array<{orderId: string, evidence: any, recipients?: string[], shares?: Array<bigint|number|string>}>} request.claims
+   * @returns {Promise<{claims: Array<{orderId: string, signature: string, recipients: string[], shares: bigint[]}>, rejected: Array<{orderId: string, reason: string}>}>}
+   *   `claims` can be passed as `BulkClaimParams.claims` as-is, unless a notary set needs signatures from elsewhere
+   */
+  async signClaims({ claims }) {
+    const signed = [];
+    const rejected = [];
+
+    for (const { orderId, evidence, recipients, shares } of claims) {
+      let reason;
+      let error;
+      try {
+        reason = await this._signClaim(orderId, evidence, { recipients, shares }, signed);
+      } catch (caught) {
+        reason = RejectReason.CheckFailed;
+        error = caught;
+      }
+      if (reason) {
+        rejected.push({ orderId, reason });
+        if (reason !== RejectReason.InvalidOrderId) {
+          this.auditLog.append({ action: "reject", orderId, reason, ...(error && { error: error.message }) });
+        }
+      }
+    }
+
+    return { claims: signed, rejected };
+  }
+
+  /**
+   * @returns {Promise<string|null>} the reject reason, or null once the signature was pushed to `signed`
+   */
+  async _signClaim(orderId, evidence, requestedSplit, signed) {
+    if (!ethers.isHexString(orderId, 32)) return RejectReason.InvalidOrderId;
+
+    let split = null;
+    try {
+      split = checkClaimSplit(requestedSplit);
+    } catch (error) {
+      return RejectReason.InvalidSplit;
+    }
+
+    // the order must be Open and bound to a notary, or notary set member, held by this service
+    const order = await this.gateway.getOrder(orderId);
+    if (order.status !== OrderStatus.Open) return RejectReason.OrderNotOpen;
+
+    let notaries = [order.notary];
+    if (order.notarySet !== ethers.ZeroHash) {
+      notaries = sortNotaries((await this.gateway.getNotarySet(order.notarySet)).members);
+    }
+
+    const wallets = notaries.map((notary) => this.keyStore.get(notary)).filter(Boolean);
+    if (wallets.length === 0) return RejectReason.NotaryNotHeld;
+
+    // the gateway only pays a split to authorized claimers
+    if (split) {
+      const authorized = await Promise.all(split.recipients.map((recipient) => this.gateway.contract.authorizedClaimers(recipient)));
+      if (authorized.includes(false)) return RejectReason.InvalidSplit;
+    }
+
+    // keys that signed the order already hand out their logged signature again, which only fits the same split
+    const logged = wallets.map((wallet) => this.auditLog.signedClaim(wallet.address, orderId));
+    if (logged.some((entry) => entry && !isSameSplit(entry, split))) return RejectReason.AlreadySigned;
+
+    const keys = wallets
+      .filter((wallet, index) => !logged[index])
+      .map((wallet) => `${wallet.address.toLowerCase()}:${orderId.toLowerCase()}`);
+    if (keys.some((key) => this._pending.has(key))) return RejectReason.AlreadySigned;
+
+    keys.forEach((key) => this._pending.add(key));
+    try {
+      if (!(await this.verifyEvidence(orderId, evidence, order, split))) return RejectReason.EvidenceRejected;
+
+      const signatures = [];
+      for (const [index, wallet] of wallets.entries()) {
+        if (logged[index]) {
+          signatures.push(logged[index].signature);
+          continue;
+        }
+
+        const signature = await signClaim(wallet, orderId, await this.gateway.domain(), split);
+
+        // record the signature before it can leave the service
+        this.auditLog.append({
+          action: "sign",
+          notary: wallet.address,
+          orderId,
+          signature,
+          ...(split && { recipients: split.recipients, shares: split.shares.map(String) }),
+        });
+        signatures.push(signature);
+      }
+      signed.push({ orderId, signature: ethers.concat(signatures), recipients: split ? split.recipients : [], shares: split ? split.shares : [] });
+      return null;
+    } finally {
+      keys.forEach((key) => this._pending.delete(key));
+    }
+  }
+}
+
+module.exports = {
+  RejectReason,
+  NotaryService,
+  requireEvidence,
+  loadEvidenceVerifier,
+};
@@ -0,0 +1,42 @@
+// Runs the gasless deposit relayer, which submits users' signed `deposit()` calls from hot wallets.
+//
+//   RELAYER_RPC_URL                   JSON-RPC endpoint of the gateway's chain
+//   RELAYER_GATEWAY                   gateway address
+//   RELAYER_PRIVATE_KEYS              comma-separated keys of the hot wallets paying for deposits
+//   RELAYER_MAX_FEE_PER_GAS           highest fee per gas in wei paid, bumps included (default: none)
+//   RELAYER_BUMP_INTERVAL             milliseconds before a pending deposit is resent with higher fees (default: 30000)
+//   RELAYER_MAX_DEPOSITS_PER_WINDOW   orders a signer may open per window, 0 for no limit (default: 5)
+//   RELAYER_RATE_WINDOW               milliseconds of the rate limit window (default: 3600000)
+//   RELAYER_PORT                      HTTP port (default: 8648)
+
+require("dotenv/config");
+const { ethers } = require("ethers");
+const { GatewayClient } = require("../../sdk");
+const { DepositRelayer, createRelayerServer } = require(".");
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RELAYER_RPC_URL);
+  const wallets = (process.env.RELAYER_PRIVATE_KEYS || "")
+    .split(",")
+    .filter((key) => key.trim())
+    .map((key) => new ethers.Wallet(key.trim(), provider));
+
+  const relayer = new DepositRelayer({
+    gateway: new GatewayClient(process.env.RELAYER_GATEWAY, provider),
+    wallets,
+    maxFeePerGas: process.env.RELAYER_MAX_FEE_PER_GAS ? BigInt(process.env.RELAYER_MAX_FEE_PER_GAS) : null,
+    bumpInterval: Number(process.env.RELAYER_BUMP_INTERVAL || 30000),
+    maxDepositsPerWindow: Number(process.env.RELAYER_MAX_DEPOSITS_PER_WINDOW ?? 5),
+    rateWindow: Number(process.env.RELAYER_RATE_WINDOW || 3600000),
+  });
+
+  const port = Number(process.env.RELAYER_PORT || 8648);
+  createRelayerServer(relayer).listen(port, () => {
+    console.log(`Deposit relayer for ${wallets.map((wallet) => wallet.address).join(", ")} listening on port ${port}`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,412 @@
+const { ethers } = require("ethers");
+const { GatewayError, decodeGatewayError, decodeReceiveAuthorization } = require("../../sdk");
+
+/**
+ * Reasons a deposit is refused before anything is sent.
+ */
+const RejectReason = Object.freeze({
+  InvalidParams: "invalid-params",
+  RateLimited: "rate-limited",
+  PreflightFailed: "preflight-failed",
+  SimulationReverted: "simulation-reverted",
+});
+
+/**
+ * A deposit the relayer refuses to submit; `reason` is a `RejectReason`, `cause` the underlying
+ * `GatewayError` for failed checks.
+ */
+class RelayRejectedError extends Error {
+  constructor(message, reason, { cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.reason = reason;
+  }
+}
+
+/**
+ * A deposit that was submitted but not mined, or that reverted on-chain. `txHash` is the last
+ * transaction sent for it, if any.
+ */
+class RelayFailedError extends Error {
+  constructor(message, { txHash = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.txHash = txHash;
+  }
+}
+
+// `DepositParams` fields that must be given, and the defaults of the optional ones
+const REQUIRED_FIELDS = [
+  "signer", "orderId", "notary", "approver", "orderApproval", "approvalExpiration", "duration",
+  "domainSepHash", "payloadHash", "typedDataSignature", "receiveAuthorization",
+];
+const OPTIONAL_FIELDS = {
+  token: ethers.ZeroAddress,
+  fee: 0n,
+  notarySet: ethers.ZeroHash,
+  minAmount: 0n,
+  maxAmount: 0n,
+};
+
+// geth and avalanchego refuse replacements that do not raise fees by at least 10%
+const MIN_BUMP_PERCENT = 10n;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Submits `deposit()` calls on behalf of users, who then only sign off-chain: the EIP-3009 receive
+ * authorization and the order's typed data already prove their intent. Each deposit is checked
+ * with the SDK's pre-flight and simulated with `eth_call`, then sent from the least busy wallet of
+ * a pool of hot wallets. Stuck transactions are replaced with higher fees until one is mined.
+ */
+class DepositRelayer {
+  /**
+   * @param {object} options
+   * @param {import("../../sdk").GatewayClient} options.gateway gateway client used for checks; its provider watches the transactions
+   * @param {ethers.Signer[]} options.wallets hot wallets paying for deposits, connected to the same chain
+   * @param {number} [options.maxDepositsPerWindow=5] orders a signer may open per `rateWindow`, counted
+   *   with `getSignerCount()` so deposits made elsewhere count too; 0 disables the limit
+   * @param {number} [options.rateWindow=3600000] milliseconds
+   * @param {number} [options.gasLimitMargin=20] percent added to the gas estimate
+   * @param {bigint} [options.maxFeePerGas] highest fee per gas in wei ever paid, bumps included
+   * @param {number} [options.bumpPercent=20] percent by which fees are raised per replacement, at least 10
+   * @param {number} [options.bumpInterval=30000] milliseconds a transaction may stay pending before it is replaced
+   * @param {number} [options.timeout=300000] milliseconds after which a deposit that is still not mined fails
+   * @param {number} [options.pollInterval=1000] milliseconds between receipt polls
+   * @param {number} [options.maxAttempts=3] wallets tried when sending fails, e.g. on a nonce race with another process
+   */
+  constructor({
+    gateway,
+    wallets,
+    maxDepositsPerWindow = 5,
+    rateWindow = 3600000,
+    gasLimitMargin = 20,
+    maxFeePerGas = null,
+    bumpPercent = 20,
+    bumpInterval = 30000,
+    timeout = 300000,
+    pollInterval = 1000,
+    maxAttempts = 3,
+  }) {
+    if (!wallets || wallets.length === 0) throw new TypeError("at least one wallet required");
+
+    this.gateway = gateway;
+    this.maxDepositsPerWindow = maxDepositsPerWindow;
+    this.rateWindow = rateWindow;
+    this.gasLimitMargin = BigInt(gasLimitMargin);
+    this.maxFeePerGas = maxFeePerGas === null ? null : BigInt(maxFeePerGas);
+    this.bumpPercent = BigInt(bumpPercent) < MIN_BUMP_PERCENT ? MIN_BUMP_PERCENT : BigInt(bumpPercent);
+    this.bumpInterval = bumpInterval;
+    this.timeout = timeout;
+    this.pollInterval = pollInterval;
+    this.maxAttempts = maxAttempts;
+
+    // `nonce` is the next nonce to use, null until read from the chain; sends are serialized per wallet through `lock`
+    this.wallets = wallets.map((signer) => ({ signer, address: null, nonce: null, pending: 0, lock: Promise.resolve() }));
+
+    this.stats = {
+      relayed: 0,
+      failed: 0,
+      rejected: Object.fromEntries(Object.values(RejectReason).map((reason) => [reason, 0])),
+      retries: 0,
+      bumps: 0,
+    };
+
+    // signer => {start, count}: the signer's order count when its current rate window started
+    this._windows = new Map();
+    // signer => deposits accepted but not yet mined
+    this._inFlight = new Map();
+  }
+
+  /**
+   * @returns {Promise<Array<{address: string, pending: number, balance: bigint}>>} the hot wallets,
+   *   their deposits awaiting confirmation and their native balances
+   */
+  async walletStates() {
+    return Promise.all(this.wallets.map(async (wallet) => {
+      const address = await this._address(wallet);
+      return { address, pending: wallet.pending, balance: await this.gateway.provider.getBalance(address) };
+    }));
+  }
+
+  /**
+   * Checks, submits and confirms a deposit.
+   * @param {object} params `DepositParams` signed for `deposit()`; numbers may be decimal strings
+   * @returns {Promise<{txHash: string, wallet: string, deposit: {signer: string, orderId: string, amount: bigint, duration: bigint}}>}
+   * @throws {RelayRejectedError} if the deposit is refused before anything is sent
+   * @throws {RelayFailedError} if the deposit was sent but not mined in time, or reverted
+   */
+  async relay(params) {
+    let release = null;
+    try {
+      params = this._normalize(params);
+      release = await this._reserve(params.signer);
+      await this._check(params);
+    } catch (error) {
+      if (release) release();
+      if (error instanceof RelayRejectedError) this.stats.rejected[error.reason]++;
+      throw error;
+    }
+
+    try {
+      const result = await this._submit(params);
+      this.stats.relayed++;
+      return result;
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * @returns {object} `params` with the optional fields defaulted
+   * @throws {RelayRejectedError} if a field is missing or not encodable
+   */
+  _normalize(params) {
+    if (!params || typeof params !== "object") {
+      throw new RelayRejectedError("expected DepositParams", RejectReason.InvalidParams);
+    }
+    const missing = REQUIRED_FIELDS.filter((field) => params[field] === undefined || params[field] === null);
+    if (missing.length > 0) {
+      throw new RelayRejectedError(`missing DepositParams fields: ${missing.join(", ")}`, RejectReason.InvalidParams);
+    }
+
+    const normalized = { ...OPTIONAL_FIELDS };
+    for (const field of [...REQUIRED_FIELDS, ...Object.keys(OPTIONAL_FIELDS)]) {
+      if (params[field] !== undefined && params[field] !== null) normalized[field] = params[field];
+    }
+    try {
+      this.gateway.contract.interface.encodeFunctionData("deposit", [normalized]);
+      decodeReceiveAuthorization(normalized.receiveAuthorization);
+    } catch (error) {
+      throw new RelayRejectedError(`malformed DepositParams: ${error.shortMessage || error.message}`, RejectReason.InvalidParams, { cause: error });
+    }
+    normalized.signer = ethers.getAddress(normalized.signer);
+    return normalized;
+  }
+
+  /**
+   * Counts a deposit against the signer's rate limit until the returned release function is called.
+   * @throws {RelayRejectedError} once the signer has opened `maxDepositsPerWindow` orders in the window
+   */
+  async _reserve(signer) {
+    const key = signer.toLowerCase();
+    const count = this.maxDepositsPerWindow > 0 ? await this.gateway.contract.getSignerCount(signer) : 0n;
+
+    // from here on nothing is awaited, so concurrent requests of one signer see each other's reservations
+    if (this.maxDepositsPerWindow > 0) {
+      const now = Date.now();
+      for (const [other, window] of this._windows) {
+        if (now - window.start >= this.rateWindow) this._windows.delete(other);
+      }
+
+      let window = this._windows.get(key);
+      if (!window) {
+        window = { start: now, count };
+        this._windows.set(key, window);
+      }
+      const used = Number(count - window.count) + (this._inFlight.get(key) || 0);
+      if (used >= this.maxDepositsPerWindow) {
+        const retryAfter = Math.ceil((window.start + this.rateWindow - now) / 1000);
+        throw new RelayRejectedError(
+          `signer ${signer} opened ${used} orders in the last ${this.rateWindow / 1000}s; retry in ${retryAfter}s`,
+          RejectReason.RateLimited
+        );
+      }
+    }
+
+    this._inFlight.set(key, (this._inFlight.get(key) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const left = this._inFlight.get(key) - 1;
+      if (left === 0) this._inFlight.delete(key);
+      else this._inFlight.set(key, left);
+    };
+  }
+
+  /**
+   * The gateway's V1-V8 checks off-chain, then an `eth_call` of the deposit itself, which also
+   * catches failing receive authorizations (E3).
+   */
+  async _check(params) {
+    try {
+      await this.gateway.preflight(params);
+    } catch (error) {
+      if (!(error instanceof GatewayError)) throw error;
+      throw new RelayRejectedError(error.message, RejectReason.PreflightFailed, { cause: error });
+    }
+
+    try {
+      await this.gateway.contract.deposit.staticCall(params);
+    } catch (error) {
+      const decoded = decodeGatewayError(error);
+      if (!(decoded instanceof GatewayError)) throw error;
+      throw new RelayRejectedError(decoded.message, RejectReason.SimulationReverted, { cause: decoded });
+    }
+  }
+
+  async _submit(params) {
+    const provider = this.gateway.provider;
+    const tx = {
+      to: await this.gateway.getAddress(),
+      data: this.gateway.contract.interface.encodeFunctionData("deposit", [params]),
+    };
+    const estimate = await provider.estimateGas(tx);
+    tx.gasLimit = estimate + (estimate * this.gasLimitMargin) / 100n;
+
+    let lastError = null;
+    const tried = new Set();
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const wallet = this._pickWallet(tried);
+      tried.add(wallet);
+      wallet.pending++;
+      try {
+        const fees = this._capFees(await provider.getFeeData());
+        const sent = await this._send(wallet, { ...tx, ...fees });
+        const receipt = await this._confirm(wallet, { ...tx, nonce: sent.nonce }, fees, sent.hash);
+        return this._result(wallet, receipt);
+      } catch (error) {
+        if (error instanceof RelayFailedError) throw error;
+
+        // nothing was sent, so another wallet can take the deposit
+        lastError = error;
+        if (attempt < this.maxAttempts) this.stats.retries++;
+      } finally {
+        wallet.pending--;
+      }
+    }
+    throw new RelayFailedError(`deposit not sent after ${this.maxAttempts} attempts: ${lastError.message}`, { cause: lastError });
+  }
+
+  /**
+   * @param {Set<object>} tried wallets that already failed to send this deposit, used again only once all did
+   * @returns the wallet with the fewest deposits awaiting confirmation, earlier wallets first
+   */
+  _pickWallet(tried) {
+    const untried = this.wallets.filter((wallet) => !tried.has(wallet));
+    return (untried.length > 0 ? untried : this.wallets).reduce((best, wallet) => (wallet.pending < best.pending ? wallet : best));
+  }
+
+  async _address(wallet) {
+    if (!wallet.address) wallet.address = await wallet.signer.getAddress();
+    return wallet.address;
+  }
+
+  /**
+   * Sends `tx` with the wallet's next nonce. Sends are serialized per wallet so that a failed send
+   * never leaves a gap before a later one.
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  _send(wallet, tx) {
+    const send = wallet.lock.then(async () => {
+      const address = await this._address(wallet);
+      const pendingNonce = await this.gateway.provider.getTransactionCount(address, "pending");
+      const nonce = wallet.nonce === null || wallet.nonce < pendingNonce ? pendingNonce : wallet.nonce;
+      try {
+        const response = await wallet.signer.sendTransaction({ ...tx, nonce });
+        wallet.nonce = nonce + 1;
+        return response;
+      } catch (error) {
+        // resync from the chain, which may have moved on without us
+        wallet.nonce = null;
+        throw error;
+      }
+    });
+    wallet.lock = send.catch(() => {});
+    return send;
+  }
+
+  /**
+   * Waits for any of the transactions sent with `tx.nonce` to be mined, replacing the latest one
+   * with higher fees every `bumpInterval`.
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async _confirm(wallet, tx, fees, hash) {
+    const provider = this.gateway.provider;
+    const hashes = [hash];
+    const deadline = Date.now() + this.timeout;
+    let bumpAt = Date.now() + this.bumpInterval;
+
+    for (;;) {
+      for (const sent of hashes) {
+        const receipt = await provider.getTransactionReceipt(sent);
+        if (!receipt) continue;
+        if (receipt.status !== 1) throw new RelayFailedError("deposit reverted", { txHash: receipt.hash });
+        return receipt;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new RelayFailedError(`deposit not mined within ${this.timeout}ms`, { txHash: hashes[hashes.length - 1] });
+      }
+
+      const bumped = Date.now() >= bumpAt ? this._bumpFees(fees) : null;
+      if (bumped) {
+        try {
+          const replacement = await wallet.signer.sendTransaction({ ...tx, ...bumped });
+          hashes.push(replacement.hash);
+          fees = bumped;
+          this.stats.bumps++;
+        } catch (error) {
+          // typically one of the sent transactions was mined meanwhile, which the next poll finds
+        }
+        bumpAt = Date.now() + this.bumpInterval;
+      }
+
+      await sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * @returns {{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}|{gasPrice: bigint}} the network's fees, capped at `maxFeePerGas`
+   */
+  _capFees(feeData) {
+    if (feeData.maxFeePerGas === null) return { gasPrice: this._capFee(feeData.gasPrice) };
+    return { maxFeePerGas: this._capFee(feeData.maxFeePerGas), maxPriorityFeePerGas: this._capFee(feeData.maxPriorityFeePerGas) };
+  }
+
+  _capFee(fee) {
+    return this.maxFeePerGas !== null && fee > this.maxFeePerGas ? this.maxFeePerGas : fee;
+  }
+
+  /**
+   * @returns {object|null} `fees` raised by `bumpPercent` within `maxFeePerGas`, or null once they cannot be raised
+   *   enough for the node to accept a replacement
+   */
+  _bumpFees(fees) {
+    const bumped = {};
+    for (const [field, fee] of Object.entries(fees)) {
+      const raised = this._capFee(fee + (fee * this.bumpPercent) / 100n);
+      if (raised < fee + (fee * MIN_BUMP_PERCENT) / 100n) return null;
+      bumped[field] = raised;
+    }
+    return bumped;
+  }
+
+  _result(wallet, receipt) {
+    const deposit = receipt.logs
+      .map((log) => this.gateway.contract.interface.parseLog(log))
+      .find((event) => event && event.name === "Deposit");
+
+    return {
+      txHash: receipt.hash,
+      wallet: wallet.address,
+      deposit: {
+        signer: deposit.args.signer,
+        orderId: deposit.args.orderId,
+        amount: deposit.args.amount,
+        duration: deposit.args.duration,
+      },
+    };
+  }
+}
+
+module.exports = {
+  RejectReason,
+  RelayRejectedError,
+  RelayFailedError,
+  DepositRelayer,
+};
@@ -0,0 +1,39 @@
+const { createJsonServer, HttpError } = require("../http");
+const { RejectReason, RelayRejectedError, RelayFailedError } = require("./relayer");
+
+/**
+ * Exposes a `DepositRelayer` over HTTP.
+ *
+ *  - `POST /deposits` takes `{params}`, signed `DepositParams` for `deposit()`, and returns
+ *    `{txHash, wallet, deposit}` once the deposit is mined; refused deposits return 400 (429 when
+ *    rate-limited) and deposits that were sent but failed return 502, both with `{error}`
+ *  - `GET /stats` returns the relayed, failed and rejected totals since startup and the hot wallets
+ *
+ * @param {import("./relayer").DepositRelayer} relayer
+ * @param {object} [options] see `createJsonServer`
+ * @returns {import("http").Server}
+ */
+function createRelayerServer(relayer, options) {
+  return createJsonServer({
+    "POST /deposits": async (body) => {
+      if (!body || !body.params) throw new HttpError(400, "expected {params: DepositParams}");
+      try {
+        return await relayer.relay(body.params);
+      } catch (error) {
+        if (error instanceof RelayRejectedError) {
+          throw new HttpError(error.reason === RejectReason.RateLimited ? 429 : 400, error.message);
+        }
+        if (error instanceof RelayFailedError) {
+          throw new HttpError(502, error.txHash ? `${error.message} (${error.txHash})` : error.message);
+        }
+        throw error;
+      }
+    },
+
+    "GET /stats": async () => ({ ...relayer.stats, wallets: await relayer.walletStates() }),
+  }, options);
+}
+
+module.exports = {
+  createRelayerServer,
+};
@@ -0,0 +1,195 @@
+import fs from 'fs';
+import { scope, types } from 'hardhat/config';
+import { HardhatRuntimeEnvironment } from 'hardhat/types';
+
+// the SDK is plain CommonJS without type declarations
+const { GatewayAdmin, formatPlan, toSafeBatch } = require('../sdk');
+
+// Owner operations on the gateway and depositor, e.g.
+//
+//   npx hardhat admin set-claims-cap --cap 100 --network snowtrace --dry-run
+//   npx hardhat admin add-approver --address 0x... --network snowtrace --unsigned approver.json
+//
+// Every operation prints the current state it changes, simulates the transaction from the account
+// that will send it, and then either sends it with the network's first account, stops (--dry-run),
+// or writes an unsigned Safe Transaction Builder batch (--unsigned <file|->) for a multisig owner.
+// Once the gateway's timelock delay is set, set-config, add-approver, add-claimer, set-claims-cap,
+// set-timelock-delay, set-legacy-signatures-until, set-guardian, set-refund-fee-policy and upgrade schedule the call
+// instead; see pending and execute-operation.
+
+type AdminArgs = {
+  gateway: string;
+  depositor: string;
+  dryRun: boolean;
+  unsigned: string;
+  from: string;
+  [key: string]: any;
+};
+
+const admin = scope('admin', 'Gateway and depositor owner operations');
+
+function adminTask(name: string, description: string) {
+  return admin.task(name, description)
+    .addOptionalParam('gateway', 'Gateway address', process.env.S0X_ADDR_GATEWAY || '')
+    .addOptionalParam('depositor', 'Depositor address', process.env.S0X_ADDR_DEPOSITOR || '')
+    .addFlag('dryRun', 'Simulate only; do not send')
+    .addOptionalParam('unsigned', 'Write an unsigned Safe transaction batch to this file ("-" for stdout) instead of sending', '')
+    .addOptionalParam('from', 'Account to simulate from (default: the account allowed to send the transaction)', '');
+}
+
+async function runPlan(k_args: AdminArgs, hre: HardhatRuntimeEnvironment, f_plan: (k_admin: any) => Promise<any>) {
+  if (!k_args.gateway) throw new Error('no gateway address; pass --gateway or set S0X_ADDR_GATEWAY');
+
+  const k_admin = new GatewayAdmin(k_args.gateway, hre.ethers.provider, { depositor: k_args.depositor || null });
+  const g_plan = await f_plan(k_admin);
+
+  const f_log = k_args.unsigned === '-' ? console.error : console.log;
+  f_log(formatPlan(g_plan));
+  if (!g_plan.changed) {
+    f_log('Nothing to change.');
+    return g_plan;
+  }
+
+  await k_admin.simulate(g_plan, k_args.from || g_plan.sender);
+  f_log(`Simulation from ${k_args.from || g_plan.sender} succeeded.`);
+
+  if (k_args.unsigned) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const s_batch = JSON.stringify(toSafeBatch([g_plan], { chainId }), null, 2);
+    if (k_args.unsigned === '-') console.log(s_batch);
+    else fs.writeFileSync(k_args.unsigned, s_batch);
+    return g_plan;
+  }
+
+  if (k_args.dryRun) return g_plan;
+
+  const [y_sender] = await hre.ethers.getSigners();
+  const y_tx = await k_admin.execute(g_plan, y_sender);
+  const y_receipt = await y_tx.wait();
+  f_log(`Sent ${y_tx.hash} (block ${y_receipt!.blockNumber}).`);
+  return g_plan;
+}
+
+admin.task('state', 'Prints the gateway owner, pending owner, config, claims cap, fee settings and pause state')
+  .addOptionalParam('gateway', 'Gateway address', process.env.S0X_ADDR_GATEWAY || '')
+  .setAction(async (k_args: { gateway: string }, hre) => {
+    if (!k_args.gateway) throw new Error('no gateway address; pass --gateway or set S0X_ADDR_GATEWAY');
+    const g_state = await new GatewayAdmin(k_args.gateway, hre.ethers.provider).state();
+    console.log(JSON.stringify(g_state, (s_key, w_value) => (typeof w_value === 'bigint' ? w_value.toString() : w_value), 2));
+    return g_state;
+  });
+
+adminTask('set-config', 'Updates minDuration, maxDuration and minDepositAmount; omitted values are kept')
+  .addOptionalParam('minDuration', 'Minimum order duration in seconds', undefined, types.bigint)
+  .addOptionalParam('maxDuration', 'Maximum order duration in seconds', undefined, types.bigint)
+  .addOptionalParam('minDepositAmount', 'Minimum deposit in token base units', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setConfig(k_args)));
+
+adminTask('add-approver', 'Authorizes an order approver')
+  .addParam('address', 'Approver address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.addApprover(k_args.address)));
+
+adminTask('remove-approver', 'Revokes an order approver')
+  .addParam('address', 'Approver address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.removeApprover(k_args.address)));
+
+adminTask('add-claimer', 'Authorizes a claim recipient')
+  .addParam('address', 'Claimer address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.addClaimer(k_args.address)));
+
+adminTask('remove-claimer', 'Revokes a claim recipient')
+  .addParam('address', 'Claimer address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.removeClaimer(k_args.address)));
+
+adminTask('set-deposit-token', 'Allowlists a deposit token other than USDC, or updates its minimum deposit')
+  .addParam('token', 'Token address')
+  .addParam('minDepositAmount', 'Minimum deposit in token base units', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setDepositToken(k_args.token, k_args.minDepositAmount)));
+
+adminTask('remove-deposit-token', 'Removes a deposit token from the allowlist')
+  .addParam('token', 'Token address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.removeDepositToken(k_args.token)));
+
+adminTask('set-fee-treasury', 'Sets the recipient of protocol fees')
+  .addParam('address', 'Treasury address')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setFeeTreasury(k_args.address)));
+
+adminTask('set-refund-fee-policy', 'Sets whether refunds return the order fee (FullRefund) or send it to the treasury (RetainFee)')
+  .addParam('policy', 'FullRefund or RetainFee')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setRefundFeePolicy(k_args.policy)));
+
+adminTask('set-claims-cap', 'Sets the maximum number of claims per claim() call')
+  .addParam('cap', 'New claims cap', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setClaimsCap(k_args.cap)));
+
+adminTask('set-guardian', 'Sets the account that can pause deposits and claims alongside the owner')
+  .addParam('address', 'Guardian address (the zero address for none)')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setGuardian(k_args.address)));
+
+adminTask('pause', 'Pauses deposits, claims or both; sent by the guardian. Refunds stay available')
+  .addParam('scope', 'Deposits, Claims or All')
+  .addParam('reason', 'Reason emitted with the Paused event')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.pause(k_args.scope, k_args.reason)));
+
+adminTask('unpause', 'Resumes deposits, claims or both')
+  .addParam('scope', 'Deposits, Claims or All')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.unpause(k_args.scope)));
+
+adminTask('set-claim-window-cap', 'Caps the USDC claimed per window; exceeding it pauses claims')
+  .addParam('window', 'Window length in seconds', undefined, types.bigint)
+  .addParam('cap', 'USDC per window in base units; 0 disables the breaker', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setClaimWindowCap(k_args.window, k_args.cap)));
+
+adminTask('set-timelock-delay', 'Sets the delay between scheduling and executing timelocked operations')
+  .addParam('delay', 'Delay in seconds', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setTimelockDelay(k_args.delay)));
+
+adminTask('set-legacy-signatures-until', 'Accepts legacy personal-sign approvals and claims alongside EIP-712 ones until a time')
+  .addParam('deadline', 'Unix time; 0 accepts EIP-712 signatures only', undefined, types.bigint)
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setLegacySignaturesUntil(k_args.deadline)));
+
+adminTask('upgrade', 'Upgrades an upgradeable gateway to a new implementation; check it with `npx hardhat storage-layout` first')
+  .addParam('implementation', 'New implementation address')
+  .addOptionalParam('data', 'Calldata to call the new implementation with, e.g. a reinitializer', '0x')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.upgradeToAndCall(k_args.implementation, k_args.data)));
+
+admin.task('pending', 'Lists scheduled operations and when they become executable')
+  .addOptionalParam('gateway', 'Gateway address', process.env.S0X_ADDR_GATEWAY || '')
+  .addOptionalParam('fromBlock', 'First block to search for scheduled operations', 0, types.int)
+  .setAction(async (k_args: { gateway: string; fromBlock: number }, hre) => {
+    if (!k_args.gateway) throw new Error('no gateway address; pass --gateway or set S0X_ADDR_GATEWAY');
+    const a_pending = await new GatewayAdmin(k_args.gateway, hre.ethers.provider).pendingOperations({ fromBlock: k_args.fromBlock });
+    if (!a_pending.length) console.log('No pending operations.');
+    for (const g_operation of a_pending) {
+      const s_when = new Date(Number(g_operation.readyAt) * 1000).toISOString();
+      console.log(`${g_operation.id} ${g_operation.method}(${g_operation.args.map(String).join(', ')}) ${g_operation.ready ? 'executable since' : 'executable from'} ${s_when}`);
+    }
+    return a_pending;
+  });
+
+adminTask('execute-operation', 'Executes a scheduled operation once its delay has passed')
+  .addParam('id', 'Operation ID')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.executeOperation(k_args.id)));
+
+adminTask('cancel-operation', 'Cancels a scheduled operation')
+  .addParam('id', 'Operation ID')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.cancelOperation(k_args.id)));
+
+adminTask('transfer-ownership', 'Starts the two-step gateway ownership transfer')
+  .addParam('newOwner', 'Address that must accept the ownership')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.transferOwnership(k_args.newOwner)));
+
+adminTask('accept-ownership', 'Completes the gateway ownership transfer; sent by the pending owner')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.acceptOwnership()));
+
+adminTask('sweep', 'Sweeps the depositor\'s token balance to its owner')
+  .addOptionalParam('token', 'Token to sweep (default: the depositor\'s USDC)', '')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.sweep(k_args.token || undefined)));
+
+adminTask('set-bridges', 'Sets the CCTP and Axelar contracts the depositor trusts to deliver bridged deposits')
+  .addOptionalParam('cctpMessageTransmitter', 'CCTP MessageTransmitter (default: none, disabling CCTP deliveries)', '')
+  .addOptionalParam('axelarGateway', 'Axelar gateway (default: none, disabling Axelar deliveries)', '')
+  .setAction((k_args: AdminArgs, hre) => runPlan(k_args, hre, (k_admin) => k_admin.setBridges({
+    cctpMessageTransmitter: k_args.cctpMessageTransmitter || undefined,
+    axelarGateway: k_args.axelarGateway || undefined,
+  })));
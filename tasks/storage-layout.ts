@@ -0,0 +1,41 @@
+import { task } from 'hardhat/config';
+import {
+  readStorageLayout,
+  loadStorageLayouts,
+  saveStorageLayout,
+  compareStorageLayouts,
+} from '../scripts/storage-layout';
+
+// Storage layout checks of the upgradeable gateway, e.g.
+//
+//   npx hardhat storage-layout
+//   npx hardhat storage-layout --save v2
+//
+// Checks the compiled layout against every layout saved in storage-layouts/<contract>/ and fails on any
+// incompatibility. --save records the compiled layout once it passes; save one for every implementation deployed.
+// The tests fail while the latest saved layout differs from the compiled one.
+
+task('storage-layout', 'Checks the storage layout of an upgradeable contract against its saved layouts')
+  .addOptionalParam('contract', 'Contract name', 'SilentSwapV2GatewayUpgradeable')
+  .addOptionalParam('save', 'Save the compiled layout under this name, e.g. v2', '')
+  .setAction(async (k_args: { contract: string; save: string }, hre) => {
+    await hre.run('compile', { quiet: true });
+    const g_layout = await readStorageLayout(hre, k_args.contract);
+
+    let b_failed = false;
+    for (const { name: s_name, layout: g_saved } of loadStorageLayouts(k_args.contract)) {
+      const a_errors = compareStorageLayouts(g_saved, g_layout);
+      if (!a_errors.length) {
+        console.log(`${s_name}: compatible`);
+        continue;
+      }
+      b_failed = true;
+      console.error(`${s_name}: incompatible\n  ${a_errors.join('\n  ')}`);
+    }
+    if (b_failed) throw new Error(`${k_args.contract} cannot be upgraded from every saved layout`);
+
+    if (k_args.save) {
+      console.log(`Layout saved to ${saveStorageLayout(k_args.contract, k_args.save, g_layout)}`);
+    }
+    return g_layout;
+  });
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const { GatewayAdmin } = require("../sdk");
+
+const {
+  loadParameters,
+  deploySilentSwap,
+  authorizeApprovers,
+  configureFeeTreasury,
+  configureBridges,
+  configureTimelockDelay,
+  checkDeployment,
+  writeManifest,
+} = require("../scripts/deployment");
+
+describe("Deployment", function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("has parameters for every live network with the right USDC", function () {
+    expect(loadParameters("snowtrace").SilentSwapModule.usdc).to.equal("0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E");
+    expect(loadParameters("fuji").SilentSwapModule.usdc).to.equal("0x5425890298aed601595a70AB815c96711a31Bc65");
+    expect(loadParameters("bsc").SilentSwapModule.usdc).to.equal("0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d");
+    expect(loadParameters("snowtrace").SilentSwapModule.minDepositAmount).to.equal(1000000n);
+  });
+
+  it("deploys through Ignition, authorizes approvers, checks and records the deployment", async function () {
+    const [owner, claimer, approver] = await ethers.getSigners();
+    const token = await ethers.deployContract("TestERC20", ["USD Coin", "USDC"]);
+
+    const params = {
+      SilentSwapModule: {
+        usdc: await token.getAddress(),
+        minDuration: 3600n,
+        maxDuration: 604800n,
+        minDepositAmount: 1000000n,
+        claimer: claimer.address,
+      },
+      approvers: [approver.address],
+      feeTreasury: claimer.address,
+      timelockDelay: 86400n,
+      bridges: { cctpMessageTransmitter: approver.address },
+    };
+
+    const contracts = await deploySilentSwap(hre, params);
+    expect(await contracts.gateway.owner()).to.equal(owner.address);
+
+    expect(await authorizeApprovers(hre, contracts.gateway, params.approvers)).to.deep.equal([approver.address]);
+    expect(await authorizeApprovers(hre, contracts.gateway, params.approvers)).to.deep.equal([]);
+    expect(await configureFeeTreasury(hre, contracts.gateway, params.feeTreasury)).to.equal(true);
+    expect(await configureFeeTreasury(hre, contracts.gateway, params.feeTreasury)).to.equal(false);
+    expect(await configureBridges(hre, contracts, params.bridges)).to.equal(true);
+    expect(await configureBridges(hre, contracts, params.bridges)).to.equal(false);
+    expect(await configureTimelockDelay(hre, contracts.gateway, params.timelockDelay)).to.equal(true);
+    expect(await configureTimelockDelay(hre, contracts.gateway, params.timelockDelay)).to.equal(false);
+    await expect(configureTimelockDelay(hre, contracts.gateway, 3600n)).to.be.rejectedWith(/timelock is already active/);
+    await expect(authorizeApprovers(hre, contracts.gateway, [owner.address])).to.be.rejectedWith(/timelock is active/);
+    await checkDeployment(contracts.gateway, contracts.depositor, params);
+
+    const manifest = JSON.parse(fs.readFileSync(await writeManifest(hre, contracts, params, dir), "utf8"));
+    expect(manifest.network).to.equal(hre.network.name);
+    expect(manifest.contracts.SilentSwapV2Gateway.address).to.equal(await contracts.gateway.getAddress());
+    expect(manifest.feeTreasury).to.equal(claimer.address);
+    expect(manifest.timelockDelay).to.equal("86400");
+    expect(manifest.bridges).to.deep.equal({ cctpMessageTransmitter: approver.address, axelarGateway: ethers.ZeroAddress });
+    expect(manifest.contracts.SilentSwapDepositor.constructorArguments).to.deep.equal([
+      await contracts.gateway.getAddress(),
+      await token.getAddress(),
+    ]);
+
+    // the check reports every field that differs from the parameters
+    const other = { ...params, SilentSwapModule: { ...params.SilentSwapModule, maxDuration: 86400n }, approvers: [owner.address] };
+    await expect(checkDeployment(contracts.gateway, contracts.depositor, other))
+      .to.be.rejectedWith(/maxDuration: expected 86400, got 604800[\s\S]*authorizedApprovers/);
+  });
+
+  it("deploys an upgradeable gateway behind its proxy and records both", async function () {
+    const [owner, claimer, approver] = await ethers.getSigners();
+    const token = await ethers.deployContract("TestERC20", ["USD Coin", "USDC"]);
+
+    const params = {
+      SilentSwapModule: {
+        usdc: await token.getAddress(),
+        minDuration: 3600n,
+        maxDuration: 604800n,
+        minDepositAmount: 1000000n,
+        claimer: claimer.address,
+      },
+      upgradeable: true,
+      approvers: [approver.address],
+    };
+
+    const contracts = await deploySilentSwap(hre, params);
+    const gateway = await contracts.gateway.getAddress();
+    expect(await contracts.gateway.owner()).to.equal(owner.address);
+    expect(await new GatewayAdmin(gateway, ethers.provider).implementation()).to.equal(contracts.implementation);
+    expect(await authorizeApprovers(hre, contracts.gateway, params.approvers)).to.deep.equal([approver.address]);
+    await checkDeployment(contracts.gateway, contracts.depositor, params);
+
+    const manifest = JSON.parse(fs.readFileSync(await writeManifest(hre, contracts, params, dir), "utf8"));
+    expect(manifest.upgradeable).to.equal(true);
+    expect(Object.keys(manifest.contracts)).to.deep.equal(["SilentSwapV2GatewayUpgradeable", "SilentSwapV2GatewayProxy", "SilentSwapDepositor"]);
+    expect(manifest.contracts.SilentSwapV2GatewayUpgradeable).to.deep.equal({
+      address: contracts.implementation,
+      constructorArguments: [await token.getAddress()],
+    });
+    expect(manifest.contracts.SilentSwapV2GatewayProxy.address).to.equal(gateway);
+    expect(manifest.contracts.SilentSwapDepositor.constructorArguments[0]).to.equal(gateway);
+
+    // the proxy was initialized for the deployer
+    const [implementation, data] = manifest.contracts.SilentSwapV2GatewayProxy.constructorArguments;
+    expect(implementation).to.equal(contracts.implementation);
+    const initialize = contracts.gateway.interface.decodeFunctionData("initialize", data);
+    expect(initialize.map(String)).to.deep.equal(["3600,604800,1000000", claimer.address, owner.address]);
+  });
+});
@@ -1,60 +1,41 @@
 const {
   time,
   loadFixture,
-  mine,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
-const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
-const { ethers, network, utils, AbiCoder } = require("hardhat");
+const { ethers } = require("hardhat");
 
-const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const {
+  signReceiveAuthorization,
+  tokenDomain,
+  signPermit,
+  signPermit2Deposit,
+  permit2Domain,
+  PERMIT2_ADDRESS,
+  sortNotaries,
+  notarySetId,
+  signClaim,
+  signExtension,
+  signCancellation,
+  aggregateNotarySignatures,
+  extensionDigest,
+  signOrderApproval,
+  gatewayDomain,
+} = require("../sdk");
+const {
+  deployGatewayFixture,
+  signDepositParams,
+  openOrder,
+  signClaims,
+  smartAccountFactory,
+  installPermit2,
+} = require("./helpers");
 
-// Address of the USDC token contract on Avalanche C-Chain
-// This is the official USDC contract address that we'll interact with
-const USDC_ADDRESS = "0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E";
+const OrderStatus = { None: 0n, Open: 1n, Completed: 2n, Aborted: 3n };
+const RefundFeePolicy = { FullRefund: 0n, RetainFee: 1n };
+const PauseScope = { Deposits: 0n, Claims: 1n, All: 2n };
 
 describe("SilentSwapV2Gateway", function () {
-  // We define a fixture to reuse the same setup in every test.
-  // We use loadFixture to run this setup once, snapshot that state,
-  // and reset Hardhat Network to that snapshot in every test.
-  async function deployGatewayFixture() {
-    //avoid hardhat network to fork from the current block
-    await mine();
-
-    // Get signers for testing
-    const [owner, otherAccount, notary, approver, refundee, signer] =
-      await ethers.getSigners();
-
-    const USDC = await ethers.getContractAt(
-      "@openzeppelin/contracts/token/ERC20/ERC20.sol:ERC20",
-      USDC_ADDRESS
-    );
-    console.log("USDC decimals:", await USDC.decimals());
-
-    // Define config parameters
-    const config = {
-      minDuration: 3600, // 1 hour in seconds
-      maxDuration: 86400, // 24 hours in seconds
-      minDepositAmount: ethers.parseUnits("1", 6), // 1 USDC (6 decimals)
-    };
-
-    // Deploy the SilentSwapV2Gateway contract
-    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
-    const gateway = await Gateway.deploy(USDC_ADDRESS, config);
-
-    return {
-      gateway,
-      USDC,
-      owner,
-      notary,
-      signer,
-      approver,
-      refundee,
-      config,
-      otherAccount,
-    };
-  }
-
   describe("Deployment", function () {
     it("Should deploy successfully", async function () {
       const { gateway } = await loadFixture(deployGatewayFixture);
@@ -62,15 +43,15 @@ describe("SilentSwapV2Gateway", function () {
     });
 
     it("Should set the correct USDC address", async function () {
-      const { gateway } = await loadFixture(deployGatewayFixture);
-      expect(await gateway.usdc()).to.equal(USDC_ADDRESS);
+      const { gateway, usdc } = await loadFixture(deployGatewayFixture);
+      expect(await gateway.usdc()).to.equal(await usdc.getAddress());
     });
 
     it("Should be a valid USDC contract", async function () {
-      const { USDC } = await loadFixture(deployGatewayFixture);
-      const decimals = await USDC.decimals();
-      const symbol = await USDC.symbol();
-      const name = await USDC.name();
+      const { usdc } = await loadFixture(deployGatewayFixture);
+      const decimals = await usdc.decimals();
+      const symbol = await usdc.symbol();
+      const name = await usdc.name();
       expect(decimals).to.equal(6); // USDC uses 6 decimals
       expect(symbol).to.equal("USDC");
       expect(name).to.equal("USD Coin");
@@ -83,184 +64,1193 @@ describe("SilentSwapV2Gateway", function () {
       expect(deployedConfig.maxDuration).to.equal(config.maxDuration);
       expect(deployedConfig.minDepositAmount).to.equal(config.minDepositAmount);
     });
+
+    it("Should authorize the initial claimer", async function () {
+      const { gateway, claimer } = await loadFixture(deployGatewayFixture);
+      expect(await gateway.authorizedClaimers(claimer.address)).to.be.true;
+    });
   });
 
   describe("Deposit", function () {
     it("should deposit successfully with valid parameters", async function () {
-      const { gateway, usdcMock, owner, signer, notary, approver, refundee } =
-        await loadFixture(deployGatewayFixture);
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, notary, config } = fixture;
 
-      const orderId = ethers.encodeBytes32String("1");
+      const { params, amount } = await signDepositParams(fixture, { label: "1" });
+      await usdc.mint(signer.address, amount);
 
-      const domainSeparatorHash = ethers.keccak256(
-        ethers.toUtf8Bytes("Domain Separator")
-      );
-      const payloadHash = ethers.keccak256(ethers.toUtf8Bytes("Payload Hash"));
-
-      const approvalExpiration =
-        (await ethers.provider.getBlock("latest")).timestamp + 3600; // 1 hour
-      const duration = 3600; // 1 hour duration
-      const depositAmount = ethers.parseUnits("500", 6); // 500 USDC
-
-      // Simulate approval signature (ECDSA)
-      const approvalMessageHash = ethers.keccak256(
-        abiCoder.encode(
-          ["bytes32", "address", "uint256"],
-          [orderId, notary.address, approvalExpiration]
-        )
-      );
-      const orderApprovalSignature = await approver.signMessage(
-        ethers.toUtf8Bytes(approvalMessageHash)
-      );
+      // anyone may submit the signed deposit
+      await expect(gateway.deposit(params))
+        .to.emit(gateway, "Deposit")
+        .withArgs(signer.address, params.orderId, amount, config.minDuration);
 
-      // Simulate EIP712 typed data signature
-      // Define EIP712 types
-      const types = {
-        "Order": [
-          { "name": "quoteId", "type": "string" },
-          { "name": "quote", "type": "Quote" }
-        ],
-        "Quote": [
-            { "name": "signer", "type": "address" },
-            { "name": "nonce", "type": "uint256" },
-            { "name": "privacy", "type": "string" },
-            { "name": "deposit", "type": "uint256" },
-            { "name": "fee", "type": "uint256" },
-            { "name": "outputs", "type": "Output[]" },
-            { "name": "metadata", "type": "Metadata" }
-        ],
-        "Output": [
-            { "name": "method", "type": "string" },
-            { "name": "chain", "type": "string" },
-            { "name": "token", "type": "string" },
-            { "name": "facilitatorPublicKeys", "type": "Facilitator" },
-            { "name": "recipient", "type": "string" },
-            { "name": "value", "type": "uint256" },
-            { "name": "extra", "type": "string" }
-        ],
-        "Facilitator": [
-            { "name": "coinType", "type": "uint256" },
-            { "name": "keyType", "type": "string" },
-            { "name": "publicKeyBytes", "type": "string" },
-        ],
-        "Metadata": [
-            { "name": "notaryContract", "type": "NotaryContract" }
-        ],
-        "NotaryContract": [
-            { "name": "chainId", "type": "string" },
-            { "name": "contractAddress", "type": "string" },
-            { "name": "signerAddress", "type": "address" }
-        ]
-      };
+      expect(await usdc.balanceOf(await gateway.getAddress())).to.equal(amount);
+      expect(await usdc.balanceOf(signer.address)).to.equal(0n);
 
-      // Define domain data
-      const domain = {
-        name: "SilentSwap",
-        version: "1",
-        chainId: 43114,
-      };
+      const order = await gateway.orders(params.orderId);
+      expect(order.status).to.equal(OrderStatus.Open);
+      expect(order.amount).to.equal(amount);
+      expect(order.notary).to.equal(notary.address);
+      expect(order.refundee).to.equal(signer.address);
+      expect(order.expiration).to.equal(BigInt(await time.latest()) + BigInt(config.minDuration));
+      expect(await gateway.payloads(params.payloadHash)).to.equal(params.orderId);
+      expect(await gateway.getSignerCount(signer.address)).to.equal(1n);
+    });
+
+    it("should reject a receive authorization signed by someone else", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, otherAccount } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture);
+      await usdc.mint(signer.address, amount);
+
+      // same fields, signed by the wrong key
+      const forged = await signReceiveAuthorization(otherAccount, await tokenDomain(usdc), {
+        to: await gateway.getAddress(),
+        value: amount,
+        validBefore: params.approvalExpiration,
+      });
+      const tampered = ethers.concat([
+        ethers.zeroPadValue(signer.address, 32),
+        ethers.dataSlice(forged, 32),
+      ]);
+
+      await expect(gateway.deposit({ ...params, receiveAuthorization: tampered }))
+        .to.be.revertedWith("Gateway: receive authorization failed()");
+    });
+
+    it("should not accept the same receive authorization twice", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { label: "first" });
+      await usdc.mint(signer.address, amount * 2n);
+      await gateway.deposit(params);
+
+      const { params: second } = await signDepositParams(fixture, { label: "second" });
+      await expect(gateway.deposit({ ...second, receiveAuthorization: params.receiveAuthorization }))
+        .to.be.revertedWith("Gateway: receive authorization failed()");
+    });
+
+    it("should validate the receive authorization fields", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, otherAccount } = fixture;
+
+      const { params: toOther } = await signDepositParams(fixture, { to: otherAccount.address });
+      await expect(gateway.deposit(toOther)).to.be.revertedWith("Gateway: receive authorization not to contract");
+
+      const { params: small } = await signDepositParams(fixture, { amount: ethers.parseUnits("0.5", 6) });
+      await expect(gateway.deposit(small))
+        .to.be.revertedWith("Gateway: receive authorization amount too low; minimum is 1000000");
+    });
+
+    it("should reject approvals and payloads that do not verify", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, otherAccount } = fixture;
+
+      const { params } = await signDepositParams(fixture);
+
+      await expect(gateway.deposit({ ...params, notary: otherAccount.address }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+
+      await expect(gateway.deposit({ ...params, approver: otherAccount.address }))
+        .to.be.revertedWith("Gateway: approver not authorized");
+
+      const { params: other } = await signDepositParams(fixture, { label: "other" });
+      await expect(gateway.deposit({ ...params, typedDataSignature: other.typedDataSignature }))
+        .to.be.revertedWith("Gateway: invalid typed data signature");
+
+      await time.increaseTo(params.approvalExpiration);
+      await expect(gateway.deposit(params)).to.be.revertedWith("Gateway: approval expired");
+    });
+  });
+
+  describe("Deposit Proxy", function () {
+    it("should pull the amount from the caller", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, otherAccount, config } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      await usdc.mint(otherAccount.address, amount);
+      await usdc.connect(otherAccount).approve(await gateway.getAddress(), amount);
+
+      await expect(gateway.connect(otherAccount).depositProxy(params, amount))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(signer.address, params.orderId, amount, config.minDuration);
+
+      expect(await usdc.balanceOf(await gateway.getAddress())).to.equal(amount);
+      expect((await gateway.orders(params.orderId)).refundee).to.equal(signer.address);
+    });
+
+    it("should reject a reused order or payload", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, owner } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      await usdc.approve(await gateway.getAddress(), amount * 2n);
+      await gateway.depositProxy(params, amount);
+
+      await expect(gateway.depositProxy(params, amount)).to.be.revertedWith("Gateway: order already exists");
+
+      const { params: other } = await signDepositParams(fixture, { label: "other", method: "depositProxy" });
+      await expect(gateway.depositProxy({ ...other, payloadHash: params.payloadHash }, amount))
+        .to.be.revertedWith("Gateway: payload already used");
+      expect(await usdc.balanceOf(owner.address)).to.equal(ethers.parseUnits("1000000", 6) - amount);
+    });
+  });
+
+  describe("Claim", function () {
+    it("should pay the recipient for notary-signed open orders", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, claimer, notary } = fixture;
+
+      const first = await openOrder(fixture, { label: "first" });
+      const second = await openOrder(fixture, { label: "second" });
+      const claims = await signClaims(notary, [first.orderId, second.orderId], fixture.domain);
+
+      await expect(gateway.claim({ claims, recipient: claimer.address }))
+        .to.emit(gateway, "Claim")
+        .withArgs(first.orderId, claimer.address, first.amount)
+        .and.to.emit(gateway, "Claim")
+        .withArgs(second.orderId, claimer.address, second.amount);
+
+      expect(await usdc.balanceOf(claimer.address)).to.equal(first.amount + second.amount);
+      expect((await gateway.orders(first.orderId)).status).to.equal(OrderStatus.Completed);
+    });
+
+    it("should reject the whole batch on a bad entry", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, claimer, notary, otherAccount } = fixture;
+
+      const { orderId } = await openOrder(fixture);
+      const [claim] = await signClaims(notary, [orderId], fixture.domain);
+
+      await expect(gateway.claim({ claims: [claim], recipient: otherAccount.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedUnauthorized");
+
+      const [forged] = await signClaims(otherAccount, [orderId], fixture.domain);
+      await expect(gateway.claim({ claims: [forged], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+
+      await expect(gateway.claim({ claims: [claim, claim], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedOrderNotOpen")
+        .withArgs(1, OrderStatus.Completed);
+
+      await gateway.setClaimsCap(1);
+      await expect(gateway.claim({ claims: [claim, claim], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedExcessiveClaimAttempts");
+    });
+
+    it("should split orders between the recipients their notary signed for", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, claimer, notary, domain } = fixture;
+      const [solver, facilitator] = (await ethers.getSigners()).slice(6, 8);
+
+      const whole = await openOrder(fixture, { label: "whole" });
+      const shared = await openOrder(fixture, { label: "shared" });
+      const solved = await openOrder(fixture, { label: "solved" });
+      const split = { recipients: [solver.address, facilitator.address], shares: [7001, 2999] };
+      const [wholeClaim] = await signClaims(notary, [whole.orderId], domain);
+      const sharedClaim = { orderId: shared.orderId, signature: await signClaim(notary, shared.orderId, domain, split), ...split };
+      const solvedSplit = { recipients: [solver.address], shares: [10000] };
+      const solvedClaim = { orderId: solved.orderId, signature: await signClaim(notary, solved.orderId, domain, solvedSplit), ...solvedSplit };
+
+      // every split recipient must be an authorized claimer
+      await expect(gateway.claim({ claims: [sharedClaim], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSplit")
+        .withArgs(0);
+      await gateway.addClaimer(solver.address);
+      await gateway.addClaimer(facilitator.address);
+
+      // the split is part of the signed message
+      await expect(gateway.claim({ claims: [{ ...sharedClaim, shares: [2999, 7001] }], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+      await expect(gateway.claim({ claims: [{ ...sharedClaim, recipients: [solver.address, claimer.address] }], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+      await expect(gateway.claim({ claims: [{ ...sharedClaim, signature: wholeClaim.signature }], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+      await expect(gateway.claim({ claims: [wholeClaim, { ...sharedClaim, shares: [7001, 2998] }], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSplit")
+        .withArgs(1);
+      await expect(gateway.claim({ claims: [{ ...sharedClaim, shares: [10000] }], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSplit")
+        .withArgs(0);
+
+      // the last recipient takes the rounding remainder
+      const solverShare = (shared.amount * 7001n) / 10000n;
+      const tx = gateway.claim({ claims: [wholeClaim, sharedClaim, solvedClaim], recipient: claimer.address });
+      await expect(tx)
+        .to.emit(gateway, "Claim")
+        .withArgs(whole.orderId, claimer.address, whole.amount)
+        .and.to.emit(gateway, "Claim")
+        .withArgs(shared.orderId, solver.address, solverShare)
+        .and.to.emit(gateway, "Claim")
+        .withArgs(shared.orderId, facilitator.address, shared.amount - solverShare)
+        .and.to.emit(gateway, "Claim")
+        .withArgs(solved.orderId, solver.address, solved.amount);
+
+      expect(await usdc.balanceOf(claimer.address)).to.equal(whole.amount);
+      expect(await usdc.balanceOf(solver.address)).to.equal(solverShare + solved.amount);
+      expect(await usdc.balanceOf(facilitator.address)).to.equal(shared.amount - solverShare);
+
+      // one transfer per recipient, the solver's two payouts merged
+      const receipt = await (await tx).wait();
+      const transfers = receipt.logs.filter((log) => log.address === usdc.target).map((log) => usdc.interface.parseLog(log).args.to);
+      expect(transfers).to.deep.equal([claimer.address, solver.address, facilitator.address]);
+    });
+  });
+
+  describe("Refund", function () {
+    it("should return funds to the refundee once expired", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, otherAccount } = fixture;
+
+      const { orderId, amount } = await openOrder(fixture);
+      const { expiration } = await gateway.orders(orderId);
+
+      // the gateway's "not expired" revert reason is not a well-formed string
+      await expect(gateway.connect(otherAccount).refund(orderId)).to.be.rejected;
+
+      await time.increaseTo(expiration);
+      await expect(gateway.connect(otherAccount).refund(orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(orderId, signer.address, amount);
+
+      expect(await usdc.balanceOf(signer.address)).to.equal(amount);
+      expect((await gateway.orders(orderId)).status).to.equal(OrderStatus.Aborted);
+      await expect(gateway.refund(orderId)).to.be.reverted;
+    });
+
+    it("should not refund claimed orders", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, claimer, notary } = fixture;
+
+      const { orderId } = await openOrder(fixture);
+      await gateway.claim({ claims: await signClaims(notary, [orderId], fixture.domain), recipient: claimer.address });
+
+      await time.increase(fixture.config.maxDuration);
+      await expect(gateway.refund(orderId)).to.be.reverted;
+    });
+  });
+
+  describe("Extensions and cancellations", function () {
+    it("should extend an open order signed by its notary or an approver, up to the maximum duration", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, approver, notary, otherAccount, config } = fixture;
+      const { orderId } = await openOrder(fixture);
+      const { expiration, openedAt } = await gateway.orders(orderId);
+      expect(expiration).to.equal(openedAt + BigInt(config.minDuration));
+
+      const later = expiration + 3600n;
+      await expect(gateway.extendOrder(orderId, later, await signExtension(otherAccount, orderId, later, fixture.domain)))
+        .to.be.revertedWith("Gateway: invalid extension signature");
+      // the signature commits to the new expiration
+      await expect(gateway.extendOrder(orderId, later + 1n, await signExtension(notary, orderId, later, fixture.domain)))
+        .to.be.revertedWith("Gateway: invalid extension signature");
+
+      await expect(gateway.connect(otherAccount).extendOrder(orderId, later, await signExtension(notary, orderId, later, fixture.domain)))
+        .to.emit(gateway, "OrderExtended")
+        .withArgs(orderId, later);
+      expect((await gateway.orders(orderId)).expiration).to.equal(later);
+
+      for (const invalid of [later, openedAt + BigInt(config.maxDuration) + 1n]) {
+        await expect(gateway.extendOrder(orderId, invalid, await signExtension(approver, orderId, invalid, fixture.domain)))
+          .to.be.revertedWith("Gateway: invalid expiration");
+      }
+
+      const latest = openedAt + BigInt(config.maxDuration);
+      await expect(gateway.extendOrder(orderId, latest, await signExtension(approver, orderId, latest, fixture.domain)))
+        .to.emit(gateway, "OrderExtended")
+        .withArgs(orderId, latest);
+
+      // an expired order can only be refunded
+      await time.increaseTo(latest);
+      await expect(gateway.refund(orderId)).to.emit(gateway, "Refund");
+      await expect(gateway.extendOrder(orderId, latest + 1n, await signExtension(notary, orderId, latest + 1n, fixture.domain)))
+        .to.be.revertedWith(ethers.toUtf8String(ethers.concat([ethers.toUtf8Bytes("Gateway: order not open; status: "), "0x03"])));
+    });
+
+    it("should reject extensions of expired orders and accept a notary set's threshold", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, notary, config } = fixture;
+      const notaries = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+      const members = sortNotaries(notaries.map((member) => member.address));
+      await gateway.registerNotarySet(members, 2);
+      const setId = notarySetId(members, 2);
+
+      const { orderId } = await openOrder(fixture, { notary: ethers.ZeroAddress, notarySet: setId });
+      const { expiration } = await gateway.orders(orderId);
+      const later = expiration + 600n;
+
+      const signatures = await Promise.all(notaries.map((member) => signExtension(member, orderId, later, fixture.domain)));
+      await expect(gateway.extendOrder(orderId, later, signatures[0])).to.be.revertedWith("Gateway: invalid extension signature");
+      const packed = aggregateNotarySignatures(extensionDigest(orderId, later, fixture.domain), signatures.slice(1), { members, threshold: 2 });
+      await expect(gateway.extendOrder(orderId, later, packed)).to.emit(gateway, "OrderExtended");
+
+      const single = await openOrder(fixture, { label: "single" });
+      await time.increase(config.maxDuration);
+      const expired = (await gateway.orders(single.orderId)).expiration + 1n;
+      await expect(gateway.extendOrder(single.orderId, expired, await signExtension(notary, single.orderId, expired, fixture.domain)))
+        .to.be.revertedWith("Gateway: order expired");
+    });
+
+    it("should cancel and refund an order once its refundee and notary both signed", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, owner, signer, notary, claimer, otherAccount } = fixture;
+      await gateway.setRefundFeePolicy(RefundFeePolicy.RetainFee);
+      const fee = ethers.parseUnits("1", 6);
+      const { orderId, amount } = await openOrder(fixture, { fee });
+
+      const refundeeSignature = await signCancellation(signer, orderId, fixture.domain);
+      const notarySignature = await signCancellation(notary, orderId, fixture.domain);
+      await expect(gateway.cancelOrder(orderId, refundeeSignature, await signCancellation(otherAccount, orderId, fixture.domain)))
+        .to.be.revertedWith("Gateway: invalid cancellation signature");
+      await expect(gateway.cancelOrder(orderId, notarySignature, notarySignature))
+        .to.be.revertedWith("Gateway: invalid cancellation signature");
+      await expect(gateway.cancelOrder(orderId, refundeeSignature, await signClaim(notary, orderId, fixture.domain)))
+        .to.be.revertedWith("Gateway: invalid cancellation signature");
+
+      const treasuryBalance = await usdc.balanceOf(owner.address);
+      await expect(gateway.connect(otherAccount).cancelOrder(orderId, refundeeSignature, notarySignature))
+        .to.emit(gateway, "OrderCancelled")
+        .withArgs(orderId, signer.address, amount - fee)
+        .and.not.to.emit(gateway, "Refund");
+      expect(await usdc.balanceOf(signer.address)).to.equal(amount - fee);
+      expect(await usdc.balanceOf(owner.address)).to.equal(treasuryBalance + fee);
+      expect((await gateway.orders(orderId)).status).to.equal(OrderStatus.Aborted);
+
+      await expect(gateway.cancelOrder(orderId, refundeeSignature, notarySignature)).to.be.reverted;
+      await expect(gateway.claim({ claims: await signClaims(notary, [orderId], fixture.domain), recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedOrderNotOpen");
+    });
+  });
+
+  describe("Signature domain", function () {
+    it("should bind approvals and notary signatures to this gateway and chain", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, approver, claimer, notary, chainId, domain } = fixture;
+      expect(await gateway.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      await usdc.approve(await gateway.getAddress(), amount);
+      for (const other of [gatewayDomain(chainId + 1n, domain.verifyingContract), gatewayDomain(chainId, approver.address), null]) {
+        const orderApproval = await signOrderApproval(approver, params, other);
+        await expect(gateway.depositProxy({ ...params, orderApproval }, amount))
+          .to.be.revertedWith("Gateway: invalid order approval signature");
+      }
+      await gateway.depositProxy(params, amount);
+
+      for (const other of [gatewayDomain(chainId + 1n, domain.verifyingContract), null]) {
+        await expect(gateway.claim({ claims: await signClaims(notary, [params.orderId], other), recipient: claimer.address }))
+          .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+      }
+      await expect(gateway.claim({ claims: await signClaims(notary, [params.orderId], domain), recipient: claimer.address }))
+        .to.emit(gateway, "Claim");
+    });
+
+    it("should accept legacy approvals and claims until legacySignaturesUntil", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, approver, claimer, notary, otherAccount } = fixture;
+      const until = BigInt(await time.latest()) + 600n;
+
+      await expect(gateway.connect(otherAccount).setLegacySignaturesUntil(until))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setLegacySignaturesUntil(until))
+        .to.emit(gateway, "LegacySignaturesUntilUpdated")
+        .withArgs(until);
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      await usdc.approve(await gateway.getAddress(), amount * 2n);
+      await gateway.depositProxy({ ...params, orderApproval: await signOrderApproval(approver, params, null) }, amount);
+      const [legacy] = await signClaims(notary, [params.orderId], null);
+
+      // once the window closes only EIP-712 signatures are accepted
+      const { params: late } = await signDepositParams(fixture, { label: "late", method: "depositProxy" });
+      await time.increaseTo(until);
+      await expect(gateway.depositProxy({ ...late, orderApproval: await signOrderApproval(approver, late, null) }, amount))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+      await expect(gateway.claim({ claims: [legacy], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+
+      await gateway.setLegacySignaturesUntil(until + 600n);
+      await expect(gateway.claim({ claims: [legacy], recipient: claimer.address })).to.emit(gateway, "Claim");
+
+      await gateway.setTimelockDelay(3600);
+      await expect(gateway.setLegacySignaturesUntil(0)).to.be.revertedWith("Gateway: call must be scheduled");
+      const data = gateway.interface.encodeFunctionData("setLegacySignaturesUntil", [0]);
+      await gateway.scheduleOperation(data);
+      await time.increase(3600);
+      await expect(gateway.executeOperation(data)).to.emit(gateway, "LegacySignaturesUntilUpdated").withArgs(0);
+    });
+
+    it("should commit legacy approvals to a minimum amount without a maximum", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, approver } = fixture;
+      await gateway.setLegacySignaturesUntil(BigInt(await time.latest()) + 600n);
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", minAmount: ethers.parseUnits("50", 6) });
+      const legacy = { ...params, orderApproval: await signOrderApproval(approver, params, null) };
+      await usdc.approve(await gateway.getAddress(), amount * 2n);
+
+      // the minimum is part of the legacy preimage, and enforced on its own
+      await expect(gateway.depositProxy({ ...legacy, minAmount: 0n }, amount))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+      await expect(gateway.depositProxy(legacy, params.minAmount - 1n))
+        .to.be.revertedWith("Gateway: amount outside expected range");
+      await expect(gateway.depositProxy(legacy, amount * 2n))
+        .to.emit(gateway, "ProxyDeposit");
+    });
+  });
+
+  describe("Fees", function () {
+    const FEE = ethers.parseUnits("2", 6);
+
+    it("should only accept the fee committed in the approval", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { fee: FEE });
+      await usdc.mint(signer.address, amount);
+      await expect(gateway.deposit({ ...params, fee: 0n }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+      await expect(gateway.deposit({ ...params, fee: FEE / 2n }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+
+      const { params: excessive } = await signDepositParams(fixture, { label: "excessive", fee: amount + 1n });
+      await expect(gateway.deposit(excessive)).to.be.revertedWith("Gateway: fee exceeds amount");
+
+      await gateway.deposit(params);
+      expect((await gateway.orders(params.orderId)).fee).to.equal(FEE);
+    });
+
+    it("should split fees to the treasury at claim time", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, owner, claimer, notary, otherAccount } = fixture;
+      expect(await gateway.feeTreasury()).to.equal(owner.address);
+
+      await expect(gateway.connect(otherAccount).setFeeTreasury(otherAccount.address))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setFeeTreasury(ethers.ZeroAddress)).to.be.revertedWith("Gateway: treasury is the zero address");
+      await expect(gateway.setFeeTreasury(otherAccount.address))
+        .to.emit(gateway, "FeeTreasuryUpdated")
+        .withArgs(otherAccount.address);
+
+      const first = await openOrder(fixture, { label: "first", fee: FEE });
+      const second = await openOrder(fixture, { label: "second", fee: FEE / 2n });
+      const free = await openOrder(fixture, { label: "free" });
+      const claims = await signClaims(notary, [first.orderId, second.orderId, free.orderId], fixture.domain);
+
+      const fees = FEE + FEE / 2n;
+      await expect(gateway.claim({ claims, recipient: claimer.address }))
+        .to.emit(gateway, "Claim")
+        .withArgs(first.orderId, claimer.address, first.amount - FEE)
+        .and.to.emit(gateway, "FeesCollected")
+        .withArgs(await usdc.getAddress(), otherAccount.address, fees);
+
+      expect(await usdc.balanceOf(claimer.address)).to.equal(first.amount + second.amount + free.amount - fees);
+      expect(await usdc.balanceOf(otherAccount.address)).to.equal(fees);
+      expect(await gateway.accruedFees(await usdc.getAddress())).to.equal(fees);
+    });
+
+    it("should refund fees according to the refund fee policy", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, owner, signer, otherAccount, config } = fixture;
+
+      const full = await openOrder(fixture, { label: "full", fee: FEE });
+      const retained = await openOrder(fixture, { label: "retained", fee: FEE });
+      await time.increase(config.minDuration);
+
+      // a full refund by default
+      await expect(gateway.refund(full.orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(full.orderId, signer.address, full.amount)
+        .and.not.to.emit(gateway, "FeesCollected");
+
+      await expect(gateway.connect(otherAccount).setRefundFeePolicy(RefundFeePolicy.RetainFee))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setRefundFeePolicy(RefundFeePolicy.RetainFee))
+        .to.emit(gateway, "RefundFeePolicyUpdated")
+        .withArgs(RefundFeePolicy.RetainFee);
+
+      const treasuryBalance = await usdc.balanceOf(owner.address);
+      await expect(gateway.refund(retained.orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(retained.orderId, signer.address, retained.amount - FEE)
+        .and.to.emit(gateway, "FeesCollected")
+        .withArgs(await usdc.getAddress(), owner.address, FEE);
+
+      expect(await usdc.balanceOf(signer.address)).to.equal(full.amount + retained.amount - FEE);
+      expect(await usdc.balanceOf(owner.address)).to.equal(treasuryBalance + FEE);
+    });
+
+    it("should make a refund fee policy change wait out the delay", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, signer, config } = fixture;
+      await gateway.setTimelockDelay(config.minDuration);
+      const open = await openOrder(fixture, { fee: FEE });
+
+      // orders open under the current policy can be refunded before a change takes effect
+      await expect(gateway.setRefundFeePolicy(RefundFeePolicy.RetainFee)).to.be.revertedWith("Gateway: call must be scheduled");
+      const data = gateway.interface.encodeFunctionData("setRefundFeePolicy", [RefundFeePolicy.RetainFee]);
+      await gateway.scheduleOperation(data);
+      await expect(gateway.executeOperation(data)).to.be.revertedWith("Gateway: operation not ready");
+
+      await time.increase(config.minDuration);
+      await expect(gateway.refund(open.orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(open.orderId, signer.address, open.amount);
+      await expect(gateway.executeOperation(data))
+        .to.emit(gateway, "RefundFeePolicyUpdated")
+        .withArgs(RefundFeePolicy.RetainFee);
+    });
+  });
+
+  describe("Notary sets", function () {
+    async function notarySetFixture() {
+      const fixture = await deployGatewayFixture();
+      const notaries = [0, 1, 2].map(() => ethers.Wallet.createRandom());
+      const members = sortNotaries(notaries.map((notary) => notary.address));
+      await fixture.gateway.registerNotarySet(members, 2);
+      const byAddress = new Map(notaries.map((notary) => [notary.address, notary]));
+      return { ...fixture, members: members.map((member) => byAddress.get(member)), setId: notarySetId(members, 2) };
+    }
+
+    async function packedClaim(orderId, notaries, domain) {
+      return { orderId, signature: ethers.concat(await Promise.all(notaries.map((notary) => signClaim(notary, orderId, domain)))), recipients: [], shares: [] };
+    }
 
-      // Define message data
-      const message = {
-        quoteId: "",
-        quote: {
-          signer: "0xc434375761034eFC80850eF0b32e1882336ec439",
-          nonce: "...",
-          orderId: "5acfe611cf",
-          privacy: "CHEAPEST",
-          allocations: "WEIGHTED",
-          deposit: "1000000000",
-          fee: "1000000",
-          outputs: [
-            {
-              method: "CCTP",
-              chain: "eip155:1",
-              token: "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE",
-              facilitatorPublicKeys: [
-                {
-                  coinType: "*",
-                  keyType: "SECP256K1",
-                  publicKeyBytes: "0x3f3d3e3c3b3a393837363534333231302f2e2d2c2b2a292827262524232221201f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100ff",
-                },
-                {
-                  coinType: "1",
-                  keyType: "SECP256K1",
-                  publicKeyBytes: "0x3f3d3e3c3b3a393837363534333231302f2e2d2c2b2a292827262524232221201f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100ff",
-                },
-                {
-                  coinType: "118",
-                  keyType: "SECP256K1",
-                  publicKeyBytes: "0x3f3d3e3c3b3a393837363534333231302f2e2d2c2b2a292827262524232221201f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100ff",
-                },
-                {
-                  coinType: "529",
-                  keyType: "SECP256K1",
-                  publicKeyBytes: "0x3f3d3e3c3b3a393837363534333231302f2e2d2c2b2a292827262524232221201f1e1d1c1b1a191817161514131211100f0e0d0c0b0a09080706050403020100ff",
-                },
-              ],
-              recipient: "0xc434375761034eFC80850eF0b32e1882336ec439",
-              value: "500000000000000000",
-              extra: "",
-            },
-          ],
-          metadata: {
-            notaryContract: {
-              chainId: "secret-4",
-              contractAddres: "secret1...",
-              signerAddress: "0x...."
-            }
-          },
-        },
+    it("should register sorted, unique sets with a valid threshold", async function () {
+      const { gateway, otherAccount } = await loadFixture(deployGatewayFixture);
+      const members = sortNotaries([0, 1, 2].map(() => ethers.Wallet.createRandom().address));
+      const setId = notarySetId(members, 2);
+
+      await expect(gateway.registerNotarySet(members, 0)).to.be.revertedWith("Gateway: invalid notary threshold");
+      await expect(gateway.registerNotarySet(members, 4)).to.be.revertedWith("Gateway: invalid notary threshold");
+      await expect(gateway.registerNotarySet([...members].reverse(), 2))
+        .to.be.revertedWith("Gateway: notaries must be sorted and unique");
+      await expect(gateway.registerNotarySet([members[0], members[0]], 1))
+        .to.be.revertedWith("Gateway: notaries must be sorted and unique");
+
+      await expect(gateway.connect(otherAccount).registerNotarySet(members, 2))
+        .to.emit(gateway, "NotarySetRegistered")
+        .withArgs(setId, members, 2);
+      await expect(gateway.registerNotarySet(members, 2)).not.to.emit(gateway, "NotarySetRegistered");
+
+      const [registered, threshold] = await gateway.getNotarySet(setId);
+      expect(registered).to.deep.equal(members);
+      expect(threshold).to.equal(2n);
+    });
+
+    it("should only open set orders for registered sets without a notary", async function () {
+      const fixture = await loadFixture(notarySetFixture);
+      const { gateway, usdc, signer, notary, setId } = fixture;
+
+      const { params: withNotary, amount } = await signDepositParams(fixture, { label: "notary", notarySet: setId });
+      await usdc.mint(signer.address, amount);
+      await expect(gateway.deposit(withNotary)).to.be.revertedWith("Gateway: notary set orders must not set a notary");
+
+      const { params: unregistered } = await signDepositParams(fixture, {
+        label: "unregistered", notary: ethers.ZeroAddress, notarySet: ethers.id("unregistered"),
+      });
+      await expect(gateway.deposit(unregistered)).to.be.revertedWith("Gateway: notary set not registered");
+
+      // the approval commits to the set
+      const { params } = await signDepositParams(fixture, { notary: ethers.ZeroAddress, notarySet: setId });
+      await expect(gateway.deposit({ ...params, notarySet: ethers.ZeroHash }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+
+      await gateway.deposit(params);
+      expect((await gateway.orders(params.orderId)).notarySet).to.equal(setId);
+      expect(await gateway.getNotaryOrderCount(notary.address)).to.equal(0n);
+    });
+
+    it("should release set orders with signatures from enough distinct members", async function () {
+      const fixture = await loadFixture(notarySetFixture);
+      const { gateway, claimer, notary, members, setId } = fixture;
+
+      const { orderId, amount } = await openOrder(fixture, { notary: ethers.ZeroAddress, notarySet: setId });
+      const single = await openOrder(fixture, { label: "single" });
+
+      await expect(gateway.claim({ claims: [await packedClaim(orderId, [members[1]], fixture.domain)], recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedNotaryThreshold")
+        .withArgs(0, 1, 2);
+
+      for (const notaries of [[members[0], members[0]], [members[2], members[0]], [members[0], notary]]) {
+        await expect(gateway.claim({ claims: [await packedClaim(orderId, notaries, fixture.domain)], recipient: claimer.address }))
+          .to.be.revertedWithCustomError(gateway, "ClaimRejectedInvalidSignature");
+      }
+
+      const claims = [await packedClaim(orderId, [members[0], members[2]], fixture.domain), ...(await signClaims(notary, [single.orderId], fixture.domain))];
+      await expect(gateway.claim({ claims, recipient: claimer.address }))
+        .to.emit(gateway, "Claim")
+        .withArgs(orderId, claimer.address, amount)
+        .and.to.emit(gateway, "Claim")
+        .withArgs(single.orderId, claimer.address, single.amount);
+
+      for (const member of members) {
+        const [ids] = await gateway.getNotaryOrders(member.address, OrderStatus.None, 0, 10);
+        expect(ids).to.deep.equal([orderId]);
+      }
+    });
+  });
+
+  describe("Pause", function () {
+    it("should let the guardian pause deposits and claims but keep refunds open", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, owner, claimer, signer, notary, otherAccount, config } = fixture;
+      expect(await gateway.guardian()).to.equal(owner.address);
+
+      await expect(gateway.connect(otherAccount).setGuardian(otherAccount.address))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setGuardian(otherAccount.address))
+        .to.emit(gateway, "GuardianUpdated")
+        .withArgs(otherAccount.address);
+      await expect(gateway.connect(claimer).pause(PauseScope.All, "test"))
+        .to.be.revertedWith("Gateway: caller is not the guardian");
+
+      const expiring = await openOrder(fixture, { label: "expiring" });
+      const claimable = await openOrder(fixture, { label: "claimable" });
+
+      await expect(gateway.connect(otherAccount).pause(PauseScope.Deposits, "approver key leaked"))
+        .to.emit(gateway, "Paused")
+        .withArgs(PauseScope.Deposits, otherAccount.address, "approver key leaked");
+      const { params, amount } = await signDepositParams(fixture, { label: "paused" });
+      await usdc.mint(signer.address, amount);
+      await expect(gateway.deposit(params)).to.be.revertedWith("Gateway: deposits paused");
+
+      // the guardian cannot lift a pause
+      await expect(gateway.connect(otherAccount).unpause(PauseScope.Deposits))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+
+      await gateway.connect(otherAccount).pause(PauseScope.Claims, "notary key leaked");
+      const claims = await signClaims(notary, [claimable.orderId], fixture.domain);
+      await expect(gateway.claim({ claims, recipient: claimer.address }))
+        .to.be.revertedWithCustomError(gateway, "ClaimRejectedPaused");
+
+      await time.increase(config.minDuration);
+      await expect(gateway.refund(expiring.orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(expiring.orderId, signer.address, expiring.amount);
+
+      await expect(gateway.unpause(PauseScope.All))
+        .to.emit(gateway, "Unpaused")
+        .withArgs(PauseScope.All, owner.address);
+      await openOrder(fixture, { label: "resumed" });
+      await expect(gateway.claim({ claims, recipient: claimer.address })).to.emit(gateway, "Claim");
+    });
+
+    it("should trip the breaker when the window's USDC claims would exceed the cap", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, claimer, notary, otherAccount } = fixture;
+      const window = 3600;
+      const cap = ethers.parseUnits("250", 6);
+
+      await expect(gateway.connect(otherAccount).setClaimWindowCap(window, cap))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setClaimWindowCap(0, cap)).to.be.revertedWith("Gateway: claim window is zero");
+      await expect(gateway.setClaimWindowCap(window, cap))
+        .to.emit(gateway, "ClaimWindowCapUpdated")
+        .withArgs(window, cap);
+
+      const orders = [];
+      for (const label of ["a", "b", "c"]) orders.push(await openOrder(fixture, { label }));
+      const claims = await signClaims(notary, orders.map((order) => order.orderId), fixture.domain);
+
+      await expect(gateway.claim({ claims, recipient: claimer.address }))
+        .to.emit(gateway, "Paused")
+        .withArgs(PauseScope.Claims, await gateway.getAddress(), "Gateway: claim window cap reached");
+      expect(await usdc.balanceOf(claimer.address)).to.equal(orders[0].amount + orders[1].amount);
+      expect((await gateway.orders(orders[2].orderId)).status).to.equal(OrderStatus.Open);
+      expect(await gateway.claimedInWindow()).to.equal(orders[0].amount + orders[1].amount);
+      expect(await gateway.claimsPaused()).to.be.true;
+
+      // the breaker holds after unpausing until the window rolls over
+      await gateway.unpause(PauseScope.Claims);
+      await expect(gateway.claim({ claims: [claims[2]], recipient: claimer.address }))
+        .to.emit(gateway, "Paused")
+        .and.not.to.emit(gateway, "Claim");
+
+      await time.increase(window);
+      await gateway.unpause(PauseScope.Claims);
+      await expect(gateway.claim({ claims: [claims[2]], recipient: claimer.address }))
+        .to.emit(gateway, "Claim")
+        .withArgs(orders[2].orderId, claimer.address, orders[2].amount);
+      expect(await gateway.claimedInWindow()).to.equal(orders[2].amount);
+    });
+  });
+
+  describe("Timelock", function () {
+    it("should only run scheduled config and role grants once the delay has passed", async function () {
+      const { gateway, claimer, otherAccount } = await loadFixture(deployGatewayFixture);
+      const delay = 86400;
+
+      // without a delay the owner calls directly
+      await expect(gateway.setClaimsCap(5)).to.emit(gateway, "ClaimsCapUpdated").withArgs(5);
+      await expect(gateway.connect(otherAccount).setTimelockDelay(delay))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setTimelockDelay(delay))
+        .to.emit(gateway, "TimelockDelayUpdated")
+        .withArgs(delay);
+
+      await expect(gateway.addClaimer(otherAccount.address)).to.be.revertedWith("Gateway: call must be scheduled");
+      await expect(gateway.setTimelockDelay(0)).to.be.revertedWith("Gateway: call must be scheduled");
+
+      const data = gateway.interface.encodeFunctionData("addClaimer", [otherAccount.address]);
+      const id = ethers.keccak256(data);
+      await expect(gateway.connect(otherAccount).scheduleOperation(data))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.scheduleOperation(gateway.interface.encodeFunctionData("removeClaimer", [claimer.address])))
+        .to.be.revertedWith("Gateway: call is not timelocked");
+
+      await expect(gateway.scheduleOperation(data)).to.emit(gateway, "Scheduled");
+      const readyAt = await gateway.operationReadyAt(id);
+      expect(readyAt).to.equal(BigInt(await time.latest()) + BigInt(delay));
+      await expect(gateway.scheduleOperation(data)).to.be.revertedWith("Gateway: operation already scheduled");
+      await expect(gateway.executeOperation(data)).to.be.revertedWith("Gateway: operation not ready");
+
+      await time.increaseTo(readyAt);
+      await expect(gateway.connect(otherAccount).executeOperation(data))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.executeOperation(data))
+        .to.emit(gateway, "Executed")
+        .withArgs(id, data)
+        .and.to.emit(gateway, "ClaimerAdded")
+        .withArgs(otherAccount.address);
+      expect(await gateway.authorizedClaimers(otherAccount.address)).to.be.true;
+      expect(await gateway.operationReadyAt(id)).to.equal(0);
+      await expect(gateway.executeOperation(data)).to.be.revertedWith("Gateway: operation not scheduled");
+
+      // removals and pauses stay instant
+      await expect(gateway.removeClaimer(otherAccount.address)).to.emit(gateway, "ClaimerRemoved");
+      await expect(gateway.pause(PauseScope.All, "test")).to.emit(gateway, "Paused");
+    });
+
+    it("should let the guardian cancel a scheduled operation", async function () {
+      const { gateway, claimer, otherAccount } = await loadFixture(deployGatewayFixture);
+      await gateway.setGuardian(otherAccount.address);
+      await gateway.setTimelockDelay(3600);
+
+      const data = gateway.interface.encodeFunctionData("setClaimsCap", [1]);
+      const id = ethers.keccak256(data);
+      await gateway.scheduleOperation(data);
+
+      await expect(gateway.connect(claimer).cancelOperation(id))
+        .to.be.revertedWith("Gateway: caller is not the guardian");
+      await expect(gateway.connect(otherAccount).cancelOperation(id))
+        .to.emit(gateway, "Cancelled")
+        .withArgs(id);
+      await expect(gateway.cancelOperation(id)).to.be.revertedWith("Gateway: operation not scheduled");
+
+      await time.increase(3600);
+      await expect(gateway.executeOperation(data)).to.be.revertedWith("Gateway: operation not scheduled");
+    });
+
+    it("should make a guardian change wait out the delay", async function () {
+      const { gateway, owner, claimer, otherAccount } = await loadFixture(deployGatewayFixture);
+      await gateway.setGuardian(otherAccount.address);
+      await gateway.setTimelockDelay(3600);
+
+      // the owner cannot swap out the guardian ahead of an operation it would cancel
+      const grant = gateway.interface.encodeFunctionData("addClaimer", [owner.address]);
+      await gateway.scheduleOperation(grant);
+      await expect(gateway.setGuardian(claimer.address)).to.be.revertedWith("Gateway: call must be scheduled");
+
+      const replace = gateway.interface.encodeFunctionData("setGuardian", [claimer.address]);
+      await gateway.scheduleOperation(replace);
+      await expect(gateway.executeOperation(replace)).to.be.revertedWith("Gateway: operation not ready");
+      await gateway.connect(otherAccount).cancelOperation(ethers.keccak256(grant));
+
+      await time.increase(3600);
+      await expect(gateway.executeOperation(replace)).to.emit(gateway, "GuardianUpdated").withArgs(claimer.address);
+      expect(await gateway.guardian()).to.equal(claimer.address);
+    });
+
+    it("should not take a deposit's self-call for an executed operation", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, otherAccount } = fixture;
+      await gateway.setTimelockDelay(3600);
+
+      // an ERC-6492 signature whose "factory" is the gateway itself
+      const account = {
+        address: ethers.Wallet.createRandom().address,
+        factory: await gateway.getAddress(),
+        factoryData: gateway.interface.encodeFunctionData("addClaimer", [otherAccount.address]),
       };
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", account });
+      await usdc.mint(otherAccount.address, amount);
+      await usdc.connect(otherAccount).approve(gateway.target, amount);
 
-      const typedDataSignature = await signer.signTypedData(
-        domain,
-        {
-          Order: types.Order,
-          Output: types.Output,
-          Metadata: types.Metadata,
-          CctpAttestors: types.CctpAttestors,
-          AxelarValidators: types.AxelarValidators,
-        },
-        message
-      );
+      await expect(gateway.connect(otherAccount).depositProxy(params, amount))
+        .to.be.revertedWith("Gateway: signer deployment failed");
+      expect(await gateway.authorizedClaimers(otherAccount.address)).to.be.false;
+    });
+  });
+
+  describe("Permit deposits", function () {
+    async function signUsdcPermit({ usdc, gateway, signer }, value, deadline) {
+      return signPermit(signer, await tokenDomain(usdc), {
+        spender: await gateway.getAddress(),
+        value,
+        nonce: await usdc.nonces(signer.address),
+        deadline,
+      });
+    }
+
+    it("should deposit with an EIP-2612 permit submitted by anyone", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, otherAccount, config } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositWithPermit" });
+      await usdc.mint(signer.address, amount);
+      const permit = await signUsdcPermit(fixture, amount, params.approvalExpiration);
+
+      await expect(gateway.connect(otherAccount).depositWithPermit(params, amount, permit))
+        .to.emit(gateway, "Deposit")
+        .withArgs(signer.address, params.orderId, amount, config.minDuration);
+
+      expect(await usdc.balanceOf(await gateway.getAddress())).to.equal(amount);
+      expect((await gateway.orders(params.orderId)).refundee).to.equal(signer.address);
+      expect(await usdc.allowance(signer.address, await gateway.getAddress())).to.equal(0n);
+    });
+
+    it("should tolerate a front-run permit but not a missing allowance", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, usdc, signer, otherAccount } = fixture;
 
-      // Encode EIP3009 receiveAuthorization
-      const receiveAuthorization = abiCoder.encode(
-        ["address", "uint256"],
-        [refundee.address, depositAmount]
+      const { params, amount } = await signDepositParams(fixture, { method: "depositWithPermit" });
+      await usdc.mint(signer.address, amount);
+      const permit = await signUsdcPermit(fixture, amount, params.approvalExpiration);
+
+      // someone submits the permit on its own first
+      await usdc.connect(otherAccount).permit(
+        signer.address, await gateway.getAddress(), amount, permit.deadline, permit.v, permit.r, permit.s
       );
+      await gateway.depositWithPermit(params, amount, permit);
+      expect((await gateway.orders(params.orderId)).status).to.equal(OrderStatus.Open);
+
+      const { params: second } = await signDepositParams(fixture, { label: "second", method: "depositWithPermit" });
+      const forged = await signPermit(otherAccount, await tokenDomain(usdc), {
+        spender: await gateway.getAddress(), value: amount, nonce: 1, deadline: second.approvalExpiration,
+      });
+      await expect(gateway.depositWithPermit(second, amount, forged)).to.be.revertedWith("Gateway: permit failed");
+    });
+
+    it("should apply the same validations as deposit()", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, otherAccount } = fixture;
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositWithPermit" });
+      const permit = await signUsdcPermit(fixture, amount, params.approvalExpiration);
+
+      await expect(gateway.depositWithPermit(params, ethers.parseUnits("0.5", 6), permit))
+        .to.be.revertedWith("Gateway: receive authorization amount too low; minimum is 1000000");
+      await expect(gateway.depositWithPermit({ ...params, approver: otherAccount.address }, amount, permit))
+        .to.be.revertedWith("Gateway: approver not authorized");
+      await expect(gateway.depositWithPermit({ ...params, notary: otherAccount.address }, amount, permit))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+
+      await time.increaseTo(params.approvalExpiration);
+      await expect(gateway.depositWithPermit(params, amount, permit)).to.be.revertedWith("Gateway: approval expired");
+    });
+
+    it("should deposit any allowlisted token through a Permit2 witness transfer", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, signer, otherAccount, chainId } = fixture;
+      const permit2 = await installPermit2();
+
+      // a plain ERC-20 without EIP-3009 or EIP-2612
+      const plain = await ethers.deployContract("TestERC20", ["Tether USD", "USDT"]);
+      await gateway.setDepositToken(await plain.getAddress(), 1n);
+      const amount = ethers.parseUnits("25", 18);
+      await plain.transfer(signer.address, amount * 2n);
+      await plain.connect(signer).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+
+      const { params } = await signDepositParams(fixture, { token: plain, method: "depositWithPermit2" });
+      const sign = (order, fields = {}) => signPermit2Deposit(signer, permit2Domain(chainId), {
+        token: order.token,
+        amount,
+        spender: gateway.target,
+        orderId: order.orderId,
+        payloadHash: order.payloadHash,
+        deadline: order.approvalExpiration,
+        nonce: fields.nonce,
+      });
+      const permit = await sign(params, { nonce: 7n });
+
+      await expect(gateway.connect(otherAccount).depositWithPermit2(params, amount, permit))
+        .to.emit(gateway, "Deposit")
+        .withArgs(signer.address, params.orderId, amount, fixture.config.minDuration);
+      expect(await plain.balanceOf(await gateway.getAddress())).to.equal(amount);
+      expect((await gateway.orders(params.orderId)).token).to.equal(await plain.getAddress());
+
+      // the witness binds the signature to its order
+      const { params: other } = await signDepositParams(fixture, { label: "other", token: plain, method: "depositWithPermit2" });
+      await expect(gateway.depositWithPermit2(other, amount, { ...permit, nonce: 8n }))
+        .to.be.revertedWithCustomError(permit2, "InvalidSigner");
+
+      // and Permit2 nonces are single-use
+      await expect(gateway.depositWithPermit2(other, amount, await sign(other, { nonce: 7n })))
+        .to.be.revertedWithCustomError(permit2, "InvalidNonce");
+      await gateway.depositWithPermit2(other, amount, await sign(other));
+      expect(await plain.balanceOf(signer.address)).to.equal(0n);
+    });
+  });
+
+  describe("Smart account signers", function () {
+    async function deploySmartAccountFixture() {
+      const fixture = await deployGatewayFixture();
+      const { factory, account } = await smartAccountFactory(fixture.signer);
+      return { ...fixture, factory, account };
+    }
 
-      // Approve the smart contract to spend USDC
-      await usdcMock.connect(refundee).approve(gateway.address, depositAmount);
-
-      const params = {
-        signer: signer.address,
-        orderId: orderId,
-        notary: notary.address,
-        approver: approver.address,
-        orderApproval: orderApprovalSignature,
-        approvalExpiration: approvalExpiration,
-        duration: duration,
-        domainSepHash: domainSeparatorHash,
-        payloadHash: payloadHash,
-        typedDataSignature: typedDataSignature,
-        receiveAuthorization: receiveAuthorization,
+    it("should verify a deployed account's signatures with ERC-1271", async function () {
+      const fixture = await loadFixture(deploySmartAccountFixture);
+      const { gateway, usdc, signer, otherAccount, factory, account, config } = fixture;
+      await factory.deploy(signer.address, ethers.ZeroHash);
+      const wallet = await ethers.getContractAt("MockSmartAccount", account.address, signer);
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", account: { address: account.address } });
+      expect(await gateway.verifyTypedDataSignature(params.domainSepHash, params.payloadHash, params.typedDataSignature, account.address))
+        .to.be.true;
+
+      // signed by someone other than the account's owner
+      const { params: forged } = await signDepositParams(fixture, {
+        method: "depositProxy", signer: otherAccount, account: { address: account.address },
+      });
+      await expect(gateway.depositProxy(forged, amount)).to.be.revertedWith("Gateway: invalid typed data signature");
+
+      // the account funds its own deposit
+      await usdc.mint(account.address, amount);
+      await wallet.execute(usdc.target, 0, usdc.interface.encodeFunctionData("approve", [gateway.target, amount]));
+      await expect(wallet.execute(gateway.target, 0, gateway.interface.encodeFunctionData("depositProxy", [params, amount])))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(account.address, params.orderId, amount, config.minDuration);
+
+      // and is refunded
+      await time.increase(config.minDuration);
+      await gateway.connect(otherAccount).refund(params.orderId);
+      expect(await usdc.balanceOf(account.address)).to.equal(amount);
+    });
+
+    it("should deploy a counterfactual account from its ERC-6492 signature", async function () {
+      const fixture = await loadFixture(deploySmartAccountFixture);
+      const { gateway, usdc, otherAccount, account, config } = fixture;
+      expect(await ethers.provider.getCode(account.address)).to.equal("0x");
+
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", account });
+      const { params: broken } = await signDepositParams(fixture, {
+        label: "broken", method: "depositProxy", account: { ...account, factoryData: "0xdeadbeef" },
+      });
+
+      await usdc.mint(otherAccount.address, amount);
+      await usdc.connect(otherAccount).approve(gateway.target, amount);
+      await expect(gateway.connect(otherAccount).depositProxy(broken, amount))
+        .to.be.revertedWith("Gateway: signer deployment failed");
+
+      await expect(gateway.connect(otherAccount).depositProxy(params, amount))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(account.address, params.orderId, amount, config.minDuration);
+      expect(await ethers.provider.getCode(account.address)).to.not.equal("0x");
+
+      // the wrapped signature still verifies once the account exists
+      expect(await gateway.verifyTypedDataSignature(params.domainSepHash, params.payloadHash, params.typedDataSignature, account.address))
+        .to.be.true;
+
+      await time.increase(config.minDuration);
+      await gateway.refund(params.orderId);
+      expect(await usdc.balanceOf(account.address)).to.equal(amount);
+    });
+
+    it("should not make the ERC-6492 factory call from the gateway", async function () {
+      const fixture = await loadFixture(deploySmartAccountFixture);
+      const { gateway, usdc, otherAccount, factory, account } = fixture;
+
+      // a wallet that only takes calls from the gateway is asked to deploy the account
+      const trusting = await ethers.deployContract("MockSmartAccount", [gateway.target]);
+      const relayed = {
+        ...account,
+        factory: trusting.target,
+        factoryData: trusting.interface.encodeFunctionData("execute", [factory.target, 0, account.factoryData]),
       };
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", account: relayed });
+      await usdc.mint(otherAccount.address, amount);
+      await usdc.connect(otherAccount).approve(gateway.target, amount);
+
+      await expect(gateway.connect(otherAccount).depositProxy(params, amount))
+        .to.be.revertedWith("Gateway: signer deployment failed");
+      expect(await ethers.provider.getCode(account.address)).to.equal("0x");
+    });
+
+    it("should accept a smart account's Permit2 signature", async function () {
+      const fixture = await loadFixture(deploySmartAccountFixture);
+      const { gateway, usdc, signer, otherAccount, factory, account, chainId } = fixture;
+      await installPermit2();
+      await factory.deploy(signer.address, ethers.ZeroHash);
+      const wallet = await ethers.getContractAt("MockSmartAccount", account.address, signer);
 
-      // Expect successful deposit
-      await expect(gateway.connect(refundee).deposit(params))
+      const { params, amount } = await signDepositParams(fixture, { method: "depositWithPermit2", account: { address: account.address } });
+      await usdc.mint(account.address, amount);
+      await wallet.execute(usdc.target, 0, usdc.interface.encodeFunctionData("approve", [PERMIT2_ADDRESS, ethers.MaxUint256]));
+
+      const permit = await signPermit2Deposit(signer, permit2Domain(chainId), {
+        token: usdc.target,
+        amount,
+        spender: gateway.target,
+        orderId: params.orderId,
+        payloadHash: params.payloadHash,
+        deadline: params.approvalExpiration,
+      });
+      await expect(gateway.connect(otherAccount).depositWithPermit2(params, amount, permit))
         .to.emit(gateway, "Deposit")
-        .withArgs(signer.address, orderId, depositAmount, duration);
+        .withArgs(account.address, params.orderId, amount, fixture.config.minDuration);
+      expect((await gateway.orders(params.orderId)).refundee).to.equal(account.address);
+    });
+  });
+
+  describe("Deposit tokens", function () {
+    async function deployTokensFixture() {
+      const fixture = await deployGatewayFixture();
+      const eurc = await ethers.deployContract("MockUSDC");
+      const plain = await ethers.deployContract("TestERC20", ["Tether USD", "USDT"]);
+      await fixture.gateway.setDepositToken(await eurc.getAddress(), ethers.parseUnits("5", 6));
+      await fixture.gateway.setDepositToken(await plain.getAddress(), ethers.parseUnits("1", 18));
+      return { ...fixture, eurc, plain };
+    }
+
+    it("should only let the owner allowlist tokens other than USDC", async function () {
+      const { gateway, usdc, eurc, otherAccount } = await loadFixture(deployTokensFixture);
+      const eurcAddress = await eurc.getAddress();
+
+      expect(await gateway.getMinDepositAmount(ethers.ZeroAddress)).to.equal(ethers.parseUnits("1", 6));
+      expect(await gateway.getMinDepositAmount(eurcAddress)).to.equal(ethers.parseUnits("5", 6));
+
+      await expect(gateway.connect(otherAccount).setDepositToken(eurcAddress, 1))
+        .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+      await expect(gateway.setDepositToken(await usdc.getAddress(), 1))
+        .to.be.revertedWith("Gateway: USDC is configured through setConfig");
+
+      await expect(gateway.removeDepositToken(eurcAddress))
+        .to.emit(gateway, "DepositTokenRemoved")
+        .withArgs(eurcAddress);
+      await expect(gateway.getMinDepositAmount(eurcAddress)).to.be.revertedWith("Gateway: token not allowed");
+    });
+
+    it("should accept EIP-3009 deposits of an allowlisted token at its own minimum", async function () {
+      const fixture = await loadFixture(deployTokensFixture);
+      const { gateway, eurc, signer, otherAccount } = fixture;
+
+      const { params: small } = await signDepositParams(fixture, { token: eurc, amount: ethers.parseUnits("2", 6) });
+      await expect(gateway.deposit(small))
+        .to.be.revertedWith("Gateway: receive authorization amount too low; minimum is 5000000");
+
+      const { orderId, amount } = await openOrder(fixture, { token: eurc });
+      const order = await gateway.orders(orderId);
+      expect(order.token).to.equal(await eurc.getAddress());
+      expect(order.amount).to.equal(amount);
+      expect(await eurc.balanceOf(await gateway.getAddress())).to.equal(amount);
+
+      // unlisted tokens are rejected before anything is transferred
+      const other = await ethers.deployContract("MockUSDC");
+      const { params: unlisted } = await signDepositParams(fixture, { label: "unlisted", token: other, signer: otherAccount });
+      await other.mint(otherAccount.address, ethers.parseUnits("100", 6));
+      await expect(gateway.deposit(unlisted)).to.be.revertedWith("Gateway: token not allowed");
+      expect(await other.balanceOf(otherAccount.address)).to.equal(ethers.parseUnits("100", 6));
+    });
+
+    it("should bind the approval to the deposit token", async function () {
+      const fixture = await loadFixture(deployTokensFixture);
+      const { gateway, eurc } = fixture;
+
+      // approved for USDC, submitted as EURC
+      const { params } = await signDepositParams(fixture, { token: eurc });
+      const { params: usdcParams } = await signDepositParams(fixture);
+      await eurc.mint(fixture.signer.address, ethers.parseUnits("100", 6));
+      await expect(gateway.deposit({ ...params, orderApproval: usdcParams.orderApproval }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+    });
+
+    it("should claim per token and refund in the deposited token", async function () {
+      const fixture = await loadFixture(deployTokensFixture);
+      const { gateway, usdc, eurc, plain, claimer, signer, notary } = fixture;
+
+      const inUsdc = await openOrder(fixture, { label: "usdc" });
+      const inEurc = await openOrder(fixture, { label: "eurc", token: eurc });
+      const inEurc2 = await openOrder(fixture, { label: "eurc-2", token: eurc });
+
+      // plain ERC-20s go through depositProxy
+      const plainAmount = ethers.parseUnits("10", 18);
+      const { params } = await signDepositParams(fixture, { label: "plain", token: plain, method: "depositProxy" });
+      await plain.approve(await gateway.getAddress(), plainAmount);
+      await gateway.depositProxy(params, plainAmount);
+      expect((await gateway.orders(params.orderId)).token).to.equal(await plain.getAddress());
+
+      const claims = await signClaims(notary, [inEurc.orderId, inUsdc.orderId, inEurc2.orderId], fixture.domain);
+      await gateway.claim({ claims, recipient: claimer.address });
+      expect(await usdc.balanceOf(claimer.address)).to.equal(inUsdc.amount);
+      expect(await eurc.balanceOf(claimer.address)).to.equal(inEurc.amount + inEurc2.amount);
+
+      // removing the token does not strand its open orders
+      await gateway.removeDepositToken(await plain.getAddress());
+      await time.increase(fixture.config.minDuration);
+      await expect(gateway.refund(params.orderId))
+        .to.emit(gateway, "Refund")
+        .withArgs(params.orderId, signer.address, plainAmount);
+      expect(await plain.balanceOf(signer.address)).to.equal(plainAmount);
+      expect(await usdc.balanceOf(await gateway.getAddress())).to.equal(0n);
+    });
+  });
+
+  describe("Order enumeration", function () {
+    it("should index orders by signer and notary and filter by status", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, claimer, signer, notary, otherAccount } = fixture;
+
+      const first = await openOrder(fixture, { label: "first" });
+      const second = await openOrder(fixture, { label: "second" });
+      const other = await openOrder(fixture, { label: "other", signer: otherAccount });
+      await gateway.claim({ claims: await signClaims(notary, [first.orderId], fixture.domain), recipient: claimer.address });
+
+      const [allIds, allOrders, allNext] = await gateway.getSignerOrders(signer.address, OrderStatus.None, 0, 10);
+      expect(allIds).to.deep.equal([first.orderId, second.orderId]);
+      expect(allOrders.map((order) => order.status)).to.deep.equal([OrderStatus.Completed, OrderStatus.Open]);
+      expect(allNext).to.equal(2n);
+
+      const [openIds, openOrders] = await gateway.openDeposits(signer.address, 0, 10);
+      expect(openIds).to.deep.equal([second.orderId]);
+      expect(openOrders[0].amount).to.equal(second.amount);
+      expect(openOrders[0].refundee).to.equal(signer.address);
+
+      expect(await gateway.getNotaryOrderCount(notary.address)).to.equal(3n);
+      const [notaryIds] = await gateway.getNotaryOrders(notary.address, OrderStatus.Open, 0, 10);
+      expect(notaryIds).to.deep.equal([second.orderId, other.orderId]);
+    });
+
+    it("should page through the index", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, signer } = fixture;
+
+      const orderIds = [];
+      for (const label of ["a", "b", "c"]) {
+        orderIds.push((await openOrder(fixture, { label })).orderId);
+      }
+
+      // pages are bounded by the number of scanned entries, not matches
+      const [pageIds, , next] = await gateway.getSignerOrders(signer.address, OrderStatus.Open, 1, 1);
+      expect(pageIds).to.deep.equal([orderIds[1]]);
+      expect(next).to.equal(2n);
+
+      const [restIds, , end] = await gateway.openDeposits(signer.address, next, ethers.MaxUint256);
+      expect(restIds).to.deep.equal([orderIds[2]]);
+      expect(end).to.equal(3n);
 
-      // Check USDC balance
-      const contractBalance = await usdcMock.balanceOf(gateway.address);
-      expect(contractBalance).to.equal(depositAmount);
+      const [pastIds, pastOrders, pastEnd] = await gateway.openDeposits(signer.address, 10, 5);
+      expect(pastIds).to.be.empty;
+      expect(pastOrders).to.be.empty;
+      expect(pastEnd).to.equal(3n);
 
-      // Verify order details
-      const orderDetails = await gateway.orders(orderId);
-      expect(orderDetails.amount).to.equal(depositAmount);
-      expect(orderDetails.notary).to.equal(notary.address);
+      const [emptyIds, , stay] = await gateway.openDeposits(signer.address, 1, 0);
+      expect(emptyIds).to.be.empty;
+      expect(stay).to.equal(1n);
     });
   });
 
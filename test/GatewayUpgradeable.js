@@ -0,0 +1,168 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  GatewayAdmin,
+  OrderStatus,
+  decodeGatewayError,
+  InvalidImplementationError,
+  NotCalledThroughProxyError,
+  CalledThroughProxyError,
+  ImplementationNotContractError,
+} = require("../sdk");
+const {
+  CONFIG,
+  deployGatewayFixture,
+  deployUpgradeableGatewayFixture,
+  signDepositParams,
+  openOrder,
+  signClaims,
+} = require("./helpers");
+
+describe("SilentSwapV2GatewayUpgradeable", function () {
+  async function deployFixture() {
+    const fixture = await deployUpgradeableGatewayFixture();
+    const next = await ethers.deployContract("MockGatewayUpgrade", [await fixture.usdc.getAddress()]);
+    const admin = new GatewayAdmin(await fixture.gateway.getAddress(), ethers.provider);
+    return { ...fixture, next, admin };
+  }
+
+  it("initializes the proxy in place of the constructor", async function () {
+    const { gateway, implementation, usdc, owner, claimer, otherAccount, admin } = await loadFixture(deployFixture);
+
+    expect(await gateway.owner()).to.equal(owner.address);
+    expect(await gateway.feeTreasury()).to.equal(owner.address);
+    expect(await gateway.guardian()).to.equal(owner.address);
+    expect(await gateway.usdc()).to.equal(await usdc.getAddress());
+    expect(await gateway.authorizedClaimers(claimer.address)).to.equal(true);
+    expect(await gateway.claimsCap()).to.equal(50n);
+    expect(await gateway.getConfig()).to.deep.equal([BigInt(CONFIG.minDuration), BigInt(CONFIG.maxDuration), CONFIG.minDepositAmount]);
+    expect(await admin.implementation()).to.equal(await implementation.getAddress());
+
+    // neither the proxy nor the implementation can be initialized again
+    await expect(gateway.initialize(CONFIG, otherAccount.address, otherAccount.address))
+      .to.be.revertedWithCustomError(gateway, "InvalidInitialization");
+    await expect(implementation.initialize(CONFIG, otherAccount.address, otherAccount.address))
+      .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    expect(await implementation.owner()).to.equal(ethers.ZeroAddress);
+
+    const initialize = implementation.interface.encodeFunctionData("initialize", [CONFIG, claimer.address, ethers.ZeroAddress]);
+    await expect(ethers.deployContract("SilentSwapV2GatewayProxy", [await implementation.getAddress(), initialize]))
+      .to.be.revertedWithCustomError(gateway, "OwnableInvalidOwner");
+    await expect(ethers.deployContract("SilentSwapV2GatewayProxy", [otherAccount.address, "0x"]))
+      .to.be.revertedWith("Gateway: implementation is not a contract");
+  });
+
+  it("keeps orders, payloads and funds across a timelocked upgrade", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, usdc, next, admin, owner, claimer, notary, otherAccount, config, domain } = fixture;
+    const gatewayAddress = await gateway.getAddress();
+
+    const claimed = await openOrder(fixture, { label: "claimed" });
+    const refunded = await openOrder(fixture, { label: "refunded" });
+    const orders = await Promise.all([claimed, refunded].map(({ orderId }) => gateway.orders(orderId)));
+    const payloads = await Promise.all([claimed, refunded].map(({ orderId }) => gateway.payloads(orderId)));
+    const balance = await usdc.balanceOf(gatewayAddress);
+
+    await gateway.setTimelockDelay(3600);
+    const data = next.interface.encodeFunctionData("initializeV2");
+    await expect(gateway.upgradeToAndCall(await next.getAddress(), data)).to.be.revertedWith("Gateway: call must be scheduled");
+
+    const plan = await admin.upgradeToAndCall(await next.getAddress(), data);
+    expect(plan.method).to.equal("scheduleOperation");
+    expect(plan.operation).to.include({ method: "upgradeToAndCall" });
+    expect(plan.changes).to.deep.equal([
+      { field: "implementation", before: await fixture.implementation.getAddress(), after: await next.getAddress(), changed: true },
+    ]);
+    await expect(admin.execute(plan, otherAccount)).to.be.rejected;
+    await (await admin.execute(plan, owner)).wait();
+
+    await time.increase(3600);
+    await expect((await admin.execute(await admin.executeOperation(plan.operation.id), owner)).wait()).to.not.be.rejected;
+    const upgraded = next.attach(gatewayAddress);
+    expect(await admin.implementation()).to.equal(await next.getAddress());
+    expect(await upgraded.upgradedAt()).to.equal(BigInt(await time.latest()));
+    await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+
+    // the proxy keeps its state, its funds and its EIP-712 domain
+    expect(await Promise.all([claimed, refunded].map(({ orderId }) => upgraded.orders(orderId)))).to.deep.equal(orders);
+    expect(await Promise.all([claimed, refunded].map(({ orderId }) => upgraded.payloads(orderId)))).to.deep.equal(payloads);
+    expect(await usdc.balanceOf(gatewayAddress)).to.equal(balance);
+    expect(await upgraded.owner()).to.equal(owner.address);
+    expect(await upgraded.timelockDelay()).to.equal(3600n);
+
+    await upgraded.claim({ claims: await signClaims(notary, [claimed.orderId], domain), recipient: claimer.address });
+    await time.increase(config.minDuration);
+    await upgraded.refund(refunded.orderId);
+    expect((await upgraded.orders(claimed.orderId)).status).to.equal(OrderStatus.Completed);
+    expect((await upgraded.orders(refunded.orderId)).status).to.equal(OrderStatus.Aborted);
+    expect(await usdc.balanceOf(claimer.address)).to.equal(claimed.amount);
+  });
+
+  it("rejects upgrades outside the proxy and to incompatible implementations", async function () {
+    const { gateway, implementation, next, claimer, otherAccount } = await loadFixture(deployFixture);
+    const { gateway: plain } = await deployGatewayFixture();
+    const otherUsdc = await ethers.deployContract("SilentSwapV2GatewayUpgradeable", [await claimer.getAddress()]);
+
+    await expect(implementation.upgradeToAndCall(await next.getAddress(), "0x")).to.be.revertedWith("Gateway: not called through a proxy");
+    await expect(gateway.proxiableUUID()).to.be.revertedWith("Gateway: called through a proxy");
+    await expect(gateway.connect(otherAccount).upgradeToAndCall(await next.getAddress(), "0x"))
+      .to.be.revertedWithCustomError(gateway, "OwnableUnauthorizedAccount");
+
+    for (const target of [await plain.getAddress(), await otherUsdc.getAddress(), await gateway.getAddress(), otherAccount.address]) {
+      await expect(gateway.upgradeToAndCall(target, "0x")).to.be.revertedWith("Gateway: invalid implementation");
+    }
+
+    // without a timelock delay the owner upgrades directly
+    await expect(gateway.upgradeToAndCall(await next.getAddress(), "0x"))
+      .to.emit(gateway, "Upgraded").withArgs(await next.getAddress());
+
+    // a gateway deployed without a proxy has no implementation to upgrade
+    await expect(new GatewayAdmin(await plain.getAddress(), ethers.provider).upgradeToAndCall(await next.getAddress()))
+      .to.be.rejectedWith(TypeError, "not behind an upgradeable proxy");
+  });
+
+  it("cannot be upgraded by a deposit's ERC-6492 factory call", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, implementation, usdc, signer, otherAccount, admin } = fixture;
+    const gatewayAddress = await gateway.getAddress();
+    const hijack = await ethers.deployContract("MockHijackImplementation", [await usdc.getAddress()]);
+
+    // the "factory" is the proxy, upgraded to an implementation that deploys the signer from it
+    const { bytecode } = await ethers.getContractFactory("MockSmartAccount");
+    const initCode = ethers.concat([bytecode, ethers.AbiCoder.defaultAbiCoder().encode(["address"], [signer.address])]);
+    const account = {
+      address: ethers.getCreate2Address(gatewayAddress, ethers.ZeroHash, ethers.keccak256(initCode)),
+      factory: gatewayAddress,
+      factoryData: gateway.interface.encodeFunctionData("upgradeToAndCall", [
+        await hijack.getAddress(),
+        hijack.interface.encodeFunctionData("hijack", [signer.address, ethers.ZeroHash]),
+      ]),
+    };
+    const { params, amount } = await signDepositParams(fixture, { method: "depositProxy", account });
+    await usdc.mint(otherAccount.address, amount);
+    await usdc.connect(otherAccount).approve(gatewayAddress, amount);
+
+    await expect(gateway.connect(otherAccount).depositProxy(params, amount))
+      .to.be.revertedWith("Gateway: signer deployment failed");
+    expect(await admin.implementation()).to.equal(await implementation.getAddress());
+    expect(await ethers.provider.getCode(account.address)).to.equal("0x");
+  });
+
+  it("decodes upgrade reverts into typed SDK errors", async function () {
+    const { gateway, implementation, next, otherAccount } = await loadFixture(deployFixture);
+    const decoded = (promise) => promise.then(() => expect.fail("expected a revert"), decodeGatewayError);
+
+    expect(await decoded(gateway.upgradeToAndCall.staticCall(otherAccount.address, "0x")))
+      .to.be.instanceOf(InvalidImplementationError);
+    expect(await decoded(implementation.upgradeToAndCall.staticCall(await next.getAddress(), "0x")))
+      .to.be.instanceOf(NotCalledThroughProxyError);
+    expect(await decoded(gateway.proxiableUUID())).to.be.instanceOf(CalledThroughProxyError);
+    expect(await decoded(ethers.deployContract("SilentSwapV2GatewayProxy", [otherAccount.address, "0x"])))
+      .to.be.instanceOf(ImplementationNotContractError);
+  });
+});
@@ -7,13 +7,25 @@ const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers, network, utils, AbiCoder } = require("hardhat");
 
+const { deployGatewayFixture, signDepositParams, cctpMessage } = require("./helpers");
+const {
+  encodeBridgePayload,
+  decodeGatewayError,
+  decodeRevertData,
+  gatewayDomain,
+  signOrderApproval,
+  MessageNotReceivedError,
+  DepositorOnlySelfError,
+  BridgedTokenMismatchError,
+} = require("../sdk");
+
 const abiCoder = ethers.AbiCoder.defaultAbiCoder();
 
 describe("SilentSwapDepositor", function () {
   async function deployDepositorFixture() {
     await mine();
 
-    const [owner, otherAccount, notary, approver, refundee, signer] =
+    const [owner, otherAccount, notary, approver, refundee, signer, claimer] =
       await ethers.getSigners();
 
     // Deploy MockUSDC
@@ -29,7 +41,7 @@ describe("SilentSwapDepositor", function () {
 
     // Deploy the SilentSwapV2Gateway contract
     const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
-    const gateway = await Gateway.deploy(await mockUSDC.getAddress(), config);
+    const gateway = await Gateway.deploy(await mockUSDC.getAddress(), config, claimer.address);
 
     // Add approver to the gateway
     await gateway.addApprover("0x033c1cCc54303117D23E05C063751c18c8203918");
@@ -110,6 +122,11 @@ describe("SilentSwapDepositor", function () {
         payloadHash: payloadHash,
         typedDataSignature: typedDataSignature,
         receiveAuthorization: "0x", // Not used in depositProxy
+        token: ethers.ZeroAddress,
+        fee: 0n,
+        notarySet: ethers.ZeroHash,
+        minAmount: 0n,
+        maxAmount: 0n,
       };
 
       // Test depositProxy function - call from signer account
@@ -158,11 +175,16 @@ describe("SilentSwapDepositor", function () {
         payloadHash: ethers.keccak256(ethers.toUtf8Bytes("test")),
         typedDataSignature: "0x", // Simplified for test
         receiveAuthorization: receiveAuthorization,
+        token: ethers.ZeroAddress,
+        fee: 0n,
+        notarySet: ethers.ZeroHash,
+        minAmount: 0n,
+        maxAmount: 0n,
       };
 
 
       try {
-        await depositor.depositProxy(params, depositAmount);
+        await depositor.depositProxy(params);
       } catch (error) {
         console.log("Deposit proxy failed as expected due to signature verification");
       }
@@ -172,7 +194,7 @@ describe("SilentSwapDepositor", function () {
       expect(depositorBalance).to.equal(depositAmount);
     });
 
-    it("should revert when caller is not the signer", async function () {
+    it("should revert when the order approval is missing", async function () {
       const { depositor, mockUSDC, signer, notary, approver, otherAccount } =
         await loadFixture(deployDepositorFixture);
 
@@ -188,7 +210,7 @@ describe("SilentSwapDepositor", function () {
       );
 
       const params = {
-        signer: signer.address, // This is the signer, but we're calling from otherAccount
+        signer: signer.address,
         orderId: orderId,
         notary: notary.address,
         approver: approver.address,
@@ -199,12 +221,18 @@ describe("SilentSwapDepositor", function () {
         payloadHash: ethers.keccak256(ethers.toUtf8Bytes("test")),
         typedDataSignature: "0x",
         receiveAuthorization: receiveAuthorization,
+        token: ethers.ZeroAddress,
+        fee: 0n,
+        notarySet: ethers.ZeroHash,
+        minAmount: 0n,
+        maxAmount: 0n,
       };
 
-      // This should revert because otherAccount is not the signer
+      // anyone may trigger the depositor, but the gateway still checks the approval
       await expect(
-        depositor.connect(otherAccount).depositProxy(params, depositAmount)
-      ).to.be.revertedWith("Gateway: receive authorization not from signer");
+        depositor.connect(otherAccount).depositProxy(params)
+      ).to.be.reverted;
+      expect(await mockUSDC.balanceOf(await depositor.getAddress())).to.equal(depositAmount);
     });
 
     it("should revert when amount is below minimum", async function () {
@@ -234,88 +262,338 @@ describe("SilentSwapDepositor", function () {
         payloadHash: ethers.keccak256(ethers.toUtf8Bytes("test")),
         typedDataSignature: "0x",
         receiveAuthorization: receiveAuthorization,
+        token: ethers.ZeroAddress,
+        fee: 0n,
+        notarySet: ethers.ZeroHash,
+        minAmount: 0n,
+        maxAmount: 0n,
       };
 
       // This should revert because amount is below minimum
       await expect(
-        depositor.connect(signer).depositProxy(params, depositAmount)
+        depositor.connect(signer).depositProxy(params)
       ).to.be.revertedWith("Gateway: receive authorization amount too low; minimum is 1000000");
     });
   });
 
 
+  describe("Expected amounts", function () {
+    const min = ethers.parseUnits("95", 6);
+    const max = ethers.parseUnits("100", 6);
+
+    it("should deposit up to the committed maximum and refund the excess to the signer", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, depositor, usdc, signer } = fixture;
+      const { params } = await signDepositParams(fixture, { method: "depositProxy", minAmount: min, maxAmount: max });
+
+      // the approval commits to the range
+      await usdc.mint(await depositor.getAddress(), max + 3n);
+      await expect(depositor.depositProxy({ ...params, maxAmount: max + 3n }))
+        .to.be.revertedWith("Gateway: invalid order approval signature");
+
+      await expect(depositor.depositProxy(params))
+        .to.emit(depositor, "ExcessRefunded")
+        .withArgs(params.orderId, signer.address, 3n)
+        .and.to.emit(depositor, "DepositProxy")
+        .withArgs(signer.address, params.orderId, max);
+      expect((await gateway.orders(params.orderId)).amount).to.equal(max);
+      expect(await usdc.balanceOf(signer.address)).to.equal(3n);
+      expect(await usdc.balanceOf(await depositor.getAddress())).to.equal(0n);
+    });
+
+    it("should reject amounts below the committed minimum", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, depositor, usdc } = fixture;
+      const { params } = await signDepositParams(fixture, { method: "depositProxy", minAmount: min, maxAmount: max });
+
+      await usdc.mint(await depositor.getAddress(), min - 1n);
+      await expect(depositor.depositProxy(params)).to.be.revertedWith("Gateway: amount outside expected range");
+
+      await usdc.mint(await depositor.getAddress(), 1n);
+      await expect(depositor.depositProxy(params)).not.to.emit(depositor, "ExcessRefunded");
+      expect((await gateway.orders(params.orderId)).amount).to.equal(min);
+    });
+
+    it("should enforce a committed minimum without a maximum", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, depositor, usdc } = fixture;
+      const { params } = await signDepositParams(fixture, { method: "depositProxy", minAmount: min });
+
+      await usdc.mint(await depositor.getAddress(), min - 1n);
+      await expect(depositor.depositProxy(params)).to.be.revertedWith("Gateway: amount outside expected range");
+
+      // without a maximum, everything above the minimum is deposited
+      await usdc.mint(await depositor.getAddress(), max);
+      await expect(depositor.depositProxy(params)).not.to.emit(depositor, "ExcessRefunded");
+      expect((await gateway.orders(params.orderId)).amount).to.equal(min - 1n + max);
+    });
+
+    it("should keep the funds credited to each order apart", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, depositor, usdc, owner, otherAccount } = fixture;
+      const address = await depositor.getAddress();
+      const first = await signDepositParams(fixture, { label: "first", method: "depositProxy", minAmount: min, maxAmount: max });
+      const second = await signDepositParams(fixture, { label: "second", method: "depositProxy" });
+
+      // two bridge arrivals credited in the same block
+      const arrivals = [[first.params.orderId, max], [second.params.orderId, ethers.parseUnits("40", 6)]];
+      await usdc.mint(otherAccount.address, max * 2n);
+      await usdc.connect(otherAccount).approve(address, max * 2n);
+      await network.provider.send("evm_setAutomine", [false]);
+      const nonce = await otherAccount.getNonce();
+      const txs = [];
+      for (const [i, [orderId, amount]] of arrivals.entries()) {
+        txs.push(await depositor.connect(otherAccount).fundOrder(orderId, await usdc.getAddress(), amount, { nonce: nonce + i, gasLimit: 200000 }));
+      }
+      await mine();
+      const [a, b] = await Promise.all(txs.map((tx) => tx.wait()));
+      expect(a.blockNumber).to.equal(b.blockNumber);
+      await network.provider.send("evm_setAutomine", [true]);
+      expect(await depositor.orderBalances(first.params.orderId, await usdc.getAddress())).to.equal(max);
+      expect(await depositor.creditedBalances(await usdc.getAddress())).to.equal(max + arrivals[1][1]);
+
+      // stray funds are not credited to any order, and sweeping leaves the credits alone
+      await usdc.mint(address, 7n);
+      expect(await depositor.unallocatedBalance(await usdc.getAddress())).to.equal(7n);
+      const ownerBalance = await usdc.balanceOf(owner.address);
+      // the event carries the amount swept, not the credits left behind
+      await expect(depositor.sweep()).to.emit(depositor, "Sweep").withArgs(owner.address, 7n);
+      expect(await usdc.balanceOf(owner.address)).to.equal(ownerBalance + 7n);
+      const stray = await ethers.deployContract("MockUSDC");
+      await stray.mint(address, 4n);
+      await expect(depositor.sweepToken(await stray.getAddress())).to.emit(depositor, "Sweep").withArgs(owner.address, 4n);
+
+      await expect(depositor.depositProxy(second.params))
+        .to.emit(depositor, "DepositProxy")
+        .withArgs(fixture.signer.address, second.params.orderId, arrivals[1][1]);
+      await depositor.depositProxy(first.params);
+      expect((await gateway.orders(first.params.orderId)).amount).to.equal(max);
+      expect(await depositor.creditedBalances(await usdc.getAddress())).to.equal(0n);
+
+      // a credit whose deposit can no longer succeed is swept separately
+      const stuck = ethers.encodeBytes32String("stuck");
+      await usdc.connect(otherAccount).approve(address, 5n);
+      await usdc.mint(otherAccount.address, 5n);
+      await depositor.connect(otherAccount).fundOrder(stuck, await usdc.getAddress(), 5n);
+      await expect(depositor.connect(otherAccount).sweepOrder(stuck, await usdc.getAddress()))
+        .to.be.revertedWithCustomError(depositor, "OwnableUnauthorizedAccount");
+      await expect(depositor.sweepOrder(stuck, await usdc.getAddress()))
+        .to.emit(depositor, "Sweep")
+        .withArgs(owner.address, 5n);
+    });
+  });
+
+  describe("Bridge receivers", function () {
+    async function deployBridgesFixture() {
+      const fixture = await deployGatewayFixture();
+      const attester = ethers.Wallet.createRandom();
+      const transmitter = await ethers.deployContract("MockMessageTransmitter", [await fixture.usdc.getAddress(), attester.address]);
+      const axelar = await ethers.deployContract("MockAxelarGateway");
+      await axelar.setTokenAddress("USDC", await fixture.usdc.getAddress());
+      await fixture.depositor.setBridges(await transmitter.getAddress(), await axelar.getAddress());
+      return { ...fixture, attester, transmitter, axelar };
+    }
+
+    it("should only let the owner set the bridges", async function () {
+      const { depositor, otherAccount } = await loadFixture(deployGatewayFixture);
+      const { message, attestation } = cctpMessage(ethers.Wallet.createRandom(), { recipient: await depositor.getAddress(), amount: 1n });
+
+      await expect(depositor.receiveCctpMessage(message, attestation))
+        .to.be.revertedWith("SilentSwapDepositor: bridge not configured");
+      await expect(depositor.connect(otherAccount).setBridges(otherAccount.address, otherAccount.address))
+        .to.be.revertedWithCustomError(depositor, "OwnableUnauthorizedAccount");
+      await expect(depositor.setBridges(otherAccount.address, ethers.ZeroAddress))
+        .to.emit(depositor, "BridgesUpdated")
+        .withArgs(otherAccount.address, ethers.ZeroAddress);
+    });
+
+    it("should deposit the USDC a CCTP message mints for the order in its hook data", async function () {
+      const fixture = await loadFixture(deployBridgesFixture);
+      const { gateway, depositor, usdc, signer, attester, transmitter } = fixture;
+      const recipient = await depositor.getAddress();
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      const hookData = encodeBridgePayload(params);
+
+      // messages that could be received without the hook, or that mint elsewhere, are rejected
+      for (const fields of [{ destinationCaller: ethers.ZeroAddress }, { recipient: signer.address, destinationCaller: recipient }]) {
+        const { message, attestation } = cctpMessage(attester, { recipient, amount, hookData, ...fields });
+        await expect(depositor.receiveCctpMessage(message, attestation))
+          .to.be.revertedWith("SilentSwapDepositor: invalid CCTP message");
+      }
+
+      // the fee CCTP withholds is not deposited
+      const { message, attestation } = cctpMessage(attester, { recipient, amount: amount + 2n, feeExecuted: 2n, hookData });
+      await expect(depositor.receiveCctpMessage(message, attestation))
+        .to.emit(depositor, "BridgeDeposit")
+        .withArgs(signer.address, params.orderId, await transmitter.getAddress(), amount);
+      expect((await gateway.orders(params.orderId)).amount).to.equal(amount);
+      expect(await usdc.balanceOf(recipient)).to.equal(0n);
+
+      await expect(depositor.receiveCctpMessage(message, attestation)).to.be.revertedWith("Nonce already used");
+    });
+
+    it("should send bridged funds to the refund address when the deposit reverts", async function () {
+      const fixture = await loadFixture(deployBridgesFixture);
+      const { gateway, depositor, usdc, signer, otherAccount, attester, transmitter } = fixture;
+      const recipient = await depositor.getAddress();
+      const amount = ethers.parseUnits("100", 6);
+      const { params } = await signDepositParams(fixture, { method: "depositProxy", minAmount: amount + 1n, maxAmount: amount * 2n });
+
+      // credits of the same order are left alone
+      await usdc.mint(otherAccount.address, 5n);
+      await usdc.connect(otherAccount).approve(recipient, 5n);
+      await depositor.connect(otherAccount).fundOrder(params.orderId, await usdc.getAddress(), 5n);
+
+      const reason = ethers.concat([
+        ethers.id("Error(string)").slice(0, 10),
+        abiCoder.encode(["string"], ["Gateway: amount outside expected range"]),
+      ]);
+      const { message, attestation } = cctpMessage(attester, {
+        recipient,
+        amount,
+        hookData: encodeBridgePayload(params, otherAccount.address),
+      });
+      await expect(depositor.receiveCctpMessage(message, attestation))
+        .to.emit(depositor, "BridgeDepositFailed")
+        .withArgs(params.orderId, otherAccount.address, await transmitter.getAddress(), amount, reason);
+      expect(await usdc.balanceOf(otherAccount.address)).to.equal(amount);
+      expect(await usdc.balanceOf(signer.address)).to.equal(0n);
+      expect(await depositor.orderBalances(params.orderId, await usdc.getAddress())).to.equal(5n);
+      expect((await gateway.orders(params.orderId)).refundee).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should send a bridged excess above the order's maximum to the refund address", async function () {
+      const fixture = await loadFixture(deployBridgesFixture);
+      const { gateway, depositor, usdc, signer, otherAccount, attester, transmitter } = fixture;
+      const recipient = await depositor.getAddress();
+      const max = ethers.parseUnits("100", 6);
+      const { params } = await signDepositParams(fixture, { method: "depositProxy", minAmount: max - 5n, maxAmount: max });
+
+      const { message, attestation } = cctpMessage(attester, {
+        recipient,
+        amount: max + 3n,
+        hookData: encodeBridgePayload(params, otherAccount.address),
+      });
+      await expect(depositor.receiveCctpMessage(message, attestation))
+        .to.emit(depositor, "ExcessRefunded")
+        .withArgs(params.orderId, otherAccount.address, 3n)
+        .and.to.emit(depositor, "BridgeDeposit")
+        .withArgs(signer.address, params.orderId, await transmitter.getAddress(), max);
+      expect((await gateway.orders(params.orderId)).amount).to.equal(max);
+      expect(await usdc.balanceOf(otherAccount.address)).to.equal(3n);
+      expect(await usdc.balanceOf(signer.address)).to.equal(0n);
+    });
+
+    it("should deposit the tokens of an approved Axelar call and refund the signer on mismatched tokens", async function () {
+      const fixture = await loadFixture(deployBridgesFixture);
+      const { gateway, depositor, usdc, signer, axelar } = fixture;
+      const recipient = await depositor.getAddress();
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      const payload = encodeBridgePayload(params);
+      const call = [ethers.id("command"), "Ethereum", signer.address, payload, "USDC", amount];
+
+      await expect(depositor.executeWithToken(...call))
+        .to.be.revertedWith("SilentSwapDepositor: not approved by bridge");
+
+      await axelar.approveContractCallWithMint(call[0], call[1], call[2], recipient, ethers.keccak256(payload), call[4], call[5]);
+      await expect(depositor.executeWithToken(...call))
+        .to.emit(depositor, "BridgeDeposit")
+        .withArgs(signer.address, params.orderId, await axelar.getAddress(), amount);
+      expect((await gateway.orders(params.orderId)).amount).to.equal(amount);
+      await expect(depositor.executeWithToken(...call))
+        .to.be.revertedWith("SilentSwapDepositor: not approved by bridge");
+
+      // the order deposits USDC, not whatever token arrived
+      const axlUsdc = await ethers.deployContract("MockUSDC");
+      await axelar.setTokenAddress("axlUSDC", await axlUsdc.getAddress());
+      const other = await signDepositParams(fixture, { label: "other", method: "depositProxy" });
+      const otherPayload = encodeBridgePayload(other.params);
+      const otherCall = [ethers.id("other"), "Ethereum", signer.address, otherPayload, "axlUSDC", amount];
+      await axelar.approveContractCallWithMint(otherCall[0], otherCall[1], otherCall[2], recipient, ethers.keccak256(otherPayload), otherCall[4], otherCall[5]);
+      await expect(depositor.executeWithToken(...otherCall))
+        .to.emit(depositor, "BridgeDepositFailed")
+        .withArgs(other.params.orderId, signer.address, await axelar.getAddress(), amount, anyValue);
+      expect(await axlUsdc.balanceOf(signer.address)).to.equal(amount);
+    });
+    it("should decode the bridge receivers' reverts into typed SDK errors", async function () {
+      const fixture = await loadFixture(deployBridgesFixture);
+      const { depositor, usdc, signer, attester, transmitter, axelar } = fixture;
+      const recipient = await depositor.getAddress();
+      const { params, amount } = await signDepositParams(fixture, { method: "depositProxy" });
+      const payload = encodeBridgePayload(params);
+
+      await transmitter.setRejectMessages(true);
+      const { message, attestation } = cctpMessage(attester, { recipient, amount, hookData: payload });
+      const notReceived = await depositor.receiveCctpMessage.staticCall(message, attestation).catch(decodeGatewayError);
+      expect(notReceived).to.be.instanceOf(MessageNotReceivedError);
+
+      const onlySelf = await depositor.depositBridged.staticCall(params, await usdc.getAddress(), amount, signer.address).catch(decodeGatewayError);
+      expect(onlySelf).to.be.instanceOf(DepositorOnlySelfError);
+
+      // a mismatched token is caught, and its reason emitted with the failure
+      const axlUsdc = await ethers.deployContract("MockUSDC");
+      await axelar.setTokenAddress("axlUSDC", await axlUsdc.getAddress());
+      const call = [ethers.id("command"), "Ethereum", signer.address, payload, "axlUSDC", amount];
+      await axelar.approveContractCallWithMint(call[0], call[1], call[2], recipient, ethers.keccak256(payload), call[4], call[5]);
+      const receipt = await (await depositor.executeWithToken(...call)).wait();
+      const failed = receipt.logs.map((log) => depositor.interface.parseLog(log)).find((log) => log && log.name === "BridgeDepositFailed");
+      expect(decodeRevertData(failed.args.reason)).to.be.instanceOf(BridgedTokenMismatchError);
+    });
+  });
+
   describe("Real World Proxy Deposit Parameters", function () {
     it("should process deposit proxy with real encoded parameters", async function () {
-      const { depositor, gateway, mockUSDC } = await loadFixture(deployDepositorFixture);
+      const { depositor, gateway, mockUSDC, approver } = await loadFixture(deployDepositorFixture);
 
       const depositAmount = ethers.parseUnits("500", 6);
 
+      // the recorded order approval expired in August 2025, so a local approver signs it again in the gateway's
+      // domain; the signer's recorded order signature does not expire
+      await gateway.addApprover(approver.address);
+      const approvalExpiration = (await time.latest()) + 3600;
+
       // Parse the real parameters from the encoded data
       const params = {
         signer: "0xF9E96117C78D2db75B9C9c8d8049EFC235CdB6b8",
         orderId: "0x9412e22216166dd47cc522938665a5e5bb9710cb5da455606374187f82ac816c",
         notary: "0x1F532530556609C6b1d96B2251445C367442f834",
-        approver: "0x033c1cCc54303117D23E05C063751c18c8203918",
-        orderApproval: "0x20efb82d912d016626f111a32feb93dffe8e2e60f95003410425d5bad875873c638ccfbc6dbd3e70a9b7e7bfc24a7c35260c1f105a28c6715350396562276d7d1c",
-        approvalExpiration: "1755760059",
+        approver: approver.address,
+        orderApproval: "0x",
+        approvalExpiration,
         duration: "172800",
         domainSepHash: "0xd814527c26868f35c040e03085fe086e30e1071d880dc49b2b1f781090ad8202",
         payloadHash: "0x1192a222577519c0bf1ac7f8fbd4c3198251f7c2cea93eaa9652e9b928b16bbd",
         typedDataSignature: "0x3099d1472737419f53a845849e5f1a446b6395d4a076819811f5464cc27ac9eb0841013d0167e2e97a43e6857feb3d978f0a1b49f95df5fd3ae687d8e6a8eb481c",
-        receiveAuthorization: "0x000000000000000000000000f9e96117c78d2db75b9c9c8d8049efc235cdb6b80000000000000000000000009d1769e60d8cacced3b2c40c84a4f27c011fb53f00000000000000000000000000000000000000000000000000000000004c4b4000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000068a6c5bbd6825a3272af2ef25b5cc635415a954eb976d383ce128ad5efd6c8bc29bd56a3000000000000000000000000000000000000000000000000000000000000001c993c687ff3bb714cda373a18447d9295c0b8064091f95950d832cd517f2178c32ac24d5f86fd3e2ffe17ed20fa275dd51e7649830a902686f1127736eab28f9b"
+        receiveAuthorization: "0x000000000000000000000000f9e96117c78d2db75b9c9c8d8049efc235cdb6b80000000000000000000000009d1769e60d8cacced3b2c40c84a4f27c011fb53f00000000000000000000000000000000000000000000000000000000004c4b4000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000068a6c5bbd6825a3272af2ef25b5cc635415a954eb976d383ce128ad5efd6c8bc29bd56a3000000000000000000000000000000000000000000000000000000000000001c993c687ff3bb714cda373a18447d9295c0b8064091f95950d832cd517f2178c32ac24d5f86fd3e2ffe17ed20fa275dd51e7649830a902686f1127736eab28f9b",
+        token: ethers.ZeroAddress,
+        fee: 0n,
+        notarySet: ethers.ZeroHash,
+        minAmount: 0n,
+        maxAmount: 0n,
       };
+      const { chainId } = await ethers.provider.getNetwork();
+      params.orderApproval = await signOrderApproval(approver, params, gatewayDomain(chainId, await gateway.getAddress()));
 
-      // Now call depositProxy - this should work since we have the real signatures
-      console.log("Calling depositProxy with real parameters...");
-      
-    
-        // Transfer USDC from the admin (owner) who has a USDC balance to the depositor
-        const [admin] = await ethers.getSigners();
-        await mockUSDC.connect(admin).transfer(await depositor.getAddress(), depositAmount);
-        
-        console.log("USDC transferred to depositor");
-        console.log("Depositor balance:", await mockUSDC.balanceOf(await depositor.getAddress()));
-        // Approve gateway to spend depositor's USDC
-
-        const tx = await depositor.depositProxy(params);
-        const receipt = await tx.wait();
-        console.log("Deposit proxy succeeded! Transaction hash:", tx.hash);
-        
-        // Verify the order was created in the gateway
-        const orderStatus = await gateway.queryOrderStatus(params.orderId);
-        console.log("Order status after deposit:", orderStatus.toString());
-        
-        // Verify the depositor contract no longer has the USDC (it was transferred to gateway)
-        const finalBalance = await mockUSDC.balanceOf(await depositor.getAddress());
-        console.log("Final depositor balance:", finalBalance.toString());
-        expect(finalBalance).to.equal(0n);
-        
-        // Verify the gateway has the USDC
-        const gatewayBalance = await mockUSDC.balanceOf(await gateway.getAddress());
-        console.log("Gateway balance after deposit:", gatewayBalance.toString());
-        expect(gatewayBalance).to.equal(depositAmount);
-        
-        // Verify the order details
-        const order = await gateway.orders(params.orderId);
-        console.log("Order details:", {
-          status: order.status.toString(),
-          expiration: order.expiration.toString(),
-          notary: order.notary,
-          refundee: order.refundee,
-          amount: order.amount.toString()
-        });
-        
-        // Verify the payload was stored
-        const storedOrderId = await gateway.payloads(params.payloadHash);
-        expect(storedOrderId).to.equal(params.orderId);
-        
-        // Verify the signer count was incremented
-        const signerCount = await gateway.getSignerCount(params.signer);
-        expect(signerCount).to.equal(1n);
-        
+      // Transfer USDC from the admin (owner) who has a USDC balance to the depositor
+      const [admin] = await ethers.getSigners();
+      await mockUSDC.connect(admin).transfer(await depositor.getAddress(), depositAmount);
 
-    });
+      const tx = await depositor.depositProxy(params);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
 
-  })  
-  
-}); 
\ No newline at end of file
+      // the depositor's USDC moved to the gateway
+      expect(await mockUSDC.balanceOf(await depositor.getAddress())).to.equal(0n);
+      expect(await mockUSDC.balanceOf(await gateway.getAddress())).to.equal(depositAmount);
+
+      const order = await gateway.orders(params.orderId);
+      expect(order.amount).to.equal(depositAmount);
+      expect(order.expiration).to.equal(BigInt(timestamp + 172800));
+
+      // Verify the payload was stored
+      expect(await gateway.payloads(params.payloadHash)).to.equal(params.orderId);
+
+      // Verify the signer count was incremented
+      expect(await gateway.getSignerCount(params.signer)).to.equal(1n);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { readStorageLayout, loadStorageLayouts, compareStorageLayouts } = require("../scripts/storage-layout");
+
+describe("Storage layout", function () {
+  // edits a copy of `layout`, as a new implementation would
+  const edit = (layout, change) => {
+    const copy = structuredClone(layout);
+    change(copy);
+    return copy;
+  };
+
+  it("lets the upgradeable gateway take over the storage of every saved implementation", async function () {
+    const saved = loadStorageLayouts("SilentSwapV2GatewayUpgradeable");
+    expect(saved.map(({ name }) => name)).to.include("v1");
+
+    const current = await readStorageLayout(hre, "SilentSwapV2GatewayUpgradeable");
+    const next = await readStorageLayout(hre, "MockGatewayUpgrade");
+    for (const { name, layout } of saved) {
+      expect(compareStorageLayouts(layout, current), name).to.deep.equal([]);
+      expect(compareStorageLayouts(layout, next), name).to.deep.equal([]);
+    }
+
+    // the upgradeable gateway adds no storage to the gateway's own
+    expect(current).to.deep.equal(await readStorageLayout(hre, "SilentSwapV2Gateway"));
+    expect(next.storage.at(-1)).to.deep.include({ label: "upgradedAt", slot: String(BigInt(current.storage.at(-1).slot) + 1n) });
+  });
+
+  it("has the compiled layout saved as the latest implementation's", async function () {
+    // a storage change must be saved as a new layout with `npx hardhat storage-layout --save <name>`
+    const { name, layout } = loadStorageLayouts("SilentSwapV2GatewayUpgradeable").at(-1);
+    expect(await readStorageLayout(hre, "SilentSwapV2GatewayUpgradeable"), name).to.deep.equal(layout);
+  });
+
+  it("reports variables inserted, removed, moved or retyped", async function () {
+    const layout = await readStorageLayout(hre, "SilentSwapV2GatewayUpgradeable");
+    const last = layout.storage.at(-1);
+
+    // a variable declared before the gateway's own shifts all of them
+    const inserted = edit(layout, ({ storage }) => {
+      storage.splice(3, 0, { label: "paused", slot: "3", offset: 0, type: "t_bool" });
+      storage.slice(4).forEach((variable) => { variable.slot = String(BigInt(variable.slot) + 1n); });
+    });
+    const errors = compareStorageLayouts(layout, inserted);
+    expect(errors[0]).to.equal("orders (slot 3, offset 0) was replaced by paused");
+    expect(errors).to.have.lengthOf(layout.storage.length - 3);
+
+    expect(compareStorageLayouts(layout, edit(layout, ({ storage }) => storage.pop())))
+      .to.deep.equal([`${last.label} (slot ${last.slot}, offset 0) was removed`]);
+
+    const packed = edit(layout, ({ storage }) => {
+      Object.assign(storage.find((variable) => variable.label === "depositsPaused"), { slot: "19", offset: 0 });
+    });
+    expect(compareStorageLayouts(layout, packed)).to.deep.equal(["depositsPaused moved from slot 18, offset 20 to slot 19, offset 0"]);
+
+    const retyped = edit(layout, ({ storage }) => {
+      storage.find((variable) => variable.label === "feeTreasury").type = "t_uint256";
+    });
+    expect(compareStorageLayouts(layout, retyped)).to.deep.equal(["feeTreasury: type changed from address to uint256"]);
+
+    // appending variables is safe
+    const appended = edit(layout, ({ storage }) => {
+      storage.push({ label: "upgradedAt", slot: String(BigInt(last.slot) + 1n), offset: 0, type: "t_uint256" });
+    });
+    expect(compareStorageLayouts(layout, appended)).to.deep.equal([]);
+  });
+
+  it("lets structs grow only where they are mapping values", async function () {
+    const layout = await readStorageLayout(hre, "SilentSwapV2GatewayUpgradeable");
+    const grow = (name) => edit(layout, ({ types }) => {
+      const struct = types[`t_struct(${name})_storage`];
+      struct.members.push({ label: "extra", slot: String(BigInt(struct.numberOfBytes) / 32n), offset: 0, type: "t_uint256" });
+      struct.numberOfBytes = String(BigInt(struct.numberOfBytes) + 32n);
+    });
+
+    // every order lives in its own slots of the `orders` mapping
+    expect(compareStorageLayouts(layout, grow("Order"))).to.deep.equal([]);
+
+    // `config` is followed by `depositTokens`
+    expect(compareStorageLayouts(layout, grow("Config"))).to.deep.equal(["config: size changed from 96 to 128 bytes"]);
+
+    const reordered = edit(layout, ({ types }) => {
+      const { members } = types["t_struct(Order)_storage"];
+      [members[1].label, members[4].label] = [members[4].label, members[1].label];
+    });
+    expect(compareStorageLayouts(layout, reordered)).to.deep.equal([
+      "orders[].expiration (slot 1, offset 0) was replaced by amount",
+      "orders[].amount (slot 4, offset 0) was replaced by expiration",
+    ]);
+  });
+});
@@ -0,0 +1,276 @@
+// Shared offline fixtures: a MockUSDC with real EIP-3009 checks, a gateway and depositor wired to
+// it, and helpers that sign valid approvals, typed-data payloads and receive authorizations.
+
+const { time, setCode } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { ethers } = require("hardhat");
+
+const {
+  GatewayClient,
+  orderDomain,
+  hashOrder,
+  signOrder,
+  signOrderApproval,
+  signReceiveAuthorization,
+  tokenDomain,
+  signClaim,
+  gatewayDomain,
+  PERMIT2_ADDRESS,
+  wrapErc6492Signature,
+} = require("../sdk");
+
+const CONFIG = {
+  minDuration: 3600, // 1 hour in seconds
+  maxDuration: 86400, // 24 hours in seconds
+  minDepositAmount: ethers.parseUnits("1", 6), // 1 USDC (6 decimals)
+};
+
+/**
+ * Deploys MockUSDC, the gateway and the depositor, with an authorized approver and claimer.
+ * `domain` is the gateway's EIP-712 domain for approvals and notary signatures. Pass to
+ * `loadFixture` as-is.
+ */
+async function deployGatewayFixture() {
+  const [owner, approver, claimer, signer, otherAccount] = await ethers.getSigners();
+  const notary = ethers.Wallet.createRandom();
+
+  const usdc = await ethers.deployContract("MockUSDC");
+
+  const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+  const gateway = await Gateway.deploy(await usdc.getAddress(), CONFIG, claimer.address);
+  await gateway.addApprover(approver.address);
+
+  const Depositor = await ethers.getContractFactory("SilentSwapDepositor");
+  const depositor = await Depositor.deploy(await gateway.getAddress(), await usdc.getAddress());
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = gatewayDomain(chainId, await gateway.getAddress());
+
+  return { usdc, gateway, depositor, owner, approver, claimer, signer, notary, otherAccount, config: CONFIG, chainId, domain };
+}
+
+/**
+ * Like {@link deployGatewayFixture}, with the gateway deployed as a `SilentSwapV2GatewayUpgradeable` behind its
+ * proxy: `gateway` is the proxy and `implementation` the contract behind it.
+ */
+async function deployUpgradeableGatewayFixture() {
+  const [owner, approver, claimer, signer, otherAccount] = await ethers.getSigners();
+  const notary = ethers.Wallet.createRandom();
+
+  const usdc = await ethers.deployContract("MockUSDC");
+
+  const implementation = await ethers.deployContract("SilentSwapV2GatewayUpgradeable", [await usdc.getAddress()]);
+  const proxy = await ethers.deployContract("SilentSwapV2GatewayProxy", [
+    await implementation.getAddress(),
+    implementation.interface.encodeFunctionData("initialize", [CONFIG, claimer.address, owner.address]),
+  ]);
+  const gateway = implementation.attach(await proxy.getAddress());
+  await gateway.addApprover(approver.address);
+
+  const Depositor = await ethers.getContractFactory("SilentSwapDepositor");
+  const depositor = await Depositor.deploy(await gateway.getAddress(), await usdc.getAddress());
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = gatewayDomain(chainId, await gateway.getAddress());
+
+  return {
+    usdc, gateway, implementation, depositor, owner, approver, claimer, signer, notary, otherAccount, config: CONFIG, chainId, domain,
+  };
+}
+
+/**
+ * A minimal `Order` typed-data message, in the readme's schema.
+ * @param {object} fields
+ * @param {string} fields.quoteId
+ * @param {string} fields.signer
+ * @param {bigint} fields.deposit
+ * @param {string} fields.notary
+ */
+function orderMessage({ quoteId, signer, deposit, notary }) {
+  return {
+    quoteId,
+    quote: {
+      signer,
+      nonce: 0,
+      privacy: "BETTER",
+      deposit,
+      fee: 0,
+      outputs: [],
+      metadata: {
+        cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+        axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+        notaryContract: { chainId: "secret-4", contractAddress: "secret1notary", signerAddress: notary },
+      },
+    },
+  };
+}
+
+/**
+ * Signs a complete, valid `DepositParams`.
+ * @param {object} fixture result of {@link deployGatewayFixture}
+ * @param {object} [options]
+ * @param {string} [options.label="order"] orderId and quoteId
+ * @param {bigint} [options.amount=100 USDC]
+ * @param {number} [options.duration=config.minDuration]
+ * @param {"deposit"|"depositProxy"} [options.method="deposit"] `deposit` adds a signed receive authorization
+ * @param {ethers.Signer} [options.signer=fixture.signer]
+ * @param {string} [options.notary=fixture.notary.address]
+ * @param {string} [options.to=gateway] payee of the receive authorization
+ * @param {ethers.Contract} [options.token] deposit token other than `fixture.usdc`
+ * @param {bigint} [options.fee=0n] protocol fee committed in the approval
+ * @param {string} [options.notarySet=ZeroHash] registered notary set releasing the order; pass
+ *   `notary: ethers.ZeroAddress` with it
+ * @param {object} [options.account] smart account signing through its owner `options.signer`; the
+ *   signature is ERC-6492 wrapped when `account.factory` and `account.factoryData` are given
+ * @returns {Promise<{params: object, amount: bigint}>}
+ */
+async function signDepositParams(fixture, {
+  label = "order",
+  amount = ethers.parseUnits("100", 6),
+  duration = CONFIG.minDuration,
+  method = "deposit",
+  signer = fixture.signer,
+  notary = fixture.notary.address,
+  to,
+  token,
+  fee = 0n,
+  notarySet = ethers.ZeroHash,
+  minAmount = 0n,
+  maxAmount = 0n,
+  account,
+} = {}) {
+  const gatewayAddress = await fixture.gateway.getAddress();
+  const signerAddress = account ? account.address : await signer.getAddress();
+  const orderId = ethers.encodeBytes32String(label);
+  const approvalExpiration = (await time.latest()) + 3600;
+
+  const domain = orderDomain(fixture.chainId);
+  const message = orderMessage({ quoteId: label, signer: signerAddress, deposit: amount, notary });
+  const { domainSepHash, payloadHash } = hashOrder(domain, message);
+  const tokenAddress = token ? await token.getAddress() : ethers.ZeroAddress;
+
+  let typedDataSignature = await signOrder(signer, domain, message);
+  if (account && account.factory) typedDataSignature = wrapErc6492Signature({ ...account, signature: typedDataSignature });
+
+  let receiveAuthorization = "0x";
+  if (method === "deposit") {
+    receiveAuthorization = await signReceiveAuthorization(signer, await tokenDomain(token || fixture.usdc), {
+      to: to || gatewayAddress,
+      value: amount,
+      validBefore: approvalExpiration,
+    });
+  }
+
+  const params = {
+    signer: signerAddress,
+    orderId,
+    notary,
+    approver: fixture.approver.address,
+    orderApproval: await signOrderApproval(fixture.approver, {
+      orderId, signer: signerAddress, notary, approvalExpiration, domainSepHash, payloadHash, token: tokenAddress, fee, notarySet, minAmount, maxAmount,
+    }, gatewayDomain(fixture.chainId, gatewayAddress)),
+    approvalExpiration,
+    duration,
+    domainSepHash,
+    payloadHash,
+    typedDataSignature,
+    receiveAuthorization,
+    token: tokenAddress,
+    fee,
+    notarySet,
+    minAmount,
+    maxAmount,
+  };
+
+  return { params, amount };
+}
+
+/**
+ * Funds the signer and opens an order with `deposit()`.
+ * @param {object} fixture result of {@link deployGatewayFixture}
+ * @param {object} [options] see {@link signDepositParams}
+ * @returns {Promise<{orderId: string, params: object, amount: bigint}>}
+ */
+async function openOrder(fixture, options = {}) {
+  const signer = options.signer || fixture.signer;
+  const { params, amount } = await signDepositParams(fixture, { ...options, method: "deposit" });
+
+  await (options.token || fixture.usdc).mint(await signer.getAddress(), amount);
+  await new GatewayClient(await fixture.gateway.getAddress(), signer).deposit(params);
+
+  return { orderId: params.orderId, params, amount };
+}
+
+/**
+ * Notary-signed `ClaimSpec`s for `claim()`.
+ * @param {ethers.Signer} notary
+ * @param {string[]} orderIds
+ * @param {object|null} domain the gateway's EIP-712 domain, `null` for the legacy format
+ */
+async function signClaims(notary, orderIds, domain) {
+  return Promise.all(orderIds.map(async (orderId) => ({ orderId, signature: await signClaim(notary, orderId, domain), recipients: [], shares: [] })));
+}
+
+/**
+ * Deploys a MockSmartAccountFactory and predicts the account of `owner`, without deploying it.
+ * @param {ethers.Signer} owner
+ * @param {string} [salt=ZeroHash] bytes32
+ * @returns {Promise<{factory: ethers.Contract, account: {address: string, factory: string, factoryData: string}}>}
+ */
+async function smartAccountFactory(owner, salt = ethers.ZeroHash) {
+  const factory = await ethers.deployContract("MockSmartAccountFactory");
+  const ownerAddress = await owner.getAddress();
+  const account = {
+    address: await factory.accountAddress(ownerAddress, salt),
+    factory: await factory.getAddress(),
+    factoryData: factory.interface.encodeFunctionData("deploy", [ownerAddress, salt]),
+  };
+  return { factory, account };
+}
+
+/**
+ * Installs MockPermit2 at the canonical Permit2 address, where the gateway expects it.
+ * @returns {Promise<ethers.Contract>}
+ */
+async function installPermit2() {
+  const permit2 = await ethers.deployContract("MockPermit2");
+  await setCode(PERMIT2_ADDRESS, await ethers.provider.getCode(await permit2.getAddress()));
+  return ethers.getContractAt("MockPermit2", PERMIT2_ADDRESS);
+}
+
+/**
+ * A CCTP V2 burn message, as emitted by `MessageSent` on the source domain, attested by `attester`.
+ * @param {ethers.Wallet} attester the attester of MockMessageTransmitter
+ * @param {object} fields
+ * @param {string} fields.recipient mint recipient and destination caller
+ * @param {bigint} fields.amount burned amount
+ * @param {bigint} [fields.feeExecuted=0n] CCTP fee withheld from the minted amount
+ * @param {string} [fields.hookData="0x"]
+ * @param {string} [fields.destinationCaller=fields.recipient]
+ * @param {number} [fields.nonce=1]
+ * @returns {{message: string, attestation: string}}
+ */
+function cctpMessage(attester, { recipient, amount, feeExecuted = 0n, hookData = "0x", destinationCaller = recipient, nonce = 1 }) {
+  const address32 = (address) => ethers.zeroPadValue(address, 32);
+  const body = ethers.solidityPacked(
+    ["uint32", "bytes32", "bytes32", "uint256", "bytes32", "uint256", "uint256", "uint256", "bytes"],
+    [1, address32(ethers.ZeroAddress), address32(recipient), amount, address32(ethers.ZeroAddress), feeExecuted, feeExecuted, 0, hookData],
+  );
+  const message = ethers.solidityPacked(
+    ["uint32", "uint32", "uint32", "bytes32", "bytes32", "bytes32", "bytes32", "uint32", "uint32", "bytes"],
+    [1, 0, 1, ethers.toBeHex(nonce, 32), ethers.ZeroHash, ethers.ZeroHash, address32(destinationCaller), 2000, 2000, body],
+  );
+  return { message, attestation: attester.signingKey.sign(ethers.keccak256(message)).serialized };
+}
+
+module.exports = {
+  CONFIG,
+  deployGatewayFixture,
+  deployUpgradeableGatewayFixture,
+  orderMessage,
+  signDepositParams,
+  openOrder,
+  signClaims,
+  smartAccountFactory,
+  installPermit2,
+  cctpMessage,
+};
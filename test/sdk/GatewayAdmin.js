@@ -0,0 +1,232 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const {
+  GatewayAdmin,
+  formatPlan,
+  toSafeBatch,
+  PauseScope,
+  InvalidConfigError,
+  GuardianUnauthorizedError,
+  OperationNotReadyError,
+  OwnableUnauthorizedAccountError,
+} = require("../../sdk");
+
+describe("SDK: GatewayAdmin", function () {
+  async function deployFixture() {
+    const [owner, claimer, approver, newOwner, stranger] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(
+      await token.getAddress(),
+      { minDuration: 3600, maxDuration: 86400, minDepositAmount: ethers.parseUnits("1", 6) },
+      claimer.address
+    );
+
+    const Depositor = await ethers.getContractFactory("SilentSwapDepositor");
+    const depositor = await Depositor.deploy(await gateway.getAddress(), await token.getAddress());
+
+    const admin = new GatewayAdmin(await gateway.getAddress(), ethers.provider, { depositor: await depositor.getAddress() });
+    return { gateway, depositor, token, admin, owner, claimer, approver, newOwner, stranger };
+  }
+
+  it("plans changes against the current state without sending them", async function () {
+    const { gateway, admin, owner, claimer, approver } = await loadFixture(deployFixture);
+
+    const config = await admin.setConfig({ maxDuration: 7200 });
+    expect(config.sender).to.equal(owner.address);
+    expect(config.changes).to.deep.equal([
+      { field: "config.minDuration", before: 3600n, after: 3600n, changed: false },
+      { field: "config.maxDuration", before: 86400n, after: 7200n, changed: true },
+      { field: "config.minDepositAmount", before: 1000000n, after: 1000000n, changed: false },
+    ]);
+    expect(formatPlan(config)).to.include("config.maxDuration: 86400 -> 7200");
+    expect((await gateway.getConfig()).maxDuration).to.equal(86400n);
+
+    expect((await admin.addApprover(approver.address)).changed).to.equal(true);
+    expect((await admin.addClaimer(claimer.address)).changed).to.equal(false);
+    expect((await admin.removeApprover(approver.address)).changed).to.equal(false);
+    expect((await admin.setClaimsCap(50)).changed).to.equal(false);
+
+    const other = await ethers.deployContract("TestERC20", ["Tether USD", "USDT"]);
+    const listing = await admin.setDepositToken(await other.getAddress(), 5000000n);
+    expect(listing.changes.map((entry) => [entry.before, entry.after])).to.deep.equal([[false, true], [0n, 5000000n]]);
+    expect((await admin.removeDepositToken(await other.getAddress())).changed).to.equal(false);
+
+    const treasury = await admin.setFeeTreasury(approver.address);
+    expect(treasury.changes).to.deep.equal([{ field: "feeTreasury", before: owner.address, after: approver.address, changed: true }]);
+    expect((await admin.setRefundFeePolicy("RetainFee")).changes[0]).to.include({ before: 0, after: 1, changed: true });
+    expect((await admin.setRefundFeePolicy(0)).changed).to.equal(false);
+    await expect(admin.setRefundFeePolicy("Keep")).to.be.rejectedWith(TypeError);
+  });
+
+  it("simulates plans and surfaces the revert they would hit", async function () {
+    const { admin, stranger } = await loadFixture(deployFixture);
+
+    const cap = await admin.setClaimsCap(10);
+    await admin.simulate(cap);
+    await expect(admin.simulate(cap, stranger.address)).to.be.rejectedWith(OwnableUnauthorizedAccountError);
+
+    const invalid = await admin.setConfig({ minDuration: 100000 });
+    await expect(admin.simulate(invalid)).to.be.rejectedWith(InvalidConfigError);
+
+    await expect(admin.execute(cap, stranger)).to.be.rejectedWith(OwnableUnauthorizedAccountError);
+  });
+
+  it("executes the two-step ownership transfer and sweeps the depositor", async function () {
+    const { gateway, depositor, token, admin, owner, newOwner } = await loadFixture(deployFixture);
+
+    await (await admin.execute(await admin.transferOwnership(newOwner.address), owner)).wait();
+    expect(await gateway.pendingOwner()).to.equal(newOwner.address);
+
+    const accept = await admin.acceptOwnership();
+    expect(accept.sender).to.equal(newOwner.address);
+    await (await admin.execute(accept, newOwner)).wait();
+    expect(await gateway.owner()).to.equal(newOwner.address);
+
+    const amount = ethers.parseUnits("5", 6);
+    await token.transfer(await depositor.getAddress(), amount);
+    const ownerBalance = await token.balanceOf(owner.address);
+
+    const sweep = await admin.sweep();
+    expect(sweep.changes[0]).to.deep.equal({ field: "depositor balance", before: amount, after: 0n, changed: true });
+    await (await admin.execute(sweep, owner)).wait();
+    expect(await token.balanceOf(owner.address)).to.equal(ownerBalance + amount);
+
+    const bridges = await admin.setBridges({ axelarGateway: newOwner.address });
+    expect(bridges.changes.map((entry) => [entry.field, entry.changed])).to.deep.equal([["cctpMessageTransmitter", false], ["axelarGateway", true]]);
+    await (await admin.execute(bridges, owner)).wait();
+    expect(await depositor.axelarGateway()).to.equal(newOwner.address);
+  });
+
+  it("plans guardian pauses, owner unpauses and the claim breaker", async function () {
+    const { admin, owner, approver, stranger } = await loadFixture(deployFixture);
+
+    const guardian = await admin.setGuardian(approver.address);
+    expect(guardian.changes).to.deep.equal([{ field: "guardian", before: owner.address, after: approver.address, changed: true }]);
+    await (await admin.execute(guardian, owner)).wait();
+
+    const pause = await admin.pause("Claims", "notary key leaked");
+    expect(pause.sender).to.equal(approver.address);
+    expect(pause.changes).to.deep.equal([{ field: "claimsPaused", before: false, after: true, changed: true }]);
+    await expect(admin.simulate(pause, stranger.address)).to.be.rejectedWith(GuardianUnauthorizedError);
+    await (await admin.execute(pause, approver)).wait();
+
+    const unpause = await admin.unpause(PauseScope.All);
+    expect(unpause.sender).to.equal(owner.address);
+    expect(unpause.changes.map((entry) => [entry.field, entry.changed])).to.deep.equal([["depositsPaused", false], ["claimsPaused", true]]);
+    await expect(admin.pause("Everything", "")).to.be.rejectedWith(TypeError);
+
+    const breaker = await admin.setClaimWindowCap(3600, 1000000n);
+    expect(breaker.changes.map((entry) => entry.after)).to.deep.equal([3600n, 1000000n]);
+    await expect(admin.simulate(await admin.setClaimWindowCap(0, 1n))).to.be.rejectedWith(InvalidConfigError);
+  });
+
+  it("schedules timelocked operations and lists them until they are executed or cancelled", async function () {
+    const { gateway, admin, owner, approver } = await loadFixture(deployFixture);
+    await (await admin.execute(await admin.setTimelockDelay(3600), owner)).wait();
+
+    const plan = await admin.addApprover(approver.address);
+    expect(plan.method).to.equal("scheduleOperation");
+    expect(plan.changes).to.deep.equal([{ field: `authorizedApprovers[${approver.address}]`, before: false, after: true, changed: true }]);
+    expect(plan.operation).to.include({ method: "addApprover" });
+    expect(formatPlan(plan)).to.include(`operation ${plan.operation.id}, executable from`);
+    await (await admin.execute(plan, owner)).wait();
+
+    const cap = await admin.setClaimsCap(10);
+    await (await admin.execute(cap, owner)).wait();
+
+    const legacy = await admin.setLegacySignaturesUntil(1n);
+    expect(legacy.operation).to.include({ method: "setLegacySignaturesUntil" });
+    expect(legacy.changes).to.deep.equal([{ field: "legacySignaturesUntil", before: 0n, after: 1n, changed: true }]);
+
+    const guardian = await admin.setGuardian(approver.address);
+    expect(guardian.operation).to.include({ method: "setGuardian" });
+    expect(guardian.changes).to.deep.equal([{ field: "guardian", before: owner.address, after: approver.address, changed: true }]);
+    expect((await admin.setRefundFeePolicy("RetainFee")).operation).to.include({ method: "setRefundFeePolicy" });
+
+    const pending = await admin.pendingOperations();
+    expect(pending.map((entry) => [entry.method, entry.ready])).to.deep.equal([["addApprover", false], ["setClaimsCap", false]]);
+    expect(pending[0].args).to.deep.equal([approver.address]);
+    expect(pending[0].readyAt).to.be.at.least(plan.operation.readyAt);
+
+    const early = await admin.executeOperation(pending[0].id);
+    await expect(admin.simulate(early)).to.be.rejectedWith(OperationNotReadyError);
+
+    await (await admin.execute(await admin.cancelOperation(cap.operation.id), owner)).wait();
+    await time.increaseTo(pending[0].readyAt);
+    expect((await admin.pendingOperations()).map((entry) => [entry.method, entry.ready])).to.deep.equal([["addApprover", true]]);
+
+    const execute = await admin.executeOperation(plan.operation.id);
+    expect(execute.changes.map((entry) => entry.field)).to.deep.equal([`authorizedApprovers[${approver.address}]`, `operationReadyAt[${plan.operation.id}]`]);
+    await (await admin.execute(execute, owner)).wait();
+    expect(await gateway.authorizedApprovers(approver.address)).to.equal(true);
+    expect(await admin.pendingOperations()).to.deep.equal([]);
+    await expect(admin.cancelOperation(plan.operation.id)).to.be.rejectedWith(TypeError);
+
+    // removals are never timelocked
+    expect((await admin.removeApprover(approver.address)).method).to.equal("removeApprover");
+  });
+
+  it("exports plans as an unsigned Safe transaction batch", async function () {
+    const { gateway, admin, approver } = await loadFixture(deployFixture);
+
+    const plan = await admin.addApprover(approver.address);
+    const batch = toSafeBatch([plan], { chainId: 43113n });
+    expect(batch.chainId).to.equal("43113");
+    expect(batch.transactions).to.deep.equal([{
+      to: await gateway.getAddress(),
+      value: "0",
+      data: gateway.interface.encodeFunctionData("addApprover", [approver.address]),
+    }]);
+  });
+
+  describe("admin tasks", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function runTask(task, args) {
+      // the tasks log their plans; keep the test output clean
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return await hre.run({ scope: "admin", task }, args);
+      } finally {
+        console.log = log;
+      }
+    }
+
+    it("sends, dry-runs and exports operations", async function () {
+      const { gateway, approver } = await loadFixture(deployFixture);
+      const address = await gateway.getAddress();
+
+      await runTask("set-claims-cap", { gateway: address, cap: 20n, dryRun: true });
+      expect(await gateway.claimsCap()).to.equal(50n);
+
+      await runTask("set-claims-cap", { gateway: address, cap: 20n });
+      expect(await gateway.claimsCap()).to.equal(20n);
+
+      const file = path.join(dir, "batch.json");
+      await runTask("add-approver", { gateway: address, address: approver.address, unsigned: file });
+      expect(await gateway.authorizedApprovers(approver.address)).to.equal(false);
+
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(batch.transactions[0].data).to.equal(gateway.interface.encodeFunctionData("addApprover", [approver.address]));
+    });
+  });
+});
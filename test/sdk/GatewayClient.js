@@ -0,0 +1,555 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { installPermit2, smartAccountFactory } = require("../helpers");
+
+const {
+  GatewayClient,
+  DepositorClient,
+  OrderStatus,
+  orderDomain,
+  hashOrder,
+  recoverOrderApprover,
+  decodeRevertData,
+  ApproverNotAuthorizedError,
+  ApprovalExpiredError,
+  InvalidDurationError,
+  InvalidOrderApprovalError,
+  OrderAlreadyExistsError,
+  OrderNotExpiredError,
+  PERMIT2_ADDRESS,
+  Permit2SignatureExpiredError,
+  AccountType,
+  detectAccountType,
+  isErc6492Signature,
+  InvalidTypedDataSignatureError,
+  TokenNotAllowedError,
+  DepositAmountTooLowError,
+  FeeExceedsAmountError,
+  DepositsPausedError,
+  PauseScope,
+  FEE_APPROVAL_PREIMAGE_LENGTH,
+  NOTARY_SET_APPROVAL_PREIMAGE_LENGTH,
+  AMOUNT_RANGE_APPROVAL_PREIMAGE_LENGTH,
+  AmountOutOfRangeError,
+  notarySetId,
+  aggregateClaimSignatures,
+  InvalidNotarySetError,
+  NotarySetNotRegisteredError,
+  approvalPreimage,
+  signClaim,
+  ClaimRejectedUnauthorizedError,
+  ClaimRejectedOrderNotOpenError,
+  OwnableUnauthorizedAccountError,
+} = require("../../sdk");
+
+describe("SDK: GatewayClient", function () {
+  async function deployGatewayFixture() {
+    const [owner, otherAccount, notary, approver, claimer, signer] =
+      await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const config = {
+      minDuration: 3600, // 1 hour in seconds
+      maxDuration: 86400, // 24 hours in seconds
+      minDepositAmount: ethers.parseUnits("1", 6), // 1 USDC (6 decimals)
+    };
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(await token.getAddress(), config, claimer.address);
+    await gateway.addApprover(approver.address);
+
+    const Depositor = await ethers.getContractFactory("SilentSwapDepositor");
+    const depositor = await Depositor.deploy(await gateway.getAddress(), await token.getAddress());
+
+    const { chainId } = await ethers.provider.getNetwork();
+
+    return {
+      gateway,
+      depositor,
+      token,
+      config,
+      chainId,
+      owner,
+      otherAccount,
+      notary,
+      approver,
+      claimer,
+      signer,
+      client: new GatewayClient(await gateway.getAddress(), signer),
+    };
+  }
+
+  async function buildOrder({ chainId, signer, notary, approver }, label = "sdk-order") {
+    const latest = await time.latest();
+    return {
+      orderId: ethers.encodeBytes32String(label),
+      notary: notary.address,
+      approver: approver.address,
+      approvalExpiration: latest + 3600,
+      duration: 3600,
+      domain: orderDomain(chainId),
+      message: {
+        quoteId: label,
+        quote: {
+          signer: signer.address,
+          nonce: 1,
+          privacy: "CHEAPEST",
+          deposit: ethers.parseUnits("500", 6),
+          fee: ethers.parseUnits("1", 6),
+          outputs: [
+            {
+              method: "CCTP",
+              chain: "eip155:1",
+              token: "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE",
+              facilitator: notary.address,
+              recipient: signer.address,
+              value: "500000000000000000",
+            },
+          ],
+          metadata: {
+            cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+            axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+            notaryContract: {
+              chainId: "secret-4",
+              contractAddress: "secret1notary",
+              signerAddress: notary.address,
+            },
+          },
+        },
+      },
+    };
+  }
+
+  describe("buildDepositParams", function () {
+    it("produces params the gateway accepts", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, client, signer, approver } = fixture;
+
+      const order = await buildOrder(fixture);
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+
+      const { domainSepHash, payloadHash } = hashOrder(order.domain, order.message);
+      expect(params.domainSepHash).to.equal(domainSepHash);
+      expect(params.payloadHash).to.equal(payloadHash);
+      expect(params.receiveAuthorization).to.equal("0x");
+      expect(recoverOrderApprover(params, params.orderApproval, await client.domain())).to.equal(approver.address);
+      expect(
+        await gateway.verifyTypedDataSignature(params.domainSepHash, params.payloadHash, params.typedDataSignature, signer.address)
+      ).to.be.true;
+    });
+  });
+
+  describe("preflight", function () {
+    it("rejects an unauthorized approver", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { client, signer, otherAccount } = fixture;
+
+      const order = await buildOrder({ ...fixture, approver: otherAccount });
+      const params = await client.buildDepositParams(order, { signer, approver: otherAccount }, { method: "depositProxy" });
+
+      await expect(client.preflight(params, ethers.parseUnits("500", 6)))
+        .to.be.rejectedWith(ApproverNotAuthorizedError);
+    });
+
+    it("rejects an expired approval", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { client, signer, approver } = fixture;
+
+      const order = await buildOrder(fixture);
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await time.increaseTo(order.approvalExpiration);
+
+      await expect(client.preflight(params, ethers.parseUnits("500", 6)))
+        .to.be.rejectedWith(ApprovalExpiredError);
+    });
+
+    it("rejects an approval signed over different fields", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { client, signer, approver, otherAccount } = fixture;
+
+      const order = await buildOrder(fixture);
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+
+      await expect(client.preflight({ ...params, notary: otherAccount.address }, ethers.parseUnits("500", 6)))
+        .to.be.rejectedWith(InvalidOrderApprovalError);
+    });
+
+    it("checks the deposit token's allowlisting and minimum", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, client, signer, approver } = fixture;
+
+      const Token = await ethers.getContractFactory("TestERC20");
+      const other = await Token.deploy("Tether USD", "USDT");
+      const order = { ...(await buildOrder(fixture)), token: await other.getAddress() };
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      expect(params.token).to.equal(await other.getAddress());
+      expect(recoverOrderApprover(params, params.orderApproval, await client.domain())).to.equal(approver.address);
+
+      await expect(client.preflight(params, ethers.parseUnits("500", 18)))
+        .to.be.rejectedWith(TokenNotAllowedError);
+
+      await gateway.setDepositToken(await other.getAddress(), ethers.parseUnits("1", 18));
+      await expect(client.preflight(params, ethers.parseUnits("500", 6)))
+        .to.be.rejectedWith(DepositAmountTooLowError, "minimum is 1000000000000000000");
+      await client.preflight(params, ethers.parseUnits("500", 18));
+    });
+
+    it("commits the fee in the approval and checks it against the amount", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { token, client, signer, approver, claimer, notary } = fixture;
+
+      const fee = ethers.parseUnits("2", 6);
+      const order = { ...(await buildOrder(fixture)), fee };
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      expect(params.fee).to.equal(fee);
+      expect(approvalPreimage(params).length).to.equal(FEE_APPROVAL_PREIMAGE_LENGTH);
+
+      await expect(client.preflight({ ...params, fee: 0n }, ethers.parseUnits("500", 6)))
+        .to.be.rejectedWith(InvalidOrderApprovalError);
+      await expect(client.preflight(params, ethers.parseUnits("1.5", 6))).to.be.rejectedWith(FeeExceedsAmountError);
+
+      const amount = ethers.parseUnits("500", 6);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await client.getAddress(), amount);
+      await (await client.depositProxy(params, amount)).wait();
+      expect((await client.getOrder(params.orderId)).fee).to.equal(fee);
+
+      const claims = [{ orderId: params.orderId, signature: await signClaim(notary, params.orderId, await client.domain()) }];
+      await (await client.connect(claimer).claim({ claims, recipient: claimer.address })).wait();
+      const fees = await client.fees();
+      expect(fees.refundFeePolicy).to.equal(0);
+      expect(fees.accruedFees[await token.getAddress()]).to.equal(fee);
+    });
+  });
+
+  describe("pauses", function () {
+    it("rejects deposits while paused and reports the pause state", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, client, signer, approver, owner } = fixture;
+
+      const params = await client.buildDepositParams(await buildOrder(fixture), { signer, approver }, { method: "depositProxy" });
+      await gateway.pause(PauseScope.Deposits, "maintenance");
+      await expect(client.preflight(params, ethers.parseUnits("500", 6))).to.be.rejectedWith(DepositsPausedError);
+      await expect(client.depositProxy(params, ethers.parseUnits("500", 6), { preflight: false }))
+        .to.be.rejectedWith(DepositsPausedError);
+
+      await gateway.setClaimWindowCap(3600, ethers.parseUnits("1000", 6));
+      expect(await client.pauseState()).to.deep.equal({
+        guardian: owner.address,
+        depositsPaused: true,
+        claimsPaused: false,
+        claimWindow: 3600n,
+        claimWindowCap: ethers.parseUnits("1000", 6),
+        claimWindowStart: 0n,
+        claimedInWindow: 0n,
+      });
+    });
+  });
+
+  describe("notary sets", function () {
+    it("registers sets, binds orders to them and aggregates member signatures", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { token, client, signer, approver, claimer, notary, otherAccount, owner } = fixture;
+
+      const members = [notary.address, otherAccount.address, owner.address];
+      const setId = notarySetId(members, 2);
+      const order = { ...(await buildOrder(fixture)), notary: undefined, notarySet: setId };
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      expect(params.notary).to.equal(ethers.ZeroAddress);
+      expect(approvalPreimage(params).length).to.equal(NOTARY_SET_APPROVAL_PREIMAGE_LENGTH);
+
+      const amount = ethers.parseUnits("500", 6);
+      await expect(client.preflight(params, amount)).to.be.rejectedWith(NotarySetNotRegisteredError);
+      await expect(client.registerNotarySet(members, 4)).to.be.rejectedWith(InvalidNotarySetError);
+
+      // members are sorted for registration
+      await (await client.registerNotarySet(members, 2)).wait();
+      const notarySet = await client.getNotarySet(setId);
+      expect(notarySet.threshold).to.equal(2n);
+      expect(notarySetId(notarySet.members, 2)).to.equal(setId);
+      await expect(client.preflight({ ...params, notary: notary.address }, amount)).to.be.rejectedWith(InvalidNotarySetError);
+
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await client.getAddress(), amount);
+      await (await client.depositProxy(params, amount)).wait();
+      expect((await client.getOrder(params.orderId)).notarySet).to.equal(setId);
+
+      const { orderId } = params;
+      const domain = await client.domain();
+      const signatures = [
+        await signClaim(owner, orderId, domain),
+        await signClaim(owner, orderId, domain),
+        await signClaim(claimer, orderId, domain),
+      ];
+      expect(() => aggregateClaimSignatures(orderId, signatures, notarySet, domain)).to.throw(RangeError);
+
+      signatures.push(await signClaim(notary, orderId, domain));
+      const signature = aggregateClaimSignatures(orderId, signatures, notarySet, domain);
+      expect(ethers.dataLength(signature)).to.equal(130);
+      await (await client.connect(claimer).claim({ claims: [{ orderId, signature }], recipient: claimer.address })).wait();
+      expect((await client.getOrder(orderId)).status).to.equal(OrderStatus.Completed);
+    });
+  });
+
+  describe("depositProxy", function () {
+    it("deposits and stores the order", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, approver, notary } = fixture;
+
+      const amount = ethers.parseUnits("500", 6);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = await buildOrder(fixture);
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+
+      await expect(client.depositProxy(params, amount))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(signer.address, order.orderId, amount, order.duration);
+
+      const stored = await client.getOrder(order.orderId);
+      expect(stored.status).to.equal(OrderStatus.Open);
+      expect(stored.notary).to.equal(notary.address);
+      expect(stored.amount).to.equal(amount);
+
+      // a replay fails pre-flight with the same error the contract would raise
+      await expect(client.depositProxy(params, amount)).to.be.rejectedWith(OrderAlreadyExistsError);
+    });
+
+    it("commits expected amount ranges and rejects deposits outside them", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, approver } = fixture;
+
+      const order = {
+        ...(await buildOrder(fixture)),
+        minAmount: ethers.parseUnits("400", 6),
+        maxAmount: ethers.parseUnits("500", 6),
+      };
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      expect(approvalPreimage(params).length).to.equal(AMOUNT_RANGE_APPROVAL_PREIMAGE_LENGTH);
+
+      const amount = ethers.parseUnits("600", 6);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+      await expect(client.depositProxy(params, amount)).to.be.rejectedWith(AmountOutOfRangeError);
+      await expect(client.depositProxy(params, order.maxAmount))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(signer.address, order.orderId, order.maxAmount, order.duration);
+    });
+
+    it("commits a minimum amount without a maximum", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, approver } = fixture;
+
+      const order = { ...(await buildOrder(fixture)), minAmount: ethers.parseUnits("400", 6) };
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      expect(approvalPreimage(params).length).to.equal(AMOUNT_RANGE_APPROVAL_PREIMAGE_LENGTH);
+
+      const amount = ethers.parseUnits("600", 6);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+      await expect(client.depositProxy(params, order.minAmount - 1n)).to.be.rejectedWith(AmountOutOfRangeError);
+      await expect(client.depositProxy(params, amount))
+        .to.emit(gateway, "ProxyDeposit")
+        .withArgs(signer.address, order.orderId, amount, order.duration);
+    });
+
+    it("decodes reverts when pre-flight is skipped", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { client, signer, approver } = fixture;
+
+      const order = await buildOrder({ ...fixture });
+      order.duration = 60;
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+
+      const error = await client.depositProxy(params, ethers.parseUnits("500", 6), { preflight: false })
+        .catch((caught) => caught);
+
+      expect(error).to.be.instanceOf(InvalidDurationError);
+      expect(error.args).to.deep.equal({ duration: 60n, minDuration: 3600n, maxDuration: 86400n });
+    });
+  });
+
+  describe("permit deposits", function () {
+    it("signs and submits EIP-2612 and Permit2 deposits", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, approver } = fixture;
+      await installPermit2();
+
+      // EIP-2612, with a token that supports it
+      const usdc = await ethers.deployContract("MockUSDC");
+      await gateway.setDepositToken(await usdc.getAddress(), 1n);
+      const amount = ethers.parseUnits("500", 6);
+      await usdc.mint(signer.address, amount);
+
+      const withPermit = { ...(await buildOrder(fixture, "permit")), token: await usdc.getAddress() };
+      const params = await client.buildDepositParams(withPermit, { signer, approver }, { method: "depositWithPermit" });
+      const permit = await client.buildPermit(signer, { token: params.token, amount, deadline: withPermit.approvalExpiration });
+      await (await client.depositWithPermit(params, amount, permit)).wait();
+      expect((await client.getOrder(params.orderId)).token).to.equal(await usdc.getAddress());
+
+      // Permit2, with the plain ERC-20 the gateway was deployed with
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+
+      const viaPermit2 = await buildOrder(fixture, "permit2");
+      const params2 = await client.buildDepositParams(viaPermit2, { signer, approver }, { method: "depositWithPermit2" });
+      const expired = await client.buildPermit2(signer, params2, { amount, deadline: (await time.latest()) - 1 });
+      await expect(client.depositWithPermit2(params2, amount, expired)).to.be.rejectedWith(Permit2SignatureExpiredError);
+
+      const permit2 = await client.buildPermit2(signer, params2, { amount, deadline: viaPermit2.approvalExpiration });
+      await (await client.depositWithPermit2(params2, amount, permit2)).wait();
+      expect(await token.balanceOf(await gateway.getAddress())).to.equal(amount);
+    });
+  });
+
+  describe("smart accounts", function () {
+    it("signs for counterfactual and deployed ERC-1271 accounts", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { token, client, signer, approver, otherAccount } = fixture;
+      const { account } = await smartAccountFactory(signer);
+
+      expect(await detectAccountType(ethers.provider, signer.address)).to.equal(AccountType.EOA);
+      expect(await detectAccountType(ethers.provider, account.address, account)).to.equal(AccountType.Counterfactual);
+
+      const order = await buildOrder(fixture, "counterfactual");
+      await expect(client.buildDepositParams(order, { signer, approver, account })).to.be.rejectedWith(TypeError);
+
+      // the signer's EOA relays and funds the deposits of its account
+      const amount = ethers.parseUnits("500", 6);
+      await token.transfer(signer.address, amount * 2n);
+      await token.connect(signer).approve(await client.getAddress(), amount * 2n);
+
+      const params = await client.buildDepositParams(order, { signer, approver, account }, { method: "depositProxy" });
+      expect(params.signer).to.equal(account.address);
+      expect(isErc6492Signature(params.typedDataSignature)).to.be.true;
+      await (await client.depositProxy(params, amount)).wait();
+      expect((await client.getOrder(params.orderId)).refundee).to.equal(account.address);
+
+      // deployed by the first deposit, now verified with ERC-1271
+      expect(await detectAccountType(ethers.provider, account.address, account)).to.equal(AccountType.Contract);
+      const next = await buildOrder(fixture, "deployed");
+      const deployed = await client.buildDepositParams(next, { signer, approver, account }, { method: "depositProxy" });
+      expect(isErc6492Signature(deployed.typedDataSignature)).to.be.false;
+      await client.preflight(deployed, amount);
+
+      const forged = await client.buildDepositParams(
+        next, { signer: otherAccount, approver, account: { address: account.address } }, { method: "depositProxy" }
+      );
+      await expect(client.preflight(forged, amount)).to.be.rejectedWith(InvalidTypedDataSignatureError);
+      await (await client.depositProxy(deployed, amount)).wait();
+    });
+  });
+
+  describe("DepositorClient", function () {
+    it("forwards the depositor balance to the gateway", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, depositor, token, signer, approver, client } = fixture;
+
+      const amount = ethers.parseUnits("250", 6);
+      await token.transfer(await depositor.getAddress(), amount);
+
+      // the depositor calls the gateway, so the approval and payload remain the signer's
+      const order = await buildOrder(fixture, "sdk-proxy");
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+
+      const depositorClient = new DepositorClient(await depositor.getAddress(), signer);
+      await expect(depositorClient.depositProxy(params))
+        .to.emit(depositor, "DepositProxy")
+        .withArgs(signer.address, order.orderId, amount);
+
+      expect(await token.balanceOf(await gateway.getAddress())).to.equal(amount);
+    });
+  });
+
+  describe("order enumeration", function () {
+    it("pages a signer's orders and flags refundable open deposits", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, notary, approver } = fixture;
+
+      const amount = ethers.parseUnits("500", 6);
+      await token.transfer(signer.address, amount * 3n);
+      await token.connect(signer).approve(await gateway.getAddress(), amount * 3n);
+
+      const orderIds = [];
+      for (const label of ["first", "second", "third"]) {
+        const order = await buildOrder(fixture, label);
+        await client.depositProxy(await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" }), amount);
+        orderIds.push(order.orderId);
+      }
+
+      const firstPage = await client.ordersBySigner(signer.address, { limit: 2 });
+      expect(firstPage.orders.map((order) => order.orderId)).to.deep.equal(orderIds.slice(0, 2));
+      expect(firstPage.orders[0]).to.include({ status: OrderStatus.Open, notary: notary.address, amount });
+      expect(firstPage.nextOffset).to.equal(2n);
+      expect(firstPage.total).to.equal(3n);
+
+      const lastPage = await client.ordersBySigner(signer.address, { offset: firstPage.nextOffset, limit: 2 });
+      expect(lastPage.orders.map((order) => order.orderId)).to.deep.equal(orderIds.slice(2));
+      expect(lastPage.nextOffset).to.equal(lastPage.total);
+
+      const pending = await client.openDeposits(signer.address);
+      expect(pending.orders.map((order) => order.refundable)).to.deep.equal([false, false, false]);
+
+      await time.increase(3600);
+      await client.refund(orderIds[0]);
+
+      const refundable = await client.openDeposits(signer.address);
+      expect(refundable.orders.map((order) => order.orderId)).to.deep.equal(orderIds.slice(1));
+      expect(refundable.orders.every((order) => order.refundable)).to.be.true;
+
+      const aborted = await client.ordersByNotary(notary.address, { status: OrderStatus.Aborted });
+      expect(aborted.orders.map((order) => order.orderId)).to.deep.equal([orderIds[0]]);
+      expect(aborted.total).to.equal(3n);
+    });
+  });
+
+  describe("error decoding", function () {
+    it("decodes custom errors and dynamic revert strings", async function () {
+      const fixture = await loadFixture(deployGatewayFixture);
+      const { gateway, token, client, signer, approver, claimer, otherAccount } = fixture;
+
+      const amount = ethers.parseUnits("500", 6);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = await buildOrder(fixture);
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await client.depositProxy(params, amount);
+      const { expiration } = await client.getOrder(order.orderId);
+
+      const refundError = await client.contract.refund.staticCall(order.orderId).catch((caught) => caught);
+      const decodedRefund = decodeRevertData(refundError.data);
+      expect(decodedRefund).to.be.instanceOf(OrderNotExpiredError);
+      expect(decodedRefund.args.expiration).to.equal(expiration);
+
+      const claimClient = client.connect(claimer);
+      await expect(
+        claimClient.contract.claim.staticCall({ claims: [], recipient: otherAccount.address }).catch((caught) => {
+          throw decodeRevertData(caught.data);
+        })
+      ).to.be.rejectedWith(ClaimRejectedUnauthorizedError);
+
+      const notOpen = ethers.encodeBytes32String("missing");
+      const claimError = await claimClient.contract.claim
+        .staticCall({ claims: [{ orderId: notOpen, signature: "0x", recipients: [], shares: [] }], recipient: claimer.address })
+        .catch((caught) => decodeRevertData(caught.data));
+      expect(claimError).to.be.instanceOf(ClaimRejectedOrderNotOpenError);
+      expect(claimError.args.index).to.equal(0n);
+      expect(claimError.args.status).to.equal(BigInt(OrderStatus.None));
+
+      const ownerError = await client.connect(otherAccount).contract.addApprover
+        .staticCall(otherAccount.address)
+        .catch((caught) => decodeRevertData(caught.data));
+      expect(ownerError).to.be.instanceOf(OwnableUnauthorizedAccountError);
+      expect(ownerError.args.account).to.equal(otherAccount.address);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  ORDER_TYPES,
+  orderDomain,
+  validateOrder,
+  validateDomain,
+  hashOrder,
+  hashStruct,
+  diffOrders,
+  comparePayload,
+  signOrder,
+  recoverTypedDataSigner,
+  OrderSchemaError,
+} = require("../../sdk");
+
+const SIGNER = "0xc434375761034eFC80850eF0b32e1882336ec439";
+const FACILITATOR = "0x1F532530556609C6b1d96B2251445C367442f834";
+
+function sampleOrder() {
+  return {
+    quoteId: "5acfe611cf",
+    quote: {
+      signer: SIGNER,
+      nonce: "7",
+      privacy: "CHEAPEST",
+      deposit: "1000000000",
+      fee: "1000000",
+      outputs: [
+        {
+          method: "CCTP",
+          chain: "eip155:1",
+          token: "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE",
+          facilitator: FACILITATOR,
+          recipient: SIGNER,
+          value: "500000000000000000",
+        },
+      ],
+      metadata: {
+        cctpAttestors: {
+          hash: ethers.id("cctp"),
+          publicKeys: ["0x02aa"],
+        },
+        axelarValidators: {
+          hash: ethers.id("axelar"),
+          validators: [
+            { publicKey: { type: "tendermint/PubKeySecp256k1", key: "A1b2" }, votingShare: "100" },
+          ],
+        },
+        notaryContract: {
+          chainId: "secret-4",
+          contractAddress: "secret1notary",
+          signerAddress: FACILITATOR,
+        },
+      },
+    },
+  };
+}
+
+function issuePaths(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).to.be.instanceOf(OrderSchemaError);
+    return error.issues.map((issue) => issue.path);
+  }
+  throw new Error("expected an OrderSchemaError");
+}
+
+describe("SDK: typed data", function () {
+  describe("validateOrder", function () {
+    it("accepts a well-formed order and normalizes it", function () {
+      const order = sampleOrder();
+      order.quote.deposit = 1000000000n;
+      order.quote.signer = SIGNER.toLowerCase();
+
+      const normalized = validateOrder(order);
+      expect(normalized.quote.deposit).to.equal("1000000000");
+      expect(normalized.quote.signer).to.equal(SIGNER);
+    });
+
+    it("rejects values outside the privacy and method enums", function () {
+      const order = sampleOrder();
+      order.quote.privacy = "FASTEST";
+      order.quote.outputs[0].method = "WORMHOLE";
+
+      expect(issuePaths(() => validateOrder(order))).to.deep.equal([
+        "quote.privacy",
+        "quote.outputs[0].method",
+      ]);
+    });
+
+    it("reports missing, mistyped and unsigned fields", function () {
+      const order = sampleOrder();
+      delete order.quote.fee;
+      order.quote.nonce = "...";
+      order.quote.metadata.notaryContract.contractAddres = order.quote.metadata.notaryContract.contractAddress;
+      delete order.quote.metadata.notaryContract.contractAddress;
+
+      expect(issuePaths(() => validateOrder(order))).to.have.members([
+        "quote.nonce",
+        "quote.fee",
+        "quote.metadata.notaryContract.contractAddress",
+        "quote.metadata.notaryContract.contractAddres",
+      ]);
+    });
+
+    it("rejects a domain for another chain", function () {
+      expect(issuePaths(() => validateDomain(orderDomain(43113), 43114))).to.deep.equal(["domain.chainId"]);
+    });
+  });
+
+  describe("hashing", function () {
+    it("matches the digest wallets sign and the gateway verifies", async function () {
+      const [signer] = await ethers.getSigners();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const domain = orderDomain(chainId);
+      const message = sampleOrder();
+      message.quote.signer = signer.address;
+
+      const { domainSepHash, payloadHash, digest } = hashOrder(domain, message);
+      expect(domainSepHash).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(digest).to.equal(ethers.TypedDataEncoder.hash(domain, ORDER_TYPES, message));
+
+      // the node signs with its own eth_signTypedData_v4 implementation
+      const signature = await signOrder(signer, domain, message);
+      expect(recoverTypedDataSigner(domainSepHash, payloadHash, signature)).to.equal(signer.address);
+
+      const Token = await ethers.getContractFactory("TestERC20");
+      const token = await Token.deploy("USD Coin", "USDC");
+      const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+      const gateway = await Gateway.deploy(
+        await token.getAddress(),
+        { minDuration: 1, maxDuration: 2, minDepositAmount: 1 },
+        signer.address
+      );
+      expect(await gateway.verifyTypedDataSignature(domainSepHash, payloadHash, signature, signer.address)).to.be.true;
+    });
+
+    it("hashes nested structs on their own", function () {
+      const { quote } = sampleOrder();
+      expect(hashStruct("Output", quote.outputs[0])).to.equal(
+        ethers.TypedDataEncoder.from({ Output: ORDER_TYPES.Output }).hash(quote.outputs[0])
+      );
+    });
+  });
+
+  describe("comparePayload", function () {
+    it("explains which fields differ from what the API returned", function () {
+      const domain = orderDomain(43114);
+      const expected = sampleOrder();
+
+      const signed = sampleOrder();
+      signed.quote.fee = "2000000";
+      signed.quote.outputs[0].recipient = FACILITATOR;
+
+      expect(diffOrders(expected, expected)).to.deep.equal([]);
+
+      const result = comparePayload(
+        { domain, message: expected },
+        { ...hashOrder(domain, signed), domain, message: signed }
+      );
+
+      expect(result.matches).to.be.false;
+      expect(result.domainMatches).to.be.true;
+      expect(result.payloadMatches).to.be.false;
+      expect(result.diffs.map((diff) => diff.path)).to.deep.equal(["quote.fee", "quote.outputs[0].recipient"]);
+      expect(result.report).to.include('quote.fee: expected "1000000", got "2000000"');
+    });
+
+    it("reports matching payloads", function () {
+      const domain = orderDomain(43114);
+      const message = sampleOrder();
+
+      expect(comparePayload({ domain, message }, hashOrder(domain, message)).matches).to.be.true;
+    });
+  });
+});
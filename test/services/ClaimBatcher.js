@@ -0,0 +1,253 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const {
+  GatewayClient,
+  orderDomain,
+  gatewayDomain,
+  signClaim,
+  sortNotaries,
+  notarySetId,
+  PauseScope,
+  ClaimRejectedUnauthorizedError,
+  ClaimRejectedPausedError,
+} = require("../../sdk");
+const { ClaimBatcher, QuarantineReason } = require("../../services/claimer");
+
+describe("Services: ClaimBatcher", function () {
+  async function deployFixture() {
+    const [owner, approver, claimer, signer, submitter] = await ethers.getSigners();
+    const notary = ethers.Wallet.createRandom();
+    const impostor = ethers.Wallet.createRandom();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(
+      await token.getAddress(),
+      { minDuration: 3600, maxDuration: 86400, minDepositAmount: ethers.parseUnits("1", 6) },
+      claimer.address
+    );
+    await gateway.addApprover(approver.address);
+    await gateway.setClaimsCap(2);
+
+    const client = new GatewayClient(await gateway.getAddress(), signer);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = gatewayDomain(chainId, await gateway.getAddress());
+    const amount = ethers.parseUnits("100", 6);
+
+    // opens an order bound to `notary`, or to a notary set if `notarySet` is given, and returns its signed claim
+    async function openOrder(label, notarySet) {
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = {
+        orderId: ethers.encodeBytes32String(label),
+        notary: notarySet ? ethers.ZeroAddress : notary.address,
+        notarySet,
+        approver: approver.address,
+        approvalExpiration: (await time.latest()) + 3600,
+        duration: 3600,
+        domain: orderDomain(chainId),
+        message: {
+          quoteId: label,
+          quote: {
+            signer: signer.address,
+            nonce: 0,
+            privacy: "BETTER",
+            deposit: amount,
+            fee: 0,
+            outputs: [],
+            metadata: {
+              cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+              axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+              notaryContract: { chainId: "secret-4", contractAddress: "secret1notary", signerAddress: notary.address },
+            },
+          },
+        },
+      };
+
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await (await client.depositProxy(params, amount)).wait();
+      return { orderId: order.orderId, signature: await signClaim(notary, order.orderId, domain), recipients: [], shares: [] };
+    }
+
+    const batcherGateway = new GatewayClient(await gateway.getAddress(), submitter);
+    return { gateway, token, claimer, submitter, notary, impostor, amount, domain, batcherGateway, openOrder };
+  }
+
+  it("quarantines bad claims and submits the rest in batches of claimsCap", async function () {
+    const { token, claimer, impostor, amount, domain, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const valid = [];
+    for (const label of ["a", "b", "c", "d", "e"]) valid.push(await openOrder(label));
+    const forged = await openOrder("forged");
+    forged.signature = await signClaim(impostor, forged.orderId, domain);
+    const missing = { orderId: ethers.encodeBytes32String("missing"), signature: valid[0].signature };
+    const duplicate = { orderId: valid[1].orderId, signature: "0x1234" };
+
+    const claims = [valid[0], forged, valid[1], { ...valid[0] }, valid[2], missing, valid[3], { orderId: "0x12", signature: "0x" }, valid[4], duplicate];
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+
+    const { chunks, quarantined } = await batcher.prepare(claims);
+    expect(chunks.map((chunk) => chunk.map((claim) => claim.orderId))).to.deep.equal([
+      [valid[0].orderId, valid[1].orderId],
+      [valid[2].orderId, valid[3].orderId],
+      [valid[4].orderId],
+    ]);
+    expect(quarantined.map((claim) => claim.reason)).to.deep.equal([
+      QuarantineReason.InvalidSignature,
+      QuarantineReason.Duplicate,
+      QuarantineReason.OrderNotOpen,
+      QuarantineReason.InvalidOrderId,
+      QuarantineReason.Duplicate,
+    ]);
+
+    const estimates = await batcher.estimate(chunks);
+    expect(estimates).to.have.length(3);
+    expect(estimates[0] > estimates[2]).to.equal(true);
+
+    const report = await batcher.submit(claims);
+    expect(report.claimed.map((claim) => claim.orderId)).to.deep.equal(valid.map((claim) => claim.orderId));
+    expect(report.batches.map((batch) => batch.size)).to.deep.equal([2, 2, 1]);
+    expect(report.failed).to.deep.equal([]);
+    expect(report.totalAmounts).to.deep.equal({ [await token.getAddress()]: amount * 5n });
+    expect(await token.balanceOf(claimer.address)).to.equal(amount * 5n);
+  });
+
+  it("drops orders that closed after they were checked and retries the batch", async function () {
+    const { gateway, claimer, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const kept = await openOrder("kept");
+    const closed = await openOrder("closed");
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+
+    // the order is claimed elsewhere between the check and the submission
+    const prepared = await batcher.prepare([closed, kept]);
+    await gateway.claim({ claims: [closed], recipient: claimer.address });
+    batcher.prepare = async () => prepared;
+
+    const report = await batcher.submit([closed, kept]);
+    expect(report.quarantined).to.deep.equal([{ ...closed, reason: QuarantineReason.OrderNotOpen }]);
+    expect(report.claimed.map((claim) => claim.orderId)).to.deep.equal([kept.orderId]);
+  });
+
+  it("checks notary set signatures like the gateway", async function () {
+    const { gateway, claimer, notary, impostor, domain, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const [low, high] = sortNotaries([notary.address, impostor.address]).map((address) =>
+      address === notary.address ? notary : impostor
+    );
+    await gateway.registerNotarySet([low.address, high.address], 2);
+    const setId = notarySetId([low.address, high.address], 2);
+
+    const orders = [];
+    for (const label of ["valid", "below", "unsorted", "stranger"]) orders.push(await openOrder(label, setId));
+    const sign = async (orderId, signers) =>
+      ethers.concat(await Promise.all(signers.map((signer) => signClaim(signer, orderId, domain))));
+    const stranger = ethers.Wallet.createRandom();
+
+    const claims = [
+      { orderId: orders[0].orderId, signature: await sign(orders[0].orderId, [low, high]) },
+      { orderId: orders[1].orderId, signature: await sign(orders[1].orderId, [low]) },
+      { orderId: orders[2].orderId, signature: await sign(orders[2].orderId, [high, low]) },
+      { orderId: orders[3].orderId, signature: await sign(orders[3].orderId, [low, stranger]) },
+    ];
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+
+    const { chunks, quarantined } = await batcher.prepare(claims);
+    expect(chunks).to.deep.equal([[claims[0]]]);
+    expect(quarantined.map((claim) => claim.reason)).to.deep.equal([
+      QuarantineReason.BelowNotaryThreshold,
+      QuarantineReason.InvalidSignature,
+      QuarantineReason.InvalidSignature,
+    ]);
+  });
+
+  it("checks split claims against the signed split and reports each recipient", async function () {
+    const { gateway, token, claimer, notary, amount, domain, batcherGateway, openOrder } = await loadFixture(deployFixture);
+    const [solver, facilitator, stranger] = (await ethers.getSigners()).slice(6, 9);
+    await gateway.addClaimer(solver.address);
+    await gateway.addClaimer(facilitator.address);
+
+    const split = { recipients: [solver.address, facilitator.address], shares: [7500, 2500] };
+    const shared = await openOrder("shared");
+    const sharedClaim = { ...shared, ...split, signature: await signClaim(notary, shared.orderId, domain, split) };
+    const whole = await openOrder("whole");
+    const resplit = await openOrder("resplit");
+    const malformed = await openOrder("malformed");
+    const strangerSplit = { recipients: [solver.address, stranger.address], shares: [5000, 5000] };
+    const unauthorized = await openOrder("unauthorized");
+
+    const claims = [
+      sharedClaim,
+      whole,
+      { ...resplit, recipients: [facilitator.address], shares: [10000] },
+      { ...malformed, recipients: [solver.address], shares: [] },
+      { ...unauthorized, ...strangerSplit, signature: await signClaim(notary, unauthorized.orderId, domain, strangerSplit) },
+    ];
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+    const report = await batcher.submit(claims);
+
+    expect(report.quarantined.map((claim) => claim.reason)).to.deep.equal([
+      QuarantineReason.InvalidSignature,
+      QuarantineReason.InvalidSplit,
+      QuarantineReason.InvalidSplit,
+    ]);
+    expect(report.claimed.map(({ orderId, recipient, amount }) => ({ orderId, recipient, amount }))).to.deep.equal([
+      { orderId: shared.orderId, recipient: solver.address, amount: (amount * 3n) / 4n },
+      { orderId: shared.orderId, recipient: facilitator.address, amount: amount / 4n },
+      { orderId: whole.orderId, recipient: claimer.address, amount },
+    ]);
+    expect(report.totalAmounts).to.deep.equal({ [await token.getAddress()]: amount * 2n });
+    expect(await token.balanceOf(solver.address)).to.equal((amount * 3n) / 4n);
+  });
+
+  it("refuses recipients that are not authorized claimers", async function () {
+    const { submitter, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: submitter.address });
+    await expect(batcher.submit([await openOrder("a")])).to.be.rejectedWith(ClaimRejectedUnauthorizedError);
+  });
+
+  it("stops at a paused gateway and reports claims left open by the breaker", async function () {
+    const { gateway, claimer, amount, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const claims = [];
+    for (const label of ["a", "b", "c"]) claims.push(await openOrder(label));
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+
+    // the second order of the first batch trips the breaker
+    await gateway.setClaimWindowCap(3600, amount);
+    const report = await batcher.submit(claims);
+    expect(report.claimed.map((claim) => claim.orderId)).to.deep.equal([claims[0].orderId]);
+    expect(report.failed.map((claim) => claim.orderId)).to.deep.equal([claims[1].orderId, claims[2].orderId]);
+    expect(report.failed[0].error).to.equal("Gateway: claim window cap reached");
+
+    await expect(batcher.prepare(claims.slice(1))).to.be.rejectedWith(ClaimRejectedPausedError);
+    await gateway.unpause(PauseScope.Claims);
+    await gateway.pause(PauseScope.Deposits, "maintenance");
+    expect((await batcher.prepare(claims.slice(1))).quarantined).to.deep.equal([]);
+  });
+
+  it("matches claimed orders to the claims however their order IDs are cased", async function () {
+    const { gateway, amount, claimer, batcherGateway, openOrder } = await loadFixture(deployFixture);
+
+    const claims = [];
+    for (const label of ["x", "y", "z"]) {
+      const claim = await openOrder(label);
+      claims.push({ ...claim, orderId: "0x" + claim.orderId.slice(2).toUpperCase() });
+    }
+    const batcher = new ClaimBatcher({ gateway: batcherGateway, recipient: claimer.address });
+
+    await gateway.setClaimWindowCap(3600, amount);
+    const report = await batcher.submit(claims);
+    expect(report.claimed.map((claim) => claim.orderId)).to.deep.equal([claims[0].orderId.toLowerCase()]);
+    expect(report.failed.map((claim) => claim.orderId)).to.deep.equal([claims[1].orderId, claims[2].orderId]);
+  });
+});
@@ -0,0 +1,184 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const { GatewayClient, OrderStatus, InvalidOrderApprovalError, ReceiveAuthorizationFailedError } = require("../../sdk");
+const {
+  DepositRelayer,
+  RejectReason,
+  RelayRejectedError,
+  createRelayerServer,
+} = require("../../services/relayer");
+const { deployGatewayFixture, signDepositParams } = require("../helpers");
+
+// DepositParams as they arrive over HTTP, with bigints as decimal strings
+const toJson = (params) => JSON.parse(JSON.stringify(params, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Services: DepositRelayer", function () {
+  async function deployFixture() {
+    const fixture = await deployGatewayFixture();
+    const [hot, spare] = (await ethers.getSigners()).slice(6, 8);
+    return { ...fixture, hot, spare };
+  }
+
+  async function createRelayer(fixture, options = {}) {
+    return new DepositRelayer({
+      gateway: new GatewayClient(await fixture.gateway.getAddress(), ethers.provider),
+      wallets: [fixture.hot, fixture.spare],
+      pollInterval: 10,
+      ...options,
+    });
+  }
+
+  // signs deposit params for `signer` and funds it, without sending anything from it
+  async function signedDeposit(fixture, label, signer = fixture.signer) {
+    const { params, amount } = await signDepositParams(fixture, { label, signer });
+    await fixture.usdc.mint(signer.address, amount);
+    return { params: toJson(params), amount };
+  }
+
+  it("submits deposits from the hot wallets and returns the Deposit event", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, usdc, signer, otherAccount, hot, spare, config } = fixture;
+    const relayer = await createRelayer(fixture);
+
+    const first = await signedDeposit(fixture, "first");
+    const second = await signedDeposit(fixture, "second", otherAccount);
+    const balance = await ethers.provider.getBalance(signer.address);
+
+    const results = await Promise.all([relayer.relay(first.params), relayer.relay(second.params)]);
+    expect(results.map((result) => result.deposit)).to.deep.equal([
+      { signer: signer.address, orderId: first.params.orderId, amount: first.amount, duration: BigInt(config.minDuration) },
+      { signer: otherAccount.address, orderId: second.params.orderId, amount: second.amount, duration: BigInt(config.minDuration) },
+    ]);
+
+    // concurrent deposits are spread over the pool, and the signers pay no gas
+    expect(results.map((result) => result.wallet)).to.deep.equal([hot.address, spare.address]);
+    expect((await ethers.provider.getTransaction(results[1].txHash)).from).to.equal(spare.address);
+    expect(await ethers.provider.getBalance(signer.address)).to.equal(balance);
+    expect((await gateway.orders(first.params.orderId)).status).to.equal(OrderStatus.Open);
+    expect(await usdc.balanceOf(await gateway.getAddress())).to.equal(first.amount + second.amount);
+    expect(relayer.stats).to.include({ relayed: 2, failed: 0, retries: 0 });
+  });
+
+  it("rejects malformed deposits, failed checks and reverting simulations before sending", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { hot } = fixture;
+    const relayer = await createRelayer(fixture);
+    const nonce = await ethers.provider.getTransactionCount(hot.address);
+
+    const { params } = await signedDeposit(fixture, "checked");
+    const { orderApproval, ...incomplete } = params;
+    await expect(relayer.relay(incomplete)).to.be.rejectedWith(RelayRejectedError, "missing DepositParams fields: orderApproval");
+    await expect(relayer.relay({ ...params, signer: "0x1234" })).to.be.rejectedWith(RelayRejectedError, "malformed DepositParams");
+
+    const forged = relayer.relay({ ...params, orderApproval: params.typedDataSignature });
+    await expect(forged).to.be.rejectedWith(RelayRejectedError, "Gateway: invalid order approval signature");
+    expect((await forged.catch((error) => error)).cause).to.be.instanceOf(InvalidOrderApprovalError);
+
+    // passes every off-chain check, but the signer cannot cover the authorization
+    const { params: unfunded } = toJson(await signDepositParams(fixture, { label: "unfunded" }));
+    await fixture.usdc.connect(fixture.signer).transfer(fixture.owner.address, await fixture.usdc.balanceOf(fixture.signer.address));
+    const reverted = await relayer.relay(unfunded).catch((error) => error);
+    expect(reverted).to.be.instanceOf(RelayRejectedError);
+    expect(reverted.reason).to.equal(RejectReason.SimulationReverted);
+    expect(reverted.cause).to.be.instanceOf(ReceiveAuthorizationFailedError);
+
+    expect(await ethers.provider.getTransactionCount(hot.address)).to.equal(nonce);
+    expect(relayer.stats.rejected).to.deep.equal({
+      [RejectReason.InvalidParams]: 2,
+      [RejectReason.RateLimited]: 0,
+      [RejectReason.PreflightFailed]: 1,
+      [RejectReason.SimulationReverted]: 1,
+    });
+  });
+
+  it("rate-limits each signer by its on-chain order count", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, signer, otherAccount } = fixture;
+    const relayer = await createRelayer(fixture, { maxDepositsPerWindow: 2, rateWindow: 500 });
+
+    await relayer.relay((await signedDeposit(fixture, "relayed")).params);
+
+    // orders the signer opens without the relayer count too
+    const { params: direct } = await signedDeposit(fixture, "direct");
+    await new GatewayClient(await gateway.getAddress(), signer).deposit(direct);
+    expect(await gateway.getSignerCount(signer.address)).to.equal(2n);
+
+    const { params: limited } = await signedDeposit(fixture, "limited");
+    const error = await relayer.relay(limited).catch((error) => error);
+    expect(error).to.be.instanceOf(RelayRejectedError);
+    expect(error.reason).to.equal(RejectReason.RateLimited);
+
+    // other signers are not affected, and the signer may deposit again once the window has passed
+    await relayer.relay((await signedDeposit(fixture, "other", otherAccount)).params);
+    await sleep(500);
+    expect((await relayer.relay(limited)).deposit.orderId).to.equal(limited.orderId);
+  });
+
+  it("replaces a stuck deposit with higher fees and retries on another wallet", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { hot, spare } = fixture;
+    const { maxFeePerGas } = await ethers.provider.getFeeData();
+
+    const relayer = await createRelayer(fixture, { bumpInterval: 50 });
+    const { params } = await signedDeposit(fixture, "stuck");
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      const pending = relayer.relay(params);
+      while (relayer.stats.bumps < 1) await sleep(10);
+      await network.provider.send("evm_mine");
+
+      const result = await pending;
+      expect((await ethers.provider.getTransaction(result.txHash)).maxFeePerGas).to.be.greaterThan(maxFeePerGas);
+      expect(await ethers.provider.getTransactionCount(hot.address, "pending")).to.equal(await ethers.provider.getTransactionCount(hot.address));
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+
+    // a wallet that cannot send hands the deposit to the next one
+    const broken = {
+      getAddress: async () => hot.address,
+      sendTransaction: async () => {
+        throw new Error("nonce too low");
+      },
+    };
+    const retrying = await createRelayer(fixture, { wallets: [broken, spare] });
+    const { params: retried } = await signedDeposit(fixture, "retried");
+    expect((await retrying.relay(retried)).wallet).to.equal(spare.address);
+    expect(retrying.stats).to.include({ relayed: 1, retries: 1 });
+  });
+
+  it("serves deposits and stats over HTTP", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { signer, hot } = fixture;
+    const relayer = await createRelayer(fixture, { maxDepositsPerWindow: 1 });
+
+    const server = createRelayerServer(relayer);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/deposits`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    try {
+      const { params, amount } = await signedDeposit(fixture, "http");
+      const response = await post({ params });
+      expect(response.status).to.equal(200);
+      const body = await response.json();
+      expect(body.deposit).to.deep.equal({ signer: signer.address, orderId: params.orderId, amount: amount.toString(), duration: "3600" });
+
+      expect((await post({})).status).to.equal(400);
+      const limited = await post({ params: (await signedDeposit(fixture, "limited")).params });
+      expect(limited.status).to.equal(429);
+      expect((await limited.json()).error).to.match(/^signer .* opened 1 orders/);
+
+      const stats = await (await fetch(`http://127.0.0.1:${server.address().port}/stats`)).json();
+      expect(stats).to.include({ relayed: 1, failed: 0 });
+      expect(stats.wallets[0]).to.include({ address: hot.address, pending: 0 });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
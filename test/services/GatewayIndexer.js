@@ -0,0 +1,325 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+
+const {
+  GatewayClient,
+  OrderStatus,
+  PauseScope,
+  orderDomain,
+  gatewayDomain,
+  signClaim,
+  signExtension,
+  signCancellation,
+  sortNotaries,
+  notarySetId,
+} = require("../../sdk");
+const {
+  IndexerDatabase,
+  GatewayIndexer,
+  createIndexerServer,
+} = require("../../services/indexer");
+
+describe("Services: GatewayIndexer", function () {
+  async function deployFixture() {
+    const [owner, approver, claimer, alice, bob] = await ethers.getSigners();
+    const notary = ethers.Wallet.createRandom();
+    const otherNotary = ethers.Wallet.createRandom();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(
+      await token.getAddress(),
+      { minDuration: 3600, maxDuration: 86400, minDepositAmount: ethers.parseUnits("1", 6) },
+      claimer.address
+    );
+    await gateway.addApprover(approver.address);
+    const startBlock = (await gateway.deploymentTransaction().wait()).blockNumber;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = gatewayDomain(chainId, await gateway.getAddress());
+    const amount = ethers.parseUnits("100", 6);
+
+    // opens an order from `signer` bound to `notaryAddress`, or to a notary set if `notarySet` is given
+    async function openOrder(label, signer, notaryAddress, duration = 3600, notarySet = undefined) {
+      const client = new GatewayClient(await gateway.getAddress(), signer);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = {
+        orderId: ethers.encodeBytes32String(label),
+        notary: notarySet ? ethers.ZeroAddress : notaryAddress,
+        notarySet,
+        approver: approver.address,
+        approvalExpiration: (await time.latest()) + 3600,
+        duration,
+        domain: orderDomain(chainId),
+        message: {
+          quoteId: label,
+          quote: {
+            signer: signer.address,
+            nonce: 0,
+            privacy: "BETTER",
+            deposit: amount,
+            fee: 0,
+            outputs: [],
+            metadata: {
+              cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+              axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+              notaryContract: { chainId: "secret-4", contractAddress: "secret1notary", signerAddress: notaryAddress },
+            },
+          },
+        },
+      };
+
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await (await client.depositProxy(params, amount)).wait();
+      return order.orderId;
+    }
+
+    return { gateway, claimer, alice, bob, notary, otherNotary, amount, domain, startBlock, openOrder };
+  }
+
+  // the database is shared by the indexers of a test, outside of the chain fixture
+  let dir;
+  let dbPath;
+  let db;
+  let fixture;
+
+  async function createIndexer() {
+    return new GatewayIndexer({
+      provider: ethers.provider,
+      address: await fixture.gateway.getAddress(),
+      db,
+      startBlock: fixture.startBlock,
+      batchSize: 3,
+    });
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    dbPath = path.join(dir, "indexer.sqlite");
+    fixture = await loadFixture(deployFixture);
+    db = await IndexerDatabase.open(dbPath);
+  });
+
+  afterEach(function () {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("tracks orders from deposit to claim and refund", async function () {
+    const { gateway, claimer, alice, bob, notary, otherNotary, amount, domain, openOrder } = fixture;
+    const indexer = await createIndexer();
+
+    const claimed = await openOrder("claimed", alice, notary.address);
+    const refunded = await openOrder("refunded", alice, otherNotary.address);
+    const open = await openOrder("open", bob, notary.address, 7200);
+    const split = await openOrder("split", bob, otherNotary.address);
+    await indexer.sync();
+
+    expect(db.openOrdersBySigner(alice.address).map((order) => order.orderId)).to.deep.equal([claimed, refunded]);
+    expect(db.openOrdersByNotary(notary.address).map((order) => order.orderId)).to.deep.equal([claimed, open]);
+
+    const order = db.getOrder(open);
+    const onChain = await gateway.orders(open);
+    expect(order).to.include({
+      signer: bob.address.toLowerCase(),
+      notary: notary.address.toLowerCase(),
+      refundee: onChain.refundee.toLowerCase(),
+      amount: amount.toString(),
+      token: onChain.token.toLowerCase(),
+      fee: "0",
+      notarySet: ethers.ZeroHash,
+      duration: 7200,
+      expiration: Number(onChain.expiration),
+      status: OrderStatus.Open,
+      proxied: true,
+    });
+
+    await gateway.connect(claimer).claim({
+      claims: [{ orderId: claimed, signature: await signClaim(notary, claimed, domain), recipients: [], shares: [] }],
+      recipient: claimer.address,
+    });
+    // a split order has one payout per recipient and no single recipient
+    await gateway.addClaimer(bob.address);
+    const shares = { recipients: [claimer.address, bob.address], shares: [7500, 2500] };
+    await gateway.connect(claimer).claim({
+      claims: [{ orderId: split, signature: await signClaim(otherNotary, split, domain, shares), ...shares }],
+      recipient: claimer.address,
+    });
+    await time.increaseTo(Number((await gateway.orders(refunded)).expiration) + 1);
+    await gateway.refund(refunded);
+    await indexer.sync();
+
+    expect(db.getOrder(claimed)).to.deep.include({
+      status: OrderStatus.Completed,
+      recipient: claimer.address.toLowerCase(),
+      payouts: [{ recipient: claimer.address.toLowerCase(), amount: amount.toString() }],
+    });
+    expect(db.getOrder(split)).to.deep.include({
+      status: OrderStatus.Completed,
+      recipient: null,
+      payouts: [
+        { recipient: claimer.address.toLowerCase(), amount: (amount * 3n / 4n).toString() },
+        { recipient: bob.address.toLowerCase(), amount: (amount / 4n).toString() },
+      ],
+    });
+    expect(db.getOrder(refunded)).to.deep.include({ status: OrderStatus.Aborted, recipient: null, payouts: [] });
+    expect(db.openOrdersBySigner(alice.address)).to.deep.equal([]);
+    expect(db.openOrdersByNotary(notary.address).map((order) => order.orderId)).to.deep.equal([open]);
+  });
+
+  it("finds the open orders of notary sets by each member", async function () {
+    const { gateway, alice, notary, otherNotary, openOrder } = fixture;
+    const indexer = await createIndexer();
+
+    const members = sortNotaries([notary.address, otherNotary.address]);
+    await gateway.registerNotarySet(members, 2);
+    const direct = await openOrder("direct", alice, notary.address);
+    const shared = await openOrder("shared", alice, notary.address, 3600, notarySetId(members, 2));
+    await indexer.sync();
+
+    expect(db.getOrder(shared)).to.include({ notary: ethers.ZeroAddress, notarySet: notarySetId(members, 2) });
+    expect(db.openOrdersByNotary(notary.address).map((order) => order.orderId)).to.deep.equal([direct, shared]);
+    expect(db.openOrdersByNotary(otherNotary.address).map((order) => order.orderId)).to.deep.equal([shared]);
+    expect(db.openOrdersByNotary(ethers.ZeroAddress)).to.deep.equal([]);
+  });
+
+  it("finds open orders expiring before a time and tracks roles and pauses", async function () {
+    const { gateway, claimer, alice, bob, notary, openOrder } = fixture;
+    const indexer = await createIndexer();
+
+    const soon = await openOrder("soon", alice, notary.address, 3600);
+    const later = await openOrder("later", bob, notary.address, 86400);
+    await gateway.addClaimer(bob.address);
+    await gateway.removeClaimer(claimer.address);
+    await gateway.pause(PauseScope.All, "approver key leaked");
+    await gateway.unpause(PauseScope.Deposits);
+    await indexer.sync();
+
+    const soonExpiration = db.getOrder(soon).expiration;
+    const laterExpiration = db.getOrder(later).expiration;
+    expect(db.ordersExpiringBefore(soonExpiration)).to.deep.equal([]);
+    expect(db.ordersExpiringBefore(soonExpiration + 1).map((order) => order.orderId)).to.deep.equal([soon]);
+    expect(db.ordersExpiringBefore(laterExpiration + 1).map((order) => order.orderId)).to.deep.equal([soon, later]);
+
+    expect(db.roleMembers("claimer")).to.deep.equal([bob.address.toLowerCase()]);
+    expect(db.pauseState()).to.deep.equal({ depositsPaused: false, claimsPaused: true, reason: "approver key leaked" });
+    expect(db.events({ names: ["Unpaused", "ClaimerAdded", "Paused"] }).map((event) => event.name))
+      .to.deep.equal(["ClaimerAdded", "ClaimerAdded", "Paused", "Unpaused"]);
+    expect(db.events({ names: [] })).to.deep.equal([]);
+  });
+
+  it("tracks extensions and cancellations and rolls back orphaned extensions", async function () {
+    const { gateway, alice, notary, domain, openOrder } = fixture;
+    const indexer = await createIndexer();
+
+    const extended = await openOrder("extended", alice, notary.address);
+    const cancelled = await openOrder("cancelled", alice, notary.address);
+    const { expiration, openedAt } = await gateway.orders(extended);
+    const first = expiration + 600n;
+    await gateway.extendOrder(extended, first, await signExtension(notary, extended, first, domain));
+    await gateway.cancelOrder(cancelled, await signCancellation(alice, cancelled, domain), await signCancellation(notary, cancelled, domain));
+    await indexer.sync();
+
+    expect(db.getOrder(extended)).to.include({ expiration: Number(first), openedAt: Number(openedAt), status: OrderStatus.Open });
+    expect(db.getOrder(cancelled)).to.include({ status: OrderStatus.Aborted, recipient: null });
+    expect(db.openOrdersBySigner(alice.address).map((order) => order.orderId)).to.deep.equal([extended]);
+
+    // an orphaned extension falls back to the previous one
+    const snapshot = await network.provider.send("evm_snapshot");
+    const second = first + 600n;
+    await gateway.extendOrder(extended, second, await signExtension(notary, extended, second, domain));
+    await indexer.sync();
+    expect(db.getOrder(extended).expiration).to.equal(Number(second));
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await mine(3);
+    await indexer.sync();
+    expect(db.getOrder(extended).expiration).to.equal(Number(first));
+  });
+
+  it("rolls back orphaned blocks after a reorg", async function () {
+    const { gateway, claimer, alice, bob, notary, domain, openOrder } = fixture;
+    const indexer = await createIndexer();
+
+    const kept = await openOrder("kept", alice, notary.address);
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    const orphaned = await openOrder("orphaned", alice, notary.address);
+    await gateway.connect(claimer).claim({
+      claims: [{ orderId: kept, signature: await signClaim(notary, kept, domain), recipients: [], shares: [] }],
+      recipient: claimer.address,
+    });
+    await indexer.sync();
+    expect(db.getOrder(orphaned)).to.not.equal(undefined);
+    expect(db.getOrder(kept).payouts).to.have.length(1);
+
+    // replace the indexed blocks with a longer fork holding a different deposit
+    await network.provider.send("evm_revert", [snapshot]);
+    await mine(2);
+    const replacement = await openOrder("replacement", bob, notary.address);
+
+    const { reorged } = await indexer.sync();
+    expect(reorged).to.be.a("number");
+    expect(db.getOrder(orphaned)).to.equal(undefined);
+    expect(db.getOrder(kept)).to.deep.include({ status: OrderStatus.Open, recipient: null, payouts: [] });
+    expect(db.openOrdersByNotary(notary.address).map((order) => order.orderId)).to.deep.equal([kept, replacement]);
+    expect(db.events({ names: ["ProxyDeposit"] })).to.have.length(2);
+  });
+
+  it("resumes from the persisted database", async function () {
+    const { alice, notary, openOrder } = fixture;
+
+    const first = await openOrder("first", alice, notary.address);
+    await (await createIndexer()).sync();
+    db.close();
+
+    db = await IndexerDatabase.open(dbPath);
+    const lastBlock = db.getLastBlock();
+    expect(db.getOrder(first)).to.include({ status: OrderStatus.Open });
+
+    const second = await openOrder("second", alice, notary.address);
+    const { fromBlock } = await (await createIndexer()).sync();
+    expect(fromBlock).to.equal(lastBlock + 1);
+    expect(db.openOrdersBySigner(alice.address).map((order) => order.orderId)).to.deep.equal([first, second]);
+  });
+
+  it("serves order queries over HTTP", async function () {
+    const { alice, notary, openOrder } = fixture;
+    const orderId = await openOrder("http", alice, notary.address);
+    await (await createIndexer()).sync();
+
+    const server = createIndexerServer(db);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const bySigner = await (await fetch(`${url}/orders?signer=${alice.address}`)).json();
+      expect(bySigner.orders.map((order) => order.orderId)).to.deep.equal([orderId]);
+
+      const byNotary = await (await fetch(`${url}/orders?notary=${notary.address}&limit=1`)).json();
+      expect(byNotary.orders.map((order) => order.orderId)).to.deep.equal([orderId]);
+
+      const { order } = await (await fetch(`${url}/order?id=${orderId}`)).json();
+      const expiring = await (await fetch(`${url}/orders/expiring?before=${order.expiration + 1}`)).json();
+      expect(expiring.orders.map((order) => order.orderId)).to.deep.equal([orderId]);
+
+      expect((await fetch(`${url}/orders`)).status).to.equal(400);
+      expect((await fetch(`${url}/order?id=${ethers.ZeroHash}`)).status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,357 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { GatewayClient, orderDomain, sortNotaries, notarySetId, aggregateClaimSignatures } = require("../../sdk");
+const {
+  KeyStore,
+  AuditLog,
+  NotaryService,
+  RejectReason,
+  loadEvidenceVerifier,
+  createNotaryServer,
+} = require("../../services/notary");
+
+describe("Services: NotaryService", function () {
+  async function deployFixture() {
+    const [owner, approver, claimer, signer] = await ethers.getSigners();
+    const notary = ethers.Wallet.createRandom();
+    const foreignNotary = ethers.Wallet.createRandom();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(
+      await token.getAddress(),
+      { minDuration: 3600, maxDuration: 86400, minDepositAmount: ethers.parseUnits("1", 6) },
+      claimer.address
+    );
+    await gateway.addApprover(approver.address);
+
+    const client = new GatewayClient(await gateway.getAddress(), signer);
+    const { chainId } = await ethers.provider.getNetwork();
+    const amount = ethers.parseUnits("100", 6);
+
+    // opens an order bound to the given notary, or to a notary set if `notarySet` is given
+    async function openOrder(label, notaryAddress, notarySet) {
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = {
+        orderId: ethers.encodeBytes32String(label),
+        notary: notarySet ? ethers.ZeroAddress : notaryAddress,
+        notarySet,
+        approver: approver.address,
+        approvalExpiration: (await time.latest()) + 3600,
+        duration: 3600,
+        domain: orderDomain(chainId),
+        message: {
+          quoteId: label,
+          quote: {
+            signer: signer.address,
+            nonce: 0,
+            privacy: "BETTER",
+            deposit: amount,
+            fee: 0,
+            outputs: [],
+            metadata: {
+              cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+              axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+              notaryContract: { chainId: "secret-4", contractAddress: "secret1notary", signerAddress: notaryAddress },
+            },
+          },
+        },
+      };
+
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await (await client.depositProxy(params, amount)).wait();
+      return order.orderId;
+    }
+
+    return { gateway, token, claimer, notary, foreignNotary, amount, openOrder };
+  }
+
+  // services hold an open audit log, so each test gets its own outside of the chain fixture
+  let dir;
+  let auditLogPath;
+  let service;
+  let fixture;
+
+  async function createService(options) {
+    const { gateway, notary } = fixture;
+    return new NotaryService({
+      gateway: new GatewayClient(await gateway.getAddress(), ethers.provider),
+      keyStore: KeyStore.fromPrivateKeys([notary.privateKey]),
+      auditLog: new AuditLog(auditLogPath),
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notary-"));
+    auditLogPath = path.join(dir, "audit.jsonl");
+    fixture = await loadFixture(deployFixture);
+    service = await createService();
+  });
+
+  afterEach(function () {
+    service.auditLog.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("signs open orders bound to a held notary and the signatures claim on-chain", async function () {
+    const { gateway, token, claimer, notary, amount, openOrder } = await loadFixture(deployFixture);
+
+    const orderIds = [await openOrder("a", notary.address), await openOrder("b", notary.address)];
+    const { claims, rejected } = await service.signClaims({
+      claims: orderIds.map((orderId) => ({ orderId, evidence: { tx: "0x01" } })),
+    });
+
+    expect(rejected).to.deep.equal([]);
+    expect(claims.map((claim) => claim.orderId)).to.deep.equal(orderIds);
+
+    await expect(gateway.connect(claimer).claim({ claims, recipient: claimer.address }))
+      .to.emit(gateway, "Claim")
+      .withArgs(orderIds[0], claimer.address, amount);
+    expect(await token.balanceOf(claimer.address)).to.equal(amount * 2n);
+  });
+
+  it("rejects orders that are not open, belong to another notary or lack evidence", async function () {
+    const { notary, foreignNotary, openOrder } = await loadFixture(deployFixture);
+
+    const foreign = await openOrder("foreign", foreignNotary.address);
+    const noEvidence = await openOrder("no-evidence", notary.address);
+    const missing = ethers.encodeBytes32String("missing");
+
+    const { claims, rejected } = await service.signClaims({
+      claims: [
+        { orderId: foreign, evidence: "proof" },
+        { orderId: noEvidence },
+        { orderId: missing, evidence: "proof" },
+        { orderId: "0x1234", evidence: "proof" },
+      ],
+    });
+
+    expect(claims).to.deep.equal([]);
+    expect(rejected).to.deep.equal([
+      { orderId: foreign, reason: RejectReason.NotaryNotHeld },
+      { orderId: noEvidence, reason: RejectReason.EvidenceRejected },
+      { orderId: missing, reason: RejectReason.OrderNotOpen },
+      { orderId: "0x1234", reason: RejectReason.InvalidOrderId },
+    ]);
+  });
+
+  it("signs the split of a claim and the gateway pays it out as signed", async function () {
+    const { gateway, token, claimer, notary, amount, openOrder } = await loadFixture(deployFixture);
+    const [solver, facilitator] = (await ethers.getSigners()).slice(6, 8);
+
+    const orderId = await openOrder("split", notary.address);
+    const malformed = await openOrder("malformed", notary.address);
+    const unproven = await openOrder("unproven", notary.address);
+    const unauthorized = await openOrder("unauthorized", notary.address);
+    const split = { recipients: [solver.address, facilitator.address], shares: ["9000", "1000"] };
+    await gateway.addClaimer(solver.address);
+    await gateway.addClaimer(facilitator.address);
+
+    // the default verifier cannot tell who delivered the order
+    expect((await service.signClaims({ claims: [{ orderId, evidence: "proof", ...split }] })).rejected)
+      .to.deep.equal([{ orderId, reason: RejectReason.EvidenceRejected }]);
+
+    // this one takes the evidence to name everyone paid
+    service.auditLog.close();
+    service = await createService({
+      verifyEvidence: async (id, evidence, order, signedSplit) =>
+        !!signedSplit && signedSplit.recipients.every((recipient) => evidence.paid.includes(recipient)),
+    });
+    const proof = { paid: [solver.address, facilitator.address, claimer.address] };
+
+    const { claims, rejected } = await service.signClaims({
+      claims: [
+        { orderId, evidence: proof, ...split },
+        { orderId: malformed, evidence: proof, recipients: [solver.address], shares: [9000] },
+        { orderId: unproven, evidence: { paid: [solver.address] }, ...split },
+        { orderId: unauthorized, evidence: proof, recipients: [solver.address, notary.address], shares: [9000, 1000] },
+      ],
+    });
+    expect(rejected).to.deep.equal([
+      { orderId: malformed, reason: RejectReason.InvalidSplit },
+      { orderId: unproven, reason: RejectReason.EvidenceRejected },
+      { orderId: unauthorized, reason: RejectReason.InvalidSplit },
+    ]);
+    expect(claims[0]).to.deep.include({ recipients: [solver.address, facilitator.address], shares: [9000n, 1000n] });
+
+    await gateway.connect(claimer).claim({ claims, recipient: claimer.address });
+    expect(await token.balanceOf(solver.address)).to.equal((amount * 9n) / 10n);
+    expect(await token.balanceOf(facilitator.address)).to.equal(amount / 10n);
+
+    const entry = fs.readFileSync(auditLogPath, "utf8").trim().split("\n").map((line) => JSON.parse(line)).find(({ action }) => action === "sign");
+    expect(entry).to.include({ orderId });
+    expect(entry.shares).to.deep.equal(["9000", "1000"]);
+  });
+
+  it("never signs the same order twice, even after a restart", async function () {
+    const { claimer, notary, openOrder } = await loadFixture(deployFixture);
+
+    // a request made while another is signing the order is refused
+    let entered;
+    let release;
+    const verifying = new Promise((resolve) => { entered = resolve; });
+    const released = new Promise((resolve) => { release = resolve; });
+    service.auditLog.close();
+    service = await createService({
+      verifyEvidence: async () => {
+        entered();
+        await released;
+        return true;
+      },
+    });
+
+    const orderId = await openOrder("once", notary.address);
+    const signing = service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    await verifying;
+    const concurrent = await service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    release();
+    const first = await signing;
+    expect(first.claims).to.have.length(1);
+    expect(concurrent.rejected).to.deep.equal([{ orderId, reason: RejectReason.AlreadySigned }]);
+
+    // repeated requests get the logged signature back, but not for another split
+    const again = await service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    expect(again.claims).to.deep.equal(first.claims);
+    const resplit = await service.signClaims({ claims: [{ orderId, evidence: "proof", recipients: [claimer.address], shares: [10000] }] });
+    expect(resplit.rejected).to.deep.equal([{ orderId, reason: RejectReason.AlreadySigned }]);
+    service.auditLog.close();
+
+    service = await createService();
+    const afterRestart = await service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    expect(afterRestart.claims).to.deep.equal(first.claims);
+    expect((await service.signClaims({ claims: [{ orderId }] })).rejected).to.deep.equal([{ orderId, reason: RejectReason.EvidenceRejected }]);
+
+    const entries = fs.readFileSync(auditLogPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    expect(entries.filter((entry) => entry.action === "sign")).to.have.length(1);
+  });
+
+  it("returns the claims signed before a check throws and signs the rest on retry", async function () {
+    const { gateway, claimer, notary, openOrder } = await loadFixture(deployFixture);
+
+    const orderIds = [await openOrder("first", notary.address), await openOrder("flaky", notary.address), await openOrder("last", notary.address)];
+    const getOrder = service.gateway.getOrder.bind(service.gateway);
+    service.gateway.getOrder = async (orderId) => {
+      if (orderId === orderIds[1]) throw new Error("socket hang up");
+      return getOrder(orderId);
+    };
+    const request = { claims: orderIds.map((orderId) => ({ orderId, evidence: "proof" })) };
+
+    const { claims, rejected } = await service.signClaims(request);
+    expect(claims.map((claim) => claim.orderId)).to.deep.equal([orderIds[0], orderIds[2]]);
+    expect(rejected).to.deep.equal([{ orderId: orderIds[1], reason: RejectReason.CheckFailed }]);
+    const entry = fs.readFileSync(auditLogPath, "utf8").trim().split("\n").map((line) => JSON.parse(line)).find(({ action }) => action === "reject");
+    expect(entry).to.include({ orderId: orderIds[1], reason: RejectReason.CheckFailed, error: "socket hang up" });
+
+    // the retry signs the failed claim and hands out the others again
+    service.gateway.getOrder = getOrder;
+    const retry = await service.signClaims(request);
+    expect(retry.rejected).to.deep.equal([]);
+    expect(retry.claims[0]).to.deep.equal(claims[0]);
+    expect(retry.claims[2]).to.deep.equal(claims[1]);
+    await expect(gateway.connect(claimer).claim({ claims: retry.claims, recipient: claimer.address })).to.not.be.reverted;
+  });
+
+  it("signs notary set orders with every held member key", async function () {
+    const { gateway, claimer, notary, foreignNotary, amount, openOrder } = await loadFixture(deployFixture);
+
+    const members = sortNotaries([notary.address, foreignNotary.address, ethers.Wallet.createRandom().address]);
+    await gateway.registerNotarySet(members, 2);
+    const orderId = await openOrder("set", notary.address, notarySetId(members, 2));
+
+    const first = await service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    expect(first.claims).to.have.length(1);
+    const again = await service.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    expect(again.claims).to.deep.equal(first.claims);
+
+    // another service holding a second member completes the threshold
+    const other = new NotaryService({
+      gateway: service.gateway,
+      keyStore: KeyStore.fromPrivateKeys([foreignNotary.privateKey]),
+      auditLog: new AuditLog(path.join(dir, "other.jsonl")),
+    });
+    const second = await other.signClaims({ claims: [{ orderId, evidence: "proof" }] });
+    other.auditLog.close();
+
+    const signature = aggregateClaimSignatures(
+      orderId,
+      [first.claims[0].signature, second.claims[0].signature],
+      { members, threshold: 2 },
+      await service.gateway.domain()
+    );
+    await expect(gateway.connect(claimer).claim({ claims: [{ orderId, signature, recipients: [], shares: [] }], recipient: claimer.address }))
+      .to.emit(gateway, "Claim")
+      .withArgs(orderId, claimer.address, amount);
+  });
+
+  it("loads encrypted keystores from a directory", async function () {
+    const { notary } = await loadFixture(deployFixture);
+
+    const keystoreDir = path.join(dir, "keys");
+    fs.mkdirSync(keystoreDir);
+    const json = await ethers.encryptKeystoreJson(notary, "secret", { scrypt: { N: 1 << 10 } });
+    fs.writeFileSync(path.join(keystoreDir, "notary.json"), json);
+
+    const keyStore = await KeyStore.fromDirectory(keystoreDir, "secret");
+    expect(keyStore.addresses()).to.deep.equal([notary.address]);
+  });
+
+  it("loads the evidence verifier a deployment injects", async function () {
+    expect(() => loadEvidenceVerifier(undefined)).to.throw(TypeError, "an evidence verifier module is required");
+
+    const empty = path.join(dir, "empty.js");
+    fs.writeFileSync(empty, "module.exports = {};\n");
+    expect(() => loadEvidenceVerifier(empty)).to.throw(TypeError, "does not export a verifyEvidence function");
+
+    const verifier = path.join(dir, "verifier.js");
+    fs.writeFileSync(verifier, "exports.verifyEvidence = async (orderId, evidence) => evidence === 'delivered';\n");
+    const verifyEvidence = loadEvidenceVerifier(path.relative(process.cwd(), verifier));
+    expect(await verifyEvidence(ethers.ZeroHash, "delivered")).to.equal(true);
+    expect(await verifyEvidence(ethers.ZeroHash, "proof")).to.equal(false);
+  });
+
+  it("serves claim requests over HTTP to clients holding the API token", async function () {
+    const { notary, openOrder } = await loadFixture(deployFixture);
+    const orderId = await openOrder("http", notary.address);
+
+    expect(() => createNotaryServer(service)).to.throw(TypeError, "apiToken");
+    const server = createNotaryServer(service, { apiToken: "secret-token" });
+    await new Promise((resolve) => server.listen(0, resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const authorization = "Bearer secret-token";
+
+    try {
+      const notaries = await (await fetch(`${url}/notaries`)).json();
+      expect(notaries).to.deep.equal({ notaries: [notary.address] });
+
+      const body = JSON.stringify({ claims: [{ orderId, evidence: "proof" }] });
+      for (const headers of [{}, { authorization: "Bearer wrong-token" }, { authorization: "secret-token" }]) {
+        const unauthorized = await fetch(`${url}/claims`, { method: "POST", headers, body });
+        expect(unauthorized.status).to.equal(401);
+      }
+      expect(fs.existsSync(auditLogPath) ? fs.readFileSync(auditLogPath, "utf8") : "").to.equal("");
+
+      const invalid = await fetch(`${url}/claims`, { method: "POST", headers: { authorization }, body: "{}" });
+      expect(invalid.status).to.equal(400);
+
+      const response = await fetch(`${url}/claims`, { method: "POST", headers: { authorization }, body });
+      const { claims } = await response.json();
+      expect(claims).to.have.length(1);
+      expect(claims[0].orderId).to.equal(orderId);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
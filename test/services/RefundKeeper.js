@@ -0,0 +1,194 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { GatewayClient, OrderStatus, orderDomain } = require("../../sdk");
+const { IndexerDatabase, GatewayIndexer } = require("../../services/indexer");
+const { RefundKeeper, SkipReason, createKeeperServer } = require("../../services/keeper");
+
+describe("Services: RefundKeeper", function () {
+  async function deployFixture() {
+    const [owner, approver, claimer, alice, bob, keeper] = await ethers.getSigners();
+    const notary = ethers.Wallet.createRandom();
+
+    const Token = await ethers.getContractFactory("TestERC20");
+    const token = await Token.deploy("USD Coin", "USDC");
+
+    const Gateway = await ethers.getContractFactory("SilentSwapV2Gateway");
+    const gateway = await Gateway.deploy(
+      await token.getAddress(),
+      { minDuration: 3600, maxDuration: 86400, minDepositAmount: ethers.parseUnits("1", 6) },
+      claimer.address
+    );
+    await gateway.addApprover(approver.address);
+    const startBlock = (await gateway.deploymentTransaction().wait()).blockNumber;
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const amount = ethers.parseUnits("100", 6);
+
+    // opens an order from `signer` locked for `duration` seconds
+    async function openOrder(label, signer, duration) {
+      const client = new GatewayClient(await gateway.getAddress(), signer);
+      await token.transfer(signer.address, amount);
+      await token.connect(signer).approve(await gateway.getAddress(), amount);
+
+      const order = {
+        orderId: ethers.encodeBytes32String(label),
+        notary: notary.address,
+        approver: approver.address,
+        approvalExpiration: (await time.latest()) + 3600,
+        duration,
+        domain: orderDomain(chainId),
+        message: {
+          quoteId: label,
+          quote: {
+            signer: signer.address,
+            nonce: 0,
+            privacy: "BETTER",
+            deposit: amount,
+            fee: 0,
+            outputs: [],
+            metadata: {
+              cctpAttestors: { hash: ethers.ZeroHash, publicKeys: [] },
+              axelarValidators: { hash: ethers.ZeroHash, validators: [] },
+              notaryContract: { chainId: "secret-4", contractAddress: "secret1notary", signerAddress: notary.address },
+            },
+          },
+        },
+      };
+
+      const params = await client.buildDepositParams(order, { signer, approver }, { method: "depositProxy" });
+      await (await client.depositProxy(params, amount)).wait();
+      return order.orderId;
+    }
+
+    return { gateway, token, alice, bob, keeper, amount, startBlock, openOrder };
+  }
+
+  let fixture;
+  let db;
+
+  async function createKeeper(options = {}) {
+    const { gateway, keeper, startBlock } = fixture;
+    const address = await gateway.getAddress();
+    return new RefundKeeper({
+      gateway: new GatewayClient(address, new ethers.NonceManager(keeper)),
+      db,
+      indexer: new GatewayIndexer({ provider: ethers.provider, address, db, startBlock }),
+      ...options,
+    });
+  }
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployFixture);
+    db = await IndexerDatabase.open();
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  it("refunds expired orders back to back and keeps stats", async function () {
+    const { gateway, token, alice, bob, amount, openOrder } = fixture;
+    const keeper = await createKeeper();
+
+    const first = await openOrder("first", alice, 3600);
+    const second = await openOrder("second", bob, 3600);
+    const later = await openOrder("later", alice, 86400);
+    await time.increase(3600);
+
+    const { refunded, skipped, failed } = await keeper.run();
+    expect(skipped).to.deep.equal([]);
+    expect(failed).to.deep.equal([]);
+    expect(refunded.map((refund) => [refund.orderId, refund.refundee, refund.amount])).to.deep.equal([
+      [first.toLowerCase(), alice.address, amount],
+      [second.toLowerCase(), bob.address, amount],
+    ]);
+
+    expect(await token.balanceOf(alice.address)).to.equal(amount);
+    expect(await token.balanceOf(bob.address)).to.equal(amount);
+    expect((await gateway.orders(later)).status).to.equal(OrderStatus.Open);
+
+    // the indexer sees the refunds on the next run, which has nothing left to do
+    const again = await keeper.run();
+    expect(again.refunded).to.deep.equal([]);
+    expect(db.getOrder(first).status).to.equal(OrderStatus.Aborted);
+
+    expect(keeper.stats).to.include({ runs: 2, refunded: 2, failed: 0 });
+    expect(keeper.stats.refundedAmounts).to.deep.equal({ [(await token.getAddress()).toLowerCase()]: amount * 2n });
+  });
+
+  it("skips orders whose refund would revert or exceed the gas limit", async function () {
+    const { gateway, alice, bob, openOrder } = fixture;
+
+    const refundedElsewhere = await openOrder("elsewhere", alice, 3600);
+    await time.increase(3600);
+    await (await createKeeper()).indexer.sync();
+
+    // refunded by someone else after the keeper indexed it
+    await gateway.connect(bob).refund(refundedElsewhere);
+    const keeper = await createKeeper({ indexer: null });
+    const { skipped, refunded } = await keeper.run();
+    expect(refunded).to.deep.equal([]);
+    expect(skipped).to.have.length(1);
+    expect(skipped[0]).to.include({ orderId: refundedElsewhere.toLowerCase(), reason: SkipReason.SimulationReverted });
+    expect(skipped[0].error).to.match(/order not open/);
+
+    const expensive = await openOrder("expensive", alice, 3600);
+    await time.increase(3600);
+    const limited = await createKeeper({ maxGasLimit: 21000n });
+    const result = await limited.run();
+    expect(result.skipped).to.deep.equal([
+      { orderId: expensive.toLowerCase(), reason: SkipReason.GasLimitExceeded, error: result.skipped[0].error },
+    ]);
+    expect(limited.stats.skipped[SkipReason.GasLimitExceeded]).to.equal(1);
+    expect((await gateway.orders(expensive)).status).to.equal(OrderStatus.Open);
+  });
+
+  it("confirms the refunds already sent when a later simulation fails", async function () {
+    const { gateway, alice, bob, amount, openOrder } = fixture;
+    const keeper = await createKeeper();
+
+    const first = await openOrder("first", alice, 3600);
+    const flaky = await openOrder("flaky", bob, 3600);
+    await time.increase(3600);
+
+    const estimateRefund = keeper.gateway.estimateRefund.bind(keeper.gateway);
+    keeper.gateway.estimateRefund = async (orderId) => {
+      if (orderId === flaky.toLowerCase()) throw new Error("request timeout");
+      return estimateRefund(orderId);
+    };
+    const { refunded, failed } = await keeper.run();
+    expect(refunded.map((refund) => refund.orderId)).to.deep.equal([first.toLowerCase()]);
+    expect(failed).to.deep.equal([{ orderId: flaky.toLowerCase(), error: "request timeout" }]);
+    expect(keeper.stats).to.include({ refunded: 1, failed: 1 });
+
+    // neither order is left in flight, and the failed one is refunded next run
+    keeper.gateway.estimateRefund = estimateRefund;
+    const again = await keeper.run();
+    expect(again.refunded.map((refund) => [refund.orderId, refund.amount])).to.deep.equal([[flaky.toLowerCase(), amount]]);
+    expect((await gateway.orders(first)).status).to.equal(OrderStatus.Aborted);
+  });
+
+  it("serves stats over HTTP", async function () {
+    const { token, alice, amount, openOrder } = fixture;
+    const keeper = await createKeeper();
+
+    await openOrder("http", alice, 3600);
+    await time.increase(3600);
+    await keeper.run();
+
+    const server = createKeeperServer(keeper);
+    await new Promise((resolve) => server.listen(0, resolve));
+    try {
+      const stats = await (await fetch(`http://127.0.0.1:${server.address().port}/stats`)).json();
+      expect(stats).to.include({ runs: 1, refunded: 1 });
+      expect(stats.refundedAmounts).to.deep.equal({ [(await token.getAddress()).toLowerCase()]: amount.toString() });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,131 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { SolvencyAuditor, DiscrepancyType, Severity } = require("../../services/auditor");
+const { deployGatewayFixture, signDepositParams, openOrder, signClaims } = require("../helpers");
+
+describe("Services: SolvencyAuditor", function () {
+  async function deployFixture() {
+    const fixture = await deployGatewayFixture();
+    const startBlock = (await fixture.gateway.deploymentTransaction().wait()).blockNumber;
+    const auditor = new SolvencyAuditor({
+      provider: ethers.provider,
+      gateway: await fixture.gateway.getAddress(),
+      depositor: await fixture.depositor.getAddress(),
+      startBlock,
+      batchSize: 5,
+    });
+    return { ...fixture, startBlock, auditor };
+  }
+
+  // credits `amount` to `orderId` on the depositor, as a bridge receiver would
+  async function fundOrder(fixture, orderId, amount) {
+    const { usdc, depositor, otherAccount } = fixture;
+    await usdc.mint(otherAccount.address, amount);
+    await usdc.connect(otherAccount).approve(await depositor.getAddress(), amount);
+    await depositor.connect(otherAccount).fundOrder(orderId, await usdc.getAddress(), amount);
+  }
+
+  it("reconciles orders and depositor credits with the balances at any block", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, depositor, usdc, claimer, notary, config, auditor } = fixture;
+    const usdcAddress = await usdc.getAddress();
+
+    const claimed = await openOrder(fixture, { label: "claimed" });
+    const refunded = await openOrder(fixture, { label: "refunded", duration: config.minDuration });
+    const open = await openOrder(fixture, { label: "open", duration: config.maxDuration });
+
+    // a credit deposited through the depositor, one still waiting and one swept
+    const credit = ethers.parseUnits("40", 6);
+    const { params: bridged } = await signDepositParams(fixture, { label: "bridged", method: "depositProxy" });
+    await fundOrder(fixture, bridged.orderId, credit);
+    await depositor.depositProxy(bridged);
+    const waiting = ethers.encodeBytes32String("waiting");
+    await fundOrder(fixture, waiting, 7n);
+    const swept = ethers.encodeBytes32String("swept");
+    await fundOrder(fixture, swept, 5n);
+    await depositor.sweepOrder(swept, usdcAddress);
+
+    const beforeClaim = await ethers.provider.getBlockNumber();
+    await gateway.claim({ claims: await signClaims(notary, [claimed.orderId], fixture.domain), recipient: claimer.address });
+    await time.increase(config.minDuration);
+    await gateway.refund(refunded.orderId);
+
+    const report = await auditor.audit();
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(report.ok).to.equal(true);
+    expect(report.block).to.equal(await ethers.provider.getBlockNumber());
+    expect(report.gateway).to.deep.include({ orders: 4, openOrders: 2 });
+    expect(report.gateway.tokens).to.deep.equal([
+      { token: usdcAddress, balance: open.amount + credit, liabilities: open.amount + credit, openOrders: 2 },
+    ]);
+    expect(report.depositor.tokens).to.deep.equal([
+      { token: usdcAddress, balance: 7n, credited: 7n, expectedCredited: 7n, unallocated: 0n },
+    ]);
+
+    const past = await auditor.audit({ block: beforeClaim });
+    expect(past.discrepancies).to.deep.equal([]);
+    expect(past.gateway.openOrders).to.equal(4);
+    expect(past.gateway.tokens[0].liabilities).to.equal(claimed.amount + refunded.amount + open.amount + credit);
+  });
+
+  it("reports shortfalls, surpluses and unallocated depositor funds", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, depositor, usdc, owner, auditor } = fixture;
+    const gatewayAddress = await gateway.getAddress();
+
+    // a deflationary deposit token delivers less than the order records
+    const fot = await ethers.deployContract("FeeOnTransferERC20", ["Deflationary", "DEF", 100]);
+    const fotAddress = await fot.getAddress();
+    await gateway.setDepositToken(fotAddress, 1n);
+    const { params, amount } = await signDepositParams(fixture, { label: "deflationary", method: "depositProxy", token: fot });
+    await fot.approve(gatewayAddress, amount);
+    await gateway.depositProxy(params, amount);
+
+    // direct transfers nobody is owed
+    await usdc.mint(gatewayAddress, 3n);
+    await usdc.mint(await depositor.getAddress(), 11n);
+
+    const report = await auditor.audit();
+    expect(report.ok).to.equal(false);
+    expect(report.discrepancies.map(({ type, severity, token, expected, actual }) => ({ type, severity, token, expected, actual }))).to.have.deep.members([
+      { type: DiscrepancyType.GatewaySurplus, severity: Severity.Warning, token: await usdc.getAddress(), expected: 0n, actual: 3n },
+      { type: DiscrepancyType.GatewayShortfall, severity: Severity.Critical, token: fotAddress, expected: amount, actual: amount - amount / 100n },
+      { type: DiscrepancyType.DepositorUnallocated, severity: Severity.Warning, token: await usdc.getAddress(), expected: 0n, actual: 11n },
+    ]);
+
+    // sweeping the depositor clears its warning
+    await depositor.sweep();
+    const swept = await auditor.audit();
+    expect(swept.discrepancies.map((discrepancy) => discrepancy.type)).to.not.include(DiscrepancyType.DepositorUnallocated);
+    expect(await usdc.balanceOf(owner.address)).to.be.at.least(11n);
+  });
+
+  it("flags orders deposited before the replayed history", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { gateway, config } = fixture;
+
+    const early = await openOrder(fixture, { label: "early", duration: config.minDuration });
+    const auditor = new SolvencyAuditor({
+      provider: ethers.provider,
+      gateway: await gateway.getAddress(),
+      startBlock: (await ethers.provider.getBlockNumber()) + 1,
+    });
+    await time.increase(config.minDuration);
+    await gateway.refund(early.orderId);
+
+    const report = await auditor.audit();
+    expect(report.depositor).to.equal(null);
+    expect(report.ok).to.equal(true);
+    expect(report.discrepancies).to.deep.equal([{
+      type: DiscrepancyType.UnknownOrder,
+      severity: Severity.Warning,
+      message: `order ${early.orderId} closed in block ${await ethers.provider.getBlockNumber()} was not deposited after the start block`,
+      orderId: early.orderId,
+    }]);
+  });
+});
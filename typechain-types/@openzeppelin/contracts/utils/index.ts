@@ -7,5 +7,9 @@ import type * as introspection from "./introspection";
 export type { introspection };
 import type * as math from "./math";
 export type { math };
+export type { Address } from "./Address";
+export type { Create2 } from "./Create2";
+export type { Errors } from "./Errors";
 export type { ReentrancyGuard } from "./ReentrancyGuard";
+export type { ShortStrings } from "./ShortStrings";
 export type { Strings } from "./Strings";
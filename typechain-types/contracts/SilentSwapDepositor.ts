@@ -36,6 +36,11 @@ export declare namespace SilentSwapV2Gateway {
     payloadHash: BytesLike;
     typedDataSignature: BytesLike;
     receiveAuthorization: BytesLike;
+    token: AddressLike;
+    fee: BigNumberish;
+    notarySet: BytesLike;
+    minAmount: BigNumberish;
+    maxAmount: BigNumberish;
   };
 
   export type DepositParamsStructOutput = [
@@ -49,7 +54,12 @@ export declare namespace SilentSwapV2Gateway {
     domainSepHash: string,
     payloadHash: string,
     typedDataSignature: string,
-    receiveAuthorization: string
+    receiveAuthorization: string,
+    token: string,
+    fee: bigint,
+    notarySet: string,
+    minAmount: bigint,
+    maxAmount: bigint
   ] & {
     signer: string;
     orderId: string;
@@ -62,30 +72,73 @@ export declare namespace SilentSwapV2Gateway {
     payloadHash: string;
     typedDataSignature: string;
     receiveAuthorization: string;
+    token: string;
+    fee: bigint;
+    notarySet: string;
+    minAmount: bigint;
+    maxAmount: bigint;
   };
 }
 
 export interface SilentSwapDepositorInterface extends Interface {
   getFunction(
     nameOrSignature:
+      | "axelarGateway"
+      | "cctpMessageTransmitter"
+      | "creditedBalances"
+      | "depositBridged"
       | "depositProxy"
       | "depositProxy2"
+      | "executeWithToken"
+      | "fundOrder"
       | "gatewayAddress"
+      | "orderBalances"
       | "owner"
+      | "receiveCctpMessage"
       | "renounceOwnership"
+      | "setBridges"
       | "sweep"
+      | "sweepOrder"
+      | "sweepToken"
       | "transferOwnership"
+      | "unallocatedBalance"
       | "usdc"
   ): FunctionFragment;
 
   getEvent(
     nameOrSignatureOrTopic:
+      | "BridgeDeposit"
+      | "BridgeDepositFailed"
+      | "BridgesUpdated"
       | "DepositProxy"
       | "DepositProxy2"
+      | "ExcessRefunded"
+      | "OrderFunded"
       | "OwnershipTransferred"
       | "Sweep"
   ): EventFragment;
 
+  encodeFunctionData(
+    functionFragment: "axelarGateway",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cctpMessageTransmitter",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "creditedBalances",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositBridged",
+    values: [
+      SilentSwapV2Gateway.DepositParamsStruct,
+      AddressLike,
+      BigNumberish,
+      AddressLike
+    ]
+  ): string;
   encodeFunctionData(
     functionFragment: "depositProxy",
     values: [SilentSwapV2Gateway.DepositParamsStruct]
@@ -94,22 +147,70 @@ export interface SilentSwapDepositorInterface extends Interface {
     functionFragment: "depositProxy2",
     values: [SilentSwapV2Gateway.DepositParamsStruct]
   ): string;
+  encodeFunctionData(
+    functionFragment: "executeWithToken",
+    values: [BytesLike, string, string, BytesLike, string, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "fundOrder",
+    values: [BytesLike, AddressLike, BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "gatewayAddress",
     values?: undefined
   ): string;
+  encodeFunctionData(
+    functionFragment: "orderBalances",
+    values: [BytesLike, AddressLike]
+  ): string;
   encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "receiveCctpMessage",
+    values: [BytesLike, BytesLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "renounceOwnership",
     values?: undefined
   ): string;
+  encodeFunctionData(
+    functionFragment: "setBridges",
+    values: [AddressLike, AddressLike]
+  ): string;
   encodeFunctionData(functionFragment: "sweep", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "sweepOrder",
+    values: [BytesLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "sweepToken",
+    values: [AddressLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "transferOwnership",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "unallocatedBalance",
+    values: [AddressLike]
+  ): string;
   encodeFunctionData(functionFragment: "usdc", values?: undefined): string;
 
+  decodeFunctionResult(
+    functionFragment: "axelarGateway",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cctpMessageTransmitter",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "creditedBalances",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositBridged",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "depositProxy",
     data: BytesLike
@@ -118,23 +219,115 @@ export interface SilentSwapDepositorInterface extends Interface {
     functionFragment: "depositProxy2",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "executeWithToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "fundOrder", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "gatewayAddress",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "orderBalances",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "receiveCctpMessage",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "renounceOwnership",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(functionFragment: "setBridges", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "sweep", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "sweepOrder", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "sweepToken", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "transferOwnership",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "unallocatedBalance",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "usdc", data: BytesLike): Result;
 }
 
+export namespace BridgeDepositEvent {
+  export type InputTuple = [
+    signer: AddressLike,
+    orderId: BytesLike,
+    bridge: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    signer: string,
+    orderId: string,
+    bridge: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    signer: string;
+    orderId: string;
+    bridge: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BridgeDepositFailedEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    refundee: AddressLike,
+    bridge: AddressLike,
+    amount: BigNumberish,
+    reason: BytesLike
+  ];
+  export type OutputTuple = [
+    orderId: string,
+    refundee: string,
+    bridge: string,
+    amount: bigint,
+    reason: string
+  ];
+  export interface OutputObject {
+    orderId: string;
+    refundee: string;
+    bridge: string;
+    amount: bigint;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace BridgesUpdatedEvent {
+  export type InputTuple = [
+    cctpMessageTransmitter: AddressLike,
+    axelarGateway: AddressLike
+  ];
+  export type OutputTuple = [
+    cctpMessageTransmitter: string,
+    axelarGateway: string
+  ];
+  export interface OutputObject {
+    cctpMessageTransmitter: string;
+    axelarGateway: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace DepositProxyEvent {
   export type InputTuple = [
     signer: AddressLike,
@@ -171,6 +364,42 @@ export namespace DepositProxy2Event {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace ExcessRefundedEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    refundee: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [orderId: string, refundee: string, amount: bigint];
+  export interface OutputObject {
+    orderId: string;
+    refundee: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrderFundedEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    token: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [orderId: string, token: string, amount: bigint];
+  export interface OutputObject {
+    orderId: string;
+    token: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace OwnershipTransferredEvent {
   export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
   export type OutputTuple = [previousOwner: string, newOwner: string];
@@ -240,6 +469,23 @@ export interface SilentSwapDepositor extends BaseContract {
     event?: TCEvent
   ): Promise<this>;
 
+  axelarGateway: TypedContractMethod<[], [string], "view">;
+
+  cctpMessageTransmitter: TypedContractMethod<[], [string], "view">;
+
+  creditedBalances: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  depositBridged: TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      token: AddressLike,
+      amount: BigNumberish,
+      refundee: AddressLike
+    ],
+    [bigint],
+    "nonpayable"
+  >;
+
   depositProxy: TypedContractMethod<
     [params: SilentSwapV2Gateway.DepositParamsStruct],
     [void],
@@ -252,26 +498,98 @@ export interface SilentSwapDepositor extends BaseContract {
     "nonpayable"
   >;
 
+  executeWithToken: TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payload: BytesLike,
+      tokenSymbol: string,
+      amount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  fundOrder: TypedContractMethod<
+    [orderId: BytesLike, token: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
   gatewayAddress: TypedContractMethod<[], [string], "view">;
 
+  orderBalances: TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
+
   owner: TypedContractMethod<[], [string], "view">;
 
+  receiveCctpMessage: TypedContractMethod<
+    [message: BytesLike, attestation: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
   renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
 
+  setBridges: TypedContractMethod<
+    [_cctpMessageTransmitter: AddressLike, _axelarGateway: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
   sweep: TypedContractMethod<[], [void], "nonpayable">;
 
+  sweepOrder: TypedContractMethod<
+    [orderId: BytesLike, token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  sweepToken: TypedContractMethod<[token: AddressLike], [void], "nonpayable">;
+
   transferOwnership: TypedContractMethod<
     [newOwner: AddressLike],
     [void],
     "nonpayable"
   >;
 
+  unallocatedBalance: TypedContractMethod<
+    [token: AddressLike],
+    [bigint],
+    "view"
+  >;
+
   usdc: TypedContractMethod<[], [string], "view">;
 
   getFunction<T extends ContractMethod = ContractMethod>(
     key: string | FunctionFragment
   ): T;
 
+  getFunction(
+    nameOrSignature: "axelarGateway"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "cctpMessageTransmitter"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "creditedBalances"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "depositBridged"
+  ): TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      token: AddressLike,
+      amount: BigNumberish,
+      refundee: AddressLike
+    ],
+    [bigint],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "depositProxy"
   ): TypedContractMethod<
@@ -286,25 +604,101 @@ export interface SilentSwapDepositor extends BaseContract {
     [void],
     "nonpayable"
   >;
+  getFunction(
+    nameOrSignature: "executeWithToken"
+  ): TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payload: BytesLike,
+      tokenSymbol: string,
+      amount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "fundOrder"
+  ): TypedContractMethod<
+    [orderId: BytesLike, token: AddressLike, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "gatewayAddress"
   ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "orderBalances"
+  ): TypedContractMethod<
+    [arg0: BytesLike, arg1: AddressLike],
+    [bigint],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "owner"
   ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "receiveCctpMessage"
+  ): TypedContractMethod<
+    [message: BytesLike, attestation: BytesLike],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "renounceOwnership"
   ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setBridges"
+  ): TypedContractMethod<
+    [_cctpMessageTransmitter: AddressLike, _axelarGateway: AddressLike],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "sweep"
   ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "sweepOrder"
+  ): TypedContractMethod<
+    [orderId: BytesLike, token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "sweepToken"
+  ): TypedContractMethod<[token: AddressLike], [void], "nonpayable">;
   getFunction(
     nameOrSignature: "transferOwnership"
   ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unallocatedBalance"
+  ): TypedContractMethod<[token: AddressLike], [bigint], "view">;
   getFunction(
     nameOrSignature: "usdc"
   ): TypedContractMethod<[], [string], "view">;
 
+  getEvent(
+    key: "BridgeDeposit"
+  ): TypedContractEvent<
+    BridgeDepositEvent.InputTuple,
+    BridgeDepositEvent.OutputTuple,
+    BridgeDepositEvent.OutputObject
+  >;
+  getEvent(
+    key: "BridgeDepositFailed"
+  ): TypedContractEvent<
+    BridgeDepositFailedEvent.InputTuple,
+    BridgeDepositFailedEvent.OutputTuple,
+    BridgeDepositFailedEvent.OutputObject
+  >;
+  getEvent(
+    key: "BridgesUpdated"
+  ): TypedContractEvent<
+    BridgesUpdatedEvent.InputTuple,
+    BridgesUpdatedEvent.OutputTuple,
+    BridgesUpdatedEvent.OutputObject
+  >;
   getEvent(
     key: "DepositProxy"
   ): TypedContractEvent<
@@ -319,6 +713,20 @@ export interface SilentSwapDepositor extends BaseContract {
     DepositProxy2Event.OutputTuple,
     DepositProxy2Event.OutputObject
   >;
+  getEvent(
+    key: "ExcessRefunded"
+  ): TypedContractEvent<
+    ExcessRefundedEvent.InputTuple,
+    ExcessRefundedEvent.OutputTuple,
+    ExcessRefundedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrderFunded"
+  ): TypedContractEvent<
+    OrderFundedEvent.InputTuple,
+    OrderFundedEvent.OutputTuple,
+    OrderFundedEvent.OutputObject
+  >;
   getEvent(
     key: "OwnershipTransferred"
   ): TypedContractEvent<
@@ -335,6 +743,39 @@ export interface SilentSwapDepositor extends BaseContract {
   >;
 
   filters: {
+    "BridgeDeposit(address,bytes32,address,uint256)": TypedContractEvent<
+      BridgeDepositEvent.InputTuple,
+      BridgeDepositEvent.OutputTuple,
+      BridgeDepositEvent.OutputObject
+    >;
+    BridgeDeposit: TypedContractEvent<
+      BridgeDepositEvent.InputTuple,
+      BridgeDepositEvent.OutputTuple,
+      BridgeDepositEvent.OutputObject
+    >;
+
+    "BridgeDepositFailed(bytes32,address,address,uint256,bytes)": TypedContractEvent<
+      BridgeDepositFailedEvent.InputTuple,
+      BridgeDepositFailedEvent.OutputTuple,
+      BridgeDepositFailedEvent.OutputObject
+    >;
+    BridgeDepositFailed: TypedContractEvent<
+      BridgeDepositFailedEvent.InputTuple,
+      BridgeDepositFailedEvent.OutputTuple,
+      BridgeDepositFailedEvent.OutputObject
+    >;
+
+    "BridgesUpdated(address,address)": TypedContractEvent<
+      BridgesUpdatedEvent.InputTuple,
+      BridgesUpdatedEvent.OutputTuple,
+      BridgesUpdatedEvent.OutputObject
+    >;
+    BridgesUpdated: TypedContractEvent<
+      BridgesUpdatedEvent.InputTuple,
+      BridgesUpdatedEvent.OutputTuple,
+      BridgesUpdatedEvent.OutputObject
+    >;
+
     "DepositProxy(address,bytes32,uint256)": TypedContractEvent<
       DepositProxyEvent.InputTuple,
       DepositProxyEvent.OutputTuple,
@@ -357,6 +798,28 @@ export interface SilentSwapDepositor extends BaseContract {
       DepositProxy2Event.OutputObject
     >;
 
+    "ExcessRefunded(bytes32,address,uint256)": TypedContractEvent<
+      ExcessRefundedEvent.InputTuple,
+      ExcessRefundedEvent.OutputTuple,
+      ExcessRefundedEvent.OutputObject
+    >;
+    ExcessRefunded: TypedContractEvent<
+      ExcessRefundedEvent.InputTuple,
+      ExcessRefundedEvent.OutputTuple,
+      ExcessRefundedEvent.OutputObject
+    >;
+
+    "OrderFunded(bytes32,address,uint256)": TypedContractEvent<
+      OrderFundedEvent.InputTuple,
+      OrderFundedEvent.OutputTuple,
+      OrderFundedEvent.OutputObject
+    >;
+    OrderFunded: TypedContractEvent<
+      OrderFundedEvent.InputTuple,
+      OrderFundedEvent.OutputTuple,
+      OrderFundedEvent.OutputObject
+    >;
+
     "OwnershipTransferred(address,address)": TypedContractEvent<
       OwnershipTransferredEvent.InputTuple,
       OwnershipTransferredEvent.OutputTuple,
@@ -36,11 +36,23 @@ export declare namespace SilentSwapV2Gateway {
     minDepositAmount: bigint
   ] & { minDuration: bigint; maxDuration: bigint; minDepositAmount: bigint };
 
-  export type ClaimSpecStruct = { orderId: BytesLike; signature: BytesLike };
+  export type ClaimSpecStruct = {
+    orderId: BytesLike;
+    signature: BytesLike;
+    recipients: AddressLike[];
+    shares: BigNumberish[];
+  };
 
-  export type ClaimSpecStructOutput = [orderId: string, signature: string] & {
+  export type ClaimSpecStructOutput = [
+    orderId: string,
+    signature: string,
+    recipients: string[],
+    shares: bigint[]
+  ] & {
     orderId: string;
     signature: string;
+    recipients: string[];
+    shares: bigint[];
   };
 
   export type BulkClaimParamsStruct = {
@@ -68,6 +80,11 @@ export declare namespace SilentSwapV2Gateway {
     payloadHash: BytesLike;
     typedDataSignature: BytesLike;
     receiveAuthorization: BytesLike;
+    token: AddressLike;
+    fee: BigNumberish;
+    notarySet: BytesLike;
+    minAmount: BigNumberish;
+    maxAmount: BigNumberish;
   };
 
   export type DepositParamsStructOutput = [
@@ -81,7 +98,12 @@ export declare namespace SilentSwapV2Gateway {
     domainSepHash: string,
     payloadHash: string,
     typedDataSignature: string,
-    receiveAuthorization: string
+    receiveAuthorization: string,
+    token: string,
+    fee: bigint,
+    notarySet: string,
+    minAmount: bigint,
+    maxAmount: bigint
   ] & {
     signer: string;
     orderId: string;
@@ -94,39 +116,144 @@ export declare namespace SilentSwapV2Gateway {
     payloadHash: string;
     typedDataSignature: string;
     receiveAuthorization: string;
+    token: string;
+    fee: bigint;
+    notarySet: string;
+    minAmount: bigint;
+    maxAmount: bigint;
+  };
+
+  export type PermitSignatureStruct = {
+    deadline: BigNumberish;
+    v: BigNumberish;
+    r: BytesLike;
+    s: BytesLike;
+  };
+
+  export type PermitSignatureStructOutput = [
+    deadline: bigint,
+    v: bigint,
+    r: string,
+    s: string
+  ] & { deadline: bigint; v: bigint; r: string; s: string };
+
+  export type Permit2SignatureStruct = {
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+    signature: BytesLike;
+  };
+
+  export type Permit2SignatureStructOutput = [
+    nonce: bigint,
+    deadline: bigint,
+    signature: string
+  ] & { nonce: bigint; deadline: bigint; signature: string };
+
+  export type OrderStruct = {
+    status: BigNumberish;
+    expiration: BigNumberish;
+    notary: AddressLike;
+    refundee: AddressLike;
+    amount: BigNumberish;
+    token: AddressLike;
+    fee: BigNumberish;
+    notarySet: BytesLike;
+    openedAt: BigNumberish;
+  };
+
+  export type OrderStructOutput = [
+    status: bigint,
+    expiration: bigint,
+    notary: string,
+    refundee: string,
+    amount: bigint,
+    token: string,
+    fee: bigint,
+    notarySet: string,
+    openedAt: bigint
+  ] & {
+    status: bigint;
+    expiration: bigint;
+    notary: string;
+    refundee: string;
+    amount: bigint;
+    token: string;
+    fee: bigint;
+    notarySet: string;
+    openedAt: bigint;
   };
 }
 
 export interface SilentSwapV2GatewayInterface extends Interface {
   getFunction(
     nameOrSignature:
+      | "DOMAIN_SEPARATOR"
+      | "PERMIT2"
       | "acceptOwnership"
+      | "accruedFees"
       | "addApprover"
       | "addClaimer"
       | "authorizedApprovers"
       | "authorizedClaimers"
+      | "cancelOperation"
+      | "cancelOrder"
       | "claim"
+      | "claimWindow"
+      | "claimWindowCap"
+      | "claimWindowStart"
+      | "claimedInWindow"
       | "claimsCap"
+      | "claimsPaused"
       | "config"
       | "deposit"
       | "depositProxy"
+      | "depositTokens"
+      | "depositWithPermit"
+      | "depositWithPermit2"
+      | "depositsPaused"
+      | "executeOperation"
+      | "extendOrder"
+      | "feeTreasury"
       | "getConfig"
+      | "getMinDepositAmount"
+      | "getNotaryOrderCount"
+      | "getNotaryOrders"
+      | "getNotarySet"
       | "getSignerCount"
+      | "getSignerOrders"
+      | "guardian"
       | "isAuthorizedApprover"
       | "isAuthorizedClaimer"
+      | "legacySignaturesUntil"
+      | "openDeposits"
+      | "operationReadyAt"
       | "orders"
       | "owner"
+      | "pause"
       | "payloads"
       | "pendingOwner"
       | "queryOrderStatus"
       | "refund"
+      | "refundFeePolicy"
+      | "registerNotarySet"
       | "removeApprover"
       | "removeClaimer"
+      | "removeDepositToken"
       | "renounceOwnership"
+      | "scheduleOperation"
+      | "setClaimWindowCap"
       | "setClaimsCap"
       | "setConfig"
+      | "setDepositToken"
+      | "setFeeTreasury"
+      | "setGuardian"
+      | "setLegacySignaturesUntil"
+      | "setRefundFeePolicy"
+      | "setTimelockDelay"
       | "signerCounts"
+      | "timelockDelay"
       | "transferOwnership"
+      | "unpause"
       | "usdc"
       | "verifyTypedDataSignature"
   ): FunctionFragment;
@@ -135,22 +262,49 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     nameOrSignatureOrTopic:
       | "ApproverAdded"
       | "ApproverRemoved"
+      | "Cancelled"
       | "Claim"
+      | "ClaimWindowCapUpdated"
       | "ClaimerAdded"
       | "ClaimerRemoved"
+      | "ClaimsCapUpdated"
       | "ConfigUpdated"
       | "Deposit"
+      | "DepositTokenRemoved"
+      | "DepositTokenSet"
       | "Error"
+      | "Executed"
+      | "FeeTreasuryUpdated"
+      | "FeesCollected"
+      | "GuardianUpdated"
+      | "LegacySignaturesUntilUpdated"
+      | "NotarySetRegistered"
+      | "OrderCancelled"
+      | "OrderExtended"
       | "OwnershipTransferStarted"
       | "OwnershipTransferred"
+      | "Paused"
       | "ProxyDeposit"
       | "Refund"
+      | "RefundFeePolicyUpdated"
+      | "Scheduled"
+      | "TimelockDelayUpdated"
+      | "Unpaused"
   ): EventFragment;
 
+  encodeFunctionData(
+    functionFragment: "DOMAIN_SEPARATOR",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "PERMIT2", values?: undefined): string;
   encodeFunctionData(
     functionFragment: "acceptOwnership",
     values?: undefined
   ): string;
+  encodeFunctionData(
+    functionFragment: "accruedFees",
+    values: [AddressLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "addApprover",
     values: [AddressLike]
@@ -167,11 +321,39 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "authorizedClaimers",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOrder",
+    values: [BytesLike, BytesLike, BytesLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "claim",
     values: [SilentSwapV2Gateway.BulkClaimParamsStruct]
   ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindow",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindowCap",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindowStart",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimedInWindow",
+    values?: undefined
+  ): string;
   encodeFunctionData(functionFragment: "claimsCap", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "claimsPaused",
+    values?: undefined
+  ): string;
   encodeFunctionData(functionFragment: "config", values?: undefined): string;
   encodeFunctionData(
     functionFragment: "deposit",
@@ -181,11 +363,68 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "depositProxy",
     values: [SilentSwapV2Gateway.DepositParamsStruct, BigNumberish]
   ): string;
+  encodeFunctionData(
+    functionFragment: "depositTokens",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositWithPermit",
+    values: [
+      SilentSwapV2Gateway.DepositParamsStruct,
+      BigNumberish,
+      SilentSwapV2Gateway.PermitSignatureStruct
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositWithPermit2",
+    values: [
+      SilentSwapV2Gateway.DepositParamsStruct,
+      BigNumberish,
+      SilentSwapV2Gateway.Permit2SignatureStruct
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositsPaused",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "executeOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "extendOrder",
+    values: [BytesLike, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "feeTreasury",
+    values?: undefined
+  ): string;
   encodeFunctionData(functionFragment: "getConfig", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "getMinDepositAmount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotaryOrderCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotaryOrders",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotarySet",
+    values: [BytesLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "getSignerCount",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "getSignerOrders",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "guardian", values?: undefined): string;
   encodeFunctionData(
     functionFragment: "isAuthorizedApprover",
     values: [AddressLike]
@@ -194,8 +433,24 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "isAuthorizedClaimer",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "legacySignaturesUntil",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "openDeposits",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "operationReadyAt",
+    values: [BytesLike]
+  ): string;
   encodeFunctionData(functionFragment: "orders", values: [BytesLike]): string;
   encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pause",
+    values: [BigNumberish, string]
+  ): string;
   encodeFunctionData(functionFragment: "payloads", values: [BytesLike]): string;
   encodeFunctionData(
     functionFragment: "pendingOwner",
@@ -206,6 +461,14 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     values: [BytesLike]
   ): string;
   encodeFunctionData(functionFragment: "refund", values: [BytesLike]): string;
+  encodeFunctionData(
+    functionFragment: "refundFeePolicy",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerNotarySet",
+    values: [AddressLike[], BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "removeApprover",
     values: [AddressLike]
@@ -214,10 +477,22 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "removeClaimer",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "removeDepositToken",
+    values: [AddressLike]
+  ): string;
   encodeFunctionData(
     functionFragment: "renounceOwnership",
     values?: undefined
   ): string;
+  encodeFunctionData(
+    functionFragment: "scheduleOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setClaimWindowCap",
+    values: [BigNumberish, BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "setClaimsCap",
     values: [BigNumberish]
@@ -226,24 +501,65 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "setConfig",
     values: [BigNumberish, BigNumberish, BigNumberish]
   ): string;
+  encodeFunctionData(
+    functionFragment: "setDepositToken",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setFeeTreasury",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setGuardian",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLegacySignaturesUntil",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRefundFeePolicy",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTimelockDelay",
+    values: [BigNumberish]
+  ): string;
   encodeFunctionData(
     functionFragment: "signerCounts",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "timelockDelay",
+    values?: undefined
+  ): string;
   encodeFunctionData(
     functionFragment: "transferOwnership",
     values: [AddressLike]
   ): string;
+  encodeFunctionData(
+    functionFragment: "unpause",
+    values: [BigNumberish]
+  ): string;
   encodeFunctionData(functionFragment: "usdc", values?: undefined): string;
   encodeFunctionData(
     functionFragment: "verifyTypedDataSignature",
     values: [BytesLike, BytesLike, BytesLike, AddressLike]
   ): string;
 
+  decodeFunctionResult(
+    functionFragment: "DOMAIN_SEPARATOR",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "PERMIT2", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "acceptOwnership",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "accruedFees",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "addApprover",
     data: BytesLike
@@ -257,19 +573,96 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "authorizedClaimers",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOrder",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "claim", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindowCap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindowStart",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimedInWindow",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "claimsCap", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "claimsPaused",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "config", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "deposit", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "depositProxy",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositTokens",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositWithPermit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositWithPermit2",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositsPaused",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "executeOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "extendOrder",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "feeTreasury",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "getConfig", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getMinDepositAmount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotaryOrderCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotaryOrders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotarySet",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "getSignerCount",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSignerOrders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "guardian", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "isAuthorizedApprover",
     data: BytesLike
@@ -278,8 +671,21 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "isAuthorizedClaimer",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "legacySignaturesUntil",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "openDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "operationReadyAt",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(functionFragment: "orders", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "payloads", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "pendingOwner",
@@ -290,6 +696,14 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     data: BytesLike
   ): Result;
   decodeFunctionResult(functionFragment: "refund", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "refundFeePolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerNotarySet",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "removeApprover",
     data: BytesLike
@@ -298,23 +712,64 @@ export interface SilentSwapV2GatewayInterface extends Interface {
     functionFragment: "removeClaimer",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeDepositToken",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "renounceOwnership",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "scheduleOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setClaimWindowCap",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "setClaimsCap",
     data: BytesLike
   ): Result;
   decodeFunctionResult(functionFragment: "setConfig", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setDepositToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setFeeTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setGuardian",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLegacySignaturesUntil",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRefundFeePolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTimelockDelay",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "signerCounts",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(
+    functionFragment: "timelockDelay",
+    data: BytesLike
+  ): Result;
   decodeFunctionResult(
     functionFragment: "transferOwnership",
     data: BytesLike
   ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
   decodeFunctionResult(functionFragment: "usdc", data: BytesLike): Result;
   decodeFunctionResult(
     functionFragment: "verifyTypedDataSignature",
@@ -346,6 +801,18 @@ export namespace ApproverRemovedEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace CancelledEvent {
+  export type InputTuple = [id: BytesLike];
+  export type OutputTuple = [id: string];
+  export interface OutputObject {
+    id: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace ClaimEvent {
   export type InputTuple = [
     orderId: BytesLike,
@@ -368,6 +835,19 @@ export namespace ClaimEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace ClaimWindowCapUpdatedEvent {
+  export type InputTuple = [window: BigNumberish, cap: BigNumberish];
+  export type OutputTuple = [window: bigint, cap: bigint];
+  export interface OutputObject {
+    window: bigint;
+    cap: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace ClaimerAddedEvent {
   export type InputTuple = [claimer: AddressLike];
   export type OutputTuple = [claimer: string];
@@ -392,6 +872,18 @@ export namespace ClaimerRemovedEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace ClaimsCapUpdatedEvent {
+  export type InputTuple = [claimsCap: BigNumberish];
+  export type OutputTuple = [claimsCap: bigint];
+  export interface OutputObject {
+    claimsCap: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace ConfigUpdatedEvent {
   export type InputTuple = [
     minDuration: BigNumberish,
@@ -439,6 +931,31 @@ export namespace DepositEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace DepositTokenRemovedEvent {
+  export type InputTuple = [token: AddressLike];
+  export type OutputTuple = [token: string];
+  export interface OutputObject {
+    token: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DepositTokenSetEvent {
+  export type InputTuple = [token: AddressLike, minDepositAmount: BigNumberish];
+  export type OutputTuple = [token: string, minDepositAmount: bigint];
+  export interface OutputObject {
+    token: string;
+    minDepositAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace ErrorEvent {
   export type InputTuple = [reason: string];
   export type OutputTuple = [reason: string];
@@ -451,6 +968,126 @@ export namespace ErrorEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace ExecutedEvent {
+  export type InputTuple = [id: BytesLike, data: BytesLike];
+  export type OutputTuple = [id: string, data: string];
+  export interface OutputObject {
+    id: string;
+    data: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FeeTreasuryUpdatedEvent {
+  export type InputTuple = [treasury: AddressLike];
+  export type OutputTuple = [treasury: string];
+  export interface OutputObject {
+    treasury: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FeesCollectedEvent {
+  export type InputTuple = [
+    token: AddressLike,
+    treasury: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [token: string, treasury: string, amount: bigint];
+  export interface OutputObject {
+    token: string;
+    treasury: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GuardianUpdatedEvent {
+  export type InputTuple = [guardian: AddressLike];
+  export type OutputTuple = [guardian: string];
+  export interface OutputObject {
+    guardian: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LegacySignaturesUntilUpdatedEvent {
+  export type InputTuple = [deadline: BigNumberish];
+  export type OutputTuple = [deadline: bigint];
+  export interface OutputObject {
+    deadline: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NotarySetRegisteredEvent {
+  export type InputTuple = [
+    notarySet: BytesLike,
+    members: AddressLike[],
+    threshold: BigNumberish
+  ];
+  export type OutputTuple = [
+    notarySet: string,
+    members: string[],
+    threshold: bigint
+  ];
+  export interface OutputObject {
+    notarySet: string;
+    members: string[];
+    threshold: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrderCancelledEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    refundee: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [orderId: string, refundee: string, amount: bigint];
+  export interface OutputObject {
+    orderId: string;
+    refundee: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrderExtendedEvent {
+  export type InputTuple = [orderId: BytesLike, expiration: BigNumberish];
+  export type OutputTuple = [orderId: string, expiration: bigint];
+  export interface OutputObject {
+    orderId: string;
+    expiration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace OwnershipTransferStartedEvent {
   export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
   export type OutputTuple = [previousOwner: string, newOwner: string];
@@ -477,6 +1114,24 @@ export namespace OwnershipTransferredEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace PausedEvent {
+  export type InputTuple = [
+    scope: BigNumberish,
+    account: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [scope: bigint, account: string, reason: string];
+  export interface OutputObject {
+    scope: bigint;
+    account: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export namespace ProxyDepositEvent {
   export type InputTuple = [
     signer: AddressLike,
@@ -520,6 +1175,61 @@ export namespace RefundEvent {
   export type LogDescription = TypedLogDescription<Event>;
 }
 
+export namespace RefundFeePolicyUpdatedEvent {
+  export type InputTuple = [policy: BigNumberish];
+  export type OutputTuple = [policy: bigint];
+  export interface OutputObject {
+    policy: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ScheduledEvent {
+  export type InputTuple = [
+    id: BytesLike,
+    data: BytesLike,
+    readyAt: BigNumberish
+  ];
+  export type OutputTuple = [id: string, data: string, readyAt: bigint];
+  export interface OutputObject {
+    id: string;
+    data: string;
+    readyAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TimelockDelayUpdatedEvent {
+  export type InputTuple = [delay: BigNumberish];
+  export type OutputTuple = [delay: bigint];
+  export interface OutputObject {
+    delay: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [scope: BigNumberish, account: AddressLike];
+  export type OutputTuple = [scope: bigint, account: string];
+  export interface OutputObject {
+    scope: bigint;
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
 export interface SilentSwapV2Gateway extends BaseContract {
   connect(runner?: ContractRunner | null): SilentSwapV2Gateway;
   waitForDeployment(): Promise<this>;
@@ -563,8 +1273,14 @@ export interface SilentSwapV2Gateway extends BaseContract {
     event?: TCEvent
   ): Promise<this>;
 
+  DOMAIN_SEPARATOR: TypedContractMethod<[], [string], "view">;
+
+  PERMIT2: TypedContractMethod<[], [string], "view">;
+
   acceptOwnership: TypedContractMethod<[], [void], "nonpayable">;
 
+  accruedFees: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
   addApprover: TypedContractMethod<
     [approver: AddressLike],
     [void],
@@ -585,14 +1301,36 @@ export interface SilentSwapV2Gateway extends BaseContract {
     "view"
   >;
 
+  cancelOperation: TypedContractMethod<[id: BytesLike], [void], "nonpayable">;
+
+  cancelOrder: TypedContractMethod<
+    [
+      orderId: BytesLike,
+      refundeeSignature: BytesLike,
+      notarySignature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
   claim: TypedContractMethod<
     [params: SilentSwapV2Gateway.BulkClaimParamsStruct],
     [bigint],
     "nonpayable"
   >;
 
+  claimWindow: TypedContractMethod<[], [bigint], "view">;
+
+  claimWindowCap: TypedContractMethod<[], [bigint], "view">;
+
+  claimWindowStart: TypedContractMethod<[], [bigint], "view">;
+
+  claimedInWindow: TypedContractMethod<[], [bigint], "view">;
+
   claimsCap: TypedContractMethod<[], [bigint], "view">;
 
+  claimsPaused: TypedContractMethod<[], [boolean], "view">;
+
   config: TypedContractMethod<
     [],
     [
@@ -617,14 +1355,110 @@ export interface SilentSwapV2Gateway extends BaseContract {
     "nonpayable"
   >;
 
+  depositTokens: TypedContractMethod<
+    [arg0: AddressLike],
+    [[boolean, bigint] & { allowed: boolean; minDepositAmount: bigint }],
+    "view"
+  >;
+
+  depositWithPermit: TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.PermitSignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  depositWithPermit2: TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.Permit2SignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  depositsPaused: TypedContractMethod<[], [boolean], "view">;
+
+  executeOperation: TypedContractMethod<
+    [data: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  extendOrder: TypedContractMethod<
+    [orderId: BytesLike, newExpiration: BigNumberish, signature: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  feeTreasury: TypedContractMethod<[], [string], "view">;
+
   getConfig: TypedContractMethod<
     [],
     [SilentSwapV2Gateway.ConfigStructOutput],
     "view"
   >;
 
+  getMinDepositAmount: TypedContractMethod<
+    [token: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getNotaryOrderCount: TypedContractMethod<
+    [notary: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getNotaryOrders: TypedContractMethod<
+    [
+      notary: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getNotarySet: TypedContractMethod<
+    [setId: BytesLike],
+    [[string[], bigint] & { members: string[]; threshold: bigint }],
+    "view"
+  >;
+
   getSignerCount: TypedContractMethod<[signer: AddressLike], [bigint], "view">;
 
+  getSignerOrders: TypedContractMethod<
+    [
+      signer: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  guardian: TypedContractMethod<[], [string], "view">;
+
   isAuthorizedApprover: TypedContractMethod<
     [approver: AddressLike],
     [boolean],
@@ -637,15 +1471,45 @@ export interface SilentSwapV2Gateway extends BaseContract {
     "view"
   >;
 
+  legacySignaturesUntil: TypedContractMethod<[], [bigint], "view">;
+
+  openDeposits: TypedContractMethod<
+    [signer: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  operationReadyAt: TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+
   orders: TypedContractMethod<
     [arg0: BytesLike],
     [
-      [bigint, bigint, string, string, bigint] & {
+      [
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint
+      ] & {
         status: bigint;
         expiration: bigint;
         notary: string;
         refundee: string;
         amount: bigint;
+        token: string;
+        fee: bigint;
+        notarySet: string;
+        openedAt: bigint;
       }
     ],
     "view"
@@ -653,6 +1517,12 @@ export interface SilentSwapV2Gateway extends BaseContract {
 
   owner: TypedContractMethod<[], [string], "view">;
 
+  pause: TypedContractMethod<
+    [scope: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
   payloads: TypedContractMethod<[arg0: BytesLike], [string], "view">;
 
   pendingOwner: TypedContractMethod<[], [string], "view">;
@@ -661,20 +1531,46 @@ export interface SilentSwapV2Gateway extends BaseContract {
 
   refund: TypedContractMethod<[orderId: BytesLike], [void], "nonpayable">;
 
+  refundFeePolicy: TypedContractMethod<[], [bigint], "view">;
+
+  registerNotarySet: TypedContractMethod<
+    [members: AddressLike[], threshold: BigNumberish],
+    [string],
+    "nonpayable"
+  >;
+
   removeApprover: TypedContractMethod<
     [approver: AddressLike],
     [void],
     "nonpayable"
   >;
 
-  removeClaimer: TypedContractMethod<
-    [claimer: AddressLike],
+  removeClaimer: TypedContractMethod<
+    [claimer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  removeDepositToken: TypedContractMethod<
+    [token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  scheduleOperation: TypedContractMethod<
+    [data: BytesLike],
+    [string],
+    "nonpayable"
+  >;
+
+  setClaimWindowCap: TypedContractMethod<
+    [window: BigNumberish, cap: BigNumberish],
     [void],
     "nonpayable"
   >;
 
-  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
-
   setClaimsCap: TypedContractMethod<
     [newCap: BigNumberish],
     [void],
@@ -691,14 +1587,54 @@ export interface SilentSwapV2Gateway extends BaseContract {
     "nonpayable"
   >;
 
+  setDepositToken: TypedContractMethod<
+    [token: AddressLike, minDepositAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setFeeTreasury: TypedContractMethod<
+    [treasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setGuardian: TypedContractMethod<
+    [newGuardian: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLegacySignaturesUntil: TypedContractMethod<
+    [deadline: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setRefundFeePolicy: TypedContractMethod<
+    [policy: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTimelockDelay: TypedContractMethod<
+    [delay: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
   signerCounts: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
 
+  timelockDelay: TypedContractMethod<[], [bigint], "view">;
+
   transferOwnership: TypedContractMethod<
     [newOwner: AddressLike],
     [void],
     "nonpayable"
   >;
 
+  unpause: TypedContractMethod<[scope: BigNumberish], [void], "nonpayable">;
+
   usdc: TypedContractMethod<[], [string], "view">;
 
   verifyTypedDataSignature: TypedContractMethod<
@@ -716,9 +1652,18 @@ export interface SilentSwapV2Gateway extends BaseContract {
     key: string | FunctionFragment
   ): T;
 
+  getFunction(
+    nameOrSignature: "DOMAIN_SEPARATOR"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PERMIT2"
+  ): TypedContractMethod<[], [string], "view">;
   getFunction(
     nameOrSignature: "acceptOwnership"
   ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "accruedFees"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
   getFunction(
     nameOrSignature: "addApprover"
   ): TypedContractMethod<[approver: AddressLike], [void], "nonpayable">;
@@ -731,6 +1676,20 @@ export interface SilentSwapV2Gateway extends BaseContract {
   getFunction(
     nameOrSignature: "authorizedClaimers"
   ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "cancelOperation"
+  ): TypedContractMethod<[id: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "cancelOrder"
+  ): TypedContractMethod<
+    [
+      orderId: BytesLike,
+      refundeeSignature: BytesLike,
+      notarySignature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "claim"
   ): TypedContractMethod<
@@ -738,9 +1697,24 @@ export interface SilentSwapV2Gateway extends BaseContract {
     [bigint],
     "nonpayable"
   >;
+  getFunction(
+    nameOrSignature: "claimWindow"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimWindowCap"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimWindowStart"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimedInWindow"
+  ): TypedContractMethod<[], [bigint], "view">;
   getFunction(
     nameOrSignature: "claimsCap"
   ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimsPaused"
+  ): TypedContractMethod<[], [boolean], "view">;
   getFunction(
     nameOrSignature: "config"
   ): TypedContractMethod<
@@ -768,29 +1742,159 @@ export interface SilentSwapV2Gateway extends BaseContract {
     [void],
     "nonpayable"
   >;
+  getFunction(
+    nameOrSignature: "depositTokens"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [[boolean, bigint] & { allowed: boolean; minDepositAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "depositWithPermit"
+  ): TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.PermitSignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositWithPermit2"
+  ): TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.Permit2SignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositsPaused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "executeOperation"
+  ): TypedContractMethod<[data: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "extendOrder"
+  ): TypedContractMethod<
+    [orderId: BytesLike, newExpiration: BigNumberish, signature: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "feeTreasury"
+  ): TypedContractMethod<[], [string], "view">;
   getFunction(
     nameOrSignature: "getConfig"
   ): TypedContractMethod<[], [SilentSwapV2Gateway.ConfigStructOutput], "view">;
+  getFunction(
+    nameOrSignature: "getMinDepositAmount"
+  ): TypedContractMethod<[token: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getNotaryOrderCount"
+  ): TypedContractMethod<[notary: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getNotaryOrders"
+  ): TypedContractMethod<
+    [
+      notary: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNotarySet"
+  ): TypedContractMethod<
+    [setId: BytesLike],
+    [[string[], bigint] & { members: string[]; threshold: bigint }],
+    "view"
+  >;
   getFunction(
     nameOrSignature: "getSignerCount"
   ): TypedContractMethod<[signer: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSignerOrders"
+  ): TypedContractMethod<
+    [
+      signer: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "guardian"
+  ): TypedContractMethod<[], [string], "view">;
   getFunction(
     nameOrSignature: "isAuthorizedApprover"
   ): TypedContractMethod<[approver: AddressLike], [boolean], "view">;
   getFunction(
     nameOrSignature: "isAuthorizedClaimer"
   ): TypedContractMethod<[claimer: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "legacySignaturesUntil"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "openDeposits"
+  ): TypedContractMethod<
+    [signer: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "operationReadyAt"
+  ): TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
   getFunction(
     nameOrSignature: "orders"
   ): TypedContractMethod<
     [arg0: BytesLike],
     [
-      [bigint, bigint, string, string, bigint] & {
+      [
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint
+      ] & {
         status: bigint;
         expiration: bigint;
         notary: string;
         refundee: string;
         amount: bigint;
+        token: string;
+        fee: bigint;
+        notarySet: string;
+        openedAt: bigint;
       }
     ],
     "view"
@@ -798,6 +1902,13 @@ export interface SilentSwapV2Gateway extends BaseContract {
   getFunction(
     nameOrSignature: "owner"
   ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<
+    [scope: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "payloads"
   ): TypedContractMethod<[arg0: BytesLike], [string], "view">;
@@ -810,15 +1921,38 @@ export interface SilentSwapV2Gateway extends BaseContract {
   getFunction(
     nameOrSignature: "refund"
   ): TypedContractMethod<[orderId: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "refundFeePolicy"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "registerNotarySet"
+  ): TypedContractMethod<
+    [members: AddressLike[], threshold: BigNumberish],
+    [string],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "removeApprover"
   ): TypedContractMethod<[approver: AddressLike], [void], "nonpayable">;
   getFunction(
     nameOrSignature: "removeClaimer"
   ): TypedContractMethod<[claimer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "removeDepositToken"
+  ): TypedContractMethod<[token: AddressLike], [void], "nonpayable">;
   getFunction(
     nameOrSignature: "renounceOwnership"
   ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "scheduleOperation"
+  ): TypedContractMethod<[data: BytesLike], [string], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setClaimWindowCap"
+  ): TypedContractMethod<
+    [window: BigNumberish, cap: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
   getFunction(
     nameOrSignature: "setClaimsCap"
   ): TypedContractMethod<[newCap: BigNumberish], [void], "nonpayable">;
@@ -833,12 +1967,40 @@ export interface SilentSwapV2Gateway extends BaseContract {
     [void],
     "nonpayable"
   >;
+  getFunction(
+    nameOrSignature: "setDepositToken"
+  ): TypedContractMethod<
+    [token: AddressLike, minDepositAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setFeeTreasury"
+  ): TypedContractMethod<[treasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setGuardian"
+  ): TypedContractMethod<[newGuardian: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLegacySignaturesUntil"
+  ): TypedContractMethod<[deadline: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRefundFeePolicy"
+  ): TypedContractMethod<[policy: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTimelockDelay"
+  ): TypedContractMethod<[delay: BigNumberish], [void], "nonpayable">;
   getFunction(
     nameOrSignature: "signerCounts"
   ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "timelockDelay"
+  ): TypedContractMethod<[], [bigint], "view">;
   getFunction(
     nameOrSignature: "transferOwnership"
   ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[scope: BigNumberish], [void], "nonpayable">;
   getFunction(
     nameOrSignature: "usdc"
   ): TypedContractMethod<[], [string], "view">;
@@ -869,6 +2031,13 @@ export interface SilentSwapV2Gateway extends BaseContract {
     ApproverRemovedEvent.OutputTuple,
     ApproverRemovedEvent.OutputObject
   >;
+  getEvent(
+    key: "Cancelled"
+  ): TypedContractEvent<
+    CancelledEvent.InputTuple,
+    CancelledEvent.OutputTuple,
+    CancelledEvent.OutputObject
+  >;
   getEvent(
     key: "Claim"
   ): TypedContractEvent<
@@ -876,6 +2045,13 @@ export interface SilentSwapV2Gateway extends BaseContract {
     ClaimEvent.OutputTuple,
     ClaimEvent.OutputObject
   >;
+  getEvent(
+    key: "ClaimWindowCapUpdated"
+  ): TypedContractEvent<
+    ClaimWindowCapUpdatedEvent.InputTuple,
+    ClaimWindowCapUpdatedEvent.OutputTuple,
+    ClaimWindowCapUpdatedEvent.OutputObject
+  >;
   getEvent(
     key: "ClaimerAdded"
   ): TypedContractEvent<
@@ -890,6 +2066,13 @@ export interface SilentSwapV2Gateway extends BaseContract {
     ClaimerRemovedEvent.OutputTuple,
     ClaimerRemovedEvent.OutputObject
   >;
+  getEvent(
+    key: "ClaimsCapUpdated"
+  ): TypedContractEvent<
+    ClaimsCapUpdatedEvent.InputTuple,
+    ClaimsCapUpdatedEvent.OutputTuple,
+    ClaimsCapUpdatedEvent.OutputObject
+  >;
   getEvent(
     key: "ConfigUpdated"
   ): TypedContractEvent<
@@ -904,6 +2087,20 @@ export interface SilentSwapV2Gateway extends BaseContract {
     DepositEvent.OutputTuple,
     DepositEvent.OutputObject
   >;
+  getEvent(
+    key: "DepositTokenRemoved"
+  ): TypedContractEvent<
+    DepositTokenRemovedEvent.InputTuple,
+    DepositTokenRemovedEvent.OutputTuple,
+    DepositTokenRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DepositTokenSet"
+  ): TypedContractEvent<
+    DepositTokenSetEvent.InputTuple,
+    DepositTokenSetEvent.OutputTuple,
+    DepositTokenSetEvent.OutputObject
+  >;
   getEvent(
     key: "Error"
   ): TypedContractEvent<
@@ -911,6 +2108,62 @@ export interface SilentSwapV2Gateway extends BaseContract {
     ErrorEvent.OutputTuple,
     ErrorEvent.OutputObject
   >;
+  getEvent(
+    key: "Executed"
+  ): TypedContractEvent<
+    ExecutedEvent.InputTuple,
+    ExecutedEvent.OutputTuple,
+    ExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FeeTreasuryUpdated"
+  ): TypedContractEvent<
+    FeeTreasuryUpdatedEvent.InputTuple,
+    FeeTreasuryUpdatedEvent.OutputTuple,
+    FeeTreasuryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FeesCollected"
+  ): TypedContractEvent<
+    FeesCollectedEvent.InputTuple,
+    FeesCollectedEvent.OutputTuple,
+    FeesCollectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GuardianUpdated"
+  ): TypedContractEvent<
+    GuardianUpdatedEvent.InputTuple,
+    GuardianUpdatedEvent.OutputTuple,
+    GuardianUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LegacySignaturesUntilUpdated"
+  ): TypedContractEvent<
+    LegacySignaturesUntilUpdatedEvent.InputTuple,
+    LegacySignaturesUntilUpdatedEvent.OutputTuple,
+    LegacySignaturesUntilUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NotarySetRegistered"
+  ): TypedContractEvent<
+    NotarySetRegisteredEvent.InputTuple,
+    NotarySetRegisteredEvent.OutputTuple,
+    NotarySetRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrderCancelled"
+  ): TypedContractEvent<
+    OrderCancelledEvent.InputTuple,
+    OrderCancelledEvent.OutputTuple,
+    OrderCancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrderExtended"
+  ): TypedContractEvent<
+    OrderExtendedEvent.InputTuple,
+    OrderExtendedEvent.OutputTuple,
+    OrderExtendedEvent.OutputObject
+  >;
   getEvent(
     key: "OwnershipTransferStarted"
   ): TypedContractEvent<
@@ -925,6 +2178,13 @@ export interface SilentSwapV2Gateway extends BaseContract {
     OwnershipTransferredEvent.OutputTuple,
     OwnershipTransferredEvent.OutputObject
   >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
   getEvent(
     key: "ProxyDeposit"
   ): TypedContractEvent<
@@ -939,6 +2199,34 @@ export interface SilentSwapV2Gateway extends BaseContract {
     RefundEvent.OutputTuple,
     RefundEvent.OutputObject
   >;
+  getEvent(
+    key: "RefundFeePolicyUpdated"
+  ): TypedContractEvent<
+    RefundFeePolicyUpdatedEvent.InputTuple,
+    RefundFeePolicyUpdatedEvent.OutputTuple,
+    RefundFeePolicyUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Scheduled"
+  ): TypedContractEvent<
+    ScheduledEvent.InputTuple,
+    ScheduledEvent.OutputTuple,
+    ScheduledEvent.OutputObject
+  >;
+  getEvent(
+    key: "TimelockDelayUpdated"
+  ): TypedContractEvent<
+    TimelockDelayUpdatedEvent.InputTuple,
+    TimelockDelayUpdatedEvent.OutputTuple,
+    TimelockDelayUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
 
   filters: {
     "ApproverAdded(address)": TypedContractEvent<
@@ -963,6 +2251,17 @@ export interface SilentSwapV2Gateway extends BaseContract {
       ApproverRemovedEvent.OutputObject
     >;
 
+    "Cancelled(bytes32)": TypedContractEvent<
+      CancelledEvent.InputTuple,
+      CancelledEvent.OutputTuple,
+      CancelledEvent.OutputObject
+    >;
+    Cancelled: TypedContractEvent<
+      CancelledEvent.InputTuple,
+      CancelledEvent.OutputTuple,
+      CancelledEvent.OutputObject
+    >;
+
     "Claim(bytes32,address,uint256)": TypedContractEvent<
       ClaimEvent.InputTuple,
       ClaimEvent.OutputTuple,
@@ -974,6 +2273,17 @@ export interface SilentSwapV2Gateway extends BaseContract {
       ClaimEvent.OutputObject
     >;
 
+    "ClaimWindowCapUpdated(uint256,uint256)": TypedContractEvent<
+      ClaimWindowCapUpdatedEvent.InputTuple,
+      ClaimWindowCapUpdatedEvent.OutputTuple,
+      ClaimWindowCapUpdatedEvent.OutputObject
+    >;
+    ClaimWindowCapUpdated: TypedContractEvent<
+      ClaimWindowCapUpdatedEvent.InputTuple,
+      ClaimWindowCapUpdatedEvent.OutputTuple,
+      ClaimWindowCapUpdatedEvent.OutputObject
+    >;
+
     "ClaimerAdded(address)": TypedContractEvent<
       ClaimerAddedEvent.InputTuple,
       ClaimerAddedEvent.OutputTuple,
@@ -996,6 +2306,17 @@ export interface SilentSwapV2Gateway extends BaseContract {
       ClaimerRemovedEvent.OutputObject
     >;
 
+    "ClaimsCapUpdated(uint256)": TypedContractEvent<
+      ClaimsCapUpdatedEvent.InputTuple,
+      ClaimsCapUpdatedEvent.OutputTuple,
+      ClaimsCapUpdatedEvent.OutputObject
+    >;
+    ClaimsCapUpdated: TypedContractEvent<
+      ClaimsCapUpdatedEvent.InputTuple,
+      ClaimsCapUpdatedEvent.OutputTuple,
+      ClaimsCapUpdatedEvent.OutputObject
+    >;
+
     "ConfigUpdated(uint256,uint256,uint256)": TypedContractEvent<
       ConfigUpdatedEvent.InputTuple,
       ConfigUpdatedEvent.OutputTuple,
@@ -1018,6 +2339,28 @@ export interface SilentSwapV2Gateway extends BaseContract {
       DepositEvent.OutputObject
     >;
 
+    "DepositTokenRemoved(address)": TypedContractEvent<
+      DepositTokenRemovedEvent.InputTuple,
+      DepositTokenRemovedEvent.OutputTuple,
+      DepositTokenRemovedEvent.OutputObject
+    >;
+    DepositTokenRemoved: TypedContractEvent<
+      DepositTokenRemovedEvent.InputTuple,
+      DepositTokenRemovedEvent.OutputTuple,
+      DepositTokenRemovedEvent.OutputObject
+    >;
+
+    "DepositTokenSet(address,uint256)": TypedContractEvent<
+      DepositTokenSetEvent.InputTuple,
+      DepositTokenSetEvent.OutputTuple,
+      DepositTokenSetEvent.OutputObject
+    >;
+    DepositTokenSet: TypedContractEvent<
+      DepositTokenSetEvent.InputTuple,
+      DepositTokenSetEvent.OutputTuple,
+      DepositTokenSetEvent.OutputObject
+    >;
+
     "Error(string)": TypedContractEvent<
       ErrorEvent.InputTuple,
       ErrorEvent.OutputTuple,
@@ -1029,6 +2372,94 @@ export interface SilentSwapV2Gateway extends BaseContract {
       ErrorEvent.OutputObject
     >;
 
+    "Executed(bytes32,bytes)": TypedContractEvent<
+      ExecutedEvent.InputTuple,
+      ExecutedEvent.OutputTuple,
+      ExecutedEvent.OutputObject
+    >;
+    Executed: TypedContractEvent<
+      ExecutedEvent.InputTuple,
+      ExecutedEvent.OutputTuple,
+      ExecutedEvent.OutputObject
+    >;
+
+    "FeeTreasuryUpdated(address)": TypedContractEvent<
+      FeeTreasuryUpdatedEvent.InputTuple,
+      FeeTreasuryUpdatedEvent.OutputTuple,
+      FeeTreasuryUpdatedEvent.OutputObject
+    >;
+    FeeTreasuryUpdated: TypedContractEvent<
+      FeeTreasuryUpdatedEvent.InputTuple,
+      FeeTreasuryUpdatedEvent.OutputTuple,
+      FeeTreasuryUpdatedEvent.OutputObject
+    >;
+
+    "FeesCollected(address,address,uint256)": TypedContractEvent<
+      FeesCollectedEvent.InputTuple,
+      FeesCollectedEvent.OutputTuple,
+      FeesCollectedEvent.OutputObject
+    >;
+    FeesCollected: TypedContractEvent<
+      FeesCollectedEvent.InputTuple,
+      FeesCollectedEvent.OutputTuple,
+      FeesCollectedEvent.OutputObject
+    >;
+
+    "GuardianUpdated(address)": TypedContractEvent<
+      GuardianUpdatedEvent.InputTuple,
+      GuardianUpdatedEvent.OutputTuple,
+      GuardianUpdatedEvent.OutputObject
+    >;
+    GuardianUpdated: TypedContractEvent<
+      GuardianUpdatedEvent.InputTuple,
+      GuardianUpdatedEvent.OutputTuple,
+      GuardianUpdatedEvent.OutputObject
+    >;
+
+    "LegacySignaturesUntilUpdated(uint256)": TypedContractEvent<
+      LegacySignaturesUntilUpdatedEvent.InputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputObject
+    >;
+    LegacySignaturesUntilUpdated: TypedContractEvent<
+      LegacySignaturesUntilUpdatedEvent.InputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputObject
+    >;
+
+    "NotarySetRegistered(bytes32,address[],uint256)": TypedContractEvent<
+      NotarySetRegisteredEvent.InputTuple,
+      NotarySetRegisteredEvent.OutputTuple,
+      NotarySetRegisteredEvent.OutputObject
+    >;
+    NotarySetRegistered: TypedContractEvent<
+      NotarySetRegisteredEvent.InputTuple,
+      NotarySetRegisteredEvent.OutputTuple,
+      NotarySetRegisteredEvent.OutputObject
+    >;
+
+    "OrderCancelled(bytes32,address,uint256)": TypedContractEvent<
+      OrderCancelledEvent.InputTuple,
+      OrderCancelledEvent.OutputTuple,
+      OrderCancelledEvent.OutputObject
+    >;
+    OrderCancelled: TypedContractEvent<
+      OrderCancelledEvent.InputTuple,
+      OrderCancelledEvent.OutputTuple,
+      OrderCancelledEvent.OutputObject
+    >;
+
+    "OrderExtended(bytes32,uint256)": TypedContractEvent<
+      OrderExtendedEvent.InputTuple,
+      OrderExtendedEvent.OutputTuple,
+      OrderExtendedEvent.OutputObject
+    >;
+    OrderExtended: TypedContractEvent<
+      OrderExtendedEvent.InputTuple,
+      OrderExtendedEvent.OutputTuple,
+      OrderExtendedEvent.OutputObject
+    >;
+
     "OwnershipTransferStarted(address,address)": TypedContractEvent<
       OwnershipTransferStartedEvent.InputTuple,
       OwnershipTransferStartedEvent.OutputTuple,
@@ -1051,6 +2482,17 @@ export interface SilentSwapV2Gateway extends BaseContract {
       OwnershipTransferredEvent.OutputObject
     >;
 
+    "Paused(uint8,address,string)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
     "ProxyDeposit(address,bytes32,uint256,uint256)": TypedContractEvent<
       ProxyDepositEvent.InputTuple,
       ProxyDepositEvent.OutputTuple,
@@ -1072,5 +2514,49 @@ export interface SilentSwapV2Gateway extends BaseContract {
       RefundEvent.OutputTuple,
       RefundEvent.OutputObject
     >;
+
+    "RefundFeePolicyUpdated(uint8)": TypedContractEvent<
+      RefundFeePolicyUpdatedEvent.InputTuple,
+      RefundFeePolicyUpdatedEvent.OutputTuple,
+      RefundFeePolicyUpdatedEvent.OutputObject
+    >;
+    RefundFeePolicyUpdated: TypedContractEvent<
+      RefundFeePolicyUpdatedEvent.InputTuple,
+      RefundFeePolicyUpdatedEvent.OutputTuple,
+      RefundFeePolicyUpdatedEvent.OutputObject
+    >;
+
+    "Scheduled(bytes32,bytes,uint256)": TypedContractEvent<
+      ScheduledEvent.InputTuple,
+      ScheduledEvent.OutputTuple,
+      ScheduledEvent.OutputObject
+    >;
+    Scheduled: TypedContractEvent<
+      ScheduledEvent.InputTuple,
+      ScheduledEvent.OutputTuple,
+      ScheduledEvent.OutputObject
+    >;
+
+    "TimelockDelayUpdated(uint256)": TypedContractEvent<
+      TimelockDelayUpdatedEvent.InputTuple,
+      TimelockDelayUpdatedEvent.OutputTuple,
+      TimelockDelayUpdatedEvent.OutputObject
+    >;
+    TimelockDelayUpdated: TypedContractEvent<
+      TimelockDelayUpdatedEvent.InputTuple,
+      TimelockDelayUpdatedEvent.OutputTuple,
+      TimelockDelayUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(uint8,address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
   };
 }
@@ -5,5 +5,8 @@ import type * as interfaces from "./interfaces";
 export type { interfaces };
 import type * as tests from "./tests";
 export type { tests };
+export type { ERC6492Deployer } from "./ERC6492Deployer";
 export type { SilentSwapDepositor } from "./SilentSwapDepositor";
 export type { SilentSwapV2Gateway } from "./SilentSwapV2Gateway";
+export type { SilentSwapV2GatewayProxy } from "./SilentSwapV2GatewayProxy";
+export type { SilentSwapV2GatewayUpgradeable } from "./SilentSwapV2GatewayUpgradeable";
@@ -0,0 +1,128 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export interface IAxelarGatewayInterface extends Interface {
+  getFunction(
+    nameOrSignature: "tokenAddresses" | "validateContractCallAndMint"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "tokenAddresses",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validateContractCallAndMint",
+    values: [BytesLike, string, string, BytesLike, string, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "tokenAddresses",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validateContractCallAndMint",
+    data: BytesLike
+  ): Result;
+}
+
+export interface IAxelarGateway extends BaseContract {
+  connect(runner?: ContractRunner | null): IAxelarGateway;
+  waitForDeployment(): Promise<this>;
+
+  interface: IAxelarGatewayInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  tokenAddresses: TypedContractMethod<[symbol: string], [string], "view">;
+
+  validateContractCallAndMint: TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "tokenAddresses"
+  ): TypedContractMethod<[symbol: string], [string], "view">;
+  getFunction(
+    nameOrSignature: "validateContractCallAndMint"
+  ): TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,182 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export declare namespace ISignatureTransfer {
+  export type TokenPermissionsStruct = {
+    token: AddressLike;
+    amount: BigNumberish;
+  };
+
+  export type TokenPermissionsStructOutput = [token: string, amount: bigint] & {
+    token: string;
+    amount: bigint;
+  };
+
+  export type PermitTransferFromStruct = {
+    permitted: ISignatureTransfer.TokenPermissionsStruct;
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+  };
+
+  export type PermitTransferFromStructOutput = [
+    permitted: ISignatureTransfer.TokenPermissionsStructOutput,
+    nonce: bigint,
+    deadline: bigint
+  ] & {
+    permitted: ISignatureTransfer.TokenPermissionsStructOutput;
+    nonce: bigint;
+    deadline: bigint;
+  };
+
+  export type SignatureTransferDetailsStruct = {
+    to: AddressLike;
+    requestedAmount: BigNumberish;
+  };
+
+  export type SignatureTransferDetailsStructOutput = [
+    to: string,
+    requestedAmount: bigint
+  ] & { to: string; requestedAmount: bigint };
+}
+
+export interface ISignatureTransferInterface extends Interface {
+  getFunction(
+    nameOrSignature: "nonceBitmap" | "permitWitnessTransferFrom"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "nonceBitmap",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "permitWitnessTransferFrom",
+    values: [
+      ISignatureTransfer.PermitTransferFromStruct,
+      ISignatureTransfer.SignatureTransferDetailsStruct,
+      AddressLike,
+      BytesLike,
+      string,
+      BytesLike
+    ]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "nonceBitmap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "permitWitnessTransferFrom",
+    data: BytesLike
+  ): Result;
+}
+
+export interface ISignatureTransfer extends BaseContract {
+  connect(runner?: ContractRunner | null): ISignatureTransfer;
+  waitForDeployment(): Promise<this>;
+
+  interface: ISignatureTransferInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  nonceBitmap: TypedContractMethod<
+    [owner: AddressLike, wordPos: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  permitWitnessTransferFrom: TypedContractMethod<
+    [
+      permit: ISignatureTransfer.PermitTransferFromStruct,
+      transferDetails: ISignatureTransfer.SignatureTransferDetailsStruct,
+      owner: AddressLike,
+      witness: BytesLike,
+      witnessTypeString: string,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "nonceBitmap"
+  ): TypedContractMethod<
+    [owner: AddressLike, wordPos: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "permitWitnessTransferFrom"
+  ): TypedContractMethod<
+    [
+      permit: ISignatureTransfer.PermitTransferFromStruct,
+      transferDetails: ISignatureTransfer.SignatureTransferDetailsStruct,
+      owner: AddressLike,
+      witness: BytesLike,
+      witnessTypeString: string,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
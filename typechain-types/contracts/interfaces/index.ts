@@ -1,4 +1,7 @@
 /* Autogenerated file. Do not edit manually. */
 /* tslint:disable */
 /* eslint-disable */
+export type { IAxelarGateway } from "./IAxelarGateway";
 export type { IEIP3009 } from "./IEIP3009";
+export type { IMessageTransmitter } from "./IMessageTransmitter";
+export type { ISignatureTransfer } from "./ISignatureTransfer";
@@ -1,4 +1,5 @@
 /* Autogenerated file. Do not edit manually. */
 /* tslint:disable */
 /* eslint-disable */
+export type { FeeOnTransferERC20 } from "./FeeOnTransferERC20";
 export type { TestERC20 } from "./TestERC20";
@@ -0,0 +1,210 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export interface MockAxelarGatewayInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "approvals"
+      | "approveContractCallWithMint"
+      | "setTokenAddress"
+      | "tokenAddresses"
+      | "validateContractCallAndMint"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "approvals",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "approveContractCallWithMint",
+    values: [
+      BytesLike,
+      string,
+      string,
+      AddressLike,
+      BytesLike,
+      string,
+      BigNumberish
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTokenAddress",
+    values: [string, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "tokenAddresses",
+    values: [string]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "validateContractCallAndMint",
+    values: [BytesLike, string, string, BytesLike, string, BigNumberish]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "approvals", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "approveContractCallWithMint",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTokenAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "tokenAddresses",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "validateContractCallAndMint",
+    data: BytesLike
+  ): Result;
+}
+
+export interface MockAxelarGateway extends BaseContract {
+  connect(runner?: ContractRunner | null): MockAxelarGateway;
+  waitForDeployment(): Promise<this>;
+
+  interface: MockAxelarGatewayInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  approvals: TypedContractMethod<[arg0: BytesLike], [boolean], "view">;
+
+  approveContractCallWithMint: TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      contractAddress: AddressLike,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setTokenAddress: TypedContractMethod<
+    [symbol: string, token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  tokenAddresses: TypedContractMethod<[arg0: string], [string], "view">;
+
+  validateContractCallAndMint: TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "approvals"
+  ): TypedContractMethod<[arg0: BytesLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "approveContractCallWithMint"
+  ): TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      contractAddress: AddressLike,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setTokenAddress"
+  ): TypedContractMethod<
+    [symbol: string, token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "tokenAddresses"
+  ): TypedContractMethod<[arg0: string], [string], "view">;
+  getFunction(
+    nameOrSignature: "validateContractCallAndMint"
+  ): TypedContractMethod<
+    [
+      commandId: BytesLike,
+      sourceChain: string,
+      sourceAddress: string,
+      payloadHash: BytesLike,
+      symbol: string,
+      amount: BigNumberish
+    ],
+    [boolean],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
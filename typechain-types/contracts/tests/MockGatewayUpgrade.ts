@@ -0,0 +1,2712 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  EventFragment,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedLogDescription,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export declare namespace SilentSwapV2Gateway {
+  export type ClaimSpecStruct = {
+    orderId: BytesLike;
+    signature: BytesLike;
+    recipients: AddressLike[];
+    shares: BigNumberish[];
+  };
+
+  export type ClaimSpecStructOutput = [
+    orderId: string,
+    signature: string,
+    recipients: string[],
+    shares: bigint[]
+  ] & {
+    orderId: string;
+    signature: string;
+    recipients: string[];
+    shares: bigint[];
+  };
+
+  export type BulkClaimParamsStruct = {
+    claims: SilentSwapV2Gateway.ClaimSpecStruct[];
+    recipient: AddressLike;
+  };
+
+  export type BulkClaimParamsStructOutput = [
+    claims: SilentSwapV2Gateway.ClaimSpecStructOutput[],
+    recipient: string
+  ] & {
+    claims: SilentSwapV2Gateway.ClaimSpecStructOutput[];
+    recipient: string;
+  };
+
+  export type DepositParamsStruct = {
+    signer: AddressLike;
+    orderId: BytesLike;
+    notary: AddressLike;
+    approver: AddressLike;
+    orderApproval: BytesLike;
+    approvalExpiration: BigNumberish;
+    duration: BigNumberish;
+    domainSepHash: BytesLike;
+    payloadHash: BytesLike;
+    typedDataSignature: BytesLike;
+    receiveAuthorization: BytesLike;
+    token: AddressLike;
+    fee: BigNumberish;
+    notarySet: BytesLike;
+    minAmount: BigNumberish;
+    maxAmount: BigNumberish;
+  };
+
+  export type DepositParamsStructOutput = [
+    signer: string,
+    orderId: string,
+    notary: string,
+    approver: string,
+    orderApproval: string,
+    approvalExpiration: bigint,
+    duration: bigint,
+    domainSepHash: string,
+    payloadHash: string,
+    typedDataSignature: string,
+    receiveAuthorization: string,
+    token: string,
+    fee: bigint,
+    notarySet: string,
+    minAmount: bigint,
+    maxAmount: bigint
+  ] & {
+    signer: string;
+    orderId: string;
+    notary: string;
+    approver: string;
+    orderApproval: string;
+    approvalExpiration: bigint;
+    duration: bigint;
+    domainSepHash: string;
+    payloadHash: string;
+    typedDataSignature: string;
+    receiveAuthorization: string;
+    token: string;
+    fee: bigint;
+    notarySet: string;
+    minAmount: bigint;
+    maxAmount: bigint;
+  };
+
+  export type PermitSignatureStruct = {
+    deadline: BigNumberish;
+    v: BigNumberish;
+    r: BytesLike;
+    s: BytesLike;
+  };
+
+  export type PermitSignatureStructOutput = [
+    deadline: bigint,
+    v: bigint,
+    r: string,
+    s: string
+  ] & { deadline: bigint; v: bigint; r: string; s: string };
+
+  export type Permit2SignatureStruct = {
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+    signature: BytesLike;
+  };
+
+  export type Permit2SignatureStructOutput = [
+    nonce: bigint,
+    deadline: bigint,
+    signature: string
+  ] & { nonce: bigint; deadline: bigint; signature: string };
+
+  export type ConfigStruct = {
+    minDuration: BigNumberish;
+    maxDuration: BigNumberish;
+    minDepositAmount: BigNumberish;
+  };
+
+  export type ConfigStructOutput = [
+    minDuration: bigint,
+    maxDuration: bigint,
+    minDepositAmount: bigint
+  ] & { minDuration: bigint; maxDuration: bigint; minDepositAmount: bigint };
+
+  export type OrderStruct = {
+    status: BigNumberish;
+    expiration: BigNumberish;
+    notary: AddressLike;
+    refundee: AddressLike;
+    amount: BigNumberish;
+    token: AddressLike;
+    fee: BigNumberish;
+    notarySet: BytesLike;
+    openedAt: BigNumberish;
+  };
+
+  export type OrderStructOutput = [
+    status: bigint,
+    expiration: bigint,
+    notary: string,
+    refundee: string,
+    amount: bigint,
+    token: string,
+    fee: bigint,
+    notarySet: string,
+    openedAt: bigint
+  ] & {
+    status: bigint;
+    expiration: bigint;
+    notary: string;
+    refundee: string;
+    amount: bigint;
+    token: string;
+    fee: bigint;
+    notarySet: string;
+    openedAt: bigint;
+  };
+}
+
+export interface MockGatewayUpgradeInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "DOMAIN_SEPARATOR"
+      | "PERMIT2"
+      | "acceptOwnership"
+      | "accruedFees"
+      | "addApprover"
+      | "addClaimer"
+      | "authorizedApprovers"
+      | "authorizedClaimers"
+      | "cancelOperation"
+      | "cancelOrder"
+      | "claim"
+      | "claimWindow"
+      | "claimWindowCap"
+      | "claimWindowStart"
+      | "claimedInWindow"
+      | "claimsCap"
+      | "claimsPaused"
+      | "config"
+      | "deposit"
+      | "depositProxy"
+      | "depositTokens"
+      | "depositWithPermit"
+      | "depositWithPermit2"
+      | "depositsPaused"
+      | "executeOperation"
+      | "extendOrder"
+      | "feeTreasury"
+      | "getConfig"
+      | "getMinDepositAmount"
+      | "getNotaryOrderCount"
+      | "getNotaryOrders"
+      | "getNotarySet"
+      | "getSignerCount"
+      | "getSignerOrders"
+      | "guardian"
+      | "initialize"
+      | "initializeV2"
+      | "isAuthorizedApprover"
+      | "isAuthorizedClaimer"
+      | "legacySignaturesUntil"
+      | "openDeposits"
+      | "operationReadyAt"
+      | "orders"
+      | "owner"
+      | "pause"
+      | "payloads"
+      | "pendingOwner"
+      | "proxiableUUID"
+      | "queryOrderStatus"
+      | "refund"
+      | "refundFeePolicy"
+      | "registerNotarySet"
+      | "removeApprover"
+      | "removeClaimer"
+      | "removeDepositToken"
+      | "renounceOwnership"
+      | "scheduleOperation"
+      | "setClaimWindowCap"
+      | "setClaimsCap"
+      | "setConfig"
+      | "setDepositToken"
+      | "setFeeTreasury"
+      | "setGuardian"
+      | "setLegacySignaturesUntil"
+      | "setRefundFeePolicy"
+      | "setTimelockDelay"
+      | "signerCounts"
+      | "timelockDelay"
+      | "transferOwnership"
+      | "unpause"
+      | "upgradeToAndCall"
+      | "upgradedAt"
+      | "usdc"
+      | "verifyTypedDataSignature"
+  ): FunctionFragment;
+
+  getEvent(
+    nameOrSignatureOrTopic:
+      | "ApproverAdded"
+      | "ApproverRemoved"
+      | "Cancelled"
+      | "Claim"
+      | "ClaimWindowCapUpdated"
+      | "ClaimerAdded"
+      | "ClaimerRemoved"
+      | "ClaimsCapUpdated"
+      | "ConfigUpdated"
+      | "Deposit"
+      | "DepositTokenRemoved"
+      | "DepositTokenSet"
+      | "Error"
+      | "Executed"
+      | "FeeTreasuryUpdated"
+      | "FeesCollected"
+      | "GuardianUpdated"
+      | "Initialized"
+      | "LegacySignaturesUntilUpdated"
+      | "NotarySetRegistered"
+      | "OrderCancelled"
+      | "OrderExtended"
+      | "OwnershipTransferStarted"
+      | "OwnershipTransferred"
+      | "Paused"
+      | "ProxyDeposit"
+      | "Refund"
+      | "RefundFeePolicyUpdated"
+      | "Scheduled"
+      | "TimelockDelayUpdated"
+      | "Unpaused"
+      | "Upgraded"
+  ): EventFragment;
+
+  encodeFunctionData(
+    functionFragment: "DOMAIN_SEPARATOR",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "PERMIT2", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "acceptOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "accruedFees",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addApprover",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "addClaimer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizedApprovers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "authorizedClaimers",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "cancelOrder",
+    values: [BytesLike, BytesLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claim",
+    values: [SilentSwapV2Gateway.BulkClaimParamsStruct]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindow",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindowCap",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimWindowStart",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "claimedInWindow",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "claimsCap", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "claimsPaused",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "config", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "deposit",
+    values: [SilentSwapV2Gateway.DepositParamsStruct]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositProxy",
+    values: [SilentSwapV2Gateway.DepositParamsStruct, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositTokens",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositWithPermit",
+    values: [
+      SilentSwapV2Gateway.DepositParamsStruct,
+      BigNumberish,
+      SilentSwapV2Gateway.PermitSignatureStruct
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositWithPermit2",
+    values: [
+      SilentSwapV2Gateway.DepositParamsStruct,
+      BigNumberish,
+      SilentSwapV2Gateway.Permit2SignatureStruct
+    ]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "depositsPaused",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "executeOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "extendOrder",
+    values: [BytesLike, BigNumberish, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "feeTreasury",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "getConfig", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "getMinDepositAmount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotaryOrderCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotaryOrders",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getNotarySet",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSignerCount",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "getSignerOrders",
+    values: [AddressLike, BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(functionFragment: "guardian", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "initialize",
+    values: [SilentSwapV2Gateway.ConfigStruct, AddressLike, AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "initializeV2",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isAuthorizedApprover",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "isAuthorizedClaimer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "legacySignaturesUntil",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "openDeposits",
+    values: [AddressLike, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "operationReadyAt",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "orders", values: [BytesLike]): string;
+  encodeFunctionData(functionFragment: "owner", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "pause",
+    values: [BigNumberish, string]
+  ): string;
+  encodeFunctionData(functionFragment: "payloads", values: [BytesLike]): string;
+  encodeFunctionData(
+    functionFragment: "pendingOwner",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "proxiableUUID",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "queryOrderStatus",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(functionFragment: "refund", values: [BytesLike]): string;
+  encodeFunctionData(
+    functionFragment: "refundFeePolicy",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "registerNotarySet",
+    values: [AddressLike[], BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removeApprover",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removeClaimer",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "removeDepositToken",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "renounceOwnership",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "scheduleOperation",
+    values: [BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setClaimWindowCap",
+    values: [BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setClaimsCap",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setConfig",
+    values: [BigNumberish, BigNumberish, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setDepositToken",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setFeeTreasury",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setGuardian",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setLegacySignaturesUntil",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRefundFeePolicy",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setTimelockDelay",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "signerCounts",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "timelockDelay",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "transferOwnership",
+    values: [AddressLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "unpause",
+    values: [BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradeToAndCall",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "upgradedAt",
+    values?: undefined
+  ): string;
+  encodeFunctionData(functionFragment: "usdc", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "verifyTypedDataSignature",
+    values: [BytesLike, BytesLike, BytesLike, AddressLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "DOMAIN_SEPARATOR",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "PERMIT2", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "acceptOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "accruedFees",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "addApprover",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "addClaimer", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizedApprovers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "authorizedClaimers",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "cancelOrder",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "claim", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindowCap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimWindowStart",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "claimedInWindow",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "claimsCap", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "claimsPaused",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "config", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "deposit", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "depositProxy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositTokens",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositWithPermit",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositWithPermit2",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "depositsPaused",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "executeOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "extendOrder",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "feeTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "getConfig", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "getMinDepositAmount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotaryOrderCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotaryOrders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getNotarySet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSignerCount",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "getSignerOrders",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "guardian", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "initialize", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "initializeV2",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isAuthorizedApprover",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "isAuthorizedClaimer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "legacySignaturesUntil",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "openDeposits",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "operationReadyAt",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "orders", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "owner", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "pause", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "payloads", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "pendingOwner",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "proxiableUUID",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "queryOrderStatus",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "refund", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "refundFeePolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "registerNotarySet",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeApprover",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeClaimer",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "removeDepositToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "renounceOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "scheduleOperation",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setClaimWindowCap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setClaimsCap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "setConfig", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "setDepositToken",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setFeeTreasury",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setGuardian",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setLegacySignaturesUntil",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRefundFeePolicy",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setTimelockDelay",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "signerCounts",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "timelockDelay",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "transferOwnership",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "unpause", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "upgradeToAndCall",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "upgradedAt", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "usdc", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "verifyTypedDataSignature",
+    data: BytesLike
+  ): Result;
+}
+
+export namespace ApproverAddedEvent {
+  export type InputTuple = [approver: AddressLike];
+  export type OutputTuple = [approver: string];
+  export interface OutputObject {
+    approver: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ApproverRemovedEvent {
+  export type InputTuple = [approver: AddressLike];
+  export type OutputTuple = [approver: string];
+  export interface OutputObject {
+    approver: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace CancelledEvent {
+  export type InputTuple = [id: BytesLike];
+  export type OutputTuple = [id: string];
+  export interface OutputObject {
+    id: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    recipient: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [
+    orderId: string,
+    recipient: string,
+    amount: bigint
+  ];
+  export interface OutputObject {
+    orderId: string;
+    recipient: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimWindowCapUpdatedEvent {
+  export type InputTuple = [window: BigNumberish, cap: BigNumberish];
+  export type OutputTuple = [window: bigint, cap: bigint];
+  export interface OutputObject {
+    window: bigint;
+    cap: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimerAddedEvent {
+  export type InputTuple = [claimer: AddressLike];
+  export type OutputTuple = [claimer: string];
+  export interface OutputObject {
+    claimer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimerRemovedEvent {
+  export type InputTuple = [claimer: AddressLike];
+  export type OutputTuple = [claimer: string];
+  export interface OutputObject {
+    claimer: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ClaimsCapUpdatedEvent {
+  export type InputTuple = [claimsCap: BigNumberish];
+  export type OutputTuple = [claimsCap: bigint];
+  export interface OutputObject {
+    claimsCap: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ConfigUpdatedEvent {
+  export type InputTuple = [
+    minDuration: BigNumberish,
+    maxDuration: BigNumberish,
+    minDepositAmount: BigNumberish
+  ];
+  export type OutputTuple = [
+    minDuration: bigint,
+    maxDuration: bigint,
+    minDepositAmount: bigint
+  ];
+  export interface OutputObject {
+    minDuration: bigint;
+    maxDuration: bigint;
+    minDepositAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DepositEvent {
+  export type InputTuple = [
+    signer: AddressLike,
+    orderId: BytesLike,
+    amount: BigNumberish,
+    duration: BigNumberish
+  ];
+  export type OutputTuple = [
+    signer: string,
+    orderId: string,
+    amount: bigint,
+    duration: bigint
+  ];
+  export interface OutputObject {
+    signer: string;
+    orderId: string;
+    amount: bigint;
+    duration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DepositTokenRemovedEvent {
+  export type InputTuple = [token: AddressLike];
+  export type OutputTuple = [token: string];
+  export interface OutputObject {
+    token: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace DepositTokenSetEvent {
+  export type InputTuple = [token: AddressLike, minDepositAmount: BigNumberish];
+  export type OutputTuple = [token: string, minDepositAmount: bigint];
+  export interface OutputObject {
+    token: string;
+    minDepositAmount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ErrorEvent {
+  export type InputTuple = [reason: string];
+  export type OutputTuple = [reason: string];
+  export interface OutputObject {
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ExecutedEvent {
+  export type InputTuple = [id: BytesLike, data: BytesLike];
+  export type OutputTuple = [id: string, data: string];
+  export interface OutputObject {
+    id: string;
+    data: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FeeTreasuryUpdatedEvent {
+  export type InputTuple = [treasury: AddressLike];
+  export type OutputTuple = [treasury: string];
+  export interface OutputObject {
+    treasury: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace FeesCollectedEvent {
+  export type InputTuple = [
+    token: AddressLike,
+    treasury: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [token: string, treasury: string, amount: bigint];
+  export interface OutputObject {
+    token: string;
+    treasury: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace GuardianUpdatedEvent {
+  export type InputTuple = [guardian: AddressLike];
+  export type OutputTuple = [guardian: string];
+  export interface OutputObject {
+    guardian: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace InitializedEvent {
+  export type InputTuple = [version: BigNumberish];
+  export type OutputTuple = [version: bigint];
+  export interface OutputObject {
+    version: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace LegacySignaturesUntilUpdatedEvent {
+  export type InputTuple = [deadline: BigNumberish];
+  export type OutputTuple = [deadline: bigint];
+  export interface OutputObject {
+    deadline: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace NotarySetRegisteredEvent {
+  export type InputTuple = [
+    notarySet: BytesLike,
+    members: AddressLike[],
+    threshold: BigNumberish
+  ];
+  export type OutputTuple = [
+    notarySet: string,
+    members: string[],
+    threshold: bigint
+  ];
+  export interface OutputObject {
+    notarySet: string;
+    members: string[];
+    threshold: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrderCancelledEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    refundee: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [orderId: string, refundee: string, amount: bigint];
+  export interface OutputObject {
+    orderId: string;
+    refundee: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OrderExtendedEvent {
+  export type InputTuple = [orderId: BytesLike, expiration: BigNumberish];
+  export type OutputTuple = [orderId: string, expiration: bigint];
+  export interface OutputObject {
+    orderId: string;
+    expiration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferStartedEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace OwnershipTransferredEvent {
+  export type InputTuple = [previousOwner: AddressLike, newOwner: AddressLike];
+  export type OutputTuple = [previousOwner: string, newOwner: string];
+  export interface OutputObject {
+    previousOwner: string;
+    newOwner: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace PausedEvent {
+  export type InputTuple = [
+    scope: BigNumberish,
+    account: AddressLike,
+    reason: string
+  ];
+  export type OutputTuple = [scope: bigint, account: string, reason: string];
+  export interface OutputObject {
+    scope: bigint;
+    account: string;
+    reason: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ProxyDepositEvent {
+  export type InputTuple = [
+    signer: AddressLike,
+    orderId: BytesLike,
+    amount: BigNumberish,
+    duration: BigNumberish
+  ];
+  export type OutputTuple = [
+    signer: string,
+    orderId: string,
+    amount: bigint,
+    duration: bigint
+  ];
+  export interface OutputObject {
+    signer: string;
+    orderId: string;
+    amount: bigint;
+    duration: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RefundEvent {
+  export type InputTuple = [
+    orderId: BytesLike,
+    refundee: AddressLike,
+    amount: BigNumberish
+  ];
+  export type OutputTuple = [orderId: string, refundee: string, amount: bigint];
+  export interface OutputObject {
+    orderId: string;
+    refundee: string;
+    amount: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace RefundFeePolicyUpdatedEvent {
+  export type InputTuple = [policy: BigNumberish];
+  export type OutputTuple = [policy: bigint];
+  export interface OutputObject {
+    policy: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace ScheduledEvent {
+  export type InputTuple = [
+    id: BytesLike,
+    data: BytesLike,
+    readyAt: BigNumberish
+  ];
+  export type OutputTuple = [id: string, data: string, readyAt: bigint];
+  export interface OutputObject {
+    id: string;
+    data: string;
+    readyAt: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace TimelockDelayUpdatedEvent {
+  export type InputTuple = [delay: BigNumberish];
+  export type OutputTuple = [delay: bigint];
+  export interface OutputObject {
+    delay: bigint;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UnpausedEvent {
+  export type InputTuple = [scope: BigNumberish, account: AddressLike];
+  export type OutputTuple = [scope: bigint, account: string];
+  export interface OutputObject {
+    scope: bigint;
+    account: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export namespace UpgradedEvent {
+  export type InputTuple = [implementation: AddressLike];
+  export type OutputTuple = [implementation: string];
+  export interface OutputObject {
+    implementation: string;
+  }
+  export type Event = TypedContractEvent<InputTuple, OutputTuple, OutputObject>;
+  export type Filter = TypedDeferredTopicFilter<Event>;
+  export type Log = TypedEventLog<Event>;
+  export type LogDescription = TypedLogDescription<Event>;
+}
+
+export interface MockGatewayUpgrade extends BaseContract {
+  connect(runner?: ContractRunner | null): MockGatewayUpgrade;
+  waitForDeployment(): Promise<this>;
+
+  interface: MockGatewayUpgradeInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  DOMAIN_SEPARATOR: TypedContractMethod<[], [string], "view">;
+
+  PERMIT2: TypedContractMethod<[], [string], "view">;
+
+  acceptOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  accruedFees: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  addApprover: TypedContractMethod<
+    [approver: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  addClaimer: TypedContractMethod<[claimer: AddressLike], [void], "nonpayable">;
+
+  authorizedApprovers: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  authorizedClaimers: TypedContractMethod<
+    [arg0: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  cancelOperation: TypedContractMethod<[id: BytesLike], [void], "nonpayable">;
+
+  cancelOrder: TypedContractMethod<
+    [
+      orderId: BytesLike,
+      refundeeSignature: BytesLike,
+      notarySignature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  claim: TypedContractMethod<
+    [params: SilentSwapV2Gateway.BulkClaimParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+
+  claimWindow: TypedContractMethod<[], [bigint], "view">;
+
+  claimWindowCap: TypedContractMethod<[], [bigint], "view">;
+
+  claimWindowStart: TypedContractMethod<[], [bigint], "view">;
+
+  claimedInWindow: TypedContractMethod<[], [bigint], "view">;
+
+  claimsCap: TypedContractMethod<[], [bigint], "view">;
+
+  claimsPaused: TypedContractMethod<[], [boolean], "view">;
+
+  config: TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        minDuration: bigint;
+        maxDuration: bigint;
+        minDepositAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  deposit: TypedContractMethod<
+    [params: SilentSwapV2Gateway.DepositParamsStruct],
+    [void],
+    "nonpayable"
+  >;
+
+  depositProxy: TypedContractMethod<
+    [params: SilentSwapV2Gateway.DepositParamsStruct, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  depositTokens: TypedContractMethod<
+    [arg0: AddressLike],
+    [[boolean, bigint] & { allowed: boolean; minDepositAmount: bigint }],
+    "view"
+  >;
+
+  depositWithPermit: TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.PermitSignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  depositWithPermit2: TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.Permit2SignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  depositsPaused: TypedContractMethod<[], [boolean], "view">;
+
+  executeOperation: TypedContractMethod<
+    [data: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  extendOrder: TypedContractMethod<
+    [orderId: BytesLike, newExpiration: BigNumberish, signature: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  feeTreasury: TypedContractMethod<[], [string], "view">;
+
+  getConfig: TypedContractMethod<
+    [],
+    [SilentSwapV2Gateway.ConfigStructOutput],
+    "view"
+  >;
+
+  getMinDepositAmount: TypedContractMethod<
+    [token: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getNotaryOrderCount: TypedContractMethod<
+    [notary: AddressLike],
+    [bigint],
+    "view"
+  >;
+
+  getNotaryOrders: TypedContractMethod<
+    [
+      notary: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  getNotarySet: TypedContractMethod<
+    [setId: BytesLike],
+    [[string[], bigint] & { members: string[]; threshold: bigint }],
+    "view"
+  >;
+
+  getSignerCount: TypedContractMethod<[signer: AddressLike], [bigint], "view">;
+
+  getSignerOrders: TypedContractMethod<
+    [
+      signer: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  guardian: TypedContractMethod<[], [string], "view">;
+
+  initialize: TypedContractMethod<
+    [
+      _config: SilentSwapV2Gateway.ConfigStruct,
+      _claimer: AddressLike,
+      initialOwner: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  initializeV2: TypedContractMethod<[], [void], "nonpayable">;
+
+  isAuthorizedApprover: TypedContractMethod<
+    [approver: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  isAuthorizedClaimer: TypedContractMethod<
+    [claimer: AddressLike],
+    [boolean],
+    "view"
+  >;
+
+  legacySignaturesUntil: TypedContractMethod<[], [bigint], "view">;
+
+  openDeposits: TypedContractMethod<
+    [signer: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  operationReadyAt: TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+
+  orders: TypedContractMethod<
+    [arg0: BytesLike],
+    [
+      [
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint
+      ] & {
+        status: bigint;
+        expiration: bigint;
+        notary: string;
+        refundee: string;
+        amount: bigint;
+        token: string;
+        fee: bigint;
+        notarySet: string;
+        openedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+
+  owner: TypedContractMethod<[], [string], "view">;
+
+  pause: TypedContractMethod<
+    [scope: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+
+  payloads: TypedContractMethod<[arg0: BytesLike], [string], "view">;
+
+  pendingOwner: TypedContractMethod<[], [string], "view">;
+
+  proxiableUUID: TypedContractMethod<[], [string], "view">;
+
+  queryOrderStatus: TypedContractMethod<[orderId: BytesLike], [bigint], "view">;
+
+  refund: TypedContractMethod<[orderId: BytesLike], [void], "nonpayable">;
+
+  refundFeePolicy: TypedContractMethod<[], [bigint], "view">;
+
+  registerNotarySet: TypedContractMethod<
+    [members: AddressLike[], threshold: BigNumberish],
+    [string],
+    "nonpayable"
+  >;
+
+  removeApprover: TypedContractMethod<
+    [approver: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  removeClaimer: TypedContractMethod<
+    [claimer: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  removeDepositToken: TypedContractMethod<
+    [token: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  renounceOwnership: TypedContractMethod<[], [void], "nonpayable">;
+
+  scheduleOperation: TypedContractMethod<
+    [data: BytesLike],
+    [string],
+    "nonpayable"
+  >;
+
+  setClaimWindowCap: TypedContractMethod<
+    [window: BigNumberish, cap: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setClaimsCap: TypedContractMethod<
+    [newCap: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setConfig: TypedContractMethod<
+    [
+      minimumDuration: BigNumberish,
+      maximumDuration: BigNumberish,
+      minimumDepositAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  setDepositToken: TypedContractMethod<
+    [token: AddressLike, minDepositAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setFeeTreasury: TypedContractMethod<
+    [treasury: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setGuardian: TypedContractMethod<
+    [newGuardian: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  setLegacySignaturesUntil: TypedContractMethod<
+    [deadline: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setRefundFeePolicy: TypedContractMethod<
+    [policy: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  setTimelockDelay: TypedContractMethod<
+    [delay: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+
+  signerCounts: TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+
+  timelockDelay: TypedContractMethod<[], [bigint], "view">;
+
+  transferOwnership: TypedContractMethod<
+    [newOwner: AddressLike],
+    [void],
+    "nonpayable"
+  >;
+
+  unpause: TypedContractMethod<[scope: BigNumberish], [void], "nonpayable">;
+
+  upgradeToAndCall: TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+
+  upgradedAt: TypedContractMethod<[], [bigint], "view">;
+
+  usdc: TypedContractMethod<[], [string], "view">;
+
+  verifyTypedDataSignature: TypedContractMethod<
+    [
+      domainSepHash: BytesLike,
+      payloadHash: BytesLike,
+      typedDataSignature: BytesLike,
+      signer: AddressLike
+    ],
+    [boolean],
+    "view"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "DOMAIN_SEPARATOR"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PERMIT2"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "acceptOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "accruedFees"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "addApprover"
+  ): TypedContractMethod<[approver: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "addClaimer"
+  ): TypedContractMethod<[claimer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "authorizedApprovers"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "authorizedClaimers"
+  ): TypedContractMethod<[arg0: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "cancelOperation"
+  ): TypedContractMethod<[id: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "cancelOrder"
+  ): TypedContractMethod<
+    [
+      orderId: BytesLike,
+      refundeeSignature: BytesLike,
+      notarySignature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claim"
+  ): TypedContractMethod<
+    [params: SilentSwapV2Gateway.BulkClaimParamsStruct],
+    [bigint],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "claimWindow"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimWindowCap"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimWindowStart"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimedInWindow"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimsCap"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "claimsPaused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "config"
+  ): TypedContractMethod<
+    [],
+    [
+      [bigint, bigint, bigint] & {
+        minDuration: bigint;
+        maxDuration: bigint;
+        minDepositAmount: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "deposit"
+  ): TypedContractMethod<
+    [params: SilentSwapV2Gateway.DepositParamsStruct],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositProxy"
+  ): TypedContractMethod<
+    [params: SilentSwapV2Gateway.DepositParamsStruct, amount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositTokens"
+  ): TypedContractMethod<
+    [arg0: AddressLike],
+    [[boolean, bigint] & { allowed: boolean; minDepositAmount: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "depositWithPermit"
+  ): TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.PermitSignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositWithPermit2"
+  ): TypedContractMethod<
+    [
+      params: SilentSwapV2Gateway.DepositParamsStruct,
+      amount: BigNumberish,
+      permit: SilentSwapV2Gateway.Permit2SignatureStruct
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "depositsPaused"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "executeOperation"
+  ): TypedContractMethod<[data: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "extendOrder"
+  ): TypedContractMethod<
+    [orderId: BytesLike, newExpiration: BigNumberish, signature: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "feeTreasury"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "getConfig"
+  ): TypedContractMethod<[], [SilentSwapV2Gateway.ConfigStructOutput], "view">;
+  getFunction(
+    nameOrSignature: "getMinDepositAmount"
+  ): TypedContractMethod<[token: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getNotaryOrderCount"
+  ): TypedContractMethod<[notary: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getNotaryOrders"
+  ): TypedContractMethod<
+    [
+      notary: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getNotarySet"
+  ): TypedContractMethod<
+    [setId: BytesLike],
+    [[string[], bigint] & { members: string[]; threshold: bigint }],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "getSignerCount"
+  ): TypedContractMethod<[signer: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "getSignerOrders"
+  ): TypedContractMethod<
+    [
+      signer: AddressLike,
+      status: BigNumberish,
+      offset: BigNumberish,
+      limit: BigNumberish
+    ],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "guardian"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "initialize"
+  ): TypedContractMethod<
+    [
+      _config: SilentSwapV2Gateway.ConfigStruct,
+      _claimer: AddressLike,
+      initialOwner: AddressLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "initializeV2"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "isAuthorizedApprover"
+  ): TypedContractMethod<[approver: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "isAuthorizedClaimer"
+  ): TypedContractMethod<[claimer: AddressLike], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "legacySignaturesUntil"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "openDeposits"
+  ): TypedContractMethod<
+    [signer: AddressLike, offset: BigNumberish, limit: BigNumberish],
+    [
+      [string[], SilentSwapV2Gateway.OrderStructOutput[], bigint] & {
+        orderIds: string[];
+        records: SilentSwapV2Gateway.OrderStructOutput[];
+        nextOffset: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "operationReadyAt"
+  ): TypedContractMethod<[arg0: BytesLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "orders"
+  ): TypedContractMethod<
+    [arg0: BytesLike],
+    [
+      [
+        bigint,
+        bigint,
+        string,
+        string,
+        bigint,
+        string,
+        bigint,
+        string,
+        bigint
+      ] & {
+        status: bigint;
+        expiration: bigint;
+        notary: string;
+        refundee: string;
+        amount: bigint;
+        token: string;
+        fee: bigint;
+        notarySet: string;
+        openedAt: bigint;
+      }
+    ],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "owner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "pause"
+  ): TypedContractMethod<
+    [scope: BigNumberish, reason: string],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "payloads"
+  ): TypedContractMethod<[arg0: BytesLike], [string], "view">;
+  getFunction(
+    nameOrSignature: "pendingOwner"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "proxiableUUID"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "queryOrderStatus"
+  ): TypedContractMethod<[orderId: BytesLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "refund"
+  ): TypedContractMethod<[orderId: BytesLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "refundFeePolicy"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "registerNotarySet"
+  ): TypedContractMethod<
+    [members: AddressLike[], threshold: BigNumberish],
+    [string],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "removeApprover"
+  ): TypedContractMethod<[approver: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "removeClaimer"
+  ): TypedContractMethod<[claimer: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "removeDepositToken"
+  ): TypedContractMethod<[token: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "renounceOwnership"
+  ): TypedContractMethod<[], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "scheduleOperation"
+  ): TypedContractMethod<[data: BytesLike], [string], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setClaimWindowCap"
+  ): TypedContractMethod<
+    [window: BigNumberish, cap: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setClaimsCap"
+  ): TypedContractMethod<[newCap: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setConfig"
+  ): TypedContractMethod<
+    [
+      minimumDuration: BigNumberish,
+      maximumDuration: BigNumberish,
+      minimumDepositAmount: BigNumberish
+    ],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setDepositToken"
+  ): TypedContractMethod<
+    [token: AddressLike, minDepositAmount: BigNumberish],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "setFeeTreasury"
+  ): TypedContractMethod<[treasury: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setGuardian"
+  ): TypedContractMethod<[newGuardian: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setLegacySignaturesUntil"
+  ): TypedContractMethod<[deadline: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setRefundFeePolicy"
+  ): TypedContractMethod<[policy: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "setTimelockDelay"
+  ): TypedContractMethod<[delay: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "signerCounts"
+  ): TypedContractMethod<[arg0: AddressLike], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "timelockDelay"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "transferOwnership"
+  ): TypedContractMethod<[newOwner: AddressLike], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "unpause"
+  ): TypedContractMethod<[scope: BigNumberish], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "upgradeToAndCall"
+  ): TypedContractMethod<
+    [newImplementation: AddressLike, data: BytesLike],
+    [void],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "upgradedAt"
+  ): TypedContractMethod<[], [bigint], "view">;
+  getFunction(
+    nameOrSignature: "usdc"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "verifyTypedDataSignature"
+  ): TypedContractMethod<
+    [
+      domainSepHash: BytesLike,
+      payloadHash: BytesLike,
+      typedDataSignature: BytesLike,
+      signer: AddressLike
+    ],
+    [boolean],
+    "view"
+  >;
+
+  getEvent(
+    key: "ApproverAdded"
+  ): TypedContractEvent<
+    ApproverAddedEvent.InputTuple,
+    ApproverAddedEvent.OutputTuple,
+    ApproverAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ApproverRemoved"
+  ): TypedContractEvent<
+    ApproverRemovedEvent.InputTuple,
+    ApproverRemovedEvent.OutputTuple,
+    ApproverRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Cancelled"
+  ): TypedContractEvent<
+    CancelledEvent.InputTuple,
+    CancelledEvent.OutputTuple,
+    CancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "Claim"
+  ): TypedContractEvent<
+    ClaimEvent.InputTuple,
+    ClaimEvent.OutputTuple,
+    ClaimEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimWindowCapUpdated"
+  ): TypedContractEvent<
+    ClaimWindowCapUpdatedEvent.InputTuple,
+    ClaimWindowCapUpdatedEvent.OutputTuple,
+    ClaimWindowCapUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimerAdded"
+  ): TypedContractEvent<
+    ClaimerAddedEvent.InputTuple,
+    ClaimerAddedEvent.OutputTuple,
+    ClaimerAddedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimerRemoved"
+  ): TypedContractEvent<
+    ClaimerRemovedEvent.InputTuple,
+    ClaimerRemovedEvent.OutputTuple,
+    ClaimerRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ClaimsCapUpdated"
+  ): TypedContractEvent<
+    ClaimsCapUpdatedEvent.InputTuple,
+    ClaimsCapUpdatedEvent.OutputTuple,
+    ClaimsCapUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ConfigUpdated"
+  ): TypedContractEvent<
+    ConfigUpdatedEvent.InputTuple,
+    ConfigUpdatedEvent.OutputTuple,
+    ConfigUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Deposit"
+  ): TypedContractEvent<
+    DepositEvent.InputTuple,
+    DepositEvent.OutputTuple,
+    DepositEvent.OutputObject
+  >;
+  getEvent(
+    key: "DepositTokenRemoved"
+  ): TypedContractEvent<
+    DepositTokenRemovedEvent.InputTuple,
+    DepositTokenRemovedEvent.OutputTuple,
+    DepositTokenRemovedEvent.OutputObject
+  >;
+  getEvent(
+    key: "DepositTokenSet"
+  ): TypedContractEvent<
+    DepositTokenSetEvent.InputTuple,
+    DepositTokenSetEvent.OutputTuple,
+    DepositTokenSetEvent.OutputObject
+  >;
+  getEvent(
+    key: "Error"
+  ): TypedContractEvent<
+    ErrorEvent.InputTuple,
+    ErrorEvent.OutputTuple,
+    ErrorEvent.OutputObject
+  >;
+  getEvent(
+    key: "Executed"
+  ): TypedContractEvent<
+    ExecutedEvent.InputTuple,
+    ExecutedEvent.OutputTuple,
+    ExecutedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FeeTreasuryUpdated"
+  ): TypedContractEvent<
+    FeeTreasuryUpdatedEvent.InputTuple,
+    FeeTreasuryUpdatedEvent.OutputTuple,
+    FeeTreasuryUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "FeesCollected"
+  ): TypedContractEvent<
+    FeesCollectedEvent.InputTuple,
+    FeesCollectedEvent.OutputTuple,
+    FeesCollectedEvent.OutputObject
+  >;
+  getEvent(
+    key: "GuardianUpdated"
+  ): TypedContractEvent<
+    GuardianUpdatedEvent.InputTuple,
+    GuardianUpdatedEvent.OutputTuple,
+    GuardianUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Initialized"
+  ): TypedContractEvent<
+    InitializedEvent.InputTuple,
+    InitializedEvent.OutputTuple,
+    InitializedEvent.OutputObject
+  >;
+  getEvent(
+    key: "LegacySignaturesUntilUpdated"
+  ): TypedContractEvent<
+    LegacySignaturesUntilUpdatedEvent.InputTuple,
+    LegacySignaturesUntilUpdatedEvent.OutputTuple,
+    LegacySignaturesUntilUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "NotarySetRegistered"
+  ): TypedContractEvent<
+    NotarySetRegisteredEvent.InputTuple,
+    NotarySetRegisteredEvent.OutputTuple,
+    NotarySetRegisteredEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrderCancelled"
+  ): TypedContractEvent<
+    OrderCancelledEvent.InputTuple,
+    OrderCancelledEvent.OutputTuple,
+    OrderCancelledEvent.OutputObject
+  >;
+  getEvent(
+    key: "OrderExtended"
+  ): TypedContractEvent<
+    OrderExtendedEvent.InputTuple,
+    OrderExtendedEvent.OutputTuple,
+    OrderExtendedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferStarted"
+  ): TypedContractEvent<
+    OwnershipTransferStartedEvent.InputTuple,
+    OwnershipTransferStartedEvent.OutputTuple,
+    OwnershipTransferStartedEvent.OutputObject
+  >;
+  getEvent(
+    key: "OwnershipTransferred"
+  ): TypedContractEvent<
+    OwnershipTransferredEvent.InputTuple,
+    OwnershipTransferredEvent.OutputTuple,
+    OwnershipTransferredEvent.OutputObject
+  >;
+  getEvent(
+    key: "Paused"
+  ): TypedContractEvent<
+    PausedEvent.InputTuple,
+    PausedEvent.OutputTuple,
+    PausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "ProxyDeposit"
+  ): TypedContractEvent<
+    ProxyDepositEvent.InputTuple,
+    ProxyDepositEvent.OutputTuple,
+    ProxyDepositEvent.OutputObject
+  >;
+  getEvent(
+    key: "Refund"
+  ): TypedContractEvent<
+    RefundEvent.InputTuple,
+    RefundEvent.OutputTuple,
+    RefundEvent.OutputObject
+  >;
+  getEvent(
+    key: "RefundFeePolicyUpdated"
+  ): TypedContractEvent<
+    RefundFeePolicyUpdatedEvent.InputTuple,
+    RefundFeePolicyUpdatedEvent.OutputTuple,
+    RefundFeePolicyUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Scheduled"
+  ): TypedContractEvent<
+    ScheduledEvent.InputTuple,
+    ScheduledEvent.OutputTuple,
+    ScheduledEvent.OutputObject
+  >;
+  getEvent(
+    key: "TimelockDelayUpdated"
+  ): TypedContractEvent<
+    TimelockDelayUpdatedEvent.InputTuple,
+    TimelockDelayUpdatedEvent.OutputTuple,
+    TimelockDelayUpdatedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Unpaused"
+  ): TypedContractEvent<
+    UnpausedEvent.InputTuple,
+    UnpausedEvent.OutputTuple,
+    UnpausedEvent.OutputObject
+  >;
+  getEvent(
+    key: "Upgraded"
+  ): TypedContractEvent<
+    UpgradedEvent.InputTuple,
+    UpgradedEvent.OutputTuple,
+    UpgradedEvent.OutputObject
+  >;
+
+  filters: {
+    "ApproverAdded(address)": TypedContractEvent<
+      ApproverAddedEvent.InputTuple,
+      ApproverAddedEvent.OutputTuple,
+      ApproverAddedEvent.OutputObject
+    >;
+    ApproverAdded: TypedContractEvent<
+      ApproverAddedEvent.InputTuple,
+      ApproverAddedEvent.OutputTuple,
+      ApproverAddedEvent.OutputObject
+    >;
+
+    "ApproverRemoved(address)": TypedContractEvent<
+      ApproverRemovedEvent.InputTuple,
+      ApproverRemovedEvent.OutputTuple,
+      ApproverRemovedEvent.OutputObject
+    >;
+    ApproverRemoved: TypedContractEvent<
+      ApproverRemovedEvent.InputTuple,
+      ApproverRemovedEvent.OutputTuple,
+      ApproverRemovedEvent.OutputObject
+    >;
+
+    "Cancelled(bytes32)": TypedContractEvent<
+      CancelledEvent.InputTuple,
+      CancelledEvent.OutputTuple,
+      CancelledEvent.OutputObject
+    >;
+    Cancelled: TypedContractEvent<
+      CancelledEvent.InputTuple,
+      CancelledEvent.OutputTuple,
+      CancelledEvent.OutputObject
+    >;
+
+    "Claim(bytes32,address,uint256)": TypedContractEvent<
+      ClaimEvent.InputTuple,
+      ClaimEvent.OutputTuple,
+      ClaimEvent.OutputObject
+    >;
+    Claim: TypedContractEvent<
+      ClaimEvent.InputTuple,
+      ClaimEvent.OutputTuple,
+      ClaimEvent.OutputObject
+    >;
+
+    "ClaimWindowCapUpdated(uint256,uint256)": TypedContractEvent<
+      ClaimWindowCapUpdatedEvent.InputTuple,
+      ClaimWindowCapUpdatedEvent.OutputTuple,
+      ClaimWindowCapUpdatedEvent.OutputObject
+    >;
+    ClaimWindowCapUpdated: TypedContractEvent<
+      ClaimWindowCapUpdatedEvent.InputTuple,
+      ClaimWindowCapUpdatedEvent.OutputTuple,
+      ClaimWindowCapUpdatedEvent.OutputObject
+    >;
+
+    "ClaimerAdded(address)": TypedContractEvent<
+      ClaimerAddedEvent.InputTuple,
+      ClaimerAddedEvent.OutputTuple,
+      ClaimerAddedEvent.OutputObject
+    >;
+    ClaimerAdded: TypedContractEvent<
+      ClaimerAddedEvent.InputTuple,
+      ClaimerAddedEvent.OutputTuple,
+      ClaimerAddedEvent.OutputObject
+    >;
+
+    "ClaimerRemoved(address)": TypedContractEvent<
+      ClaimerRemovedEvent.InputTuple,
+      ClaimerRemovedEvent.OutputTuple,
+      ClaimerRemovedEvent.OutputObject
+    >;
+    ClaimerRemoved: TypedContractEvent<
+      ClaimerRemovedEvent.InputTuple,
+      ClaimerRemovedEvent.OutputTuple,
+      ClaimerRemovedEvent.OutputObject
+    >;
+
+    "ClaimsCapUpdated(uint256)": TypedContractEvent<
+      ClaimsCapUpdatedEvent.InputTuple,
+      ClaimsCapUpdatedEvent.OutputTuple,
+      ClaimsCapUpdatedEvent.OutputObject
+    >;
+    ClaimsCapUpdated: TypedContractEvent<
+      ClaimsCapUpdatedEvent.InputTuple,
+      ClaimsCapUpdatedEvent.OutputTuple,
+      ClaimsCapUpdatedEvent.OutputObject
+    >;
+
+    "ConfigUpdated(uint256,uint256,uint256)": TypedContractEvent<
+      ConfigUpdatedEvent.InputTuple,
+      ConfigUpdatedEvent.OutputTuple,
+      ConfigUpdatedEvent.OutputObject
+    >;
+    ConfigUpdated: TypedContractEvent<
+      ConfigUpdatedEvent.InputTuple,
+      ConfigUpdatedEvent.OutputTuple,
+      ConfigUpdatedEvent.OutputObject
+    >;
+
+    "Deposit(address,bytes32,uint256,uint256)": TypedContractEvent<
+      DepositEvent.InputTuple,
+      DepositEvent.OutputTuple,
+      DepositEvent.OutputObject
+    >;
+    Deposit: TypedContractEvent<
+      DepositEvent.InputTuple,
+      DepositEvent.OutputTuple,
+      DepositEvent.OutputObject
+    >;
+
+    "DepositTokenRemoved(address)": TypedContractEvent<
+      DepositTokenRemovedEvent.InputTuple,
+      DepositTokenRemovedEvent.OutputTuple,
+      DepositTokenRemovedEvent.OutputObject
+    >;
+    DepositTokenRemoved: TypedContractEvent<
+      DepositTokenRemovedEvent.InputTuple,
+      DepositTokenRemovedEvent.OutputTuple,
+      DepositTokenRemovedEvent.OutputObject
+    >;
+
+    "DepositTokenSet(address,uint256)": TypedContractEvent<
+      DepositTokenSetEvent.InputTuple,
+      DepositTokenSetEvent.OutputTuple,
+      DepositTokenSetEvent.OutputObject
+    >;
+    DepositTokenSet: TypedContractEvent<
+      DepositTokenSetEvent.InputTuple,
+      DepositTokenSetEvent.OutputTuple,
+      DepositTokenSetEvent.OutputObject
+    >;
+
+    "Error(string)": TypedContractEvent<
+      ErrorEvent.InputTuple,
+      ErrorEvent.OutputTuple,
+      ErrorEvent.OutputObject
+    >;
+    Error: TypedContractEvent<
+      ErrorEvent.InputTuple,
+      ErrorEvent.OutputTuple,
+      ErrorEvent.OutputObject
+    >;
+
+    "Executed(bytes32,bytes)": TypedContractEvent<
+      ExecutedEvent.InputTuple,
+      ExecutedEvent.OutputTuple,
+      ExecutedEvent.OutputObject
+    >;
+    Executed: TypedContractEvent<
+      ExecutedEvent.InputTuple,
+      ExecutedEvent.OutputTuple,
+      ExecutedEvent.OutputObject
+    >;
+
+    "FeeTreasuryUpdated(address)": TypedContractEvent<
+      FeeTreasuryUpdatedEvent.InputTuple,
+      FeeTreasuryUpdatedEvent.OutputTuple,
+      FeeTreasuryUpdatedEvent.OutputObject
+    >;
+    FeeTreasuryUpdated: TypedContractEvent<
+      FeeTreasuryUpdatedEvent.InputTuple,
+      FeeTreasuryUpdatedEvent.OutputTuple,
+      FeeTreasuryUpdatedEvent.OutputObject
+    >;
+
+    "FeesCollected(address,address,uint256)": TypedContractEvent<
+      FeesCollectedEvent.InputTuple,
+      FeesCollectedEvent.OutputTuple,
+      FeesCollectedEvent.OutputObject
+    >;
+    FeesCollected: TypedContractEvent<
+      FeesCollectedEvent.InputTuple,
+      FeesCollectedEvent.OutputTuple,
+      FeesCollectedEvent.OutputObject
+    >;
+
+    "GuardianUpdated(address)": TypedContractEvent<
+      GuardianUpdatedEvent.InputTuple,
+      GuardianUpdatedEvent.OutputTuple,
+      GuardianUpdatedEvent.OutputObject
+    >;
+    GuardianUpdated: TypedContractEvent<
+      GuardianUpdatedEvent.InputTuple,
+      GuardianUpdatedEvent.OutputTuple,
+      GuardianUpdatedEvent.OutputObject
+    >;
+
+    "Initialized(uint64)": TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+    Initialized: TypedContractEvent<
+      InitializedEvent.InputTuple,
+      InitializedEvent.OutputTuple,
+      InitializedEvent.OutputObject
+    >;
+
+    "LegacySignaturesUntilUpdated(uint256)": TypedContractEvent<
+      LegacySignaturesUntilUpdatedEvent.InputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputObject
+    >;
+    LegacySignaturesUntilUpdated: TypedContractEvent<
+      LegacySignaturesUntilUpdatedEvent.InputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputTuple,
+      LegacySignaturesUntilUpdatedEvent.OutputObject
+    >;
+
+    "NotarySetRegistered(bytes32,address[],uint256)": TypedContractEvent<
+      NotarySetRegisteredEvent.InputTuple,
+      NotarySetRegisteredEvent.OutputTuple,
+      NotarySetRegisteredEvent.OutputObject
+    >;
+    NotarySetRegistered: TypedContractEvent<
+      NotarySetRegisteredEvent.InputTuple,
+      NotarySetRegisteredEvent.OutputTuple,
+      NotarySetRegisteredEvent.OutputObject
+    >;
+
+    "OrderCancelled(bytes32,address,uint256)": TypedContractEvent<
+      OrderCancelledEvent.InputTuple,
+      OrderCancelledEvent.OutputTuple,
+      OrderCancelledEvent.OutputObject
+    >;
+    OrderCancelled: TypedContractEvent<
+      OrderCancelledEvent.InputTuple,
+      OrderCancelledEvent.OutputTuple,
+      OrderCancelledEvent.OutputObject
+    >;
+
+    "OrderExtended(bytes32,uint256)": TypedContractEvent<
+      OrderExtendedEvent.InputTuple,
+      OrderExtendedEvent.OutputTuple,
+      OrderExtendedEvent.OutputObject
+    >;
+    OrderExtended: TypedContractEvent<
+      OrderExtendedEvent.InputTuple,
+      OrderExtendedEvent.OutputTuple,
+      OrderExtendedEvent.OutputObject
+    >;
+
+    "OwnershipTransferStarted(address,address)": TypedContractEvent<
+      OwnershipTransferStartedEvent.InputTuple,
+      OwnershipTransferStartedEvent.OutputTuple,
+      OwnershipTransferStartedEvent.OutputObject
+    >;
+    OwnershipTransferStarted: TypedContractEvent<
+      OwnershipTransferStartedEvent.InputTuple,
+      OwnershipTransferStartedEvent.OutputTuple,
+      OwnershipTransferStartedEvent.OutputObject
+    >;
+
+    "OwnershipTransferred(address,address)": TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+    OwnershipTransferred: TypedContractEvent<
+      OwnershipTransferredEvent.InputTuple,
+      OwnershipTransferredEvent.OutputTuple,
+      OwnershipTransferredEvent.OutputObject
+    >;
+
+    "Paused(uint8,address,string)": TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+    Paused: TypedContractEvent<
+      PausedEvent.InputTuple,
+      PausedEvent.OutputTuple,
+      PausedEvent.OutputObject
+    >;
+
+    "ProxyDeposit(address,bytes32,uint256,uint256)": TypedContractEvent<
+      ProxyDepositEvent.InputTuple,
+      ProxyDepositEvent.OutputTuple,
+      ProxyDepositEvent.OutputObject
+    >;
+    ProxyDeposit: TypedContractEvent<
+      ProxyDepositEvent.InputTuple,
+      ProxyDepositEvent.OutputTuple,
+      ProxyDepositEvent.OutputObject
+    >;
+
+    "Refund(bytes32,address,uint256)": TypedContractEvent<
+      RefundEvent.InputTuple,
+      RefundEvent.OutputTuple,
+      RefundEvent.OutputObject
+    >;
+    Refund: TypedContractEvent<
+      RefundEvent.InputTuple,
+      RefundEvent.OutputTuple,
+      RefundEvent.OutputObject
+    >;
+
+    "RefundFeePolicyUpdated(uint8)": TypedContractEvent<
+      RefundFeePolicyUpdatedEvent.InputTuple,
+      RefundFeePolicyUpdatedEvent.OutputTuple,
+      RefundFeePolicyUpdatedEvent.OutputObject
+    >;
+    RefundFeePolicyUpdated: TypedContractEvent<
+      RefundFeePolicyUpdatedEvent.InputTuple,
+      RefundFeePolicyUpdatedEvent.OutputTuple,
+      RefundFeePolicyUpdatedEvent.OutputObject
+    >;
+
+    "Scheduled(bytes32,bytes,uint256)": TypedContractEvent<
+      ScheduledEvent.InputTuple,
+      ScheduledEvent.OutputTuple,
+      ScheduledEvent.OutputObject
+    >;
+    Scheduled: TypedContractEvent<
+      ScheduledEvent.InputTuple,
+      ScheduledEvent.OutputTuple,
+      ScheduledEvent.OutputObject
+    >;
+
+    "TimelockDelayUpdated(uint256)": TypedContractEvent<
+      TimelockDelayUpdatedEvent.InputTuple,
+      TimelockDelayUpdatedEvent.OutputTuple,
+      TimelockDelayUpdatedEvent.OutputObject
+    >;
+    TimelockDelayUpdated: TypedContractEvent<
+      TimelockDelayUpdatedEvent.InputTuple,
+      TimelockDelayUpdatedEvent.OutputTuple,
+      TimelockDelayUpdatedEvent.OutputObject
+    >;
+
+    "Unpaused(uint8,address)": TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+    Unpaused: TypedContractEvent<
+      UnpausedEvent.InputTuple,
+      UnpausedEvent.OutputTuple,
+      UnpausedEvent.OutputObject
+    >;
+
+    "Upgraded(address)": TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+    Upgraded: TypedContractEvent<
+      UpgradedEvent.InputTuple,
+      UpgradedEvent.OutputTuple,
+      UpgradedEvent.OutputObject
+    >;
+  };
+}
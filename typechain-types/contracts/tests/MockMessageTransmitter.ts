@@ -0,0 +1,160 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export interface MockMessageTransmitterInterface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "attester"
+      | "receiveMessage"
+      | "rejectMessages"
+      | "setRejectMessages"
+      | "usdc"
+      | "usedNonces"
+  ): FunctionFragment;
+
+  encodeFunctionData(functionFragment: "attester", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "receiveMessage",
+    values: [BytesLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "rejectMessages",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "setRejectMessages",
+    values: [boolean]
+  ): string;
+  encodeFunctionData(functionFragment: "usdc", values?: undefined): string;
+  encodeFunctionData(
+    functionFragment: "usedNonces",
+    values: [BytesLike]
+  ): string;
+
+  decodeFunctionResult(functionFragment: "attester", data: BytesLike): Result;
+  decodeFunctionResult(
+    functionFragment: "receiveMessage",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "rejectMessages",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "setRejectMessages",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "usdc", data: BytesLike): Result;
+  decodeFunctionResult(functionFragment: "usedNonces", data: BytesLike): Result;
+}
+
+export interface MockMessageTransmitter extends BaseContract {
+  connect(runner?: ContractRunner | null): MockMessageTransmitter;
+  waitForDeployment(): Promise<this>;
+
+  interface: MockMessageTransmitterInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  attester: TypedContractMethod<[], [string], "view">;
+
+  receiveMessage: TypedContractMethod<
+    [message: BytesLike, attestation: BytesLike],
+    [boolean],
+    "nonpayable"
+  >;
+
+  rejectMessages: TypedContractMethod<[], [boolean], "view">;
+
+  setRejectMessages: TypedContractMethod<
+    [reject: boolean],
+    [void],
+    "nonpayable"
+  >;
+
+  usdc: TypedContractMethod<[], [string], "view">;
+
+  usedNonces: TypedContractMethod<[arg0: BytesLike], [boolean], "view">;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "attester"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "receiveMessage"
+  ): TypedContractMethod<
+    [message: BytesLike, attestation: BytesLike],
+    [boolean],
+    "nonpayable"
+  >;
+  getFunction(
+    nameOrSignature: "rejectMessages"
+  ): TypedContractMethod<[], [boolean], "view">;
+  getFunction(
+    nameOrSignature: "setRejectMessages"
+  ): TypedContractMethod<[reject: boolean], [void], "nonpayable">;
+  getFunction(
+    nameOrSignature: "usdc"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "usedNonces"
+  ): TypedContractMethod<[arg0: BytesLike], [boolean], "view">;
+
+  filters: {};
+}
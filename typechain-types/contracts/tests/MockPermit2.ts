@@ -0,0 +1,230 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../common";
+
+export declare namespace ISignatureTransfer {
+  export type TokenPermissionsStruct = {
+    token: AddressLike;
+    amount: BigNumberish;
+  };
+
+  export type TokenPermissionsStructOutput = [token: string, amount: bigint] & {
+    token: string;
+    amount: bigint;
+  };
+
+  export type PermitTransferFromStruct = {
+    permitted: ISignatureTransfer.TokenPermissionsStruct;
+    nonce: BigNumberish;
+    deadline: BigNumberish;
+  };
+
+  export type PermitTransferFromStructOutput = [
+    permitted: ISignatureTransfer.TokenPermissionsStructOutput,
+    nonce: bigint,
+    deadline: bigint
+  ] & {
+    permitted: ISignatureTransfer.TokenPermissionsStructOutput;
+    nonce: bigint;
+    deadline: bigint;
+  };
+
+  export type SignatureTransferDetailsStruct = {
+    to: AddressLike;
+    requestedAmount: BigNumberish;
+  };
+
+  export type SignatureTransferDetailsStructOutput = [
+    to: string,
+    requestedAmount: bigint
+  ] & { to: string; requestedAmount: bigint };
+}
+
+export interface MockPermit2Interface extends Interface {
+  getFunction(
+    nameOrSignature:
+      | "DOMAIN_SEPARATOR"
+      | "PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB"
+      | "TOKEN_PERMISSIONS_TYPEHASH"
+      | "nonceBitmap"
+      | "permitWitnessTransferFrom"
+  ): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "DOMAIN_SEPARATOR",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "TOKEN_PERMISSIONS_TYPEHASH",
+    values?: undefined
+  ): string;
+  encodeFunctionData(
+    functionFragment: "nonceBitmap",
+    values: [AddressLike, BigNumberish]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "permitWitnessTransferFrom",
+    values: [
+      ISignatureTransfer.PermitTransferFromStruct,
+      ISignatureTransfer.SignatureTransferDetailsStruct,
+      AddressLike,
+      BytesLike,
+      string,
+      BytesLike
+    ]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "DOMAIN_SEPARATOR",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "TOKEN_PERMISSIONS_TYPEHASH",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "nonceBitmap",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(
+    functionFragment: "permitWitnessTransferFrom",
+    data: BytesLike
+  ): Result;
+}
+
+export interface MockPermit2 extends BaseContract {
+  connect(runner?: ContractRunner | null): MockPermit2;
+  waitForDeployment(): Promise<this>;
+
+  interface: MockPermit2Interface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  DOMAIN_SEPARATOR: TypedContractMethod<[], [string], "view">;
+
+  PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB: TypedContractMethod<
+    [],
+    [string],
+    "view"
+  >;
+
+  TOKEN_PERMISSIONS_TYPEHASH: TypedContractMethod<[], [string], "view">;
+
+  nonceBitmap: TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+
+  permitWitnessTransferFrom: TypedContractMethod<
+    [
+      permit: ISignatureTransfer.PermitTransferFromStruct,
+      transferDetails: ISignatureTransfer.SignatureTransferDetailsStruct,
+      owner: AddressLike,
+      witness: BytesLike,
+      witnessTypeString: string,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "DOMAIN_SEPARATOR"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "TOKEN_PERMISSIONS_TYPEHASH"
+  ): TypedContractMethod<[], [string], "view">;
+  getFunction(
+    nameOrSignature: "nonceBitmap"
+  ): TypedContractMethod<
+    [arg0: AddressLike, arg1: BigNumberish],
+    [bigint],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "permitWitnessTransferFrom"
+  ): TypedContractMethod<
+    [
+      permit: ISignatureTransfer.PermitTransferFromStruct,
+      transferDetails: ISignatureTransfer.SignatureTransferDetailsStruct,
+      owner: AddressLike,
+      witness: BytesLike,
+      witnessTypeString: string,
+      signature: BytesLike
+    ],
+    [void],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
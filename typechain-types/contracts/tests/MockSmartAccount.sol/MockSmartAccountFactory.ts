@@ -0,0 +1,117 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import type {
+  BaseContract,
+  BytesLike,
+  FunctionFragment,
+  Result,
+  Interface,
+  AddressLike,
+  ContractRunner,
+  ContractMethod,
+  Listener,
+} from "ethers";
+import type {
+  TypedContractEvent,
+  TypedDeferredTopicFilter,
+  TypedEventLog,
+  TypedListener,
+  TypedContractMethod,
+} from "../../../common";
+
+export interface MockSmartAccountFactoryInterface extends Interface {
+  getFunction(nameOrSignature: "accountAddress" | "deploy"): FunctionFragment;
+
+  encodeFunctionData(
+    functionFragment: "accountAddress",
+    values: [AddressLike, BytesLike]
+  ): string;
+  encodeFunctionData(
+    functionFragment: "deploy",
+    values: [AddressLike, BytesLike]
+  ): string;
+
+  decodeFunctionResult(
+    functionFragment: "accountAddress",
+    data: BytesLike
+  ): Result;
+  decodeFunctionResult(functionFragment: "deploy", data: BytesLike): Result;
+}
+
+export interface MockSmartAccountFactory extends BaseContract {
+  connect(runner?: ContractRunner | null): MockSmartAccountFactory;
+  waitForDeployment(): Promise<this>;
+
+  interface: MockSmartAccountFactoryInterface;
+
+  queryFilter<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+  queryFilter<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    fromBlockOrBlockhash?: string | number | undefined,
+    toBlock?: string | number | undefined
+  ): Promise<Array<TypedEventLog<TCEvent>>>;
+
+  on<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  on<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  once<TCEvent extends TypedContractEvent>(
+    event: TCEvent,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+  once<TCEvent extends TypedContractEvent>(
+    filter: TypedDeferredTopicFilter<TCEvent>,
+    listener: TypedListener<TCEvent>
+  ): Promise<this>;
+
+  listeners<TCEvent extends TypedContractEvent>(
+    event: TCEvent
+  ): Promise<Array<TypedListener<TCEvent>>>;
+  listeners(eventName?: string): Promise<Array<Listener>>;
+  removeAllListeners<TCEvent extends TypedContractEvent>(
+    event?: TCEvent
+  ): Promise<this>;
+
+  accountAddress: TypedContractMethod<
+    [owner: AddressLike, salt: BytesLike],
+    [string],
+    "view"
+  >;
+
+  deploy: TypedContractMethod<
+    [owner: AddressLike, salt: BytesLike],
+    [string],
+    "nonpayable"
+  >;
+
+  getFunction<T extends ContractMethod = ContractMethod>(
+    key: string | FunctionFragment
+  ): T;
+
+  getFunction(
+    nameOrSignature: "accountAddress"
+  ): TypedContractMethod<
+    [owner: AddressLike, salt: BytesLike],
+    [string],
+    "view"
+  >;
+  getFunction(
+    nameOrSignature: "deploy"
+  ): TypedContractMethod<
+    [owner: AddressLike, salt: BytesLike],
+    [string],
+    "nonpayable"
+  >;
+
+  filters: {};
+}
@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export type { MockSmartAccount } from "./MockSmartAccount";
+export type { MockSmartAccountFactory } from "./MockSmartAccountFactory";
@@ -3,3 +3,11 @@
 /* eslint-disable */
 import type * as erc20Sol from "./ERC20.sol";
 export type { erc20Sol };
+import type * as mockSmartAccountSol from "./MockSmartAccount.sol";
+export type { mockSmartAccountSol };
+export type { MockAxelarGateway } from "./MockAxelarGateway";
+export type { MockGatewayUpgrade } from "./MockGatewayUpgrade";
+export type { MockHijackImplementation } from "./MockHijackImplementation";
+export type { MockMessageTransmitter } from "./MockMessageTransmitter";
+export type { MockPermit2 } from "./MockPermit2";
+export type { MockUSDC } from "./MockUSDC";
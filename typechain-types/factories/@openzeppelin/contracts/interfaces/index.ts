@@ -1,5 +1,8 @@
 /* Autogenerated file. Do not edit manually. */
 /* tslint:disable */
 /* eslint-disable */
+export * as draftIerc1822Sol from "./draft-IERC1822.sol";
 export * as draftIerc6093Sol from "./draft-IERC6093.sol";
+export { IERC1271__factory } from "./IERC1271__factory";
 export { IERC1363__factory } from "./IERC1363__factory";
+export { IERC5267__factory } from "./IERC5267__factory";
@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export * as utils from "./utils";
+export { Proxy__factory } from "./Proxy__factory";
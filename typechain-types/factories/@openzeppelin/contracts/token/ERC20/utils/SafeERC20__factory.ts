@@ -50,7 +50,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60566037600b82828239805160001a607314602a57634e487b7160e01b600052600060045260246000fd5b30600052607381538281f3fe73000000000000000000000000000000000000000030146080604052600080fdfea2646970667358221220cfb2f47cd5245cc1df452dfc1de49b398743a0b8899813306d2a6236deaaecd464736f6c63430008140033";
+  "0x60808060405234601757603a9081601d823930815050f35b600080fdfe600080fdfea2646970667358221220e78863a5f056134f941f8ac8aad958c711f5bde39f9f467d0937f6b6929ed6d464736f6c63430008140033";
 
 type SafeERC20ConstructorParams =
   | [signer?: Signer]
@@ -0,0 +1,69 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../../../../common";
+import type {
+  Create2,
+  Create2Interface,
+} from "../../../../@openzeppelin/contracts/utils/Create2";
+
+const _abi = [
+  {
+    inputs: [],
+    name: "Create2EmptyBytecode",
+    type: "error",
+  },
+] as const;
+
+const _bytecode =
+  "0x60808060405234601757603a9081601d823930815050f35b600080fdfe600080fdfea264697066735822122068711bfd43831d3f55e1b5951916f203fd7120efa0a54b957966c560a11cbc7564736f6c63430008140033";
+
+type Create2ConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: Create2ConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class Create2__factory extends ContractFactory {
+  constructor(...args: Create2ConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      Create2 & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): Create2__factory {
+    return super.connect(runner) as Create2__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): Create2Interface {
+    return new Interface(_abi) as Create2Interface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): Create2 {
+    return new Contract(address, _abi, runner) as unknown as Create2;
+  }
+}
@@ -44,7 +44,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60566037600b82828239805160001a607314602a57634e487b7160e01b600052600060045260246000fd5b30600052607381538281f3fe73000000000000000000000000000000000000000030146080604052600080fdfea264697066735822122084f7abfea833020d8ecd1b0ca4b9bef9fe44ae42cf07d4cc8ddcfbd1efaf263b64736f6c63430008140033";
+  "0x60808060405234601757603a9081601d823930815050f35b600080fdfe600080fdfea2646970667358221220c3788381503dc5a2c05650138f349f703b81f27fe1f1cdc16597514128f1da4f64736f6c63430008140033";
 
 type StringsConstructorParams =
   | [signer?: Signer]
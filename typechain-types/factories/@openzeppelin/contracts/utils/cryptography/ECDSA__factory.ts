@@ -45,7 +45,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60566037600b82828239805160001a607314602a57634e487b7160e01b600052600060045260246000fd5b30600052607381538281f3fe73000000000000000000000000000000000000000030146080604052600080fdfea26469706673582212201dac46cb4eaeb8a963cd9d6b6c29c02d140521278d36c45c25fd0494e599c6ec64736f6c63430008140033";
+  "0x60808060405234601757603a9081601d823930815050f35b600080fdfe600080fdfea2646970667358221220c4508afb7f870d40a47cf7bfeea60d3390de9e074a921de5bd76bdb40cc8c1d064736f6c63430008140033";
 
 type ECDSAConstructorParams =
   | [signer?: Signer]
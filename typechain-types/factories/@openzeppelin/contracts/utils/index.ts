@@ -4,5 +4,9 @@
 export * as cryptography from "./cryptography";
 export * as introspection from "./introspection";
 export * as math from "./math";
+export { Address__factory } from "./Address__factory";
+export { Create2__factory } from "./Create2__factory";
+export { Errors__factory } from "./Errors__factory";
 export { ReentrancyGuard__factory } from "./ReentrancyGuard__factory";
+export { ShortStrings__factory } from "./ShortStrings__factory";
 export { Strings__factory } from "./Strings__factory";
@@ -72,7 +72,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60566037600b82828239805160001a607314602a57634e487b7160e01b600052600060045260246000fd5b30600052607381538281f3fe73000000000000000000000000000000000000000030146080604052600080fdfea2646970667358221220df8c383a51d33ab73d49587ea76e88307fee667558361af338f574db0c931a1164736f6c63430008140033";
+  "0x60808060405234601757603a9081601d823930815050f35b600080fdfe600080fdfea26469706673582212205c2986cdab66c114ffc42a246906fae9315937c9a873494e9e752d46beeea00f64736f6c63430008140033";
 
 type SafeCastConstructorParams =
   | [signer?: Signer]
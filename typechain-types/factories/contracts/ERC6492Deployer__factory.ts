@@ -0,0 +1,91 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../../common";
+import type {
+  ERC6492Deployer,
+  ERC6492DeployerInterface,
+} from "../../contracts/ERC6492Deployer";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "factory",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "factoryCalldata",
+        type: "bytes",
+      },
+    ],
+    name: "deploy",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "success",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x6080806040523461001657610159908161001c8239f35b600080fdfe608080604052600436101561001357600080fd5b6000803560e01c63e97fac051461002957600080fd5b34610120576040366003190112610120576004356001600160a01b038116810361011c576001600160401b0392602435848111610118573660238201121561011857806004013590858211610114573660248383010111610114579184818382969460248497018337810182815203925af1903d1561010a573d908382116100f65760405191601f19603f81601f8401160116830194838610908611176100e2576020946040528252833d92013e5b6040519015158152f35b634e487b7160e01b82526041600452602482fd5b634e487b7160e01b81526041600452602490fd5b50602091506100d8565b8480fd5b8380fd5b5080fd5b80fdfea26469706673582212205b324a733068109d40f370d3a282556e334d46f7db2a31966aeab7620f933cc064736f6c63430008140033";
+
+type ERC6492DeployerConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: ERC6492DeployerConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class ERC6492Deployer__factory extends ContractFactory {
+  constructor(...args: ERC6492DeployerConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      ERC6492Deployer & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): ERC6492Deployer__factory {
+    return super.connect(runner) as ERC6492Deployer__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): ERC6492DeployerInterface {
+    return new Interface(_abi) as ERC6492DeployerInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): ERC6492Deployer {
+    return new Contract(address, _abi, runner) as unknown as ERC6492Deployer;
+  }
+}
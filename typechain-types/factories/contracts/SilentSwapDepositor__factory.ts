@@ -69,6 +69,93 @@ const _abi = [
     name: "SafeERC20FailedOperation",
     type: "error",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "bridge",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "BridgeDeposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "bridge",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "reason",
+        type: "bytes",
+      },
+    ],
+    name: "BridgeDepositFailed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "address",
+        name: "cctpMessageTransmitter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "address",
+        name: "axelarGateway",
+        type: "address",
+      },
+    ],
+    name: "BridgesUpdated",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -119,6 +206,56 @@ const _abi = [
     name: "DepositProxy2",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "ExcessRefunded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "OrderFunded",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -157,6 +294,51 @@ const _abi = [
     name: "Sweep",
     type: "event",
   },
+  {
+    inputs: [],
+    name: "axelarGateway",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "cctpMessageTransmitter",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "creditedBalances",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -216,6 +398,147 @@ const _abi = [
             name: "receiveAuthorization",
             type: "bytes",
           },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "contract IERC20",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+    ],
+    name: "depositBridged",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
         ],
         internalType: "struct SilentSwapV2Gateway.DepositParams",
         name: "params",
@@ -286,6 +609,31 @@ const _abi = [
             name: "receiveAuthorization",
             type: "bytes",
           },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
         ],
         internalType: "struct SilentSwapV2Gateway.DepositParams",
         name: "params",
@@ -297,6 +645,67 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "commandId",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "sourceChain",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "sourceAddress",
+        type: "string",
+      },
+      {
+        internalType: "bytes",
+        name: "payload",
+        type: "bytes",
+      },
+      {
+        internalType: "string",
+        name: "tokenSymbol",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "executeWithToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "contract IERC20",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "fundOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "gatewayAddress",
@@ -310,6 +719,30 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "orderBalances",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [],
     name: "owner",
@@ -323,6 +756,24 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "message",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "attestation",
+        type: "bytes",
+      },
+    ],
+    name: "receiveCctpMessage",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "renounceOwnership",
@@ -330,6 +781,24 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_cctpMessageTransmitter",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_axelarGateway",
+        type: "address",
+      },
+    ],
+    name: "setBridges",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "sweep",
@@ -337,6 +806,37 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "contract IERC20",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "sweepOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "contract IERC20",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "sweepToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -350,6 +850,25 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "contract IERC20",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "unallocatedBalance",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [],
     name: "usdc",
@@ -366,7 +885,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x608060405234801561001057600080fd5b50604051610cb9380380610cb983398101604081905261002f916100fc565b338061005557604051631e4fbdf760e01b81526000600482015260240160405180910390fd5b61005e81610090565b50600180546001600160a01b039384166001600160a01b0319918216179091556002805492909316911617905561012f565b600080546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b80516001600160a01b03811681146100f757600080fd5b919050565b6000806040838503121561010f57600080fd5b610118836100e0565b9150610126602084016100e0565b90509250929050565b610b7b8061013e6000396000f3fe608060405234801561001057600080fd5b50600436106100785760003560e01c80631205f1b01461007d57806335faa416146100925780633e413bee1461009a578063715018a6146100c35780637ce88a50146100cb5780638b851b95146100de5780638da5cb5b146100f1578063f2fde38b146100f9575b600080fd5b61009061008b36600461089e565b61010c565b005b61009061029e565b6002546100ad906001600160a01b031681565b6040516100ba91906108ed565b60405180910390f35b6100906103d5565b6100906100d936600461089e565b6103e9565b6001546100ad906001600160a01b031681565b6100ad6105ea565b61009061010736600461091d565b6105f9565b6002546040516370a0823160e01b81526001600160a01b039091169060009082906370a08231906101419030906004016108ed565b602060405180830381865afa15801561015e573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906101829190610938565b9050600081116101ad5760405162461bcd60e51b81526004016101a490610951565b60405180910390fd5b6001546101c8906001600160a01b0384811691166000610637565b6001546101e2906001600160a01b03848116911683610637565b600154604051634d18b6eb60e01b81526001600160a01b0390911690634d18b6eb906102149086908590600401610a19565b600060405180830381600087803b15801561022e57600080fd5b505af1158015610242573d6000803e3d6000fd5b5050506020840180359150610257908561091d565b6001600160a01b03167fce17789b651463fce645801ccf60252db3fa2f5efb58082062938d79a27b054d8360405161029191815260200190565b60405180910390a3505050565b6102a6610701565b6002546040516370a0823160e01b81526001600160a01b039091169061033090339083906370a08231906102de9030906004016108ed565b602060405180830381865afa1580156102fb573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061031f9190610938565b6001600160a01b0384169190610733565b6040516370a0823160e01b815233907fab2246061d7b0dd3631d037e3f6da75782ae489eeb9f6af878a4b25df9b07c77906001600160a01b038416906370a08231906103809030906004016108ed565b602060405180830381865afa15801561039d573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906103c19190610938565b60405190815260200160405180910390a250565b6103dd610701565b6103e7600061075e565b565b6002546040516370a0823160e01b81526001600160a01b039091169060009082906370a082319061041e9033906004016108ed565b602060405180830381865afa15801561043b573d6000803e3d6000fd5b505050506040513d601f19601f8201168201806040525081019061045f9190610938565b9050600081116104815760405162461bcd60e51b81526004016101a490610951565b6104966001600160a01b0383163330846107ae565b6040516370a0823160e01b81526001600160a01b038316906370a08231906104c29030906004016108ed565b602060405180830381865afa1580156104df573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906105039190610938565b600154909150610521906001600160a01b0384811691166000610637565b60015461053b906001600160a01b03848116911683610637565b600154604051634d18b6eb60e01b81526001600160a01b0390911690634d18b6eb9061056d9086908590600401610a19565b600060405180830381600087803b15801561058757600080fd5b505af115801561059b573d6000803e3d6000fd5b50505060208401803591506105b0908561091d565b6001600160a01b03167f826dcaa43f08a0004c811e715a3ee5b9a94c8b3c1aaf9b1358b792003ca6615d8360405161029191815260200190565b6000546001600160a01b031690565b610601610701565b6001600160a01b03811661062b576000604051631e4fbdf760e01b81526004016101a491906108ed565b6106348161075e565b50565b6000836001600160a01b031663095ea7b3848460405160240161065b929190610b2c565b604051602081830303815290604052915060e01b6020820180516001600160e01b038381831617835250505050905061069484826107e7565b6106fb576106f184856001600160a01b031663095ea7b38660006040516024016106bf929190610b2c565b604051602081830303815290604052915060e01b6020820180516001600160e01b038381831617835250505050610836565b6106fb8482610836565b50505050565b3361070a6105ea565b6001600160a01b0316146103e7573360405163118cdaa760e01b81526004016101a491906108ed565b61075983846001600160a01b031663a9059cbb85856040516024016106bf929190610b2c565b505050565b600080546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b6040516001600160a01b0384811660248301528381166044830152606482018390526106fb9186918216906323b872dd906084016106bf565b6000806000806020600086516020880160008a5af192503d9150600051905082801561082c5750811561081d578060011461082c565b6000866001600160a01b03163b115b9695505050505050565b600080602060008451602086016000885af180610859576040513d6000823e3d81fd5b50506000513d9150811561087157806001141561087e565b6001600160a01b0384163b155b156106fb5783604051635274afe760e01b81526004016101a491906108ed565b6000602082840312156108b057600080fd5b81356001600160401b038111156108c657600080fd5b820161016081850312156108d957600080fd5b9392505050565b6001600160a01b03169052565b6001600160a01b0391909116815260200190565b80356001600160a01b038116811461091857600080fd5b919050565b60006020828403121561092f57600080fd5b6108d982610901565b60006020828403121561094a57600080fd5b5051919050565b60208082526033908201527f53696c656e74537761704465706f7369746f723a2062616c616e6365206d75736040820152720742062652067726561746572207468616e203606c1b606082015260800190565b6000808335601e198436030181126109bb57600080fd5b83016020810192503590506001600160401b038111156109da57600080fd5b8036038213156109e957600080fd5b9250929050565b81835281816020850137506000828201602090810191909152601f909101601f19169091010190565b60408152610a3260408201610a2d85610901565b6108e0565b602083013560608201526000610a4a60408501610901565b610a5760808401826108e0565b50610a6460608501610901565b610a7160a08401826108e0565b50610a7f60808501856109a4565b6101608060c0860152610a976101a0860183856109f0565b925060a087013560e0860152610100915060c08701358286015261012060e0880135818701526101408389013581880152610ad4828a018a6109a4565b94509150603f19808887030184890152610aef8686856109f0565b9550610afd828b018b6109a4565b955093508088870301610180890152505050610b1a8383836109f0565b93505050508260208301529392505050565b6001600160a01b0392909216825260208201526040019056fea2646970667358221220b2c6450cff0952ea1cbd6865a2817b6cf64cda6a7d88dcc050de3d618f98ea0664736f6c63430008140033";
+  "0x608034620000ec57601f62001d3738819003918201601f19168301916001600160401b03831184841017620000f1578084926040948552833981010312620000ec576200005a6020620000528362000107565b920162000107565b3315620000d35760008054336001600160a01b0319808316821784556040519590946001600160a01b03949093859391908416907f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09080a31683600154161760015516906002541617600255611c1a90816200011d8239f35b604051631e4fbdf760e01b815260006004820152602490fd5b600080fd5b634e487b7160e01b600052604160045260246000fd5b51906001600160a01b0382168203620000ec5756fe608080604052600436101561001357600080fd5b600090813560e01c90816314099c5814610ee1575080631878082014610e5d5780631a98b2e014610c105780631be1956014610be257806324e3821814610877578063344de92e146107f357806335faa416146107c25780633e413bee14610799578063452e79a4146106275780636ef7b4821461050c578063715018a6146104c45780638b851b951461049b5780638c73eb04146104725780638da5cb5b1461044b5780639467ba251461041f578063bde59bb3146103e6578063e5d051ba1461037d578063ee9a8bb114610339578063ef7a3d9d146101735763f2fde38b146100fd57600080fd5b3461017057602036600319011261017057610116610f06565b61011e610faa565b6001600160a01b039081169081156101575782546001600160a01b031981168317845516600080516020611ba58339815191528380a380f35b604051631e4fbdf760e01b815260048101849052602490fd5b80fd5b50346101705761018236610f78565b61018b81611b73565b6040516370a0823160e01b8082523360048301529291906020906001600160a01b03908184168382602481845afa91821561032e5788926102fb575b50604051918783523060048401528483602481855afa9283156102bf5789936102ca575b506101f89030338861106e565b838601359684610208878a611b10565b9160246040518095819382523060048301525afa9182156102bf578992610288575b509461026661027c93610261610276947f826dcaa43f08a0004c811e715a3ee5b9a94c8b3c1aaf9b1358b792003ca6615d99610fd6565b611061565b61026f88610ff9565b9188611493565b94610ff9565b1692604051908152a380f35b9150948482813d83116102b8575b6102a0818361103e565b810103126102b4579051909461026661022a565b8880fd5b503d610296565b6040513d8b823e3d90fd5b9092508481813d83116102f4575b6102e2818361103e565b810103126102b45751916101f86101eb565b503d6102d8565b9091508381813d8311610327575b610313818361103e565b81010312610323575190386101c7565b8780fd5b503d610309565b6040513d8a823e3d90fd5b5034610170576040366003190112610170576040602091610358610f21565b6004358252600384528282206001600160a01b03909116825283522054604051908152f35b503461017057604036600319011261017057610397610f21565b61039f610faa565b6103b76103ae82600435611b10565b80923390611427565b6040519081527fab2246061d7b0dd3631d037e3f6da75782ae489eeb9f6af878a4b25df9b07c7760203392a280f35b5034610170576020366003190112610170576020906040906001600160a01b0361040e610f06565b168152600483522054604051908152f35b503461017057602036600319011261017057602061044361043e610f06565b611388565b604051908152f35b5034610170578060031936011261017057546040516001600160a01b039091168152602090f35b50346101705780600319360112610170576005546040516001600160a01b039091168152602090f35b50346101705780600319360112610170576001546040516001600160a01b039091168152602090f35b50346101705780600319360112610170576104dd610faa565b80546001600160a01b03198116825581906001600160a01b0316600080516020611ba58339815191528280a380f35b5034610170576003199060803683011261017057600435916001600160401b03831161062357610200908360040193360301126101705761054b610f21565b90606435906001600160a01b0390818316830361017057503033036105de578061057485611b73565b169083160361058d576020926104439260443591611493565b60405162461bcd60e51b815260206004820152602360248201527f53696c656e74537761704465706f7369746f723a20746f6b656e206d69736d616044820152620e8c6d60eb1b6064820152608490fd5b60405162461bcd60e51b815260206004820152601e60248201527f53696c656e74537761704465706f7369746f723a206f6e6c792073656c6600006044820152606490fd5b5080fd5b503461017057606036600319011261017057600435610644610f21565b6040516370a0823160e01b8082523060048301526001600160a01b0383169392602091908284602481895afa93841561078e578794610759575b5061069090604435903090339061106e565b6040519081523060048201528181602481885afa90811561074e57869161070f575b50600080516020611bc5833981519152926106cc91611061565b83865260038252604086208587528252604086206106eb828254610fd6565b90558486526004825260408620610703828254610fd6565b9055604051908152a380f35b90508181813d8311610747575b610726818361103e565b810103126107435751600080516020611bc58339815191526106b2565b8580fd5b503d61071c565b6040513d88823e3d90fd5b9093508281813d8311610787575b610771818361103e565b8101031261078357519261069061067e565b8680fd5b503d610767565b6040513d89823e3d90fd5b50346101705780600319360112610170576002546040516001600160a01b039091168152602090f35b50346101705780600319360112610170576107db610faa565b6002546001600160a01b03166103b76103ae82611388565b50346101705761080236610f78565b61080b81611b73565b907fce17789b651463fce645801ccf60252db3fa2f5efb58082062938d79a27b054d602061086461083b85611388565b94610854838601359661084e8389611b10565b90610fd6565b61085d86610ff9565b9186611493565b926001600160a01b039061027c90610ff9565b503461017057600319604036820112610623576001600160401b0390600435828111610bde576108ab903690600401610f4b565b6024939193918235908111610743576108c8903690600401610f4b565b60055491956001600160a01b0395928616939290916108e8851515611130565b610178978885101580610bc9575b80610bb4575b15610b5e57898860025416966040519485916370a0823160e01b958684523060048501528a848d60209a8b935afa948515610b52578a89948b938f978499610b0d575b509061097f916109719798999a6040519a8b998a988997630afd9fa560e31b8952604060048a015260448901916111a7565b9386850301908601526111a7565b03925af1908115610b02578b91610ad5575b5015610a7f5760405191825230600483015282828881895afa8015610a74578a90610a41575b6109c19250611061565b9485156109f2575050818611610783576109ef956109e29282019101611238565b60055485169416906118bf565b80f35b608492506040519162461bcd60e51b83526004830152808201527f53696c656e74537761704465706f7369746f723a206e6f7468696e67206272696044820152631919d95960e21b6064820152fd5b508282813d8311610a6d575b610a57818361103e565b81010312610a69576109c191516109b7565b8980fd5b503d610a4d565b6040513d8c823e3d90fd5b60405162461bcd60e51b8152600481018490526029818901527f53696c656e74537761704465706f7369746f723a206d657373616765206e6f74604482015268081c9958d95a5d995960ba1b6064820152608490fd5b610af59150843d8611610afb575b610aed818361103e565b81019061118f565b38610991565b503d610ae3565b6040513d8d823e3d90fd5b96939850965092505083813d8311610b4b575b610b2a818361103e565b81010312610b47579151938b9388938a92918c919061097f61093f565b8480fd5b503d610b20565b604051903d90823e3d90fd5b60405162461bcd60e51b8152602060048201526029818901527f53696c656e74537761704465706f7369746f723a20696e76616c69642043435460448201526850206d65737361676560b81b6064820152608490fd5b508460d811610a69573060b8850135146108fc565b5084608c11610a695730606c850135146108f6565b8380fd5b503461017057602036600319011261017057610bfc610f06565b610c04610faa565b6103b76103ae82611388565b50346101705760c0366003190112610170576001600160401b03602435818111610e5957610c42903690600401610f4b565b604492919235828111610b4757610c5d903690600401610f4b565b93909160643584811161078357610c78903690600401610f4b565b9260843595861161032357610c936020963690600401610f4b565b969093610d1e60018060a01b0399610d058b6006541699610cb58b1515611130565b610cc0368b8a6111e3565b86815191012092610cf3604051988997631876eed960e01b895260043560048a015260c060248a015260c48901916111a7565b868103600319016044880152916111a7565b90606484015260031983820301608484015289876111a7565b96818b8160a4359a8b60a483015203925af190811561032e578891610e3a575b5015610de157610d5681602094610d81930190611238565b93909287600654169660405193849283926349ad89fb60e11b845285600485015260248401916111a7565b0381885afa90811561078e578791610da4575b5094806109ef96169216906118bf565b90506020813d602011610dd9575b81610dbf6020938361103e565b810103126107835751948086168603610783579485610d94565b3d9150610db2565b60405162461bcd60e51b815260206004820152602b60248201527f53696c656e74537761704465706f7369746f723a206e6f7420617070726f766560448201526a642062792062726964676560a81b6064820152608490fd5b610e53915060203d602011610afb57610aed818361103e565b38610d3e565b8280fd5b5034610170576040366003190112610170577fb1de9d92d9d8b4cbcef2bbdf9c80d0a4137e68401c49152dc74797e4cf26db486040610e9a610f06565b610ea2610f21565b610eaa610faa565b60018060a01b038092169160018060a01b03199183836005541617600555168091600654161760065582519182526020820152a180f35b9050346106235781600319360112610623576006546001600160a01b03168152602090f35b600435906001600160a01b0382168203610f1c57565b600080fd5b602435906001600160a01b0382168203610f1c57565b35906001600160a01b0382168203610f1c57565b9181601f84011215610f1c578235916001600160401b038311610f1c5760208381860195010111610f1c57565b60031990602081830112610f1c57600435916001600160401b038311610f1c578261020092030112610f1c5760040190565b6000546001600160a01b03163303610fbe57565b60405163118cdaa760e01b8152336004820152602490fd5b91908201809211610fe357565b634e487b7160e01b600052601160045260246000fd5b356001600160a01b0381168103610f1c5790565b608081019081106001600160401b0382111761102857604052565b634e487b7160e01b600052604160045260246000fd5b601f909101601f19168101906001600160401b0382119082101761102857604052565b91908203918211610fe357565b6040516323b872dd60e01b60208201526001600160a01b03928316602482015292909116604483015260648083019390935291815260a08101918183106001600160401b03841117611028576110c6926040526110c8565b565b906000602091828151910182855af115611124576000513d61111b57506001600160a01b0381163b155b6110f95750565b604051635274afe760e01b81526001600160a01b039091166004820152602490fd5b600114156110f2565b6040513d6000823e3d90fd5b1561113757565b60405162461bcd60e51b815260206004820152602a60248201527f53696c656e74537761704465706f7369746f723a20627269646765206e6f742060448201526918dbdb999a59dd5c995960b21b6064820152608490fd5b90816020910312610f1c57518015158103610f1c5790565b908060209392818452848401376000828201840152601f01601f1916010190565b6001600160401b03811161102857601f01601f191660200190565b9291926111ef826111c8565b916111fd604051938461103e565b829481845281830111610f1c578281602093846000960137010152565b9080601f83011215610f1c57816020611235933591016111e3565b90565b9190604083820312610f1c576001600160401b038335818111610f1c578401610200918282850312610f1c57604051928301838110828211176110285760405261128182610f37565b83526020820135602084015261129960408301610f37565b60408401526112aa60608301610f37565b60608401526080820135818111610f1c57846112c791840161121a565b608084015260a082013560a084015260c082013560c084015260e082013560e0840152610100808301359084015261012080830135828111610f1c578561130f91850161121a565b908401526101409081830135908111610f1c5760209461133091840161121a565b90830152610160611342818301610f37565b9083015261018081810135908301526101a080820135908301526101c080820135908301526101e090810135908201529201356001600160a01b0381168103610f1c5790565b6040516370a0823160e01b815230600482015291906001600160a01b0316602083602481845afa928315611124576000936113d9575b50916112359192600052600460205260406000205490611061565b6020813d8211611404575b816113f16020938361103e565b81010312610bde575192506112356113be565b3d91506113e4565b6001600160a01b039091168152602081019190915260400190565b61145c6110c6939261144e60405194859263a9059cbb60e01b60208501526024840161140c565b03601f19810184528361103e565b6110c8565b9035601e1982360301811215610f1c570160208101919035906001600160401b038211610f1c578136038313610f1c57565b9091939293801561181e576101e08201359283151580611815575b1561180e5783905b819660018060a01b03918260015416936040978851956020968781019063095ea7b360e01b80918184528d8b60249680888501528160008c604499828b8901528a88526115028861100d565b828851925af16000513d826117f0575b5050156117b7575b50505050508760015416908c8051918b6000818501838152611551866115438d8a8d840161140c565b03601f19810188528761103e565b855190828d5af16000513d82611799575b505015611760575b50505050866001541690813b15610f1c578b809b815195869384936361021ba960e01b855260048501528b61159e84610f37565b16908401528a8c8301359e8f606486015283016115ba90610f37565b1660848401528a6115cd60608401610f37565b1660a48401526115e06080830183611461565b60c4850161020090526102448501906115f8926111a7565b60a083013560e485015260c083013561010485015260e0830135610124850152610100830135610144850152611632610120840184611461565b9160431992838783030161016488015261164b926111a7565b611659610140850185611461565b90928683030161018487015261166e926111a7565b918b61167d6101608301610f37565b166101a48501526101808101356101c48501526101a08101356101e48501526101c00135610204840152610224830152868583015203815a6000948591f1801561175557611729575b50508086116116da575b5050505050505050565b85610261611714938561170e857fef291dfb5847b6ff080ae843f6bbd4ba697fa0a1e6caf5af5512f24069fa5cf89b611061565b91611427565b95519586521693a338808080808080806116d0565b6001600160401b0382116117415750885238806116c6565b634e487b7160e01b60009081526041600452fd5b8a513d6000823e3d90fd5b6117909361178a9251918d830152868201526000858201528481526117848161100d565b886110c8565b866110c8565b38808c8161156a565b9091506117af57508a89163b15155b3880611562565b6001146117a8565b6117e6946117e0935192830152878201526000868201528581526117da8161100d565b896110c8565b876110c8565b80388d8b8261151a565b90915061180657508c8b163b15155b3880611512565b6001146117ff565b81906114b6565b508382116114ae565b60405162461bcd60e51b815260206004820152603360248201527f53696c656e74537761704465706f7369746f723a2062616c616e6365206d75736044820152720742062652067726561746572207468616e203606c1b6064820152608490fd5b919082519283825260005b8481106118ab575050826000602080949584010152601f8019910116010190565b60208183018101518483018201520161188a565b91936001600160a01b039390919084821615611b05575b60409485519063377bda4160e11b82526080600483015280865116608483015260209384870198895160a485015282898901511660c48501528260608901511660e485015261199c61193a60808a015161020061010488015261028487019061187f565b60a08a015161012487015260c08a015161014487015260e08a01516101648701526101008a01516101848701526119856101208b0151916083199283898303016101a48a015261187f565b906101408b015190878303016101c488015261187f565b93836101608a0151166101e48201526101808901516102048201526101a08901516102248201526101c08901516102448201526101e0890151610264820152838216602482015285604482015283831698896064830152878280600098038189305af1869281611ad6575b50611a9b57505098848493927f128d8be96ef423feca36ee80e910dda5d365c7b8c99577b7e0b208123ab3f2d298999a9b611a8796503d600014611a8c5790611a7092918d3d611a62611a59826111c8565b9251928361103e565b815280978b3d92013e611427565b51968980519687968752860152169783019061187f565b0390a4565b945090611a7091606095611427565b9250999750508193507f7f4359303112ead884c12a3ca840db5177fd2246e8c9029b1ac25aaaa5bfa26c9592505116945195519687521694a4565b9092508881813d8311611afe575b611aee818361103e565b8101031261078357519138611a07565b503d611ae4565b8351851691506118d6565b91906000908382526003602052604082209060018060a01b0316908183526020526040822054938415611b6c579082916040935260036020528282209082526020528082812055600460205220611b68838254611061565b9055565b5090925050565b6001600160a01b03906101600181611b8a82610ff9565b16611b9757506002541690565b611ba090610ff9565b169056fe8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0adb9a93ea8bceee8e3737993899df5f543f23f69aec43671a18c57ded462250da2646970667358221220a733e6de99508e891d0e6f2f95cdd9fd0ee3e36286094cf55beacffc3cf1d04064736f6c63430008140033";
 
 type SilentSwapDepositorConstructorParams =
   | [signer?: Signer]
@@ -0,0 +1,134 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  BytesLike,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../common";
+import type {
+  SilentSwapV2GatewayProxy,
+  SilentSwapV2GatewayProxyInterface,
+} from "../../contracts/SilentSwapV2GatewayProxy";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+    ],
+    name: "AddressEmptyCode",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "FailedCall",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    stateMutability: "payable",
+    type: "fallback",
+  },
+] as const;
+
+const _bytecode =
+  "0x6080604052346101b7576102fb80380380610019816101bc565b9283398101906040818303126101b75780516001600160a01b0381168082036101b75760208381015190936001600160401b0382116101b7570184601f820112156101b75780519061007261006d836101f7565b6101bc565b958287528583830101116101b757849060005b8381106101a357505060009186010152813b1561014c577f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc80546001600160a01b031916821790557fbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b600080a2825180610108575b604051608590816102768239f35b60008091846101399601845af4903d15610143573d61012961006d826101f7565b908152600081943d92013e610212565b50388080806100fa565b60609250610212565b60405162461bcd60e51b815260048101849052602960248201527f476174657761793a20696d706c656d656e746174696f6e206973206e6f7420616044820152680818dbdb9d1c9858dd60ba1b6064820152608490fd5b818101830151888201840152869201610085565b600080fd5b6040519190601f01601f191682016001600160401b038111838210176101e157604052565b634e487b7160e01b600052604160045260246000fd5b6001600160401b0381116101e157601f01601f191660200190565b90610239575080511561022757805190602001fd5b60405163d6bda27560e01b8152600490fd5b8151158061026c575b61024a575090565b604051639996b31560e01b81526001600160a01b039091166004820152602490fd5b50803b1561024256fe60806040527f360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc54600090819081906001600160a01b0316368280378136915af43d82803e15604b573d90f35b3d90fdfea26469706673582212202b74471035c82db67ba9a99ae4ac417df761c2bada714da811f2f2b32995f19364736f6c63430008140033";
+
+type SilentSwapV2GatewayProxyConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: SilentSwapV2GatewayProxyConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class SilentSwapV2GatewayProxy__factory extends ContractFactory {
+  constructor(...args: SilentSwapV2GatewayProxyConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    implementation: AddressLike,
+    data: BytesLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(implementation, data, overrides || {});
+  }
+  override deploy(
+    implementation: AddressLike,
+    data: BytesLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(implementation, data, overrides || {}) as Promise<
+      SilentSwapV2GatewayProxy & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(
+    runner: ContractRunner | null
+  ): SilentSwapV2GatewayProxy__factory {
+    return super.connect(runner) as SilentSwapV2GatewayProxy__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): SilentSwapV2GatewayProxyInterface {
+    return new Interface(_abi) as SilentSwapV2GatewayProxyInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): SilentSwapV2GatewayProxy {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as SilentSwapV2GatewayProxy;
+  }
+}
@@ -0,0 +1,2725 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../common";
+import type {
+  SilentSwapV2GatewayUpgradeable,
+  SilentSwapV2GatewayUpgradeableInterface,
+} from "../../contracts/SilentSwapV2GatewayUpgradeable";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "contract IERC20",
+        name: "_usdc",
+        type: "address",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+    ],
+    name: "AddressEmptyCode",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedExcessiveClaimAttempts",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedInvalidSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedInvalidSplit",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "signatures",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedNotaryThreshold",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+    ],
+    name: "ClaimRejectedOrderNotOpen",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedPaused",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedUnauthorized",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ECDSAInvalidSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "length",
+        type: "uint256",
+      },
+    ],
+    name: "ECDSAInvalidSignatureLength",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "ECDSAInvalidSignatureS",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "FailedCall",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "balance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "InsufficientBalance",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidInitialization",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "NotInitializing",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OwnableInvalidOwner",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "OwnableUnauthorizedAccount",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ReentrancyGuardReentrantCall",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "SafeERC20FailedOperation",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ApproverAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ApproverRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "Cancelled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "recipient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Claim",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimWindowCapUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "ClaimerAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "ClaimerRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "claimsCap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimsCapUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDuration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "maxDuration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "ConfigUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+    ],
+    name: "Deposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "DepositTokenRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "DepositTokenSet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "Error",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "Executed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "FeeTreasuryUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "FeesCollected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint64",
+        name: "version",
+        type: "uint64",
+      },
+    ],
+    name: "Initialized",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "LegacySignaturesUntilUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "notarySet",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "NotarySetRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "OrderCancelled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiration",
+        type: "uint256",
+      },
+    ],
+    name: "OrderExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "Paused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+    ],
+    name: "ProxyDeposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Refund",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "RefundFeePolicyUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "readyAt",
+        type: "uint256",
+      },
+    ],
+    name: "Scheduled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "TimelockDelayUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "Unpaused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PERMIT2",
+    outputs: [
+      {
+        internalType: "contract ISignatureTransfer",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "acceptOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "accruedFees",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "addApprover",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "addClaimer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "authorizedApprovers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "authorizedClaimers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "cancelOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "refundeeSignature",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "notarySignature",
+        type: "bytes",
+      },
+    ],
+    name: "cancelOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            components: [
+              {
+                internalType: "bytes32",
+                name: "orderId",
+                type: "bytes32",
+              },
+              {
+                internalType: "bytes",
+                name: "signature",
+                type: "bytes",
+              },
+              {
+                internalType: "address[]",
+                name: "recipients",
+                type: "address[]",
+              },
+              {
+                internalType: "uint256[]",
+                name: "shares",
+                type: "uint256[]",
+              },
+            ],
+            internalType: "struct SilentSwapV2Gateway.ClaimSpec[]",
+            name: "claims",
+            type: "tuple[]",
+          },
+          {
+            internalType: "address",
+            name: "recipient",
+            type: "address",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.BulkClaimParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "claim",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowStart",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimedInWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "config",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maxDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "deposit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "depositProxy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "depositTokens",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "allowed",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "uint8",
+            name: "v",
+            type: "uint8",
+          },
+          {
+            internalType: "bytes32",
+            name: "r",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "s",
+            type: "bytes32",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.PermitSignature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes",
+            name: "signature",
+            type: "bytes",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Permit2Signature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit2",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "depositsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "executeOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "newExpiration",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "signature",
+        type: "bytes",
+      },
+    ],
+    name: "extendOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "feeTreasury",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getConfig",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "minDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "minDepositAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Config",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "getMinDepositAmount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+    ],
+    name: "getNotaryOrderCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getNotaryOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    name: "getNotarySet",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "getSignerCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getSignerOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "guardian",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "minDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "minDepositAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Config",
+        name: "_config",
+        type: "tuple",
+      },
+      {
+        internalType: "address",
+        name: "_claimer",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "initialOwner",
+        type: "address",
+      },
+    ],
+    name: "initialize",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedApprover",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedClaimer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "legacySignaturesUntil",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "openDeposits",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "operationReadyAt",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "orders",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "expiration",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "fee",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "notarySet",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "openedAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "owner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "pause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "payloads",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingOwner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "proxiableUUID",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+    ],
+    name: "queryOrderStatus",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+    ],
+    name: "refund",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "refundFeePolicy",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "registerNotarySet",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "removeApprover",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "removeClaimer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "removeDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "renounceOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "scheduleOperation",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "setClaimWindowCap",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "newCap",
+        type: "uint256",
+      },
+    ],
+    name: "setClaimsCap",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "minimumDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maximumDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "minimumDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "setConfig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "setDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "setFeeTreasury",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newGuardian",
+        type: "address",
+      },
+    ],
+    name: "setGuardian",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "setLegacySignaturesUntil",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "setRefundFeePolicy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "setTimelockDelay",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "signerCounts",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "timelockDelay",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "transferOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+    ],
+    name: "unpause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newImplementation",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "upgradeToAndCall",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "usdc",
+    outputs: [
+      {
+        internalType: "contract IERC20",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "domainSepHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "payloadHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "typedDataSignature",
+        type: "bytes",
+      },
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "verifyTypedDataSignature",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isValid",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x60e0346200036957601f6200639538819003918201601f19168301926001600160401b0392909183851183861017620003535781602092849260409788528339810103126200036957516001600160a01b03808216820362000369578351916060830183811085821117620003535785526000918284526020840183815286850184815233156200033b5760018060a01b031991600196838854168855865495338588161788557f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09686339116888a80a3886002558a51610175808201908282108d8311176200032757908291620062208339039089f080156200031d5760a0526080528051825110620002b35751600a5551600b5551600c556032601a558380526006602052868420805460ff191686179055865194847fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017398180a23382600e541617600e55337f10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8680a233826012541617601255337f6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf8680a23060c0528181541690558354908116845516908280a37ff0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a009182549160ff83861c16620002a4575080808316036200025f575b8351615eb190816200036f8239608051818181611f03015281816128c301528181612ac901528181613cf6015281816150f401526153a7015260a05181614aed015260c0518181816124c701526127850152f35b6001600160401b0319909116811790915581519081527fc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d290602090a13880806200020b565b63f92ee8a960e01b8152600490fd5b895162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d75737420626560448201527f203c3d206d6178696d756d4475726174696f6e000000000000000000000000006064820152608490fd5b8b513d8a823e3d90fd5b634e487b7160e01b8b52604160045260248bfd5b8751631e4fbdf760e01b815260048101869052602490fd5b634e487b7160e01b600052604160045260246000fd5b600080fdfe61010080604052600436101561001457600080fd5b600090813560e01c9081630372ee1b146133785750806304b3619b1461331457806307311283146132db578063073eb003146132bd5780630ed3dabf1461037b578063103ee57314610b4e578063129ee21a146132395780631ec9a9c11461321b57806322af11e9146131f1578063297fc767146130bf5780632ea6640114613068578063301c7e5d14612fd957806334060a4714612fa25780633644e51514612f875780633813f10114612f5e578063391fa20614612f405780633c5b6c0214612d0c5780633ce622fa14612af85780633e413bee14612ab3578063452a932014612a8a57806346257eb514612a3c5780634a2ae30514612a165780634f1ef2861461273f57806352c6bb661461255257806352d1902d146124b457806356bccf911461246c57806358722672146124425780635a5a6d141461240c578063607325331461232757806360da3e831461230157806360dc2340146122d857806361021ba9146122325780636afdd850146122085780636cf4c88f146121a2578063715018a61461214f5780637249fbb6146120795780637570866e1461204e57806379502c551461202457806379ba509714611fdb5780637b715b2914611f65578063817d860514611f2c57806385e0dc4514611dfe57806387021dac146116fe5780638a0dac4a146116a85780638da5cb5b14611681578063910a37e2146113dc57806392a2ea041461137e578063984adfeb146113525780639a533c29146111b75780639c3f1e9014611119578063a282276e14610ebb578063af267f8f14610e6d578063b646c19414610e04578063beadf95714610d73578063bfa37e3714610cc8578063c3f909d414610c62578063c5d37ae114610c44578063c69c486f14610b8d578063cb9c20ca14610b4e578063d690a9f414610974578063d7c718de14610926578063dbe466b1146108bd578063e30c397814610894578063e598d2dc146105ca578063ead3bbde1461050d578063eef09bad146104ef578063f0490b8a14610489578063f2fde38b1461041c578063f374fd95146103d2578063f404725a146103b4578063f5be0b181461037b5763f73feb0b1461033a57600080fd5b346103785760203660031901126103785760209060ff906040906001600160a01b036103646134f0565b168152600684522054166040519015158152f35b80fd5b5034610378576020366003190112610378576020906040906001600160a01b036103a36134f0565b168152600783522054604051908152f35b50346103785780600319360112610378576020601554604051908152f35b5034610378576104096040610418926103ea36613547565b6001600160a01b03909316845260086020529390922090929190615abc565b6040939193519384938461359e565b0390f35b5034610378576020366003190112610378576104366134f0565b61043e6136b6565b600180546001600160a01b0319166001600160a01b0392831690811790915582549091167f38d16b8cac22d99fc7c124b9cd0de2d3fa1faef420bfe791d8c362d765e227008380a380f35b5034610378576020366003190112610378576104a36134f0565b6104ab6136b6565b6001600160a01b0316808252600660205260408220805460ff191690557f30acaa541089592567cd4ce36437c68778a43e66dc1a9e7031e4496faf4593258280a280f35b50346103785780600319360112610378576020601754604051908152f35b50346103785760209081600319360112610378576004358152601082526040812060019283820154906040519384828554918281520190819583528383209088845b8281106105ae575050505085610566910386613460565b60405194604086019060408752518091526060860194915b818110610592575050508380955001520390f35b82516001600160a01b031686529483019491830191870161057e565b83546001600160a01b031685529386019392810192810161054f565b5034610378576060366003190112610378576001600160401b0360043581811161087957828160040192610200600319843603011261089057602435926044359182116108795781600401916060600319823603011261088c5761062c613a76565b6001600160a01b0361063e8688613c2d565b166040519061064c826133c5565b81528560208201526040519061066182613394565b8152833560208201526024820135604082015260405193610681856133c5565b30855286602086015261079961069689613a62565b9460405161010460208201927f1504b08f6c78d6c851e6e171538371e1b8fcfa838ca27a21814c9b6a45fd309484526024810135604084015201356060820152606081526106e38161340f565b519020916044604051956106f68761342a565b607e87527f53696c656e74537761704465706f736974207769746e6573732953696c656e7460208801527f537761704465706f7369742862797465733332206f7264657249642c6279746560408801527f733332207061796c6f61644861736829546f6b656e5065726d697373696f6e7360608801527f286164647265737320746f6b656e2c75696e7432353620616d6f756e7429000060808801520190613a30565b6e22d473030f116ddee9f6b43ac78ba33b156108885761081f604095610832948a986107f889519b8c9a8b9a6309be14ff60e11b8c526107dd60048d018251613b48565b602081015160448d0152015160648b015260848a0190613b48565b6001600160a01b031660c488015260e48701526101406101048701526101448601906139a3565b8481036003190161012486015291613b60565b0381836e22d473030f116ddee9f6b43ac78ba35af1801561087d57610865575b505061085d91613b81565b600160025580f35b61086e906133e0565b610879578238610852565b8280fd5b6040513d84823e3d90fd5b8780fd5b8380fd5b5080fd5b50346103785780600319360112610378576001546040516001600160a01b039091168152602090f35b5034610378576020366003190112610378576108d76134f0565b6108df6136b6565b6001600160a01b0316808252600d6020526040822082815560006001909101557fe5a19a76470297a1f85f9a38f3ff148b4c8cdc1209e074dbe59db5e22eb31a3a8280a280f35b5034610378576020366003190112610378577fc3154023460b268c4d7ec2a44f4ec0ce1c9ac2b75a11715ad854b1845c4c00fc6020600435610966615174565b80601955604051908152a180f35b50346103785760031960c03682011261089057600435906001600160401b0382116108795761020090826004019236030112610890576024356080366043190112610879576109c1613a76565b6109cb8183613c2d565b916001600160a01b03808416906109e183613a62565b60643560ff811680910361088857833b1561088857826040519263d505accf60e01b84521660048301523060248301528560448301526044356064830152608482015260843560a482015260a43560c4820152868160e48183875af19081610b3b575b50610b2c576020906044610a5785613a62565b6040519485938492636eb1769f60e11b84521660048301523060248301525afa8015610b215783918691610ae9575b5010610aab57610aa68261085d945b3090610aa085613a62565b90613a97565b613b81565b60405162461bcd60e51b815260206004820152601660248201527511d85d195dd85e4e881c195c9b5a5d0819985a5b195960521b6044820152606490fd5b9150506020813d8211610b19575b81610b0460209383613460565b81010312610b155782905138610a86565b8480fd5b3d9150610af7565b6040513d87823e3d90fd5b5050610aa68261085d94610a95565b610b47909791976133e0565b9538610a44565b50346103785760203660031901126103785760209060ff906040906001600160a01b03610b796134f0565b168152600584522054166040519015158152f35b503461037857604036600319011261037857600435602435610bad6136b6565b80158015610c3b575b15610bf657816040917fa262a1c68936156fff5f117975dba37b9cb10c3c20d18aa508a6cd39065ee47b936013558060145582519182526020820152a180f35b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a20636c61696d2077696e646f77206973207a65726f0000006044820152606490fd5b50811515610bb6565b50346103785780600319360112610378576020601354604051908152f35b503461037857806003193601126103785760408051610c8081613394565b82815282602082015201526060604051610c9981613394565b600a5490818152600b54602082019081526040600c549201918252604051928352516020830152516040820152f35b503461037857602036600319011261037857610ce26134f0565b610cea6136b6565b6001600160a01b03168015610d2057600e80546001600160a01b03191682179055600080516020615e1c8339815191528280a280f35b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20747265617375727920697320746865207a65726f206164604482015264647265737360d81b6064820152608490fd5b50346103785760203660031901126103785760125460043590610dab90336001600160a01b0391821614908115610df7575b5061511c565b8082526018602052610dc26040832054151561528d565b80825260186020528160408120557fbaa1eb22f2a492ba1a5fea61b8df4d27c6c8b5f3971e63bb58fa14ff72eedb708280a280f35b9050835416331438610da5565b503461037857602036600319011261037857610e1e6134f0565b610e26615174565b6001600160a01b0316808252600560205260408220805460ff191660011790557f835bddf1ceee4956e4329af9edf018523c1191238187a597453f6020bcadb0428280a280f35b5034610378576020366003190112610378577fedd2c15cb1225ce15cf67efa55cea2672bfea32d9d9cbf34716bd04b76194b536020600435610ead615174565b80601755604051908152a180f35b50346103785760209081600319360112610378576004356001600160401b03811161089057610eee90369060040161351a565b610ef66136b6565b6001600160e01b0319823581811690829060048510611104575b50501663278f794360e11b8114908115611049575b501561100457610f3636828461349e565b84815191012092838152601885526040812054610fb357917f08772fac4f2fcaae2b063c443814eb39d26d5bb056459db1f654039ca905b07c9160408594610f8060175442613bfb565b91818784935260188a522055610fa3604051938493604085526040850191613b60565b90878301520390a2604051908152f35b60405162461bcd60e51b8152600481018690526024808201527f476174657761793a206f7065726174696f6e20616c72656164792073636865646044820152631d5b195960e21b6064820152608490fd5b60405162461bcd60e51b815260048101859052601f60248201527f476174657761793a2063616c6c206973206e6f742074696d656c6f636b6564006044820152606490fd5b63094f710d60e11b8114915081156110f3575b81156110e2575b81156110d1575b81156110c0575b81156110af575b811561109e575b811561108d575b5038610f25565b637b715b2960e01b14905038611086565b634506d62560e11b8114915061107f565b636be38c6f60e11b81149150611078565b63af267f8f60e01b81149150611071565b6346257eb560e01b8114915061106a565b632ea6640160e01b81149150611063565b632d91b06560e21b8114915061105c565b908092508460040360031b1b16168138610f10565b503461037857602036600319011261037857604061012091600435815260036020522060ff8154169060018101549060018060a01b03806002830154169080600384015416906004840154906005850154169160068501549360086007870154960154966040519861118a8161357e565b8952602089015260408801526060870152608086015260a085015260c084015260e0830152610100820152f35b5034610378576060366003190112610378576001600160401b0360043560243582811161088c576111ec90369060040161351a565b92604435908111610b155761120590369060040161351a565b611210929192613a76565b8386526003602052604086209261122684615534565b61129561128e61127560405160208101907fab1417524886d631bf88c47a7f88d9a906122217bc08d3c5a21c80abcf1a807782528960408201526040815261126d81613394565b519020615999565b60038701546001600160a01b031698909536919061349e565b848861381f565b928361133f575b505050156112ea5760206112db7fb2705df32ac67fc3101f496cd7036bf59074a603544d97d73650b6f09744986a92600360ff198254161781556155aa565b604051908152a3600160025580f35b60405162461bcd60e51b815260206004820152602760248201527f476174657761793a20696e76616c69642063616e63656c6c6174696f6e207369604482015266676e617475726560c81b6064820152608490fd5b61134a9350846153da565b38808061129c565b50346103785760203660031901126103785760206113766113716134f0565b615061565b604051908152f35b503461037857604036600319011261037857600435906001600160401b03908183116103785736602384011215610378578260040135918211610378573660248360051b850101116103785760206113768484602480359201614d60565b5034610378576060366003190112610378576113f66134f0565b6001600160a01b03168152600860205260408120805460243590604435818311611678575b6114258383614ca7565b81101561167157611437915082613bfb565b905b8392815b83811061161e575061144e84614c51565b9061145c6040519283613460565b848252601f19938461146d87614c51565b0136602085013761147d86614c51565b9461148b6040519687613460565b86865261149787614c51565b01875b8181106115d057505086935b818110806115c7575b156115b7576114be81846159bf565b90549060031b1c885260036020526040882060ff815416906114df8261357e565b600182146114f8575b50506114f390613c1e565b6114a6565b956115af916008849861150e6114f396896159bf565b90549060031b1c61151f858b614cb4565b526040519261152d846133f3565b6115368161357e565b83526001810154602084015260028101546001600160a01b0390811660408501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e0840152015461010082015261159e828a614cb4565b526115a98189614cb4565b50613c1e565b9490386114e8565b604051806104188489888461359e565b508685106114af565b6020906040516115df816133f3565b8a81528a838201528a60408201528a60608201528a60808201528a60a08201528a60c08201528a60e08201528a61010082015282828a0101520161149a565b61162881836159bf565b9054600391821b1c8752602052600160ff6040882054166116488161357e565b1461165c575b61165790613c1e565b61143d565b9361166961165791613c1e565b94905061164e565b5090611439565b9150809161141b565b5034610378578060031936011261037857546040516001600160a01b039091168152602090f35b5034610378576020366003190112610378576116c26134f0565b6116ca615174565b601280546001600160a01b0319166001600160a01b03929092169182179055600080516020615d7c8339815191528280a280f35b5034610378576003199060203683011261037857600435916001600160401b03908184116108795760409084360301126108905761173a613a76565b601260ff815460a81c16611dec5760248401906001600160a01b0361175e83613a62565b168452600660205260ff60408520541615611dda5783926117826004870180614be4565b939050601a548411611dc85761179a90969596613a62565b9083875b858110611d8857506117af81614c68565b6117c16117bb83614c68565b92614c68565b92604051908160805281608081011090608083011117611d745760808196959601604052526020608051015260406080510152856060608051015261180583614c68565b60c05261181183614c68565b948660e05286925b8484106118e0575b5050505050825b6080516060810151821015611891575161188c9190611887906001600160a01b0390611855908490614cb4565b511660018060a01b0361186e8460206080510151614cb4565b51166118808460406080510151614cb4565b5191614cd8565b613c1e565b611828565b5050915b60e05181106118ae576020836001600255604051908152f35b6118db9061188760018060a01b036118c88360c051614cb4565b51166118d48386614cb4565b5190615611565b611895565b919395611902846118fc8460049b9597999b0187600401614be4565b90614c19565b93843583526003602052604083209560ff87541661191f8161357e565b60018103611d4d5750611932888761575e565b600788015480611cfc575b506119576020880191611950838a613a30565b918b6153da565b159081611c68575b50611c565761196d8761533b565b15611bd857600260ff1988541617875560048701549861199c61199560068a0154809c614ca7565b809c613bfb565b91855b60e051811080611ba8575b156119bd576119b890613c1e565b61199f565b909791989299949a6119e96119f0916119e3989e9698848f60e0518214611b7357614cb4565b51613bfb565b918c614cb4565b526119fe6040820182614be4565b8093915015611b2c575b600501546001600160a01b0316838c5b848110611a3557505050505050611a2e90613c1e565b9291611819565b600181018111611b1857600181018503611ace57611ac990611a578780614ca7565b96611a8481611a7b611a7685611a7060408c018c614be4565b90614cc8565b613a62565b8760805161567c565b81611aa7611a76611a9860408a018a614be4565b6001600160a01b039491614cc8565b1690604051908152600080516020615dfc8339815191526020883592a3613c1e565b611a18565b611adf81611a706060870187614be4565b358281810204811483151715611b045790611a57612710611ac9938502048098614ca7565b634e487b7160e01b8f52601160045260248ffd5b634e487b7160e01b8e52601160045260248efd5b611b46848860018060a01b0360058501541660805161567c565b6040518481526001600160a01b03881690833590600080516020615dfc83398151915290602090a3611a08565b60018060a01b0360058a01541660e05160a052611b9160e051613c1e565b60e052611ba260a05160c051614cb4565b52614cb4565b5060c0516001600160a01b0390611bc0908390614cb4565b5160058c01546001600160a01b0316911614156119aa565b95505095509593505050600160a81b60ff60a81b198254161790556040516001815260406020820152602160408201527f476174657761793a20636c61696d2077696e646f7720636170207265616368656060820152601960fa1b6080820152600080516020615d9c83398151915260a03092a23880808080611821565b60405163200d5a4760e21b8152600490fd5b9050611c776040880188614be4565b9050159081611cf0575b81611c8f575b50153861195f565b611cea915060405160208101908935825260208152611cad816133c5565b5190207b0ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d05199960211b8752601c52611ce3603c87209189613a30565b918a6153da565b38611c87565b60195442109150611c81565b6041611d0b60208a018a613a30565b90500490865260106020526001604087200154808210611d2b575061193d565b60405163307742c960e01b8152918291611d49918d600485016136a0565b0390fd5b60405163a4a94c7f60e01b8152600481018a9052604491611d6d8161357e565b6024820152fd5b634e487b7160e01b8a52604160045260248afd5b96979690611dc090611dba90611db2611da8856118fc60048f0180614be4565b6040810190614be4565b919050613bfb565b91613c1e565b97969761179e565b604051630e4997ff60e11b8152600490fd5b60405163d801248d60e01b8152600490fd5b60405163650734fb60e11b8152600490fd5b503461037857604036600319011261037857611e186134f0565b602435611e236136b6565b6001600160a01b03918216918215159081611eff575b5015611ea45760207f8a3643f6443b8f757dc2213cb9194ff14280e39c51dbb499bcc57977e13c485891604051611e6f816133c5565b600181526001838201838152868852600d8552604088209251151560ff8019855416911617835551910155604051908152a280f35b60405162461bcd60e51b815260206004820152602d60248201527f476174657761793a205553444320697320636f6e66696775726564207468726f60448201526c75676820736574436f6e66696760981b6064820152608490fd5b90507f00000000000000000000000000000000000000000000000000000000000000001682141538611e39565b5034610378576020366003190112610378576020906040906001600160a01b03611f546134f0565b168152600983522054604051908152f35b503461037857602036600319011261037857600435600281101561089057611fd57f861a5383d673c00f1993b4e3297d0c6740577e803776f5817101c176d463704091611fb0615174565b600e805460ff60a01b191660a083901b60ff60a01b161790556040519182918261368d565b0390a180f35b5034610378578060031936011261037857600154336001600160a01b039091160361200c57612009336136ca565b80f35b60405163118cdaa760e01b8152336004820152602490fd5b5034610378578060031936011261037857600a54600b5490610418600c54604051938493846136a0565b50346103785760203660031901126103785760209060ff906040906001600160a01b036103646134f0565b503461037857602036600319011261037857600435612096613a76565b808252600360205260408220906120ac82615534565b6121076001830154604051907f476174657761793a206f72646572206e6f7420657870697265643b206578706960208301526403932b99d160dd1b6040830152806045830152604582526120ff8261340f565b421015613bcf565b815460ff1916600390811783558201546001600160a01b0316917f668cb0582f35d8cc1e62959951f2b36e581df3c31a96a7ff714883facb8fef07906020906112db906155aa565b50346103785780600319360112610378576121686136b6565b600180546001600160a01b03199081169091558154908116825581906001600160a01b0316600080516020615e3c8339815191528280a380f35b5034610378576020366003190112610378576121bc6134f0565b6121c46136b6565b6001600160a01b0316808252600560205260408220805460ff191690557fc6e35658c76ecdde40a54f31a91fb7c8615e9893cc0885584b27bb3433270d468280a280f35b503461037857806003193601126103785760206040516e22d473030f116ddee9f6b43ac78ba38152f35b50346103785760031960403682011261089057600435906001600160401b0382116108795761020082600401918336030112610879577f7dd3317a73d26b7f3fe5f8f83ec2ad44263c2d04d207ad4e59b535f9ea7098a6604060246122b281359461229b613a76565b611a76866122a98184613c2d565b30903390613a97565b825194855260c48601356020860152940135936001600160a01b031692a3600160025580f35b5034610378578060031936011261037857600e546040516001600160a01b039091168152602090f35b5034610378578060031936011261037857602060ff60125460a01c166040519015158152f35b503461037857604036600319011261037857600435600381101561089057602435906001600160401b038211610879576123b8600080516020615d9c8339815191529161237b6123cb94369060040161351a565b949060125461239c60018060a01b0380831633149081156123ff575061511c565b600184036123e9575b50826123d1575b60405193848094614c9a565b6040602084015233956040840191613b60565b0390a280f35b6012805460ff60a81b1916600160a81b1790556123ac565b60ff60a01b1916600160a01b17601255386123a5565b9050895416331438610da5565b50346103785760203660031901126103785760ff60406020926004358152600384522054166040519061243e8161357e565b8152f35b50346103785760203660031901126103785760406020916004358152600483522054604051908152f35b50346103785760203660031901126103785760409081906001600160a01b036124936134f0565b168152600d60205220600160ff825416910154825191151582526020820152f35b50346103785780600319360112610378577f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0316300361250d576020604051600080516020615ddc8339815191528152f35b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a2063616c6c6564207468726f75676820612070726f7879006044820152606490fd5b5034610378576020906003198281360112610890576004356001600160401b03811161087957610200816004019282360301126108795761014490612595613a76565b01906125a18282613a30565b60609391931161088c576125b483613506565b60406125c1878601613506565b940135936001600160a01b039182806125d987613a62565b169116036126f55781309116036126ab5784918261260481936125fc8888613c2d565b169286613a30565b61263a60248b836040969596519485928301976377aadf6360e11b89528484013781018583820152036004810184520182613460565b51925af16126466139c8565b5015612656579061085d91613b81565b60405162461bcd60e51b815260048101859052602760248201527f476174657761793a207265636569766520617574686f72697a6174696f6e206660448201526661696c6564282960c81b6064820152608490fd5b60405162461bcd60e51b815260048101879052602e6024820152600080516020615dbc83398151915260448201526d1bdd081d1bc818dbdb9d1c9858dd60921b6064820152608490fd5b60405162461bcd60e51b815260048101889052602e6024820152600080516020615dbc83398151915260448201526d37ba10333937b69039b4b3b732b960911b6064820152608490fd5b5034610378576040366003190112610378576127596134f0565b6024356001600160401b0381116108795761277890369060040161351a565b91906001600160a01b03907f000000000000000000000000000000000000000000000000000000000000000082163081141590816129fb575b50156129aa576127bf615174565b84833b612933575b80612897575b1561285257600080516020615ddc83398151915280546001600160a01b031916928416928317905584917fbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b8380a283612824575080f35b612834829161284b95369161349e565b602081519101845af46128456139c8565b916152d8565b5038808280f35b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a20696e76616c696420696d706c656d656e746174696f6e006044820152606490fd5b50604051631f209df760e11b81526020816004818787165afa9081156129285786916128ea575b5082167f00000000000000000000000000000000000000000000000000000000000000008316146127cd565b90506020813d8211612920575b8161290460209383613460565b8101031261291c5751828116810361291c57386128be565b8580fd5b3d91506128f7565b6040513d88823e3d90fd5b6040516352d1902d60e01b81526020816004818888165afa879181612977575b5061295f575b506127c7565b600080516020615ddc83398151915291501438612959565b9091506020813d82116129a2575b8161299260209383613460565b8101031261088857519038612953565b3d9150612985565b60405162461bcd60e51b815260206004820152602360248201527f476174657761793a206e6f742063616c6c6564207468726f75676820612070726044820152626f787960e81b6064820152608490fd5b905082600080516020615ddc833981519152541614386127b1565b5034610378578060031936011261037857602060ff60125460a81c166040519015158152f35b5034610378576020366003190112610378577f0ccf41be00f84562774870cfe33858f99c278dac0a06dae1e51b73a84205e90c6020600435612a7c615174565b80601a55604051908152a180f35b50346103785780600319360112610378576012546040516001600160a01b039091168152602090f35b50346103785780600319360112610378576040517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b503461037857366003190160a081126108905760601361037857612b1a6134da565b6001600160a01b036084358181169291838203610b15577ff0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a0080549093604082901c60ff16159390916001600160401b03811680159081612d04575b6001149081612cfa575b159081612cf1575b50612cdf576001600160401b03198116600117865584612cc4575b508515612cab57612bb2906136ca565b604051612bbe81613394565b6004359081815260243590612be56020820192808452604083019460443586521115614ff9565b51600a5551600b5551600c556032601a551680855260066020526040808620805460ff19166001179055519390600080516020615e5c8339815191528680a2600e80546001600160a01b03199081168317909155819081600080516020615e1c8339815191528880a26012541617601255600080516020615d7c8339815191528580a2612c70578280f35b805460ff60401b19169055600181527fc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d290602090a138808280f35b604051631e4fbdf760e01b815260048101889052602490fd5b6001600160481b0319166001600160401b0117855538612ba2565b60405163f92ee8a960e01b8152600490fd5b90501538612b87565b303b159150612b7f565b869150612b75565b5034610378576060366003190112610378576004356024356044356001600160401b03811161088c57612d4390369060040161351a565b9190838552602092600384526040862090612d5d82615534565b6001820192835480421015612f0257851180612ee8575b15612ea557612dbf604051878101907f662b626b2c4371c91aa45fb3bb2748441a615f60521a1ef039156ed325e8060682528960408201528760608201526060815261126d8161340f565b612dd3612dcd36858561349e565b826138e1565b505093604184149485612e86575b508415612e73575b5050505015612e225790807fc984d7002880c41b63bec16100146b387aabc70b0ae2b120a70580b8171baf2c939255604051908152a280f35b60405162461bcd60e51b8152600481018490526024808201527f476174657761793a20696e76616c696420657874656e73696f6e207369676e616044820152637475726560e01b6064820152608490fd5b612e7d94506153da565b38808080612de9565b6001600160a01b03168a526005885260408a205460ff16945038612de1565b60405162461bcd60e51b815260048101879052601b60248201527a23b0ba32bbb0bc9d1034b73b30b634b21032bc3834b930ba34b7b760291b6044820152606490fd5b50612efa6008840154600b5490613bfb565b851115612d74565b60405162461bcd60e51b815260048101889052601660248201527511d85d195dd85e4e881bdc99195c88195e1c1a5c995960521b6044820152606490fd5b50346103785780600319360112610378576020601654604051908152f35b503461037857806003193601126103785761041860ff600e5460a01c166040519182918261368d565b503461037857806003193601126103785760206113766151e8565b503461037857610409604061041892612fba36613547565b6001600160a01b03909316845260096020529390922090929190615abc565b503461037857602036600319011261037857600435600381101561089057612fff6136b6565b60018103613056575b80613044575b61301b6040518092614c9a565b7fe33b1e8c9a3225cc5a849e3f9c6d9c272be7915b24983c2a048dfe7c79390f4160203392a280f35b6012805460ff60a81b1916905561300e565b6012805460ff60a01b19169055613008565b5034610378576020366003190112610378576130826134f0565b61308a615174565b6001600160a01b0316808252600660205260408220805460ff19166001179055600080516020615e5c8339815191528280a280f35b503461037857602080600319360112610890576004356001600160401b038111610879576130f190369060040161351a565b90916130fb6136b6565b61310636838561349e565b8181519101209283855260188252604085205461312481151561528d565b42106131ad57906123cb7fda66fcfe5711520a570ced34d4cdebbe652fe74713bf2bc9db4ba54357e5a96f93928587526018835286604081205560ff19600181601b541617601b55613194888061317c36898761349e565b878151910182305af161318d6139c8565b90306152d8565b50601b5416601b55604051938385948552840191613b60565b60405162461bcd60e51b815260048101839052601c60248201527b476174657761793a206f7065726174696f6e206e6f7420726561647960201b6044820152606490fd5b50346103785760203660031901126103785760406020916004358152601883522054604051908152f35b50346103785780600319360112610378576020601954604051908152f35b5034610378576060366003190112610378577f6d05db271e19f930af71c4765de54ef86294762644c20f4d6fd2609d057d3c7b602435600435611fd5604435613280615174565b61328c84841115614ff9565b806040805161329a81613394565b858152866020820152015282600a5583600b5580600c55604051938493846136a0565b50346103785780600319360112610378576020601454604051908152f35b5034610378576020366003190112610378576020906040906001600160a01b036133036134f0565b168152600f83522054604051908152f35b503461037857608036600319011261037857604435906001600160401b038211610378573660238301121561037857602061336e61335a3660048601356024870161349e565b6133626134da565b906024356004356137c7565b6040519015158152f35b905034610890578160031936011261089057602090601a548152f35b606081019081106001600160401b038211176133af57604052565b634e487b7160e01b600052604160045260246000fd5b604081019081106001600160401b038211176133af57604052565b6001600160401b0381116133af57604052565b61012081019081106001600160401b038211176133af57604052565b608081019081106001600160401b038211176133af57604052565b60a081019081106001600160401b038211176133af57604052565b60e081019081106001600160401b038211176133af57604052565b601f909101601f19168101906001600160401b038211908210176133af57604052565b6001600160401b0381116133af57601f01601f191660200190565b9291926134aa82613483565b916134b86040519384613460565b8294818452818301116134d5578281602093846000960137010152565b600080fd5b606435906001600160a01b03821682036134d557565b600435906001600160a01b03821682036134d557565b35906001600160a01b03821682036134d557565b9181601f840112156134d5578235916001600160401b0383116134d557602083818601950101116134d557565b60809060031901126134d5576004356001600160a01b03811681036134d5579060243560048110156134d557906044359060643590565b6004111561358857565b634e487b7160e01b600052602160045260246000fd5b9392916060918286019083875280518092526080938488019260208093019060005b81811061367957505050878303828901528180855194858152019401946000915b8483106135f657505050505060409150930152565b9091929394846101206001928951805161360f8161357e565b82528381015184830152848060a01b0360408181840151169084015280878301511687840152878201518884015260a09081830151169083015260c0808201519083015260e0808201519083015261010080910151908201520197019301919095949392956135e1565b8251865294840194918401916001016135c0565b9190602083019260028210156135885752565b6040919493926060820195825260208201520152565b6000546001600160a01b0316330361200c57565b60018060a01b031990816001541660015560005460018060a01b03809216809382161760005516600080516020615e3c833981519152600080a3565b60005b8381106137195750506000910152565b8181015183820152602001613709565b81601f820112156134d557805161373f81613483565b9261374d6040519485613460565b818452602082840101116134d55761376b9160208085019101613706565b90565b916060838303126134d55782516001600160a01b03811681036134d557602084015190936001600160401b039390918481116134d557816137b0918401613729565b9360408301519081116134d55761376b9201613729565b61376b939160405190602082019261190160f01b845260228301526042820152604281526137f48161340f565b51902090613801836139f8565b1561381f57918060208061381a9351830101910161376e565b915050915b9091813b61385a5761383191926138e1565b5061383b8161357e565b15918261384757505090565b6001600160a01b03918216911614919050565b600091829160405161389e816138906020820194630b135d3f60e11b998a875260248401526040604484015260648301906139a3565b03601f198101835282613460565b51915afa906138ab6139c8565b826138d3575b826138bb57505090565b9091506020818051810103126134d557602001511490565b9150602082511015916138b1565b81519190604183036139125761390b92506020820151906060604084015193015160001a9061391d565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841161399757926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa1561398b5780516001600160a01b0381161561398257918190565b50809160019190565b604051903d90823e3d90fd5b50505060009160039190565b906020916139bc81518092818552858086019101613706565b601f01601f1916010190565b3d156139f3573d906139d982613483565b916139e76040519384613460565b82523d6000602084013e565b606090565b805160208110613a295701517f64926492649264926492649264926492649264926492649264926492649264921490565b5050600090565b903590601e19813603018212156134d557018035906001600160401b0382116134d5576020019181360383136134d557565b356001600160a01b03811681036134d55790565b6002805414613a855760028055565b604051633ee5aeb560e01b8152600490fd5b6040516323b872dd60e01b60208201526001600160a01b039283166024820152929091166044830152606480830193909352918152613ade91613ad98261342a565b613ae0565b565b906000602091828151910182855af115613b3c576000513d613b3357506001600160a01b0381163b155b613b115750565b604051635274afe760e01b81526001600160a01b039091166004820152602490fd5b60011415613b0a565b6040513d6000823e3d90fd5b80516001600160a01b03168252602090810151910152565b908060209392818452848401376000828201840152601f01601f1916010190565b907facc794f52427786f12f34f1c111f79c65476905ce8685dd43515e11c8163a21660406020613bb085613a62565b825194855260c086013582860152940135936001600160a01b031692a3565b15613bd75750565b60405162461bcd60e51b815260206004820152908190611d499060248301906139a3565b91908201809211613c0857565b634e487b7160e01b600052601160045260246000fd5b6000198114613c085760010190565b91909160ff60125460a01c1661485357613c4a6101608201613a62565b613ce5613c5682615061565b8515159081614848575b613c6990614893565b90613ce0605a60405180947f476174657761793a207265636569766520617574686f72697a6174696f6e2061602083015279036b7bab73a103a37b7903637bb9d9036b4b734b6bab69034b9960351b6040830152613cd08151809260208686019101613706565b810103603a810185520183613460565b613bcf565b6001600160a01b03168061484257507f0000000000000000000000000000000000000000000000000000000000000000905b819380610180830135116147ff576101c0820135811015806147dd575b156147895760a082013542101561474857613e1f600a548060c0850135101580614738575b613ce06051613d74613d6e60c0890135614893565b94614893565b93613d80600b54614893565b60405195869279023b0ba32bbb0bc9d1034b73b30b634b210323ab930ba34b7b7160351b6020850152613dbd815180926020603a88019101613706565b83017101d9036bab9ba103132903132ba3bb2b2b7160751b603a820152613dee825180936020604c85019101613706565b016401030b732160dd1b604c820152613e108251809360208785019101613706565b01036031810185520183613460565b6001600160a01b03613e3360608401613a62565b16600052600560205260ff60406000205416156146f4576101a0820135614612575b60208201356000526003602052604060002060048101541590816145fc575b50156145b757610100820135600052600460205260406000205461457257613fe5613fdc613fbf613ea485613a62565b613eb060408701613a62565b604051917f9ec54b72a7cab21ea05df1a5b5e57da49981819cdef0cbf20ac7c55b8bcf2a1060208401526020880135604084015260018060a01b0316606083015260018060a01b0316608082015260a086013560a082015260e086013560c082015260c08152613f1f81613445565b613f2c6101608701613a62565b60405190610100880135602083015260018060a01b0316604082015261018087013560608201526101a087013560808201526101c087013560a08201526101e087013560c082015260c08152613f8181613445565b61126d6020604051809382613f9f8184019788815193849201613706565b8201613fb382518093868085019101613706565b01038084520182613460565b613fd6613fcf6080870187613a30565b369161349e565b906138e1565b909291926149f5565b806001600160a01b03613ffa60608601613a62565b6001600160a01b039092169116141580614567575b6142bc575b6001600160a01b0361402860608501613a62565b166001600160a01b03909116036142655761409061408061406d61404b85613a62565b614067610120870191614061613fcf848a613a30565b90614a80565b85613a30565b919061407886613a62565b92369161349e565b61010085013560e08601356137c7565b15614212576008613ade936140a960c085013542613bfb565b906140b660408601613a62565b936140c086613a62565b91604051956140ce876133f3565b6001875260208701948552604087019060018060a01b03168152606087019360018060a01b031684526080870192835260a087019160018060a01b0316825260c0870192610180890135845260e08801946101a08a0135865261010089019642885260208b013560005260036020526040600020995161414d8161357e565b6141568161357e565b60ff80198c54169116178a555160018a0155600289019260018060a01b039051169260018060a01b03199384825416179055600389019060018060a01b0390511683825416179055516004880155600587019160018060a01b0390511690825416179055516006850155516007840155519101556101008101356000526004602052602081013560406000205560018060a01b036141f382613a62565b166000526007602052604060002061420b8154613c1e565b9055615a0c565b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20696e76616c69642074797065642064617461207369676e604482015264617475726560d81b6064820152608490fd5b60405162461bcd60e51b815260206004820152602960248201527f476174657761793a20696e76616c6964206f7264657220617070726f76616c206044820152687369676e617475726560b81b6064820152608490fd5b506143fa613fdc6142cc84613a62565b6142d860408601613a62565b604051916020870135602084015260018060601b03199060601b16604083015260018060601b03199060601b16605482015260a0850135606882015260e0850135608882015261010085013560a882015260a8815261433681613445565b806101c08601351590811591614558575b81908215614549575b8190821561453a575b81821561451c575b6144c3575b50614485575b614447575b6143ff575b6143808151614893565b906143e7603a60405180936020820195790ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d0560311b87526143c38151809260208787019101613706565b82016143d88251809360208785019101613706565b0103601a810184520182613460565b519020613fd6613fcf6080870187613a30565b614014565b61444260606040518361441c829551809260208086019101613706565b81016101c089013560208201526101e08901356040820152036040810184520182613460565b614376565b9061447f6040805183614464829551809260208086019101613706565b81016101a08a01356020820152036020810184520182613460565b90614371565b916144bd60408051836144a2829551809260208086019101613706565b81016101808b01356020820152036020810184520182613460565b9161436c565b90935061451560346144d86101608b01613a62565b9260405193816144f2869351809260208087019101613706565b82019060018060601b03199060601b166020820152036014810184520182613460565b9238614366565b506001600160a01b036145326101608b01613a62565b161515614361565b61018089013515159150614359565b6101a088013515159150614350565b6101e087013515159150614347565b50601954421061400f565b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a207061796c6f616420616c726561647920757365640000006044820152606490fd5b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a206f7264657220616c7265616479206578697374730000006044820152606490fd5b600201546001600160a01b031615905038613e74565b6001600160a01b0361462660408401613a62565b16614696576101a08201356000526010602052600160406000200154613e555760405162461bcd60e51b815260206004820152602260248201527f476174657761793a206e6f7461727920736574206e6f74207265676973746572604482015261195960f21b6064820152608490fd5b60405162461bcd60e51b815260206004820152603060248201527f476174657761793a206e6f7461727920736574206f7264657273206d7573742060448201526f6e6f74207365742061206e6f7461727960801b6064820152608490fd5b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a20617070726f766572206e6f7420617574686f72697a65646044820152fd5b50600b5460c08501351115613d59565b60405162461bcd60e51b815260206004820152601960248201527811d85d195dd85e4e88185c1c1c9bdd985b08195e1c1a5c9959603a1b6044820152606490fd5b60405162461bcd60e51b815260206004820152602660248201527f476174657761793a20616d6f756e74206f7574736964652065787065637465646044820152652072616e676560d01b6064820152608490fd5b506101e082013580159081156147f4575b50613d34565b9050811115386147ee565b60405162461bcd60e51b815260206004820152601b60248201527a11d85d195dd85e4e8819995948195e18d959591cc8185b5bdd5b9d602a1b6044820152606490fd5b90613d17565b808710159150613c60565b60405162461bcd60e51b815260206004820152601860248201527711d85d195dd85e4e8819195c1bdcda5d1cc81c185d5cd95960421b6044820152606490fd5b6000908072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b808210156149e7575b506904ee2d6d415b85acef8160201b808310156149d8575b50662386f26fc10000808310156149c9575b506305f5e100808310156149ba575b50612710808310156149ab575b50606482101561499b575b600a80921015614991575b6001908160218186019561492687613483565b966149346040519889613460565b808852614943601f1991613483565b01366020890137860101905b61495b575b5050505090565b600019019083906f181899199a1a9b1b9c1cb0b131b232b360811b8282061a83530491821561498c5791908261494f565b614954565b9160010191614913565b9190606460029104910191614908565b600491939204910191386148fd565b600891939204910191386148f0565b601091939204910191386148e1565b602091939204910191386148cf565b6040935081049150386148b7565b6149fe8161357e565b80614a07575050565b614a108161357e565b60018103614a2a5760405163f645eedf60e01b8152600490fd5b614a338161357e565b60028103614a545760405163fce698f760e01b815260048101839052602490fd5b80614a6060039261357e565b14614a685750565b602490604051906335e2f38360e21b82526004820152fd5b90813b15801590614bd4575b614bd057614aab91614ae591602093818580809451830101910161376e565b506040805163e97fac0560e01b81526001600160a01b039384166004820152602481019190915294919291859182919060448301906139a3565b0381600080957f0000000000000000000000000000000000000000000000000000000000000000165af1928315614bc3578193614b87575b505081614b7c575b5015614b2e5750565b6084906040519062461bcd60e51b82526004820152602160248201527f476174657761793a207369676e6572206465706c6f796d656e74206661696c656044820152601960fa1b6064820152fd5b90503b151538614b25565b909192508381813d8311614bbc575b614ba08183613460565b8101031261089057519081151582036103785750903880614b1d565b503d614b96565b50604051903d90823e3d90fd5b5050565b50614bde816139f8565b15614a8c565b903590601e19813603018212156134d557018035906001600160401b0382116134d557602001918160051b360383136134d557565b9190811015614c3b5760051b81013590607e19813603018212156134d5570190565b634e487b7160e01b600052603260045260246000fd5b6001600160401b0381116133af5760051b60200190565b90614c7282614c51565b614c7f6040519182613460565b8281528092614c90601f1991614c51565b0190602036910137565b9060038210156135885752565b91908203918211613c0857565b8051821015614c3b5760209160051b010190565b9190811015614c3b5760051b0190565b60405163a9059cbb60e01b60208201526001600160a01b039092166024830152604480830193909352918152613ade91613ad98261340f565b60408082528101839052939291606085019060005b818110614d3857505060209150930152565b90916001906001600160a01b03614d4e86613506565b16815260209485019401929101614d26565b92919283151580614fef575b15614fa05760409384519460209586810190614d8e8161389086898987614d11565b51902095600087815260108252600191828483200154614f9757815b878110614ea8575088825260108152838220916001600160401b038811614e9457600160401b8811614e94578254888455808910614e6d575b5090869492918a979896949890838152828120905b888110614e3e575050505090827f573e3911b05935e937ee554ff61e0daa6e646838c228ed4e3ef20d8b23334a919697614e39949301555193849384614d11565b0390a2565b8383949596989a50614e548c989a9c9394613a62565b9401938184015501908b98969493929199979599614df8565b838252848984842092830192015b828110614e89575050614de3565b838155018590614e7b565b634e487b7160e01b81526041600452602490fd5b614eb6611a76828a8a614cc8565b81614f635783905b6001600160a01b039182169082161115614f0b578a845260118352858420614f069291614eef611a76848d8d614cc8565b1685528352858420805460ff191686179055613c1e565b614daa565b855162461bcd60e51b815260048101849052602b60248201527f476174657761793a206e6f746172696573206d75737420626520736f7274656460448201526a20616e6420756e6971756560a81b6064820152608490fd5b6000198201828111614f8357611a76614f7d918b8b614cc8565b90614ebe565b634e487b7160e01b85526011600452602485fd5b50505050505050565b60405162461bcd60e51b815260206004820152602160248201527f476174657761793a20696e76616c6964206e6f74617279207468726573686f6c6044820152601960fa1b6064820152608490fd5b5081841115614d6c565b1561500057565b60405162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d757374206265604482015272101e1e9036b0bc34b6bab6a23ab930ba34b7b760691b6064820152608490fd5b6001600160a01b039081169081159081156150f0575b506150e95780600052600d60205260ff60406000205416156150a757600052600d60205260016040600020015490565b60405162461bcd60e51b815260206004820152601a60248201527911d85d195dd85e4e881d1bdad95b881b9bdd08185b1b1bddd95960321b6044820152606490fd5b50600c5490565b90507f000000000000000000000000000000000000000000000000000000000000000016811438615077565b1561512357565b60405162461bcd60e51b815260206004820152602360248201527f476174657761793a2063616c6c6572206973206e6f742074686520677561726460448201526234b0b760e91b6064820152608490fd5b60ff601b54161580156151de575b61518857565b6151906136b6565b60175461519957565b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a2063616c6c206d757374206265207363686564756c6564006044820152606490fd5b5030331415615182565b60405160208101907f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f82527fa066c4866ace849d172ed6470da6fc6742e94539c4062fa3d3aeeb26a047959160408201527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201524660808201523060a082015260a0815260c0810181811060018060401b038211176133af5760405251902090565b1561529457565b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a206f7065726174696f6e206e6f74207363686564756c65646044820152fd5b906152ff57508051156152ed57805190602001fd5b60405163d6bda27560e01b8152600490fd5b81511580615332575b615310575090565b604051639996b31560e01b81526001600160a01b039091166004820152602490fd5b50803b15615308565b601454908115801561539f575b615398576153759061535f60155460135490613bfb565b42101561538a575b600460165491015490613bfb565b90811161538457601655600190565b50600090565b426015556000601655615367565b5050600190565b5060058101547f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0390811691161415615348565b909160078201549182156154f9575060419283850494848106158015906154df575b6154d457600094855b878710615419575050505050505050600190565b818702878104831488151715613c08576001880190818911613c085783820291808304851490151715613c08578181116134d5578482116134d55761546e91816154689236920390890161349e565b856138e1565b5090916001600160a01b03908116908316908111801592506154ad575b506154a05761549a9096613c1e565b95615405565b5050505050505050600090565b60ff915087600052602090601182526040918260002091600052526000205416153861548b565b505050505050600090565b5083600052601060205260016040600020015486106153fc565b939260419250613fd661550e9285369161349e565b50509114918261551d57505090565b600201546001600160a01b03918216911614919050565b613ade9054600160ff82166155488161357e565b604051927f476174657761793a206f72646572206e6f74206f70656e3b207374617475733a6020850152600160fd1b60408501526155858261357e565b60f81b6001600160f81b0319166041840152602283526155a483613394565b14613bcf565b9060ff600e5460a01c166002811015613588576000906001036156085750613ade60068301545b6155df816004860154614ca7565b93600581016156018660018060a01b0393846003818654169201541690614cd8565b5416615611565b613ade906155d1565b8115614bd0577f9bcb6d1f38f6800906185471a11ede9a8e16200853225aa62558db6076490f2d602060018060a01b038093169283600052600f8252604060002061565d868254613bfb565b905561566e8582600e541686614cd8565b600e541693604051908152a3565b9092919260005b6060830151811080615717575b156156a35761569e90613c1e565b615683565b916040906156ce926156d495966060830191825187146156d7575b5050500151936119e38386614cb4565b92614cb4565b52565b6156e2878551614cb4565b6001600160a01b03918216905260208401516156ff908890614cb4565b9116905261570d8151613c1e565b90523880806156be565b5060018060a01b038061572b838651614cb4565b51168184161490811591615740575b50615690565b809150615751836020870151614cb4565b511690861614153861573a565b604080820161576d8184614be4565b6060850195915061577e8686614be4565b9050810361598157801561593e57600080915b8083106158a5575061271091500361588e57506157ae9083614be4565b8251602093928482019283919060005b8782821061586a5750505050906157e2816157ec949303601f198101835282613460565b5190209484614be4565b8251919591848101916001600160fb1b0381116134d557858261376b996158219360051b809187378101038084520182613460565b519020918051938401947f06266af7e2b3f1cea06634cc7c9249d5aacf029a031285a188e72b56d33f188f86523590840152606083015260808201526080815261126d8161342a565b80600192939495838060a01b0361588088613506565b1681520194019291016157be565b6024908351906314e5690d60e31b82526004820152fd5b90826158b7611a76611a98888b614be4565b168015908115615925575b50801561590f575b6158f7576158ea6158f0916158e385611a708c8c614be4565b3590613bfb565b92613c1e565b9190615791565b85516314e5690d60e31b815260048101859052602490fd5b5061591e83611a708a8a614be4565b35156158ca565b9050600052600660205260ff86600020541615386158c2565b50505061376b925080519060208201927fed44be2295b2ebe5c6569686306471f65a269e5c81ebfcf06192ac9cb7163e0084523581830152815261126d81613394565b83516314e5690d60e31b815260048101839052602490fd5b6042906159a46151e8565b906040519161190160f01b8352600283015260228201522090565b8054821015614c3b5760005260206000200190600090565b8054600160401b8110156133af576159f4916001820181556159bf565b819291549060031b91821b91600019901b1916179055565b906001600160a01b0380615a1f84613a62565b16600090815260206008815260409283832095615a408382013580986159d7565b6101a0810135908115615a9a5750835260108252838320835b8154811015615a90578083615a71615a8b93856159bf565b90549060031b1c16865260098552611887898888206159d7565b615a59565b5050505050509050565b859493915091615ab2613ade97989660099401613a62565b16835252206159d7565b92919091835490818311615d72575b615ad58383614ca7565b811015615d6b57615ae7915082613bfb565b925b60009084835b868110615cf65750615b0083614c51565b92604090615b1082519586613460565b808552601f199283615b2183614c51565b013660208801378599615b3383614c51565b94615b4085519687613460565b838652615b4c84614c51565b0160005b818110615ca157505084926000985b8b811080615c98575b15615c8a57615b7781896159bf565b90549060031b1c600052600360205285600020615b938c61357e565b8b158015615c6b575b615bb0575b50615bab90613c1e565b615b5f565b8a615c64918b615bd5859e615bc8615bab978f6159bf565b90549060031b1c92614cb4565b526008895191615be4836133f3565b60ff815416615bf28161357e565b83526001810154602084015260028101546001600160a01b039081168c8501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e08401520154610100820152615c59828b614cb4565b526115a9818a614cb4565b9990615ba1565b508b60ff825416615c7b8261357e565b615c848161357e565b14615b9c565b505096509650965050505050565b50818a10615b68565b6020908651615caf816133f3565b600081526000838201526000888201526000606082015260006080820152600060a0820152600060c0820152600060e0820152600061010082015282828a01015201615b50565b615cff8661357e565b85158015615d30575b615d1b575b615d1690613c1e565b615aef565b92615d28615d1691613c1e565b939050615d0d565b50615d3b81846159bf565b9054600391821b1c6000526020528560ff60406000205416615d5c8261357e565b615d658161357e565b14615d08565b5092615ae9565b91508091615acb56fe6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf5ffe5e3aadf7cc1e85b083f800bd2f6d053bec33c3b578397229304ffe5211d2476174657761793a207265636569766520617574686f72697a6174696f6e206e360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc46e470efd1d5601791612d2263f0a4437104a35be37a932cdc59dfe948c8dfbc10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0ff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe01739a2646970667358221220f3de8f5d5b0321b1b4ff3752d783c8009cbc61f55a21be0a425964ec709ccf4164736f6c634300081400336080806040523461001657610159908161001c8239f35b600080fdfe608080604052600436101561001357600080fd5b6000803560e01c63e97fac051461002957600080fd5b34610120576040366003190112610120576004356001600160a01b038116810361011c576001600160401b0392602435848111610118573660238201121561011857806004013590858211610114573660248383010111610114579184818382969460248497018337810182815203925af1903d1561010a573d908382116100f65760405191601f19603f81601f8401160116830194838610908611176100e2576020946040528252833d92013e5b6040519015158152f35b634e487b7160e01b82526041600452602482fd5b634e487b7160e01b81526041600452602490fd5b50602091506100d8565b8480fd5b8380fd5b5080fd5b80fdfea26469706673582212205b324a733068109d40f370d3a282556e334d46f7db2a31966aeab7620f933cc064736f6c63430008140033";
+
+type SilentSwapV2GatewayUpgradeableConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: SilentSwapV2GatewayUpgradeableConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class SilentSwapV2GatewayUpgradeable__factory extends ContractFactory {
+  constructor(...args: SilentSwapV2GatewayUpgradeableConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    _usdc: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(_usdc, overrides || {});
+  }
+  override deploy(
+    _usdc: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(_usdc, overrides || {}) as Promise<
+      SilentSwapV2GatewayUpgradeable & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(
+    runner: ContractRunner | null
+  ): SilentSwapV2GatewayUpgradeable__factory {
+    return super.connect(runner) as SilentSwapV2GatewayUpgradeable__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): SilentSwapV2GatewayUpgradeableInterface {
+    return new Interface(_abi) as SilentSwapV2GatewayUpgradeableInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): SilentSwapV2GatewayUpgradeable {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as SilentSwapV2GatewayUpgradeable;
+  }
+}
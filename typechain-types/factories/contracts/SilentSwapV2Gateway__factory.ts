@@ -58,6 +58,17 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "constructor",
   },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+    ],
+    name: "AddressEmptyCode",
+    type: "error",
+  },
   {
     inputs: [],
     name: "ClaimRejectedExcessiveClaimAttempts",
@@ -68,6 +79,38 @@ const _abi = [
     name: "ClaimRejectedInvalidSignature",
     type: "error",
   },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedInvalidSplit",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "signatures",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedNotaryThreshold",
+    type: "error",
+  },
   {
     inputs: [
       {
@@ -84,6 +127,11 @@ const _abi = [
     name: "ClaimRejectedOrderNotOpen",
     type: "error",
   },
+  {
+    inputs: [],
+    name: "ClaimRejectedPaused",
+    type: "error",
+  },
   {
     inputs: [],
     name: "ClaimRejectedUnauthorized",
@@ -116,6 +164,27 @@ const _abi = [
     name: "ECDSAInvalidSignatureS",
     type: "error",
   },
+  {
+    inputs: [],
+    name: "FailedCall",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "balance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "InsufficientBalance",
+    type: "error",
+  },
   {
     inputs: [
       {
@@ -180,6 +249,19 @@ const _abi = [
     name: "ApproverRemoved",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "Cancelled",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -205,6 +287,25 @@ const _abi = [
     name: "Claim",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimWindowCapUpdated",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -231,6 +332,19 @@ const _abi = [
     name: "ClaimerRemoved",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "claimsCap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimsCapUpdated",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -287,6 +401,38 @@ const _abi = [
     name: "Deposit",
     type: "event",
   },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "DepositTokenRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "DepositTokenSet",
+    type: "event",
+  },
   {
     anonymous: false,
     inputs: [
@@ -305,18 +451,31 @@ const _abi = [
     inputs: [
       {
         indexed: true,
-        internalType: "address",
-        name: "previousOwner",
-        type: "address",
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
       },
+    ],
+    name: "Executed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
       {
         indexed: true,
         internalType: "address",
-        name: "newOwner",
+        name: "treasury",
         type: "address",
       },
     ],
-    name: "OwnershipTransferStarted",
+    name: "FeeTreasuryUpdated",
     type: "event",
   },
   {
@@ -325,17 +484,23 @@ const _abi = [
       {
         indexed: true,
         internalType: "address",
-        name: "previousOwner",
+        name: "token",
         type: "address",
       },
       {
         indexed: true,
         internalType: "address",
-        name: "newOwner",
+        name: "treasury",
         type: "address",
       },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
     ],
-    name: "OwnershipTransferred",
+    name: "FeesCollected",
     type: "event",
   },
   {
@@ -344,29 +509,49 @@ const _abi = [
       {
         indexed: true,
         internalType: "address",
-        name: "signer",
+        name: "guardian",
         type: "address",
       },
+    ],
+    name: "GuardianUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "LegacySignaturesUntilUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
       {
         indexed: true,
         internalType: "bytes32",
-        name: "orderId",
+        name: "notarySet",
         type: "bytes32",
       },
       {
         indexed: false,
-        internalType: "uint256",
-        name: "amount",
-        type: "uint256",
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
       },
       {
         indexed: false,
         internalType: "uint256",
-        name: "duration",
+        name: "threshold",
         type: "uint256",
       },
     ],
-    name: "ProxyDeposit",
+    name: "NotarySetRegistered",
     type: "event",
   },
   {
@@ -391,66 +576,319 @@ const _abi = [
         type: "uint256",
       },
     ],
-    name: "Refund",
+    name: "OrderCancelled",
     type: "event",
   },
   {
-    inputs: [],
-    name: "acceptOwnership",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiration",
+        type: "uint256",
+      },
+    ],
+    name: "OrderExtended",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "approver",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
         type: "address",
       },
     ],
-    name: "addApprover",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
+    name: "OwnershipTransferStarted",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "claimer",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
         type: "address",
       },
     ],
-    name: "addClaimer",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
+    name: "OwnershipTransferred",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
         internalType: "address",
-        name: "",
+        name: "account",
         type: "address",
       },
-    ],
-    name: "authorizedApprovers",
-    outputs: [
       {
-        internalType: "bool",
-        name: "",
-        type: "bool",
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
       },
     ],
-    stateMutability: "view",
-    type: "function",
+    name: "Paused",
+    type: "event",
   },
   {
+    anonymous: false,
     inputs: [
       {
+        indexed: true,
         internalType: "address",
-        name: "",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+    ],
+    name: "ProxyDeposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Refund",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "RefundFeePolicyUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "readyAt",
+        type: "uint256",
+      },
+    ],
+    name: "Scheduled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "TimelockDelayUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "Unpaused",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PERMIT2",
+    outputs: [
+      {
+        internalType: "contract ISignatureTransfer",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "acceptOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "accruedFees",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "addApprover",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "addClaimer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "authorizedApprovers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
         type: "address",
       },
     ],
@@ -465,6 +903,42 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "cancelOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "refundeeSignature",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "notarySignature",
+        type: "bytes",
+      },
+    ],
+    name: "cancelOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -481,40 +955,851 @@ const _abi = [
                 name: "signature",
                 type: "bytes",
               },
+              {
+                internalType: "address[]",
+                name: "recipients",
+                type: "address[]",
+              },
+              {
+                internalType: "uint256[]",
+                name: "shares",
+                type: "uint256[]",
+              },
             ],
             internalType: "struct SilentSwapV2Gateway.ClaimSpec[]",
             name: "claims",
             type: "tuple[]",
           },
           {
-            internalType: "address",
-            name: "recipient",
-            type: "address",
+            internalType: "address",
+            name: "recipient",
+            type: "address",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.BulkClaimParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "claim",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowStart",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimedInWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "config",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maxDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "deposit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "depositProxy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "depositTokens",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "allowed",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "uint8",
+            name: "v",
+            type: "uint8",
+          },
+          {
+            internalType: "bytes32",
+            name: "r",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "s",
+            type: "bytes32",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.PermitSignature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes",
+            name: "signature",
+            type: "bytes",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Permit2Signature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit2",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "depositsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "executeOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "newExpiration",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "signature",
+        type: "bytes",
+      },
+    ],
+    name: "extendOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "feeTreasury",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getConfig",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "minDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "minDepositAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Config",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "getMinDepositAmount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+    ],
+    name: "getNotaryOrderCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getNotaryOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
           },
         ],
-        internalType: "struct SilentSwapV2Gateway.BulkClaimParams",
-        name: "params",
-        type: "tuple",
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
       },
-    ],
-    name: "claim",
-    outputs: [
       {
         internalType: "uint256",
-        name: "",
+        name: "nextOffset",
         type: "uint256",
       },
     ],
-    stateMutability: "nonpayable",
+    stateMutability: "view",
     type: "function",
   },
   {
-    inputs: [],
-    name: "claimsCap",
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    name: "getNotarySet",
     outputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
       {
         internalType: "uint256",
-        name: "",
+        name: "threshold",
         type: "uint256",
       },
     ],
@@ -522,41 +1807,65 @@ const _abi = [
     type: "function",
   },
   {
-    inputs: [],
-    name: "config",
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "getSignerCount",
     outputs: [
       {
         internalType: "uint256",
-        name: "minDuration",
+        name: "count",
         type: "uint256",
       },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
       {
         internalType: "uint256",
-        name: "maxDuration",
+        name: "offset",
         type: "uint256",
       },
       {
         internalType: "uint256",
-        name: "minDepositAmount",
+        name: "limit",
         type: "uint256",
       },
     ],
-    stateMutability: "view",
-    type: "function",
-  },
-  {
-    inputs: [
+    name: "getSignerOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
       {
         components: [
           {
-            internalType: "address",
-            name: "signer",
-            type: "address",
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
           },
           {
-            internalType: "bytes32",
-            name: "orderId",
-            type: "bytes32",
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
           },
           {
             internalType: "address",
@@ -565,68 +1874,148 @@ const _abi = [
           },
           {
             internalType: "address",
-            name: "approver",
+            name: "refundee",
             type: "address",
           },
-          {
-            internalType: "bytes",
-            name: "orderApproval",
-            type: "bytes",
-          },
           {
             internalType: "uint256",
-            name: "approvalExpiration",
+            name: "amount",
             type: "uint256",
           },
           {
-            internalType: "uint256",
-            name: "duration",
-            type: "uint256",
+            internalType: "address",
+            name: "token",
+            type: "address",
           },
           {
-            internalType: "bytes32",
-            name: "domainSepHash",
-            type: "bytes32",
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
           },
           {
             internalType: "bytes32",
-            name: "payloadHash",
+            name: "notarySet",
             type: "bytes32",
           },
           {
-            internalType: "bytes",
-            name: "typedDataSignature",
-            type: "bytes",
-          },
-          {
-            internalType: "bytes",
-            name: "receiveAuthorization",
-            type: "bytes",
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
           },
         ],
-        internalType: "struct SilentSwapV2Gateway.DepositParams",
-        name: "params",
-        type: "tuple",
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
       },
     ],
-    name: "deposit",
-    outputs: [],
-    stateMutability: "nonpayable",
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "guardian",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedApprover",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedClaimer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "legacySignaturesUntil",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
     type: "function",
   },
   {
     inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "openDeposits",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
       {
         components: [
           {
-            internalType: "address",
-            name: "signer",
-            type: "address",
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
           },
           {
-            internalType: "bytes32",
-            name: "orderId",
-            type: "bytes32",
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
           },
           {
             internalType: "address",
@@ -635,103 +2024,42 @@ const _abi = [
           },
           {
             internalType: "address",
-            name: "approver",
+            name: "refundee",
             type: "address",
           },
-          {
-            internalType: "bytes",
-            name: "orderApproval",
-            type: "bytes",
-          },
-          {
-            internalType: "uint256",
-            name: "approvalExpiration",
-            type: "uint256",
-          },
           {
             internalType: "uint256",
-            name: "duration",
+            name: "amount",
             type: "uint256",
           },
           {
-            internalType: "bytes32",
-            name: "domainSepHash",
-            type: "bytes32",
-          },
-          {
-            internalType: "bytes32",
-            name: "payloadHash",
-            type: "bytes32",
-          },
-          {
-            internalType: "bytes",
-            name: "typedDataSignature",
-            type: "bytes",
-          },
-          {
-            internalType: "bytes",
-            name: "receiveAuthorization",
-            type: "bytes",
-          },
-        ],
-        internalType: "struct SilentSwapV2Gateway.DepositParams",
-        name: "params",
-        type: "tuple",
-      },
-      {
-        internalType: "uint256",
-        name: "amount",
-        type: "uint256",
-      },
-    ],
-    name: "depositProxy",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
-  {
-    inputs: [],
-    name: "getConfig",
-    outputs: [
-      {
-        components: [
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
           {
             internalType: "uint256",
-            name: "minDuration",
+            name: "fee",
             type: "uint256",
           },
           {
-            internalType: "uint256",
-            name: "maxDuration",
-            type: "uint256",
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
           },
           {
             internalType: "uint256",
-            name: "minDepositAmount",
+            name: "openedAt",
             type: "uint256",
           },
         ],
-        internalType: "struct SilentSwapV2Gateway.Config",
-        name: "",
-        type: "tuple",
-      },
-    ],
-    stateMutability: "view",
-    type: "function",
-  },
-  {
-    inputs: [
-      {
-        internalType: "address",
-        name: "signer",
-        type: "address",
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
       },
-    ],
-    name: "getSignerCount",
-    outputs: [
       {
         internalType: "uint256",
-        name: "count",
+        name: "nextOffset",
         type: "uint256",
       },
     ],
@@ -741,36 +2069,17 @@ const _abi = [
   {
     inputs: [
       {
-        internalType: "address",
-        name: "approver",
-        type: "address",
-      },
-    ],
-    name: "isAuthorizedApprover",
-    outputs: [
-      {
-        internalType: "bool",
-        name: "isAuthorized",
-        type: "bool",
-      },
-    ],
-    stateMutability: "view",
-    type: "function",
-  },
-  {
-    inputs: [
-      {
-        internalType: "address",
-        name: "claimer",
-        type: "address",
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
       },
     ],
-    name: "isAuthorizedClaimer",
+    name: "operationReadyAt",
     outputs: [
       {
-        internalType: "bool",
-        name: "isAuthorized",
-        type: "bool",
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
       },
     ],
     stateMutability: "view",
@@ -811,6 +2120,26 @@ const _abi = [
         name: "amount",
         type: "uint256",
       },
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "fee",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "notarySet",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "openedAt",
+        type: "uint256",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -828,6 +2157,24 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "pause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -892,6 +2239,43 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [],
+    name: "refundFeePolicy",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "registerNotarySet",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -918,6 +2302,19 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "removeDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "renounceOwnership",
@@ -925,6 +2322,43 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "scheduleOperation",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "setClaimWindowCap",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -961,6 +2395,89 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "setDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "setFeeTreasury",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newGuardian",
+        type: "address",
+      },
+    ],
+    name: "setGuardian",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "setLegacySignaturesUntil",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "setRefundFeePolicy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "setTimelockDelay",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -980,6 +2497,19 @@ const _abi = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [],
+    name: "timelockDelay",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
   {
     inputs: [
       {
@@ -993,6 +2523,19 @@ const _abi = [
     stateMutability: "nonpayable",
     type: "function",
   },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+    ],
+    name: "unpause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
   {
     inputs: [],
     name: "usdc",
@@ -1037,13 +2580,13 @@ const _abi = [
         type: "bool",
       },
     ],
-    stateMutability: "pure",
+    stateMutability: "view",
     type: "function",
   },
 ] as const;
 
 const _bytecode =
-  "0x60a06040526032600b553480156200001657600080fd5b50604051620029b7380380620029b78339810160408190526200003991620001f4565b33806200006157604051631e4fbdf760e01b8152600060048201526024015b60405180910390fd5b6200006c816200015e565b506001600255602082015182511115620000ef5760405162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d75737420626560448201527f203c3d206d6178696d756d4475726174696f6e00000000000000000000000000606482015260840162000058565b6001600160a01b038084166080528251600855602080840151600955604080850151600a5591831660008181526006909252828220805460ff1916600117905591517fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017399190a250505062000296565b600180546001600160a01b031916905562000179816200017c565b50565b600080546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b6001600160a01b03811681146200017957600080fd5b8051620001ef81620001cc565b919050565b600080600083850360a08112156200020b57600080fd5b84516200021881620001cc565b93506060601f19820112156200022d57600080fd5b50604051606081016001600160401b03811182821017156200025f57634e487b7160e01b600052604160045260246000fd5b60409081526020868101518352868201519083015260608601519082015291506200028d60808501620001e2565b90509250925092565b6080516126e9620002ce6000396000818161022601528181610b510152818161118f015281816113db01526116dd01526126e96000f3fe608060405234801561001057600080fd5b506004361061015f5760003560e01c80630372ee1b1461016457806304b3619b146101805780630ed3dabf146101a3578063103ee573146101c3578063129ee21a146101e657806319860eda146101fb5780632ea664011461020e5780633e413bee1461022157806346257eb5146102555780634d18b6eb14610268578063587226721461027b5780635a5a6d141461029b5780636cf4c88f146102cb578063715018a6146102de5780637249fbb6146102e65780637570866e146102f95780637655f81f1461032557806379502c551461033857806379ba5097146103595780638da5cb5b146103615780639c3f1e9014610369578063b646c194146103c9578063c3f909d4146103dc578063cb9c20ca14610406578063e30c397814610432578063f0490b8a1461043a578063f2fde38b1461044d578063f5be0b1814610460578063f73feb0b14610489575b600080fd5b61016d600b5481565b6040519081526020015b60405180910390f35b61019361018e366004611ea3565b6104ac565b6040519015158152602001610177565b61016d6101b1366004611f05565b60076020526000908152604090205481565b6101936101d1366004611f05565b60056020526000908152604090205460ff1681565b6101f96101f4366004611f29565b61050f565b005b6101f9610209366004611f6e565b6105ef565b6101f961021c366004611f05565b610d06565b6102487f000000000000000000000000000000000000000000000000000000000000000081565b6040516101779190611faa565b6101f9610263366004611fbe565b610d5a565b6101f9610276366004611fd7565b610d67565b61016d610289366004611fbe565b60046020526000908152604090205481565b6102be6102a9366004611fbe565b60009081526003602052604090205460ff1690565b6040516101779190612053565b6101f96102d9366004611f05565b611264565b6101f96112b5565b6101f96102f4366004611fbe565b6112c9565b610193610307366004611f05565b6001600160a01b031660009081526006602052604090205460ff1690565b61016d610333366004612061565b611464565b600854600954600a5461034a92919083565b6040516101779392919061209b565b6101f9611711565b61024861174d565b6103b8610377366004611fbe565b60036020819052600091825260409091208054600182015460028301549383015460049093015460ff9092169390926001600160a01b039182169291169085565b6040516101779594939291906120b1565b6101f96103d7366004611f05565b61175c565b6103e46117b0565b6040805182518152602080840151908201529181015190820152606001610177565b610193610414366004611f05565b6001600160a01b031660009081526005602052604090205460ff1690565b6102486117f9565b6101f9610448366004611f05565b611808565b6101f961045b366004611f05565b611859565b61016d61046e366004611f05565b6001600160a01b031660009081526007602052604090205490565b610193610497366004611f05565b60066020526000908152604090205460ff1681565b60405161190160f01b60208201526022810185905260428101849052600090819060620160405160208183030381529060405280519060200120905060006104f482866118bf565b6001600160a01b039081169085161492505050949350505050565b6105176118eb565b818311156105885760405162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d757374206265604482015272101e1e9036b0bc34b6bab6a23ab930ba34b7b760691b60648201526084015b60405180910390fd5b6040805160608101825284815260208101849052810182905260088490556009839055600a829055517f6d05db271e19f930af71c4765de54ef86294762644c20f4d6fd2609d057d3c7b906105e29085908590859061209b565b60405180910390a1505050565b6105f761191d565b600080806106096101408501856120e9565b61061891606091600091612136565b8101906106259190612160565b919450925090506106396020850185611f05565b6001600160a01b0316836001600160a01b03161461069e5760405162461bcd60e51b815260206004820152602e602482015260008051602061269483398151915260448201526d37ba10333937b69039b4b3b732b960911b606482015260840161057f565b6001600160a01b03821630146106fb5760405162461bcd60e51b815260206004820152602e602482015260008051602061269483398151915260448201526d1bdd081d1bc818dbdb9d1c9858dd60921b606482015260840161057f565b801580159061070c5750600a548110155b600a5461071890611945565b60405160200161072891906121c5565b604051602081830303815290604052906107555760405162461bcd60e51b815260040161057f919061222d565b508360a0013542106107795760405162461bcd60e51b815260040161057f90612260565b60085460c085013510801590610795575060095460c085013511155b6107a28560c00135611945565b6008546107ae90611945565b6009546107ba90611945565b6040516020016107cc93929190612293565b604051602081830303815290604052906107f95760405162461bcd60e51b815260040161057f919061222d565b506005600061080e6080870160608801611f05565b6001600160a01b0316815260208101919091526040016000205460ff166108475760405162461bcd60e51b815260040161057f9061232d565b60208085013560009081526003909152604090206004015415801561088a57506020808501356000908152600390915260409020600201546001600160a01b0316155b6108a65760405162461bcd60e51b815260040161057f90612362565b610100840135600090815260046020526040902054156108d85760405162461bcd60e51b815260040161057f90612399565b6000610982602086018035906108ee9088611f05565b6108fe6060890160408a01611f05565b8860a001358960e001358a6101000135604051602001610923969594939291906123d0565b60408051601f19818403018152919052805160209091012061094860808801886120e9565b8080601f0160208091040260200160405190810160405280939291908181526020018383808284376000920191909152506118bf92505050565b90506109946080860160608701611f05565b6001600160a01b0316816001600160a01b0316146109c45760405162461bcd60e51b815260040161057f90612431565b6000610a2460e08701356101008801356109e26101208a018a6120e9565b8080601f01602080910402602001604051908101604052809392919081815260200183838082843760009201919091525061018e9250505060208b018b611f05565b905080610a435760405162461bcd60e51b815260040161057f9061247a565b6040805160a081019091528060018152602001610a6460c0890135426124d5565b8152602001610a796060890160408a01611f05565b6001600160a01b03168152602090810190610a9690890189611f05565b6001600160a01b031681526020908101859052878101356000908152600391829052604090208251815491929091839160ff19909116906001908490811115610ae157610ae161201b565b021790555060208281015160018301556040808401516002840180546001600160a01b03199081166001600160a01b039384161790915560608601516003860180549092169083161790556080909401516004938401556101008a013560009081529282528220908901359055907f0000000000000000000000000000000000000000000000000000000000000000166377aadf6360e11b610b876101408a018a6120e9565b604051602001610b99939291906124e8565b60408051601f1981840301815290829052610bb39161250c565b6000604051808303816000865af19150503d8060008114610bf0576040519150601f19603f3d011682016040523d82523d6000602084013e610bf5565b606091505b5050905080610c565760405162461bcd60e51b815260206004820152602760248201527f476174657761793a207265636569766520617574686f72697a6174696f6e206660448201526661696c6564282960c81b606482015260840161057f565b60076000610c6760208a018a611f05565b6001600160a01b0316815260208101919091526040016000908120805491610c8e83612528565b909155505060208701803590610ca49089611f05565b6001600160a01b03167facc794f52427786f12f34f1c111f79c65476905ce8685dd43515e11c8163a216868a60c00135604051610ceb929190918252602082015260400190565b60405180910390a3505050505050610d036001600255565b50565b610d0e6118eb565b6001600160a01b038116600081815260066020526040808220805460ff19166001179055517fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017399190a250565b610d626118eb565b600b55565b610d6f61191d565b8015801590610d805750600a548110155b600a54610d8c90611945565b604051602001610d9c91906121c5565b60405160208183030381529060405290610dc95760405162461bcd60e51b815260040161057f919061222d565b508160a001354210610ded5760405162461bcd60e51b815260040161057f90612260565b60085460c083013510801590610e09575060095460c083013511155b610e168360c00135611945565b600854610e2290611945565b600954610e2e90611945565b604051602001610e4093929190612293565b60405160208183030381529060405290610e6d5760405162461bcd60e51b815260040161057f919061222d565b5060056000610e826080850160608601611f05565b6001600160a01b0316815260208101919091526040016000205460ff16610ebb5760405162461bcd60e51b815260040161057f9061232d565b602080830135600090815260039091526040902060040154158015610efe57506020808301356000908152600390915260409020600201546001600160a01b0316155b610f1a5760405162461bcd60e51b815260040161057f90612362565b61010082013560009081526004602052604090205415610f4c5760405162461bcd60e51b815260040161057f90612399565b6000610fbc60208401803590610f629086611f05565b610f726060870160408801611f05565b8660a001358760e00135886101000135604051602001610f97969594939291906123d0565b60408051601f19818403018152919052805160209091012061094860808601866120e9565b9050610fce6080840160608501611f05565b6001600160a01b0316816001600160a01b031614610ffe5760405162461bcd60e51b815260040161057f90612431565b600061105e60e085013561010086013561101c6101208801886120e9565b8080601f01602080910402602001604051908101604052809392919081815260200183838082843760009201919091525061018e925050506020890189611f05565b90508061107d5760405162461bcd60e51b815260040161057f9061247a565b6040805160a08101909152806001815260200161109e60c0870135426124d5565b81526020016110b36060870160408801611f05565b6001600160a01b031681526020908101906110d090870187611f05565b6001600160a01b031681526020908101859052858101356000908152600391829052604090208251815491929091839160ff1990911690600190849081111561111b5761111b61201b565b021790555060208281015160018301556040808401516002840180546001600160a01b03199081166001600160a01b0393841617909155606086015160038601805490921690831617905560809094015160049384015561010088013560009081529282529091209086013590556111b7907f0000000000000000000000000000000000000000000000000000000000000000163330866119d7565b600760006111c86020870187611f05565b6001600160a01b03168152602081019190915260400160009081208054916111ef83612528565b9091555050602084018035906112059086611f05565b6001600160a01b03167f7dd3317a73d26b7f3fe5f8f83ec2ad44263c2d04d207ad4e59b535f9ea7098a6858760c0013560405161124c929190918252602082015260400190565b60405180910390a350506112606001600255565b5050565b61126c6118eb565b6001600160a01b038116600081815260056020526040808220805460ff19169055517fc6e35658c76ecdde40a54f31a91fb7c8615e9893cc0885584b27bb3433270d469190a250565b6112bd6118eb565b6112c76000611a44565b565b6112d161191d565b60008181526003602052604090206001815460ff1660038111156112f7576112f761201b565b825460405192909114916113119160ff1690602001612541565b6040516020818303038152906040529061133e5760405162461bcd60e51b815260040161057f919061222d565b5060018101546040514282111591611392916020017f476174657761793a206f72646572206e6f7420657870697265643b206578706981526403932b99d160dd1b6020820152602581019190915260450190565b604051602081830303815290604052906113bf5760405162461bcd60e51b815260040161057f919061222d565b50805460ff191660039081178255810154600482015461140e917f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0390811692911690611a5d565b600381015460048201546040519081526001600160a01b039091169083907f668cb0582f35d8cc1e62959951f2b36e581df3c31a96a7ff714883facb8fef079060200160405180910390a350610d036001600255565b600061146e61191d565b600660006114826040850160208601611f05565b6001600160a01b0316815260208101919091526040016000205460ff166114bc5760405163d801248d60e01b815260040160405180910390fd5b6000806114c984806125a0565b90509050600b548111156114f057604051630e4997ff60e11b815260040160405180910390fd5b60006115026040860160208701611f05565b905060005b828110156116cf57600061151b87806125a0565b8381811061152b5761152b6125e9565b905060200281019061153d91906125ff565b61154690612615565b805160009081526003602052604090209091506001815460ff1660038111156115715761157161201b565b1461159957805460405163a4a94c7f60e01b815261057f91859160ff9091169060040161267f565b600281015482516040516001600160a01b039092169161162b916115c39160200190815260200190565b60408051601f198184030181529082905280516020918201207b0ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d05199960211b91830191909152603c820152605c016040516020818303038152906040528051906020012084602001516118bf565b6001600160a01b0316146116525760405163200d5a4760e21b815260040160405180910390fd5b805460ff19166002178155600481015461166c90876124d5565b9550836001600160a01b031682600001517f46e470efd1d5601791612d2263f0a4437104a35be37a932cdc59dfe948c8dfbc83600401546040516116b291815260200190565b60405180910390a3505080806116c790612528565b915050611507565b506117046001600160a01b037f0000000000000000000000000000000000000000000000000000000000000000168285611a5d565b5050600160025592915050565b338061171b6117f9565b6001600160a01b031614611744578060405163118cdaa760e01b815260040161057f9190611faa565b610d0381611a44565b6000546001600160a01b031690565b6117646118eb565b6001600160a01b038116600081815260056020526040808220805460ff19166001179055517f835bddf1ceee4956e4329af9edf018523c1191238187a597453f6020bcadb0429190a250565b6117d460405180606001604052806000815260200160008152602001600081525090565b506040805160608101825260085481526009546020820152600a549181019190915290565b6001546001600160a01b031690565b6118106118eb565b6001600160a01b038116600081815260066020526040808220805460ff19169055517f30acaa541089592567cd4ce36437c68778a43e66dc1a9e7031e4496faf4593259190a250565b6118616118eb565b600180546001600160a01b0319166001600160a01b03831690811790915561188761174d565b6001600160a01b03167f38d16b8cac22d99fc7c124b9cd0de2d3fa1faef420bfe791d8c362d765e2270060405160405180910390a350565b6000806000806118cf8686611a93565b9250925092506118df8282611ae0565b50909150505b92915050565b336118f461174d565b6001600160a01b0316146112c7573360405163118cdaa760e01b815260040161057f9190611faa565b600280540361193f57604051633ee5aeb560e01b815260040160405180910390fd5b60028055565b6060600061195283611b99565b60010190506000816001600160401b0381111561197157611971611dec565b6040519080825280601f01601f19166020018201604052801561199b576020820181803683370190505b5090508181016020015b600019016f181899199a1a9b1b9c1cb0b131b232b360811b600a86061a8153600a85049450846119a557509392505050565b6040516001600160a01b038481166024830152838116604483015260648201839052611a3e9186918216906323b872dd906084015b604051602081830303815290604052915060e01b6020820180516001600160e01b038381831617835250505050611c6f565b50505050565b600180546001600160a01b0319169055610d0381611cd7565b6040516001600160a01b03838116602483015260448201839052611a8e91859182169063a9059cbb90606401611a0c565b505050565b60008060008351604103611acd5760208401516040850151606086015160001a611abf88828585611d27565b955095509550505050611ad9565b50508151600091506002905b9250925092565b6000826003811115611af457611af461201b565b03611afd575050565b6001826003811115611b1157611b1161201b565b03611b2f5760405163f645eedf60e01b815260040160405180910390fd5b6002826003811115611b4357611b4361201b565b03611b645760405163fce698f760e01b81526004810182905260240161057f565b6003826003811115611b7857611b7861201b565b03611260576040516335e2f38360e21b81526004810182905260240161057f565b60008072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b8310611bd85772184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b830492506040015b6904ee2d6d415b85acef8160201b8310611c02576904ee2d6d415b85acef8160201b830492506020015b662386f26fc100008310611c2057662386f26fc10000830492506010015b6305f5e1008310611c38576305f5e100830492506008015b6127108310611c4c57612710830492506004015b60648310611c5e576064830492506002015b600a83106118e55760010192915050565b600080602060008451602086016000885af180611c92576040513d6000823e3d81fd5b50506000513d91508115611caa578060011415611cb7565b6001600160a01b0384163b155b15611a3e5783604051635274afe760e01b815260040161057f9190611faa565b600080546001600160a01b038381166001600160a01b0319831681178455604051919092169283917f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09190a35050565b600080806fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841115611d585750600091506003905082611de2565b604080516000808252602082018084528a905260ff891692820192909252606081018790526080810186905260019060a0016020604051602081039080840390855afa158015611dac573d6000803e3d6000fd5b5050604051601f1901519150506001600160a01b038116611dd857506000925060019150829050611de2565b9250600091508190505b9450945094915050565b634e487b7160e01b600052604160045260246000fd5b600082601f830112611e1357600080fd5b81356001600160401b0380821115611e2d57611e2d611dec565b604051601f8301601f19908116603f01168101908282118183101715611e5557611e55611dec565b81604052838152866020858801011115611e6e57600080fd5b836020870160208301376000602085830101528094505050505092915050565b6001600160a01b0381168114610d0357600080fd5b60008060008060808587031215611eb957600080fd5b843593506020850135925060408501356001600160401b03811115611edd57600080fd5b611ee987828801611e02565b9250506060850135611efa81611e8e565b939692955090935050565b600060208284031215611f1757600080fd5b8135611f2281611e8e565b9392505050565b600080600060608486031215611f3e57600080fd5b505081359360208301359350604090920135919050565b60006101608284031215611f6857600080fd5b50919050565b600060208284031215611f8057600080fd5b81356001600160401b03811115611f9657600080fd5b611fa284828501611f55565b949350505050565b6001600160a01b0391909116815260200190565b600060208284031215611fd057600080fd5b5035919050565b60008060408385031215611fea57600080fd5b82356001600160401b0381111561200057600080fd5b61200c85828601611f55565b95602094909401359450505050565b634e487b7160e01b600052602160045260246000fd5b6004811061204f57634e487b7160e01b600052602160045260246000fd5b9052565b602081016118e58284612031565b60006020828403121561207357600080fd5b81356001600160401b0381111561208957600080fd5b820160408185031215611f2257600080fd5b9283526020830191909152604082015260600190565b60a081016120bf8288612031565b60208201959095526001600160a01b03938416604082015291909216606082015260800152919050565b6000808335601e1984360301811261210057600080fd5b8301803591506001600160401b0382111561211a57600080fd5b60200191503681900382131561212f57600080fd5b9250929050565b6000808585111561214657600080fd5b8386111561215357600080fd5b5050820193919092039150565b60008060006060848603121561217557600080fd5b833561218081611e8e565b9250602084013561219081611e8e565b929592945050506040919091013590565b60005b838110156121bc5781810151838201526020016121a4565b50506000910152565b7f476174657761793a207265636569766520617574686f72697a6174696f6e2061815279036b7bab73a103a37b7903637bb9d9036b4b734b6bab69034b9960351b60208201526000825161222081603a8501602087016121a1565b91909101603a0192915050565b602081526000825180602084015261224c8160408501602087016121a1565b601f01601f19169190910160400192915050565b60208082526019908201527811d85d195dd85e4e88185c1c1c9bdd985b08195e1c1a5c9959603a1b604082015260600190565b79023b0ba32bbb0bc9d1034b73b30b634b210323ab930ba34b7b7160351b8152600084516122c881601a8501602089016121a1565b7101d9036bab9ba103132903132ba3bb2b2b7160751b601a9184019182015284516122fa81602c8401602089016121a1565b6401030b732160dd1b602c929091019182015283516123208160318401602088016121a1565b0160310195945050505050565b6020808252818101527f476174657761793a20617070726f766572206e6f7420617574686f72697a6564604082015260600190565b6020808252601d908201527f476174657761793a206f7264657220616c726561647920657869737473000000604082015260600190565b6020808252601d908201527f476174657761793a207061796c6f616420616c72656164792075736564000000604082015260600190565b7f19457468657265756d205369676e6564204d6573736167653a0a3136380000008152601d8101969096526001600160601b0319606095861b8116603d8801529390941b90921660518501526065840152608583015260a582015260c50190565b60208082526029908201527f476174657761793a20696e76616c6964206f7264657220617070726f76616c206040820152687369676e617475726560b81b606082015260800190565b60208082526025908201527f476174657761793a20696e76616c69642074797065642064617461207369676e604082015264617475726560d81b606082015260800190565b634e487b7160e01b600052601160045260246000fd5b808201808211156118e5576118e56124bf565b6001600160e01b031984168152818360048301376000910160040190815292915050565b6000825161251e8184602087016121a1565b9190910192915050565b60006001820161253a5761253a6124bf565b5060010190565b7f476174657761793a206f72646572206e6f74206f70656e3b207374617475733a8152600160fd1b602082015260006004831061258e57634e487b7160e01b600052602160045260246000fd5b5060f89190911b602182015260220190565b6000808335601e198436030181126125b757600080fd5b8301803591506001600160401b038211156125d157600080fd5b6020019150600581901b360382131561212f57600080fd5b634e487b7160e01b600052603260045260246000fd5b60008235603e1983360301811261251e57600080fd5b60006040823603121561262757600080fd5b604080519081016001600160401b03808211838310171561264a5761264a611dec565b8160405284358352602085013591508082111561266657600080fd5b5061267336828601611e02565b60208301525092915050565b82815260408101611f22602083018461203156fe476174657761793a207265636569766520617574686f72697a6174696f6e206ea2646970667358221220f4bd310589a98322e0b43a70206e297a845f6376b9aaeda989413d372516cb2864736f6c63430008140033";
+  "0x60c034620002b9576001600160401b03601f19601f62005cc138819003918201831685019184831186841017620002be57808692604094855283398101039360a08512620002b9578051946001600160a01b03938487168703620002b9576060910112620002b95781516060810181811086821117620002be578352602082015181528282015190602081019182526080606084015193858301948552015196858816809803620002b9573315620002a15760018060a01b0319958660015416600155600097885433898216178a558751923391167f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e08b80a36001600255610175828101918211838310176200028d5790829162005b4c8339039088f08015620002835760a0526080528051825110620002195751600a5551600b5551600c556032601a558383526006602052808320805460ff1916600117905551927fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017398380a23381600e541617600e55337f10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8380a2339060125416176012557f6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf339180a26158779081620002d58239608051818181611eec01528181612760015281816137a401528181614b3a0152614ded015260a0518161459b0152f35b835162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d75737420626560448201527f203c3d206d6178696d756d4475726174696f6e000000000000000000000000006064820152608490fd5b85513d89823e3d90fd5b634e487b7160e01b8a52604160045260248afd5b8451631e4fbdf760e01b815260006004820152602490fd5b600080fd5b634e487b7160e01b600052604160045260246000fdfe61010080604052600436101561001457600080fd5b600090813560e01c9081630372ee1b14612e785750806304b3619b14612e065780630731128314612dcd578063073eb00314612daf5780630ed3dabf1461035a578063103ee57314610b2d578063129ee21a14612cce5780631ec9a9c114612cb057806322af11e914612c86578063297fc76714612b545780632ea6640114612aeb578063301c7e5d14612a5c57806334060a4714612a255780633644e51514612a0a5780633813f101146129e1578063391fa206146129c35780633c5b6c021461278f5780633e413bee1461274a578063452a93201461272157806346257eb5146126d35780634a2ae305146126ad57806352c6bb66146124c057806356bccf9114612478578063587226721461244e5780635a5a6d1414612418578063607325331461233357806360da3e831461230d57806360dc2340146122e457806361021ba91461223e5780636afdd850146122145780636cf4c88f146121ae578063715018a61461215b5780637249fbb6146120855780637570866e1461205a57806379502c551461203057806379ba509714611fc45780637b715b2914611f4e578063817d860514611f1557806385e0dc4514611de757806387021dac146116e75780638a0dac4a1461167f5780638da5cb5b14611658578063910a37e2146113b357806392a2ea0414611355578063984adfeb146113295780639a533c291461118e5780639c3f1e90146110f0578063a282276e14610eac578063af267f8f14610e5e578063b646c19414610df5578063beadf95714610d64578063bfa37e3714610ca7578063c3f909d414610c41578063c5d37ae114610c23578063c69c486f14610b6c578063cb9c20ca14610b2d578063d690a9f414610953578063d7c718de14610905578063dbe466b11461089c578063e30c397814610873578063e598d2dc146105a9578063ead3bbde146104ec578063eef09bad146104ce578063f0490b8a14610468578063f2fde38b146103fb578063f374fd95146103b1578063f404725a14610393578063f5be0b181461035a5763f73feb0b1461031957600080fd5b346103575760203660031901126103575760209060ff906040906001600160a01b03610343612fda565b168152600684522054166040519015158152f35b80fd5b5034610357576020366003190112610357576020906040906001600160a01b03610382612fda565b168152600783522054604051908152f35b50346103575780600319360112610357576020601554604051908152f35b5034610357576103e860406103f7926103c936613031565b6001600160a01b03909316845260086020529390922090929190615502565b60409391935193849384613088565b0390f35b503461035757602036600319011261035757610415612fda565b61041d6131a0565b600180546001600160a01b0319166001600160a01b0392831690811790915582549091167f38d16b8cac22d99fc7c124b9cd0de2d3fa1faef420bfe791d8c362d765e227008380a380f35b503461035757602036600319011261035757610482612fda565b61048a6131a0565b6001600160a01b0316808252600660205260408220805460ff191690557f30acaa541089592567cd4ce36437c68778a43e66dc1a9e7031e4496faf4593258280a280f35b50346103575780600319360112610357576020601754604051908152f35b50346103575760209081600319360112610357576004358152601082526040812060019283820154906040519384828554918281520190819583528383209088845b82811061058d575050505085610545910386612f60565b60405194604086019060408752518091526060860194915b818110610571575050508380955001520390f35b82516001600160a01b031686529483019491830191870161055d565b83546001600160a01b031685529386019392810192810161052e565b5034610357576060366003190112610357576001600160401b0360043581811161085857828160040192610200600319843603011261086f57602435926044359182116108585781600401916060600319823603011261086b5761060b613524565b6001600160a01b0361061d86886136db565b166040519061062b82612ec5565b81528560208201526040519061064082612e94565b815283356020820152602482013560408201526040519361066085612ec5565b30855286602086015261077861067589613510565b9460405161010460208201927f1504b08f6c78d6c851e6e171538371e1b8fcfa838ca27a21814c9b6a45fd309484526024810135604084015201356060820152606081526106c281612f0f565b519020916044604051956106d587612f2a565b607e87527f53696c656e74537761704465706f736974207769746e6573732953696c656e7460208801527f537761704465706f7369742862797465733332206f7264657249642c6279746560408801527f733332207061796c6f61644861736829546f6b656e5065726d697373696f6e7360608801527f286164647265737320746f6b656e2c75696e7432353620616d6f756e74290000608088015201906134de565b6e22d473030f116ddee9f6b43ac78ba33b15610867576107fe604095610811948a986107d789519b8c9a8b9a6309be14ff60e11b8c526107bc60048d0182516135f6565b602081015160448d0152015160648b015260848a01906135f6565b6001600160a01b031660c488015260e4870152610140610104870152610144860190613451565b848103600319016101248601529161360e565b0381836e22d473030f116ddee9f6b43ac78ba35af1801561085c57610844575b505061083c9161362f565b600160025580f35b61084d90612ee0565b610858578238610831565b8280fd5b6040513d84823e3d90fd5b8780fd5b8380fd5b5080fd5b50346103575780600319360112610357576001546040516001600160a01b039091168152602090f35b5034610357576020366003190112610357576108b6612fda565b6108be6131a0565b6001600160a01b0316808252600d6020526040822082815560006001909101557fe5a19a76470297a1f85f9a38f3ff148b4c8cdc1209e074dbe59db5e22eb31a3a8280a280f35b5034610357576020366003190112610357577fc3154023460b268c4d7ec2a44f4ec0ce1c9ac2b75a11715ad854b1845c4c00fc6020600435610945614bba565b80601955604051908152a180f35b50346103575760031960c03682011261086f57600435906001600160401b038211610858576102009082600401923603011261086f576024356080366043190112610858576109a0613524565b6109aa81836136db565b916001600160a01b03808416906109c083613510565b60643560ff811680910361086757833b1561086757826040519263d505accf60e01b84521660048301523060248301528560448301526044356064830152608482015260843560a482015260a43560c4820152868160e48183875af19081610b1a575b50610b0b576020906044610a3685613510565b6040519485938492636eb1769f60e11b84521660048301523060248301525afa8015610b005783918691610ac8575b5010610a8a57610a858261083c945b3090610a7f85613510565b90613545565b61362f565b60405162461bcd60e51b815260206004820152601660248201527511d85d195dd85e4e881c195c9b5a5d0819985a5b195960521b6044820152606490fd5b9150506020813d8211610af8575b81610ae360209383612f60565b81010312610af45782905138610a65565b8480fd5b3d9150610ad6565b6040513d87823e3d90fd5b5050610a858261083c94610a74565b610b2690979197612ee0565b9538610a23565b50346103575760203660031901126103575760209060ff906040906001600160a01b03610b58612fda565b168152600584522054166040519015158152f35b503461035757604036600319011261035757600435602435610b8c6131a0565b80158015610c1a575b15610bd557816040917fa262a1c68936156fff5f117975dba37b9cb10c3c20d18aa508a6cd39065ee47b936013558060145582519182526020820152a180f35b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a20636c61696d2077696e646f77206973207a65726f0000006044820152606490fd5b50811515610b95565b50346103575780600319360112610357576020601354604051908152f35b503461035757806003193601126103575760408051610c5f81612e94565b82815282602082015201526060604051610c7881612e94565b600a5490818152600b54602082019081526040600c549201918252604051928352516020830152516040820152f35b503461035757602036600319011261035757610cc1612fda565b610cc96131a0565b6001600160a01b03168015610d1157600e80546001600160a01b031916821790557f10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8280a280f35b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20747265617375727920697320746865207a65726f206164604482015264647265737360d81b6064820152608490fd5b50346103575760203660031901126103575760125460043590610d9c90336001600160a01b0391821614908115610de8575b50614b62565b8082526018602052610db360408320541515614cd3565b80825260186020528160408120557fbaa1eb22f2a492ba1a5fea61b8df4d27c6c8b5f3971e63bb58fa14ff72eedb708280a280f35b9050835416331438610d96565b503461035757602036600319011261035757610e0f612fda565b610e17614bba565b6001600160a01b0316808252600560205260408220805460ff191660011790557f835bddf1ceee4956e4329af9edf018523c1191238187a597453f6020bcadb0428280a280f35b5034610357576020366003190112610357577fedd2c15cb1225ce15cf67efa55cea2672bfea32d9d9cbf34716bd04b76194b536020600435610e9e614bba565b80601755604051908152a180f35b50346103575760209081600319360112610357576004356001600160401b03811161086f57610edf903690600401613004565b610ee76131a0565b6001600160e01b03198235818116908290600485106110db575b50501663094f710d60e11b81149081156110ca575b81156110b9575b81156110a8575b8115611097575b8115611086575b8115611075575b8115611064575b501561101f57610f51368284612f9e565b84815191012092838152601885526040812054610fce57917f08772fac4f2fcaae2b063c443814eb39d26d5bb056459db1f654039ca905b07c9160408594610f9b601754426136a9565b91818784935260188a522055610fbe60405193849360408552604085019161360e565b90878301520390a2604051908152f35b60405162461bcd60e51b8152600481018690526024808201527f476174657761793a206f7065726174696f6e20616c72656164792073636865646044820152631d5b195960e21b6064820152608490fd5b60405162461bcd60e51b815260048101859052601f60248201527f476174657761793a2063616c6c206973206e6f742074696d656c6f636b6564006044820152606490fd5b637b715b2960e01b14905038610f40565b634506d62560e11b81149150610f39565b636be38c6f60e11b81149150610f32565b63af267f8f60e01b81149150610f2b565b6346257eb560e01b81149150610f24565b632ea6640160e01b81149150610f1d565b632d91b06560e21b81149150610f16565b908092508460040360031b1b16168138610f01565b503461035757602036600319011261035757604061012091600435815260036020522060ff8154169060018101549060018060a01b03806002830154169080600384015416906004840154906005850154169160068501549360086007870154960154966040519861116181613068565b8952602089015260408801526060870152608086015260a085015260c084015260e0830152610100820152f35b5034610357576060366003190112610357576001600160401b0360043560243582811161086b576111c3903690600401613004565b92604435908111610af4576111dc903690600401613004565b6111e7929192613524565b838652600360205260408620926111fd84614f7a565b61126c61126561124c60405160208101907fab1417524886d631bf88c47a7f88d9a906122217bc08d3c5a21c80abcf1a807782528960408201526040815261124481612e94565b5190206153df565b60038701546001600160a01b0316989095369190612f9e565b84886132cd565b9283611316575b505050156112c15760206112b27fb2705df32ac67fc3101f496cd7036bf59074a603544d97d73650b6f09744986a92600360ff19825416178155614ff0565b604051908152a3600160025580f35b60405162461bcd60e51b815260206004820152602760248201527f476174657761793a20696e76616c69642063616e63656c6c6174696f6e207369604482015266676e617475726560c81b6064820152608490fd5b611321935084614e20565b388080611273565b503461035757602036600319011261035757602061134d611348612fda565b614aa7565b604051908152f35b503461035757604036600319011261035757600435906001600160401b03908183116103575736602384011215610357578260040135918211610357573660248360051b8501011161035757602061134d848460248035920161480e565b5034610357576060366003190112610357576113cd612fda565b6001600160a01b0316815260086020526040812080546024359060443581831161164f575b6113fc8383614755565b8110156116485761140e9150826136a9565b905b8392815b8381106115f55750611425846146ff565b906114336040519283612f60565b848252601f199384611444876146ff565b01366020850137611454866146ff565b946114626040519687612f60565b86865261146e876146ff565b01875b8181106115a757505086935b8181108061159e575b1561158e576114958184615405565b90549060031b1c885260036020526040882060ff815416906114b682613068565b600182146114cf575b50506114ca906136cc565b61147d565b9561158691600884986114e56114ca9689615405565b90549060031b1c6114f6858b614762565b526040519261150484612ef3565b61150d81613068565b83526001810154602084015260028101546001600160a01b0390811660408501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e08401520154610100820152611575828a614762565b526115808189614762565b506136cc565b9490386114bf565b604051806103f784898884613088565b50868510611486565b6020906040516115b681612ef3565b8a81528a838201528a60408201528a60608201528a60808201528a60a08201528a60c08201528a60e08201528a61010082015282828a01015201611471565b6115ff8183615405565b9054600391821b1c8752602052600160ff60408820541661161f81613068565b14611633575b61162e906136cc565b611414565b9361164061162e916136cc565b949050611625565b5090611410565b915080916113f2565b5034610357578060031936011261035757546040516001600160a01b039091168152602090f35b503461035757602036600319011261035757611699612fda565b6116a1614bba565b601280546001600160a01b0319166001600160a01b039290921691821790557f6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf8280a280f35b5034610357576003199060203683011261035757600435916001600160401b039081841161085857604090843603011261086f57611723613524565b601260ff815460a81c16611dd55760248401906001600160a01b0361174783613510565b168452600660205260ff60408520541615611dc357839261176b6004870180614692565b939050601a548411611db15761178390969596613510565b9083875b858110611d71575061179881614716565b6117aa6117a483614716565b92614716565b92604051908160805281608081011090608083011117611d5d576080819695960160405252602060805101526040608051015285606060805101526117ee83614716565b60c0526117fa83614716565b948660e05286925b8484106118c9575b5050505050825b608051606081015182101561187a57516118759190611870906001600160a01b039061183e908490614762565b511660018060a01b036118578460206080510151614762565b51166118698460406080510151614762565b5191614786565b6136cc565b611811565b5050915b60e0518110611897576020836001600255604051908152f35b6118c49061187060018060a01b036118b18360c051614762565b51166118bd8386614762565b5190615057565b61187e565b9193956118eb846118e58460049b9597999b0187600401614692565b906146c7565b93843583526003602052604083209560ff87541661190881613068565b60018103611d36575061191b88876151a4565b600788015480611ce5575b506119406020880191611939838a6134de565b918b614e20565b159081611c51575b50611c3f5761195687614d81565b15611bc157600260ff1988541617875560048701549861198561197e60068a0154809c614755565b809c6136a9565b91855b60e051811080611b91575b156119a6576119a1906136cc565b611988565b909791989299949a6119d26119d9916119cc989e9698848f60e0518214611b5c57614762565b516136a9565b918c614762565b526119e76040820182614692565b8093915015611b15575b600501546001600160a01b0316838c5b848110611a1e57505050505050611a17906136cc565b9291611802565b600181018111611b0157600181018503611ab757611ab290611a408780614755565b96611a6d81611a64611a5f85611a5960408c018c614692565b90614776565b613510565b876080516150c2565b81611a90611a5f611a8160408a018a614692565b6001600160a01b039491614776565b16906040519081526000805160206158028339815191526020883592a36136cc565b611a01565b611ac881611a596060870187614692565b358281810204811483151715611aed5790611a40612710611ab2938502048098614755565b634e487b7160e01b8f52601160045260248ffd5b634e487b7160e01b8e52601160045260248efd5b611b2f848860018060a01b036005850154166080516150c2565b6040518481526001600160a01b0388169083359060008051602061580283398151915290602090a36119f1565b60018060a01b0360058a01541660e05160a052611b7a60e0516136cc565b60e052611b8b60a05160c051614762565b52614762565b5060c0516001600160a01b0390611ba9908390614762565b5160058c01546001600160a01b031691161415611993565b95505095509593505050600160a81b60ff60a81b198254161790556040516001815260406020820152602160408201527f476174657761793a20636c61696d2077696e646f7720636170207265616368656060820152601960fa1b60808201526000805160206157c283398151915260a03092a2388080808061180a565b60405163200d5a4760e21b8152600490fd5b9050611c606040880188614692565b9050159081611cd9575b81611c78575b501538611948565b611cd3915060405160208101908935825260208152611c9681612ec5565b5190207b0ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d05199960211b8752601c52611ccc603c872091896134de565b918a614e20565b38611c70565b60195442109150611c6a565b6041611cf460208a018a6134de565b90500490865260106020526001604087200154808210611d145750611926565b60405163307742c960e01b8152918291611d32918d6004850161318a565b0390fd5b60405163a4a94c7f60e01b8152600481018a9052604491611d5681613068565b6024820152fd5b634e487b7160e01b8a52604160045260248afd5b96979690611da990611da390611d9b611d91856118e560048f0180614692565b6040810190614692565b9190506136a9565b916136cc565b979697611787565b604051630e4997ff60e11b8152600490fd5b60405163d801248d60e01b8152600490fd5b60405163650734fb60e11b8152600490fd5b503461035757604036600319011261035757611e01612fda565b602435611e0c6131a0565b6001600160a01b03918216918215159081611ee8575b5015611e8d5760207f8a3643f6443b8f757dc2213cb9194ff14280e39c51dbb499bcc57977e13c485891604051611e5881612ec5565b600181526001838201838152868852600d8552604088209251151560ff8019855416911617835551910155604051908152a280f35b60405162461bcd60e51b815260206004820152602d60248201527f476174657761793a205553444320697320636f6e66696775726564207468726f60448201526c75676820736574436f6e66696760981b6064820152608490fd5b90507f00000000000000000000000000000000000000000000000000000000000000001682141538611e22565b5034610357576020366003190112610357576020906040906001600160a01b03611f3d612fda565b168152600983522054604051908152f35b503461035757602036600319011261035757600435600281101561086f57611fbe7f861a5383d673c00f1993b4e3297d0c6740577e803776f5817101c176d463704091611f99614bba565b600e805460ff60a01b191660a083901b60ff60a01b1617905560405191829182613177565b0390a180f35b50346103575780600319360112610357576001546001600160a01b033381831603612018576001600160a01b031991821660015582543392811683178455166000805160206158228339815191528380a380f35b60405163118cdaa760e01b8152336004820152602490fd5b5034610357578060031936011261035757600a54600b54906103f7600c546040519384938461318a565b50346103575760203660031901126103575760209060ff906040906001600160a01b03610343612fda565b5034610357576020366003190112610357576004356120a2613524565b808252600360205260408220906120b882614f7a565b6121136001830154604051907f476174657761793a206f72646572206e6f7420657870697265643b206578706960208301526403932b99d160dd1b60408301528060458301526045825261210b82612f0f565b42101561367d565b815460ff1916600390811783558201546001600160a01b0316917f668cb0582f35d8cc1e62959951f2b36e581df3c31a96a7ff714883facb8fef07906020906112b290614ff0565b50346103575780600319360112610357576121746131a0565b600180546001600160a01b03199081169091558154908116825581906001600160a01b03166000805160206158228339815191528280a380f35b5034610357576020366003190112610357576121c8612fda565b6121d06131a0565b6001600160a01b0316808252600560205260408220805460ff191690557fc6e35658c76ecdde40a54f31a91fb7c8615e9893cc0885584b27bb3433270d468280a280f35b503461035757806003193601126103575760206040516e22d473030f116ddee9f6b43ac78ba38152f35b50346103575760031960403682011261086f57600435906001600160401b0382116108585761020082600401918336030112610858577f7dd3317a73d26b7f3fe5f8f83ec2ad44263c2d04d207ad4e59b535f9ea7098a6604060246122be8135946122a7613524565b611a5f866122b581846136db565b30903390613545565b825194855260c48601356020860152940135936001600160a01b031692a3600160025580f35b5034610357578060031936011261035757600e546040516001600160a01b039091168152602090f35b5034610357578060031936011261035757602060ff60125460a01c166040519015158152f35b503461035757604036600319011261035757600435600381101561086f57602435906001600160401b038211610858576123c46000805160206157c2833981519152916123876123d7943690600401613004565b94906012546123a860018060a01b03808316331490811561240b5750614b62565b600184036123f5575b50826123dd575b60405193848094614748565b604060208401523395604084019161360e565b0390a280f35b6012805460ff60a81b1916600160a81b1790556123b8565b60ff60a01b1916600160a01b17601255386123b1565b9050895416331438610d96565b50346103575760203660031901126103575760ff60406020926004358152600384522054166040519061244a81613068565b8152f35b50346103575760203660031901126103575760406020916004358152600483522054604051908152f35b50346103575760203660031901126103575760409081906001600160a01b0361249f612fda565b168152600d60205220600160ff825416910154825191151582526020820152f35b503461035757602090600319828136011261086f576004356001600160401b03811161085857610200816004019282360301126108585761014490612503613524565b019061250f82826134de565b60609391931161086b5761252283612ff0565b604061252f878601612ff0565b940135936001600160a01b0391828061254787613510565b1691160361266357813091160361261957849182612572819361256a88886136db565b1692866134de565b6125a860248b836040969596519485928301976377aadf6360e11b89528484013781018583820152036004810184520182612f60565b51925af16125b4613476565b50156125c4579061083c9161362f565b60405162461bcd60e51b815260048101859052602760248201527f476174657761793a207265636569766520617574686f72697a6174696f6e206660448201526661696c6564282960c81b6064820152608490fd5b60405162461bcd60e51b815260048101879052602e60248201526000805160206157e283398151915260448201526d1bdd081d1bc818dbdb9d1c9858dd60921b6064820152608490fd5b60405162461bcd60e51b815260048101889052602e60248201526000805160206157e283398151915260448201526d37ba10333937b69039b4b3b732b960911b6064820152608490fd5b5034610357578060031936011261035757602060ff60125460a81c166040519015158152f35b5034610357576020366003190112610357577f0ccf41be00f84562774870cfe33858f99c278dac0a06dae1e51b73a84205e90c6020600435612713614bba565b80601a55604051908152a180f35b50346103575780600319360112610357576012546040516001600160a01b039091168152602090f35b50346103575780600319360112610357576040517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b5034610357576060366003190112610357576004356024356044356001600160401b03811161086b576127c6903690600401613004565b91908385526020926003845260408620906127e082614f7a565b60018201928354804210156129855785118061296b575b1561292857612842604051878101907f662b626b2c4371c91aa45fb3bb2748441a615f60521a1ef039156ed325e8060682528960408201528760608201526060815261124481612f0f565b612856612850368585612f9e565b8261338f565b505093604184149485612909575b5084156128f6575b50505050156128a55790807fc984d7002880c41b63bec16100146b387aabc70b0ae2b120a70580b8171baf2c939255604051908152a280f35b60405162461bcd60e51b8152600481018490526024808201527f476174657761793a20696e76616c696420657874656e73696f6e207369676e616044820152637475726560e01b6064820152608490fd5b6129009450614e20565b3880808061286c565b6001600160a01b03168a526005885260408a205460ff16945038612864565b60405162461bcd60e51b815260048101879052601b60248201527a23b0ba32bbb0bc9d1034b73b30b634b21032bc3834b930ba34b7b760291b6044820152606490fd5b5061297d6008840154600b54906136a9565b8511156127f7565b60405162461bcd60e51b815260048101889052601660248201527511d85d195dd85e4e881bdc99195c88195e1c1a5c995960521b6044820152606490fd5b50346103575780600319360112610357576020601654604051908152f35b50346103575780600319360112610357576103f760ff600e5460a01c1660405191829182613177565b5034610357578060031936011261035757602061134d614c2e565b5034610357576103e860406103f792612a3d36613031565b6001600160a01b03909316845260096020529390922090929190615502565b503461035757602036600319011261035757600435600381101561086f57612a826131a0565b60018103612ad9575b80612ac7575b612a9e6040518092614748565b7fe33b1e8c9a3225cc5a849e3f9c6d9c272be7915b24983c2a048dfe7c79390f4160203392a280f35b6012805460ff60a81b19169055612a91565b6012805460ff60a01b19169055612a8b565b503461035757602036600319011261035757612b05612fda565b612b0d614bba565b6001600160a01b0316808252600660205260408220805460ff191660011790557fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017398280a280f35b50346103575760208060031936011261086f576004356001600160401b03811161085857612b86903690600401613004565b9091612b906131a0565b612b9b368385612f9e565b81815191012092838552601882526040852054612bb9811515614cd3565b4210612c4257906123d77fda66fcfe5711520a570ced34d4cdebbe652fe74713bf2bc9db4ba54357e5a96f93928587526018835286604081205560ff19600181601b541617601b55612c298880612c11368987612f9e565b878151910182305af1612c22613476565b9030614d1e565b50601b5416601b5560405193838594855284019161360e565b60405162461bcd60e51b815260048101839052601c60248201527b476174657761793a206f7065726174696f6e206e6f7420726561647960201b6044820152606490fd5b50346103575760203660031901126103575760406020916004358152601883522054604051908152f35b50346103575780600319360112610357576020601954604051908152f35b503461035757606036600319011261035757604435602435600435612cf1614bba565b818111612d4e57611fbe837f6d05db271e19f930af71c4765de54ef86294762644c20f4d6fd2609d057d3c7b9460408051612d2b81612e94565b858152866020820152015282600a5583600b5580600c556040519384938461318a565b60405162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d757374206265604482015272101e1e9036b0bc34b6bab6a23ab930ba34b7b760691b6064820152608490fd5b50346103575780600319360112610357576020601454604051908152f35b5034610357576020366003190112610357576020906040906001600160a01b03612df5612fda565b168152600f83522054604051908152f35b5034610357576080366003190112610357576044356001600160401b03811161086f573660238201121561086f57612e48903690602481600401359101612f9e565b606435916001600160a01b0383168303610357576020612e6e8484602435600435613275565b6040519015158152f35b90503461086f578160031936011261086f57602090601a548152f35b606081019081106001600160401b03821117612eaf57604052565b634e487b7160e01b600052604160045260246000fd5b604081019081106001600160401b03821117612eaf57604052565b6001600160401b038111612eaf57604052565b61012081019081106001600160401b03821117612eaf57604052565b608081019081106001600160401b03821117612eaf57604052565b60a081019081106001600160401b03821117612eaf57604052565b60e081019081106001600160401b03821117612eaf57604052565b601f909101601f19168101906001600160401b03821190821017612eaf57604052565b6001600160401b038111612eaf57601f01601f191660200190565b929192612faa82612f83565b91612fb86040519384612f60565b829481845281830111612fd5578281602093846000960137010152565b600080fd5b600435906001600160a01b0382168203612fd557565b35906001600160a01b0382168203612fd557565b9181601f84011215612fd5578235916001600160401b038311612fd55760208381860195010111612fd557565b6080906003190112612fd5576004356001600160a01b0381168103612fd557906024356004811015612fd557906044359060643590565b6004111561307257565b634e487b7160e01b600052602160045260246000fd5b9392916060918286019083875280518092526080938488019260208093019060005b81811061316357505050878303828901528180855194858152019401946000915b8483106130e057505050505060409150930152565b909192939484610120600192895180516130f981613068565b82528381015184830152848060a01b0360408181840151169084015280878301511687840152878201518884015260a09081830151169083015260c0808201519083015260e0808201519083015261010080910151908201520197019301919095949392956130cb565b8251865294840194918401916001016130aa565b9190602083019260028210156130725752565b6040919493926060820195825260208201520152565b6000546001600160a01b0316330361201857565b60005b8381106131c75750506000910152565b81810151838201526020016131b7565b81601f82011215612fd55780516131ed81612f83565b926131fb6040519485612f60565b81845260208284010111612fd55761321991602080850191016131b4565b90565b91606083830312612fd55782516001600160a01b0381168103612fd557602084015190936001600160401b03939091848111612fd5578161325e9184016131d7565b936040830151908111612fd55761321992016131d7565b613219939160405190602082019261190160f01b845260228301526042820152604281526132a281612f0f565b519020906132af836134a6565b156132cd5791806020806132c89351830101910161321c565b915050915b9091813b613308576132df919261338f565b506132e981613068565b1591826132f557505090565b6001600160a01b03918216911614919050565b600091829160405161334c8161333e6020820194630b135d3f60e11b998a87526024840152604060448401526064830190613451565b03601f198101835282612f60565b51915afa90613359613476565b82613381575b8261336957505090565b909150602081805181010312612fd557602001511490565b91506020825110159161335f565b81519190604183036133c0576133b992506020820151906060604084015193015160001a906133cb565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841161344557926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa156134395780516001600160a01b0381161561343057918190565b50809160019190565b604051903d90823e3d90fd5b50505060009160039190565b9060209161346a815180928185528580860191016131b4565b601f01601f1916010190565b3d156134a1573d9061348782612f83565b916134956040519384612f60565b82523d6000602084013e565b606090565b8051602081106134d75701517f64926492649264926492649264926492649264926492649264926492649264921490565b5050600090565b903590601e1981360301821215612fd557018035906001600160401b038211612fd557602001918136038313612fd557565b356001600160a01b0381168103612fd55790565b60028054146135335760028055565b604051633ee5aeb560e01b8152600490fd5b6040516323b872dd60e01b60208201526001600160a01b03928316602482015292909116604483015260648083019390935291815261358c9161358782612f2a565b61358e565b565b906000602091828151910182855af1156135ea576000513d6135e157506001600160a01b0381163b155b6135bf5750565b604051635274afe760e01b81526001600160a01b039091166004820152602490fd5b600114156135b8565b6040513d6000823e3d90fd5b80516001600160a01b03168252602090810151910152565b908060209392818452848401376000828201840152601f01601f1916010190565b907facc794f52427786f12f34f1c111f79c65476905ce8685dd43515e11c8163a2166040602061365e85613510565b825194855260c086013582860152940135936001600160a01b031692a3565b156136855750565b60405162461bcd60e51b815260206004820152908190611d32906024830190613451565b919082018092116136b657565b634e487b7160e01b600052601160045260246000fd5b60001981146136b65760010190565b91909160ff60125460a01c16614301576136f86101608201613510565b61379361370482614aa7565b85151590816142f6575b61371790614341565b9061378e605a60405180947f476174657761793a207265636569766520617574686f72697a6174696f6e2061602083015279036b7bab73a103a37b7903637bb9d9036b4b734b6bab69034b9960351b604083015261377e81518092602086860191016131b4565b810103603a810185520183612f60565b61367d565b6001600160a01b0316806142f057507f0000000000000000000000000000000000000000000000000000000000000000905b819380610180830135116142ad576101c08201358110158061428b575b156142375760a08201354210156141f6576138cd600a548060c08501351015806141e6575b61378e605161382261381c60c0890135614341565b94614341565b9361382e600b54614341565b60405195869279023b0ba32bbb0bc9d1034b73b30b634b210323ab930ba34b7b7160351b602085015261386b815180926020603a880191016131b4565b83017101d9036bab9ba103132903132ba3bb2b2b7160751b603a82015261389c825180936020604c850191016131b4565b016401030b732160dd1b604c8201526138be82518093602087850191016131b4565b01036031810185520183612f60565b6001600160a01b036138e160608401613510565b16600052600560205260ff60406000205416156141a2576101a08201356140c0575b60208201356000526003602052604060002060048101541590816140aa575b501561406557610100820135600052600460205260406000205461402057613a93613a8a613a6d61395285613510565b61395e60408701613510565b604051917f9ec54b72a7cab21ea05df1a5b5e57da49981819cdef0cbf20ac7c55b8bcf2a1060208401526020880135604084015260018060a01b0316606083015260018060a01b0316608082015260a086013560a082015260e086013560c082015260c081526139cd81612f45565b6139da6101608701613510565b60405190610100880135602083015260018060a01b0316604082015261018087013560608201526101a087013560808201526101c087013560a08201526101e087013560c082015260c08152613a2f81612f45565b6112446020604051809382613a4d81840197888151938492016131b4565b8201613a61825180938680850191016131b4565b01038084520182612f60565b613a84613a7d60808701876134de565b3691612f9e565b9061338f565b909291926144a3565b806001600160a01b03613aa860608601613510565b6001600160a01b039092169116141580614015575b613d6a575b6001600160a01b03613ad660608501613510565b166001600160a01b0390911603613d1357613b3e613b2e613b1b613af985613510565b613b15610120870191613b0f613a7d848a6134de565b9061452e565b856134de565b9190613b2686613510565b923691612f9e565b61010085013560e0860135613275565b15613cc057600861358c93613b5760c0850135426136a9565b90613b6460408601613510565b93613b6e86613510565b9160405195613b7c87612ef3565b6001875260208701948552604087019060018060a01b03168152606087019360018060a01b031684526080870192835260a087019160018060a01b0316825260c0870192610180890135845260e08801946101a08a0135865261010089019642885260208b0135600052600360205260406000209951613bfb81613068565b613c0481613068565b60ff80198c54169116178a555160018a0155600289019260018060a01b039051169260018060a01b03199384825416179055600389019060018060a01b0390511683825416179055516004880155600587019160018060a01b0390511690825416179055516006850155516007840155519101556101008101356000526004602052602081013560406000205560018060a01b03613ca182613510565b1660005260076020526040600020613cb981546136cc565b9055615452565b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20696e76616c69642074797065642064617461207369676e604482015264617475726560d81b6064820152608490fd5b60405162461bcd60e51b815260206004820152602960248201527f476174657761793a20696e76616c6964206f7264657220617070726f76616c206044820152687369676e617475726560b81b6064820152608490fd5b50613ea8613a8a613d7a84613510565b613d8660408601613510565b604051916020870135602084015260018060601b03199060601b16604083015260018060601b03199060601b16605482015260a0850135606882015260e0850135608882015261010085013560a882015260a88152613de481612f45565b806101c08601351590811591614006575b81908215613ff7575b81908215613fe8575b818215613fca575b613f71575b50613f33575b613ef5575b613ead575b613e2e8151614341565b90613e95603a60405180936020820195790ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d0560311b8752613e7181518092602087870191016131b4565b8201613e8682518093602087850191016131b4565b0103601a810184520182612f60565b519020613a84613a7d60808701876134de565b613ac2565b613ef0606060405183613eca8295518092602080860191016131b4565b81016101c089013560208201526101e08901356040820152036040810184520182612f60565b613e24565b90613f2d6040805183613f128295518092602080860191016131b4565b81016101a08a01356020820152036020810184520182612f60565b90613e1f565b91613f6b6040805183613f508295518092602080860191016131b4565b81016101808b01356020820152036020810184520182612f60565b91613e1a565b909350613fc36034613f866101608b01613510565b926040519381613fa08693518092602080870191016131b4565b82019060018060601b03199060601b166020820152036014810184520182612f60565b9238613e14565b506001600160a01b03613fe06101608b01613510565b161515613e0f565b61018089013515159150613e07565b6101a088013515159150613dfe565b6101e087013515159150613df5565b506019544210613abd565b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a207061796c6f616420616c726561647920757365640000006044820152606490fd5b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a206f7264657220616c7265616479206578697374730000006044820152606490fd5b600201546001600160a01b031615905038613922565b6001600160a01b036140d460408401613510565b16614144576101a082013560005260106020526001604060002001546139035760405162461bcd60e51b815260206004820152602260248201527f476174657761793a206e6f7461727920736574206e6f74207265676973746572604482015261195960f21b6064820152608490fd5b60405162461bcd60e51b815260206004820152603060248201527f476174657761793a206e6f7461727920736574206f7264657273206d7573742060448201526f6e6f74207365742061206e6f7461727960801b6064820152608490fd5b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a20617070726f766572206e6f7420617574686f72697a65646044820152fd5b50600b5460c08501351115613807565b60405162461bcd60e51b815260206004820152601960248201527811d85d195dd85e4e88185c1c1c9bdd985b08195e1c1a5c9959603a1b6044820152606490fd5b60405162461bcd60e51b815260206004820152602660248201527f476174657761793a20616d6f756e74206f7574736964652065787065637465646044820152652072616e676560d01b6064820152608490fd5b506101e082013580159081156142a2575b506137e2565b90508111153861429c565b60405162461bcd60e51b815260206004820152601b60248201527a11d85d195dd85e4e8819995948195e18d959591cc8185b5bdd5b9d602a1b6044820152606490fd5b906137c5565b80871015915061370e565b60405162461bcd60e51b815260206004820152601860248201527711d85d195dd85e4e8819195c1bdcda5d1cc81c185d5cd95960421b6044820152606490fd5b6000908072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b80821015614495575b506904ee2d6d415b85acef8160201b80831015614486575b50662386f26fc1000080831015614477575b506305f5e10080831015614468575b5061271080831015614459575b506064821015614449575b600a8092101561443f575b600190816021818601956143d487612f83565b966143e26040519889612f60565b8088526143f1601f1991612f83565b01366020890137860101905b614409575b5050505090565b600019019083906f181899199a1a9b1b9c1cb0b131b232b360811b8282061a83530491821561443a579190826143fd565b614402565b91600101916143c1565b91906064600291049101916143b6565b600491939204910191386143ab565b6008919392049101913861439e565b6010919392049101913861438f565b6020919392049101913861437d565b604093508104915038614365565b6144ac81613068565b806144b5575050565b6144be81613068565b600181036144d85760405163f645eedf60e01b8152600490fd5b6144e181613068565b600281036145025760405163fce698f760e01b815260048101839052602490fd5b8061450e600392613068565b146145165750565b602490604051906335e2f38360e21b82526004820152fd5b90813b15801590614682575b61467e576145599161459391602093818580809451830101910161321c565b506040805163e97fac0560e01b81526001600160a01b03938416600482015260248101919091529491929185918291906044830190613451565b0381600080957f0000000000000000000000000000000000000000000000000000000000000000165af1928315614671578193614635575b50508161462a575b50156145dc5750565b6084906040519062461bcd60e51b82526004820152602160248201527f476174657761793a207369676e6572206465706c6f796d656e74206661696c656044820152601960fa1b6064820152fd5b90503b1515386145d3565b909192508381813d831161466a575b61464e8183612f60565b8101031261086f575190811515820361035757509038806145cb565b503d614644565b50604051903d90823e3d90fd5b5050565b5061468c816134a6565b1561453a565b903590601e1981360301821215612fd557018035906001600160401b038211612fd557602001918160051b36038313612fd557565b91908110156146e95760051b81013590607e1981360301821215612fd5570190565b634e487b7160e01b600052603260045260246000fd5b6001600160401b038111612eaf5760051b60200190565b90614720826146ff565b61472d6040519182612f60565b828152809261473e601f19916146ff565b0190602036910137565b9060038210156130725752565b919082039182116136b657565b80518210156146e95760209160051b010190565b91908110156146e95760051b0190565b60405163a9059cbb60e01b60208201526001600160a01b03909216602483015260448083019390935291815261358c9161358782612f0f565b60408082528101839052939291606085019060005b8181106147e657505060209150930152565b90916001906001600160a01b036147fc86612ff0565b168152602094850194019291016147d4565b92919283151580614a9d575b15614a4e576040938451946020958681019061483c8161333e868989876147bf565b51902095600087815260108252600191828483200154614a4557815b878110614956575088825260108152838220916001600160401b03881161494257600160401b881161494257825488845580891061491b575b5090869492918a979896949890838152828120905b8881106148ec575050505090827f573e3911b05935e937ee554ff61e0daa6e646838c228ed4e3ef20d8b23334a9196976148e79493015551938493846147bf565b0390a2565b8383949596989a506149028c989a9c9394613510565b9401938184015501908b989694939291999795996148a6565b838252848984842092830192015b828110614937575050614891565b838155018590614929565b634e487b7160e01b81526041600452602490fd5b614964611a5f828a8a614776565b81614a115783905b6001600160a01b0391821690821611156149b9578a8452601183528584206149b4929161499d611a5f848d8d614776565b1685528352858420805460ff1916861790556136cc565b614858565b855162461bcd60e51b815260048101849052602b60248201527f476174657761793a206e6f746172696573206d75737420626520736f7274656460448201526a20616e6420756e6971756560a81b6064820152608490fd5b6000198201828111614a3157611a5f614a2b918b8b614776565b9061496c565b634e487b7160e01b85526011600452602485fd5b50505050505050565b60405162461bcd60e51b815260206004820152602160248201527f476174657761793a20696e76616c6964206e6f74617279207468726573686f6c6044820152601960fa1b6064820152608490fd5b508184111561481a565b6001600160a01b03908116908115908115614b36575b50614b2f5780600052600d60205260ff6040600020541615614aed57600052600d60205260016040600020015490565b60405162461bcd60e51b815260206004820152601a60248201527911d85d195dd85e4e881d1bdad95b881b9bdd08185b1b1bddd95960321b6044820152606490fd5b50600c5490565b90507f000000000000000000000000000000000000000000000000000000000000000016811438614abd565b15614b6957565b60405162461bcd60e51b815260206004820152602360248201527f476174657761793a2063616c6c6572206973206e6f742074686520677561726460448201526234b0b760e91b6064820152608490fd5b60ff601b5416158015614c24575b614bce57565b614bd66131a0565b601754614bdf57565b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a2063616c6c206d757374206265207363686564756c6564006044820152606490fd5b5030331415614bc8565b60405160208101907f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f82527fa066c4866ace849d172ed6470da6fc6742e94539c4062fa3d3aeeb26a047959160408201527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201524660808201523060a082015260a0815260c0810181811060018060401b03821117612eaf5760405251902090565b15614cda57565b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a206f7065726174696f6e206e6f74207363686564756c65646044820152fd5b90614d455750805115614d3357805190602001fd5b60405163d6bda27560e01b8152600490fd5b81511580614d78575b614d56575090565b604051639996b31560e01b81526001600160a01b039091166004820152602490fd5b50803b15614d4e565b6014549081158015614de5575b614dde57614dbb90614da5601554601354906136a9565b421015614dd0575b6004601654910154906136a9565b908111614dca57601655600190565b50600090565b426015556000601655614dad565b5050600190565b5060058101547f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0390811691161415614d8e565b90916007820154918215614f3f57506041928385049484810615801590614f25575b614f1a57600094855b878710614e5f575050505050505050600190565b8187028781048314881517156136b65760018801908189116136b657838202918083048514901517156136b657818111612fd557848211612fd557614eb49181614eae92369203908901612f9e565b8561338f565b5090916001600160a01b0390811690831690811180159250614ef3575b50614ee657614ee090966136cc565b95614e4b565b5050505050505050600090565b60ff9150876000526020906011825260409182600020916000525260002054161538614ed1565b505050505050600090565b508360005260106020526001604060002001548610614e42565b939260419250613a84614f5492853691612f9e565b505091149182614f6357505090565b600201546001600160a01b03918216911614919050565b61358c9054600160ff8216614f8e81613068565b604051927f476174657761793a206f72646572206e6f74206f70656e3b207374617475733a6020850152600160fd1b6040850152614fcb82613068565b60f81b6001600160f81b031916604184015260228352614fea83612e94565b1461367d565b9060ff600e5460a01c1660028110156130725760009060010361504e575061358c60068301545b615025816004860154614755565b93600581016150478660018060a01b0393846003818654169201541690614786565b5416615057565b61358c90615017565b811561467e577f9bcb6d1f38f6800906185471a11ede9a8e16200853225aa62558db6076490f2d602060018060a01b038093169283600052600f825260406000206150a38682546136a9565b90556150b48582600e541686614786565b600e541693604051908152a3565b9092919260005b606083015181108061515d575b156150e9576150e4906136cc565b6150c9565b916040906151149261511a959660608301918251871461511d575b5050500151936119cc8386614762565b92614762565b52565b615128878551614762565b6001600160a01b0391821690526020840151615145908890614762565b9116905261515381516136cc565b9052388080615104565b5060018060a01b0380615171838651614762565b51168184161490811591615186575b506150d6565b809150615197836020870151614762565b5116908616141538615180565b60408082016151b38184614692565b606085019591506151c48686614692565b905081036153c757801561538457600080915b8083106152eb57506127109150036152d457506151f49083614692565b8251602093928482019283919060005b878282106152b057505050509061522881615232949303601f198101835282612f60565b5190209484614692565b8251919591848101916001600160fb1b038111612fd5578582613219996152679360051b809187378101038084520182612f60565b519020918051938401947f06266af7e2b3f1cea06634cc7c9249d5aacf029a031285a188e72b56d33f188f86523590840152606083015260808201526080815261124481612f2a565b80600192939495838060a01b036152c688612ff0565b168152019401929101615204565b6024908351906314e5690d60e31b82526004820152fd5b90826152fd611a5f611a81888b614692565b16801590811561536b575b508015615355575b61533d576153306153369161532985611a598c8c614692565b35906136a9565b926136cc565b91906151d7565b85516314e5690d60e31b815260048101859052602490fd5b5061536483611a598a8a614692565b3515615310565b9050600052600660205260ff8660002054161538615308565b505050613219925080519060208201927fed44be2295b2ebe5c6569686306471f65a269e5c81ebfcf06192ac9cb7163e0084523581830152815261124481612e94565b83516314e5690d60e31b815260048101839052602490fd5b6042906153ea614c2e565b906040519161190160f01b8352600283015260228201522090565b80548210156146e95760005260206000200190600090565b8054600160401b811015612eaf5761543a91600182018155615405565b819291549060031b91821b91600019901b1916179055565b906001600160a01b038061546584613510565b1660009081526020600881526040928383209561548683820135809861541d565b6101a08101359081156154e05750835260108252838320835b81548110156154d65780836154b76154d19385615405565b90549060031b1c168652600985526118708988882061541d565b61549f565b5050505050509050565b8594939150916154f861358c97989660099401613510565b168352522061541d565b929190918354908183116157b8575b61551b8383614755565b8110156157b15761552d9150826136a9565b925b60009084835b86811061573c5750615546836146ff565b9260409061555682519586612f60565b808552601f199283615567836146ff565b013660208801378599615579836146ff565b9461558685519687612f60565b838652615592846146ff565b0160005b8181106156e757505084926000985b8b8110806156de575b156156d0576155bd8189615405565b90549060031b1c6000526003602052856000206155d98c613068565b8b1580156156b1575b6155f6575b506155f1906136cc565b6155a5565b8a6156aa918b61561b859e61560e6155f1978f615405565b90549060031b1c92614762565b52600889519161562a83612ef3565b60ff81541661563881613068565b83526001810154602084015260028101546001600160a01b039081168c8501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e0840152015461010082015261569f828b614762565b52611580818a614762565b99906155e7565b508b60ff8254166156c182613068565b6156ca81613068565b146155e2565b505096509650965050505050565b50818a106155ae565b60209086516156f581612ef3565b600081526000838201526000888201526000606082015260006080820152600060a0820152600060c0820152600060e0820152600061010082015282828a01015201615596565b61574586613068565b85158015615776575b615761575b61575c906136cc565b615535565b9261576e61575c916136cc565b939050615753565b506157818184615405565b9054600391821b1c6000526020528560ff604060002054166157a282613068565b6157ab81613068565b1461574e565b509261552f565b9150809161551156fe5ffe5e3aadf7cc1e85b083f800bd2f6d053bec33c3b578397229304ffe5211d2476174657761793a207265636569766520617574686f72697a6174696f6e206e46e470efd1d5601791612d2263f0a4437104a35be37a932cdc59dfe948c8dfbc8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0a2646970667358221220f4b45950928c00e3b9d081775bad47ed4b60def4b57687a330dbd5c300551a2664736f6c634300081400336080806040523461001657610159908161001c8239f35b600080fdfe608080604052600436101561001357600080fd5b6000803560e01c63e97fac051461002957600080fd5b34610120576040366003190112610120576004356001600160a01b038116810361011c576001600160401b0392602435848111610118573660238201121561011857806004013590858211610114573660248383010111610114579184818382969460248497018337810182815203925af1903d1561010a573d908382116100f65760405191601f19603f81601f8401160116830194838610908611176100e2576020946040528252833d92013e5b6040519015158152f35b634e487b7160e01b82526041600452602482fd5b634e487b7160e01b81526041600452602490fd5b50602091506100d8565b8480fd5b8380fd5b5080fd5b80fdfea26469706673582212205b324a733068109d40f370d3a282556e334d46f7db2a31966aeab7620f933cc064736f6c63430008140033";
 
 type SilentSwapV2GatewayConstructorParams =
   | [signer?: Signer]
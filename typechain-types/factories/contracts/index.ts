@@ -3,5 +3,8 @@
 /* eslint-disable */
 export * as interfaces from "./interfaces";
 export * as tests from "./tests";
+export { ERC6492Deployer__factory } from "./ERC6492Deployer__factory";
 export { SilentSwapDepositor__factory } from "./SilentSwapDepositor__factory";
 export { SilentSwapV2Gateway__factory } from "./SilentSwapV2Gateway__factory";
+export { SilentSwapV2GatewayProxy__factory } from "./SilentSwapV2GatewayProxy__factory";
+export { SilentSwapV2GatewayUpgradeable__factory } from "./SilentSwapV2GatewayUpgradeable__factory";
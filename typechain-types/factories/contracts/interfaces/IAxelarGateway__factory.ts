@@ -0,0 +1,88 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+
+import { Contract, Interface, type ContractRunner } from "ethers";
+import type {
+  IAxelarGateway,
+  IAxelarGatewayInterface,
+} from "../../../contracts/interfaces/IAxelarGateway";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+    ],
+    name: "tokenAddresses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "commandId",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "sourceChain",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "sourceAddress",
+        type: "string",
+      },
+      {
+        internalType: "bytes32",
+        name: "payloadHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "validateContractCallAndMint",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+export class IAxelarGateway__factory {
+  static readonly abi = _abi;
+  static createInterface(): IAxelarGatewayInterface {
+    return new Interface(_abi) as IAxelarGatewayInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): IAxelarGateway {
+    return new Contract(address, _abi, runner) as unknown as IAxelarGateway;
+  }
+}
@@ -1,4 +1,7 @@
 /* Autogenerated file. Do not edit manually. */
 /* tslint:disable */
 /* eslint-disable */
+export { IAxelarGateway__factory } from "./IAxelarGateway__factory";
 export { IEIP3009__factory } from "./IEIP3009__factory";
+export { IMessageTransmitter__factory } from "./IMessageTransmitter__factory";
+export { ISignatureTransfer__factory } from "./ISignatureTransfer__factory";
@@ -0,0 +1,422 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  BigNumberish,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../../../common";
+import type {
+  FeeOnTransferERC20,
+  FeeOnTransferERC20Interface,
+} from "../../../../contracts/tests/ERC20.sol/FeeOnTransferERC20";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "_feeBps",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "allowance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "ERC20InsufficientAllowance",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "balance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "ERC20InsufficientBalance",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidApprover",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "receiver",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidReceiver",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidSender",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidSpender",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "Approval",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "Transfer",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+    ],
+    name: "allowance",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "approve",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "balanceOf",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "decimals",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "feeBps",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "name",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "symbol",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "totalSupply",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "transfer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "transferFrom",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x604060a0815234620003bd5762000bc1803803806200001e81620003c2565b9283398101606082820312620003bd5781516001600160401b0390818111620003bd57826200004f918501620003e8565b60209283850151838111620003bd5786916200006d918701620003e8565b940151918151818111620002bd576003908154906001948583811c93168015620003b2575b888410146200039c578190601f9384811162000346575b508890848311600114620002df57600092620002d3575b505060001982851b1c191690851b1782555b8651928311620002bd5760049687548581811c91168015620002b2575b888210146200029d5782811162000252575b5086918411600114620001e757938394918492600095620001db575b50501b92600019911b1c19161783555b6080523315620001c45760025469d3c21bcecceda100000092838201809211620001af57506000917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef9160025533835282815284832084815401905584519384523393a35161076690816200045b823960805181818161027a01526105ab0152f35b601190634e487b7160e01b6000525260246000fd5b506000602492519163ec442f0560e01b8352820152fd5b0151935038806200011d565b9190601f198416928860005284886000209460005b8a898383106200023a57505050106200021f575b50505050811b0183556200012d565b01519060f884600019921b161c191690553880808062000210565b868601518955909701969485019488935001620001fc565b88600052876000208380870160051c8201928a881062000293575b0160051c019086905b8281106200028657505062000101565b6000815501869062000276565b925081926200026d565b602289634e487b7160e01b6000525260246000fd5b90607f1690620000ef565b634e487b7160e01b600052604160045260246000fd5b015190503880620000c0565b90879350601f19831691866000528a6000209260005b8c8282106200032f575050841162000316575b505050811b018255620000d2565b015160001983871b60f8161c1916905538808062000308565b8385015186558b97909501949384019301620002f5565b90915084600052886000208480850160051c8201928b861062000392575b918991869594930160051c01915b82811062000382575050620000a9565b6000815585945089910162000372565b9250819262000364565b634e487b7160e01b600052602260045260246000fd5b92607f169262000092565b600080fd5b6040519190601f01601f191682016001600160401b03811183821017620002bd57604052565b919080601f84011215620003bd5782516001600160401b038111620002bd576020906200041e601f8201601f19168301620003c2565b92818452828287010111620003bd5760005b8181106200044657508260009394955001015290565b85810183015184820184015282016200043056fe608060408181526004918236101561001657600080fd5b600092833560e01c91826306fdde031461045757508163095ea7b3146103a957816318160ddd1461038a57816323b872dd1461029d57816324a9d85314610262578163313ce5671461024657816370a082311461020f57816395d89b411461010e57508063a9059cbb146100de5763dd62ed3e1461009357600080fd5b346100da57806003193601126100da57806020926100af61055a565b6100b7610575565b6001600160a01b0391821683526001865283832091168252845220549051908152f35b5080fd5b50346100da57806003193601126100da576020906101076100fd61055a565b602435903361058b565b5160018152f35b8383346100da57816003193601126100da57805190828454600181811c90808316928315610205575b60209384841081146101f2578388529081156101d6575060011461019e575b505050829003601f01601f19168201926001600160401b0384118385101761018b5750829182610187925282610511565b0390f35b634e487b7160e01b815260418552602490fd5b919250868652828620918387935b8385106101c25750505050830101858080610156565b8054888601830152930192849082016101ac565b60ff1916878501525050151560051b8401019050858080610156565b634e487b7160e01b895260228a52602489fd5b91607f1691610137565b5050346100da5760203660031901126100da5760209181906001600160a01b0361023761055a565b16815280845220549051908152f35b5050346100da57816003193601126100da576020905160128152f35b5050346100da57816003193601126100da57602090517f00000000000000000000000000000000000000000000000000000000000000008152f35b90508234610387576060366003190112610387576102b961055a565b6102c1610575565b916044359360018060a01b0383168083526001602052868320338452602052868320549160001983106102fd575b60208861010789898961058b565b86831061036557811561034e57331561033757508252600160209081528683203384528152918690209085900390558290610107876102ef565b8751634a1406b160e11b8152908101849052602490fd5b875163e602df0560e01b8152908101849052602490fd5b9050610383868851938493637dc7a0d960e11b855233908501610712565b0390fd5b80fd5b5050346100da57816003193601126100da576020906002549051908152f35b9050346104535781600319360112610453576103c361055a565b60243590331561043c576001600160a01b031691821561042557508083602095338152600187528181208582528752205582519081527f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925843392a35160018152f35b8351634a1406b160e11b8152908101859052602490fd5b835163e602df0560e01b8152808401869052602490fd5b8280fd5b8490843461045357826003193601126104535782600354600181811c90808316928315610507575b60209384841081146101f2578388529081156101d657506001146104ce57505050829003601f01601f19168201926001600160401b0384118385101761018b5750829182610187925282610511565b91925060038652828620918387935b8385106104f35750505050830101858080610156565b8054888601830152930192849082016104dd565b91607f169161047f565b6020808252825181830181905290939260005b82811061054657505060409293506000838284010152601f8019910116010190565b818101860151848201604001528501610524565b600435906001600160a01b038216820361057057565b600080fd5b602435906001600160a01b038216820361057057565b919291906001600160a01b038083169182156106f957169182156106e0577f00000000000000000000000000000000000000000000000000000000000000008086029086820414861517156106ca576127109004946000918383526020928084526040918282205498808a106106ac57808798999a8798855284885203848420558060025403600255828885518381527fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef998a91a3840393841161069857868252818552828220549084821061067c57509083839288835282875203828220558781522082815401905551908152a3565b61038385855193849363391434e360e21b855260048501610712565b634e487b7160e01b82526011600452602482fd5b835163391434e360e21b8152918291610383918c9060048501610712565b634e487b7160e01b600052601160045260246000fd5b60405163ec442f0560e01b815260006004820152602490fd5b604051634b637e8f60e11b815260006004820152602490fd5b604091949392606082019560018060a01b031682526020820152015256fea264697066735822122077cde0ca21ce4fe5af388ed6152294eea4f21489a72b9c0f624212b1b6761c3964736f6c63430008140033";
+
+type FeeOnTransferERC20ConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: FeeOnTransferERC20ConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class FeeOnTransferERC20__factory extends ContractFactory {
+  constructor(...args: FeeOnTransferERC20ConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    name: string,
+    symbol: string,
+    _feeBps: BigNumberish,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(name, symbol, _feeBps, overrides || {});
+  }
+  override deploy(
+    name: string,
+    symbol: string,
+    _feeBps: BigNumberish,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(name, symbol, _feeBps, overrides || {}) as Promise<
+      FeeOnTransferERC20 & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): FeeOnTransferERC20__factory {
+    return super.connect(runner) as FeeOnTransferERC20__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): FeeOnTransferERC20Interface {
+    return new Interface(_abi) as FeeOnTransferERC20Interface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): FeeOnTransferERC20 {
+    return new Contract(address, _abi, runner) as unknown as FeeOnTransferERC20;
+  }
+}
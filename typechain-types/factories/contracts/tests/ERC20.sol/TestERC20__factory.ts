@@ -342,7 +342,7 @@ const _abi = [
 ] as const;
 
 const _bytecode =
-  "0x60806040523480156200001157600080fd5b5060405162000d1738038062000d178339810160408190526200003491620002d4565b81816003620000448382620003cd565b506004620000538282620003cd565b5050506200008d336200006b6200009560201b60201c565b6200007890600a620005ae565b6200008790620f4240620005c6565b6200009a565b5050620005f6565b601290565b6001600160a01b038216620000ca5760405163ec442f0560e01b8152600060048201526024015b60405180910390fd5b620000d860008383620000dc565b5050565b6001600160a01b0383166200010b578060026000828254620000ff9190620005e0565b909155506200017f9050565b6001600160a01b03831660009081526020819052604090205481811015620001605760405163391434e360e21b81526001600160a01b03851660048201526024810182905260448101839052606401620000c1565b6001600160a01b03841660009081526020819052604090209082900390555b6001600160a01b0382166200019d57600280548290039055620001bc565b6001600160a01b03821660009081526020819052604090208054820190555b816001600160a01b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef836040516200020291815260200190565b60405180910390a3505050565b634e487b7160e01b600052604160045260246000fd5b600082601f8301126200023757600080fd5b81516001600160401b03808211156200025457620002546200020f565b604051601f8301601f19908116603f011681019082821181831017156200027f576200027f6200020f565b816040528381526020925086838588010111156200029c57600080fd5b600091505b83821015620002c05785820183015181830184015290820190620002a1565b600093810190920192909252949350505050565b60008060408385031215620002e857600080fd5b82516001600160401b03808211156200030057600080fd5b6200030e8683870162000225565b935060208501519150808211156200032557600080fd5b50620003348582860162000225565b9150509250929050565b600181811c908216806200035357607f821691505b6020821081036200037457634e487b7160e01b600052602260045260246000fd5b50919050565b601f821115620003c857600081815260208120601f850160051c81016020861015620003a35750805b601f850160051c820191505b81811015620003c457828155600101620003af565b5050505b505050565b81516001600160401b03811115620003e957620003e96200020f565b6200040181620003fa84546200033e565b846200037a565b602080601f831160018114620004395760008415620004205750858301515b600019600386901b1c1916600185901b178555620003c4565b600085815260208120601f198616915b828110156200046a5788860151825594840194600190910190840162000449565b5085821015620004895787850151600019600388901b60f8161c191681555b5050505050600190811b01905550565b634e487b7160e01b600052601160045260246000fd5b600181815b80851115620004f0578160001904821115620004d457620004d462000499565b80851615620004e257918102915b93841c9390800290620004b4565b509250929050565b6000826200050957506001620005a8565b816200051857506000620005a8565b81600181146200053157600281146200053c576200055c565b6001915050620005a8565b60ff84111562000550576200055062000499565b50506001821b620005a8565b5060208310610133831016604e8410600b841016171562000581575081810a620005a8565b6200058d8383620004af565b8060001904821115620005a457620005a462000499565b0290505b92915050565b6000620005bf60ff841683620004f8565b9392505050565b8082028115828204841417620005a857620005a862000499565b80820180821115620005a857620005a862000499565b61071180620006066000396000f3fe608060405234801561001057600080fd5b50600436106100835760003560e01c806306fdde0314610088578063095ea7b3146100a657806318160ddd146100c957806323b872dd146100db578063313ce567146100ee57806370a08231146100fd57806395d89b4114610126578063a9059cbb1461012e578063dd62ed3e14610141575b600080fd5b610090610154565b60405161009d9190610526565b60405180910390f35b6100b96100b4366004610590565b6101e6565b604051901515815260200161009d565b6002545b60405190815260200161009d565b6100b96100e93660046105ba565b610200565b6040516012815260200161009d565b6100cd61010b3660046105f6565b6001600160a01b031660009081526020819052604090205490565b610090610224565b6100b961013c366004610590565b610233565b6100cd61014f366004610618565b610241565b6060600380546101639061064b565b80601f016020809104026020016040519081016040528092919081815260200182805461018f9061064b565b80156101dc5780601f106101b1576101008083540402835291602001916101dc565b820191906000526020600020905b8154815290600101906020018083116101bf57829003601f168201915b5050505050905090565b6000336101f481858561026c565b60019150505b92915050565b60003361020e85828561027e565b6102198585856102db565b506001949350505050565b6060600480546101639061064b565b6000336101f48185856102db565b6001600160a01b03918216600090815260016020908152604080832093909416825291909152205490565b610279838383600161033a565b505050565b600061028a8484610241565b90506000198110156102d557818110156102c657828183604051637dc7a0d960e11b81526004016102bd93929190610685565b60405180910390fd5b6102d58484848403600061033a565b50505050565b6001600160a01b038316610305576000604051634b637e8f60e11b81526004016102bd91906106a6565b6001600160a01b03821661032f57600060405163ec442f0560e01b81526004016102bd91906106a6565b61027983838361040f565b6001600160a01b03841661036457600060405163e602df0560e01b81526004016102bd91906106a6565b6001600160a01b03831661038e576000604051634a1406b160e11b81526004016102bd91906106a6565b6001600160a01b03808516600090815260016020908152604080832093871683529290522082905580156102d557826001600160a01b0316846001600160a01b03167f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b9258460405161040191815260200190565b60405180910390a350505050565b6001600160a01b03831661043a57806002600082825461042f91906106ba565b909155506104999050565b6001600160a01b0383166000908152602081905260409020548181101561047a5783818360405163391434e360e21b81526004016102bd93929190610685565b6001600160a01b03841660009081526020819052604090209082900390555b6001600160a01b0382166104b5576002805482900390556104d4565b6001600160a01b03821660009081526020819052604090208054820190555b816001600160a01b0316836001600160a01b03167fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef8360405161051991815260200190565b60405180910390a3505050565b600060208083528351808285015260005b8181101561055357858101830151858201604001528201610537565b506000604082860101526040601f19601f8301168501019250505092915050565b80356001600160a01b038116811461058b57600080fd5b919050565b600080604083850312156105a357600080fd5b6105ac83610574565b946020939093013593505050565b6000806000606084860312156105cf57600080fd5b6105d884610574565b92506105e660208501610574565b9150604084013590509250925092565b60006020828403121561060857600080fd5b61061182610574565b9392505050565b6000806040838503121561062b57600080fd5b61063483610574565b915061064260208401610574565b90509250929050565b600181811c9082168061065f57607f821691505b60208210810361067f57634e487b7160e01b600052602260045260246000fd5b50919050565b6001600160a01b039390931683526020830191909152604082015260600190565b6001600160a01b0391909116815260200190565b808201808211156101fa57634e487b7160e01b600052601160045260246000fdfea2646970667358221220c8e866cafeaa18c3aae1d739e4ae0264c0b9eb2378e2b706d1b9b365095a3a4064736f6c63430008140033";
+  "0x60406080815234620003a55762000aa5803803806200001e81620003aa565b92833981018282820312620003a55781516001600160401b039290838111620003a557826200004f918301620003d0565b9060209283820151858111620003a5576200006b9201620003d0565b928151818111620002a5576003908154906001948583811c931680156200039a575b8784101462000384578190601f938481116200032e575b508790848311600114620002c757600092620002bb575b505060001982851b1c191690851b1782555b8551928311620002a55760049586548581811c911680156200029a575b8782101462000285578281116200023a575b5085918411600114620001cf57938394918492600095620001c3575b50501b92600019911b1c19161782555b3315620001ac5760025469d3c21bcecceda1000000928382018092116200019757506000917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef9160025533835282815284832084815401905584519384523393a3516106629081620004438239f35b601190634e487b7160e01b6000525260246000fd5b506000602492519163ec442f0560e01b8352820152fd5b01519350388062000118565b9190601f198416928760005284876000209460005b898983831062000222575050501062000207575b50505050811b01825562000128565b01519060f884600019921b161c1916905538808080620001f8565b868601518955909701969485019488935001620001e4565b87600052866000208380870160051c8201928988106200027b575b0160051c019086905b8281106200026e575050620000fc565b600081550186906200025e565b9250819262000255565b602288634e487b7160e01b6000525260246000fd5b90607f1690620000ea565b634e487b7160e01b600052604160045260246000fd5b015190503880620000bb565b90879350601f1983169186600052896000209260005b8b828210620003175750508411620002fe575b505050811b018255620000cd565b015160001983871b60f8161c19169055388080620002f0565b8385015186558b97909501949384019301620002dd565b90915084600052876000208480850160051c8201928a86106200037a575b918991869594930160051c01915b8281106200036a575050620000a4565b600081558594508991016200035a565b925081926200034c565b634e487b7160e01b600052602260045260246000fd5b92607f16926200008d565b600080fd5b6040519190601f01601f191682016001600160401b03811183821017620002a557604052565b919080601f84011215620003a55782516001600160401b038111620002a55760209062000406601f8201601f19168301620003aa565b92818452828287010111620003a55760005b8181106200042e57508260009394955001015290565b85810183015184820184015282016200041856fe608060408181526004918236101561001657600080fd5b600092833560e01c91826306fdde031461041157508163095ea7b31461036357816318160ddd1461034457816323b872dd14610257578163313ce5671461023b57816370a082311461020457816395d89b411461010357508063a9059cbb146100d35763dd62ed3e1461008857600080fd5b346100cf57806003193601126100cf57806020926100a4610514565b6100ac61052f565b6001600160a01b0391821683526001865283832091168252845220549051908152f35b5080fd5b50346100cf57806003193601126100cf576020906100fc6100f2610514565b6024359033610545565b5160018152f35b8383346100cf57816003193601126100cf57805190828454600181811c908083169283156101fa575b60209384841081146101e7578388529081156101cb5750600114610193575b505050829003601f01601f19168201926001600160401b03841183851017610180575082918261017c9252826104cb565b0390f35b634e487b7160e01b815260418552602490fd5b919250868652828620918387935b8385106101b7575050505083010185808061014b565b8054888601830152930192849082016101a1565b60ff1916878501525050151560051b840101905085808061014b565b634e487b7160e01b895260228a52602489fd5b91607f169161012c565b5050346100cf5760203660031901126100cf5760209181906001600160a01b0361022c610514565b16815280845220549051908152f35b5050346100cf57816003193601126100cf576020905160128152f35b9050823461034157606036600319011261034157610273610514565b61027b61052f565b916044359360018060a01b0383168083526001602052868320338452602052868320549160001983106102b7575b6020886100fc898989610545565b86831061031f5781156103085733156102f1575082526001602090815286832033845281529186902090859003905582906100fc876102a9565b8751634a1406b160e11b8152908101849052602490fd5b875163e602df0560e01b8152908101849052602490fd5b905061033d868851938493637dc7a0d960e11b85523390850161060e565b0390fd5b80fd5b5050346100cf57816003193601126100cf576020906002549051908152f35b90503461040d578160031936011261040d5761037d610514565b6024359033156103f6576001600160a01b03169182156103df57508083602095338152600187528181208582528752205582519081527f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925843392a35160018152f35b8351634a1406b160e11b8152908101859052602490fd5b835163e602df0560e01b8152808401869052602490fd5b8280fd5b8490843461040d578260031936011261040d5782600354600181811c908083169283156104c1575b60209384841081146101e7578388529081156101cb575060011461048857505050829003601f01601f19168201926001600160401b03841183851017610180575082918261017c9252826104cb565b91925060038652828620918387935b8385106104ad575050505083010185808061014b565b805488860183015293019284908201610497565b91607f1691610439565b6020808252825181830181905290939260005b82811061050057505060409293506000838284010152601f8019910116010190565b8181018601518482016040015285016104de565b600435906001600160a01b038216820361052a57565b600080fd5b602435906001600160a01b038216820361052a57565b916001600160a01b038084169283156105f557169283156105dc57600090838252816020526040822054908382106105bf575091604082827fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef958760209652828652038282205586815220818154019055604051908152a3565b61033d8460405193849363391434e360e21b85526004850161060e565b60405163ec442f0560e01b815260006004820152602490fd5b604051634b637e8f60e11b815260006004820152602490fd5b604091949392606082019560018060a01b031682526020820152015256fea264697066735822122053613aa7899ffbb65971137edb03ec01c979b4cd60a3cc9349aa46ed1eeb4fd264736f6c63430008140033";
 
 type TestERC20ConstructorParams =
   | [signer?: Signer]
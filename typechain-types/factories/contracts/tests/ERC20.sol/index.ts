@@ -1,4 +1,5 @@
 /* Autogenerated file. Do not edit manually. */
 /* tslint:disable */
 /* eslint-disable */
+export { FeeOnTransferERC20__factory } from "./FeeOnTransferERC20__factory";
 export { TestERC20__factory } from "./TestERC20__factory";
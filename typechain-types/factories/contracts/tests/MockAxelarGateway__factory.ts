@@ -0,0 +1,210 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../../../common";
+import type {
+  MockAxelarGateway,
+  MockAxelarGatewayInterface,
+} from "../../../contracts/tests/MockAxelarGateway";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "approvals",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "commandId",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "sourceChain",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "sourceAddress",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "contractAddress",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "payloadHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "approveContractCallWithMint",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "setTokenAddress",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    name: "tokenAddresses",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "commandId",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "sourceChain",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "sourceAddress",
+        type: "string",
+      },
+      {
+        internalType: "bytes32",
+        name: "payloadHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "symbol",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "validateContractCallAndMint",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x6080806040523461001657610525908161001c8239f35b600080fdfe6080604081815260048036101561001557600080fd5b600092833560e01c90816317456e561461029b575080631876eed91461020f578063677798361461015e578063935b13f6146100895763bf7c21311461005a57600080fd5b34610085576020366003190112610085578160209360ff923581526001855220541690519015158152f35b8280fd5b50913461015b5760209283600319360112610157578035906001600160401b03908183116101405736602384011215610140578281013591821161014457508351916100de601f8301601f1916870184610338565b8183523660248383010111610140578184926024889301838601378301015282519080519085845b83811061012f57505050810191825290819003830190205490516001600160a01b039091168152f35b828101820151858201528101610106565b8380fd5b634e487b7160e01b845260419052602483fd5b5080fd5b80fd5b50346100855760e0366003190112610085576001600160401b039060243582811161020b576101909036908301610306565b604492919235848111610207576101aa9036908401610306565b909290606435906001600160a01b03821682036102035760a435968711610203576101db6101ec9736908501610306565b95909460c435976084359535610465565b825260016020528120600160ff1982541617905580f35b8880fd5b8680fd5b8480fd5b50913461015b5760c036600319011261015b576001600160401b0392602435848111610085576102429036908301610306565b91909460443581811161020b5761025c9036908401610306565b91909460843591821161015b5750916020969391610281610292969436908401610306565b94909360a435966064359435610371565b90519015158152f35b9290503461014057366003190112610085578035906001600160401b038211610140576102ca91369101610306565b6024356001600160a01b03811693929084900361020b57816020928492833781018581520301902080546001600160a01b031916909117905580f35b9181601f84011215610333578235916001600160401b038311610333576020838186019501011161033357565b600080fd5b601f909101601f19168101906001600160401b0382119082101761035b57604052565b634e487b7160e01b600052604160045260246000fd5b889798948994889461038598943394610465565b926000938452600160205260408420805460ff81161561043c5760ff191690558060405192833781018381528190036020019020546001600160a01b031690813b156100855782916044839260405195869384926340c10f1960e01b845233600485015260248401525af1801561042f57610402575b5050600190565b6001600160401b03821161041b575060405238806103fb565b634e487b7160e01b81526041600452602490fd5b50604051903d90823e3d90fd5b505050505090565b908060209392818452848401376000828201840152601f01601f1916010190565b9894929791959097969396604051988997602089019b8c526040890160e0905261010089019061049492610444565b601f1998898983030160608a01526104ab92610444565b6001600160a01b03909316608087015260a0860152848203860160c08601526104d392610444565b9060e08301520390810182526104e99082610338565b5190209056fea26469706673582212205cfe9142c207846703715fdfe83d8ea22c7fcb82f895c09ab4386a043016cca564736f6c63430008140033";
+
+type MockAxelarGatewayConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockAxelarGatewayConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockAxelarGateway__factory extends ContractFactory {
+  constructor(...args: MockAxelarGatewayConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MockAxelarGateway & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MockAxelarGateway__factory {
+    return super.connect(runner) as MockAxelarGateway__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockAxelarGatewayInterface {
+    return new Interface(_abi) as MockAxelarGatewayInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MockAxelarGateway {
+    return new Contract(address, _abi, runner) as unknown as MockAxelarGateway;
+  }
+}
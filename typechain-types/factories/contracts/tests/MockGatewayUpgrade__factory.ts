@@ -0,0 +1,2739 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../../common";
+import type {
+  MockGatewayUpgrade,
+  MockGatewayUpgradeInterface,
+} from "../../../contracts/tests/MockGatewayUpgrade";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "contract IERC20",
+        name: "_usdc",
+        type: "address",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+    ],
+    name: "AddressEmptyCode",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedExcessiveClaimAttempts",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedInvalidSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedInvalidSplit",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "signatures",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimRejectedNotaryThreshold",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "index",
+        type: "uint256",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+    ],
+    name: "ClaimRejectedOrderNotOpen",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedPaused",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ClaimRejectedUnauthorized",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ECDSAInvalidSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "length",
+        type: "uint256",
+      },
+    ],
+    name: "ECDSAInvalidSignatureLength",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "ECDSAInvalidSignatureS",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "FailedCall",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "balance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "InsufficientBalance",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidInitialization",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "NotInitializing",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    name: "OwnableInvalidOwner",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "OwnableUnauthorizedAccount",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "ReentrancyGuardReentrantCall",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "SafeERC20FailedOperation",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ApproverAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ApproverRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "Cancelled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "recipient",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Claim",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimWindowCapUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "ClaimerAdded",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "ClaimerRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "claimsCap",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimsCapUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDuration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "maxDuration",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "ConfigUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+    ],
+    name: "Deposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "DepositTokenRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "DepositTokenSet",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "Error",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "Executed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "FeeTreasuryUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "FeesCollected",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "guardian",
+        type: "address",
+      },
+    ],
+    name: "GuardianUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint64",
+        name: "version",
+        type: "uint64",
+      },
+    ],
+    name: "Initialized",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "LegacySignaturesUntilUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "notarySet",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "NotarySetRegistered",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "OrderCancelled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "expiration",
+        type: "uint256",
+      },
+    ],
+    name: "OrderExtended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferStarted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferred",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "Paused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "duration",
+        type: "uint256",
+      },
+    ],
+    name: "ProxyDeposit",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "Refund",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "RefundFeePolicyUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "readyAt",
+        type: "uint256",
+      },
+    ],
+    name: "Scheduled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "TimelockDelayUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "Unpaused",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "implementation",
+        type: "address",
+      },
+    ],
+    name: "Upgraded",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PERMIT2",
+    outputs: [
+      {
+        internalType: "contract ISignatureTransfer",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "acceptOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "accruedFees",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "addApprover",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "addClaimer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "authorizedApprovers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "authorizedClaimers",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    name: "cancelOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "refundeeSignature",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "notarySignature",
+        type: "bytes",
+      },
+    ],
+    name: "cancelOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            components: [
+              {
+                internalType: "bytes32",
+                name: "orderId",
+                type: "bytes32",
+              },
+              {
+                internalType: "bytes",
+                name: "signature",
+                type: "bytes",
+              },
+              {
+                internalType: "address[]",
+                name: "recipients",
+                type: "address[]",
+              },
+              {
+                internalType: "uint256[]",
+                name: "shares",
+                type: "uint256[]",
+              },
+            ],
+            internalType: "struct SilentSwapV2Gateway.ClaimSpec[]",
+            name: "claims",
+            type: "tuple[]",
+          },
+          {
+            internalType: "address",
+            name: "recipient",
+            type: "address",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.BulkClaimParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "claim",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimWindowStart",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimedInWindow",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsCap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "claimsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "config",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maxDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+    ],
+    name: "deposit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "depositProxy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "depositTokens",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "allowed",
+        type: "bool",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "uint8",
+            name: "v",
+            type: "uint8",
+          },
+          {
+            internalType: "bytes32",
+            name: "r",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "s",
+            type: "bytes32",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.PermitSignature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "signer",
+            type: "address",
+          },
+          {
+            internalType: "bytes32",
+            name: "orderId",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "approver",
+            type: "address",
+          },
+          {
+            internalType: "bytes",
+            name: "orderApproval",
+            type: "bytes",
+          },
+          {
+            internalType: "uint256",
+            name: "approvalExpiration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "duration",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "domainSepHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "payloadHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes",
+            name: "typedDataSignature",
+            type: "bytes",
+          },
+          {
+            internalType: "bytes",
+            name: "receiveAuthorization",
+            type: "bytes",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "minAmount",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.DepositParams",
+        name: "params",
+        type: "tuple",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes",
+            name: "signature",
+            type: "bytes",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Permit2Signature",
+        name: "permit",
+        type: "tuple",
+      },
+    ],
+    name: "depositWithPermit2",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "depositsPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "executeOperation",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "newExpiration",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "signature",
+        type: "bytes",
+      },
+    ],
+    name: "extendOrder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "feeTreasury",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "getConfig",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "minDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "minDepositAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Config",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "getMinDepositAmount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+    ],
+    name: "getNotaryOrderCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getNotaryOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    name: "getNotarySet",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "getSignerCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getSignerOrders",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "guardian",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            internalType: "uint256",
+            name: "minDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxDuration",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "minDepositAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Config",
+        name: "_config",
+        type: "tuple",
+      },
+      {
+        internalType: "address",
+        name: "_claimer",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "initialOwner",
+        type: "address",
+      },
+    ],
+    name: "initialize",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "initializeV2",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedApprover",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "isAuthorizedClaimer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isAuthorized",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "legacySignaturesUntil",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "openDeposits",
+    outputs: [
+      {
+        internalType: "bytes32[]",
+        name: "orderIds",
+        type: "bytes32[]",
+      },
+      {
+        components: [
+          {
+            internalType: "enum SilentSwapV2Gateway.OrderStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "expiration",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "notary",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "refundee",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "amount",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "token",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "fee",
+            type: "uint256",
+          },
+          {
+            internalType: "bytes32",
+            name: "notarySet",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "openedAt",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct SilentSwapV2Gateway.Order[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "nextOffset",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "operationReadyAt",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "orders",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "uint256",
+        name: "expiration",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "notary",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "refundee",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "fee",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "notarySet",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "openedAt",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "owner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+      {
+        internalType: "string",
+        name: "reason",
+        type: "string",
+      },
+    ],
+    name: "pause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "payloads",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "pendingOwner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "proxiableUUID",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+    ],
+    name: "queryOrderStatus",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.OrderStatus",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "orderId",
+        type: "bytes32",
+      },
+    ],
+    name: "refund",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "refundFeePolicy",
+    outputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address[]",
+        name: "members",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256",
+        name: "threshold",
+        type: "uint256",
+      },
+    ],
+    name: "registerNotarySet",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "setId",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "removeApprover",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "claimer",
+        type: "address",
+      },
+    ],
+    name: "removeClaimer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "removeDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "renounceOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "scheduleOperation",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "id",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "window",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "cap",
+        type: "uint256",
+      },
+    ],
+    name: "setClaimWindowCap",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "newCap",
+        type: "uint256",
+      },
+    ],
+    name: "setClaimsCap",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "minimumDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maximumDuration",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "minimumDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "setConfig",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "minDepositAmount",
+        type: "uint256",
+      },
+    ],
+    name: "setDepositToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "setFeeTreasury",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newGuardian",
+        type: "address",
+      },
+    ],
+    name: "setGuardian",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+    ],
+    name: "setLegacySignaturesUntil",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.RefundFeePolicy",
+        name: "policy",
+        type: "uint8",
+      },
+    ],
+    name: "setRefundFeePolicy",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "delay",
+        type: "uint256",
+      },
+    ],
+    name: "setTimelockDelay",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "signerCounts",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "timelockDelay",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "transferOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum SilentSwapV2Gateway.PauseScope",
+        name: "scope",
+        type: "uint8",
+      },
+    ],
+    name: "unpause",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "newImplementation",
+        type: "address",
+      },
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "upgradeToAndCall",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "upgradedAt",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "usdc",
+    outputs: [
+      {
+        internalType: "contract IERC20",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "domainSepHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "payloadHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "typedDataSignature",
+        type: "bytes",
+      },
+      {
+        internalType: "address",
+        name: "signer",
+        type: "address",
+      },
+    ],
+    name: "verifyTypedDataSignature",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "isValid",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x60e0346200036957601f6200646038819003918201601f19168301926001600160401b0392909183851183861017620003535781602092849260409788528339810103126200036957516001600160a01b03808216820362000369578351916060830183811085821117620003535785526000918284526020840183815286850184815233156200033b5760018060a01b031991600196838854168855865495338588161788557f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e09686339116888a80a3886002558a51610175808201908282108d8311176200032757908291620062eb8339039089f080156200031d5760a0526080528051825110620002b35751600a5551600b5551600c556032601a558380526006602052868420805460ff191686179055865194847fff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe017398180a23382600e541617600e55337f10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8680a233826012541617601255337f6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf8680a23060c0528181541690558354908116845516908280a37ff0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a009182549160ff83861c16620002a4575080808316036200025f575b8351615f7c90816200036f8239608051818181611f190152818161296601528181612b8a01528181613d810152818161517f0152615432015260a05181614b78015260c05181818161256a01526128280152f35b6001600160401b0319909116811790915581519081527fc7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d290602090a13880806200020b565b63f92ee8a960e01b8152600490fd5b895162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d75737420626560448201527f203c3d206d6178696d756d4475726174696f6e000000000000000000000000006064820152608490fd5b8b513d8a823e3d90fd5b634e487b7160e01b8b52604160045260248bfd5b8751631e4fbdf760e01b815260048101869052602490fd5b634e487b7160e01b600052604160045260246000fd5b600080fdfe61010080604052600436101561001457600080fd5b600090813560e01c9081630372ee1b146134035750806304b3619b1461339f5780630731128314613366578063073eb003146133485780630ed3dabf14610391578063103ee57314610b64578063129ee21a146132c45780631ec9a9c1146132a657806322af11e91461327c578063297fc7671461314a5780632ea66401146130f3578063301c7e5d1461306457806334060a471461302d5780633644e515146130125780633813f10114612fe9578063391fa20614612fcb5780633c5b6c0214612d975780633ce622fa14612bb95780633e413bee14612b7457806342ad009514612b56578063452a932014612b2d57806346257eb514612adf5780634a2ae30514612ab95780634f1ef286146127e257806352c6bb66146125f557806352d1902d1461255757806356bccf911461250f57806358722672146124e55780635a5a6d14146124af5780635cd8a76b14612422578063607325331461233d57806360da3e831461231757806360dc2340146122ee57806361021ba9146122485780636afdd8501461221e5780636cf4c88f146121b8578063715018a6146121655780637249fbb61461208f5780637570866e1461206457806379502c551461203a57806379ba509714611ff15780637b715b2914611f7b578063817d860514611f4257806385e0dc4514611e1457806387021dac146117145780638a0dac4a146116be5780638da5cb5b14611697578063910a37e2146113f257806392a2ea0414611394578063984adfeb146113685780639a533c29146111cd5780639c3f1e901461112f578063a282276e14610ed1578063af267f8f14610e83578063b646c19414610e1a578063beadf95714610d89578063bfa37e3714610cde578063c3f909d414610c78578063c5d37ae114610c5a578063c69c486f14610ba3578063cb9c20ca14610b64578063d690a9f41461098a578063d7c718de1461093c578063dbe466b1146108d3578063e30c3978146108aa578063e598d2dc146105e0578063ead3bbde14610523578063eef09bad14610505578063f0490b8a1461049f578063f2fde38b14610432578063f374fd95146103e8578063f404725a146103ca578063f5be0b18146103915763f73feb0b1461035057600080fd5b3461038e57602036600319011261038e5760209060ff906040906001600160a01b0361037a61357b565b168152600684522054166040519015158152f35b80fd5b503461038e57602036600319011261038e576020906040906001600160a01b036103b961357b565b168152600783522054604051908152f35b503461038e578060031936011261038e576020601554604051908152f35b503461038e5761041f604061042e92610400366135d2565b6001600160a01b03909316845260086020529390922090929190615b47565b60409391935193849384613629565b0390f35b503461038e57602036600319011261038e5761044c61357b565b610454613741565b600180546001600160a01b0319166001600160a01b0392831690811790915582549091167f38d16b8cac22d99fc7c124b9cd0de2d3fa1faef420bfe791d8c362d765e227008380a380f35b503461038e57602036600319011261038e576104b961357b565b6104c1613741565b6001600160a01b0316808252600660205260408220805460ff191690557f30acaa541089592567cd4ce36437c68778a43e66dc1a9e7031e4496faf4593258280a280f35b503461038e578060031936011261038e576020601754604051908152f35b503461038e576020908160031936011261038e576004358152601082526040812060019283820154906040519384828554918281520190819583528383209088845b8281106105c457505050508561057c9103866134eb565b60405194604086019060408752518091526060860194915b8181106105a8575050508380955001520390f35b82516001600160a01b0316865294830194918301918701610594565b83546001600160a01b0316855293860193928101928101610565565b503461038e57606036600319011261038e576001600160401b0360043581811161088f5782816004019261020060031984360301126108a6576024359260443591821161088f578160040191606060031982360301126108a257610642613b01565b6001600160a01b036106548688613cb8565b166040519061066282613450565b8152856020820152604051906106778261341f565b815283356020820152602482013560408201526040519361069785613450565b3085528660208601526107af6106ac89613aed565b9460405161010460208201927f1504b08f6c78d6c851e6e171538371e1b8fcfa838ca27a21814c9b6a45fd309484526024810135604084015201356060820152606081526106f98161349a565b5190209160446040519561070c876134b5565b607e87527f53696c656e74537761704465706f736974207769746e6573732953696c656e7460208801527f537761704465706f7369742862797465733332206f7264657249642c6279746560408801527f733332207061796c6f61644861736829546f6b656e5065726d697373696f6e7360608801527f286164647265737320746f6b656e2c75696e7432353620616d6f756e7429000060808801520190613abb565b6e22d473030f116ddee9f6b43ac78ba33b1561089e57610835604095610848948a9861080e89519b8c9a8b9a6309be14ff60e11b8c526107f360048d018251613bd3565b602081015160448d0152015160648b015260848a0190613bd3565b6001600160a01b031660c488015260e4870152610140610104870152610144860190613a2e565b8481036003190161012486015291613beb565b0381836e22d473030f116ddee9f6b43ac78ba35af180156108935761087b575b505061087391613c0c565b600160025580f35b6108849061346b565b61088f578238610868565b8280fd5b6040513d84823e3d90fd5b8780fd5b8380fd5b5080fd5b503461038e578060031936011261038e576001546040516001600160a01b039091168152602090f35b503461038e57602036600319011261038e576108ed61357b565b6108f5613741565b6001600160a01b0316808252600d6020526040822082815560006001909101557fe5a19a76470297a1f85f9a38f3ff148b4c8cdc1209e074dbe59db5e22eb31a3a8280a280f35b503461038e57602036600319011261038e577fc3154023460b268c4d7ec2a44f4ec0ce1c9ac2b75a11715ad854b1845c4c00fc602060043561097c6151ff565b80601955604051908152a180f35b503461038e5760031960c0368201126108a657600435906001600160401b03821161088f57610200908260040192360301126108a657602435608036604319011261088f576109d7613b01565b6109e18183613cb8565b916001600160a01b03808416906109f783613aed565b60643560ff811680910361089e57833b1561089e57826040519263d505accf60e01b84521660048301523060248301528560448301526044356064830152608482015260843560a482015260a43560c4820152868160e48183875af19081610b51575b50610b42576020906044610a6d85613aed565b6040519485938492636eb1769f60e11b84521660048301523060248301525afa8015610b375783918691610aff575b5010610ac157610abc82610873945b3090610ab685613aed565b90613b22565b613c0c565b60405162461bcd60e51b815260206004820152601660248201527511d85d195dd85e4e881c195c9b5a5d0819985a5b195960521b6044820152606490fd5b9150506020813d8211610b2f575b81610b1a602093836134eb565b81010312610b2b5782905138610a9c565b8480fd5b3d9150610b0d565b6040513d87823e3d90fd5b5050610abc8261087394610aab565b610b5d9097919761346b565b9538610a5a565b503461038e57602036600319011261038e5760209060ff906040906001600160a01b03610b8f61357b565b168152600584522054166040519015158152f35b503461038e57604036600319011261038e57600435602435610bc3613741565b80158015610c51575b15610c0c57816040917fa262a1c68936156fff5f117975dba37b9cb10c3c20d18aa508a6cd39065ee47b936013558060145582519182526020820152a180f35b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a20636c61696d2077696e646f77206973207a65726f0000006044820152606490fd5b50811515610bcc565b503461038e578060031936011261038e576020601354604051908152f35b503461038e578060031936011261038e5760408051610c968161341f565b82815282602082015201526060604051610caf8161341f565b600a5490818152600b54602082019081526040600c549201918252604051928352516020830152516040820152f35b503461038e57602036600319011261038e57610cf861357b565b610d00613741565b6001600160a01b03168015610d3657600e80546001600160a01b03191682179055600080516020615ec78339815191528280a280f35b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20747265617375727920697320746865207a65726f206164604482015264647265737360d81b6064820152608490fd5b503461038e57602036600319011261038e5760125460043590610dc190336001600160a01b0391821614908115610e0d575b506151a7565b8082526018602052610dd860408320541515615318565b80825260186020528160408120557fbaa1eb22f2a492ba1a5fea61b8df4d27c6c8b5f3971e63bb58fa14ff72eedb708280a280f35b9050835416331438610dbb565b503461038e57602036600319011261038e57610e3461357b565b610e3c6151ff565b6001600160a01b0316808252600560205260408220805460ff191660011790557f835bddf1ceee4956e4329af9edf018523c1191238187a597453f6020bcadb0428280a280f35b503461038e57602036600319011261038e577fedd2c15cb1225ce15cf67efa55cea2672bfea32d9d9cbf34716bd04b76194b536020600435610ec36151ff565b80601755604051908152a180f35b503461038e576020908160031936011261038e576004356001600160401b0381116108a657610f049036906004016135a5565b610f0c613741565b6001600160e01b031982358181169082906004851061111a575b50501663278f794360e11b811490811561105f575b501561101a57610f4c368284613529565b84815191012092838152601885526040812054610fc957917f08772fac4f2fcaae2b063c443814eb39d26d5bb056459db1f654039ca905b07c9160408594610f9660175442613c86565b91818784935260188a522055610fb9604051938493604085526040850191613beb565b90878301520390a2604051908152f35b60405162461bcd60e51b8152600481018690526024808201527f476174657761793a206f7065726174696f6e20616c72656164792073636865646044820152631d5b195960e21b6064820152608490fd5b60405162461bcd60e51b815260048101859052601f60248201527f476174657761793a2063616c6c206973206e6f742074696d656c6f636b6564006044820152606490fd5b63094f710d60e11b811491508115611109575b81156110f8575b81156110e7575b81156110d6575b81156110c5575b81156110b4575b81156110a3575b5038610f3b565b637b715b2960e01b1490503861109c565b634506d62560e11b81149150611095565b636be38c6f60e11b8114915061108e565b63af267f8f60e01b81149150611087565b6346257eb560e01b81149150611080565b632ea6640160e01b81149150611079565b632d91b06560e21b81149150611072565b908092508460040360031b1b16168138610f26565b503461038e57602036600319011261038e57604061012091600435815260036020522060ff8154169060018101549060018060a01b0380600283015416908060038401541690600484015490600585015416916006850154936008600787015496015496604051986111a081613609565b8952602089015260408801526060870152608086015260a085015260c084015260e0830152610100820152f35b503461038e57606036600319011261038e576001600160401b036004356024358281116108a2576112029036906004016135a5565b92604435908111610b2b5761121b9036906004016135a5565b611226929192613b01565b8386526003602052604086209261123c846155bf565b6112ab6112a461128b60405160208101907fab1417524886d631bf88c47a7f88d9a906122217bc08d3c5a21c80abcf1a80778252896040820152604081526112838161341f565b519020615a24565b60038701546001600160a01b0316989095369190613529565b84886138aa565b9283611355575b505050156113005760206112f17fb2705df32ac67fc3101f496cd7036bf59074a603544d97d73650b6f09744986a92600360ff19825416178155615635565b604051908152a3600160025580f35b60405162461bcd60e51b815260206004820152602760248201527f476174657761793a20696e76616c69642063616e63656c6c6174696f6e207369604482015266676e617475726560c81b6064820152608490fd5b611360935084615465565b3880806112b2565b503461038e57602036600319011261038e57602061138c61138761357b565b6150ec565b604051908152f35b503461038e57604036600319011261038e57600435906001600160401b039081831161038e573660238401121561038e57826004013591821161038e573660248360051b8501011161038e57602061138c8484602480359201614deb565b503461038e57606036600319011261038e5761140c61357b565b6001600160a01b0316815260086020526040812080546024359060443581831161168e575b61143b8383614d32565b8110156116875761144d915082613c86565b905b8392815b838110611634575061146484614cdc565b9061147260405192836134eb565b848252601f19938461148387614cdc565b0136602085013761149386614cdc565b946114a160405196876134eb565b8686526114ad87614cdc565b01875b8181106115e657505086935b818110806115dd575b156115cd576114d48184615a4a565b90549060031b1c885260036020526040882060ff815416906114f582613609565b6001821461150e575b505061150990613ca9565b6114bc565b956115c591600884986115246115099689615a4a565b90549060031b1c611535858b614d3f565b52604051926115438461347e565b61154c81613609565b83526001810154602084015260028101546001600160a01b0390811660408501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e084015201546101008201526115b4828a614d3f565b526115bf8189614d3f565b50613ca9565b9490386114fe565b6040518061042e84898884613629565b508685106114c5565b6020906040516115f58161347e565b8a81528a838201528a60408201528a60608201528a60808201528a60a08201528a60c08201528a60e08201528a61010082015282828a010152016114b0565b61163e8183615a4a565b9054600391821b1c8752602052600160ff60408820541661165e81613609565b14611672575b61166d90613ca9565b611453565b9361167f61166d91613ca9565b949050611664565b509061144f565b91508091611431565b503461038e578060031936011261038e57546040516001600160a01b039091168152602090f35b503461038e57602036600319011261038e576116d861357b565b6116e06151ff565b601280546001600160a01b0319166001600160a01b03929092169182179055600080516020615e078339815191528280a280f35b503461038e576003199060203683011261038e57600435916001600160401b039081841161088f5760409084360301126108a657611750613b01565b601260ff815460a81c16611e025760248401906001600160a01b0361177483613aed565b168452600660205260ff60408520541615611df05783926117986004870180614c6f565b939050601a548411611dde576117b090969596613aed565b9083875b858110611d9e57506117c581614cf3565b6117d76117d183614cf3565b92614cf3565b92604051908160805281608081011090608083011117611d8a5760808196959601604052526020608051015260406080510152856060608051015261181b83614cf3565b60a05261182783614cf3565b948660c05286925b8484106118f6575b5050505050825b60805160608101518210156118a757516118a2919061189d906001600160a01b039061186b908490614d3f565b511660018060a01b036118848460206080510151614d3f565b51166118968460406080510151614d3f565b5191614d63565b613ca9565b61183e565b5050915b60c05181106118c4576020836001600255604051908152f35b6118f19061189d60018060a01b036118de8360a051614d3f565b51166118ea8386614d3f565b519061569c565b6118ab565b919395611918846119128460049b9597999b0187600401614c6f565b90614ca4565b93843583526003602052604083209560ff87541661193581613609565b60018103611d63575061194888876157e9565b600788015480611d12575b5061196d6020880191611966838a613abb565b918b615465565b159081611c7e575b50611c6c57611983876153c6565b15611bee57600260ff198854161787556004870154986119b26119ab60068a0154809c614d32565b809c613c86565b91855b60c051811080611bbe575b156119d3576119ce90613ca9565b6119b5565b909791989299949a6119ff611a06916119f9989e9698848f60c0518214611b8957614d3f565b51613c86565b918c614d3f565b52611a146040820182614c6f565b8093915015611b42575b600501546001600160a01b0316838c5b848110611a4b57505050505050611a4490613ca9565b929161182f565b600181018111611b2e57600181018503611ae457611adf90611a6d8780614d32565b96611a9a81611a91611a8c85611a8660408c018c614c6f565b90614d53565b613aed565b87608051615707565b81611abd611a8c611aae60408a018a614c6f565b6001600160a01b039491614d53565b1690604051908152600080516020615ea78339815191526020883592a3613ca9565b611a2e565b611af581611a866060870187614c6f565b358281810204811483151715611b1a5790611a6d612710611adf938502048098614d32565b634e487b7160e01b8f52601160045260248ffd5b634e487b7160e01b8e52601160045260248efd5b611b5c848860018060a01b03600585015416608051615707565b6040518481526001600160a01b03881690833590600080516020615ea783398151915290602090a3611a1e565b60018060a01b0360058a01541660c05160e052611ba760c051613ca9565b60c052611bb860e05160a051614d3f565b52614d3f565b5060a0516001600160a01b0390611bd6908390614d3f565b5160058c01546001600160a01b0316911614156119c0565b95505095509593505050600160a81b60ff60a81b198254161790556040516001815260406020820152602160408201527f476174657761793a20636c61696d2077696e646f7720636170207265616368656060820152601960fa1b6080820152600080516020615e2783398151915260a03092a23880808080611837565b60405163200d5a4760e21b8152600490fd5b9050611c8d6040880188614c6f565b9050159081611d06575b81611ca5575b501538611975565b611d00915060405160208101908935825260208152611cc381613450565b5190207b0ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d05199960211b8752601c52611cf9603c87209189613abb565b918a615465565b38611c9d565b60195442109150611c97565b6041611d2160208a018a613abb565b90500490865260106020526001604087200154808210611d415750611953565b60405163307742c960e01b8152918291611d5f918d6004850161372b565b0390fd5b60405163a4a94c7f60e01b8152600481018a9052604491611d8381613609565b6024820152fd5b634e487b7160e01b8a52604160045260248afd5b96979690611dd690611dd090611dc8611dbe8561191260048f0180614c6f565b6040810190614c6f565b919050613c86565b91613ca9565b9796976117b4565b604051630e4997ff60e11b8152600490fd5b60405163d801248d60e01b8152600490fd5b60405163650734fb60e11b8152600490fd5b503461038e57604036600319011261038e57611e2e61357b565b602435611e39613741565b6001600160a01b03918216918215159081611f15575b5015611eba5760207f8a3643f6443b8f757dc2213cb9194ff14280e39c51dbb499bcc57977e13c485891604051611e8581613450565b600181526001838201838152868852600d8552604088209251151560ff8019855416911617835551910155604051908152a280f35b60405162461bcd60e51b815260206004820152602d60248201527f476174657761793a205553444320697320636f6e66696775726564207468726f60448201526c75676820736574436f6e66696760981b6064820152608490fd5b90507f00000000000000000000000000000000000000000000000000000000000000001682141538611e4f565b503461038e57602036600319011261038e576020906040906001600160a01b03611f6a61357b565b168152600983522054604051908152f35b503461038e57602036600319011261038e5760043560028110156108a657611feb7f861a5383d673c00f1993b4e3297d0c6740577e803776f5817101c176d463704091611fc66151ff565b600e805460ff60a01b191660a083901b60ff60a01b1617905560405191829182613718565b0390a180f35b503461038e578060031936011261038e57600154336001600160a01b03909116036120225761201f33613755565b80f35b60405163118cdaa760e01b8152336004820152602490fd5b503461038e578060031936011261038e57600a54600b549061042e600c546040519384938461372b565b503461038e57602036600319011261038e5760209060ff906040906001600160a01b0361037a61357b565b503461038e57602036600319011261038e576004356120ac613b01565b808252600360205260408220906120c2826155bf565b61211d6001830154604051907f476174657761793a206f72646572206e6f7420657870697265643b206578706960208301526403932b99d160dd1b6040830152806045830152604582526121158261349a565b421015613c5a565b815460ff1916600390811783558201546001600160a01b0316917f668cb0582f35d8cc1e62959951f2b36e581df3c31a96a7ff714883facb8fef07906020906112f190615635565b503461038e578060031936011261038e5761217e613741565b600180546001600160a01b03199081169091558154908116825581906001600160a01b0316600080516020615ee78339815191528280a380f35b503461038e57602036600319011261038e576121d261357b565b6121da613741565b6001600160a01b0316808252600560205260408220805460ff191690557fc6e35658c76ecdde40a54f31a91fb7c8615e9893cc0885584b27bb3433270d468280a280f35b503461038e578060031936011261038e5760206040516e22d473030f116ddee9f6b43ac78ba38152f35b503461038e576003196040368201126108a657600435906001600160401b03821161088f576102008260040191833603011261088f577f7dd3317a73d26b7f3fe5f8f83ec2ad44263c2d04d207ad4e59b535f9ea7098a6604060246122c88135946122b1613b01565b611a8c866122bf8184613cb8565b30903390613b22565b825194855260c48601356020860152940135936001600160a01b031692a3600160025580f35b503461038e578060031936011261038e57600e546040516001600160a01b039091168152602090f35b503461038e578060031936011261038e57602060ff60125460a01c166040519015158152f35b503461038e57604036600319011261038e5760043560038110156108a657602435906001600160401b03821161088f576123ce600080516020615e27833981519152916123916123e19436906004016135a5565b94906012546123b260018060a01b03808316331490811561241557506151a7565b600184036123ff575b50826123e7575b60405193848094614d25565b6040602084015233956040840191613beb565b0390a280f35b6012805460ff60a81b1916600160a81b1790556123c2565b60ff60a01b1916600160a01b17601255386123bb565b9050895416331438610dbb565b503461038e578060031936011261038e57600080516020615f07833981519152805460ff8160401c16801561249b575b6124895742601c556001600160481b0319166002908117909155604051908152600080516020615e4783398151915290602090a180f35b60405163f92ee8a960e01b8152600490fd5b5060026001600160401b0382161015612452565b503461038e57602036600319011261038e5760ff6040602092600435815260038452205416604051906124e181613609565b8152f35b503461038e57602036600319011261038e5760406020916004358152600483522054604051908152f35b503461038e57602036600319011261038e5760409081906001600160a01b0361253661357b565b168152600d60205220600160ff825416910154825191151582526020820152f35b503461038e578060031936011261038e577f00000000000000000000000000000000000000000000000000000000000000006001600160a01b031630036125b0576020604051600080516020615e878339815191528152f35b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a2063616c6c6564207468726f75676820612070726f7879006044820152606490fd5b503461038e5760209060031982813601126108a6576004356001600160401b03811161088f576102008160040192823603011261088f5761014490612638613b01565b01906126448282613abb565b6060939193116108a25761265783613591565b6040612664878601613591565b940135936001600160a01b0391828061267c87613aed565b1691160361279857813091160361274e578491826126a7819361269f8888613cb8565b169286613abb565b6126dd60248b836040969596519485928301976377aadf6360e11b895284840137810185838201520360048101845201826134eb565b51925af16126e9613a53565b50156126f9579061087391613c0c565b60405162461bcd60e51b815260048101859052602760248201527f476174657761793a207265636569766520617574686f72697a6174696f6e206660448201526661696c6564282960c81b6064820152608490fd5b60405162461bcd60e51b815260048101879052602e6024820152600080516020615e6783398151915260448201526d1bdd081d1bc818dbdb9d1c9858dd60921b6064820152608490fd5b60405162461bcd60e51b815260048101889052602e6024820152600080516020615e6783398151915260448201526d37ba10333937b69039b4b3b732b960911b6064820152608490fd5b503461038e57604036600319011261038e576127fc61357b565b6024356001600160401b03811161088f5761281b9036906004016135a5565b91906001600160a01b03907f00000000000000000000000000000000000000000000000000000000000000008216308114159081612a9e575b5015612a4d576128626151ff565b84833b6129d6575b8061293a575b156128f557600080516020615e8783398151915280546001600160a01b031916928416928317905584917fbc7cd75a20ee27fd9adebab32041f755214dbc6bffa90cc0225b39da2e5c2d3b8380a2836128c7575080f35b6128d782916128ee953691613529565b602081519101845af46128e8613a53565b91615363565b5038808280f35b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a20696e76616c696420696d706c656d656e746174696f6e006044820152606490fd5b50604051631f209df760e11b81526020816004818787165afa9081156129cb57869161298d575b5082167f0000000000000000000000000000000000000000000000000000000000000000831614612870565b90506020813d82116129c3575b816129a7602093836134eb565b810103126129bf575182811681036129bf5738612961565b8580fd5b3d915061299a565b6040513d88823e3d90fd5b6040516352d1902d60e01b81526020816004818888165afa879181612a1a575b50612a02575b5061286a565b600080516020615e87833981519152915014386129fc565b9091506020813d8211612a45575b81612a35602093836134eb565b8101031261089e575190386129f6565b3d9150612a28565b60405162461bcd60e51b815260206004820152602360248201527f476174657761793a206e6f742063616c6c6564207468726f75676820612070726044820152626f787960e81b6064820152608490fd5b905082600080516020615e8783398151915254161438612854565b503461038e578060031936011261038e57602060ff60125460a81c166040519015158152f35b503461038e57602036600319011261038e577f0ccf41be00f84562774870cfe33858f99c278dac0a06dae1e51b73a84205e90c6020600435612b1f6151ff565b80601a55604051908152a180f35b503461038e578060031936011261038e576012546040516001600160a01b039091168152602090f35b503461038e578060031936011261038e576020601c54604051908152f35b503461038e578060031936011261038e576040517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b503461038e57366003190160a081126108a65760601361038e57612bdb613565565b6001600160a01b036084358181169291838203610b2b57600080516020615f0783398151915280549093604082901c60ff16159390916001600160401b03811680159081612d8f575b6001149081612d85575b159081612d7c575b50612489576001600160401b03198116600117865584612d61575b508515612d4857612c6190613755565b604051612c6d8161341f565b6004359081815260243590612c946020820192808452604083019460443586521115615084565b51600a5551600b5551600c556032601a551680855260066020526040808620805460ff19166001179055519390600080516020615f278339815191528680a2600e80546001600160a01b03199081168317909155819081600080516020615ec78339815191528880a26012541617601255600080516020615e078339815191528580a2612d1f578280f35b805460ff60401b1916905560018152600080516020615e4783398151915290602090a138808280f35b604051631e4fbdf760e01b815260048101889052602490fd5b6001600160481b0319166001600160401b0117855538612c51565b90501538612c36565b303b159150612c2e565b869150612c24565b503461038e57606036600319011261038e576004356024356044356001600160401b0381116108a257612dce9036906004016135a5565b9190838552602092600384526040862090612de8826155bf565b6001820192835480421015612f8d57851180612f73575b15612f3057612e4a604051878101907f662b626b2c4371c91aa45fb3bb2748441a615f60521a1ef039156ed325e806068252896040820152876060820152606081526112838161349a565b612e5e612e58368585613529565b8261396c565b505093604184149485612f11575b508415612efe575b5050505015612ead5790807fc984d7002880c41b63bec16100146b387aabc70b0ae2b120a70580b8171baf2c939255604051908152a280f35b60405162461bcd60e51b8152600481018490526024808201527f476174657761793a20696e76616c696420657874656e73696f6e207369676e616044820152637475726560e01b6064820152608490fd5b612f089450615465565b38808080612e74565b6001600160a01b03168a526005885260408a205460ff16945038612e6c565b60405162461bcd60e51b815260048101879052601b60248201527a23b0ba32bbb0bc9d1034b73b30b634b21032bc3834b930ba34b7b760291b6044820152606490fd5b50612f856008840154600b5490613c86565b851115612dff565b60405162461bcd60e51b815260048101889052601660248201527511d85d195dd85e4e881bdc99195c88195e1c1a5c995960521b6044820152606490fd5b503461038e578060031936011261038e576020601654604051908152f35b503461038e578060031936011261038e5761042e60ff600e5460a01c1660405191829182613718565b503461038e578060031936011261038e57602061138c615273565b503461038e5761041f604061042e92613045366135d2565b6001600160a01b03909316845260096020529390922090929190615b47565b503461038e57602036600319011261038e5760043560038110156108a65761308a613741565b600181036130e1575b806130cf575b6130a66040518092614d25565b7fe33b1e8c9a3225cc5a849e3f9c6d9c272be7915b24983c2a048dfe7c79390f4160203392a280f35b6012805460ff60a81b19169055613099565b6012805460ff60a01b19169055613093565b503461038e57602036600319011261038e5761310d61357b565b6131156151ff565b6001600160a01b0316808252600660205260408220805460ff19166001179055600080516020615f278339815191528280a280f35b503461038e576020806003193601126108a6576004356001600160401b03811161088f5761317c9036906004016135a5565b9091613186613741565b613191368385613529565b818151910120928385526018825260408520546131af811515615318565b421061323857906123e17fda66fcfe5711520a570ced34d4cdebbe652fe74713bf2bc9db4ba54357e5a96f93928587526018835286604081205560ff19600181601b541617601b5561321f8880613207368987613529565b878151910182305af1613218613a53565b9030615363565b50601b5416601b55604051938385948552840191613beb565b60405162461bcd60e51b815260048101839052601c60248201527b476174657761793a206f7065726174696f6e206e6f7420726561647960201b6044820152606490fd5b503461038e57602036600319011261038e5760406020916004358152601883522054604051908152f35b503461038e578060031936011261038e576020601954604051908152f35b503461038e57606036600319011261038e577f6d05db271e19f930af71c4765de54ef86294762644c20f4d6fd2609d057d3c7b602435600435611feb60443561330b6151ff565b61331784841115615084565b80604080516133258161341f565b858152866020820152015282600a5583600b5580600c556040519384938461372b565b503461038e578060031936011261038e576020601454604051908152f35b503461038e57602036600319011261038e576020906040906001600160a01b0361338e61357b565b168152600f83522054604051908152f35b503461038e57608036600319011261038e57604435906001600160401b03821161038e573660238301121561038e5760206133f96133e536600486013560248701613529565b6133ed613565565b90602435600435613852565b6040519015158152f35b9050346108a657816003193601126108a657602090601a548152f35b606081019081106001600160401b0382111761343a57604052565b634e487b7160e01b600052604160045260246000fd5b604081019081106001600160401b0382111761343a57604052565b6001600160401b03811161343a57604052565b61012081019081106001600160401b0382111761343a57604052565b608081019081106001600160401b0382111761343a57604052565b60a081019081106001600160401b0382111761343a57604052565b60e081019081106001600160401b0382111761343a57604052565b601f909101601f19168101906001600160401b0382119082101761343a57604052565b6001600160401b03811161343a57601f01601f191660200190565b9291926135358261350e565b9161354360405193846134eb565b829481845281830111613560578281602093846000960137010152565b600080fd5b606435906001600160a01b038216820361356057565b600435906001600160a01b038216820361356057565b35906001600160a01b038216820361356057565b9181601f84011215613560578235916001600160401b038311613560576020838186019501011161356057565b6080906003190112613560576004356001600160a01b03811681036135605790602435600481101561356057906044359060643590565b6004111561361357565b634e487b7160e01b600052602160045260246000fd5b9392916060918286019083875280518092526080938488019260208093019060005b81811061370457505050878303828901528180855194858152019401946000915b84831061368157505050505060409150930152565b9091929394846101206001928951805161369a81613609565b82528381015184830152848060a01b0360408181840151169084015280878301511687840152878201518884015260a09081830151169083015260c0808201519083015260e08082015190830152610100809101519082015201970193019190959493929561366c565b82518652948401949184019160010161364b565b9190602083019260028210156136135752565b6040919493926060820195825260208201520152565b6000546001600160a01b0316330361202257565b60018060a01b031990816001541660015560005460018060a01b03809216809382161760005516600080516020615ee7833981519152600080a3565b60005b8381106137a45750506000910152565b8181015183820152602001613794565b81601f820112156135605780516137ca8161350e565b926137d860405194856134eb565b81845260208284010111613560576137f69160208085019101613791565b90565b916060838303126135605782516001600160a01b038116810361356057602084015190936001600160401b03939091848111613560578161383b9184016137b4565b936040830151908111613560576137f692016137b4565b6137f6939160405190602082019261190160f01b8452602283015260428201526042815261387f8161349a565b5190209061388c83613a83565b156138aa5791806020806138a5935183010191016137f9565b915050915b9091813b6138e5576138bc919261396c565b506138c681613609565b1591826138d257505090565b6001600160a01b03918216911614919050565b60009182916040516139298161391b6020820194630b135d3f60e11b998a87526024840152604060448401526064830190613a2e565b03601f1981018352826134eb565b51915afa90613936613a53565b8261395e575b8261394657505090565b90915060208180518101031261356057602001511490565b91506020825110159161393c565b815191906041830361399d5761399692506020820151906060604084015193015160001a906139a8565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b038411613a2257926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa15613a165780516001600160a01b03811615613a0d57918190565b50809160019190565b604051903d90823e3d90fd5b50505060009160039190565b90602091613a4781518092818552858086019101613791565b601f01601f1916010190565b3d15613a7e573d90613a648261350e565b91613a7260405193846134eb565b82523d6000602084013e565b606090565b805160208110613ab45701517f64926492649264926492649264926492649264926492649264926492649264921490565b5050600090565b903590601e198136030182121561356057018035906001600160401b0382116135605760200191813603831361356057565b356001600160a01b03811681036135605790565b6002805414613b105760028055565b604051633ee5aeb560e01b8152600490fd5b6040516323b872dd60e01b60208201526001600160a01b039283166024820152929091166044830152606480830193909352918152613b6991613b64826134b5565b613b6b565b565b906000602091828151910182855af115613bc7576000513d613bbe57506001600160a01b0381163b155b613b9c5750565b604051635274afe760e01b81526001600160a01b039091166004820152602490fd5b60011415613b95565b6040513d6000823e3d90fd5b80516001600160a01b03168252602090810151910152565b908060209392818452848401376000828201840152601f01601f1916010190565b907facc794f52427786f12f34f1c111f79c65476905ce8685dd43515e11c8163a21660406020613c3b85613aed565b825194855260c086013582860152940135936001600160a01b031692a3565b15613c625750565b60405162461bcd60e51b815260206004820152908190611d5f906024830190613a2e565b91908201809211613c9357565b634e487b7160e01b600052601160045260246000fd5b6000198114613c935760010190565b91909160ff60125460a01c166148de57613cd56101608201613aed565b613d70613ce1826150ec565b85151590816148d3575b613cf49061491e565b90613d6b605a60405180947f476174657761793a207265636569766520617574686f72697a6174696f6e2061602083015279036b7bab73a103a37b7903637bb9d9036b4b734b6bab69034b9960351b6040830152613d5b8151809260208686019101613791565b810103603a8101855201836134eb565b613c5a565b6001600160a01b0316806148cd57507f0000000000000000000000000000000000000000000000000000000000000000905b8193806101808301351161488a576101c082013581101580614868575b156148145760a08201354210156147d357613eaa600a548060c08501351015806147c3575b613d6b6051613dff613df960c089013561491e565b9461491e565b93613e0b600b5461491e565b60405195869279023b0ba32bbb0bc9d1034b73b30b634b210323ab930ba34b7b7160351b6020850152613e48815180926020603a88019101613791565b83017101d9036bab9ba103132903132ba3bb2b2b7160751b603a820152613e79825180936020604c85019101613791565b016401030b732160dd1b604c820152613e9b8251809360208785019101613791565b010360318101855201836134eb565b6001600160a01b03613ebe60608401613aed565b16600052600560205260ff604060002054161561477f576101a082013561469d575b6020820135600052600360205260406000206004810154159081614687575b50156146425761010082013560005260046020526040600020546145fd5761407061406761404a613f2f85613aed565b613f3b60408701613aed565b604051917f9ec54b72a7cab21ea05df1a5b5e57da49981819cdef0cbf20ac7c55b8bcf2a1060208401526020880135604084015260018060a01b0316606083015260018060a01b0316608082015260a086013560a082015260e086013560c082015260c08152613faa816134d0565b613fb76101608701613aed565b60405190610100880135602083015260018060a01b0316604082015261018087013560608201526101a087013560808201526101c087013560a08201526101e087013560c082015260c0815261400c816134d0565b611283602060405180938261402a8184019788815193849201613791565b820161403e82518093868085019101613791565b010380845201826134eb565b61406161405a6080870187613abb565b3691613529565b9061396c565b90929192614a80565b806001600160a01b0361408560608601613aed565b6001600160a01b0390921691161415806145f2575b614347575b6001600160a01b036140b360608501613aed565b166001600160a01b03909116036142f05761411b61410b6140f86140d685613aed565b6140f26101208701916140ec61405a848a613abb565b90614b0b565b85613abb565b919061410386613aed565b923691613529565b61010085013560e0860135613852565b1561429d576008613b699361413460c085013542613c86565b9061414160408601613aed565b9361414b86613aed565b91604051956141598761347e565b6001875260208701948552604087019060018060a01b03168152606087019360018060a01b031684526080870192835260a087019160018060a01b0316825260c0870192610180890135845260e08801946101a08a0135865261010089019642885260208b01356000526003602052604060002099516141d881613609565b6141e181613609565b60ff80198c54169116178a555160018a0155600289019260018060a01b039051169260018060a01b03199384825416179055600389019060018060a01b0390511683825416179055516004880155600587019160018060a01b0390511690825416179055516006850155516007840155519101556101008101356000526004602052602081013560406000205560018060a01b0361427e82613aed565b16600052600760205260406000206142968154613ca9565b9055615a97565b60405162461bcd60e51b815260206004820152602560248201527f476174657761793a20696e76616c69642074797065642064617461207369676e604482015264617475726560d81b6064820152608490fd5b60405162461bcd60e51b815260206004820152602960248201527f476174657761793a20696e76616c6964206f7264657220617070726f76616c206044820152687369676e617475726560b81b6064820152608490fd5b5061448561406761435784613aed565b61436360408601613aed565b604051916020870135602084015260018060601b03199060601b16604083015260018060601b03199060601b16605482015260a0850135606882015260e0850135608882015261010085013560a882015260a881526143c1816134d0565b806101c086013515908115916145e3575b819082156145d4575b819082156145c5575b8182156145a7575b61454e575b50614510575b6144d2575b61448a575b61440b815161491e565b90614472603a60405180936020820195790ca2ba3432b932bab69029b4b3b732b21026b2b9b9b0b3b29d0560311b875261444e8151809260208787019101613791565b82016144638251809360208785019101613791565b0103601a8101845201826134eb565b51902061406161405a6080870187613abb565b61409f565b6144cd6060604051836144a7829551809260208086019101613791565b81016101c089013560208201526101e089013560408201520360408101845201826134eb565b614401565b9061450a60408051836144ef829551809260208086019101613791565b81016101a08a013560208201520360208101845201826134eb565b906143fc565b91614548604080518361452d829551809260208086019101613791565b81016101808b013560208201520360208101845201826134eb565b916143f7565b9093506145a060346145636101608b01613aed565b92604051938161457d869351809260208087019101613791565b82019060018060601b03199060601b1660208201520360148101845201826134eb565b92386143f1565b506001600160a01b036145bd6101608b01613aed565b1615156143ec565b610180890135151591506143e4565b6101a0880135151591506143db565b6101e0870135151591506143d2565b50601954421061409a565b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a207061796c6f616420616c726561647920757365640000006044820152606490fd5b60405162461bcd60e51b815260206004820152601d60248201527f476174657761793a206f7264657220616c7265616479206578697374730000006044820152606490fd5b600201546001600160a01b031615905038613eff565b6001600160a01b036146b160408401613aed565b16614721576101a08201356000526010602052600160406000200154613ee05760405162461bcd60e51b815260206004820152602260248201527f476174657761793a206e6f7461727920736574206e6f74207265676973746572604482015261195960f21b6064820152608490fd5b60405162461bcd60e51b815260206004820152603060248201527f476174657761793a206e6f7461727920736574206f7264657273206d7573742060448201526f6e6f74207365742061206e6f7461727960801b6064820152608490fd5b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a20617070726f766572206e6f7420617574686f72697a65646044820152fd5b50600b5460c08501351115613de4565b60405162461bcd60e51b815260206004820152601960248201527811d85d195dd85e4e88185c1c1c9bdd985b08195e1c1a5c9959603a1b6044820152606490fd5b60405162461bcd60e51b815260206004820152602660248201527f476174657761793a20616d6f756e74206f7574736964652065787065637465646044820152652072616e676560d01b6064820152608490fd5b506101e0820135801590811561487f575b50613dbf565b905081111538614879565b60405162461bcd60e51b815260206004820152601b60248201527a11d85d195dd85e4e8819995948195e18d959591cc8185b5bdd5b9d602a1b6044820152606490fd5b90613da2565b808710159150613ceb565b60405162461bcd60e51b815260206004820152601860248201527711d85d195dd85e4e8819195c1bdcda5d1cc81c185d5cd95960421b6044820152606490fd5b6000908072184f03e93ff9f4daa797ed6e38ed64bf6a1f0160401b80821015614a72575b506904ee2d6d415b85acef8160201b80831015614a63575b50662386f26fc1000080831015614a54575b506305f5e10080831015614a45575b5061271080831015614a36575b506064821015614a26575b600a80921015614a1c575b600190816021818601956149b18761350e565b966149bf60405198896134eb565b8088526149ce601f199161350e565b01366020890137860101905b6149e6575b5050505090565b600019019083906f181899199a1a9b1b9c1cb0b131b232b360811b8282061a835304918215614a17579190826149da565b6149df565b916001019161499e565b9190606460029104910191614993565b60049193920491019138614988565b6008919392049101913861497b565b6010919392049101913861496c565b6020919392049101913861495a565b604093508104915038614942565b614a8981613609565b80614a92575050565b614a9b81613609565b60018103614ab55760405163f645eedf60e01b8152600490fd5b614abe81613609565b60028103614adf5760405163fce698f760e01b815260048101839052602490fd5b80614aeb600392613609565b14614af35750565b602490604051906335e2f38360e21b82526004820152fd5b90813b15801590614c5f575b614c5b57614b3691614b709160209381858080945183010191016137f9565b506040805163e97fac0560e01b81526001600160a01b03938416600482015260248101919091529491929185918291906044830190613a2e565b0381600080957f0000000000000000000000000000000000000000000000000000000000000000165af1928315614c4e578193614c12575b505081614c07575b5015614bb95750565b6084906040519062461bcd60e51b82526004820152602160248201527f476174657761793a207369676e6572206465706c6f796d656e74206661696c656044820152601960fa1b6064820152fd5b90503b151538614bb0565b909192508381813d8311614c47575b614c2b81836134eb565b810103126108a6575190811515820361038e5750903880614ba8565b503d614c21565b50604051903d90823e3d90fd5b5050565b50614c6981613a83565b15614b17565b903590601e198136030182121561356057018035906001600160401b03821161356057602001918160051b3603831361356057565b9190811015614cc65760051b81013590607e1981360301821215613560570190565b634e487b7160e01b600052603260045260246000fd5b6001600160401b03811161343a5760051b60200190565b90614cfd82614cdc565b614d0a60405191826134eb565b8281528092614d1b601f1991614cdc565b0190602036910137565b9060038210156136135752565b91908203918211613c9357565b8051821015614cc65760209160051b010190565b9190811015614cc65760051b0190565b60405163a9059cbb60e01b60208201526001600160a01b039092166024830152604480830193909352918152613b6991613b648261349a565b60408082528101839052939291606085019060005b818110614dc357505060209150930152565b90916001906001600160a01b03614dd986613591565b16815260209485019401929101614db1565b9291928315158061507a575b1561502b5760409384519460209586810190614e198161391b86898987614d9c565b5190209560008781526010825260019182848320015461502257815b878110614f33575088825260108152838220916001600160401b038811614f1f57600160401b8811614f1f578254888455808910614ef8575b5090869492918a979896949890838152828120905b888110614ec9575050505090827f573e3911b05935e937ee554ff61e0daa6e646838c228ed4e3ef20d8b23334a919697614ec4949301555193849384614d9c565b0390a2565b8383949596989a50614edf8c989a9c9394613aed565b9401938184015501908b98969493929199979599614e83565b838252848984842092830192015b828110614f14575050614e6e565b838155018590614f06565b634e487b7160e01b81526041600452602490fd5b614f41611a8c828a8a614d53565b81614fee5783905b6001600160a01b039182169082161115614f96578a845260118352858420614f919291614f7a611a8c848d8d614d53565b1685528352858420805460ff191686179055613ca9565b614e35565b855162461bcd60e51b815260048101849052602b60248201527f476174657761793a206e6f746172696573206d75737420626520736f7274656460448201526a20616e6420756e6971756560a81b6064820152608490fd5b600019820182811161500e57611a8c615008918b8b614d53565b90614f49565b634e487b7160e01b85526011600452602485fd5b50505050505050565b60405162461bcd60e51b815260206004820152602160248201527f476174657761793a20696e76616c6964206e6f74617279207468726573686f6c6044820152601960fa1b6064820152608490fd5b5081841115614df7565b1561508b57565b60405162461bcd60e51b815260206004820152603360248201527f476174657761793a206d696e696d756d4475726174696f6e206d757374206265604482015272101e1e9036b0bc34b6bab6a23ab930ba34b7b760691b6064820152608490fd5b6001600160a01b0390811690811590811561517b575b506151745780600052600d60205260ff604060002054161561513257600052600d60205260016040600020015490565b60405162461bcd60e51b815260206004820152601a60248201527911d85d195dd85e4e881d1bdad95b881b9bdd08185b1b1bddd95960321b6044820152606490fd5b50600c5490565b90507f000000000000000000000000000000000000000000000000000000000000000016811438615102565b156151ae57565b60405162461bcd60e51b815260206004820152602360248201527f476174657761793a2063616c6c6572206973206e6f742074686520677561726460448201526234b0b760e91b6064820152608490fd5b60ff601b5416158015615269575b61521357565b61521b613741565b60175461522457565b60405162461bcd60e51b815260206004820152601f60248201527f476174657761793a2063616c6c206d757374206265207363686564756c6564006044820152606490fd5b503033141561520d565b60405160208101907f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f82527fa066c4866ace849d172ed6470da6fc6742e94539c4062fa3d3aeeb26a047959160408201527fc89efdaa54c0f20c7adf612882df0950f5a951637e0307cdcb4c672f298b8bc660608201524660808201523060a082015260a0815260c0810181811060018060401b0382111761343a5760405251902090565b1561531f57565b606460405162461bcd60e51b815260206004820152602060248201527f476174657761793a206f7065726174696f6e206e6f74207363686564756c65646044820152fd5b9061538a575080511561537857805190602001fd5b60405163d6bda27560e01b8152600490fd5b815115806153bd575b61539b575090565b604051639996b31560e01b81526001600160a01b039091166004820152602490fd5b50803b15615393565b601454908115801561542a575b61542357615400906153ea60155460135490613c86565b421015615415575b600460165491015490613c86565b90811161540f57601655600190565b50600090565b4260155560006016556153f2565b5050600190565b5060058101547f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03908116911614156153d3565b909160078201549182156155845750604192838504948481061580159061556a575b61555f57600094855b8787106154a4575050505050505050600190565b818702878104831488151715613c93576001880190818911613c935783820291808304851490151715613c935781811161356057848211613560576154f991816154f392369203908901613529565b8561396c565b5090916001600160a01b0390811690831690811180159250615538575b5061552b576155259096613ca9565b95615490565b5050505050505050600090565b60ff9150876000526020906011825260409182600020916000525260002054161538615516565b505050505050600090565b508360005260106020526001604060002001548610615487565b93926041925061406161559992853691613529565b5050911491826155a857505090565b600201546001600160a01b03918216911614919050565b613b699054600160ff82166155d381613609565b604051927f476174657761793a206f72646572206e6f74206f70656e3b207374617475733a6020850152600160fd1b604085015261561082613609565b60f81b6001600160f81b03191660418401526022835261562f8361341f565b14613c5a565b9060ff600e5460a01c166002811015613613576000906001036156935750613b6960068301545b61566a816004860154614d32565b936005810161568c8660018060a01b0393846003818654169201541690614d63565b541661569c565b613b699061565c565b8115614c5b577f9bcb6d1f38f6800906185471a11ede9a8e16200853225aa62558db6076490f2d602060018060a01b038093169283600052600f825260406000206156e8868254613c86565b90556156f98582600e541686614d63565b600e541693604051908152a3565b9092919260005b60608301518110806157a2575b1561572e5761572990613ca9565b61570e565b916040906157599261575f9596606083019182518714615762575b5050500151936119f98386614d3f565b92614d3f565b52565b61576d878551614d3f565b6001600160a01b039182169052602084015161578a908890614d3f565b911690526157988151613ca9565b9052388080615749565b5060018060a01b03806157b6838651614d3f565b511681841614908115916157cb575b5061571b565b8091506157dc836020870151614d3f565b51169086161415386157c5565b60408082016157f88184614c6f565b606085019591506158098686614c6f565b90508103615a0c5780156159c957600080915b808310615930575061271091500361591957506158399083614c6f565b8251602093928482019283919060005b878282106158f557505050509061586d81615877949303601f1981018352826134eb565b5190209484614c6f565b8251919591848101916001600160fb1b0381116135605785826137f6996158ac9360051b8091873781010380845201826134eb565b519020918051938401947f06266af7e2b3f1cea06634cc7c9249d5aacf029a031285a188e72b56d33f188f865235908401526060830152608082015260808152611283816134b5565b80600192939495838060a01b0361590b88613591565b168152019401929101615849565b6024908351906314e5690d60e31b82526004820152fd5b9082615942611a8c611aae888b614c6f565b1680159081156159b0575b50801561599a575b6159825761597561597b9161596e85611a868c8c614c6f565b3590613c86565b92613ca9565b919061581c565b85516314e5690d60e31b815260048101859052602490fd5b506159a983611a868a8a614c6f565b3515615955565b9050600052600660205260ff866000205416153861594d565b5050506137f6925080519060208201927fed44be2295b2ebe5c6569686306471f65a269e5c81ebfcf06192ac9cb7163e008452358183015281526112838161341f565b83516314e5690d60e31b815260048101839052602490fd5b604290615a2f615273565b906040519161190160f01b8352600283015260228201522090565b8054821015614cc65760005260206000200190600090565b8054600160401b81101561343a57615a7f91600182018155615a4a565b819291549060031b91821b91600019901b1916179055565b906001600160a01b0380615aaa84613aed565b16600090815260206008815260409283832095615acb838201358098615a62565b6101a0810135908115615b255750835260108252838320835b8154811015615b1b578083615afc615b169385615a4a565b90549060031b1c1686526009855261189d89888820615a62565b615ae4565b5050505050509050565b859493915091615b3d613b6997989660099401613aed565b1683525220615a62565b92919091835490818311615dfd575b615b608383614d32565b811015615df657615b72915082613c86565b925b60009084835b868110615d815750615b8b83614cdc565b92604090615b9b825195866134eb565b808552601f199283615bac83614cdc565b013660208801378599615bbe83614cdc565b94615bcb855196876134eb565b838652615bd784614cdc565b0160005b818110615d2c57505084926000985b8b811080615d23575b15615d1557615c028189615a4a565b90549060031b1c600052600360205285600020615c1e8c613609565b8b158015615cf6575b615c3b575b50615c3690613ca9565b615bea565b8a615cef918b615c60859e615c53615c36978f615a4a565b90549060031b1c92614d3f565b526008895191615c6f8361347e565b60ff815416615c7d81613609565b83526001810154602084015260028101546001600160a01b039081168c8501526003820154811660608501526004820154608085015260058201541660a0840152600681015460c0840152600781015460e08401520154610100820152615ce4828b614d3f565b526115bf818a614d3f565b9990615c2c565b508b60ff825416615d0682613609565b615d0f81613609565b14615c27565b505096509650965050505050565b50818a10615bf3565b6020908651615d3a8161347e565b600081526000838201526000888201526000606082015260006080820152600060a0820152600060c0820152600060e0820152600061010082015282828a01015201615bdb565b615d8a86613609565b85158015615dbb575b615da6575b615da190613ca9565b615b7a565b92615db3615da191613ca9565b939050615d98565b50615dc68184615a4a565b9054600391821b1c6000526020528560ff60406000205416615de782613609565b615df081613609565b14615d93565b5092615b74565b91508091615b5656fe6bb7ff33e730289800c62ad882105a144a74010d2bdbb9a942544a3005ad55bf5ffe5e3aadf7cc1e85b083f800bd2f6d053bec33c3b578397229304ffe5211d2c7f505b2f371ae2175ee4913f4499e1f2633a7b5936321eed1cdaeb6115181d2476174657761793a207265636569766520617574686f72697a6174696f6e206e360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc46e470efd1d5601791612d2263f0a4437104a35be37a932cdc59dfe948c8dfbc10d6c00fd9d176c2872e8e72b76641ca85aba29bb682a658aeedbc38814fe45f8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0f0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00ff9a8f4e0a39755c20c899b46171e470382709479fce2aa1e388f95edfe01739a264697066735822122072b15eb9d84c1150c1e6ef63d4c834a1cb0bdb9348e7a8cc73b2c36e2192ebc864736f6c634300081400336080806040523461001657610159908161001c8239f35b600080fdfe608080604052600436101561001357600080fd5b6000803560e01c63e97fac051461002957600080fd5b34610120576040366003190112610120576004356001600160a01b038116810361011c576001600160401b0392602435848111610118573660238201121561011857806004013590858211610114573660248383010111610114579184818382969460248497018337810182815203925af1903d1561010a573d908382116100f65760405191601f19603f81601f8401160116830194838610908611176100e2576020946040528252833d92013e5b6040519015158152f35b634e487b7160e01b82526041600452602482fd5b634e487b7160e01b81526041600452602490fd5b50602091506100d8565b8480fd5b8380fd5b5080fd5b80fdfea26469706673582212205b324a733068109d40f370d3a282556e334d46f7db2a31966aeab7620f933cc064736f6c63430008140033";
+
+type MockGatewayUpgradeConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockGatewayUpgradeConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockGatewayUpgrade__factory extends ContractFactory {
+  constructor(...args: MockGatewayUpgradeConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    _usdc: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(_usdc, overrides || {});
+  }
+  override deploy(
+    _usdc: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(_usdc, overrides || {}) as Promise<
+      MockGatewayUpgrade & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MockGatewayUpgrade__factory {
+    return super.connect(runner) as MockGatewayUpgrade__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockGatewayUpgradeInterface {
+    return new Interface(_abi) as MockGatewayUpgradeInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MockGatewayUpgrade {
+    return new Contract(address, _abi, runner) as unknown as MockGatewayUpgrade;
+  }
+}
@@ -0,0 +1,222 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../../common";
+import type {
+  MockMessageTransmitter,
+  MockMessageTransmitterInterface,
+} from "../../../contracts/tests/MockMessageTransmitter";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "contract MockUSDC",
+        name: "_usdc",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "_attester",
+        type: "address",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [],
+    name: "ECDSAInvalidSignature",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "length",
+        type: "uint256",
+      },
+    ],
+    name: "ECDSAInvalidSignatureLength",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "ECDSAInvalidSignatureS",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "attester",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes",
+        name: "message",
+        type: "bytes",
+      },
+      {
+        internalType: "bytes",
+        name: "attestation",
+        type: "bytes",
+      },
+    ],
+    name: "receiveMessage",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "rejectMessages",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bool",
+        name: "reject",
+        type: "bool",
+      },
+    ],
+    name: "setRejectMessages",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "usdc",
+    outputs: [
+      {
+        internalType: "contract MockUSDC",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "usedNonces",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x60c03461009357601f61075d38819003918201601f19168301916001600160401b038311848410176100985780849260409485528339810103126100935780516001600160a01b03918282168203610093576020015191821682036100935760805260a0526040516106ae90816100af82396080518181816101860152610367015260a05181818161014201526102c60152f35b600080fd5b634e487b7160e01b600052604160045260246000fdfe6080604081815260048036101561001557600080fd5b600092833560e01c9081630628f6ef146101b5575080633e413bee1461017157806347b0c3b31461012d57806357ecfd28146100c6578063d2ded709146100935763feb617241461006557600080fd5b3461008f57602036600319011261008f578160209360ff9235815280855220541690519015158152f35b8280fd5b8382346100c25760203660031901126100c257358015158091036100c25760ff80196001541691161760015580f35b5080fd5b50913461012a578160031936011261012a576001600160401b0392803584811161008f576100f790369083016101d6565b94909260243591821161012a57509161011960209592610121943691016101d6565b929091610270565b90519015158152f35b80fd5b5050346100c257816003193601126100c257517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b5050346100c257816003193601126100c257517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b8490346100c257816003193601126100c25760209060ff6001541615158152f35b9181601f84011215610203578235916001600160401b038311610203576020838186019501011161020357565b600080fd5b9192916001600160401b039182811161025a5760405192601f8201601f19908116603f011684019081118482101761025a57604052829481845281830111610203578281602093846000960137010152565b634e487b7160e01b600052604160045260246000fd5b91909160ff600154166105285761017883106104ea576102b26102bb946102ac61029b368786610208565b948551602080970120923691610208565b90610531565b909591956105f3565b6001600160a01b03937f00000000000000000000000000000000000000000000000000000000000000008516908516036104af5782608c116102035783606c8201351680159081156104a5575b50156104635782602c1161020357600c8101359260009284845283815260409460ff868620541661042a578452839052838320805460ff1916600117905560d8811061008f578060f81161008f5760d8820135906101581161008f57847f00000000000000000000000000000000000000000000000000000000000000001690610138830135810390811161041657813b156104125783928360b8936044938851998a9687956340c10f1960e01b8752013516600485015260248401525af18015610406576103da575b505050600190565b6001600160401b0383116103f25750523880806103d2565b634e487b7160e01b81526041600452602490fd5b509051903d90823e3d90fd5b8380fd5b634e487b7160e01b84526011600452602484fd5b855162461bcd60e51b8152600481018390526012602482015271139bdb98d948185b1c9958591e481d5cd95960721b6044820152606490fd5b60405162461bcd60e51b815260048101839052601a602482015279496e76616c69642063616c6c657220666f72206d65737361676560301b6044820152606490fd5b9050331438610308565b60405162461bcd60e51b815260048101839052601360248201527224b73b30b634b21030ba3a32b9ba30ba34b7b760691b6044820152606490fd5b60405162461bcd60e51b8152602060048201526016602482015275092dcecc2d8d2c840dacae6e6c2ceca40d8cadccee8d60531b6044820152606490fd5b50505050600090565b81519190604183036105625761055b92506020820151906060604084015193015160001a9061056d565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b0384116105e757926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa156105db5780516001600160a01b038116156105d257918190565b50809160019190565b604051903d90823e3d90fd5b50505060009160039190565b60048110156106625780610605575050565b6001810361061f5760405163f645eedf60e01b8152600490fd5b600281036106405760405163fce698f760e01b815260048101839052602490fd5b60031461064a5750565b602490604051906335e2f38360e21b82526004820152fd5b634e487b7160e01b600052602160045260246000fdfea264697066735822122080bb1257163ac35e5d9bc2f939da287d797bbbcc2179187cf42d37a0c372562d64736f6c63430008140033";
+
+type MockMessageTransmitterConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockMessageTransmitterConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockMessageTransmitter__factory extends ContractFactory {
+  constructor(...args: MockMessageTransmitterConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    _usdc: AddressLike,
+    _attester: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(_usdc, _attester, overrides || {});
+  }
+  override deploy(
+    _usdc: AddressLike,
+    _attester: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(_usdc, _attester, overrides || {}) as Promise<
+      MockMessageTransmitter & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(
+    runner: ContractRunner | null
+  ): MockMessageTransmitter__factory {
+    return super.connect(runner) as MockMessageTransmitter__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockMessageTransmitterInterface {
+    return new Interface(_abi) as MockMessageTransmitterInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MockMessageTransmitter {
+    return new Contract(
+      address,
+      _abi,
+      runner
+    ) as unknown as MockMessageTransmitter;
+  }
+}
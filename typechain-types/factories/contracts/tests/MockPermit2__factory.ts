@@ -0,0 +1,249 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../../../common";
+import type {
+  MockPermit2,
+  MockPermit2Interface,
+} from "../../../contracts/tests/MockPermit2";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "maxAmount",
+        type: "uint256",
+      },
+    ],
+    name: "InvalidAmount",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidNonce",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidSigner",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "SafeERC20FailedOperation",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "signatureDeadline",
+        type: "uint256",
+      },
+    ],
+    name: "SignatureExpired",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PERMIT_TRANSFER_FROM_WITNESS_TYPEHASH_STUB",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "TOKEN_PERMISSIONS_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "nonceBitmap",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        components: [
+          {
+            components: [
+              {
+                internalType: "address",
+                name: "token",
+                type: "address",
+              },
+              {
+                internalType: "uint256",
+                name: "amount",
+                type: "uint256",
+              },
+            ],
+            internalType: "struct ISignatureTransfer.TokenPermissions",
+            name: "permitted",
+            type: "tuple",
+          },
+          {
+            internalType: "uint256",
+            name: "nonce",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "deadline",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ISignatureTransfer.PermitTransferFrom",
+        name: "permit",
+        type: "tuple",
+      },
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "to",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "requestedAmount",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ISignatureTransfer.SignatureTransferDetails",
+        name: "transferDetails",
+        type: "tuple",
+      },
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "witness",
+        type: "bytes32",
+      },
+      {
+        internalType: "string",
+        name: "witnessTypeString",
+        type: "string",
+      },
+      {
+        internalType: "bytes",
+        name: "signature",
+        type: "bytes",
+      },
+    ],
+    name: "permitWitnessTransferFrom",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x60808060405234610016576108ba908161001c8239f35b600080fdfe6080604052600436101561001257600080fd5b60003560e01c8063137c29fe146101205780633644e515146100fd5780634fe02b44146100b5578063622306d2146100815763696c11e51461005357600080fd5b3461007c57600036600319011261007c5760206040516000805160206108658339815191528152f35b600080fd5b3461007c57600036600319011261007c576100b161009d61054b565b604051918291602083526020830190610600565b0390f35b3461007c57604036600319011261007c576001600160a01b036100d66104ed565b16600052600060205260406000206024356000526020526020604060002054604051908152f35b3461007c57600036600319011261007c576020610118610625565b604051908152f35b3461007c573660031901610140811261007c576080811261007c5760e09060401361007c5761012081811061043c5760405261015a6104ed565b81526024356101005260805260443560a05260643560c0819052604036608319011261007c5760c4356001600160a01b038116900361007c57610104356001600160401b03811161007c576101b3903690600401610503565b90610124356001600160401b03811161007c576101d4903690600401610503565b92909380421161047c5750602060805101518060a435116104645750602060800151600160ff82161b9060018060a01b0360c43516600052600060205260406000209060081c600052602052604060002081815418809155161561045257610274602061023f61054b565b93604051938491818461025b818601998a8151938492016105dd565b84019185830137016000838201520380845201826104ca565b519020608051604051602080820192600080516020610865833981519152845260018060a01b03815116604084015201516060820152606081526102b781610494565b51902060a0805160c0805160408051602081019788529081019590955233606086015260808501929092529183015260e43582820152815260e081016001600160401b0381118282101761043c57604052519020610313610625565b9060405190602082019261190160f01b8452602283015260428201526042815261033c81610494565b51902061034882610530565b9161035660405193846104ca565b808352368185011161007c5760208160009261037c96838701378401015260c435610695565b1561042a57608051516001600160a01b03908116906084359081169081900361007c576000602091604051838101916323b872dd60e01b835260018060a01b0360c435166024830152604482015260a4356064820152606481526103df816104af565b519082855af11561041e576000513d6104155750803b155b6103fd57005b60249060405190635274afe760e01b82526004820152fd5b600114156103f7565b6040513d6000823e3d90fd5b604051632057875960e21b8152600490fd5b634e487b7160e01b600052604160045260246000fd5b604051633ab3447f60e11b8152600490fd5b60249060405190633728b83d60e01b82526004820152fd5b6024906040519063cd21db4f60e01b82526004820152fd5b608081019081106001600160401b0382111761043c57604052565b60a081019081106001600160401b0382111761043c57604052565b601f909101601f19168101906001600160401b0382119082101761043c57604052565b600435906001600160a01b038216820361007c57565b9181601f8401121561007c578235916001600160401b03831161007c576020838186019501011161007c57565b6001600160401b03811161043c57601f01601f191660200190565b60405190610558826104af565b60648252631a5b994b60e21b6080837f5065726d69745769746e6573735472616e7366657246726f6d28546f6b656e5060208201527f65726d697373696f6e73207065726d69747465642c616464726573732073706560408201527f6e6465722c75696e74323536206e6f6e63652c75696e7432353620646561646c60608201520152565b60005b8381106105f05750506000910152565b81810151838201526020016105e0565b90602091610619815180928185528580860191016105dd565b601f01601f1916010190565b60405160208101907f8cad95687ba82c2ce50e74f7b754645e5117c3a5bec8151c0726d5857980a86682527f9ac997416e8ff9d2ff6bebeb7149f65cdae5e32e2b90440b566bb3044041d36a60408201524660608201523060808201526080815261068f816104af565b51902090565b91823b6106e4576106a5916107a2565b5060048110156106ce571591826106bb57505090565b6001600160a01b03918216911614919050565b634e487b7160e01b600052602160045260246000fd5b604051610723816107156020820194630b135d3f60e11b968787526024840152604060448401526064830190610600565b03601f1981018352826104ca565b6000938492839251915afa913d1561079a573d9061074082610530565b9161074e60405193846104ca565b82523d81602084013e5b8361078c575b8361076a575b50505090565b9091925060208280518101031261078957506020015114388080610764565b80fd5b92506020815110159261075e565b606090610758565b81519190604183036107d3576107cc92506020820151906060604084015193015160001a906107de565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841161085857926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa1561084c5780516001600160a01b0381161561084357918190565b50809160019190565b604051903d90823e3d90fd5b5050506000916003919056fe618358ac3db8dc274f0cd8829da7e234bd48cd73c4a740aede1adec9846d06a1a2646970667358221220c75699e8e2aaaa4a63cebffeb97b2a78936a74a3c86047cd119db7f7ede3c13464736f6c63430008140033";
+
+type MockPermit2ConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockPermit2ConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockPermit2__factory extends ContractFactory {
+  constructor(...args: MockPermit2ConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MockPermit2 & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MockPermit2__factory {
+    return super.connect(runner) as MockPermit2__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockPermit2Interface {
+    return new Interface(_abi) as MockPermit2Interface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): MockPermit2 {
+    return new Contract(address, _abi, runner) as unknown as MockPermit2;
+  }
+}
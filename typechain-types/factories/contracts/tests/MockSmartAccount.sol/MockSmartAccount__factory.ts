@@ -0,0 +1,153 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type {
+  Signer,
+  AddressLike,
+  ContractDeployTransaction,
+  ContractRunner,
+} from "ethers";
+import type { NonPayableOverrides } from "../../../../common";
+import type {
+  MockSmartAccount,
+  MockSmartAccountInterface,
+} from "../../../../contracts/tests/MockSmartAccount.sol/MockSmartAccount";
+
+const _abi = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "_owner",
+        type: "address",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes",
+        name: "data",
+        type: "bytes",
+      },
+    ],
+    name: "execute",
+    outputs: [
+      {
+        internalType: "bytes",
+        name: "",
+        type: "bytes",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "hash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes",
+        name: "signature",
+        type: "bytes",
+      },
+    ],
+    name: "isValidSignature",
+    outputs: [
+      {
+        internalType: "bytes4",
+        name: "",
+        type: "bytes4",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "owner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x60a03461007757601f61053838819003918201601f19168301916001600160401b0383118484101761007c5780849260209460405283398101031261007757516001600160a01b0381168103610077576080526040516104a590816100938239608051818181609e0152818161021701526103610152f35b600080fd5b634e487b7160e01b600052604160045260246000fdfe6040608081526004908136101561001557600080fd5b600091823560e01c80631626ba7e1461024a5780638da5cb5b146102025763b61d27f61461004257600080fd5b346101fe5760603660031901126101fe5780356001600160a01b0380821682036101fa57604435906001600160401b03908183116101f657366023840112156101f657828501359182116101f65736602483850101116101f6577f00000000000000000000000000000000000000000000000000000000000000001633036101a157916024869392838594885193849301833781018481520391602435905af1903d15610199573d916100fc6100f78461030a565b6102cf565b9283523d85602085013e5b15610156575091815192839160208084528251928382860152825b84811061014057505050828201840152601f01601f19168101030190f35b8181018301518882018801528795508201610122565b606490602084519162461bcd60e51b8352820152601d60248201527f4d6f636b536d6172744163636f756e743a2063616c6c206661696c65640000006044820152fd5b606091610107565b845162461bcd60e51b8152602081860152602960248201527f4d6f636b536d6172744163636f756e743a2063616c6c6572206973206e6f74206044820152683a34329037bbb732b960b91b6064820152608490fd5b8680fd5b8480fd5b8280fd5b505034610246578160031936011261024657517f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03168152602090f35b5080fd5b50346101fe57816003193601126101fe57602435906001600160401b0382116102cb57366023830112156102cb57818101356102886100f78261030a565b9281845236602483830101116102c757946020826102b59594936024839901838701378401015235610325565b90516001600160e01b03199091168152f35b8580fd5b8380fd5b6040519190601f01601f191682016001600160401b038111838210176102f457604052565b634e487b7160e01b600052604160045260246000fd5b6001600160401b0381116102f457601f01601f191660200190565b9061032f916103ad565b50600481101561039757159081159161035f575b5061035357630b135d3f60e11b90565b6001600160e01b031990565b7f00000000000000000000000000000000000000000000000000000000000000006001600160a01b0390811691161415905038610343565b634e487b7160e01b600052602160045260246000fd5b81519190604183036103de576103d792506020820151906060604084015193015160001a906103e9565b9192909190565b505060009160029190565b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841161046357926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa156104575780516001600160a01b0381161561044e57918190565b50809160019190565b604051903d90823e3d90fd5b5050506000916003919056fea2646970667358221220ec32309c5668e77c048ce4255006da5e0a2765a60074dc40b0a5b4846bc2411a64736f6c63430008140033";
+
+type MockSmartAccountConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockSmartAccountConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockSmartAccount__factory extends ContractFactory {
+  constructor(...args: MockSmartAccountConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    _owner: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(_owner, overrides || {});
+  }
+  override deploy(
+    _owner: AddressLike,
+    overrides?: NonPayableOverrides & { from?: string }
+  ) {
+    return super.deploy(_owner, overrides || {}) as Promise<
+      MockSmartAccount & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MockSmartAccount__factory {
+    return super.connect(runner) as MockSmartAccount__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockSmartAccountInterface {
+    return new Interface(_abi) as MockSmartAccountInterface;
+  }
+  static connect(
+    address: string,
+    runner?: ContractRunner | null
+  ): MockSmartAccount {
+    return new Contract(address, _abi, runner) as unknown as MockSmartAccount;
+  }
+}
@@ -0,0 +1,5 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+export { MockSmartAccount__factory } from "./MockSmartAccount__factory";
+export { MockSmartAccountFactory__factory } from "./MockSmartAccountFactory__factory";
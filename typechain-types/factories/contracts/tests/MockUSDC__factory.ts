@@ -0,0 +1,801 @@
+/* Autogenerated file. Do not edit manually. */
+/* tslint:disable */
+/* eslint-disable */
+import {
+  Contract,
+  ContractFactory,
+  ContractTransactionResponse,
+  Interface,
+} from "ethers";
+import type { Signer, ContractDeployTransaction, ContractRunner } from "ethers";
+import type { NonPayableOverrides } from "../../../common";
+import type {
+  MockUSDC,
+  MockUSDCInterface,
+} from "../../../contracts/tests/MockUSDC";
+
+const _abi = [
+  {
+    inputs: [],
+    stateMutability: "nonpayable",
+    type: "constructor",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "allowance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "ERC20InsufficientAllowance",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "balance",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "needed",
+        type: "uint256",
+      },
+    ],
+    name: "ERC20InsufficientBalance",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "approver",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidApprover",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "receiver",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidReceiver",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidSender",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+    ],
+    name: "ERC20InvalidSpender",
+    type: "error",
+  },
+  {
+    inputs: [],
+    name: "InvalidShortString",
+    type: "error",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "str",
+        type: "string",
+      },
+    ],
+    name: "StringTooLong",
+    type: "error",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "Approval",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "authorizer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+    ],
+    name: "AuthorizationCanceled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "authorizer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+    ],
+    name: "AuthorizationUsed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [],
+    name: "EIP712DomainChanged",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "Transfer",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "CANCEL_AUTHORIZATION_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "DOMAIN_SEPARATOR",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PERMIT_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "RECEIVE_WITH_AUTHORIZATION_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "TRANSFER_WITH_AUTHORIZATION_TYPEHASH",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+    ],
+    name: "allowance",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "approve",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "authorizer",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+    ],
+    name: "authorizationState",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "balanceOf",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "authorizer",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint8",
+        name: "v",
+        type: "uint8",
+      },
+      {
+        internalType: "bytes32",
+        name: "r",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "cancelAuthorization",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "decimals",
+    outputs: [
+      {
+        internalType: "uint8",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "pure",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "eip712Domain",
+    outputs: [
+      {
+        internalType: "bytes1",
+        name: "fields",
+        type: "bytes1",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "version",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "chainId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "verifyingContract",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "salt",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256[]",
+        name: "extensions",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "mint",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "name",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "nonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "spender",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "deadline",
+        type: "uint256",
+      },
+      {
+        internalType: "uint8",
+        name: "v",
+        type: "uint8",
+      },
+      {
+        internalType: "bytes32",
+        name: "r",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "permit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "validAfter",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "validBefore",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint8",
+        name: "v",
+        type: "uint8",
+      },
+      {
+        internalType: "bytes32",
+        name: "r",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "receiveWithAuthorization",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "symbol",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "totalSupply",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "transfer",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+    ],
+    name: "transferFrom",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "value",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "validAfter",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "validBefore",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "nonce",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint8",
+        name: "v",
+        type: "uint8",
+      },
+      {
+        internalType: "bytes32",
+        name: "r",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32",
+        name: "s",
+        type: "bytes32",
+      },
+    ],
+    name: "transferWithAuthorization",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "version",
+    outputs: [
+      {
+        internalType: "string",
+        name: "",
+        type: "string",
+      },
+    ],
+    stateMutability: "pure",
+    type: "function",
+  },
+] as const;
+
+const _bytecode =
+  "0x610160604081815234620004a8576200001882620004ad565b6008825260209182810191672aa9a21021b7b4b760c11b8084528151946200004086620004ad565b600191828752818701601960f91b81528451916200005e83620004ad565b60088352838301528451936200007485620004ad565b600494858152635553444360e01b85820152835160018060401b039485821162000493576003918254918583811c9316801562000488575b898410146200038a578190601f9384811162000432575b508990848311600114620003cb57600092620003bf575b505060001982851b1c191690851b1782555b825192868411620003aa5788548581811c911680156200039f575b898210146200038a578281116200033f575b5087918411600114620002d457938394918492600095620002c8575b50501b92600019911b1c19161784555b6200015086620004df565b966101209788526200016289620006b9565b96610140978852519020978860e052519020610100978189524660a052855191848301917f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f83528784015260608301524660808301523060a083015260a0825260c082019282841090841117620002b357828652815190206080523060c05233156200029c57505060025464e8d4a51000928382018092116200028757506000917fddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef9160025533835282815284832084815401905584519384523393a3519161166e9384620008728539608051846112d1015260a0518461139b015260c0518461129b015260e0518461132001525183611346015251826108040152518161082e0152f35b601190634e487b7160e01b6000525260246000fd5b63ec442f0560e01b8252600060c490910152602490fd5b604185634e487b7160e01b6000525260246000fd5b01519350388062000135565b9190601f198416928960005284896000209460005b8b898383106200032757505050106200030c575b50505050811b01845562000145565b01519060f884600019921b161c1916905538808080620002fd565b868601518955909701969485019488935001620002e9565b89600052886000208380870160051c8201928b881062000380575b0160051c019086905b8281106200037357505062000119565b6000815501869062000363565b925081926200035a565b60228a634e487b7160e01b6000525260246000fd5b90607f169062000107565b604189634e487b7160e01b6000525260246000fd5b015190503880620000da565b90879350601f19831691866000528b6000209260005b8d8282106200041b575050841162000402575b505050811b018255620000ec565b015160001983871b60f8161c19169055388080620003f4565b8385015186558b97909501949384019301620003e1565b90915084600052896000208480850160051c8201928c86106200047e575b918991869594930160051c01915b8281106200046e575050620000c3565b600081558594508991016200045e565b9250819262000450565b92607f1692620000ac565b604188634e487b7160e01b6000525260246000fd5b600080fd5b604081019081106001600160401b03821117620004c957604052565b634e487b7160e01b600052604160045260246000fd5b805160209190828110156200057e575090601f8251116200051d57808251920151908083106200050e57501790565b82600019910360031b1b161790565b90604051809263305a27a960e01b82528060048301528251908160248401526000935b82851062000564575050604492506000838284010152601f80199101168101030190fd5b848101820151868601604401529381019385935062000540565b6001600160401b038111620004c9576005928354926001938481811c91168015620006ae575b838210146200069857601f811162000661575b5081601f8411600114620005f75750928293918392600094620005eb575b50501b916000199060031b1c191617905560ff90565b015192503880620005d5565b919083601f1981168760005284600020946000905b888383106200064657505050106200062c575b505050811b01905560ff90565b015160001960f88460031b161c191690553880806200061f565b8587015188559096019594850194879350908101906200060c565b8560005284601f846000209201871c820191601f8601881c015b8281106200068b575050620005b7565b600081550185906200067b565b634e487b7160e01b600052602260045260246000fd5b90607f1690620005a4565b805160209081811015620007475750601f825111620006e657808251920151908083106200050e57501790565b90604051809263305a27a960e01b82528060048301528251908160248401526000935b8285106200072d575050604492506000838284010152601f80199101168101030190fd5b848101820151868601604401529381019385935062000709565b906001600160401b038211620004c957600654926001938481811c9116801562000866575b838210146200069857601f81116200082c575b5081601f8411600114620007c05750928293918392600094620007b4575b50501b916000199060031b1c19161760065560ff90565b0151925038806200079d565b919083601f198116600660005284600020946000905b88838310620008115750505010620007f7575b505050811b0160065560ff90565b015160001960f88460031b161c19169055388080620007e9565b858701518855909601959485019487935090810190620007d6565b600660005284601f84600020920160051c820191601f860160051c015b828110620008595750506200077f565b6000815501859062000849565b90607f16906200076c56fe608060408181526004918236101561001657600080fd5b60009260e0918435831c90816306fdde0314610d3a57508063095ea7b314610d0f57806318160ddd14610cef57806323b872dd14610c0557806330adf81f14610bdb578063313ce56714610bbe5780633644e51514610b9957806340c10f1914610b0357806354fd4d5014610ac15780635a049a70146109a357806370a082311461096b5780637ecebe00146109325780637f2eecc31461090857806384b0196e146107ec57806395d89b4114610722578063a0cc6a68146106f8578063a9059cbb146106c6578063d505accf14610513578063d9169487146104e9578063dd62ed3e1461049f578063e3ee160e1461036c578063e94a0102146103205763ef55bec61461012357600080fd5b3461031c5761013136610e78565b9360018060a09d999b9497989c93959a9d1b0396878b16933385036102cb57814211156102865782421015610247575089969492889694928f9a99928f8f948c91169c8d9b8c82526007602052828220908252602052205460ff1615610196906113c1565b8a5193602085019560008051602061161983398151915287528b8d8701526060860152608085015260a084015260c08301528a8183015281526101d881610f3c565b5190206101e490611470565b926101ee93611496565b16146101f990611424565b8187526007602052808720838852602052862060ff1981541660011790557f98de503528ee59b575ef0c0a2576a82497bfc029a5685b209e9ec333479b10a58680a361024492610f7b565b80f35b60849060208b519162461bcd60e51b8352820152602560248201526000805160206115b98339815191526044820152641c1a5c995960da1b6064820152fd5b60849060208b519162461bcd60e51b8352820152602b602482015260008051602061159983398151915260448201526a1d081e595d081d985b1a5960aa1b6064820152fd5b60849060208b519162461bcd60e51b8352820152602560248201527f46696174546f6b656e56323a2063616c6c6572206d7573742062652074686520604482015264706179656560d81b6064820152fd5b8380fd5b5050503461036857806003193601126103685760209160ff9082906001600160a01b0361034b610e47565b168152600785528181206024358252855220541690519015158152f35b5080fd5b5091903461031c5761037d36610e78565b949093919599969892979a8142111561045a578242101561041b57509286898197948a97948f9a978f988f90600160a01b60019003809b169d8e9c8d82526007602052828220908252602052205460ff16156103d8906113c1565b898651958c60208801986000805160206115598339815191528a52880152166060860152608085015260a084015260c08301528a8183015281526101d881610f3c565b608490602089519162461bcd60e51b8352820152602560248201526000805160206115b98339815191526044820152641c1a5c995960da1b6064820152fd5b608490602089519162461bcd60e51b8352820152602b602482015260008051602061159983398151915260448201526a1d081e595d081d985b1a5960aa1b6064820152fd5b50505034610368578060031936011261036857806020926104be610e47565b6104c6610e62565b6001600160a01b0391821683526001865283832091168252845220549051908152f35b50505034610368578160031936011261036857602090516000805160206115798339815191528152f35b50929192346106c257816003193601126106c25761052f610e47565b610537610e62565b91604435936064359060843560ff811681036106be576000199083821480156106b4575b156106715760018060a01b039283871694858b5260086020528b8b20805494851461065e57908493929160018e960190558451938760208601966000805160206115f98339815191528852860152868b1660608601528b608086015260a085015260c084015260c08352820182811060018060401b0382111761064b57906105f99392918c526105f460c4359360a43593519020611470565b611496565b160361060b5750610244939450611050565b606490602087519162461bcd60e51b8352820152601a602482015279454950323631323a20696e76616c6964207369676e617475726560301b6044820152fd5b634e487b7160e01b8b526041875260248bfd5b634e487b7160e01b8c526011885260248cfd5b895162461bcd60e51b8152602081870152601e60248201527f46696174546f6b656e56323a207065726d6974206973206578706972656400006044820152606490fd5b504284101561055b565b8780fd5b8280fd5b505050346103685780600319360112610368576020906106f16106e7610e47565b6024359033610f7b565b5160018152f35b50505034610368578160031936011261036857602090516000805160206115598339815191528152f35b508383346103685781600319360112610368578051918093805461074581610ed1565b808652916001918083169081156107c15750600114610786575b6107828686610770828b0383610f58565b51918291602083526020830190610e07565b0390f35b835260208084209096505b8284106107ae57505050826107829461077092820101948661075f565b8054868501880152928601928101610791565b905061078297506107709450602092508693915060ff191682840152151560051b820101948661075f565b508284346109055780600319360112610905576108287f00000000000000000000000000000000000000000000000000000000000000006110e3565b906108527f00000000000000000000000000000000000000000000000000000000000000006111de565b928051936020938486019686881060018060401b038911176108f2575095936108a8838293878b99965286865261089b82519a8b9a600f60f81b8c5280878d01528b0190610e07565b91898303908a0152610e07565b924660608801523060808801528460a088015286840360c088015251928381520193925b8281106108db57505050500390f35b8351855286955093810193928101926001016108cc565b634e487b7160e01b855260419052602484fd5b80fd5b50505034610368578160031936011261036857602090516000805160206116198339815191528152f35b505050346103685760203660031901126103685760209181906001600160a01b0361095b610e47565b1681526008845220549051908152f35b505050346103685760203660031901126103685760209181906001600160a01b03610994610e47565b16815280845220549051908152f35b509050346106c25760a03660031901126106c2576109bf610e47565b91602435926044359260ff84168403610abd5760018060a01b038092169384875260076020528387208688526020526109fe60ff8589205416156113c1565b83519060208201926000805160206115798339815191528452868684015287606084015260608352608083019083821060018060401b03831117610aaa575092610a659492610a5e92889588526105f46084359360643593519020611470565b1614611424565b81845260076020528084208385526020528320600160ff198254161790557f1cdd46ff242716cdaa72d159d339a485b3438398348d68f09d7c8c0a59353d818380a380f35b634e487b7160e01b8a5260419052602489fd5b8580fd5b50505034610368578160031936011261036857805161078291610ae382610f0b565b60018252601960f91b602083015251918291602083526020830190610e07565b848285346106c257806003193601126106c257610b1e610e47565b6001600160a01b03169160243591908315610b845760025490838201809211610b71575084926000805160206115d98339815191529260209260025585855284835280852082815401905551908152a380f35b634e487b7160e01b865260119052602485fd5b84602492519163ec442f0560e01b8352820152fd5b50505034610368578160031936011261036857602090610bb7611298565b9051908152f35b505050346103685781600319360112610368576020905160068152f35b50505034610368578160031936011261036857602090516000805160206115f98339815191528152f35b8382863461090557606036600319011261090557610c21610e47565b610c29610e62565b916044359360018060a01b038316808352600160205286832033845260205286832054916000198310610c65575b6020886106f1898989610f7b565b868310610ccd578115610cb6573315610c9f575082526001602090815286832033845281529186902090859003905582906106f187610c57565b8751634a1406b160e11b8152908101849052602490fd5b875163e602df0560e01b8152908101849052602490fd5b9050610ceb868851938493637dc7a0d960e11b855233908501611032565b0390fd5b505050346103685781600319360112610368576020906002549051908152f35b505050346103685780600319360112610368576020906106f1610d30610e47565b6024359033611050565b859085346106c257826003193601126106c25782600354610d5a81610ed1565b80855290600190818116908115610ddf5750600114610d86575b50505061077082610782940383610f58565b60038352602095507fc2575a0e9e593c00f959f8c92f12db2869c3395a3b0502d05e2516446f71f85b5b828410610dcc5750505082610782946107709282010194610d74565b8054868501880152928601928101610db0565b61078297506107709450602092508693915060ff191682840152151560051b82010194610d74565b919082519283825260005b848110610e33575050826000602080949584010152601f8019910116010190565b602081830181015184830182015201610e12565b600435906001600160a01b0382168203610e5d57565b600080fd5b602435906001600160a01b0382168203610e5d57565b610120906003190112610e5d576001600160a01b03906004358281168103610e5d57916024359081168103610e5d579060443590606435906084359060a4359060c43560ff81168103610e5d579060e435906101043590565b90600182811c92168015610f01575b6020831014610eeb57565b634e487b7160e01b600052602260045260246000fd5b91607f1691610ee0565b604081019081106001600160401b03821117610f2657604052565b634e487b7160e01b600052604160045260246000fd5b61010081019081106001600160401b03821117610f2657604052565b601f909101601f19168101906001600160401b03821190821017610f2657604052565b916001600160a01b0380841692831561101957169283156110005760009083825281602052604082205490838210610fe3575091604082826000805160206115d9833981519152958760209652828652038282205586815220818154019055604051908152a3565b610ceb8460405193849363391434e360e21b855260048501611032565b60405163ec442f0560e01b815260006004820152602490fd5b604051634b637e8f60e11b815260006004820152602490fd5b604091949392606082019560018060a01b0316825260208201520152565b6001600160a01b039081169182156110ca57169182156110b15760207f8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925918360005260018252604060002085600052825280604060002055604051908152a3565b604051634a1406b160e11b815260006004820152602490fd5b60405163e602df0560e01b815260006004820152602490fd5b60ff81146111215760ff811690601f821161110f576040519161110583610f0b565b8252602082015290565b604051632cd44ac360e21b8152600490fd5b5060405160055481600061113483610ed1565b8083526001938085169081156111bd575060011461115d575b5061115a92500382610f58565b90565b600560009081527f036b6384b5eca791c62761152d0c79bb0604c104a5fb6f4eb0703f3154bb3db094602093509091905b8183106111a557505061115a93508201013861114d565b8554878401850152948501948694509183019161118e565b905061115a94506020925060ff191682840152151560051b8201013861114d565b60ff81146112005760ff811690601f821161110f576040519161110583610f0b565b5060405160065481600061121383610ed1565b8083526001938085169081156111bd5750600114611238575061115a92500382610f58565b600660009081527ff652222313e28459528d920b65115c16c04f3efc82aaedc97be59f3f377c0d3f94602093509091905b81831061128057505061115a93508201013861114d565b85548784018501529485019486945091830191611269565b307f00000000000000000000000000000000000000000000000000000000000000006001600160a01b03161480611398575b156112f3577f000000000000000000000000000000000000000000000000000000000000000090565b60405160208101907f8b73c3c69bb8fe3d512ecc4cf759cc79239f7b179b0ffacaa9a75d522b39400f82527f000000000000000000000000000000000000000000000000000000000000000060408201527f000000000000000000000000000000000000000000000000000000000000000060608201524660808201523060a082015260a0815260c0810181811060018060401b03821117610f265760405251902090565b507f000000000000000000000000000000000000000000000000000000000000000046146112ca565b156113c857565b60405162461bcd60e51b815260206004820152602e60248201527f46696174546f6b656e56323a20617574686f72697a6174696f6e20697320757360448201526d1959081bdc8818d85b98d95b195960921b6064820152608490fd5b1561142b57565b60405162461bcd60e51b815260206004820152601e60248201527f46696174546f6b656e56323a20696e76616c6964207369676e617475726500006044820152606490fd5b60429061147b611298565b906040519161190160f01b8352600283015260228201522090565b906114a29392916114d2565b5060048110156114bc576000906114b7575090565b905090565b634e487b7160e01b600052602160045260246000fd5b91906fa2a8918ca85bafe22016d0b997e4df60600160ff1b03841161154c57926020929160ff608095604051948552168484015260408301526060820152600092839182805260015afa156115405780516001600160a01b0381161561153757918190565b50809160019190565b604051903d90823e3d90fd5b5050506000916003919056fe7c7c6cdb67a18743f49ec6fa9b35f50d52ed05cbed4cc592e13b44501c1a2267158b0a9edf7a828aad02f63cd515c68ef2f50ba807396f6d12842833a159742946696174546f6b656e56323a20617574686f72697a6174696f6e206973206e6f46696174546f6b656e56323a20617574686f72697a6174696f6e206973206578ddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef6e71edae12b1b97f4d1f60370fef10105fa2faae0126114a169c64845d6126c9d099cc98ef71107a616c4f0f941f04c322d8e254fe26b3c6668db87aae413de8a2646970667358221220a31e7219a9793681b9ded6387c6190ca5e64122824443bc02f2bbc84ed3611cb64736f6c63430008140033";
+
+type MockUSDCConstructorParams =
+  | [signer?: Signer]
+  | ConstructorParameters<typeof ContractFactory>;
+
+const isSuperArgs = (
+  xs: MockUSDCConstructorParams
+): xs is ConstructorParameters<typeof ContractFactory> => xs.length > 1;
+
+export class MockUSDC__factory extends ContractFactory {
+  constructor(...args: MockUSDCConstructorParams) {
+    if (isSuperArgs(args)) {
+      super(...args);
+    } else {
+      super(_abi, _bytecode, args[0]);
+    }
+  }
+
+  override getDeployTransaction(
+    overrides?: NonPayableOverrides & { from?: string }
+  ): Promise<ContractDeployTransaction> {
+    return super.getDeployTransaction(overrides || {});
+  }
+  override deploy(overrides?: NonPayableOverrides & { from?: string }) {
+    return super.deploy(overrides || {}) as Promise<
+      MockUSDC & {
+        deploymentTransaction(): ContractTransactionResponse;
+      }
+    >;
+  }
+  override connect(runner: ContractRunner | null): MockUSDC__factory {
+    return super.connect(runner) as MockUSDC__factory;
+  }
+
+  static readonly bytecode = _bytecode;
+  static readonly abi = _abi;
+  static createInterface(): MockUSDCInterface {
+    return new Interface(_abi) as MockUSDCInterface;
+  }
+  static connect(address: string, runner?: ContractRunner | null): MockUSDC {
+    return new Contract(address, _abi, runner) as unknown as MockUSDC;
+  }
+}
@@ -2,3 +2,10 @@
 /* tslint:disable */
 /* eslint-disable */
 export * as erc20Sol from "./ERC20.sol";
+export * as mockSmartAccountSol from "./MockSmartAccount.sol";
+export { MockAxelarGateway__factory } from "./MockAxelarGateway__factory";
+export { MockGatewayUpgrade__factory } from "./MockGatewayUpgrade__factory";
+export { MockHijackImplementation__factory } from "./MockHijackImplementation__factory";
+export { MockMessageTransmitter__factory } from "./MockMessageTransmitter__factory";
+export { MockPermit2__factory } from "./MockPermit2__factory";
+export { MockUSDC__factory } from "./MockUSDC__factory";
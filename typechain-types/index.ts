@@ -10,37 +10,89 @@ export type { Ownable } from "./@openzeppelin/contracts/access/Ownable";
 export { Ownable__factory } from "./factories/@openzeppelin/contracts/access/Ownable__factory";
 export type { Ownable2Step } from "./@openzeppelin/contracts/access/Ownable2Step";
 export { Ownable2Step__factory } from "./factories/@openzeppelin/contracts/access/Ownable2Step__factory";
+export type { IERC1822Proxiable } from "./@openzeppelin/contracts/interfaces/draft-IERC1822.sol/IERC1822Proxiable";
+export { IERC1822Proxiable__factory } from "./factories/@openzeppelin/contracts/interfaces/draft-IERC1822.sol/IERC1822Proxiable__factory";
 export type { IERC1155Errors } from "./@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC1155Errors";
 export { IERC1155Errors__factory } from "./factories/@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC1155Errors__factory";
 export type { IERC20Errors } from "./@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC20Errors";
 export { IERC20Errors__factory } from "./factories/@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC20Errors__factory";
 export type { IERC721Errors } from "./@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC721Errors";
 export { IERC721Errors__factory } from "./factories/@openzeppelin/contracts/interfaces/draft-IERC6093.sol/IERC721Errors__factory";
+export type { IERC1271 } from "./@openzeppelin/contracts/interfaces/IERC1271";
+export { IERC1271__factory } from "./factories/@openzeppelin/contracts/interfaces/IERC1271__factory";
 export type { IERC1363 } from "./@openzeppelin/contracts/interfaces/IERC1363";
 export { IERC1363__factory } from "./factories/@openzeppelin/contracts/interfaces/IERC1363__factory";
+export type { IERC5267 } from "./@openzeppelin/contracts/interfaces/IERC5267";
+export { IERC5267__factory } from "./factories/@openzeppelin/contracts/interfaces/IERC5267__factory";
+export type { Proxy } from "./@openzeppelin/contracts/proxy/Proxy";
+export { Proxy__factory } from "./factories/@openzeppelin/contracts/proxy/Proxy__factory";
+export type { Initializable } from "./@openzeppelin/contracts/proxy/utils/Initializable";
+export { Initializable__factory } from "./factories/@openzeppelin/contracts/proxy/utils/Initializable__factory";
 export type { ERC20 } from "./@openzeppelin/contracts/token/ERC20/ERC20";
 export { ERC20__factory } from "./factories/@openzeppelin/contracts/token/ERC20/ERC20__factory";
 export type { IERC20Metadata } from "./@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata";
 export { IERC20Metadata__factory } from "./factories/@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata__factory";
+export type { IERC20Permit } from "./@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit";
+export { IERC20Permit__factory } from "./factories/@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit__factory";
 export type { IERC20 } from "./@openzeppelin/contracts/token/ERC20/IERC20";
 export { IERC20__factory } from "./factories/@openzeppelin/contracts/token/ERC20/IERC20__factory";
 export type { SafeERC20 } from "./@openzeppelin/contracts/token/ERC20/utils/SafeERC20";
 export { SafeERC20__factory } from "./factories/@openzeppelin/contracts/token/ERC20/utils/SafeERC20__factory";
+export type { Address } from "./@openzeppelin/contracts/utils/Address";
+export { Address__factory } from "./factories/@openzeppelin/contracts/utils/Address__factory";
+export type { Create2 } from "./@openzeppelin/contracts/utils/Create2";
+export { Create2__factory } from "./factories/@openzeppelin/contracts/utils/Create2__factory";
 export type { ECDSA } from "./@openzeppelin/contracts/utils/cryptography/ECDSA";
 export { ECDSA__factory } from "./factories/@openzeppelin/contracts/utils/cryptography/ECDSA__factory";
+export type { EIP712 } from "./@openzeppelin/contracts/utils/cryptography/EIP712";
+export { EIP712__factory } from "./factories/@openzeppelin/contracts/utils/cryptography/EIP712__factory";
+export type { Errors } from "./@openzeppelin/contracts/utils/Errors";
+export { Errors__factory } from "./factories/@openzeppelin/contracts/utils/Errors__factory";
 export type { IERC165 } from "./@openzeppelin/contracts/utils/introspection/IERC165";
 export { IERC165__factory } from "./factories/@openzeppelin/contracts/utils/introspection/IERC165__factory";
 export type { SafeCast } from "./@openzeppelin/contracts/utils/math/SafeCast";
 export { SafeCast__factory } from "./factories/@openzeppelin/contracts/utils/math/SafeCast__factory";
 export type { ReentrancyGuard } from "./@openzeppelin/contracts/utils/ReentrancyGuard";
 export { ReentrancyGuard__factory } from "./factories/@openzeppelin/contracts/utils/ReentrancyGuard__factory";
+export type { ShortStrings } from "./@openzeppelin/contracts/utils/ShortStrings";
+export { ShortStrings__factory } from "./factories/@openzeppelin/contracts/utils/ShortStrings__factory";
 export type { Strings } from "./@openzeppelin/contracts/utils/Strings";
 export { Strings__factory } from "./factories/@openzeppelin/contracts/utils/Strings__factory";
+export type { ERC6492Deployer } from "./contracts/ERC6492Deployer";
+export { ERC6492Deployer__factory } from "./factories/contracts/ERC6492Deployer__factory";
+export type { IAxelarGateway } from "./contracts/interfaces/IAxelarGateway";
+export { IAxelarGateway__factory } from "./factories/contracts/interfaces/IAxelarGateway__factory";
 export type { IEIP3009 } from "./contracts/interfaces/IEIP3009";
 export { IEIP3009__factory } from "./factories/contracts/interfaces/IEIP3009__factory";
+export type { IMessageTransmitter } from "./contracts/interfaces/IMessageTransmitter";
+export { IMessageTransmitter__factory } from "./factories/contracts/interfaces/IMessageTransmitter__factory";
+export type { ISignatureTransfer } from "./contracts/interfaces/ISignatureTransfer";
+export { ISignatureTransfer__factory } from "./factories/contracts/interfaces/ISignatureTransfer__factory";
 export type { SilentSwapDepositor } from "./contracts/SilentSwapDepositor";
 export { SilentSwapDepositor__factory } from "./factories/contracts/SilentSwapDepositor__factory";
 export type { SilentSwapV2Gateway } from "./contracts/SilentSwapV2Gateway";
 export { SilentSwapV2Gateway__factory } from "./factories/contracts/SilentSwapV2Gateway__factory";
+export type { SilentSwapV2GatewayProxy } from "./contracts/SilentSwapV2GatewayProxy";
+export { SilentSwapV2GatewayProxy__factory } from "./factories/contracts/SilentSwapV2GatewayProxy__factory";
+export type { SilentSwapV2GatewayUpgradeable } from "./contracts/SilentSwapV2GatewayUpgradeable";
+export { SilentSwapV2GatewayUpgradeable__factory } from "./factories/contracts/SilentSwapV2GatewayUpgradeable__factory";
+export type { FeeOnTransferERC20 } from "./contracts/tests/ERC20.sol/FeeOnTransferERC20";
+export { FeeOnTransferERC20__factory } from "./factories/contracts/tests/ERC20.sol/FeeOnTransferERC20__factory";
 export type { TestERC20 } from "./contracts/tests/ERC20.sol/TestERC20";
 export { TestERC20__factory } from "./factories/contracts/tests/ERC20.sol/TestERC20__factory";
+export type { MockAxelarGateway } from "./contracts/tests/MockAxelarGateway";
+export { MockAxelarGateway__factory } from "./factories/contracts/tests/MockAxelarGateway__factory";
+export type { MockGatewayUpgrade } from "./contracts/tests/MockGatewayUpgrade";
+export { MockGatewayUpgrade__factory } from "./factories/contracts/tests/MockGatewayUpgrade__factory";
+export type { MockHijackImplementation } from "./contracts/tests/MockHijackImplementation";
+export { MockHijackImplementation__factory } from "./factories/contracts/tests/MockHijackImplementation__factory";
+export type { MockMessageTransmitter } from "./contracts/tests/MockMessageTransmitter";
+export { MockMessageTransmitter__factory } from "./factories/contracts/tests/MockMessageTransmitter__factory";
+export type { MockPermit2 } from "./contracts/tests/MockPermit2";
+export { MockPermit2__factory } from "./factories/contracts/tests/MockPermit2__factory";
+export type { MockSmartAccount } from "./contracts/tests/MockSmartAccount.sol/MockSmartAccount";
+export { MockSmartAccount__factory } from "./factories/contracts/tests/MockSmartAccount.sol/MockSmartAccount__factory";
+export type { MockSmartAccountFactory } from "./contracts/tests/MockSmartAccount.sol/MockSmartAccountFactory";
+export { MockSmartAccountFactory__factory } from "./factories/contracts/tests/MockSmartAccount.sol/MockSmartAccountFactory__factory";
+export type { MockUSDC } from "./contracts/tests/MockUSDC";
+export { MockUSDC__factory } from "./factories/contracts/tests/MockUSDC__factory";